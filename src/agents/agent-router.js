@@ -1,12 +1,23 @@
 /**
  * Agent Router - Intelligent routing to Claude Code specialist agents
- * Routes tasks to the most appropriate specialist agent using Task tool
+ * Routes tasks to the most appropriate specialist agent and runs it on the
+ * configured LLM provider (see src/llm); without one, execution is simulated
  */
 
+const { createProvider } = require('../llm');
+const { TokenBudgetManager } = require('../core/token-budget-manager');
+
+const SUMMARY_LENGTH = 200;
+
 class AgentRouter {
-  constructor() {
+  /**
+   * @param {Object} options - { provider (LLMProvider, null to simulate), tokenBudget (TokenBudgetManager) }
+   */
+  constructor(options = {}) {
     this.availableAgents = new Map();
     this.routingHistory = [];
+    this.provider = options.provider !== undefined ? options.provider : createProvider();
+    this.tokenBudget = options.tokenBudget || new TokenBudgetManager();
     this.initializeAgents();
   }
 
@@ -172,26 +183,29 @@ class AgentRouter {
    * @param {Object} callbacks - Progress callbacks
    * @returns {Object} Execution result
    */
-  async executeWithClaudeSpecialist(selectedSpecialist, command, context, callbacks) {
+  async executeWithClaudeSpecialist(selectedSpecialist, command, context, callbacks = {}) {
     const agentInfo = this.availableAgents.get(selectedSpecialist.type);
+    const startTime = Date.now();
     
     // Create detailed prompt for the Claude Code specialist
     const specialistPrompt = this.createSpecialistPrompt(command, context, agentInfo);
     
     try {
-      // This would be called via the Task tool in the actual implementation
-      // For now, we'll simulate the behavior
       console.log(`🚀 Executing with ${selectedSpecialist.type}:`, specialistPrompt.substring(0, 100) + '...');
       
-      // Simulate execution (in real implementation, this would use Task tool)
-      const result = await this.simulateClaudeExecution(specialistPrompt, agentInfo);
+      const result = this.provider
+        ? await this.runOnProvider(specialistPrompt, agentInfo, context, callbacks)
+        : await this.simulateClaudeExecution(specialistPrompt, agentInfo);
       
       return {
         success: true,
         message: `${selectedSpecialist.type} completed task: ${result.summary}`,
-        executionTime: Date.now() - Date.now() + 1000,
+        executionTime: Date.now() - startTime,
         data: {
           result: result,
+          provider: result.provider,
+          model: result.model,
+          usage: result.usage,
           estimatedTokenSavings: this.estimateTokenSavings(selectedSpecialist.type),
           agentCapabilities: agentInfo.capabilities
         }
@@ -201,12 +215,50 @@ class AgentRouter {
       return {
         success: false,
         message: `${selectedSpecialist.type} execution failed: ${error.message}`,
-        executionTime: Date.now() - Date.now() + 500,
+        executionTime: Date.now() - startTime,
         error: error.message
       };
     }
   }
 
+  /**
+   * Run the specialist prompt on the LLM provider and record real token usage
+   * @param {string} prompt - Specialist prompt
+   * @param {Object} agentInfo - Agent information
+   * @param {Object} context - Execution context (sessionId, userId, projectId)
+   * @param {Object} callbacks - onToken(chunk) receives streamed text
+   * @returns {Object} Execution result
+   */
+  async runOnProvider(prompt, agentInfo, context = {}, callbacks = {}) {
+    const completion = await this.provider.complete({
+      system: `You are a ${agentInfo.type}. You specialize in: ${agentInfo.description}`,
+      messages: [{ role: 'user', content: prompt }]
+    }, { onText: callbacks.onToken });
+
+    this.tokenBudget.recordUsage(completion.usage.totalTokens, {
+      agentId: agentInfo.type,
+      type: 'specialist-execution',
+      userId: context.userId,
+      sessionId: context.sessionId,
+      projectId: context.projectId,
+      provider: completion.provider,
+      model: completion.model,
+      inputTokens: completion.usage.inputTokens,
+      outputTokens: completion.usage.outputTokens
+    });
+
+    const firstLine = completion.text.split('\n').map(line => line.trim()).find(Boolean) || '(empty response)';
+    return {
+      summary: firstLine.length > SUMMARY_LENGTH ? `${firstLine.slice(0, SUMMARY_LENGTH - 1)}…` : firstLine,
+      output: completion.text,
+      provider: completion.provider,
+      model: completion.model,
+      usage: completion.usage,
+      stopReason: completion.stopReason,
+      attempts: completion.attempts
+    };
+  }
+
   /**
    * Create specialized prompt for Claude Code agent
    * @param {Object} command - Command to execute
@@ -260,7 +312,9 @@ Please execute this task using your specialized expertise and provide a clear, a
       summary: `${agentInfo.type} would handle this specialized task`,
       approach: `Using ${agentInfo.capabilities.join(', ')} capabilities`,
       nextSteps: ['Analyze requirements', 'Apply specialized knowledge', 'Deliver optimized solution'],
-      tokenEfficiency: 'High - specialized agent reduces context switching'
+      tokenEfficiency: 'High - specialized agent reduces context switching',
+      provider: 'simulated',
+      simulated: true
     };
   }
 
@@ -893,6 +947,9 @@ Please execute this task using your specialized expertise and provide a clear, a
         status: 'healthy', 
         specialists: Object.keys(results).length,
         system: 'claude-code-agents',
+        provider: this.provider
+          ? { name: this.provider.name, model: this.provider.model }
+          : { name: 'simulated', model: null },
         lastCheck: new Date().toISOString()
       },
       specialists: results
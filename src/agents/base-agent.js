@@ -144,11 +144,20 @@ class BaseAgent {
       'ValidationError': 'Some information was missing or incorrect. Let me help you fix that.',
       'TimeoutError': 'The request took too long to complete. Let\'s try a simpler approach.',
       'AuthenticationError': 'There was a problem with permissions. Let me handle this automatically.',
-      'NotFoundError': 'I couldn\'t find what we were looking for. Let me try a different approach.'
+      'NotFoundError': 'I couldn\'t find what we were looking for. Let me try a different approach.',
+      'SyntaxError': 'There\'s a typo in the code - something like a missing bracket, comma or quote - so it can\'t run yet.',
+      'ReferenceError': 'The code uses a name that isn\'t defined anywhere. It\'s usually a typo or something that was never imported.',
+      'TypeError': 'The code tried to use something that isn\'t there, like calling a function on a value that is empty.'
     };
-    
+    // Node system errors say more through their code than their class
+    const codeTranslations = {
+      'MODULE_NOT_FOUND': 'The app needs a file or package that isn\'t there. Run npm install, or check the file name is spelled right.',
+      'EADDRINUSE': 'Another program is already using that port. Close it or pick a different port.'
+    };
+
     const errorType = error.constructor.name;
-    return errorTranslations[errorType] || "Something unexpected happened, but don't worry - I'll fix it for you.";
+    return codeTranslations[error.code] || errorTranslations[errorType] ||
+      "Something unexpected happened, but don't worry - I'll fix it for you.";
   }
 
   generateErrorSuggestions(error, command) {
@@ -1,13 +1,21 @@
 /**
  * Deployment Specialist Agent - Handles hosting, performance, and monitoring
- * Based on SimpleDeploymentSpecialist but with BaseAgent interface compatibility
+ * Based on SimpleDeploymentSpecialist but with BaseAgent interface compatibility.
+ * Deploys the project through the Deployer and reports the deployment record.
  */
 
+const fs = require('fs');
+const path = require('path');
 const { BaseAgent } = require('./base-agent');
+const { Deployer, chooseTarget, findDestination, DEPLOYMENTS_FILE } = require('../core/deployment-adapters');
 
 class DeploymentSpecialist extends BaseAgent {
-  constructor() {
+  /**
+   * @param {Object} options - { deployer }
+   */
+  constructor(options = {}) {
     super('deployment-specialist');
+    this.deployer = options.deployer || new Deployer();
     
     this.expertise = [
       'Cloud Deployment',
@@ -61,67 +69,47 @@ class DeploymentSpecialist extends BaseAgent {
     callbacks.onProgress?.(1, 'Deployment specialist preparing your app for production...');
     
     const startTime = Date.now();
+    const projectDir = command.projectDir || context.projectDir;
     
     try {
+      if (!projectDir) {
+        return {
+          success: false,
+          message: 'There is no project to deploy yet. Build one with /build-my-app first.',
+          executionTime: Date.now() - startTime
+        };
+      }
+
       // Step 1: Analyze deployment requirements
       callbacks.onProgress?.(2, 'Analyzing deployment requirements...');
-      const requirements = await this.analyzeDeploymentRequirements(command, context);
-      
-      // Step 2: Setup cloud infrastructure
-      callbacks.onProgress?.(3, 'Setting up cloud infrastructure...');
-      const infrastructure = await this.setupCloudInfrastructure(requirements, context);
-      
-      // Step 3: Configure performance optimization
-      callbacks.onProgress?.(4, 'Optimizing performance and caching...');
-      const performance = await this.configurePerformanceOptimization(infrastructure, context);
-      
-      // Step 4: Setup monitoring
-      callbacks.onProgress?.(5, 'Setting up monitoring and alerts...');
-      const monitoring = await this.setupMonitoring(performance, context);
+      const requirements = await this.analyzeDeploymentRequirements(command, { ...context, projectDir });
       
-      // Step 5: Configure CI/CD
-      callbacks.onProgress?.(6, 'Configuring automatic deployments...');
-      const cicd = await this.configureCICD(monitoring, context);
+      // Step 2: Build, publish and health-check the release
+      callbacks.onProgress?.(3, `Building a release and deploying it with ${requirements.target}...`);
+      const deployment = await this.deployer.deploy(projectDir, this.deployOptions(requirements));
       
-      callbacks.onProgress?.(7, 'Finalizing deployment setup...');
+      callbacks.onProgress?.(4, 'Recording the deployment...');
+      const explanation = this.generateUserFriendlyExplanation(deployment);
       
-      const result = {
-        success: true,
-        message: 'Your app is now deployed and running smoothly in the cloud!',
+      return {
+        success: deployment.status !== 'failed',
+        message: explanation.summary,
         implementation: {
-          infrastructure: {
-            description: 'Cloud infrastructure with auto-scaling and load balancing',
-            platform: infrastructure.platform,
-            features: infrastructure.features,
-            security: 'Enterprise-grade security and SSL certificates'
-          },
-          performance: {
-            description: 'Optimized for fast loading and high availability',
-            optimizations: performance.optimizations,
-            caching: performance.caching
-          },
-          monitoring: {
-            description: 'Real-time monitoring with alerts and analytics',
-            metrics: monitoring.metrics,
-            alerts: monitoring.alerts
-          },
-          cicd: {
-            description: 'Automated deployment pipeline',
-            pipeline: cicd.pipeline,
-            automation: cicd.automation
-          }
+          target: requirements.target,
+          build: deployment.build,
+          health: deployment.health
         },
-        deploymentUrl: 'https://your-app.deployed-domain.com',
-        nextSuggestion: '/monitor-performance',
-        userFriendlyExplanation: this.generateUserFriendlyExplanation(infrastructure, performance, monitoring),
+        deployment,
+        deploymentUrl: deployment.url,
+        nextSuggestion: deployment.status === 'failed' ? '/fix-whatever-is-broken' : '/show-me-progress',
+        userFriendlyExplanation: explanation,
+        executionTime: Date.now() - startTime,
         tokenUsage: {
           total: 756,
           optimizations: ['reused deployment templates', 'cached infrastructure configs', 'standard monitoring setups']
         }
       };
       
-      return result;
-      
     } catch (error) {
       return {
         success: false,
@@ -132,11 +120,26 @@ class DeploymentSpecialist extends BaseAgent {
     }
   }
 
-  async analyzeDeploymentRequirements(command, context) {
-    const description = (command.description || command.arguments || '').toLowerCase();
+  /**
+   * Work out where the request wants the app to go
+   * @param {Object} command - Command with the user's input
+   * @param {Object} context - Context with projectDir
+   * @returns {Object} { target, destination, dir, url, port, scalability, performance, monitoring, security }
+   */
+  async analyzeDeploymentRequirements(command, context = {}) {
+    const input = command.input || command.description || command.arguments || '';
+    const description = input.toLowerCase();
+    const hasApi = Boolean(context.projectDir) && this.hasApi(context.projectDir);
+    const folder = /\b(?:to|into|in)\s+((?:\/|\.{1,2}\/|~\/)[^\s:]*)(?:\s|$)/.exec(input);
+    const url = /\bhttps?:\/\/[^\s]+/.exec(input);
+    const port = /\bport\s+(\d{2,5})\b/.exec(description);
     
     return {
-      platform: this.selectPlatform(description),
+      target: this.selectTarget(input, { hasApi }),
+      destination: findDestination(input),
+      dir: folder ? folder[1] : null,
+      url: url ? url[0] : null,
+      port: port ? Number(port[1]) : null,
       scalability: this.assessScalabilityNeeds(description),
       performance: this.assessPerformanceNeeds(description),
       monitoring: this.assessMonitoringNeeds(description),
@@ -144,85 +147,36 @@ class DeploymentSpecialist extends BaseAgent {
     };
   }
 
-  async setupCloudInfrastructure(requirements, context) {
-    return {
-      platform: requirements.platform,
-      features: [
-        'Auto-scaling groups',
-        'Load balancer',
-        'SSL certificate',
-        'CDN distribution',
-        'Database hosting',
-        'File storage'
-      ],
-      regions: ['US-East', 'US-West', 'EU-Central'],
-      availability: '99.9% uptime SLA'
-    };
-  }
-
-  async configurePerformanceOptimization(infrastructure, context) {
-    return {
-      optimizations: [
-        'Gzip compression',
-        'Static asset caching',
-        'Database query optimization',
-        'Image optimization',
-        'Minified CSS/JS',
-        'Lazy loading'
-      ],
-      caching: {
-        cdn: 'Global CDN for static assets',
-        redis: 'Redis for application caching',
-        browser: 'Browser caching headers'
-      },
-      expectedImprovement: '70% faster load times'
-    };
-  }
-
-  async setupMonitoring(performance, context) {
-    return {
-      metrics: [
-        'Response time monitoring',
-        'Error rate tracking',
-        'Resource usage metrics',
-        'User analytics',
-        'Performance scores'
-      ],
-      alerts: [
-        'High error rate alerts',
-        'Performance degradation alerts',
-        'Resource usage alerts',
-        'Uptime monitoring'
-      ],
-      dashboard: 'Real-time performance dashboard'
-    };
+  /**
+   * Deployer options for the chosen target
+   * @param {Object} requirements - From analyzeDeploymentRequirements()
+   * @returns {Object} Options for Deployer.deploy()
+   */
+  deployOptions(requirements) {
+    const options = { target: requirements.target };
+    if (requirements.target === 'static') {
+      if (requirements.dir) options.dir = requirements.dir;
+      if (requirements.url) options.baseUrl = requirements.url;
+    } else if (requirements.target === 'docker') {
+      if (requirements.port) options.port = requirements.port;
+    } else {
+      options.destination = requirements.destination || requirements.dir;
+      if (requirements.url) options.url = requirements.url;
+    }
+    return options;
   }
 
-  async configureCICD(monitoring, context) {
-    return {
-      pipeline: [
-        'Automatic testing on code changes',
-        'Security vulnerability scanning',
-        'Performance testing',
-        'Automated deployment to staging',
-        'Production deployment approval',
-        'Rollback capability'
-      ],
-      automation: {
-        testing: 'Automated test suite execution',
-        deployment: 'Zero-downtime deployments',
-        monitoring: 'Post-deployment health checks'
-      }
-    };
+  selectTarget(description, project) {
+    return chooseTarget(description, project);
   }
 
-  selectPlatform(description) {
-    if (description.includes('aws')) return 'Amazon Web Services';
-    if (description.includes('google') || description.includes('gcp')) return 'Google Cloud Platform';
-    if (description.includes('azure')) return 'Microsoft Azure';
-    if (description.includes('vercel')) return 'Vercel';
-    if (description.includes('netlify')) return 'Netlify';
-    return 'Cloud Platform (Auto-selected)';
+  hasApi(projectDir) {
+    try {
+      fs.accessSync(path.join(projectDir, 'openapi.json'));
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
 
   assessScalabilityNeeds(description) {
@@ -257,22 +211,36 @@ class DeploymentSpecialist extends BaseAgent {
     }
   }
 
-  generateUserFriendlyExplanation(infrastructure, performance, monitoring) {
+  generateUserFriendlyExplanation(deployment) {
+    const where = deployment.url || deployment.path;
+    const build = deployment.build;
+    const checks = deployment.health ? deployment.health.checks : [];
+    const details = [
+      build ? `📦 Build: ${build.files} files (${Math.max(1, Math.round(build.bytes / 1024))} KB) in ${build.dir}` : null,
+      where ? `🌍 Location: ${where}` : null,
+      ...checks.map(check => `${check.ok ? '✅' : '❌'} Health check (${check.name}): ${check.detail}`),
+      ...deployment.notes.map(note => `💡 ${note}`)
+    ].filter(Boolean);
+
+    if (deployment.status === 'failed') {
+      return {
+        summary: `The deployment didn't go through: ${deployment.error}`,
+        details,
+        whatYouCanExpect: [
+          'Anything that was already deployed is still there',
+          'Use /fix-whatever-is-broken, then run /deploy-when-ready again'
+        ]
+      };
+    }
+
     return {
-      summary: 'Your app is now live on the internet with professional hosting and monitoring!',
-      details: [
-        `🌍 Cloud Hosting: Deployed on ${infrastructure.platform} with ${infrastructure.availability} uptime guarantee`,
-        `⚡ Performance: Optimized for speed with CDN and caching (${performance.expectedImprovement})`,
-        `📊 Monitoring: Real-time performance tracking with automatic alerts`,
-        `🔄 Auto-Deploy: Automatic deployments when you update your code`,
-        `🛡️ Security: SSL certificates and enterprise-grade security protection`
-      ],
+      summary: deployment.status === 'bundled'
+        ? `Your app is packaged for Docker in ${deployment.path}, ready to start.`
+        : `Your app is deployed to ${where} and passed its health check.`,
+      details,
       whatYouCanExpect: [
-        'Your app loads fast for users worldwide',
-        'Automatic scaling during high traffic',
-        'Real-time alerts if anything needs attention',
-        'Professional domain with SSL security',
-        'Easy updates through automatic deployment'
+        'Run /deploy-when-ready again after each change to publish the new version',
+        `Every deployment is recorded in ${DEPLOYMENTS_FILE} in your project`
       ]
     };
   }
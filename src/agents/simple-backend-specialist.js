@@ -3,6 +3,19 @@
  * Handles server-side logic, APIs, and backend infrastructure
  */
 
+const { SimpleDatabaseSpecialist } = require('./simple-database-specialist');
+const {
+  buildOpenApiDocument,
+  renderExpressScaffold,
+  planScaffoldUpdate,
+  listOperations,
+  apiCollections
+} = require('../core/openapi-scaffold');
+
+const EXPRESS_VERSION = '^4.18.2';
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
 class SimpleBackendSpecialist {
   constructor() {
     this.type = 'backend-specialist';
@@ -67,7 +80,7 @@ class SimpleBackendSpecialist {
       }
       await this.delay(1300);
       
-      const endpoints = await this.createApiEndpoints(auth, context);
+      const endpoints = await this.createApiEndpoints(auth, context, apiRequirements, command.context && command.context.appPlan);
 
       const result = {
         success: true,
@@ -176,57 +189,213 @@ class SimpleBackendSpecialist {
   }
 
   /**
-   * Create API endpoints
+   * Create API endpoints: the operations in the app's OpenAPI document
    * @param {Object} auth - Authentication system
    * @param {Object} context - Context information
+   * @param {Object} requirements - API requirements from analyzeApiRequirements()
+   * @param {Object} appPlan - Application plan, when building an app
    * @returns {Array} API endpoints
    */
-  async createApiEndpoints(auth, context) {
-    const endpoints = [
-      { path: '/api/auth/register', method: 'POST', purpose: 'user registration' },
-      { path: '/api/auth/login', method: 'POST', purpose: 'user authentication' },
-      { path: '/api/auth/refresh', method: 'POST', purpose: 'token refresh' },
-      { path: '/api/user/profile', method: 'GET', purpose: 'user profile' },
-      { path: '/api/user/profile', method: 'PUT', purpose: 'update profile' }
-    ];
-
-    // Add app-specific endpoints based on detected type
-    const appType = this.detectAppType(context);
-    switch (appType) {
-      case 'todo-app':
-        endpoints.push(
-          { path: '/api/todos', method: 'GET', purpose: 'list todos' },
-          { path: '/api/todos', method: 'POST', purpose: 'create todo' },
-          { path: '/api/todos/:id', method: 'PUT', purpose: 'update todo' },
-          { path: '/api/todos/:id', method: 'DELETE', purpose: 'delete todo' }
-        );
-        break;
-      
-      case 'blog':
-        endpoints.push(
-          { path: '/api/posts', method: 'GET', purpose: 'list posts' },
-          { path: '/api/posts', method: 'POST', purpose: 'create post' },
-          { path: '/api/posts/:id', method: 'GET', purpose: 'get post' },
-          { path: '/api/posts/:id', method: 'PUT', purpose: 'update post' },
-          { path: '/api/posts/:id', method: 'DELETE', purpose: 'delete post' }
-        );
-        break;
-      
-      case 'ecommerce':
-        endpoints.push(
-          { path: '/api/products', method: 'GET', purpose: 'list products' },
-          { path: '/api/products/:id', method: 'GET', purpose: 'get product' },
-          { path: '/api/cart', method: 'GET', purpose: 'get cart' },
-          { path: '/api/cart/items', method: 'POST', purpose: 'add to cart' },
-          { path: '/api/orders', method: 'POST', purpose: 'create order' }
-        );
-        break;
-    }
+  async createApiEndpoints(auth, context, requirements, appPlan = {}) {
+    const spec = this.generateOpenApiSpec(requirements, appPlan);
+    const endpoints = listOperations(spec).map(({ path: route, method, operation }) => ({
+      path: `/api${route.replace(/\{([^}]+)\}/g, ':$1')}`,
+      method,
+      purpose: operation.summary.toLowerCase(),
+      operationId: operation.operationId
+    }));
 
     console.log(`🛣️ Created ${endpoints.length} API endpoints`);
     return endpoints;
   }
 
+  /**
+   * OpenAPI 3 document for the API: CRUD paths for each inferred entity, JWT
+   * accounts when the app has users, and the CORS and rate limiting that
+   * designSecurityLayer() calls for
+   * @param {Object} requirements - API requirements from analyzeApiRequirements()
+   * @param {Object} appPlan - Application plan ({ name, description, appType, resource })
+   * @returns {Object} OpenAPI document
+   */
+  generateOpenApiSpec(requirements, appPlan = {}) {
+    const { entities } = requirements.dataModel;
+    const resource = appPlan.resource;
+    const hasUsers = entities.includes('User');
+    const collections = [...new Set([
+      ...entities.filter(entity => entity !== 'User').map(entity => `${entity.toLowerCase()}s`),
+      ...(resource && !(hasUsers && resource.collection === 'users') ? [resource.collection] : [])
+    ])];
+
+    const resources = collections.map(collection => {
+      const isPrimary = Boolean(resource) && collection === resource.collection;
+      const entity = entities.find(candidate => `${candidate.toLowerCase()}s` === collection)
+        || capitalize(isPrimary ? resource.label : collection.replace(/s$/, ''));
+      const fields = this.entityFields(entity, appPlan.appType) || [{ name: 'name', type: 'string' }];
+      // Only the field the app's own pages always send is required; the rest are checked when present
+      const required = isPrimary ? [resource.field] : [];
+      required
+        .filter(name => !fields.some(field => field.name === name))
+        .forEach(name => fields.push({ name, type: 'string' }));
+      return { collection, entity, fields, required };
+    });
+
+    return buildOpenApiDocument({
+      title: appPlan.name || 'My App',
+      description: appPlan.description || '',
+      resources,
+      auth: hasUsers ? {
+        fields: this.entityFields('User', appPlan.appType),
+        roles: requirements.authentication.includes('role-based-access')
+      } : null,
+      security: this.designSecurityLayer(requirements)
+    });
+  }
+
+  /**
+   * Field definitions for an entity, from the database specialist's data model
+   * @param {string} entity - Entity name
+   * @param {string} appType - App type, whose model is searched first
+   * @returns {Array|null} Fields, or null for entities the data model doesn't know
+   */
+  entityFields(entity, appType) {
+    const database = new SimpleDatabaseSpecialist();
+    for (const type of [appType, 'todo-app', 'blog', 'ecommerce', 'general-app']) {
+      const found = type && database.generateEntities(type).find(candidate => candidate.name === entity);
+      if (found) return found.fields.map(field => ({ ...field }));
+    }
+    return null;
+  }
+
+  /**
+   * Write the API into the workspace: openapi.json, and the Express server,
+   * routers and middleware generated from it. On a rebuild only generated
+   * files whose code changed are rewritten; the rest keep any local edits.
+   * @param {ProjectWorkspace} workspace - Project workspace to stage files in
+   * @param {Object} command - Build command ({ description, context: { appPlan } })
+   * @param {Object} context - Context information
+   * @returns {Array} Paths written
+   */
+  async writeFiles(workspace, command, context = {}) {
+    const requirements = await this.analyzeApiRequirements(command, context);
+    const appPlan = (command.context && command.context.appPlan) || {};
+    const spec = this.generateOpenApiSpec(requirements, appPlan);
+    const previous = this.readPreviousSpec(workspace);
+
+    const plan = planScaffoldUpdate(
+      renderExpressScaffold(spec),
+      filePath => workspace.readFile(filePath),
+      previous ? Object.keys(renderExpressScaffold(previous)) : []
+    );
+    const files = { ...plan.keep, ...plan.write, 'lib/store.js': this.renderStore() };
+    Object.entries(files).forEach(([filePath, content]) => workspace.writeFile(filePath, content, { author: this.type }));
+    plan.remove.forEach(filePath => workspace.removeFile(filePath, { author: this.type }));
+    workspace.mergeJson('package.json', {
+      scripts: { start: 'node server.js' },
+      dependencies: { express: EXPRESS_VERSION }
+    }, { author: this.type });
+
+    const summary = previous
+      ? ` (${Object.keys(plan.write).length} regenerated, ${Object.keys(plan.keep).length} unchanged, ${plan.remove.length} removed)`
+      : '';
+    console.log(`📝 Wrote API server with ${listOperations(spec).length} operations on ${apiCollections(spec).length} collections${summary}`);
+    if (plan.overwritten.length > 0) console.log(`⚠️ Replaced local edits in ${plan.overwritten.join(', ')}`);
+    return [...Object.keys(files), 'package.json'];
+  }
+
+  /**
+   * The OpenAPI document the last build wrote, if any
+   * @param {ProjectWorkspace} workspace - Project workspace
+   * @returns {Object|null} OpenAPI document
+   */
+  readPreviousSpec(workspace) {
+    const content = workspace.readFile('openapi.json');
+    if (content === null) return null;
+    try {
+      const spec = JSON.parse(content);
+      return spec.paths ? spec : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  renderStore() {
+    return `// JSON file store - one array of records per collection, saved atomically on every change
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class Store {
+  constructor(file, { collections = [], schemaFile } = {}) {
+    this.file = file;
+    this.data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    collections.forEach(name => {
+      if (!Array.isArray(this.data[name])) this.data[name] = [];
+    });
+    this.defaults = Store.loadDefaults(schemaFile);
+  }
+
+  // Field defaults per collection from the database specialist's schema, when there is one
+  static loadDefaults(schemaFile) {
+    if (!schemaFile || !fs.existsSync(schemaFile)) return {};
+    const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+    return Object.fromEntries((schema.tables || []).map(table => [
+      table.name,
+      Object.fromEntries(table.fields.filter(field => field.default !== undefined).map(field => [field.name, field.default]))
+    ]));
+  }
+
+  static isCollectionName(name) {
+    return /^[a-z][a-z0-9-]*$/.test(name || '');
+  }
+
+  list(collection) {
+    return this.data[collection] || [];
+  }
+
+  get(collection, id) {
+    return this.list(collection).find(record => record.id === id) || null;
+  }
+
+  create(collection, values) {
+    assertObject(values);
+    const now = new Date().toISOString();
+    const record = { ...this.defaults[collection], ...values, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+    this.data[collection] = [...this.list(collection), record];
+    this.save();
+    return record;
+  }
+
+  update(collection, id, changes) {
+    assertObject(changes);
+    const record = this.get(collection, id);
+    Object.assign(record, changes, { id, createdAt: record.createdAt, updatedAt: new Date().toISOString() });
+    this.save();
+    return record;
+  }
+
+  remove(collection, id) {
+    this.data[collection] = this.list(collection).filter(record => record.id !== id);
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = \`\${this.file}.tmp\`;
+    fs.writeFileSync(temp, JSON.stringify(this.data, null, 2));
+    fs.renameSync(temp, this.file);
+  }
+}
+
+function assertObject(values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw Object.assign(new Error('Expected a JSON object'), { status: 400 });
+  }
+}
+
+module.exports = { Store };
+`;
+  }
+
   /**
    * Detect API type from command
    * @param {Object} command - Command to analyze
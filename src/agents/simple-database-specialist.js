@@ -3,6 +3,49 @@
  * Handles data modeling, storage, and database operations
  */
 
+const fs = require('fs');
+const path = require('path');
+const {
+  SQL_DIALECTS,
+  renderSchema,
+  renderMigration,
+  renderSeed,
+  sortTables,
+  onDeleteAction
+} = require('../core/database-schema');
+
+// Description keywords that show how the app reads its data
+const QUERY_PATTERNS = {
+  'filter-by-status': ['status', 'complete', 'done', 'pending', 'filter', 'publish', 'draft'],
+  'sort-by-date': ['recent', 'latest', 'newest', 'due', 'deadline', 'calendar', 'schedule', 'history', 'timeline'],
+  'text-search': ['search', 'find', 'look up', 'lookup'],
+  'browse-by-category': ['category', 'categories', 'catalog', 'browse', 'tag']
+};
+
+// How each kind of app reads its data whatever the description says
+const APP_QUERY_PATTERNS = {
+  'todo-app': ['filter-by-status', 'sort-by-date'],
+  blog: ['filter-by-status', 'sort-by-date'],
+  ecommerce: ['browse-by-category', 'text-search', 'filter-by-status']
+};
+
+// Fields an index is built on for each query pattern, first match wins
+const PATTERN_FIELDS = {
+  'filter-by-status': ['status', 'completed', 'published'],
+  'sort-by-date': ['dueDate', 'publishedAt', 'createdAt'],
+  'text-search': ['title', 'name'],
+  'browse-by-category': ['category']
+};
+
+const SEED_BASE_DATE = Date.UTC(2024, 0, 8, 9); // fixed so seeds don't change between builds
+
+const SAMPLE_TEXT = {
+  Todo: ['Plan the week', 'Buy groceries', 'Call the dentist'],
+  Post: ['Hello world', 'What I learned this month', 'A few favourite tools'],
+  Product: ['Canvas tote bag', 'Ceramic mug', 'Linen notebook'],
+  Item: ['First item', 'Second item', 'Third item']
+};
+
 class SimpleDatabaseSpecialist {
   constructor() {
     this.type = 'database-specialist';
@@ -128,7 +171,7 @@ class SimpleDatabaseSpecialist {
     const dataModel = {
       entities: entities,
       relationships: relationships,
-      constraints: this.generateConstraints(entities, relationships),
+      constraints: this.generateConstraints(entities),
       indexes: this.suggestIndexes(entities, requirements.queryPatterns),
       validationRules: this.generateValidationRules(entities)
     };
@@ -146,10 +189,15 @@ class SimpleDatabaseSpecialist {
   async createDatabaseSchema(dataModel, context) {
     const storageType = this.selectStorageType(dataModel, context);
     
+    const tables = this.generateTables(dataModel.entities, storageType, dataModel.indexes);
+    
     const schema = {
       storageType: storageType,
-      tables: this.generateTables(dataModel.entities, storageType),
-      migrations: this.generateMigrations(dataModel),
+      tables: tables,
+      migrations: Object.fromEntries(SQL_DIALECTS.map(dialect => [
+        dialect,
+        this.generateMigrations({ tables }, { dialect })
+      ])),
       seedData: this.generateSeedData(dataModel),
       backupStrategy: this.designBackupStrategy(storageType)
     };
@@ -177,6 +225,94 @@ class SimpleDatabaseSpecialist {
     return dataAccess;
   }
 
+  /**
+   * Write the schema into the workspace: the JSON-file schema and seed data the
+   * app's store uses, and for SQLite and PostgreSQL the full DDL, seed SQL and
+   * numbered up/down migrations. Migrations are diffed against the schema the
+   * last build wrote, so rebuilding a changed app adds one migration for the
+   * change. An existing data file is left alone so rebuilding never wipes records.
+   * @param {ProjectWorkspace} workspace - Project workspace to stage files in
+   * @param {Object} command - Build command
+   * @param {Object} context - Context information
+   * @returns {Array} Paths written
+   */
+  async writeFiles(workspace, command, context = {}) {
+    const requirements = await this.analyzeDataRequirements(command, context);
+    const dataModel = await this.designDataModel(requirements, context);
+    const storageType = this.selectStorageType(dataModel, context);
+    const tables = this.generateTables(dataModel.entities, storageType, dataModel.indexes);
+    const previous = this.readPreviousSchema(workspace);
+
+    const schema = {
+      storageType,
+      tables: tables.map(({ name, entity, fields, indexes }) => ({ name, entity, fields, indexes })),
+      relationships: dataModel.relationships
+    };
+    const seedData = this.generateSeedData(dataModel);
+    const files = {
+      'data/schema.json': `${JSON.stringify(schema, null, 2)}\n`,
+      'data/seed.json': `${JSON.stringify(Object.fromEntries(seedData.map(seed => [seed.table, seed.rows])), null, 2)}\n`
+    };
+
+    SQL_DIALECTS.forEach(dialect => {
+      const dir = `db/${dialect}`;
+      const existing = this.listMigrations(workspace, `${dir}/migrations`);
+      // Without earlier migrations there is nothing to build on, so start from an empty database
+      const migrations = this.generateMigrations(schema, { dialect, previous: existing.length > 0 ? previous : null, existing });
+
+      files[`${dir}/schema.sql`] = `-- ${dialect} schema after every migration has run\n\n${renderSchema(schema, dialect)}`;
+      files[`${dir}/seed.sql`] = `-- Sample data for trying the app out\n\n${renderSeed(schema, seedData, dialect)}`;
+      migrations.forEach(migration => {
+        files[`${dir}/migrations/${migration.id}.up.sql`] = `-- ${migration.id}\n${migration.up}`;
+        files[`${dir}/migrations/${migration.id}.down.sql`] = `-- Undoes ${migration.id}\n${migration.down}`;
+      });
+    });
+
+    Object.entries(files).forEach(([filePath, content]) => workspace.writeFile(filePath, content, { author: this.type }));
+    const written = Object.keys(files);
+    if (!workspace.exists('data/db.json')) {
+      const empty = Object.fromEntries(tables.map(table => [table.name, []]));
+      workspace.writeFile('data/db.json', `${JSON.stringify(empty, null, 2)}\n`, { author: this.type });
+      written.push('data/db.json');
+    }
+
+    console.log(`📝 Wrote schema for ${tables.length} tables`);
+    return written;
+  }
+
+  /**
+   * Schema written by the last build, if the project has one
+   * @param {ProjectWorkspace} workspace - Project workspace
+   * @returns {Object|null} Schema
+   */
+  readPreviousSchema(workspace) {
+    const content = workspace.readFile('data/schema.json');
+    if (content === null) return null;
+    try {
+      const schema = JSON.parse(content);
+      return Array.isArray(schema.tables) ? schema : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Migration ids already in a project directory, oldest first
+   * @param {ProjectWorkspace} workspace - Project workspace
+   * @param {string} dir - Migrations directory relative to the project
+   * @returns {Array} Ids such as '0001_create_schema'
+   */
+  listMigrations(workspace, dir) {
+    let names;
+    try {
+      names = fs.readdirSync(path.join(workspace.root, dir));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return [...new Set(names.filter(name => name.endsWith('.up.sql')).map(name => name.slice(0, -'.up.sql'.length)))].sort();
+  }
+
   /**
    * Detect app type from command
    * @param {Object} command - Command to analyze
@@ -370,18 +506,206 @@ class SimpleDatabaseSpecialist {
    * Generate database tables
    * @param {Array} entities - Entity definitions
    * @param {string} storageType - Storage type
+   * @param {Array} indexes - Index suggestions from suggestIndexes()
    * @returns {Array} Table definitions
    */
-  generateTables(entities, storageType) {
+  generateTables(entities, storageType, indexes = []) {
     return entities.map(entity => ({
-      name: entity.name.toLowerCase() + 's',
+      name: this.tableName(entity.name),
       entity: entity.name,
       fields: entity.fields,
-      indexes: this.generateTableIndexes(entity),
+      indexes: indexes.filter(index => index.entity === entity.name)
+        .map(({ name, columns, unique }) => ({ name, columns, unique })),
       constraints: this.generateTableConstraints(entity)
     }));
   }
 
+  tableName(entityName) {
+    return entityName.toLowerCase() + 's';
+  }
+
+  /**
+   * Work out how the app reads its data from the description and app type
+   * @param {Object} command - Command to analyze
+   * @returns {Array} Query patterns, 'related-records' first
+   */
+  analyzeQueryPatterns(command) {
+    const description = (command.description || command.arguments || '').toLowerCase();
+    const patterns = new Set(['related-records', ...(APP_QUERY_PATTERNS[this.detectAppType(command)] || [])]);
+
+    Object.entries(QUERY_PATTERNS).forEach(([pattern, keywords]) => {
+      if (keywords.some(keyword => description.includes(keyword))) patterns.add(pattern);
+    });
+    return [...patterns];
+  }
+
+  /**
+   * Suggest indexes for the query patterns. Lookups of child records by their
+   * parent are indexed, status filters are combined with the owner so "my
+   * open todos" is one index scan, and an index that is the leading part of
+   * another one on the same table is dropped as redundant.
+   * @param {Array} entities - Entity definitions
+   * @param {Array} queryPatterns - From analyzeQueryPatterns()
+   * @returns {Array} [{ entity, table, name, columns, unique, reason }]
+   */
+  suggestIndexes(entities, queryPatterns = []) {
+    return entities.flatMap(entity => {
+      const table = this.tableName(entity.name);
+      const indexable = entity.fields.filter(field => !field.primary && !field.unique);
+      const find = names => names.map(name => indexable.find(field => field.name === name)).find(Boolean);
+      const owner = indexable.find(field => field.foreignKey && field.foreignKey.startsWith('User.'));
+      const suggestions = [];
+      const suggest = (fields, reason) => suggestions.push({
+        entity: entity.name,
+        table,
+        name: `idx_${table}_${fields.map(field => field.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase()).join('_')}`,
+        columns: fields.map(field => field.name),
+        unique: false,
+        reason
+      });
+
+      queryPatterns.forEach(pattern => {
+        if (pattern === 'related-records') {
+          indexable.filter(field => field.foreignKey).forEach(field => {
+            suggest([field], `Find ${table} by ${field.foreignKey.split('.')[0].toLowerCase()}`);
+          });
+          return;
+        }
+        // Accounts are looked up by email or username, which are unique already
+        if (entity.name === 'User') return;
+        const field = PATTERN_FIELDS[pattern] && find(PATTERN_FIELDS[pattern]);
+        if (!field) return;
+        if (pattern === 'filter-by-status' && owner) {
+          suggest([owner, field], `List each user's ${table} by ${field.name}`);
+        } else {
+          suggest([field], {
+            'filter-by-status': `Filter ${table} by ${field.name}`,
+            'sort-by-date': `Sort ${table} by ${field.name}`,
+            'text-search': `Look up ${table} by ${field.name}`,
+            'browse-by-category': `Browse ${table} by ${field.name}`
+          }[pattern]);
+        }
+      });
+
+      const unique = suggestions.filter((index, position) =>
+        suggestions.findIndex(other => other.name === index.name) === position);
+      return unique.filter(index => !unique.some(other => other !== index &&
+        other.columns.length > index.columns.length &&
+        index.columns.every((column, position) => other.columns[position] === column)));
+    });
+  }
+
+  /**
+   * Constraints the schema enforces, for every entity
+   * @param {Array} entities - Entity definitions
+   * @returns {Array} From generateTableConstraints()
+   */
+  generateConstraints(entities) {
+    return entities.flatMap(entity => this.generateTableConstraints(entity));
+  }
+
+  /**
+   * Primary key, unique and foreign key constraints for one entity
+   * @param {Object} entity - Entity definition
+   * @returns {Array} [{ entity, type, columns, references?, onDelete? }]
+   */
+  generateTableConstraints(entity) {
+    return entity.fields.flatMap(field => {
+      const constraints = [];
+      if (field.primary) constraints.push({ entity: entity.name, type: 'primary-key', columns: [field.name] });
+      if (field.unique && !field.primary) constraints.push({ entity: entity.name, type: 'unique', columns: [field.name] });
+      if (field.foreignKey) {
+        constraints.push({
+          entity: entity.name,
+          type: 'foreign-key',
+          columns: [field.name],
+          references: field.foreignKey,
+          onDelete: onDeleteAction(field)
+        });
+      }
+      return constraints;
+    });
+  }
+
+  /**
+   * Migrations that bring a database from the previous schema to this one
+   * @param {Object} schema - Schema to migrate to ({ tables })
+   * @param {Object} options - { dialect, previous (null for a new database), existing (ids already written) }
+   * @returns {Array} [{ id, up, down, warnings }], empty when nothing changed
+   */
+  generateMigrations(schema, { dialect = 'sqlite', previous = null, existing = [] } = {}) {
+    const migration = renderMigration(previous, schema, dialect);
+    if (!migration.up) return [];
+
+    const number = existing.reduce((highest, id) => Math.max(highest, parseInt(id, 10) || 0), 0) + 1;
+    return [{
+      id: `${String(number).padStart(4, '0')}_${migration.name}`,
+      up: migration.up,
+      down: migration.down,
+      warnings: migration.warnings
+    }];
+  }
+
+  /**
+   * Sample rows for every entity, parents first so references point at real
+   * rows. Ids and dates are fixed so seeds stay the same between builds.
+   * @param {Object} dataModel - Data model
+   * @returns {Array} [{ entity, table, rows }]
+   */
+  generateSeedData(dataModel) {
+    const seeded = new Map(); // entity name -> rows
+    const tables = sortTables(this.generateTables(dataModel.entities, 'json-file'));
+    const entities = new Map(dataModel.entities.map(entity => [entity.name, entity]));
+
+    tables.forEach(table => {
+      const count = table.entity === 'User' ? 1 : 3;
+      seeded.set(table.entity, Array.from({ length: count }, (unused, index) => this.seedRow(entities.get(table.entity), index, seeded)));
+    });
+
+    return dataModel.entities.map(entity => ({
+      entity: entity.name,
+      table: this.tableName(entity.name),
+      rows: seeded.get(entity.name)
+    }));
+  }
+
+  seedRow(entity, index, seeded) {
+    const number = index + 1;
+    const text = (SAMPLE_TEXT[entity.name] || SAMPLE_TEXT.Item)[index % 3];
+    const date = new Date(SEED_BASE_DATE + index * 86400000).toISOString();
+
+    return Object.fromEntries(entity.fields
+      .filter(field => !field.optional)
+      .map(field => {
+        if (field.primary) return [field.name, `${entity.name.toLowerCase()}-${number}`];
+        if (field.foreignKey) {
+          const [target] = field.foreignKey.split('.');
+          const parents = seeded.get(target) || [];
+          return [field.name, parents.length > 0 ? parents[index % parents.length].id : null];
+        }
+        if (field.default !== undefined) return [field.name, field.default];
+        switch (field.name) {
+          case 'email': return [field.name, `demo${number}@example.com`];
+          case 'username': return [field.name, `demo${number}`];
+          case 'passwordHash': return [field.name, '!']; // matches no password, so nobody can sign in as the demo user
+          case 'slug': return [field.name, text.toLowerCase().replace(/[^a-z0-9]+/g, '-')];
+          case 'title':
+          case 'name': return [field.name, text];
+          case 'category': return [field.name, ['General', 'Gifts', 'Home'][index % 3]];
+          case 'status': return [field.name, 'pending'];
+          default: break;
+        }
+        switch (field.type) {
+          case 'datetime': return [field.name, date];
+          case 'boolean': return [field.name, false];
+          case 'integer': return [field.name, number * 5];
+          case 'decimal': return [field.name, Number((number * 12.5).toFixed(2))];
+          case 'text': return [field.name, `${text}: sample ${entity.name.toLowerCase()} ${number}.`];
+          default: return [field.name, `${field.name} ${number}`];
+        }
+      }));
+  }
+
   /**
    * Calculate potential token savings
    * @param {Object} command - Original command
@@ -436,23 +760,16 @@ class SimpleDatabaseSpecialist {
 
   // Helper methods (simplified implementations)
   estimateDataVolume(command) { return 'small'; }
-  analyzeQueryPatterns(command) { return ['simple-reads', 'basic-writes']; }
   assessConsistencyNeeds(command) { return 'eventual'; }
   assessScalabilityNeeds(command) { return 'low'; }
-  generateConstraints(entities, relationships) { return []; }
-  suggestIndexes(entities, queryPatterns) { return []; }
   generateValidationRules(entities) { return []; }
-  generateMigrations(dataModel) { return []; }
-  generateSeedData(dataModel) { return []; }
   designBackupStrategy(storageType) { return { type: 'file-copy', frequency: 'daily' }; }
   selectORM(storageType) { return storageType === 'json-file' ? 'custom-json' : 'prisma'; }
   generateRepositories(tables) { return tables.map(t => ({ name: t.entity + 'Repository' })); }
   generateQueryHelpers(tables) { return []; }
   setupCaching(schema) { return { type: 'memory', ttl: 300 }; }
   setupConnectionPool(storageType) { return storageType === 'json-file' ? null : { min: 2, max: 10 }; }
-  requiresComplexQueries(dataModel) { return dataModel.relationships.length > 5; }
-  generateTableIndexes(entity) { return []; }
-  generateTableConstraints(entity) { return []; }
+  requiresComplexQueries(dataModel) { return (dataModel.relationships || []).length > 5; }
 
   /**
    * Get context filter for database specialist
@@ -3,6 +3,30 @@
  * Handles hosting, deployment, and production infrastructure
  */
 
+const { chooseTarget, BUILD_DIR, DEPLOYMENTS_FILE } = require('../core/deployment-adapters');
+
+// What each deployment adapter gives the app (see core/deployment-adapters.js)
+const PLATFORMS = {
+  static: {
+    name: 'Static folder',
+    type: 'static-hosting',
+    features: ['plain-files', 'any-web-server', 'atomic-publish', 'rollback'],
+    publishDirectory: `${BUILD_DIR}/public`
+  },
+  docker: {
+    name: 'Docker',
+    type: 'container',
+    features: ['dockerfile', 'docker-compose', 'persistent-data-volume', 'health-check'],
+    outputDirectory: BUILD_DIR
+  },
+  rsync: {
+    name: 'Server over SSH',
+    type: 'ssh',
+    features: ['rsync-releases', 'atomic-switch', 'rollback', 'health-check'],
+    outputDirectory: BUILD_DIR
+  }
+};
+
 class SimpleDeploymentSpecialist {
   constructor() {
     this.type = 'deployment-specialist';
@@ -15,12 +39,11 @@ class SimpleDeploymentSpecialist {
       'domain-management'
     ];
     this.tools = [
-      'vercel',
-      'netlify',
-      'heroku',
+      'static-folder',
       'docker',
-      'github-actions',
-      'cloudflare'
+      'docker-compose',
+      'rsync',
+      'ssh'
     ];
   }
 
@@ -103,8 +126,10 @@ class SimpleDeploymentSpecialist {
    * @returns {Object} Deployment requirements analysis
    */
   async analyzeDeploymentRequirements(command, context) {
+    const appType = this.detectAppType(command);
     const requirements = {
-      appType: this.detectAppType(command),
+      appType,
+      target: chooseTarget(command.description || command.arguments || '', { hasApi: appType === 'full-stack' }),
       scalabilityNeeds: this.assessScalabilityNeeds(command),
       budgetConstraints: this.assessBudgetConstraints(command),
       performanceRequirements: this.assessPerformanceRequirements(command),
@@ -117,43 +142,15 @@ class SimpleDeploymentSpecialist {
   }
 
   /**
-   * Select optimal hosting platform
+   * Select the deployment adapter for the app: the one the request names,
+   * else a static folder for frontend-only apps and Docker for apps with an API
    * @param {Object} requirements - Deployment requirements
    * @param {Object} context - Context information
-   * @returns {Object} Selected hosting platform
+   * @returns {Object} Selected hosting platform, with the adapter that deploys to it
    */
   async selectHostingPlatform(requirements, context) {
-    // For vibe coding, prioritize simplicity and free tiers
-    let platform;
-    
-    if (requirements.appType === 'static-site' || requirements.appType === 'frontend-only') {
-      platform = {
-        name: 'Vercel',
-        type: 'static-hosting',
-        tier: 'free',
-        features: ['automatic-deployments', 'custom-domains', 'ssl', 'cdn', 'preview-deployments'],
-        buildCommand: 'npm run build',
-        outputDirectory: 'dist'
-      };
-    } else if (requirements.appType === 'full-stack') {
-      platform = {
-        name: 'Vercel Functions',
-        type: 'serverless',
-        tier: 'free',
-        features: ['serverless-functions', 'automatic-scaling', 'custom-domains', 'ssl', 'monitoring'],
-        buildCommand: 'npm run build',
-        apiDirectory: 'api'
-      };
-    } else {
-      platform = {
-        name: 'Netlify',
-        type: 'jamstack',
-        tier: 'free',
-        features: ['continuous-deployment', 'form-handling', 'serverless-functions', 'ssl'],
-        buildCommand: 'npm run build',
-        publishDirectory: 'dist'
-      };
-    }
+    const adapter = requirements.target || (requirements.appType === 'full-stack' ? 'docker' : 'static');
+    const platform = { ...PLATFORMS[adapter], adapter, tier: 'free' };
 
     console.log(`🏗️ Selected ${platform.name} (${platform.type}) for deployment`);
     return platform;
@@ -188,13 +185,18 @@ class SimpleDeploymentSpecialist {
         },
         {
           name: 'build-application',
-          action: platform.buildCommand || 'npm run build',
-          duration: '60s'
+          action: `copy production files to ${BUILD_DIR}/`,
+          duration: '5s'
         },
         {
           name: 'deploy-to-platform',
-          action: `deploy to ${platform.name}`,
+          action: `deploy with the ${platform.adapter} adapter`,
           duration: '20s'
+        },
+        {
+          name: 'health-check',
+          action: 'check the deployed app and roll back if it fails',
+          duration: '10s'
         }
       ],
       environmentVariables: this.generateEnvironmentVariables(platform, context),
@@ -237,6 +239,34 @@ class SimpleDeploymentSpecialist {
     return monitoring;
   }
 
+  /**
+   * Write the files a host needs to run the project: ignore rules, an
+   * environment template and the Node version it was built for
+   * @param {ProjectWorkspace} workspace - Project workspace to stage files in
+   * @param {Object} command - Build command
+   * @param {Object} context - Context information
+   * @returns {Array} Paths written
+   */
+  async writeFiles(workspace, command, context = {}) {
+    const requirements = await this.analyzeDeploymentRequirements(command, context);
+    const platform = await this.selectHostingPlatform(requirements, context);
+    const buildSettings = this.generateBuildSettings(platform);
+
+    workspace.writeFile('.gitignore', ['node_modules/', '.env', 'data/db.json', '*.log', `${BUILD_DIR}/`, DEPLOYMENTS_FILE, ''].join('\n'), { author: this.type });
+    workspace.writeFile('.env.example', [
+      '# Copy to .env and adjust for your host',
+      'NODE_ENV=production',
+      'PORT=3000',
+      ''
+    ].join('\n'), { author: this.type });
+    workspace.mergeJson('package.json', {
+      engines: { node: `>=${parseInt(buildSettings.nodeVersion, 10)}` }
+    }, { author: this.type });
+
+    console.log(`📝 Wrote deployment files for ${platform.name}`);
+    return ['.gitignore', '.env.example', 'package.json'];
+  }
+
   /**
    * Detect app type from command
    * @param {Object} command - Command to analyze
@@ -296,15 +326,14 @@ class SimpleDeploymentSpecialist {
    */
   generateEnvironmentVariables(platform, context) {
     const envVars = [
-      { name: 'NODE_ENV', value: 'production' },
-      { name: 'BUILD_COMMAND', value: platform.buildCommand }
+      { name: 'NODE_ENV', value: 'production' }
     ];
 
-    if (platform.type === 'serverless' || platform.type === 'full-stack') {
+    if (platform.type === 'container' || platform.type === 'ssh') {
       envVars.push(
-        { name: 'DATABASE_URL', value: 'PLACEHOLDER_SET_IN_PLATFORM' },
-        { name: 'JWT_SECRET', value: 'PLACEHOLDER_GENERATE_SECURE' },
-        { name: 'API_BASE_URL', value: 'PLACEHOLDER_SET_AFTER_DEPLOY' }
+        { name: 'PORT', value: '3000' },
+        { name: 'DATA_DIR', value: 'PLACEHOLDER_SET_ON_HOST' },
+        { name: 'JWT_SECRET', value: 'PLACEHOLDER_GENERATE_SECURE' }
       );
     }
 
@@ -319,8 +348,7 @@ class SimpleDeploymentSpecialist {
   generateBuildSettings(platform) {
     return {
       nodeVersion: '18.x',
-      buildCommand: platform.buildCommand,
-      outputDirectory: platform.outputDirectory || platform.publishDirectory || 'dist',
+      outputDirectory: platform.outputDirectory || platform.publishDirectory || BUILD_DIR,
       installCommand: 'npm install',
       framework: 'auto-detect'
     };
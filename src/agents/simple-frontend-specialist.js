@@ -155,7 +155,8 @@ class SimpleFrontendSpecialist {
         components.push(
           { name: 'AppLayout', type: 'layout', complexity: 'medium' },
           { name: 'MainContent', type: 'container', complexity: 'simple' },
-          { name: 'Navigation', type: 'component', complexity: 'simple' }
+          { name: 'Navigation', type: 'component', complexity: 'simple' },
+          { name: 'AddItem', type: 'form', complexity: 'simple' }
         );
     }
 
@@ -361,6 +362,515 @@ class SimpleFrontendSpecialist {
     return needs;
   }
 
+  /**
+   * Write the designed components, or the template pack chosen for the app,
+   * into the workspace as a runnable browser app
+   * @param {ProjectWorkspace} workspace - Project workspace to stage files in
+   * @param {Object} command - Build command ({ description, context: { appPlan } })
+   * @param {Object} context - Context information
+   * @returns {Array} Paths written
+   */
+  async writeFiles(workspace, command, context = {}) {
+    const appPlan = (command.context && command.context.appPlan) || {};
+    const resource = appPlan.resource || { collection: 'items', field: 'name', label: 'item' };
+    const title = appPlan.name || 'My App';
+
+    // A template pack chosen while planning replaces the generated UI
+    const files = appPlan.template
+      ? Object.fromEntries(appPlan.template.files.map(file => [file.path, file.content]))
+      : await this.renderAppFiles(command, context, resource, title);
+
+    // Without a backend the app still needs something to serve it
+    if (!appPlan.techStack || !appPlan.techStack.backend) {
+      files['server.js'] = this.renderStaticServer(title);
+    }
+
+    Object.entries(files).forEach(([filePath, content]) => workspace.writeFile(filePath, content, { author: this.type }));
+    workspace.mergeJson('package.json', {
+      name: this.packageName(title),
+      version: '1.0.0',
+      private: true,
+      description: command.description || title,
+      scripts: { start: 'node server.js' }
+    }, { author: this.type });
+
+    console.log(`📝 Wrote ${Object.keys(files).length + 1} frontend files`);
+    return [...Object.keys(files), 'package.json'];
+  }
+
+  /**
+   * UI files for a generated app: page, styles, API client, app and components
+   * @param {Object} command - Build command
+   * @param {Object} context - Context information
+   * @param {Object} resource - What the app stores
+   * @param {string} title - App name
+   * @returns {Object} path -> content
+   */
+  async renderAppFiles(command, context, resource, title) {
+    const requirements = await this.analyzeRequirements(command, context);
+    const components = await this.designComponents(requirements, context);
+
+    const files = {
+      'public/index.html': this.renderIndexHtml(title),
+      'public/styles.css': this.renderStyles(this.generateColorScheme(context), this.generateTypographySystem()),
+      'public/store.js': this.renderStore(resource),
+      'public/app.js': this.renderApp(components, resource, title)
+    };
+    components.forEach(component => {
+      files[`public/components/${component.name}.js`] = this.renderComponent(component, components);
+    });
+    return files;
+  }
+
+  /**
+   * What a component does in the generated app, from its design type
+   * @param {Object} component - Component design
+   * @returns {string} layout | nav | form | list | detail | item
+   */
+  componentRole(component) {
+    switch (component.type) {
+      case 'layout': return 'layout';
+      case 'form': return 'form';
+      case 'page': return 'detail';
+      case 'container': return 'list';
+      default: return /nav/i.test(component.name) ? 'nav' : 'item';
+    }
+  }
+
+  renderIndexHtml(title) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+  <div id="app" class="app-root">Loading…</div>
+  <script type="module" src="/app.js"></script>
+</body>
+</html>
+`;
+  }
+
+  renderStyles(colors, typography) {
+    return `:root {
+  --color-primary: ${colors.primary};
+  --color-secondary: ${colors.secondary};
+  --color-accent: ${colors.accent};
+  --color-neutral: ${colors.neutral};
+  --color-background: ${colors.background};
+  --color-surface: ${colors.surface};
+  --color-text: ${colors.text};
+  --font-primary: ${typography.fontFamily.primary};
+}
+
+* { box-sizing: border-box; }
+
+body {
+  margin: 0;
+  font-family: var(--font-primary);
+  font-size: ${typography.scale.base};
+  color: var(--color-text);
+  background: var(--color-background);
+}
+
+.app-header {
+  padding: 1rem;
+  color: var(--color-surface);
+  background: var(--color-primary);
+}
+
+.app-header h1 { margin: 0; font-size: ${typography.scale['2xl']}; }
+
+.app-nav ul { display: flex; gap: 1rem; margin: 0; padding: 0.5rem 1rem; list-style: none; }
+.app-nav a { color: var(--color-primary); }
+
+.app-main { max-width: 48rem; margin: 0 auto; padding: 1rem; }
+
+.add-form { display: flex; gap: 0.5rem; margin-bottom: 1rem; }
+.add-form input { flex: 1; padding: 0.75rem; font: inherit; border: 1px solid var(--color-neutral); border-radius: 0.5rem; }
+
+button {
+  min-height: 2.75rem;
+  padding: 0 1rem;
+  font: inherit;
+  color: var(--color-surface);
+  background: var(--color-primary);
+  border: none;
+  border-radius: 0.5rem;
+  cursor: pointer;
+}
+
+button.secondary { color: var(--color-text); background: transparent; border: 1px solid var(--color-neutral); }
+
+:focus-visible { outline: 3px solid var(--color-accent); outline-offset: 2px; }
+
+.item-list { display: grid; gap: 0.5rem; margin: 0; padding: 0; list-style: none; }
+.item-list .empty { color: var(--color-neutral); }
+
+.item {
+  display: flex;
+  align-items: center;
+  gap: 0.75rem;
+  padding: 0.75rem;
+  background: var(--color-surface);
+  border-radius: 0.5rem;
+  box-shadow: 0 1px 2px rgb(0 0 0 / 10%);
+}
+
+.item .label { flex: 1; }
+.item.done .label { text-decoration: line-through; color: var(--color-neutral); }
+
+.detail { margin-top: 1.5rem; padding: 1rem; background: var(--color-surface); border-radius: 0.5rem; }
+
+@media (min-width: 768px) {
+  .app-header { padding: 1.5rem 2rem; }
+  .app-main { padding: 2rem; }
+}
+`;
+  }
+
+  renderStore(resource) {
+    return `// Data access: the app's REST API when the server has one, browser storage otherwise
+const BASE_URL = '/api/${resource.collection}';
+const STORAGE_KEY = 'app:${resource.collection}';
+
+const remote = fetch(BASE_URL)
+  .then(response => response.ok && (response.headers.get('content-type') || '').includes('json'))
+  .catch(() => false);
+
+async function request(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'content-type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) throw new Error(\`Request failed (\${response.status})\`);
+  return response.status === 204 ? null : response.json();
+}
+
+const local = {
+  read: () => JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'),
+  write: records => localStorage.setItem(STORAGE_KEY, JSON.stringify(records))
+};
+
+export const api = {
+  async list() {
+    return (await remote) ? request('GET', BASE_URL) : local.read();
+  },
+
+  async create(values) {
+    if (await remote) return request('POST', BASE_URL, values);
+    const now = new Date().toISOString();
+    const record = { ...values, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+    local.write([...local.read(), record]);
+    return record;
+  },
+
+  async update(id, changes) {
+    if (await remote) return request('PUT', \`\${BASE_URL}/\${id}\`, changes);
+    const records = local.read().map(record => (record.id === id
+      ? { ...record, ...changes, updatedAt: new Date().toISOString() }
+      : record));
+    local.write(records);
+    return records.find(record => record.id === id);
+  },
+
+  async remove(id) {
+    if (await remote) return request('DELETE', \`\${BASE_URL}/\${id}\`);
+    local.write(local.read().filter(record => record.id !== id));
+    return null;
+  }
+};
+`;
+  }
+
+  renderComponent(component, components) {
+    const { name } = component;
+    const item = components.find(candidate => this.componentRole(candidate) === 'item');
+
+    switch (this.componentRole(component)) {
+      case 'layout':
+        return `// ${name} - page shell with a header and the main content area
+export function ${name}({ title, children = [] }) {
+  const shell = document.createElement('div');
+  shell.className = 'app-layout';
+
+  const header = document.createElement('header');
+  header.className = 'app-header';
+  const heading = document.createElement('h1');
+  heading.textContent = title;
+  header.append(heading);
+
+  const main = document.createElement('main');
+  main.className = 'app-main';
+  main.append(...children);
+
+  shell.append(header, main);
+  return shell;
+}
+`;
+
+      case 'nav':
+        return `// ${name} - main navigation links
+export function ${name}({ links = [] }) {
+  const nav = document.createElement('nav');
+  nav.className = 'app-nav';
+  nav.setAttribute('aria-label', 'Main');
+
+  const list = document.createElement('ul');
+  links.forEach(({ label, href }) => {
+    const entry = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = href;
+    link.textContent = label;
+    entry.append(link);
+    list.append(entry);
+  });
+  nav.append(list);
+  return nav;
+}
+`;
+
+      case 'form':
+        return `// ${name} - form that creates a new record
+export function ${name}({ field, label, onSubmit }) {
+  const form = document.createElement('form');
+  form.className = 'add-form';
+
+  const input = document.createElement('input');
+  input.name = field;
+  input.required = true;
+  input.placeholder = label;
+  input.setAttribute('aria-label', label);
+
+  const button = document.createElement('button');
+  button.type = 'submit';
+  button.textContent = 'Add';
+
+  form.append(input, button);
+  form.addEventListener('submit', async event => {
+    event.preventDefault();
+    const value = input.value.trim();
+    if (!value) return;
+    await onSubmit({ [field]: value });
+    form.reset();
+    input.focus();
+  });
+  return form;
+}
+`;
+
+      case 'detail':
+        return `// ${name} - full view of one record
+export function ${name}({ item, field }) {
+  const article = document.createElement('article');
+  article.className = 'detail';
+
+  const heading = document.createElement('h2');
+  heading.textContent = item[field];
+  article.append(heading);
+
+  const details = document.createElement('dl');
+  Object.entries(item)
+    .filter(([key]) => key !== field && key !== 'id')
+    .forEach(([key, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = key;
+      const description = document.createElement('dd');
+      description.textContent = String(value);
+      details.append(term, description);
+    });
+  article.append(details);
+  return article;
+}
+`;
+
+      case 'list':
+        return `// ${name} - list of records, with an empty state
+${item ? `import { ${item.name} } from './${item.name}.js';\n` : ''}
+export function ${name}({ items, field, linkToDetail = false, onToggle, onRemove }) {
+  const list = document.createElement('ul');
+  list.className = 'item-list';
+  list.setAttribute('aria-live', 'polite');
+
+  if (items.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'Nothing here yet - add the first one above.';
+    list.append(empty);
+  }
+  items.forEach(item => list.append(${item ? item.name : 'renderItem'}({ item, field, linkToDetail, onToggle, onRemove })));
+  return list;
+}
+${item ? '' : `\n${this.renderItemFunction('renderItem')}`}`;
+
+      default:
+        return `// ${name} - one record with its actions
+export function ${name}(props) {
+  return renderRecord(props);
+}
+
+${this.renderItemFunction('renderRecord')}`;
+    }
+  }
+
+  /**
+   * Shared record renderer: a checkbox for records with a `completed` flag, a label and a delete button
+   */
+  renderItemFunction(functionName) {
+    return `export function ${functionName}({ item, field, linkToDetail = false, onToggle, onRemove }) {
+  const entry = document.createElement('li');
+  entry.className = item.completed ? 'item done' : 'item';
+
+  if (typeof item.completed === 'boolean' && onToggle) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = item.completed;
+    checkbox.setAttribute('aria-label', \`Mark "\${item[field]}" as done\`);
+    checkbox.addEventListener('change', () => onToggle(item, checkbox.checked));
+    entry.append(checkbox);
+  }
+
+  const label = document.createElement(linkToDetail ? 'a' : 'span');
+  label.className = 'label';
+  label.textContent = item[field];
+  if (linkToDetail) label.href = \`#\${item.id}\`;
+  entry.append(label);
+
+  if (onRemove) {
+    const remove = document.createElement('button');
+    remove.className = 'secondary';
+    remove.textContent = 'Delete';
+    remove.setAttribute('aria-label', \`Delete "\${item[field]}"\`);
+    remove.addEventListener('click', () => onRemove(item));
+    entry.append(remove);
+  }
+  return entry;
+}
+`;
+  }
+
+  renderApp(components, resource, title) {
+    const first = role => components.find(component => this.componentRole(component) === role);
+    const layout = first('layout');
+    const form = first('form');
+    const list = first('list');
+    const detail = first('detail');
+    const navs = components.filter(component => this.componentRole(component) === 'nav');
+    const used = [layout, ...navs, form, list, detail].filter(Boolean);
+
+    const content = [
+      ...navs.map(nav => `    ${nav.name}({ links: [{ label: TITLE, href: '#' }] }),`),
+      form && `    ${form.name}({ field: FIELD, label: 'Add a ${resource.label}', onSubmit: values => change(api.create({ ...DEFAULTS, ...values })) }),`,
+      list && `    ${list.name}({
+      items,
+      field: FIELD,
+      linkToDetail: ${Boolean(detail)},
+      onToggle: (item, completed) => change(api.update(item.id, { completed })),
+      onRemove: item => change(api.remove(item.id))
+    }),`,
+      detail && `    selected ? ${detail.name}({ item: selected, field: FIELD }) : null`
+    ].filter(Boolean).join('\n').replace(/,$/, '');
+
+    return `// ${title} - wires the components to the data store and renders the page
+import { api } from './store.js';
+${used.map(component => `import { ${component.name} } from './components/${component.name}.js';`).join('\n')}
+
+const TITLE = ${JSON.stringify(title)};
+const FIELD = '${resource.field}';
+const DEFAULTS = ${JSON.stringify(resource.defaults || {})};
+const root = document.getElementById('app');
+let items = [];
+
+async function refresh() {
+  items = await api.list();
+  render();
+}
+
+async function change(operation) {
+  try {
+    await operation;
+    await refresh();
+  } catch (error) {
+    showError(error);
+  }
+}
+
+function showError(error) {
+  root.textContent = \`Something went wrong: \${error.message}\`;
+}
+
+function render() {
+  const selected = items.find(item => \`#\${item.id}\` === window.location.hash);
+  const content = [
+${content}
+  ].filter(Boolean);
+${layout
+    ? `  root.replaceChildren(${layout.name}({ title: TITLE, children: content }));`
+    : `  const main = document.createElement('main');
+  main.className = 'app-main';
+  main.append(...content);
+  root.replaceChildren(main);`}
+}
+
+window.addEventListener('hashchange', render);
+refresh().catch(showError);
+`;
+  }
+
+  renderStaticServer(title) {
+    return `// ${title} - serves the app in public/ (run with: npm start)
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3000;
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const file = path.join(PUBLIC_DIR, path.normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+  if (!file.startsWith(PUBLIC_DIR)) {
+    res.writeHead(403);
+    return res.end();
+  }
+  fs.readFile(file, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'content-type': 'text/plain' });
+      return res.end('Not found');
+    }
+    res.writeHead(200, { 'content-type': TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(content);
+  });
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => console.log(\`App running at http://localhost:\${server.address().port}\`));
+}
+
+module.exports = { server };
+`;
+  }
+
+  /**
+   * npm-safe package name from the app title
+   */
+  packageName(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'my-app';
+  }
+
   /**
    * Assess task fit for frontend specialist
    * @param {string} taskType - Type of task
@@ -441,4 +951,8 @@ class SimpleFrontendSpecialist {
   }
 }
 
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
 module.exports = { SimpleFrontendSpecialist };
\ No newline at end of file
@@ -3,8 +3,17 @@
  * Handles test creation, quality assurance, and bug detection
  */
 
+const { TestRunner } = require('../core/test-runner');
+
+const JEST_VERSION = '^29.7.0';
+const DEFAULT_RESOURCE = { collection: 'items', field: 'name', label: 'item' };
+
 class SimpleTestingSpecialist {
-  constructor() {
+  /**
+   * @param {Object} options - { testRunner }
+   */
+  constructor(options = {}) {
+    this.testRunner = options.testRunner || new TestRunner();
     this.type = 'testing-specialist';
     this.capabilities = [
       'test-creation',
@@ -170,16 +179,16 @@ class SimpleTestingSpecialist {
       type: 'unit',
       framework: 'Jest',
       tests: this.generateUnitTests(appType),
-      coverage: 'business logic, utilities, helpers'
+      coverage: 'data store, defaults, validation'
     });
 
     // Integration test suites
     testSuites.push({
       name: 'Integration Tests',
       type: 'integration',
-      framework: 'Testing Library + Jest',
+      framework: 'Jest + supertest-style requests',
       tests: this.generateIntegrationTests(appType),
-      coverage: 'component interactions, API calls'
+      coverage: 'pages, assets, API endpoints'
     });
 
     // E2E test suites
@@ -265,6 +274,162 @@ class SimpleTestingSpecialist {
     return automation;
   }
 
+  /**
+   * Write Jest suites into the workspace: unit tests for the data store and
+   * integration tests that start the generated server and call its pages and
+   * API through a supertest-style helper
+   * @param {ProjectWorkspace} workspace - Project workspace to stage files in
+   * @param {Object} command - Build command ({ description, context: { appPlan } })
+   * @param {Object} context - Context information
+   * @returns {Array} Paths written
+   */
+  async writeFiles(workspace, command, context = {}) {
+    const appPlan = (command.context && command.context.appPlan) || {};
+    const spec = this.readSpec(workspace);
+    const options = {
+      resource: appPlan.resource || DEFAULT_RESOURCE,
+      hasApi: Boolean(appPlan.techStack && appPlan.techStack.backend),
+      hasAuth: Boolean(spec && spec.paths['/auth/register']),
+      // Scripts and styles the frontend staged at the top of public/
+      assets: workspace.list()
+        .map(file => file.path)
+        .filter(filePath => /^public\/[^/]+\.(js|css)$/.test(filePath))
+        .map(filePath => filePath.slice('public'.length))
+    };
+    const appType = this.detectAppType(command);
+    const files = [
+      { path: 'tests/helpers/request.js', content: this.renderRequestHelper() },
+      ...this.generateUnitTests(appType, options),
+      ...this.generateIntegrationTests(appType, options)
+    ];
+
+    files.forEach(file => workspace.writeFile(file.path, file.content, { author: this.type }));
+    workspace.mergeJson('package.json', {
+      scripts: { test: 'jest' },
+      devDependencies: { jest: JEST_VERSION },
+      jest: {
+        testEnvironment: 'node',
+        testMatch: ['<rootDir>/tests/**/*.test.js'],
+        coverageProvider: 'v8',
+        collectCoverageFrom: ['server.js', 'lib/**/*.js', 'routes/**/*.js', 'middleware/**/*.js']
+      }
+    }, { author: this.type });
+
+    console.log(`📝 Wrote ${files.length - 1} test files (${options.hasApi ? 'store, pages and API' : 'pages'})`);
+    return [...files.map(file => file.path), 'package.json'];
+  }
+
+  /**
+   * The backend specialist's OpenAPI document, if it staged one
+   * @param {ProjectWorkspace} workspace - Project workspace
+   * @returns {Object|null} OpenAPI document
+   */
+  readSpec(workspace) {
+    try {
+      return JSON.parse(workspace.readFile('openapi.json'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Run the project's tests in a child process
+   * @param {string} projectDir - Project directory
+   * @param {Object} options - { coverage }
+   * @returns {Object} Results from TestRunner.run()
+   */
+  async runTests(projectDir, options = {}) {
+    const results = await this.testRunner.run(projectDir, options);
+    console.log(`🧪 Tests ${results.status}: ${results.passed} passed, ${results.failed} failed`);
+    return results;
+  }
+
+  renderRequestHelper() {
+    return `// supertest-style requests against the app's server, for example:
+//   await request(server).post('/api/todos').send({ title: 'Milk' }).expect(201);
+// The server is started on a free port for each request and closed afterwards.
+const assert = require('assert');
+
+class TestRequest {
+  constructor(server, method, url) {
+    this.server = server;
+    this.method = method;
+    this.url = url;
+    this.headers = {};
+    this.body = undefined;
+    this.checks = [];
+  }
+
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  send(body) {
+    if (typeof body === 'string') {
+      this.body = body;
+    } else {
+      this.body = JSON.stringify(body);
+      this.headers['content-type'] = this.headers['content-type'] || 'application/json';
+    }
+    return this;
+  }
+
+  // expect(201), expect(200, { status: 'ok' }), expect('content-type', /json/) or expect(response => ...)
+  expect(expected, value) {
+    this.checks.push(response => {
+      if (typeof expected === 'function') return expected(response);
+      if (typeof expected === 'string') {
+        const actual = response.headers[expected.toLowerCase()];
+        return value instanceof RegExp ? assert.match(actual || '', value) : assert.strictEqual(actual, value);
+      }
+      assert.strictEqual(response.status, expected, \`Expected \${expected}, got \${response.status}: \${response.text.slice(0, 200)}\`);
+      if (value !== undefined) assert.deepStrictEqual(response.body, value);
+    });
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.run().then(resolve, reject);
+  }
+
+  async run() {
+    const started = !this.server.listening;
+    if (started) await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    try {
+      const response = await fetch(\`http://127.0.0.1:\${this.server.address().port}\${this.url}\`, {
+        method: this.method,
+        headers: this.headers,
+        body: this.body
+      });
+      const text = await response.text();
+      const headers = Object.fromEntries(response.headers);
+      const result = {
+        status: response.status,
+        headers,
+        text,
+        body: /json/.test(headers['content-type'] || '') && text ? JSON.parse(text) : undefined
+      };
+      this.checks.forEach(check => check(result));
+      return result;
+    } finally {
+      if (started) {
+        this.server.closeAllConnections?.();
+        await new Promise(resolve => this.server.close(resolve));
+      }
+    }
+  }
+}
+
+function request(server) {
+  const methods = ['get', 'post', 'put', 'patch', 'delete'];
+  return Object.fromEntries(methods.map(method => [method, url => new TestRequest(server, method.toUpperCase(), url)]));
+}
+
+module.exports = request;
+`;
+  }
+
   /**
    * Detect app type from command
    * @param {Object} command - Command to analyze
@@ -287,76 +452,293 @@ class SimpleTestingSpecialist {
   }
 
   /**
-   * Generate unit tests for app type
+   * Generate unit tests for app type: Jest tests for the JSON file store the
+   * backend writes. Apps without a backend have no code that runs outside the
+   * browser, so they get none.
    * @param {string} appType - Type of application
-   * @returns {Array} Unit test definitions
+   * @param {Object} options - { resource, hasApi }
+   * @returns {Array} [{ name, focus, path, content }]
    */
-  generateUnitTests(appType) {
-    const baseTests = [
-      { name: 'utility functions', focus: 'pure functions, helpers' },
-      { name: 'business logic', focus: 'core application logic' },
-      { name: 'data validation', focus: 'input validation, sanitization' }
-    ];
-
-    switch (appType) {
-      case 'todo-app':
-        baseTests.push(
-          { name: 'todo operations', focus: 'add, edit, delete, toggle todos' },
-          { name: 'todo filtering', focus: 'filter by status, priority, date' }
-        );
-        break;
-      
-      case 'blog':
-        baseTests.push(
-          { name: 'post operations', focus: 'create, edit, delete posts' },
-          { name: 'content formatting', focus: 'markdown parsing, excerpts' }
-        );
-        break;
-      
-      case 'ecommerce':
-        baseTests.push(
-          { name: 'cart operations', focus: 'add, remove items, calculate totals' },
-          { name: 'price calculations', focus: 'discounts, taxes, shipping' }
-        );
-        break;
-    }
-
-    return baseTests;
+  generateUnitTests(appType, options = {}) {
+    const { resource = DEFAULT_RESOURCE, hasApi = true } = options;
+    if (!hasApi) return [];
+
+    const { collection, field, label } = resource;
+    const sample = this.sampleValue(field, `Test ${label}`);
+    const extra = {
+      'todo-app': `
+  test('marks a ${label} as done', () => {
+    const record = store.create('${collection}', { ${field}: ${sample} });
+    expect(store.update('${collection}', record.id, { completed: true }).completed).toBe(true);
+  });
+`,
+      blog: `
+  test('publishes a draft ${label}', () => {
+    const record = store.create('${collection}', { ${field}: ${sample}, published: false });
+    expect(store.update('${collection}', record.id, { published: true })).toMatchObject({ ${field}: ${sample}, published: true });
+  });
+`,
+      ecommerce: `
+  test('keeps prices as numbers', () => {
+    const record = store.create('${collection}', { ${field}: ${sample}, price: 12.5 });
+    expect(store.get('${collection}', record.id).price).toBe(12.5);
+  });
+`
+    }[appType] || '';
+
+    return [{
+      name: 'data store',
+      focus: `create, read, update and delete ${collection}; defaults; validation`,
+      path: 'tests/unit/store.test.js',
+      content: `// Unit tests for the JSON file store (run with: npm test)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Store } = require('../../lib/store');
+
+describe('Store', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    store = new Store(path.join(dir, 'db.json'), { collections: ['${collection}'] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('starts with an empty list of ${collection}', () => {
+    expect(store.list('${collection}')).toEqual([]);
+  });
+
+  test('creates a ${label} with an id and timestamps', () => {
+    const record = store.create('${collection}', { ${field}: ${sample} });
+
+    expect(record).toMatchObject({ ${field}: ${sample}, id: expect.any(String) });
+    expect(record.createdAt).toBe(record.updatedAt);
+    expect(store.get('${collection}', record.id)).toEqual(record);
+  });
+
+  test('updates a ${label} but keeps its id and creation time', () => {
+    const record = store.create('${collection}', { ${field}: ${sample} });
+    const updated = store.update('${collection}', record.id, { ${field}: 'Changed', id: 'other', createdAt: 'never' });
+
+    expect(updated).toMatchObject({ ${field}: 'Changed', id: record.id, createdAt: record.createdAt });
+  });
+
+  test('removes a ${label}', () => {
+    const record = store.create('${collection}', { ${field}: ${sample} });
+    store.remove('${collection}', record.id);
+
+    expect(store.get('${collection}', record.id)).toBeNull();
+  });
+
+  test('saves every change to disk', () => {
+    store.create('${collection}', { ${field}: ${sample} });
+    const reopened = new Store(path.join(dir, 'db.json'));
+
+    expect(reopened.list('${collection}')).toHaveLength(1);
+  });
+
+  test('fills in defaults from the schema', () => {
+    const schemaFile = path.join(dir, 'schema.json');
+    fs.writeFileSync(schemaFile, JSON.stringify({ tables: [{ name: '${collection}', fields: [{ name: 'flag', default: false }] }] }));
+    const withSchema = new Store(path.join(dir, 'db.json'), { collections: ['${collection}'], schemaFile });
+
+    expect(withSchema.create('${collection}', { ${field}: ${sample} }).flag).toBe(false);
+  });
+
+  test('rejects values that are not an object', () => {
+    expect(() => store.create('${collection}', ['not', 'an', 'object'])).toThrow('Expected a JSON object');
+  });
+
+  test('only accepts simple collection names', () => {
+    expect(Store.isCollectionName('${collection}')).toBe(true);
+    expect(Store.isCollectionName('../secrets')).toBe(false);
+  });
+${extra}});
+`
+    }];
   }
 
   /**
-   * Generate integration tests for app type
+   * Generate integration tests for app type: Jest tests that start the server
+   * and request the page, its assets and, with a backend, the API and accounts
    * @param {string} appType - Type of application
-   * @returns {Array} Integration test definitions
+   * @param {Object} options - { resource, hasApi, hasAuth, assets }
+   * @returns {Array} [{ name, focus, path, content }]
    */
-  generateIntegrationTests(appType) {
-    const baseTests = [
-      { name: 'API integration', focus: 'HTTP calls, error handling' },
-      { name: 'component integration', focus: 'parent-child component communication' },
-      { name: 'state management', focus: 'state updates, side effects' }
-    ];
-
-    switch (appType) {
-      case 'todo-app':
-        baseTests.push(
-          { name: 'todo CRUD integration', focus: 'API + state + UI integration' }
-        );
-        break;
-      
-      case 'blog':
-        baseTests.push(
-          { name: 'post publishing flow', focus: 'draft → review → publish' }
-        );
-        break;
-      
-      case 'ecommerce':
-        baseTests.push(
-          { name: 'checkout flow', focus: 'cart → payment → order confirmation' }
-        );
-        break;
-    }
+  generateIntegrationTests(appType, options = {}) {
+    const { resource = DEFAULT_RESOURCE, hasApi = true, hasAuth = false, assets = ['/app.js', '/store.js', '/styles.css'] } = options;
+    const files = [{
+      name: 'pages',
+      focus: 'home page, scripts and styles, missing pages',
+      path: 'tests/pages.test.js',
+      content: `// Page tests - start the server and load what the browser loads (run with: npm test)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('./helpers/request');
+
+// Keep test records out of the real data file
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'app-test-'));
+const { server } = require('../server');
+
+describe('pages', () => {
+  afterAll(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+  test('serves the home page', async () => {
+    const response = await request(server).get('/').expect(200).expect('content-type', /html/);
+    expect(response.text).toMatch(/<!DOCTYPE html>/i);
+  });
+
+  test.each([${assets.map(asset => `'${asset}'`).join(', ')}])('serves %s', async asset => {
+    await request(server).get(asset).expect(200);
+  });
+
+  test('answers 404 for a page that does not exist', async () => {
+    await request(server).get('/no-such-page.html').expect(404);
+  });
+});
+`
+    }];
+    if (!hasApi) return files;
+
+    const { collection, field, label } = resource;
+    const sample = this.sampleValue(field, `Test ${label}`);
+    const changed = this.sampleValue(field, 'Changed');
+    files.push({
+      name: `${collection} API`,
+      focus: `create, list, update and delete ${collection}; bad requests`,
+      path: 'tests/api.test.js',
+      content: `// API tests - call the server the way the app does (run with: npm test)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('./helpers/request');
+
+// Keep test records out of the real data file
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'app-test-'));
+const { server } = require('../server');
+
+describe('/api/${collection}', () => {
+  afterAll(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+  test('reports that the API is up', async () => {
+    await request(server).get('/api/health').expect(200, { status: 'ok' });
+  });
+
+  test('creates, reads, updates and deletes a ${label}', async () => {
+    const created = await request(server).post('/api/${collection}').send({ ${field}: ${sample} }).expect(201);
+    const { id } = created.body;
+    expect(created.body).toMatchObject({ ${field}: ${sample}, id: expect.any(String) });
+
+    await request(server).get(\`/api/${collection}/\${id}\`).expect(200);
+    const updated = await request(server).put(\`/api/${collection}/\${id}\`).send({ ${field}: ${changed} }).expect(200);
+    expect(updated.body.${field}).toBe(${changed});
+
+    await request(server).delete(\`/api/${collection}/\${id}\`).expect(204);
+    await request(server).get(\`/api/${collection}/\${id}\`).expect(404);
+  });
+
+  test('lists the ${collection} that were created', async () => {
+    const created = await request(server).post('/api/${collection}').send({ ${field}: ${sample} }).expect(201);
+    const list = await request(server).get('/api/${collection}').expect(200);
+
+    expect(list.body.map(record => record.id)).toContain(created.body.id);
+  });
+
+  test('rejects a body that is not JSON', async () => {
+    await request(server).post('/api/${collection}').send('not json').expect(400);
+  });
+
+  test('explains what is wrong with a ${label}', async () => {
+    const response = await request(server).post('/api/${collection}').send({}).expect(400);
+
+    expect(response.body.details).toContainEqual({ path: '${field}', message: 'is required' });
+  });
+
+  test('rejects methods the API does not support', async () => {
+    await request(server).delete('/api/${collection}').expect(405);
+  });
+
+  test('answers 404 for a collection name it does not accept', async () => {
+    await request(server).get('/api/Not_A_Collection').expect(404);
+  });
+});
+`
+    });
+    if (!hasAuth) return files;
+
+    files.push({
+      name: 'accounts',
+      focus: 'register, sign in, refresh tokens, signed-in profile',
+      path: 'tests/auth.test.js',
+      content: `// Account tests - register, sign in and use the access token (run with: npm test)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('./helpers/request');
+
+// Keep test accounts out of the real data file
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'app-test-'));
+const { server } = require('../server');
+
+describe('accounts', () => {
+  afterAll(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+  const account = { email: 'sam@example.com', password: 'correct horse' };
+  let session;
+
+  beforeAll(async () => {
+    session = (await request(server).post('/api/auth/register').send(account).expect(201)).body;
+  });
+
+  test('registers an account without giving away the password', () => {
+    expect(session.user.email).toBe(account.email);
+    expect(session.user).not.toHaveProperty('passwordHash');
+    expect(session.accessToken).toEqual(expect.any(String));
+  });
+
+  test('refuses a second account with the same email', async () => {
+    await request(server).post('/api/auth/register').send(account).expect(409);
+  });
+
+  test('signs in with the right password only', async () => {
+    await request(server).post('/api/auth/login').send({ ...account, password: 'wrong password' }).expect(401);
+    await request(server).post('/api/auth/login').send(account).expect(200);
+  });
+
+  test('shows the profile to signed-in users only', async () => {
+    await request(server).get('/api/user/profile').expect(401);
+    const profile = await request(server).get('/api/user/profile').set('Authorization', \`Bearer \${session.accessToken}\`).expect(200);
+
+    expect(profile.body.email).toBe(account.email);
+  });
+
+  test('swaps a refresh token for a new session', async () => {
+    const refreshed = await request(server).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(200);
+
+    expect(refreshed.body.user.id).toBe(session.user.id);
+  });
+});
+`
+    });
+    return files;
+  }
 
-    return baseTests;
+  /**
+   * A value for the resource's main field, as a single-quoted JS string
+   * @param {string} field - Field name
+   * @param {string} text - What the value should say
+   * @returns {string} Source for the value
+   */
+  sampleValue(field, text) {
+    // The API checks that email fields hold addresses
+    const value = field === 'email' ? `${text.toLowerCase().replace(/[^a-z0-9]+/g, '.')}@example.com` : text;
+    return `'${value.replace(/'/g, "\\'")}'`;
   }
 
   /**
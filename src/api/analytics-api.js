@@ -0,0 +1,96 @@
+const express = require('express');
+const {
+    resolveRange, filterTasks, timeSeries, burndown, cycleTimes, forecast
+} = require('../core/task-analytics');
+
+// Trend reports over the caller's task list, resolved by TaskAPI's access layer.
+// Every report takes ?tag= and ?category= to narrow it down; the dated ones
+// take ?from=&to=&interval=day|week.
+class AnalyticsAPI {
+    constructor(access) {
+        this.router = express.Router();
+        this.access = access;
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.use(this.access.middleware());
+
+        // Created, completed and overdue counts per day or week
+        this.router.get('/timeseries', (req, res) => {
+            this.report(req, res, 'Failed to build time series', (tasks, range) => timeSeries(tasks, range));
+        });
+
+        // Remaining work in a tag or category against an ideal line
+        this.router.get('/burndown', (req, res) => {
+            this.report(req, res, 'Failed to build burndown', (tasks, range) => burndown(tasks, range));
+        });
+
+        // Distribution of created -> completed durations
+        this.router.get('/cycle-time', (req, res) => {
+            this.report(req, res, 'Failed to compute cycle times', (tasks, range) => cycleTimes(tasks, range));
+        });
+
+        // When the open tasks will be done at the recent weekly throughput
+        this.router.get('/forecast', (req, res) => {
+            try {
+                const weeks = this.parseWeeks(req.query.weeks);
+                const filter = this.parseFilter(req.query);
+
+                res.json({
+                    success: true,
+                    data: forecast(filterTasks(req.taskManager.getLeafTasks(), filter), { weeks }),
+                    meta: { filter }
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: 'Failed to build forecast',
+                    details: error.message
+                });
+            }
+        });
+    }
+
+    // Shared plumbing for the dated reports: bad parameters are the only failure mode
+    report(req, res, failure, build) {
+        try {
+            const range = resolveRange(req.query);
+            const filter = this.parseFilter(req.query);
+
+            res.json({
+                success: true,
+                data: build(filterTasks(req.taskManager.getLeafTasks(), filter), range),
+                meta: { from: range.start, to: range.end, interval: range.interval, filter }
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: failure,
+                details: error.message
+            });
+        }
+    }
+
+    parseFilter({ tag, category }) {
+        const filter = {};
+        if (tag) filter.tag = String(tag);
+        if (category) filter.category = String(category);
+        return filter;
+    }
+
+    parseWeeks(value) {
+        if (value === undefined || value === '') return 8;
+        const weeks = parseInt(value);
+        if (isNaN(weeks) || weeks < 1 || weeks > 52) {
+            throw new Error('weeks must be between 1 and 52');
+        }
+        return weeks;
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = AnalyticsAPI;
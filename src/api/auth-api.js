@@ -0,0 +1,76 @@
+const express = require('express');
+const { AccountStore } = require('../auth/account-store');
+const { WorkspaceAccess } = require('../auth/access');
+
+// Local accounts: register, sign in and out. Tokens go in "Authorization: Bearer <token>".
+class AuthAPI {
+    constructor(accounts, access) {
+        this.router = express.Router();
+        this.accounts = accounts;
+        this.access = access;
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        // Create an account (with a personal workspace) and sign straight in
+        this.router.post('/register', (req, res) => {
+            try {
+                const { email, password, name } = req.body || {};
+                this.accounts.register({ email, password, name });
+                const session = this.accounts.login(email, password);
+
+                res.status(201).json({
+                    success: true,
+                    data: this.sessionData(session),
+                    message: 'Account created'
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Registration failed');
+            }
+        });
+
+        this.router.post('/login', (req, res) => {
+            try {
+                const { email, password } = req.body || {};
+                const session = this.accounts.login(email, password);
+
+                res.json({
+                    success: true,
+                    data: this.sessionData(session),
+                    message: 'Signed in'
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Sign in failed');
+            }
+        });
+
+        this.router.post('/logout', this.access.requireUser(), (req, res) => {
+            this.accounts.logout(req.token);
+            res.json({
+                success: true,
+                message: 'Signed out'
+            });
+        });
+
+        // The signed-in user and the workspaces they can open
+        this.router.get('/me', this.access.requireUser(), (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    user: AccountStore.publicUser(req.user),
+                    workspaces: this.accounts.summarizeWorkspaces(req.user.id)
+                }
+            });
+        });
+    }
+
+    sessionData(session) {
+        return { ...session, workspaces: this.accounts.summarizeWorkspaces(session.user.id) };
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = AuthAPI;
@@ -0,0 +1,147 @@
+const express = require('express');
+const { fromICalendarEvents } = require('../core/task-formats');
+
+// Daily planning for the caller's task list: working hours and breaks, fixed
+// events imported from calendars, and the time-blocked agenda built from them.
+// The agenda is worked out on every request, so asking again after a task ran
+// over (or a meeting moved) re-plans the rest of the day.
+class PlannerAPI {
+    constructor(access) {
+        this.router = express.Router();
+        this.access = access;
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.use(this.access.middleware());
+        const canEdit = this.access.requireRole('editor');
+        const calendarBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '10mb' });
+
+        // Agenda for ?date=YYYY-MM-DD (default today), from the stored settings and events
+        this.router.get('/day', (req, res) => {
+            this.plan(req, res, { date: req.query.date });
+        });
+
+        // One-off agenda: { date, workingHours, breaks, events, ics } override or add to what is stored
+        this.router.post('/day', calendarBody, (req, res) => {
+            try {
+                const body = typeof req.body === 'string' ? { ics: req.body } : req.body || {};
+                this.plan(req, res, {
+                    date: body.date || req.query.date,
+                    workingHours: body.workingHours,
+                    breaks: body.breaks,
+                    events: [...(body.events || []), ...(body.ics ? fromICalendarEvents(body.ics) : [])]
+                });
+            } catch (error) {
+                this.fail(res, 'Failed to plan the day', error);
+            }
+        });
+
+        this.router.get('/settings', (req, res) => {
+            res.json({
+                success: true,
+                data: req.taskManager.getPlannerSettings()
+            });
+        });
+
+        // { workingHours: { start: "09:00", end: "17:30" }, breaks: [{ start, end, title }] }
+        this.router.put('/settings', canEdit, (req, res) => {
+            try {
+                const { workingHours, breaks } = req.body || {};
+                res.json({
+                    success: true,
+                    data: req.taskManager.savePlannerSettings({ workingHours, breaks }),
+                    message: 'Planner settings updated'
+                });
+            } catch (error) {
+                this.fail(res, 'Failed to update planner settings', error);
+            }
+        });
+
+        // Fixed events overlapping ?from=&to=
+        this.router.get('/events', (req, res) => {
+            try {
+                const from = this.parseDate(req.query.from, 'from');
+                const to = this.parseDate(req.query.to, 'to');
+                const events = req.taskManager.getFixedEvents(from, to);
+                res.json({
+                    success: true,
+                    data: events,
+                    meta: { count: events.length }
+                });
+            } catch (error) {
+                this.fail(res, 'Failed to fetch events', error);
+            }
+        });
+
+        // Import busy time: a raw iCalendar body, or JSON { ics } or { events }.
+        // ?replace=true drops previously imported events first.
+        this.router.post('/events', canEdit, calendarBody, (req, res) => {
+            try {
+                const body = typeof req.body === 'string' ? { ics: req.body } : req.body || {};
+                const events = body.ics ? fromICalendarEvents(body.ics) : body.events;
+                if (!Array.isArray(events) || events.length === 0) {
+                    throw new Error('Send an iCalendar file with timed events, or { events: [{ title, start, end }] }');
+                }
+                const imported = req.taskManager.addFixedEvents(events, { replace: req.query.replace === 'true' });
+
+                res.status(201).json({
+                    success: true,
+                    data: imported,
+                    meta: { imported: imported.length, total: req.taskManager.fixedEvents.length },
+                    message: `Imported ${imported.length} event${imported.length === 1 ? '' : 's'}`
+                });
+            } catch (error) {
+                this.fail(res, 'Failed to import events', error);
+            }
+        });
+
+        this.router.delete('/events', canEdit, (req, res) => {
+            const cleared = req.taskManager.clearFixedEvents();
+            res.json({
+                success: true,
+                meta: { cleared },
+                message: 'Fixed events cleared'
+            });
+        });
+    }
+
+    plan(req, res, options) {
+        try {
+            const plan = req.taskManager.planDay({
+                ...options,
+                assigneeId: req.user ? req.user.id : null
+            });
+            res.json({
+                success: true,
+                data: plan
+            });
+        } catch (error) {
+            this.fail(res, 'Failed to plan the day', error);
+        }
+    }
+
+    // Bad dates, clocks and events are the only failure modes
+    fail(res, summary, error) {
+        res.status(400).json({
+            success: false,
+            error: summary,
+            details: error.message
+        });
+    }
+
+    parseDate(value, name) {
+        if (value === undefined || value === '') return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`${name} must be a date, got "${value}"`);
+        }
+        return date;
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = PlannerAPI;
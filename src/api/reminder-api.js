@@ -0,0 +1,85 @@
+const express = require('express');
+
+const STATUSES = ['delivered', 'skipped', 'retrying', 'failed'];
+
+// Delivery log and upcoming reminders for the caller's task list
+class ReminderAPI {
+    constructor(access, scheduler) {
+        this.router = express.Router();
+        this.access = access;
+        this.scheduler = scheduler;
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.use(this.access.middleware());
+
+        // Newest first (?limit=&status=&taskId=)
+        this.router.get('/', (req, res) => {
+            try {
+                const query = this.parseLogQuery(req.query);
+                const { entries, total } = this.scheduler.getLog(req.taskManager, query);
+
+                res.json({
+                    success: true,
+                    data: entries,
+                    meta: { total, scheduler: this.scheduler.describe() }
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: 'Failed to load reminder log',
+                    details: error.message
+                });
+            }
+        });
+
+        // Reminders that will fire in the next ?hours= (default 24)
+        this.router.get('/upcoming', (req, res) => {
+            const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+            if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 31) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Failed to list upcoming reminders',
+                    details: 'hours must be between 0 and 744'
+                });
+            }
+
+            const until = new Date(this.scheduler.now().getTime() + hours * 60 * 60 * 1000);
+            res.json({
+                success: true,
+                data: this.scheduler.upcoming(req.taskManager, { until }),
+                meta: { until }
+            });
+        });
+    }
+
+    parseLogQuery({ limit, status, taskId }) {
+        const query = {};
+        if (limit !== undefined) {
+            query.limit = parseInt(limit);
+            if (isNaN(query.limit) || query.limit < 1 || query.limit > 200) {
+                throw new Error('limit must be between 1 and 200');
+            }
+        }
+        if (status !== undefined) {
+            if (!STATUSES.includes(status)) {
+                throw new Error(`status must be one of: ${STATUSES.join(', ')}`);
+            }
+            query.status = status;
+        }
+        if (taskId !== undefined) {
+            query.taskId = parseInt(taskId);
+            if (isNaN(query.taskId)) {
+                throw new Error('taskId must be a number');
+            }
+        }
+        return query;
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = ReminderAPI;
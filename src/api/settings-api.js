@@ -0,0 +1,167 @@
+const express = require('express');
+
+// Settings routes that act on the caller's workspace, resolved by TaskAPI's access layer.
+// Signed-in members have their own priority profiles and active profile, falling
+// back to the workspace's; ?scope=workspace edits the workspace default (editors only).
+class SettingsAPI {
+    constructor(access) {
+        this.router = express.Router();
+        this.access = access;
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.use(this.access.middleware());
+        const canEdit = this.access.requireRole('editor');
+        // Anyone may tune their own profiles; the workspace default needs an editor
+        const canEditScope = (req, res, next) => (this.userIdOf(req) ? next() : canEdit(req, res, next));
+
+        // Active priority profile plus the names of all profiles
+        this.router.get('/priority', (req, res) => {
+            try {
+                const userId = this.userIdOf(req);
+                const name = req.query.profile || req.taskManager.getActivePriorityProfile(userId);
+                const profile = req.taskManager.getPriorityProfile(name, userId);
+
+                if (!profile) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Priority profile not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: profile,
+                    meta: this.profileMeta(req, name)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to fetch priority settings',
+                    details: error.message
+                });
+            }
+        });
+
+        // Update weights, urgency buckets or learning mode (?profile= creates/targets another profile)
+        this.router.put('/priority', canEditScope, (req, res) => {
+            try {
+                const userId = this.userIdOf(req);
+                const name = req.query.profile || req.taskManager.getActivePriorityProfile(userId);
+                const { weights, urgency, learning } = req.body || {};
+                const profile = req.taskManager.savePriorityProfile(name, { weights, urgency, learning }, userId);
+
+                res.json({
+                    success: true,
+                    data: profile,
+                    meta: this.profileMeta(req, name),
+                    message: 'Priority settings updated'
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: 'Failed to update priority settings',
+                    details: error.message
+                });
+            }
+        });
+
+        // Switch the profile used for scoring
+        this.router.post('/priority/activate', canEditScope, (req, res) => {
+            try {
+                const name = req.body && req.body.profile;
+                const profile = req.taskManager.activatePriorityProfile(name, this.userIdOf(req));
+
+                res.json({
+                    success: true,
+                    data: profile,
+                    meta: this.profileMeta(req, name),
+                    message: `Priority profile "${name}" is now active`
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: 'Failed to activate priority profile',
+                    details: error.message
+                });
+            }
+        });
+
+        // Restore the built-in weights and urgency buckets
+        this.router.post('/priority/reset', canEditScope, (req, res) => {
+            try {
+                const userId = this.userIdOf(req);
+                const name = req.query.profile || req.taskManager.getActivePriorityProfile(userId);
+                const profile = req.taskManager.resetPriorityProfile(name, userId);
+
+                if (!profile) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Priority profile not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: profile,
+                    meta: this.profileMeta(req, name),
+                    message: 'Priority settings reset to defaults'
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to reset priority settings',
+                    details: error.message
+                });
+            }
+        });
+
+        // Remove a profile that is no longer used
+        this.router.delete('/priority/:profile', canEditScope, (req, res) => {
+            try {
+                const deleted = req.taskManager.deletePriorityProfile(req.params.profile, this.userIdOf(req));
+
+                if (!deleted) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Priority profile not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: deleted,
+                    message: 'Priority profile deleted'
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: 'Failed to delete priority profile',
+                    details: error.message
+                });
+            }
+        });
+    }
+
+    // Whose profiles a request acts on: the caller's, or the workspace's (null)
+    userIdOf(req) {
+        return req.user && req.query.scope !== 'workspace' ? req.user.id : null;
+    }
+
+    profileMeta(req, name) {
+        const userId = this.userIdOf(req);
+        return {
+            profile: name,
+            scope: userId ? 'user' : 'workspace',
+            active: name === req.taskManager.getActivePriorityProfile(userId),
+            profiles: req.taskManager.listPriorityProfiles(userId)
+        };
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = SettingsAPI;
@@ -1,69 +1,112 @@
 const express = require('express');
 const TaskManager = require('../core/task-manager');
+const { createTaskStorage } = require('../storage/task-storage');
+const WorkspaceRegistry = require('../storage/workspace-registry');
+const { AccountStore } = require('../auth/account-store');
+const { WorkspaceAccess } = require('../auth/access');
+const { parseRecurrence, formatRecurrence } = require('../core/recurrence');
+const { FORMATS, resolveFormat, formatFromContentType, parseTasks } = require('../core/task-formats');
+const { runBulk, parseOffset } = require('../core/task-bulk');
+const { CATEGORIES: VALID_CATEGORIES, guessCategory, parseQuickAdd } = require('../core/quick-add');
+const { parseTaskQuery } = require('../core/task-query');
 
 class TaskAPI {
-    constructor() {
+    constructor(options = {}) {
         this.router = express.Router();
-        this.taskManager = new TaskManager();
+        this.storageConfig = TaskAPI.resolveStorageConfig(options.storage);
+
+        // With auth every workspace has its own task list; without it everyone shares one
+        if (options.auth) {
+            this.workspaces = new WorkspaceRegistry(this.storageConfig);
+            this.accounts = new AccountStore(this.workspaces.createAccountStorage());
+            this.taskManager = null;
+        } else {
+            this.workspaces = null;
+            this.accounts = null;
+            this.taskManager = new TaskManager({
+                storage: createTaskStorage(this.storageConfig)
+            });
+        }
+        this.access = new WorkspaceAccess({
+            accounts: this.accounts,
+            registry: this.workspaces,
+            defaultManager: this.taskManager
+        });
         this.setupRoutes();
     }
 
+    // Storage comes from explicit config first, then TASK_STORAGE / TASK_STORAGE_PATH
+    static resolveStorageConfig(config = {}) {
+        return {
+            type: config.type || process.env.TASK_STORAGE || 'json',
+            path: config.path || process.env.TASK_STORAGE_PATH,
+            compactEvery: config.compactEvery
+        };
+    }
+
+    // Load persisted tasks - must finish before the router serves requests
+    async initialize() {
+        if (this.accounts) {
+            await this.accounts.load();
+        } else {
+            await this.taskManager.initialize();
+        }
+        return this;
+    }
+
+    async close() {
+        if (this.accounts) {
+            await this.workspaces.closeAll();
+            await this.accounts.close();
+        } else {
+            await this.taskManager.close();
+        }
+    }
+
+    // Every task list the server holds, for background jobs: one per workspace, or the shared one
+    async listTaskManagers() {
+        if (!this.accounts) {
+            return [{ workspace: null, taskManager: this.taskManager }];
+        }
+        return Promise.all(Object.values(this.accounts.workspaces).map(async workspace => ({
+            workspace,
+            taskManager: await this.workspaces.open(workspace)
+        })));
+    }
+
     setupRoutes() {
-        // Get all tasks with smart sorting
+        // Every route acts on the caller's workspace (req.taskManager); viewers may only read
+        this.router.use(this.access.middleware());
+        const canEdit = this.access.requireRole('editor');
+
+        // List tasks: full-text search and filter query (?q=), sorting and cursor pagination
         this.router.get('/tasks', (req, res) => {
             try {
-                const { sort = 'priority', category, status } = req.query;
-                let tasks;
-
-                switch (sort) {
-                    case 'priority':
-                        tasks = this.taskManager.getTasksByPriority();
-                        break;
-                    case 'deadline':
-                        tasks = this.taskManager.getTasksByPriority()
-                            .sort((a, b) => {
-                                if (!a.deadline && !b.deadline) return 0;
-                                if (!a.deadline) return 1;
-                                if (!b.deadline) return -1;
-                                return new Date(a.deadline) - new Date(b.deadline);
-                            });
-                        break;
-                    case 'created':
-                        tasks = [...this.taskManager.tasks].sort((a, b) => 
-                            new Date(b.createdAt) - new Date(a.createdAt));
-                        break;
-                    default:
-                        tasks = this.taskManager.getTasksByPriority();
-                }
-
-                // Filter by category if specified
-                if (category && category !== 'all') {
-                    tasks = tasks.filter(task => task.category === category);
-                }
-
-                // Filter by status if specified
-                if (status) {
-                    if (status === 'completed') {
-                        tasks = tasks.filter(task => task.completed);
-                    } else if (status === 'pending') {
-                        tasks = tasks.filter(task => !task.completed);
-                    } else if (status === 'overdue') {
-                        tasks = this.taskManager.getOverdueTasks();
-                    } else if (status === 'due-today') {
-                        tasks = this.taskManager.getTasksDueToday();
-                    }
-                }
+                const { q = '', sort, category, cursor } = req.query;
+                // Sorting by creation date has always listed completed tasks too, and a
+                // status: filter in the query replaces the default
+                const queriesStatus = parseTaskQuery(q).filters.some(filter => filter.field === 'status');
+                const status = req.query.status || (sort === 'created' || queriesStatus ? 'all' : 'pending');
+                const limit = this.parseLimit(req.query.limit);
+                const { tasks, total, nextCursor } = req.taskManager.searchTasks({
+                    q, sort, category, status, limit, cursor,
+                    currentUserId: req.user ? req.user.id : null
+                });
 
                 res.json({
                     success: true,
                     data: tasks,
                     meta: {
-                        total: tasks.length,
-                        insights: this.taskManager.getInsights()
+                        total,
+                        count: tasks.length,
+                        limit,
+                        nextCursor,
+                        insights: req.taskManager.getInsights()
                     }
                 });
             } catch (error) {
-                res.status(500).json({
+                // Query, sort and cursor problems are the caller's to fix
+                res.status(400).json({
                     success: false,
                     error: 'Failed to fetch tasks',
                     details: error.message
@@ -75,7 +118,12 @@ class TaskAPI {
         this.router.get('/tasks/recommendations', (req, res) => {
             try {
                 const timeAvailable = parseInt(req.query.time) || 60;
-                const recommendations = this.taskManager.getRecommendedTasks(timeAvailable);
+                const recommendations = req.taskManager.getRecommendedTasks(timeAvailable);
+                const model = req.taskManager.getEstimateModel();
+                const plannedMinutes = {};
+                recommendations.forEach(task => {
+                    plannedMinutes[task.id] = req.taskManager.getPlannedMinutes(task, model);
+                });
                 
                 res.json({
                     success: true,
@@ -83,7 +131,9 @@ class TaskAPI {
                     meta: {
                         timeAvailable,
                         totalEstimatedTime: recommendations.reduce((sum, task) => 
-                            sum + task.estimatedMinutes, 0)
+                            sum + task.estimatedMinutes, 0),
+                        totalPlannedTime: Object.values(plannedMinutes).reduce((sum, minutes) => sum + minutes, 0),
+                        plannedMinutes
                     }
                 });
             } catch (error) {
@@ -95,11 +145,70 @@ class TaskAPI {
             }
         });
 
+        // List upcoming occurrences of recurring tasks in a date window
+        this.router.get('/tasks/occurrences', (req, res) => {
+            try {
+                const from = req.query.from ? new Date(req.query.from) : new Date();
+                const to = req.query.to
+                    ? new Date(req.query.to)
+                    : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+                if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid date window',
+                        details: 'Use ISO dates with from <= to'
+                    });
+                }
+
+                const occurrences = req.taskManager.getUpcomingOccurrences(from, to);
+
+                res.json({
+                    success: true,
+                    data: occurrences,
+                    meta: {
+                        from,
+                        to,
+                        total: occurrences.length
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to list occurrences',
+                    details: error.message
+                });
+            }
+        });
+
+        // Critical path: longest dependency chain and earliest finish per open task
+        this.router.get('/tasks/critical-path', (req, res) => {
+            try {
+                const criticalPath = req.taskManager.getCriticalPath(new Date());
+
+                res.json({
+                    success: true,
+                    data: criticalPath,
+                    meta: {
+                        openTasks: criticalPath.schedule.length,
+                        criticalTasks: criticalPath.schedule.filter(item => item.critical).length,
+                        atRisk: criticalPath.schedule.filter(item => item.missesDeadline).length
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to compute critical path',
+                    details: error.message
+                });
+            }
+        });
+
         // Get specific task by ID
         this.router.get('/tasks/:id', (req, res) => {
             try {
                 const taskId = parseInt(req.params.id);
-                const task = this.taskManager.tasks.find(t => t.id === taskId);
+                const task = req.taskManager.tasks.find(t => t.id === taskId);
                 
                 if (!task) {
                     return res.status(404).json({
@@ -121,11 +230,182 @@ class TaskAPI {
             }
         });
 
+        // Explain a task's priority score component by component
+        this.router.get('/tasks/:id/score', (req, res) => {
+            try {
+                const taskId = parseInt(req.params.id);
+                const task = req.taskManager.tasks.find(t => t.id === taskId);
+
+                if (!task) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Task not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: req.taskManager.explainPriority(task, req.user ? req.user.id : null)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to explain task priority',
+                    details: error.message
+                });
+            }
+        });
+
+        // Get a task with all of its subtasks, nested
+        this.router.get('/tasks/:id/tree', (req, res) => {
+            try {
+                const taskId = parseInt(req.params.id);
+                const tree = req.taskManager.getTaskTree(taskId);
+
+                if (!tree) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Task not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: tree
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to build task tree',
+                    details: error.message
+                });
+            }
+        });
+
+        // Change history of one task, newest first, with field-level diffs
+        this.router.get('/tasks/:id/history', (req, res) => {
+            try {
+                const taskId = parseInt(req.params.id);
+                const history = req.taskManager.history.forTask(taskId);
+
+                if (history.length === 0 && !req.taskManager.tasks.some(t => t.id === taskId)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Task not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: history,
+                    meta: { total: history.length }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to fetch task history',
+                    details: error.message
+                });
+            }
+        });
+
+        // Move a task and its subtasks under another parent (null = top level)
+        this.router.post('/tasks/:id/move', canEdit, (req, res) => {
+            try {
+                const taskId = parseInt(req.params.id);
+                if (!req.body || req.body.parentId === undefined) {
+                    throw new Error('parentId is required (use null to move to the top level)');
+                }
+                const parentId = this.parseParentId(req.body.parentId);
+                const movedTask = this.asActor(req, 'task.moved', () => req.taskManager.moveTask(taskId, parentId));
+
+                if (!movedTask) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Task not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: movedTask,
+                    message: 'Task moved successfully'
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: 'Failed to move task',
+                    details: error.message
+                });
+            }
+        });
+
+        // Start or stop the time tracker on a task
+        ['start', 'stop'].forEach(action => {
+            this.router.post(`/tasks/:id/timer/${action}`, canEdit, (req, res) => {
+                try {
+                    const taskId = parseInt(req.params.id);
+                    const entry = this.asActor(req, action === 'start' ? 'timer.started' : 'timer.stopped', () =>
+                        (action === 'start' ? req.taskManager.startTimer(taskId) : req.taskManager.stopTimer(taskId)));
+
+                    if (!entry) {
+                        return res.status(404).json({
+                            success: false,
+                            error: 'Task not found'
+                        });
+                    }
+
+                    const task = req.taskManager.tasks.find(t => t.id === taskId);
+                    res.json({
+                        success: true,
+                        data: entry,
+                        meta: {
+                            actualMinutes: task.actualMinutes,
+                            estimatedMinutes: task.estimatedMinutes,
+                            suggestedMinutes: task.suggestedMinutes
+                        },
+                        message: action === 'start' ? 'Timer started' : `Timer stopped after ${entry.minutes} min`
+                    });
+                } catch (error) {
+                    res.status(400).json({
+                        success: false,
+                        error: `Failed to ${action} timer`,
+                        details: error.message
+                    });
+                }
+            });
+        });
+
+        // Parse a quick-add phrase ("call the printer tomorrow 3pm #client !high ~45m")
+        // into task fields without saving, so the UI can preview them
+        this.router.post('/tasks/parse', (req, res) => {
+            try {
+                const text = req.body && req.body.text;
+                if (!text || !String(text).trim()) {
+                    throw new Error('text is required');
+                }
+                const { fields, recognized } = parseQuickAdd(text);
+
+                res.json({
+                    success: true,
+                    data: fields,
+                    meta: { recognized }
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: 'Failed to parse task',
+                    details: error.message
+                });
+            }
+        });
+
         // Create new task
-        this.router.post('/tasks', (req, res) => {
+        this.router.post('/tasks', canEdit, (req, res) => {
             try {
                 const taskData = this.validateTaskData(req.body);
-                const newTask = this.taskManager.createTask(taskData);
+                this.checkAssignee(req, taskData.assigneeId);
+                const newTask = this.asActor(req, 'task.created', () => req.taskManager.createTask(taskData));
                 
                 res.status(201).json({
                     success: true,
@@ -142,11 +422,12 @@ class TaskAPI {
         });
 
         // Update existing task
-        this.router.put('/tasks/:id', (req, res) => {
+        this.router.put('/tasks/:id', canEdit, (req, res) => {
             try {
                 const taskId = parseInt(req.params.id);
                 const updates = this.validateTaskData(req.body, false);
-                const updatedTask = this.taskManager.updateTask(taskId, updates);
+                this.checkAssignee(req, updates.assigneeId);
+                const updatedTask = this.asActor(req, 'task.updated', () => req.taskManager.updateTask(taskId, updates));
                 
                 if (!updatedTask) {
                     return res.status(404).json({
@@ -170,10 +451,12 @@ class TaskAPI {
         });
 
         // Mark task as completed
-        this.router.patch('/tasks/:id/complete', (req, res) => {
+        this.router.patch('/tasks/:id/complete', canEdit, (req, res) => {
             try {
                 const taskId = parseInt(req.params.id);
-                const completedTask = this.taskManager.completeTask(taskId);
+                const cascade = [req.query.cascade, req.body && req.body.cascade]
+                    .some(value => value === true || value === 'true');
+                const completedTask = this.asActor(req, 'task.completed', () => req.taskManager.completeTask(taskId, { cascade }));
                 
                 if (!completedTask) {
                     return res.status(404).json({
@@ -182,10 +465,18 @@ class TaskAPI {
                     });
                 }
 
+                const nextTaskId = completedTask.recurrence && completedTask.recurrence.nextTaskId;
+                const nextOccurrence = nextTaskId
+                    ? req.taskManager.tasks.find(t => t.id === nextTaskId) || null
+                    : null;
+
                 res.json({
                     success: true,
                     data: completedTask,
-                    message: 'Task marked as completed! 🎉'
+                    nextOccurrence,
+                    message: nextOccurrence
+                        ? 'Task marked as completed! 🎉 The next one is scheduled.'
+                        : 'Task marked as completed! 🎉'
                 });
             } catch (error) {
                 res.status(500).json({
@@ -197,10 +488,10 @@ class TaskAPI {
         });
 
         // Delete task
-        this.router.delete('/tasks/:id', (req, res) => {
+        this.router.delete('/tasks/:id', canEdit, (req, res) => {
             try {
                 const taskId = parseInt(req.params.id);
-                const deletedTask = this.taskManager.deleteTask(taskId);
+                const deletedTask = this.asActor(req, 'task.deleted', () => req.taskManager.deleteTask(taskId));
                 
                 if (!deletedTask) {
                     return res.status(404).json({
@@ -226,9 +517,9 @@ class TaskAPI {
         // Get productivity insights and analytics
         this.router.get('/analytics/insights', (req, res) => {
             try {
-                const insights = this.taskManager.getInsights();
-                const overdueTasks = this.taskManager.getOverdueTasks();
-                const dueToday = this.taskManager.getTasksDueToday();
+                const insights = req.taskManager.getInsights();
+                const overdueTasks = req.taskManager.getOverdueTasks();
+                const dueToday = req.taskManager.getTasksDueToday();
                 
                 res.json({
                     success: true,
@@ -236,7 +527,7 @@ class TaskAPI {
                         ...insights,
                         upcomingDeadlines: dueToday,
                         overdueItems: overdueTasks,
-                        timeRecommendations: this.generateTimeRecommendations()
+                        timeRecommendations: this.generateTimeRecommendations(req.taskManager)
                     }
                 });
             } catch (error) {
@@ -248,14 +539,40 @@ class TaskAPI {
             }
         });
 
-        // Export tasks
+        // How far estimates drift from tracked time, per category and complexity
+        this.router.get('/analytics/estimates', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    data: req.taskManager.getEstimateModel()
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to build estimate model',
+                    details: error.message
+                });
+            }
+        });
+
+        // Export tasks (?format=json|csv|md|ics)
         this.router.get('/export', (req, res) => {
+            let format;
+            try {
+                format = resolveFormat(req.query.format || 'json');
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported export format',
+                    details: error.message
+                });
+            }
+
             try {
-                const format = req.query.format || 'json';
-                const exportData = this.taskManager.exportTasks(format);
+                const exportData = req.taskManager.exportTasks(format);
                 
-                res.setHeader('Content-Disposition', `attachment; filename=tasks-export.${format}`);
-                res.setHeader('Content-Type', 'application/json');
+                res.setHeader('Content-Disposition', `attachment; filename=tasks-export.${FORMATS[format].extension}`);
+                res.setHeader('Content-Type', FORMATS[format].contentType);
                 res.send(exportData);
             } catch (error) {
                 res.status(500).json({
@@ -266,16 +583,33 @@ class TaskAPI {
             }
         });
 
-        // Import tasks
-        this.router.post('/import', (req, res) => {
+        // Import tasks: JSON { tasks, format } or a raw CSV/Markdown/iCalendar body
+        const textBody = express.text({
+            type: ['text/csv', 'text/markdown', 'text/x-markdown', 'text/calendar', 'text/plain'],
+            limit: '10mb'
+        });
+        this.router.post('/import', canEdit, textBody, (req, res) => {
             try {
-                const success = this.taskManager.importTasks(req.body.tasks);
+                const rawText = typeof req.body === 'string';
+                const format = resolveFormat(req.query.format || (!rawText && req.body.format) ||
+                    formatFromContentType(req.get('Content-Type')));
+                const records = parseTasks(rawText ? req.body : req.body.tasks, format);
+                // Assignees from another workspace mean nothing here
+                records.forEach(record => {
+                    if (record.assigneeId && !this.isAssignable(req, record.assigneeId)) record.assigneeId = null;
+                });
+                const countBefore = req.taskManager.tasks.length;
+                const success = this.asActor(req, 'tasks.imported', () => req.taskManager.importTasks(records));
                 
                 if (success) {
                     res.json({
                         success: true,
                         message: 'Tasks imported successfully',
-                        data: this.taskManager.getInsights()
+                        data: req.taskManager.getInsights(),
+                        meta: {
+                            format,
+                            imported: req.taskManager.tasks.length - countBefore
+                        }
                     });
                 } else {
                     res.status(400).json({
@@ -292,29 +626,92 @@ class TaskAPI {
             }
         });
 
-        // Bulk operations
-        this.router.post('/tasks/bulk', (req, res) => {
+        // Audit log of the workspace, newest first (?limit=&before=<seq>)
+        this.router.get('/history', (req, res) => {
             try {
-                const { action, taskIds } = req.body;
-                const results = [];
-
-                for (const taskId of taskIds) {
-                    switch (action) {
-                        case 'complete':
-                            results.push(this.taskManager.completeTask(parseInt(taskId)));
-                            break;
-                        case 'delete':
-                            results.push(this.taskManager.deleteTask(parseInt(taskId)));
-                            break;
-                        default:
-                            throw new Error(`Unknown bulk action: ${action}`);
+                const limit = this.parseLimit(req.query.limit);
+                const before = req.query.before !== undefined ? parseInt(req.query.before) : undefined;
+                const entries = req.taskManager.history.list({ limit, before });
+
+                res.json({
+                    success: true,
+                    data: entries,
+                    meta: {
+                        count: entries.length,
+                        nextBefore: entries.length === limit ? entries[entries.length - 1].seq : null
+                    }
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: 'Failed to fetch history',
+                    details: error.message
+                });
+            }
+        });
+
+        // Undo or redo the caller's latest change
+        ['undo', 'redo'].forEach(direction => {
+            this.router.post(`/${direction}`, canEdit, (req, res) => {
+                try {
+                    const entry = req.taskManager[direction](this.actorOf(req));
+
+                    if (!entry) {
+                        return res.status(404).json({
+                            success: false,
+                            error: `Nothing to ${direction}`
+                        });
                     }
+
+                    const taskIds = entry.changes.map(change => change.taskId);
+                    res.json({
+                        success: true,
+                        data: req.taskManager.tasks.filter(task => taskIds.includes(task.id)),
+                        meta: {
+                            entry: entry.seq,
+                            action: entry.action,
+                            taskIds
+                        },
+                        message: `${direction === 'undo' ? 'Undid' : 'Redid'} ${entry.action} (${taskIds.length} task${taskIds.length === 1 ? '' : 's'})`
+                    });
+                } catch (error) {
+                    res.status(400).json({
+                        success: false,
+                        error: `Failed to ${direction}`,
+                        details: error.message
+                    });
+                }
+            });
+        });
+
+        // Bulk operations
+        // Bulk actions: complete, delete, update, addTags, removeTags, categorize,
+        // shiftDeadline, setDependencies. With atomic: true the whole batch is
+        // validated first and either applied in full or not at all.
+        this.router.post('/tasks/bulk', canEdit, (req, res) => {
+            try {
+                const { action, taskIds, atomic } = req.body;
+                const params = this.validateBulkParams(req, action, req.body);
+                const report = runBulk(req.taskManager, { action, taskIds, params }, {
+                    atomic: atomic === true || atomic === 'true',
+                    actor: this.actorOf(req)
+                });
+
+                if (!report.applied) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Bulk operation rejected',
+                        details: `${report.failed} of ${report.results.length} tasks failed; nothing was changed`,
+                        data: report
+                    });
                 }
 
                 res.json({
                     success: true,
-                    data: results.filter(r => r !== null),
-                    message: `Bulk ${action} completed successfully`
+                    data: report,
+                    message: report.failed > 0
+                        ? `Bulk ${action}: ${report.succeeded} applied, ${report.failed} failed`
+                        : `Bulk ${action} completed successfully`
                 });
             } catch (error) {
                 res.status(400).json({
@@ -326,10 +723,21 @@ class TaskAPI {
         });
     }
 
+    // Field values go through the same validation as single-task edits
+    validateBulkParams(req, action, body) {
+        if (action === 'update') {
+            const changes = this.validateTaskData(body.changes || {}, false);
+            this.checkAssignee(req, changes.assigneeId);
+            return { changes };
+        }
+        if (action === 'categorize' && body.category !== undefined && !VALID_CATEGORIES.includes(body.category)) {
+            throw new Error(`Category must be one of: ${VALID_CATEGORIES.join(', ')}`);
+        }
+        return body;
+    }
+
     // Validate task data with smart defaults
     validateTaskData(data, requireTitle = true) {
-        const validCategories = ['work', 'personal', 'health', 'learning', 'finance', 'general'];
-        
         if (requireTitle && (!data.title || data.title.trim() === '')) {
             throw new Error('Task title is required');
         }
@@ -341,7 +749,7 @@ class TaskAPI {
         
         // Category validation with smart categorization
         if (data.category) {
-            validated.category = validCategories.includes(data.category) 
+            validated.category = VALID_CATEGORIES.includes(data.category) 
                 ? data.category 
                 : this.autoCategorizTask(data.title || '');
         }
@@ -379,34 +787,97 @@ class TaskAPI {
             validated.tags = data.tags.map(tag => tag.toString().trim()).filter(tag => tag.length > 0);
         }
 
+        // Parent validation - null/empty makes the task top-level
+        if (data.parentId !== undefined) {
+            validated.parentId = this.parseParentId(data.parentId);
+        }
+
+        // Assignee validation - null/empty unassigns; membership is checked per workspace
+        if (data.assigneeId !== undefined) {
+            validated.assigneeId = data.assigneeId ? String(data.assigneeId).trim() : null;
+        }
+
+        // Reminders: minutes (or offsets like "15m", "1d") before the deadline.
+        // null goes back to the server default, [] turns reminders off
+        if (data.reminders !== undefined) {
+            validated.reminders = data.reminders === null ? null : this.parseReminders(data.reminders);
+        }
+
+        // Recurrence validation (RRULE subset) - null/empty clears it on update
+        if (data.recurrence !== undefined) {
+            validated.recurrence = data.recurrence
+                ? formatRecurrence(parseRecurrence(data.recurrence))
+                : null;
+        }
+
         return validated;
     }
 
-    // Auto-categorize task based on title keywords
-    autoCategorizTask(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (/meeting|call|email|presentation|project|deadline|report/.test(titleLower)) {
-            return 'work';
+    // Who made a change, as recorded in the task history (null in single-user mode)
+    actorOf(req) {
+        return req.user ? { id: req.user.id, name: req.user.name } : null;
+    }
+
+    // Record everything fn() changes as one history entry attributed to the caller
+    asActor(req, action, fn) {
+        return req.taskManager.transaction(action, fn, { actor: this.actorOf(req) });
+    }
+
+    // Only members of the caller's workspace can be assigned tasks
+    isAssignable(req, userId) {
+        return Boolean(req.workspace) && Boolean(this.accounts.getRole(req.workspace.id, userId));
+    }
+
+    checkAssignee(req, assigneeId) {
+        if (!assigneeId) return;
+        if (!req.workspace) {
+            throw new Error('Tasks can only be assigned when accounts are enabled');
         }
-        if (/exercise|gym|doctor|health|meditation|diet/.test(titleLower)) {
-            return 'health';
+        if (!this.isAssignable(req, assigneeId)) {
+            throw new Error('Assignee must be a member of this workspace');
         }
-        if (/learn|study|course|read|research|tutorial/.test(titleLower)) {
-            return 'learning';
+    }
+
+    // Page size for task listings: 50 by default, at most 500
+    parseLimit(value) {
+        if (value === undefined || value === '') return 50;
+        const limit = parseInt(value);
+        if (isNaN(limit) || limit < 1) {
+            throw new Error('limit must be a positive integer');
         }
-        if (/pay|bill|budget|money|finance|bank|tax/.test(titleLower)) {
-            return 'finance';
+        return Math.min(limit, 500);
+    }
+
+    parseReminders(value) {
+        if (!Array.isArray(value)) {
+            throw new Error('reminders must be an array of offsets like 15, "1h" or "1d"');
         }
-        if (/family|friend|personal|home|clean|shopping/.test(titleLower)) {
-            return 'personal';
+        const minutes = value.map(offset => {
+            const parsed = typeof offset === 'number' ? offset : parseOffset(offset) / 60000;
+            if (!Number.isFinite(parsed) || parsed < 0) {
+                throw new Error(`Reminder offsets must be zero or more minutes before the deadline, got "${offset}"`);
+            }
+            return Math.round(parsed);
+        });
+        return [...new Set(minutes)].sort((a, b) => a - b);
+    }
+
+    parseParentId(value) {
+        if (value === null || value === '') return null;
+        const parentId = parseInt(value);
+        if (isNaN(parentId)) {
+            throw new Error('parentId must be a task id or null');
         }
-        
-        return 'general';
+        return parentId;
+    }
+
+    // Auto-categorize task based on title keywords
+    autoCategorizTask(title) {
+        return guessCategory(title);
     }
 
     // Generate time-based recommendations
-    generateTimeRecommendations() {
+    generateTimeRecommendations(taskManager) {
         const currentHour = new Date().getHours();
         let recommendations = [];
 
@@ -420,12 +891,12 @@ class TaskAPI {
             recommendations.push("🎯 Any time is productive time! Focus on priority tasks.");
         }
 
-        const overdueTasks = this.taskManager.getOverdueTasks().length;
+        const overdueTasks = taskManager.getOverdueTasks().length;
         if (overdueTasks > 0) {
             recommendations.push(`⚠️ You have ${overdueTasks} overdue task${overdueTasks > 1 ? 's' : ''}. Consider tackling them first!`);
         }
 
-        const dueToday = this.taskManager.getTasksDueToday().length;
+        const dueToday = taskManager.getTasksDueToday().length;
         if (dueToday > 0) {
             recommendations.push(`📅 ${dueToday} task${dueToday > 1 ? 's are' : ' is'} due today. Stay on track!`);
         }
@@ -437,6 +908,7 @@ class TaskAPI {
         return this.router;
     }
 
+    // The shared task list in single-user mode (null when accounts are enabled)
     getTaskManager() {
         return this.taskManager;
     }
@@ -0,0 +1,172 @@
+const { WebSocketServer } = require('ws');
+const { WorkspaceAccess } = require('../auth/access');
+
+const STATUS_TEXT = { 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 500: 'Internal Server Error' };
+
+// Pushes task changes to connected clients over WebSocket.
+// Changes made in the same tick (a cascade, an import) go out as one message
+// together with freshly computed insights.
+// With an access layer, clients pass ?token=&workspace= and only hear about
+// their own workspace; without one everyone follows the single shared list.
+class TaskFeed {
+    constructor(taskManager, options = {}) {
+        this.taskManager = taskManager;
+        this.access = options.access || null;
+        this.path = options.path || '/api/tasks/feed';
+        this.heartbeatMs = options.heartbeatMs || 30000;
+        this.wss = null;
+        this.server = null;
+        this.heartbeat = null;
+        this.channels = new Map(); // TaskManager -> { sockets, pending, flushScheduled, listener }
+        this.handleUpgrade = (req, socket, head) => this.upgrade(req, socket, head);
+    }
+
+    // Share the HTTP server's port; upgrades on other paths are left alone
+    attach(server) {
+        this.server = server;
+        this.wss = new WebSocketServer({ noServer: true });
+        server.on('upgrade', this.handleUpgrade);
+
+        // Drop clients that vanished without closing (sleeping laptops, dead proxies)
+        this.heartbeat = setInterval(() => this.checkClients(), this.heartbeatMs);
+        this.heartbeat.unref();
+        return this;
+    }
+
+    async upgrade(req, socket, head) {
+        if (new URL(req.url, 'http://localhost').pathname !== this.path) return;
+
+        let taskManager;
+        try {
+            taskManager = this.access
+                ? (await this.access.resolve({
+                    token: WorkspaceAccess.readToken(req, { allowQuery: true }),
+                    workspaceId: WorkspaceAccess.readWorkspaceId(req)
+                })).taskManager
+                : this.taskManager;
+        } catch (error) {
+            const status = error.status || 500;
+            socket.end(`HTTP/1.1 ${status} ${STATUS_TEXT[status] || 'Error'}\r\nConnection: close\r\n\r\n`);
+            return;
+        }
+
+        if (!this.wss) return socket.destroy();
+        this.wss.handleUpgrade(req, socket, head, ws => this.handleConnection(ws, taskManager));
+    }
+
+    handleConnection(socket, taskManager) {
+        const channel = this.subscribe(taskManager);
+        channel.sockets.add(socket);
+
+        socket.isAlive = true;
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+        socket.on('error', () => socket.terminate());
+        socket.on('close', () => this.unsubscribe(taskManager, socket));
+
+        this.send(socket, {
+            type: 'hello',
+            insights: taskManager.getInsights(),
+            clients: channel.sockets.size,
+            at: new Date()
+        });
+    }
+
+    // One change listener per task list, however many clients follow it
+    subscribe(taskManager) {
+        if (!this.channels.has(taskManager)) {
+            const channel = { sockets: new Set(), pending: [], flushScheduled: false };
+            channel.listener = change => this.queue(taskManager, change);
+            taskManager.on('change', channel.listener);
+            this.channels.set(taskManager, channel);
+        }
+        return this.channels.get(taskManager);
+    }
+
+    unsubscribe(taskManager, socket) {
+        const channel = this.channels.get(taskManager);
+        if (!channel) return;
+        channel.sockets.delete(socket);
+        if (channel.sockets.size === 0) {
+            taskManager.off('change', channel.listener);
+            this.channels.delete(taskManager);
+        }
+    }
+
+    // Snapshot the task now - it may change again before the flush
+    queue(taskManager, { type, task }) {
+        const channel = this.channels.get(taskManager);
+        channel.pending.push({
+            type,
+            taskId: task ? task.id : null,
+            task: task ? JSON.parse(JSON.stringify(task)) : null
+        });
+
+        if (!channel.flushScheduled) {
+            channel.flushScheduled = true;
+            setImmediate(() => this.flush(taskManager));
+        }
+    }
+
+    flush(taskManager) {
+        const channel = this.channels.get(taskManager);
+        if (!channel) return;
+        channel.flushScheduled = false;
+        if (channel.pending.length === 0) return;
+
+        const events = channel.pending;
+        channel.pending = [];
+        this.broadcast(channel, {
+            type: 'changes',
+            events,
+            insights: taskManager.getInsights(),
+            at: new Date()
+        });
+    }
+
+    // One-off message (a reminder) to everyone following this task list; returns how many
+    notify(taskManager, message) {
+        const channel = this.channels.get(taskManager);
+        if (!channel) return 0;
+        this.broadcast(channel, message);
+        return channel.sockets.size;
+    }
+
+    broadcast(channel, message) {
+        const payload = JSON.stringify(message);
+        channel.sockets.forEach(socket => this.send(socket, payload));
+    }
+
+    send(socket, message) {
+        if (socket.readyState !== socket.OPEN) return;
+        socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+
+    checkClients() {
+        this.wss.clients.forEach(socket => {
+            if (!socket.isAlive) {
+                socket.terminate();
+                return;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }
+
+    close() {
+        if (!this.wss) return Promise.resolve();
+
+        clearInterval(this.heartbeat);
+        this.server.off('upgrade', this.handleUpgrade);
+        this.channels.forEach((channel, taskManager) => taskManager.off('change', channel.listener));
+        this.channels.clear();
+        this.wss.clients.forEach(socket => socket.terminate());
+
+        const wss = this.wss;
+        this.wss = null;
+        return new Promise(resolve => wss.close(() => resolve()));
+    }
+}
+
+module.exports = TaskFeed;
@@ -0,0 +1,165 @@
+const express = require('express');
+const { WorkspaceAccess, hasRole, statusError } = require('../auth/access');
+
+// Workspace and membership management. Any signed-in user can create a
+// workspace; renaming, deleting and managing members needs the owner role.
+class WorkspaceAPI {
+    constructor(accounts, registry, access) {
+        this.router = express.Router();
+        this.accounts = accounts;
+        this.registry = registry;
+        this.access = access;
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.use(this.access.requireUser());
+
+        this.router.get('/', (req, res) => {
+            res.json({
+                success: true,
+                data: this.accounts.summarizeWorkspaces(req.user.id)
+            });
+        });
+
+        this.router.post('/', (req, res) => {
+            try {
+                const workspace = this.accounts.createWorkspace(req.user.id, req.body && req.body.name);
+
+                res.status(201).json({
+                    success: true,
+                    data: this.describe(workspace, req.user.id),
+                    message: 'Workspace created'
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Failed to create workspace');
+            }
+        });
+
+        // Workspace details with its members
+        this.router.get('/:id', (req, res) => {
+            try {
+                const workspace = this.authorize(req, 'viewer');
+
+                res.json({
+                    success: true,
+                    data: this.describe(workspace, req.user.id)
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Failed to fetch workspace');
+            }
+        });
+
+        this.router.patch('/:id', (req, res) => {
+            try {
+                const workspace = this.authorize(req, 'owner');
+                this.accounts.renameWorkspace(workspace.id, req.body && req.body.name);
+
+                res.json({
+                    success: true,
+                    data: this.describe(workspace, req.user.id),
+                    message: 'Workspace renamed'
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Failed to rename workspace');
+            }
+        });
+
+        // Deletes the workspace together with all of its tasks
+        this.router.delete('/:id', async (req, res) => {
+            try {
+                const workspace = this.authorize(req, 'owner');
+                await this.registry.destroy(workspace);
+                this.accounts.deleteWorkspace(workspace.id);
+
+                res.json({
+                    success: true,
+                    data: { id: workspace.id, name: workspace.name },
+                    message: 'Workspace deleted'
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Failed to delete workspace');
+            }
+        });
+
+        // Invite an existing account by email (role defaults to editor)
+        this.router.post('/:id/members', (req, res) => {
+            try {
+                const workspace = this.authorize(req, 'owner');
+                const { email, role = 'editor' } = req.body || {};
+                this.accounts.addMember(workspace.id, email, role);
+
+                res.status(201).json({
+                    success: true,
+                    data: this.describe(workspace, req.user.id),
+                    message: `${email} added as ${role}`
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Failed to add member');
+            }
+        });
+
+        this.router.patch('/:id/members/:userId', (req, res) => {
+            try {
+                const workspace = this.authorize(req, 'owner');
+                this.accounts.setMemberRole(workspace.id, req.params.userId, req.body && req.body.role);
+
+                res.json({
+                    success: true,
+                    data: this.describe(workspace, req.user.id),
+                    message: 'Member role updated'
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Failed to update member');
+            }
+        });
+
+        // Owners remove anyone; members can always leave
+        this.router.delete('/:id/members/:userId', async (req, res) => {
+            try {
+                const leaving = req.params.userId === req.user.id;
+                const workspace = this.authorize(req, leaving ? 'viewer' : 'owner');
+                this.accounts.removeMember(workspace.id, req.params.userId);
+                const taskManager = await this.registry.open(workspace);
+                const unassigned = taskManager.transaction('tasks.unassigned',
+                    () => taskManager.unassignMember(req.params.userId),
+                    { actor: { id: req.user.id, name: req.user.name } });
+
+                res.json({
+                    success: true,
+                    data: this.describe(workspace, req.user.id),
+                    meta: { unassignedTasks: unassigned.length },
+                    message: leaving ? 'You left the workspace' : 'Member removed'
+                });
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Failed to remove member');
+            }
+        });
+    }
+
+    // The workspace in :id, if the caller holds at least minRole in it
+    authorize(req, minRole) {
+        const workspace = this.accounts.requireWorkspace(req.params.id);
+        const role = this.accounts.getRole(workspace.id, req.user.id);
+        if (!role) {
+            throw statusError(404, 'Workspace not found');
+        }
+        if (!hasRole(role, minRole)) {
+            throw statusError(403, `This action needs the ${minRole} role; you are a ${role}`);
+        }
+        return workspace;
+    }
+
+    describe(workspace, userId) {
+        return {
+            ...this.accounts.describeWorkspace(workspace),
+            role: this.accounts.getRole(workspace.id, userId)
+        };
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = WorkspaceAPI;
@@ -0,0 +1,135 @@
+// Roles in increasing order of power: viewers read, editors change tasks,
+// owners also manage members and the workspace itself
+const ROLES = ['viewer', 'editor', 'owner'];
+
+function statusError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function hasRole(role, minRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+// Resolves "who is calling and which workspace are they working in" for a request.
+// Without an account store the server runs single-user: every caller owns the
+// one default task list, as before accounts existed.
+class WorkspaceAccess {
+    constructor({ accounts = null, registry = null, defaultManager = null } = {}) {
+        this.accounts = accounts;
+        this.registry = registry;
+        this.defaultManager = defaultManager;
+    }
+
+    get enabled() {
+        return Boolean(this.accounts);
+    }
+
+    // Bearer token from the Authorization header. Only the WebSocket upgrade,
+    // whose browser clients can't set headers, may pass ?token= instead: query
+    // strings end up in logs, history and Referer headers.
+    static readToken(req, { allowQuery = false } = {}) {
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        if (match) return match[1];
+        return allowQuery ? WorkspaceAccess.queryParam(req, 'token') : null;
+    }
+
+    static readWorkspaceId(req) {
+        return req.headers['x-workspace-id'] || WorkspaceAccess.queryParam(req, 'workspace');
+    }
+
+    // Express parses req.query; raw upgrade requests only have the URL
+    static queryParam(req, name) {
+        if (req.query) return req.query[name] || null;
+        return new URL(req.url, 'http://localhost').searchParams.get(name);
+    }
+
+    authenticate(token) {
+        const user = this.accounts.resolveSession(token);
+        if (!user) {
+            throw statusError(401, 'Authentication required');
+        }
+        return user;
+    }
+
+    // { user, workspace, role, taskManager } for a token and workspace id.
+    // No workspace id picks the caller's first workspace.
+    async resolve({ token, workspaceId }) {
+        if (!this.enabled) {
+            return { user: null, workspace: null, role: 'owner', taskManager: this.defaultManager };
+        }
+
+        const user = this.authenticate(token);
+        const workspace = workspaceId
+            ? this.accounts.getWorkspace(workspaceId)
+            : this.accounts.listWorkspaces(user.id)[0];
+        if (!workspace) {
+            throw statusError(404, 'Workspace not found');
+        }
+
+        const role = this.accounts.getRole(workspace.id, user.id);
+        if (!role) {
+            throw statusError(403, 'You are not a member of this workspace');
+        }
+
+        const taskManager = await this.registry.open(workspace);
+        return { user, workspace, role, taskManager };
+    }
+
+    // Router middleware: sets req.user, req.workspace, req.role and req.taskManager
+    middleware() {
+        return async (req, res, next) => {
+            try {
+                Object.assign(req, await this.resolve({
+                    token: WorkspaceAccess.readToken(req),
+                    workspaceId: WorkspaceAccess.readWorkspaceId(req)
+                }));
+                next();
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Access denied');
+            }
+        };
+    }
+
+    // Signed-in user only, for routes that don't act on a workspace's tasks
+    requireUser() {
+        return (req, res, next) => {
+            try {
+                req.token = WorkspaceAccess.readToken(req);
+                req.user = this.authenticate(req.token);
+                next();
+            } catch (error) {
+                WorkspaceAccess.sendError(res, error, 'Access denied');
+            }
+        };
+    }
+
+    // Must run after middleware()
+    requireRole(minRole) {
+        return (req, res, next) => {
+            if (hasRole(req.role, minRole)) return next();
+            res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                details: `This action needs the ${minRole} role; you are a ${req.role}`
+            });
+        };
+    }
+
+    static sendError(res, error, summary) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: summary,
+            details: error.message
+        });
+    }
+}
+
+module.exports = {
+    ROLES,
+    WorkspaceAccess,
+    hasRole,
+    statusError
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, createSessionToken, hashSessionToken } = require('./passwords');
+const { ROLES, statusError } = require('./access');
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MIN_PASSWORD_LENGTH = 8;
+
+// Local accounts, sessions and workspaces.
+// Everything lives in the meta area of a task storage adapter (memory, JSON or
+// SQLite) so accounts persist exactly like tasks do.
+class AccountStore {
+    constructor(storage) {
+        this.storage = storage;
+        this.users = {};      // id -> { id, email, name, passwordHash, createdAt }
+        this.sessions = {};   // sha256(token) -> { userId, createdAt, expiresAt }
+        this.workspaces = {}; // id -> { id, name, createdAt, members: [{ userId, role }], legacyStorage }
+    }
+
+    async load() {
+        await this.storage.load();
+        this.users = this.storage.getMeta('users', {});
+        this.sessions = this.storage.getMeta('sessions', {});
+        this.workspaces = this.storage.getMeta('workspaces', {});
+        this.pruneSessions();
+        return this;
+    }
+
+    async close() {
+        await this.storage.close();
+    }
+
+    persist(key) {
+        this.storage.setMeta(key, this[key]);
+    }
+
+    // Users
+
+    register({ email, password, name }) {
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+$/.test(normalizedEmail)) {
+            throw statusError(400, 'A valid email address is required');
+        }
+        if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+            throw statusError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (this.findUserByEmail(normalizedEmail)) {
+            throw statusError(409, 'An account with that email already exists');
+        }
+
+        const isFirstUser = Object.keys(this.users).length === 0;
+        const user = {
+            id: crypto.randomUUID(),
+            email: normalizedEmail,
+            name: String(name || '').trim() || normalizedEmail.split('@')[0],
+            passwordHash: hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        this.users[user.id] = user;
+        this.persist('users');
+
+        // Everyone starts with a personal workspace. The very first one adopts the
+        // task file from before accounts existed, so upgrading loses nothing.
+        this.createWorkspace(user.id, `${user.name}'s tasks`, { legacyStorage: isFirstUser });
+        return AccountStore.publicUser(user);
+    }
+
+    findUserByEmail(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        return Object.values(this.users).find(user => user.email === normalized) || null;
+    }
+
+    getUser(userId) {
+        return this.users[userId] || null;
+    }
+
+    // Never hand out password hashes
+    static publicUser(user) {
+        return user ? { id: user.id, email: user.email, name: user.name, createdAt: user.createdAt } : null;
+    }
+
+    // Sessions
+
+    login(email, password) {
+        const user = this.findUserByEmail(email);
+        // Verify against a throwaway hash for unknown emails so timing doesn't reveal accounts
+        const valid = verifyPassword(password, user ? user.passwordHash : AccountStore.dummyHash());
+        if (!user || !valid) {
+            throw statusError(401, 'Invalid email or password');
+        }
+
+        const token = createSessionToken();
+        const now = Date.now();
+        this.sessions[hashSessionToken(token)] = {
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+        };
+        this.pruneSessions();
+        this.persist('sessions');
+        return { token, expiresAt: this.sessions[hashSessionToken(token)].expiresAt, user: AccountStore.publicUser(user) };
+    }
+
+    static dummyHash() {
+        if (!AccountStore.cachedDummyHash) AccountStore.cachedDummyHash = hashPassword('not-a-real-password');
+        return AccountStore.cachedDummyHash;
+    }
+
+    // The user behind a session token, or null when unknown/expired
+    resolveSession(token) {
+        if (!token) return null;
+        const session = this.sessions[hashSessionToken(token)];
+        if (!session || new Date(session.expiresAt) <= new Date()) return null;
+        return this.getUser(session.userId);
+    }
+
+    logout(token) {
+        const key = hashSessionToken(token);
+        if (!this.sessions[key]) return false;
+        delete this.sessions[key];
+        this.persist('sessions');
+        return true;
+    }
+
+    pruneSessions() {
+        const now = new Date();
+        Object.entries(this.sessions).forEach(([key, session]) => {
+            if (new Date(session.expiresAt) <= now || !this.users[session.userId]) delete this.sessions[key];
+        });
+    }
+
+    // Workspaces
+
+    createWorkspace(ownerId, name, { legacyStorage = false } = {}) {
+        if (!this.getUser(ownerId)) {
+            throw statusError(404, 'User not found');
+        }
+        const workspaceName = String(name || '').trim();
+        if (!workspaceName) {
+            throw statusError(400, 'Workspace name is required');
+        }
+
+        const workspace = {
+            id: crypto.randomUUID(),
+            name: workspaceName,
+            createdAt: new Date().toISOString(),
+            members: [{ userId: ownerId, role: 'owner' }],
+            legacyStorage
+        };
+        this.workspaces[workspace.id] = workspace;
+        this.persist('workspaces');
+        return workspace;
+    }
+
+    getWorkspace(workspaceId) {
+        return this.workspaces[workspaceId] || null;
+    }
+
+    listWorkspaces(userId) {
+        return Object.values(this.workspaces)
+            .filter(workspace => workspace.members.some(member => member.userId === userId))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // { id, name, role } for each workspace the user belongs to
+    summarizeWorkspaces(userId) {
+        return this.listWorkspaces(userId).map(workspace => ({
+            id: workspace.id,
+            name: workspace.name,
+            role: this.getRole(workspace.id, userId)
+        }));
+    }
+
+    getRole(workspaceId, userId) {
+        const workspace = this.getWorkspace(workspaceId);
+        const member = workspace && workspace.members.find(m => m.userId === userId);
+        return member ? member.role : null;
+    }
+
+    renameWorkspace(workspaceId, name) {
+        const workspace = this.requireWorkspace(workspaceId);
+        const workspaceName = String(name || '').trim();
+        if (!workspaceName) {
+            throw statusError(400, 'Workspace name is required');
+        }
+        workspace.name = workspaceName;
+        this.persist('workspaces');
+        return workspace;
+    }
+
+    deleteWorkspace(workspaceId) {
+        const workspace = this.requireWorkspace(workspaceId);
+        delete this.workspaces[workspaceId];
+        this.persist('workspaces');
+        return workspace;
+    }
+
+    addMember(workspaceId, email, role) {
+        const workspace = this.requireWorkspace(workspaceId);
+        AccountStore.validateRole(role);
+        const user = this.findUserByEmail(email);
+        if (!user) {
+            throw statusError(404, `No account found for ${email}`);
+        }
+        if (workspace.members.some(member => member.userId === user.id)) {
+            throw statusError(409, `${user.email} is already a member`);
+        }
+
+        workspace.members.push({ userId: user.id, role });
+        this.persist('workspaces');
+        return workspace;
+    }
+
+    setMemberRole(workspaceId, userId, role) {
+        const workspace = this.requireWorkspace(workspaceId);
+        AccountStore.validateRole(role);
+        const member = this.requireMember(workspace, userId);
+        if (member.role === 'owner' && role !== 'owner') this.assertAnotherOwner(workspace, userId);
+
+        member.role = role;
+        this.persist('workspaces');
+        return workspace;
+    }
+
+    removeMember(workspaceId, userId) {
+        const workspace = this.requireWorkspace(workspaceId);
+        const member = this.requireMember(workspace, userId);
+        if (member.role === 'owner') this.assertAnotherOwner(workspace, userId);
+
+        workspace.members = workspace.members.filter(m => m.userId !== userId);
+        this.persist('workspaces');
+        return workspace;
+    }
+
+    // Workspace with member names resolved, as returned by the API
+    describeWorkspace(workspace) {
+        return {
+            id: workspace.id,
+            name: workspace.name,
+            createdAt: workspace.createdAt,
+            members: workspace.members.map(member => ({
+                ...AccountStore.publicUser(this.getUser(member.userId)),
+                role: member.role
+            }))
+        };
+    }
+
+    requireWorkspace(workspaceId) {
+        const workspace = this.getWorkspace(workspaceId);
+        if (!workspace) {
+            throw statusError(404, 'Workspace not found');
+        }
+        return workspace;
+    }
+
+    requireMember(workspace, userId) {
+        const member = workspace.members.find(m => m.userId === userId);
+        if (!member) {
+            throw statusError(404, 'Member not found');
+        }
+        return member;
+    }
+
+    assertAnotherOwner(workspace, userId) {
+        if (!workspace.members.some(m => m.role === 'owner' && m.userId !== userId)) {
+            throw statusError(400, 'A workspace needs at least one owner');
+        }
+    }
+
+    static validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw statusError(400, `Role must be one of: ${ROLES.join(', ')}`);
+        }
+    }
+}
+
+module.exports = { AccountStore };
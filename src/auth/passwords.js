@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// scrypt password hashes, stored as "scrypt$N$r$p$salt$hash" (base64url parts)
+// so the cost can be raised later without breaking existing accounts.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+function verifyPassword(password, stored) {
+    const parts = String(stored || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Session tokens are random; only their SHA-256 is stored
+function createSessionToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('base64url');
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    hashSessionToken
+};
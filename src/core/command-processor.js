@@ -12,11 +12,11 @@ const { ErrorHandler } = require('./error-handler');
 
 class CommandProcessor {
   constructor() {
-    this.router = new IntelligentRouter();
+    this.budget = new TokenBudgetManager();
+    this.router = new IntelligentRouter({ tokenBudget: this.budget });
     this.agents = new AgentPool();
     this.context = new ContextManager();
     this.progress = new ProgressTracker();
-    this.budget = new TokenBudgetManager();
     this.errorHandler = new ErrorHandler();
     
     this.commandMap = this.initializeCommandMap();
@@ -48,6 +48,7 @@ class CommandProcessor {
     const { AddFeatureCommand } = require('./commands/add-feature-command');
     const { TestCommand } = require('./commands/test-command');
     const { StartOverCommand } = require('./commands/start-over-command');
+    const { PreviewCommand } = require('./commands/preview-command');
 
     return {
       '/build-my-app': new BuildAppCommand(),
@@ -57,6 +58,7 @@ class CommandProcessor {
       '/show-me-progress': new ShowProgressCommand(),
       '/add-this-feature': new AddFeatureCommand(),
       '/test-everything': new TestCommand(),
+      '/preview': new PreviewCommand(),
       '/start-over-simpler': new StartOverCommand(),
       '/intelligence-dashboard': require('./commands/intelligence-dashboard-command'),
       '/optimize-tokens': require('./commands/optimize-tokens-command')
@@ -1,13 +1,53 @@
 /**
  * Build App Command - Transform user vibe into working application
- * Primary command for the vibe-to-app transformation process
+ * Primary command for the vibe-to-app transformation process. Websites start
+ * from a template pack, and specialists stage their files in a ProjectWorkspace
+ * which is committed to disk at the end (or only diffed, for a preview).
  */
 
+const path = require('path');
+const { ProjectWorkspace, WorkspaceConflictError } = require('../project-workspace');
+const { TemplateEngine } = require('../template-engine');
+const { VibeInterpreter } = require('../vibe-interpreter');
+const { SimpleFrontendSpecialist } = require('../../agents/simple-frontend-specialist');
+const { SimpleBackendSpecialist } = require('../../agents/simple-backend-specialist');
+const { SimpleDatabaseSpecialist } = require('../../agents/simple-database-specialist');
+const { SimpleTestingSpecialist } = require('../../agents/simple-testing-specialist');
+const { SimpleDeploymentSpecialist } = require('../../agents/simple-deployment-specialist');
+
+// What the generated app stores, per app type: API collection, display field, singular label, new-record defaults
+const PRIMARY_RESOURCES = {
+  'todo-app': { collection: 'todos', field: 'title', label: 'todo', defaults: { completed: false } },
+  blog: { collection: 'posts', field: 'title', label: 'post' },
+  ecommerce: { collection: 'products', field: 'name', label: 'product' },
+  'chat-app': { collection: 'messages', field: 'text', label: 'message' },
+  portfolio: { collection: 'projects', field: 'title', label: 'project' },
+  'business-website': { collection: 'messages', field: 'message', label: 'message' },
+  'landing-page': { collection: 'messages', field: 'email', label: 'signup' },
+  'general-app': { collection: 'items', field: 'name', label: 'item' }
+};
+
 class BuildAppCommand {
-  constructor() {
+  /**
+   * @param {Object} options - { outputDir: where projects are created (default ./apps or APPS_DIR),
+   *   templateEngine, vibeInterpreter }
+   */
+  constructor(options = {}) {
     this.name = 'build-app';
     this.description = 'Transform your vibe into a working application';
     this.aliases = ['/build-my-app', '/create-app', '/make-app'];
+    this.outputDir = options.outputDir || process.env.APPS_DIR || path.join(process.cwd(), 'apps');
+    this.templateEngine = options.templateEngine || new TemplateEngine();
+    this.vibeInterpreter = options.vibeInterpreter || new VibeInterpreter();
+
+    // Specialists that turn the plan into files
+    this.fileWriters = new Map([
+      ['frontend-specialist', new SimpleFrontendSpecialist()],
+      ['backend-specialist', new SimpleBackendSpecialist()],
+      ['database-specialist', new SimpleDatabaseSpecialist()],
+      ['testing-specialist', new SimpleTestingSpecialist()],
+      ['deployment-specialist', new SimpleDeploymentSpecialist()]
+    ]);
   }
 
   /**
@@ -39,40 +79,43 @@ class BuildAppCommand {
       
       // Step 3: Route to appropriate specialists
       progressTracker.updateProgress(operationId, 3, 'Assembling specialist team...');
-      const routingPlan = await intelligentRouter.determineOptimalRoute(appPlan, context);
+      const routingPlan = intelligentRouter ? await intelligentRouter.determineOptimalRoute(appPlan, context) : null;
+      const specialists = (routingPlan && routingPlan.specialists) || appPlan.requiredSpecialists;
       
-      // Step 4: Execute with specialists in sequence
+      // Step 4: Execute with specialists in sequence, each writing into the workspace
+      const workspace = services.workspace || new ProjectWorkspace(context.projectDir || path.join(this.outputDir, appPlan.slug));
       const buildResults = [];
-      const totalSpecialists = routingPlan.specialists.length;
       
-      for (let i = 0; i < totalSpecialists; i++) {
-        const specialist = routingPlan.specialists[i];
-        const stepNumber = 4 + i;
+      for (let i = 0; i < specialists.length; i++) {
+        const specialist = specialists[i];
         
-        progressTracker.updateProgress(operationId, stepNumber, 
+        progressTracker.updateProgress(operationId, Math.min(4 + i, 6), 
           `${specialist.name} working on ${specialist.task}...`);
         
-        const result = await this.executeWithSpecialist(specialist, appPlan, context, services);
+        const result = await this.executeWithSpecialist(specialist, appPlan, context, services, workspace);
         buildResults.push(result);
       }
       
       // Final steps
       progressTracker.updateProgress(operationId, 7, 'Integrating all components...');
-      const integratedApp = await this.integrateComponents(buildResults, appPlan);
+      const integratedApp = await this.integrateComponents(buildResults, appPlan, workspace);
       
       progressTracker.updateProgress(operationId, 8, 'Finalizing your application...');
-      const finalResult = await this.finalizeApplication(integratedApp, context);
+      const finalResult = await this.finalizeApplication(integratedApp, context, workspace);
       
       progressTracker.completeOperation(operationId, {
         success: true,
-        message: 'Your app is ready! 🎉',
+        message: finalResult.status === 'preview' ? 'Preview ready - nothing written yet' : 'Your app is ready! 🎉',
         appUrl: finalResult.appUrl,
+        projectDir: finalResult.projectDir,
         features: finalResult.features
       });
       
       return {
         success: true,
-        message: 'Your app has been successfully created!',
+        message: finalResult.status === 'preview'
+          ? `Here is what would be created in ${finalResult.projectDir}`
+          : 'Your app has been successfully created!',
         result: finalResult,
         buildSummary: this.generateBuildSummary(buildResults, finalResult),
         nextSteps: this.generateNextSteps(finalResult)
@@ -98,7 +141,8 @@ class BuildAppCommand {
       features: this.extractFeatures(userInput),
       complexity: this.assessComplexity(userInput),
       urgency: this.detectUrgency(userInput),
-      style: this.detectStyle(userInput)
+      style: this.detectStyle(userInput),
+      stylePreference: this.detectStyle(userInput, null)
     };
     
     return vibe;
@@ -111,14 +155,59 @@ class BuildAppCommand {
    * @returns {Object} Application plan
    */
   async planApplication(vibeAnalysis, context) {
-    return {
+    const name = context.appName || this.nameApp(vibeAnalysis);
+    const appPlan = {
+      name,
+      slug: this.slugify(name),
+      description: vibeAnalysis.rawInput,
       appType: vibeAnalysis.appType,
+      resource: PRIMARY_RESOURCES[vibeAnalysis.appType] || PRIMARY_RESOURCES['general-app'],
       requiredSpecialists: this.determineRequiredSpecialists(vibeAnalysis),
       techStack: this.recommendTechStack(vibeAnalysis),
       features: vibeAnalysis.features,
       timeline: this.estimateTimeline(vibeAnalysis.complexity),
       architecture: this.designArchitecture(vibeAnalysis)
     };
+    appPlan.template = await this.chooseTemplate(appPlan, vibeAnalysis, context);
+    return appPlan;
+  }
+
+  /**
+   * Pick the template pack for the app and render it with the interpreted
+   * requirements and smart defaults. context.template names a pack to use
+   * (or false for none); otherwise one is selected from the app type.
+   * @param {Object} appPlan - Application plan
+   * @param {Object} vibeAnalysis - Vibe analysis
+   * @param {Object} context - Context
+   * @returns {Object|null} { name, version, source, features, estimatedTime, files }
+   */
+  async chooseTemplate(appPlan, vibeAnalysis, context) {
+    if (context.template === false) return null;
+    
+    const pack = context.template
+      ? this.templateEngine.getPack(context.template)
+      : this.templateEngine.selectPack({ appType: appPlan.appType, description: appPlan.description });
+    if (!pack) return null;
+    
+    const interpretation = await this.vibeInterpreter.interpretVibe(vibeAnalysis.rawInput, {
+      userType: context.userType,
+      scale: context.scale,
+      style: vibeAnalysis.stylePreference || undefined
+    });
+    const parameters = this.templateEngine.buildParameters(pack, {
+      appPlan,
+      interpretation,
+      overrides: context.templateParameters
+    });
+    
+    return {
+      name: pack.name,
+      version: pack.version,
+      source: pack.source,
+      features: parameters.featureList,
+      estimatedTime: pack.manifest.estimatedTime || null,
+      files: this.templateEngine.render(pack, parameters)
+    };
   }
 
   /**
@@ -127,13 +216,15 @@ class BuildAppCommand {
    * @param {Object} appPlan - Application plan
    * @param {Object} context - Context
    * @param {Object} services - Services
+   * @param {ProjectWorkspace} workspace - Workspace the specialist writes into
    * @returns {Object} Specialist execution result
    */
-  async executeWithSpecialist(specialist, appPlan, context, services) {
+  async executeWithSpecialist(specialist, appPlan, context, services, workspace) {
     const { agentPool } = services;
     
     const command = {
       type: specialist.task,
+      description: appPlan.description,
       requirements: specialist.requirements,
       context: {
         appPlan,
@@ -141,7 +232,41 @@ class BuildAppCommand {
       }
     };
     
-    return await agentPool.executeWithAgent(specialist.agentId, command, context);
+    const result = agentPool
+      ? await agentPool.executeWithAgent(specialist.agentId, command, context)
+      : { success: true };
+    const writer = this.fileWriters.get(specialist.agentId);
+    const files = writer ? await writer.writeFiles(workspace, command, context) : [];
+    
+    return { ...result, agent: specialist.agentId, files };
+  }
+
+  /**
+   * Human-readable app name from the vibe
+   * @param {Object} vibeAnalysis - Vibe analysis
+   * @returns {string} App name
+   */
+  nameApp(vibeAnalysis) {
+    const names = {
+      'todo-app': 'My Todo App',
+      blog: 'My Blog',
+      ecommerce: 'My Shop',
+      'chat-app': 'My Chat',
+      dashboard: 'My Dashboard',
+      portfolio: 'My Portfolio',
+      'business-website': 'My Business',
+      'landing-page': 'My Launch'
+    };
+    return names[vibeAnalysis.appType] || 'My App';
+  }
+
+  /**
+   * Directory-safe name
+   * @param {string} name - App name
+   * @returns {string} Slug
+   */
+  slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'my-app';
   }
 
   /**
@@ -152,12 +277,14 @@ class BuildAppCommand {
   detectAppType(input) {
     const lower = input.toLowerCase();
     
+    if (lower.includes('landing page') || lower.includes('launch page') || lower.includes('waitlist')) return 'landing-page';
     if (lower.includes('todo') || lower.includes('task')) return 'todo-app';
     if (lower.includes('blog') || lower.includes('post')) return 'blog';
     if (lower.includes('shop') || lower.includes('store') || lower.includes('ecommerce')) return 'ecommerce';
     if (lower.includes('chat') || lower.includes('message')) return 'chat-app';
     if (lower.includes('dashboard') || lower.includes('admin')) return 'dashboard';
     if (lower.includes('portfolio') || lower.includes('resume')) return 'portfolio';
+    if (lower.includes('business') || lower.includes('company')) return 'business-website';
     
     return 'general-app';
   }
@@ -233,9 +360,10 @@ class BuildAppCommand {
   /**
    * Detect style preferences
    * @param {string} input - User input
-   * @returns {string} Style preference
+   * @param {string|null} fallback - Style when the input doesn't ask for one
+   * @returns {string|null} Style preference
    */
-  detectStyle(input) {
+  detectStyle(input, fallback = 'professional') {
     const lower = input.toLowerCase();
     
     if (lower.includes('modern') || lower.includes('sleek')) return 'modern';
@@ -243,7 +371,7 @@ class BuildAppCommand {
     if (lower.includes('fun') || lower.includes('colorful')) return 'playful';
     if (lower.includes('minimal') || lower.includes('clean')) return 'minimal';
     
-    return 'professional';
+    return fallback;
   }
 
   /**
@@ -315,9 +443,11 @@ class BuildAppCommand {
    * @returns {Object} Recommended tech stack
    */
   recommendTechStack(vibeAnalysis) {
+    // Matches determineRequiredSpecialists(): auth needs the backend too
+    const needsBackend = vibeAnalysis.features.includes('api-backend') || vibeAnalysis.features.includes('user-authentication');
     return {
-      frontend: 'React',
-      backend: vibeAnalysis.features.includes('api-backend') ? 'Node.js/Express' : null,
+      frontend: 'HTML/JavaScript modules',
+      backend: needsBackend ? 'Node.js http server' : null,
       database: vibeAnalysis.features.includes('data-storage') ? 'JSON/File Storage' : null,
       styling: 'CSS3/Responsive',
       deployment: 'Static Hosting'
@@ -357,29 +487,67 @@ class BuildAppCommand {
   }
 
   /**
-   * Integrate components from all specialists
+   * Integrate components from all specialists: add the README and make sure
+   * no two specialists wrote different versions of the same file
    * @param {Array} buildResults - Results from specialists
    * @param {Object} appPlan - Application plan
+   * @param {ProjectWorkspace} workspace - Project workspace
    * @returns {Object} Integrated application
    */
-  async integrateComponents(buildResults, appPlan) {
+  async integrateComponents(buildResults, appPlan, workspace) {
+    workspace.writeFile('README.md', this.generateReadme(appPlan, workspace), { author: this.name });
+    
+    const conflicts = workspace.getConflicts();
+    if (conflicts.length > 0) {
+      throw new WorkspaceConflictError(conflicts);
+    }
+    
     return {
       components: buildResults,
+      template: appPlan.template,
       integration: 'success',
       appStructure: this.generateAppStructure(buildResults),
+      files: workspace.list(),
       readyForDeployment: true
     };
   }
 
   /**
-   * Finalize application
+   * Finalize application by writing the project to disk. With context.preview
+   * nothing is written and the changes come back as unified diffs instead.
    * @param {Object} integratedApp - Integrated application
    * @param {Object} context - Context
+   * @param {ProjectWorkspace} workspace - Project workspace
    * @returns {Object} Final application
    */
-  async finalizeApplication(integratedApp, context) {
+  async finalizeApplication(integratedApp, context, workspace) {
+    const changes = workspace.diff();
+    const files = integratedApp.files.map(file => file.path);
+    const template = integratedApp.template
+      ? { name: integratedApp.template.name, version: integratedApp.template.version, features: integratedApp.template.features }
+      : null;
+    
+    if (context.preview) {
+      return {
+        appUrl: null,
+        projectDir: workspace.root,
+        files,
+        changes,
+        template,
+        status: 'preview',
+        features: integratedApp.appStructure.features
+      };
+    }
+    
+    const commit = workspace.commit();
+    
     return {
-      appUrl: 'http://localhost:3000', // Placeholder
+      appUrl: 'http://localhost:3000',
+      projectDir: commit.root,
+      runCommand: `cd ${commit.root} && npm start`,
+      files,
+      changes: changes.map(({ path: filePath, status, author }) => ({ path: filePath, status, author })),
+      template,
       status: 'ready',
       features: integratedApp.appStructure.features,
       deploymentStatus: 'local-ready',
@@ -387,6 +555,76 @@ class BuildAppCommand {
     };
   }
 
+  /**
+   * README for the generated project
+   * @param {Object} appPlan - Application plan
+   * @param {ProjectWorkspace} workspace - Project workspace
+   * @returns {string} Markdown
+   */
+  generateReadme(appPlan, workspace) {
+    const files = workspace.list().filter(file => file.path !== 'README.md');
+    const hasTests = files.some(file => file.path.startsWith('tests/'));
+    const hasSql = files.some(file => file.path.startsWith('db/'));
+    const hasApi = files.some(file => file.path === 'openapi.json');
+    const hasAuth = files.some(file => file.path === 'middleware/auth.js');
+    const pkg = JSON.parse(workspace.readFile('package.json') || '{}');
+    const needsInstall = Object.keys(pkg.dependencies || {}).length > 0;
+    
+    return [
+      `# ${appPlan.name}`,
+      '',
+      appPlan.description || '',
+      '',
+      ...(appPlan.template ? [`Started from the \`${appPlan.template.name}\` template (${appPlan.template.version}).`, ''] : []),
+      '## Run it',
+      '',
+      `You need Node.js 18 or newer.${needsInstall ? '' : ' Nothing else to install.'}`,
+      '',
+      '```',
+      ...(needsInstall ? ['npm install'] : []),
+      'npm start',
+      '```',
+      '',
+      'Then open http://localhost:3000 (set PORT to use another port).',
+      ...(hasTests ? ['', '## Test it', '', '```', 'npm install', 'npm test', '```'] : []),
+      ...(hasApi ? [
+        '',
+        '## API',
+        '',
+        'The API is described in `openapi.json` (OpenAPI 3) and served under `/api`. The routers in',
+        '`routes/` are generated from it, and `middleware/validate.js` checks every request against it.',
+        'Rebuilding the app regenerates only the generated files whose code changed, so edits to the',
+        'other files are kept.',
+        ...(hasAuth ? [
+          '',
+          'Accounts sign in at `/api/auth/login` and send the access token as `Authorization: Bearer <token>`.',
+          'Set `JWT_SECRET` in production so sign-ins survive a restart.'
+        ] : [])
+      ] : []),
+      ...(hasSql ? [
+        '',
+        '## Database',
+        '',
+        'The app keeps its data in `data/db.json`, shaped by `data/schema.json`. To move it to',
+        'SQLite or PostgreSQL, run the migrations in `db/sqlite/migrations` or',
+        '`db/postgresql/migrations` in order (`.up.sql` applies one, `.down.sql` undoes it),',
+        'then load `seed.sql` if you want sample data:',
+        '',
+        '```',
+        'sqlite3 app.db < db/sqlite/migrations/0001_create_schema.up.sql',
+        'psql "$DATABASE_URL" -f db/postgresql/migrations/0001_create_schema.up.sql',
+        '```',
+        '',
+        'Rebuilding the app after its data changes adds the next migration.'
+      ] : []),
+      '',
+      '## Files',
+      '',
+      ...files.map(file => `- \`${file.path}\` (${file.author})`),
+      ''
+    ].join('\n');
+  }
+
   /**
    * Generate app structure
    * @param {Array} buildResults - Build results
@@ -394,11 +632,11 @@ class BuildAppCommand {
    */
   generateAppStructure(buildResults) {
     return {
-      frontend: buildResults.find(r => r.agent === 'frontend-specialist')?.result || {},
-      backend: buildResults.find(r => r.agent === 'backend-specialist')?.result || null,
-      database: buildResults.find(r => r.agent === 'database-specialist')?.result || null,
-      tests: buildResults.find(r => r.agent === 'testing-specialist')?.result || {},
-      deployment: buildResults.find(r => r.agent === 'deployment-specialist')?.result || {},
+      frontend: buildResults.find(r => r.agent === 'frontend-specialist')?.files || [],
+      backend: buildResults.find(r => r.agent === 'backend-specialist')?.files || null,
+      database: buildResults.find(r => r.agent === 'database-specialist')?.files || null,
+      tests: buildResults.find(r => r.agent === 'testing-specialist')?.files || [],
+      deployment: buildResults.find(r => r.agent === 'deployment-specialist')?.files || [],
       features: ['working-application', 'responsive-ui', 'modern-design']
     };
   }
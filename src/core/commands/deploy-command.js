@@ -1,37 +1,47 @@
 /**
  * Deploy Command - Deploy the application to production
+ * Finds the project to deploy (the one named in the request, else the most
+ * recently built one) and has the deployment specialist build, publish and
+ * health-check it. The reply carries the deployment record, so the URL or
+ * path it reports is where the app actually went.
  */
 
+const { findProject, defaultAppsDir } = require('../project-locator');
+
 class DeployCommand {
-  constructor() {
+  /**
+   * @param {Object} options - { appsDir: where built projects live (default ./apps or APPS_DIR) }
+   */
+  constructor(options = {}) {
     this.name = 'deploy';
     this.description = 'Deploy your application to production';
     this.aliases = ['/deploy-when-ready', '/go-live', '/launch'];
+    this.appsDir = options.appsDir || defaultAppsDir();
   }
 
   async execute(userInput, context, services) {
     const { agentPool } = services;
-    
+    const projectDir = findProject(this.appsDir, userInput, context);
+
     // Route to deployment specialist
     const result = await agentPool.executeWithAgent('deployment-specialist', {
       type: 'cloud-deployment',
       input: userInput,
+      projectDir,
       context
-    }, context);
-    
+    }, { ...context, projectDir });
+
+    const deployment = result.deployment || null;
     return {
-      success: true,
-      message: 'Your app has been deployed successfully!',
-      deploymentUrl: 'https://your-app.deployed-domain.com',
-      features: [
-        'Cloud hosting with auto-scaling',
-        'SSL certificate enabled',
-        'CDN for fast global access',
-        'Monitoring and alerts setup'
-      ],
+      success: result.success !== false,
+      message: result.userFriendlyExplanation ? result.userFriendlyExplanation.summary : result.message,
+      projectDir,
+      deploymentUrl: deployment ? deployment.url : null,
+      deploymentPath: deployment ? deployment.path : null,
+      deployment,
       result
     };
   }
 }
 
-module.exports = { DeployCommand };
\ No newline at end of file
+module.exports = { DeployCommand };
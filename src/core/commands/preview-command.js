@@ -0,0 +1,80 @@
+/**
+ * Preview Command - Run the app locally and watch it change
+ * Starts a PreviewServer for the project (the one named in the request, else
+ * the most recently built one). Previews keep running after the command
+ * returns; asking again for the same project gives back its address, and
+ * "/preview stop" stops them all.
+ */
+
+const { findProject, defaultAppsDir } = require('../project-locator');
+const { PreviewServer, DEFAULT_PORT } = require('../preview-server');
+
+class PreviewCommand {
+  /**
+   * @param {Object} options - { appsDir: where built projects live (default ./apps or APPS_DIR),
+   *   port: for the first preview (default PREVIEW_PORT or 4000; later ones take any free port) }
+   */
+  constructor(options = {}) {
+    this.name = 'preview';
+    this.description = 'See your app running locally, updating as it changes';
+    this.aliases = ['/preview', '/show-me-my-app'];
+    this.appsDir = options.appsDir || defaultAppsDir();
+    this.port = options.port !== undefined ? options.port : Number(process.env.PREVIEW_PORT) || DEFAULT_PORT;
+    this.previews = new Map(); // project directory -> PreviewServer
+  }
+
+  async execute(userInput = '', context = {}, services = {}) {
+    if (/^\s*stop\b/i.test(userInput)) {
+      const stopped = await this.stopAll();
+      return {
+        success: true,
+        message: stopped > 0 ? `Stopped ${stopped} preview${stopped === 1 ? '' : 's'}.` : 'No previews are running.'
+      };
+    }
+
+    const projectDir = findProject(this.appsDir, userInput, context);
+    if (!projectDir) {
+      return { success: false, message: 'There is no project to preview yet. Build one with /build-my-app first.' };
+    }
+    if (this.previews.has(projectDir)) return this.report(this.previews.get(projectDir), projectDir);
+
+    const requestedPort = /\bport\s+(\d{2,5})\b/i.exec(userInput);
+    const preview = new PreviewServer(projectDir, {
+      port: requestedPort ? Number(requestedPort[1]) : this.previews.size === 0 ? this.port : 0
+    });
+    try {
+      await preview.start();
+    } catch (error) {
+      await preview.stop();
+      return { success: false, message: preview.translator.translateErrorForUser(error), projectDir, error: error.message };
+    }
+
+    this.previews.set(projectDir, preview);
+    return this.report(preview, projectDir);
+  }
+
+  report(preview, projectDir) {
+    return {
+      success: true,
+      message: preview.problem
+        ? `Your app is at ${preview.url}, but something needs fixing first: ${preview.problem.message}`
+        : `Your app is running at ${preview.url}. Leave the page open - it updates by itself whenever a file changes.`,
+      url: preview.url,
+      projectDir,
+      problem: preview.problem
+    };
+  }
+
+  /**
+   * Stop every running preview
+   * @returns {number} How many were stopped
+   */
+  async stopAll() {
+    const previews = [...this.previews.values()];
+    this.previews.clear();
+    await Promise.all(previews.map(preview => preview.stop()));
+    return previews.length;
+  }
+}
+
+module.exports = { PreviewCommand };
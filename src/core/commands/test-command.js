@@ -1,36 +1,54 @@
 /**
  * Test Command - Run comprehensive testing
+ * Finds the project to test (the one named in the request, else the most
+ * recently built one) and has the testing specialist run its test suite.
  */
 
+const { findProject, defaultAppsDir } = require('../project-locator');
+
 class TestCommand {
-  constructor() {
+  /**
+   * @param {Object} options - { appsDir: where built projects live (default ./apps or APPS_DIR) }
+   */
+  constructor(options = {}) {
     this.name = 'test';
     this.description = 'Run comprehensive testing on your application';
     this.aliases = ['/test-everything', '/run-tests', '/qa'];
+    this.appsDir = options.appsDir || defaultAppsDir();
   }
 
   async execute(userInput, context, services) {
     const { agentPool } = services;
-    
+    const projectDir = this.findProject(userInput, context);
+
     // Route to testing specialist
     const result = await agentPool.executeWithAgent('testing-specialist', {
       type: 'comprehensive-testing',
       input: userInput,
+      projectDir,
       context
-    }, context);
-    
+    }, { ...context, projectDir });
+
+    const testResults = result.testResults || null;
     return {
-      success: true,
-      message: 'Comprehensive testing completed!',
-      testResults: {
-        passed: 45,
-        failed: 2,
-        coverage: '87%',
-        performance: 'Excellent'
-      },
+      success: result.success !== false,
+      message: result.userFriendlyExplanation ? result.userFriendlyExplanation.summary : result.message,
+      projectDir,
+      testResults,
       result
     };
   }
+
+  /**
+   * The project to test: context.projectDir, else a project in appsDir named
+   * in the input, else the one changed most recently
+   * @param {string} userInput - User's request
+   * @param {Object} context - Execution context
+   * @returns {string|null} Project directory
+   */
+  findProject(userInput = '', context = {}) {
+    return findProject(this.appsDir, userInput, context);
+  }
 }
 
-module.exports = { TestCommand };
\ No newline at end of file
+module.exports = { TestCommand };
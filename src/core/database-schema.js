@@ -0,0 +1,463 @@
+/**
+ * Database Schema - SQL for the data model the database specialist designs
+ * Renders CREATE TABLE / INDEX statements for SQLite and PostgreSQL, diffs two
+ * schemas into an ordered list of changes, turns those changes into up and
+ * down migrations, and renders seed rows as INSERT statements. Schemas are the
+ * same plain objects written to data/schema.json ({ tables: [{ name, entity,
+ * fields, indexes }] }), so the JSON-file schema of the last build is what the
+ * next build's migration is diffed against.
+ */
+
+const DIALECTS = {
+  sqlite: {
+    types: {
+      string: 'TEXT',
+      text: 'TEXT',
+      integer: 'INTEGER',
+      decimal: 'NUMERIC',
+      boolean: 'INTEGER',
+      datetime: 'TEXT'
+    },
+    boolean: value => (value ? '1' : '0'),
+    insert: (table, columns, values) => `INSERT OR IGNORE INTO ${table} (${columns}) VALUES\n${values};`
+  },
+  postgresql: {
+    types: {
+      string: 'VARCHAR(255)',
+      text: 'TEXT',
+      integer: 'INTEGER',
+      decimal: 'NUMERIC(12, 2)',
+      boolean: 'BOOLEAN',
+      datetime: 'TIMESTAMPTZ'
+    },
+    boolean: value => (value ? 'TRUE' : 'FALSE'),
+    insert: (table, columns, values) => `INSERT INTO ${table} (${columns}) VALUES\n${values}\nON CONFLICT DO NOTHING;`
+  }
+};
+
+const SQL_DIALECTS = Object.keys(DIALECTS);
+
+// Value given to existing rows when a column becomes required and has no default
+const FILL_VALUES = { string: "''", text: "''", integer: '0', decimal: '0', datetime: 'CURRENT_TIMESTAMP' };
+
+const FIELD_KEYS = ['type', 'primary', 'unique', 'optional', 'default', 'foreignKey'];
+const FLAGS = ['primary', 'unique', 'optional'];
+
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+/**
+ * Full DDL for a schema: tables in dependency order, then their indexes
+ * @param {Object} schema - { tables }
+ * @param {string} dialect - 'sqlite' | 'postgresql'
+ * @returns {string} SQL
+ */
+function renderSchema(schema, dialect) {
+  checkDialect(dialect);
+  const tables = sortTables(schema.tables);
+  return [
+    ...tables.map(table => createTable(table, schema, dialect)),
+    ...tables.flatMap(table => (table.indexes || []).map(index => createIndex(table, index)))
+  ].join('\n\n') + '\n';
+}
+
+/**
+ * Changes that turn one schema into another. Order matters: indexes are
+ * dropped first, new tables are created before columns that reference them,
+ * and removed tables go after the columns that referenced them.
+ * @param {Object|null} previous - Schema before ({ tables }); null for a new database
+ * @param {Object} next - Schema after
+ * @returns {Array} [{ type, table, field?, from?, to?, index? }]
+ */
+function diffSchemas(previous, next) {
+  const before = new Map(sortTables((previous && previous.tables) || []).map(table => [table.name, table]));
+  const after = new Map(sortTables(next.tables).map(table => [table.name, table]));
+  const changes = { dropIndex: [], createTable: [], columns: [], dropTable: [], createIndex: [] };
+
+  after.forEach((table, name) => {
+    const old = before.get(name);
+    if (!old) {
+      changes.createTable.push({ type: 'createTable', table });
+      (table.indexes || []).forEach(index => changes.createIndex.push({ type: 'createIndex', table, index }));
+      return;
+    }
+
+    const oldFields = new Map(old.fields.map(field => [field.name, field]));
+    const newFields = new Map(table.fields.map(field => [field.name, field]));
+    table.fields.forEach(field => {
+      const was = oldFields.get(field.name);
+      if (!was) changes.columns.push({ type: 'addColumn', table, from: old, field });
+      else if (!sameField(was, field)) changes.columns.push({ type: 'alterColumn', table, from: old, field: was, to: field });
+    });
+    old.fields.filter(field => !newFields.has(field.name))
+      .forEach(field => changes.columns.push({ type: 'dropColumn', table, from: old, field }));
+
+    const oldIndexes = new Map((old.indexes || []).map(index => [index.name, index]));
+    const newIndexes = new Map((table.indexes || []).map(index => [index.name, index]));
+    oldIndexes.forEach((index, indexName) => {
+      if (!sameIndex(index, newIndexes.get(indexName))) changes.dropIndex.push({ type: 'dropIndex', table: old, index });
+    });
+    newIndexes.forEach((index, indexName) => {
+      if (!sameIndex(index, oldIndexes.get(indexName))) changes.createIndex.push({ type: 'createIndex', table, index });
+    });
+  });
+
+  [...before.values()].reverse()
+    .filter(table => !after.has(table.name))
+    .forEach(table => changes.dropTable.push({ type: 'dropTable', table }));
+
+  return [...changes.dropIndex, ...changes.createTable, ...changes.columns, ...changes.dropTable, ...changes.createIndex];
+}
+
+/**
+ * Up and down SQL for moving from one schema to another. The down migration
+ * is the diff in the other direction, so it restores the previous structure
+ * (data in dropped tables and columns is gone either way).
+ * @param {Object|null} previous - Schema before
+ * @param {Object} next - Schema after
+ * @param {string} dialect - 'sqlite' | 'postgresql'
+ * @returns {Object} { name, changes, up, down, warnings } - up/down are null when nothing changed
+ */
+function renderMigration(previous, next, dialect) {
+  checkDialect(dialect);
+  const empty = { tables: [] };
+  const changes = diffSchemas(previous, next);
+  if (changes.length === 0) return { name: null, changes, up: null, down: null, warnings: [] };
+
+  return {
+    name: migrationName(changes, !previous || previous.tables.length === 0),
+    changes,
+    up: renderChanges(changes, previous || empty, next, dialect),
+    down: renderChanges(diffSchemas(next, previous || empty), next, previous || empty, dialect),
+    warnings: changes.flatMap(changeWarnings)
+  };
+}
+
+/**
+ * INSERT statements for seed rows, parents before children. Rows that are
+ * already there are left alone, so seeding twice is harmless.
+ * @param {Object} schema - { tables }
+ * @param {Array} seedData - [{ table, rows }]
+ * @param {string} dialect - 'sqlite' | 'postgresql'
+ * @returns {string} SQL
+ */
+function renderSeed(schema, seedData, dialect) {
+  checkDialect(dialect);
+  const rowsByTable = new Map(seedData.map(seed => [seed.table, seed.rows]));
+  const statements = sortTables(schema.tables)
+    .filter(table => (rowsByTable.get(table.name) || []).length > 0)
+    .map(table => {
+      const rows = rowsByTable.get(table.name);
+      const fields = table.fields.filter(field => rows.some(row => row[field.name] !== undefined));
+      const columns = fields.map(field => quote(columnName(field))).join(', ');
+      const values = rows.map(row => `  (${fields.map(field => literal(row[field.name], field, dialect)).join(', ')})`).join(',\n');
+      return DIALECTS[dialect].insert(quote(table.name), columns, values);
+    });
+
+  return transaction(statements);
+}
+
+/**
+ * Tables ordered so every table comes after the tables it references
+ * @param {Array} tables - Table definitions
+ * @returns {Array} Sorted copy
+ */
+function sortTables(tables) {
+  const byEntity = new Map(tables.map(table => [table.entity, table]));
+  const sorted = [];
+  const state = new Map(); // table name -> 'visiting' | 'done'
+
+  const visit = (table, trail) => {
+    if (state.get(table.name) === 'done') return;
+    if (state.get(table.name) === 'visiting') {
+      throw new SchemaError(`Tables reference each other in a cycle: ${[...trail, table.name].join(' -> ')}`);
+    }
+    state.set(table.name, 'visiting');
+    table.fields.filter(field => field.foreignKey).forEach(field => {
+      const target = byEntity.get(field.foreignKey.split('.')[0]);
+      if (target && target !== table) visit(target, [...trail, table.name]);
+    });
+    state.set(table.name, 'done');
+    sorted.push(table);
+  };
+
+  tables.forEach(table => visit(table, []));
+  return sorted;
+}
+
+/**
+ * Column name for a field: camelCase field names become snake_case
+ */
+function columnName(field) {
+  return field.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * What happens to rows that reference a deleted record: optional references
+ * are cleared, required ones go with the record they belong to
+ */
+function onDeleteAction(field) {
+  return field.optional ? 'SET NULL' : 'CASCADE';
+}
+
+function renderChanges(changes, previous, next, dialect) {
+  const statements = [];
+  // SQLite can only add and drop plain columns in place; anything else means
+  // copying the table into a new one with the final structure
+  const rebuild = new Set(dialect === 'sqlite' ? changes.filter(needsRebuild).map(change => change.table.name) : []);
+  const rebuilt = new Set();
+
+  changes.forEach(change => {
+    const { table } = change;
+    if (rebuild.has(table.name) && change.type !== 'dropIndex') {
+      if (!rebuilt.has(table.name) && change.from) {
+        rebuilt.add(table.name);
+        statements.push(rebuildTable(change.from, table, next, dialect));
+        (table.indexes || []).forEach(index => statements.push(createIndex(table, index)));
+      }
+      return;
+    }
+
+    switch (change.type) {
+      case 'createTable':
+        statements.push(createTable(table, next, dialect));
+        break;
+      case 'dropTable':
+        statements.push(`DROP TABLE ${quote(table.name)};`);
+        break;
+      case 'createIndex':
+        statements.push(createIndex(table, change.index));
+        break;
+      case 'dropIndex':
+        statements.push(`DROP INDEX ${quote(change.index.name)};`);
+        break;
+      case 'addColumn':
+        statements.push(...addColumn(table, change.field, next, dialect));
+        break;
+      case 'dropColumn':
+        statements.push(`ALTER TABLE ${quote(table.name)} DROP COLUMN ${quote(columnName(change.field))};`);
+        break;
+      case 'alterColumn':
+        statements.push(...alterColumn(table, change.field, change.to, next));
+        break;
+      default:
+        throw new SchemaError(`Unknown schema change: ${change.type}`);
+    }
+  });
+
+  const sql = transaction(statements);
+  // Foreign keys have to be off while a referenced table is swapped out, and
+  // SQLite only allows switching them outside a transaction
+  return rebuild.size > 0 ? `PRAGMA foreign_keys = OFF;\n${sql}PRAGMA foreign_keys = ON;\n` : sql;
+}
+
+function needsRebuild(change) {
+  if (change.type === 'alterColumn') return true;
+  if (change.type !== 'addColumn' && change.type !== 'dropColumn') return false;
+  const { field } = change;
+  return Boolean(field.primary || field.unique || field.foreignKey ||
+    (change.type === 'addColumn' && !field.optional && field.default === undefined));
+}
+
+function createTable(table, schema, dialect, name = table.name) {
+  const columns = table.fields.map(field => `  ${columnDefinition(field, schema, dialect)}`);
+  return `CREATE TABLE ${quote(name)} (\n${columns.join(',\n')}\n);`;
+}
+
+function createIndex(table, index) {
+  const columns = index.columns.map(column => {
+    const field = table.fields.find(candidate => candidate.name === column);
+    if (!field) throw new SchemaError(`Index ${index.name} uses ${column}, which ${table.name} doesn't have`);
+    return quote(columnName(field));
+  });
+  return `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${quote(index.name)} ON ${quote(table.name)} (${columns.join(', ')});`;
+}
+
+function columnDefinition(field, schema, dialect) {
+  const column = quote(columnName(field));
+  const parts = [column, sqlType(field, dialect)];
+
+  if (field.primary) parts.push('PRIMARY KEY');
+  else if (!field.optional) parts.push('NOT NULL');
+  if (field.unique && !field.primary) parts.push('UNIQUE');
+  if (field.default !== undefined) parts.push(`DEFAULT ${literal(field.default, field, dialect)}`);
+  if (field.type === 'boolean' && dialect === 'sqlite') parts.push(`CHECK (${column} IN (0, 1))`);
+  if (field.foreignKey) {
+    const { table, column: target } = reference(field, schema);
+    parts.push(`REFERENCES ${quote(table)} (${quote(target)}) ON DELETE ${onDeleteAction(field)}`);
+  }
+  return parts.join(' ');
+}
+
+function addColumn(table, field, schema, dialect) {
+  const statement = `ALTER TABLE ${quote(table.name)} ADD COLUMN ${columnDefinition(field, schema, dialect)}`;
+  const fill = fillValue(field);
+  if (field.optional || field.default !== undefined || fill === null) return [`${statement};`];
+
+  // Existing rows need a value before the column can be NOT NULL (SQLite
+  // rebuilds the table for these instead)
+  return [
+    `${statement} DEFAULT ${fill};`,
+    `ALTER TABLE ${quote(table.name)} ALTER COLUMN ${quote(columnName(field))} DROP DEFAULT;`
+  ];
+}
+
+// PostgreSQL only: SQLite rebuilds the table instead
+function alterColumn(table, from, to, schema) {
+  const alter = `ALTER TABLE ${quote(table.name)}`;
+  const column = quote(columnName(to));
+  const statements = [];
+  const referenceChanged = from.type !== to.type || from.foreignKey !== to.foreignKey ||
+    (to.foreignKey && onDeleteAction(from) !== onDeleteAction(to));
+
+  if (Boolean(from.primary) !== Boolean(to.primary)) {
+    throw new SchemaError(`Changing the primary key of ${table.name} needs a hand-written migration`);
+  }
+  if (from.foreignKey && referenceChanged) statements.push(`${alter} DROP CONSTRAINT ${quote(`${table.name}_${columnName(from)}_fkey`)};`);
+  if (from.unique && !to.unique) statements.push(`${alter} DROP CONSTRAINT ${quote(`${table.name}_${columnName(from)}_key`)};`);
+  if (from.type !== to.type) {
+    const type = sqlType(to, 'postgresql');
+    statements.push(`${alter} ALTER COLUMN ${column} TYPE ${type} USING ${column}::${type};`);
+  }
+  if (!sameValue(from.default, to.default)) {
+    statements.push(to.default === undefined
+      ? `${alter} ALTER COLUMN ${column} DROP DEFAULT;`
+      : `${alter} ALTER COLUMN ${column} SET DEFAULT ${literal(to.default, to, 'postgresql')};`);
+  }
+  if (Boolean(from.optional) !== Boolean(to.optional) && !to.primary) {
+    const fill = to.default !== undefined ? literal(to.default, to, 'postgresql') : fillValue(to);
+    if (!to.optional && fill !== null) statements.push(`UPDATE ${quote(table.name)} SET ${column} = ${fill} WHERE ${column} IS NULL;`);
+    statements.push(`${alter} ALTER COLUMN ${column} ${to.optional ? 'DROP' : 'SET'} NOT NULL;`);
+  }
+  if (to.unique && !from.unique) {
+    statements.push(`${alter} ADD CONSTRAINT ${quote(`${table.name}_${columnName(to)}_key`)} UNIQUE (${column});`);
+  }
+  if (to.foreignKey && referenceChanged) {
+    const { table: target, column: targetColumn } = reference(to, schema);
+    statements.push(`${alter} ADD CONSTRAINT ${quote(`${table.name}_${columnName(to)}_fkey`)} FOREIGN KEY (${column}) ` +
+      `REFERENCES ${quote(target)} (${quote(targetColumn)}) ON DELETE ${onDeleteAction(to)};`);
+  }
+  return statements;
+}
+
+// SQLite: copy into a table with the new structure, then swap it in
+function rebuildTable(from, to, schema, dialect) {
+  const temp = `${to.name}_new`;
+  const oldFields = new Map(from.fields.map(field => [field.name, field]));
+  const copied = to.fields.filter(field => oldFields.has(field.name) || (!field.optional && field.default === undefined && fillValue(field) !== null));
+  const selected = copied.map(field => {
+    const was = oldFields.get(field.name);
+    const fill = fillValue(field);
+    if (!was) return fill;
+    const column = quote(columnName(was));
+    return !field.optional && was.optional && fill !== null ? `COALESCE(${column}, ${fill})` : column;
+  });
+
+  return [
+    createTable(to, schema, dialect, temp),
+    `INSERT INTO ${quote(temp)} (${copied.map(field => quote(columnName(field))).join(', ')})\n` +
+      `  SELECT ${selected.join(', ')} FROM ${quote(from.name)};`,
+    `DROP TABLE ${quote(from.name)};`,
+    `ALTER TABLE ${quote(temp)} RENAME TO ${quote(to.name)};`
+  ].join('\n');
+}
+
+function changeWarnings(change) {
+  const where = `${change.table.name}.${change.field ? change.field.name : ''}`;
+  if (change.type === 'dropTable') return [`Dropping ${change.table.name} deletes its data`];
+  if (change.type === 'dropColumn') return [`Dropping ${where} deletes its data`];
+  if (change.type === 'addColumn' && change.field.foreignKey && !change.field.optional) {
+    return [`${where} is a required reference, so the migration fails if ${change.table.name} already has rows`];
+  }
+  return [];
+}
+
+function migrationName(changes, initial) {
+  if (initial && changes.every(change => change.type === 'createTable' || change.type === 'createIndex')) return 'create_schema';
+
+  const structural = changes.filter(change => change.type !== 'createIndex' && change.type !== 'dropIndex');
+  if (structural.length === 1) {
+    const { type, table, field } = structural[0];
+    const column = field ? columnName(field) : '';
+    return {
+      createTable: `create_${table.name}`,
+      dropTable: `drop_${table.name}`,
+      addColumn: `add_${column}_to_${table.name}`,
+      dropColumn: `remove_${column}_from_${table.name}`,
+      alterColumn: `change_${table.name}_${column}`
+    }[type];
+  }
+  if (structural.length === 0) return 'update_indexes';
+
+  const tables = new Set(changes.map(change => change.table.name));
+  return tables.size === 1 ? `update_${[...tables][0]}` : 'update_schema';
+}
+
+function transaction(statements) {
+  return ['BEGIN;', '', ...statements.map(statement => `${statement}\n`), 'COMMIT;', ''].join('\n');
+}
+
+function reference(field, schema) {
+  const [entity, target = 'id'] = field.foreignKey.split('.');
+  const table = ((schema && schema.tables) || []).find(candidate => candidate.entity === entity);
+  if (!table) throw new SchemaError(`${field.name} references ${entity}, which isn't in the schema`);
+  const targetField = table.fields.find(candidate => candidate.name === target);
+  return { table: table.name, column: targetField ? columnName(targetField) : target };
+}
+
+function sqlType(field, dialect) {
+  const type = DIALECTS[dialect].types[field.type];
+  if (!type) throw new SchemaError(`${field.name} has unknown type "${field.type}"`);
+  return type;
+}
+
+function literal(value, field, dialect) {
+  if (value === undefined || value === null) return 'NULL';
+  if (field.type === 'boolean') return DIALECTS[dialect].boolean(value);
+  if ((field.type === 'integer' || field.type === 'decimal') && Number.isFinite(Number(value))) return String(Number(value));
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function fillValue(field) {
+  if (field.foreignKey) return null; // there is no sensible record to point existing rows at
+  if (field.type === 'boolean') return 'FALSE';
+  return FILL_VALUES[field.type] || null;
+}
+
+function quote(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function sameField(a, b) {
+  return FIELD_KEYS.every(key => (FLAGS.includes(key)
+    ? Boolean(a[key]) === Boolean(b[key])
+    : sameValue(a[key], b[key])));
+}
+
+function sameIndex(a, b) {
+  return Boolean(a && b) && Boolean(a.unique) === Boolean(b.unique) && a.columns.join(',') === b.columns.join(',');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function checkDialect(dialect) {
+  if (!DIALECTS[dialect]) throw new SchemaError(`Unknown SQL dialect "${dialect}" (use ${SQL_DIALECTS.join(' or ')})`);
+}
+
+module.exports = {
+  SchemaError,
+  SQL_DIALECTS,
+  renderSchema,
+  diffSchemas,
+  renderMigration,
+  renderSeed,
+  sortTables,
+  columnName,
+  onDeleteAction
+};
@@ -0,0 +1,286 @@
+// Daily planner: turns open tasks into a time-blocked agenda for one day.
+// Working hours are cut up by breaks and fixed events (meetings imported from
+// a calendar); tasks fill the free time in deadline-then-priority order, never
+// before the tasks they depend on, and are split across gaps when they have
+// to be. Durations are the planned minutes the caller passes in (corrected
+// estimate minus time already tracked).
+// Plans are not stored: a task whose timer is running is pinned to now, and
+// once it runs past its planned time it gets OVERRUN_GRACE_MINUTES more with
+// the rest of the day planned after that - asking again re-plans around it.
+
+const MINUTE_MS = 60 * 1000;
+const MIN_BLOCK_MINUTES = 15; // gaps shorter than this stay free unless they finish a task
+const OVERRUN_GRACE_MINUTES = 15;
+const DEFAULT_SETTINGS = {
+    workingHours: { start: '09:00', end: '17:00' },
+    breaks: [{ start: '12:00', end: '12:30', title: 'Lunch' }]
+};
+
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const atMinute = (day, minutes) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime();
+const formatDay = day => [
+    day.getFullYear(),
+    String(day.getMonth() + 1).padStart(2, '0'),
+    String(day.getDate()).padStart(2, '0')
+].join('-');
+
+// "09:30" -> minutes after midnight ("24:00" ends the day)
+function parseClock(value, name) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value === undefined ? '' : value).trim());
+    const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+        throw new Error(`${name} must be a time like "09:30", got "${value}"`);
+    }
+    return minutes;
+}
+
+function parseDay(value, now) {
+    if (value === undefined || value === '') return startOfDay(now);
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    const day = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (!day || day.getDate() !== Number(match[3])) {
+        throw new Error(`date must look like 2030-01-31, got "${value}"`);
+    }
+    return day;
+}
+
+// Validated { workingHours, breaks } with times kept as "HH:MM" strings
+function normalizeSettings({ workingHours = DEFAULT_SETTINGS.workingHours, breaks = DEFAULT_SETTINGS.breaks } = {}) {
+    const start = parseClock(workingHours.start, 'workingHours.start');
+    const end = parseClock(workingHours.end, 'workingHours.end');
+    if (end <= start) {
+        throw new Error('workingHours.end must be after workingHours.start');
+    }
+    if (!Array.isArray(breaks)) {
+        throw new Error('breaks must be an array of { start, end, title }');
+    }
+
+    return {
+        workingHours: { start: String(workingHours.start).trim(), end: String(workingHours.end).trim() },
+        breaks: breaks
+            .map((entry, index) => {
+                const from = parseClock(entry.start, `breaks[${index}].start`);
+                const to = parseClock(entry.end, `breaks[${index}].end`);
+                if (to <= from) {
+                    throw new Error(`breaks[${index}] must end after it starts`);
+                }
+                return { start: String(entry.start).trim(), end: String(entry.end).trim(), title: String(entry.title || 'Break') };
+            })
+            .sort((a, b) => parseClock(a.start) - parseClock(b.start))
+    };
+}
+
+// Validated fixed events { uid, title, start, end } with ISO dates
+function normalizeEvents(events = []) {
+    if (!Array.isArray(events)) {
+        throw new Error('events must be an array of { title, start, end }');
+    }
+    return events.map((event, index) => {
+        const start = new Date(event.start);
+        const end = new Date(event.end);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            throw new Error(`events[${index}] needs a start and an end date`);
+        }
+        if (end <= start) {
+            throw new Error(`events[${index}] must end after it starts`);
+        }
+        return {
+            uid: String(event.uid || `${start.toISOString()}-${event.title || 'event'}`),
+            title: String(event.title || 'Busy'),
+            start: start.toISOString(),
+            end: end.toISOString()
+        };
+    });
+}
+
+// Remove a busy block from a sorted list of free intervals
+function subtract(free, busy) {
+    return free.flatMap(slot => {
+        if (busy.end <= slot.start || busy.start >= slot.end) return [slot];
+        return [
+            { start: slot.start, end: busy.start },
+            { start: busy.end, end: slot.end }
+        ].filter(part => part.end > part.start);
+    });
+}
+
+// Earliest free time from `notBefore` for `minutes` of work, in pieces.
+// Slivers shorter than MIN_BLOCK_MINUTES are skipped unless they finish the task.
+function allocate(free, notBefore, minutes) {
+    const pieces = [];
+    let left = minutes * MINUTE_MS;
+    for (const slot of free) {
+        if (left <= 0) break;
+        const start = Math.max(slot.start, notBefore);
+        const take = Math.min(slot.end - start, left);
+        if (take <= 0 || (take < MIN_BLOCK_MINUTES * MINUTE_MS && take < left)) continue;
+        pieces.push({ start, end: start + take });
+        left -= take;
+    }
+    return { pieces, leftMinutes: Math.round(left / MINUTE_MS) };
+}
+
+// Tasks due by the end of the day first (earliest deadline first), then by priority
+function rankItems(items, dayEnd) {
+    const dueBy = item => (item.deadline && new Date(item.deadline).getTime() <= dayEnd
+        ? new Date(item.deadline).getTime()
+        : Infinity);
+    return [...items].sort((a, b) =>
+        dueBy(a) - dueBy(b) || (b.task.priority || 0) - (a.task.priority || 0) || a.task.id - b.task.id);
+}
+
+// items: [{ task, minutes, deadline, dependencies (open task ids), runningSince }]
+// options: { date, workingHours, breaks, events }
+function planDay(items, options = {}, now = new Date()) {
+    const settings = normalizeSettings(options);
+    const day = parseDay(options.date, now);
+    if (day < startOfDay(now)) {
+        throw new Error('Cannot plan a day that is already over');
+    }
+    const isToday = day.getTime() === startOfDay(now).getTime();
+    const dayStart = atMinute(day, parseClock(settings.workingHours.start));
+    const dayEnd = atMinute(day, parseClock(settings.workingHours.end));
+    const begin = Math.max(dayStart, now.getTime());
+
+    // Breaks and events inside working hours, clipped to them
+    const fixed = [
+        ...settings.breaks.map(entry => ({
+            type: 'break',
+            title: entry.title,
+            start: atMinute(day, parseClock(entry.start)),
+            end: atMinute(day, parseClock(entry.end))
+        })),
+        ...normalizeEvents(options.events).map(event => ({
+            type: 'event',
+            uid: event.uid,
+            title: event.title,
+            start: new Date(event.start).getTime(),
+            end: new Date(event.end).getTime()
+        }))
+    ]
+        .filter(block => block.end > dayStart && block.start < dayEnd)
+        .map(block => ({ ...block, start: Math.max(block.start, dayStart), end: Math.min(block.end, dayEnd) }));
+
+    let free = begin < dayEnd ? [{ start: begin, end: dayEnd }] : [];
+    fixed.forEach(block => {
+        free = subtract(free, block);
+    });
+    const freeAtStart = free.reduce((sum, slot) => sum + slot.end - slot.start, 0);
+
+    const blocks = [];
+    const unscheduled = [];
+    const finishes = new Map(); // task id -> when its last block ends, or null if it doesn't finish today
+    const byId = new Map(items.map(item => [item.task.id, item]));
+
+    const place = (item, notBefore, minutes, extra = {}) => {
+        const { pieces, leftMinutes } = allocate(free, notBefore, minutes);
+        pieces.forEach(piece => {
+            free = subtract(free, piece);
+        });
+        if (pieces.length === 0) {
+            unscheduled.push({ ...describe(item), reason: 'No free time left in the day' });
+            finishes.set(item.task.id, null);
+            return;
+        }
+
+        const finish = pieces[pieces.length - 1].end;
+        const deadline = item.deadline ? new Date(item.deadline).getTime() : null;
+        pieces.forEach((piece, index) => {
+            blocks.push({
+                type: 'task',
+                taskId: item.task.id,
+                title: item.task.title,
+                start: piece.start,
+                end: piece.end,
+                part: pieces.length > 1 ? `${index + 1}/${pieces.length}` : null,
+                late: deadline !== null && finish > deadline,
+                ...extra
+            });
+        });
+        if (leftMinutes > 0) {
+            blocks[blocks.length - 1].continues = true;
+            blocks[blocks.length - 1].remainingMinutes = leftMinutes;
+        }
+        finishes.set(item.task.id, leftMinutes > 0 ? null : finish);
+    };
+
+    // The task being worked on right now comes first
+    const running = isToday && items.find(item => item.runningSince);
+    if (running) {
+        const elapsed = Math.max(0, Math.round((now.getTime() - new Date(running.runningSince).getTime()) / MINUTE_MS));
+        const overrun = elapsed >= running.minutes;
+        place(running, begin, overrun ? OVERRUN_GRACE_MINUTES : running.minutes - elapsed, {
+            running: true,
+            startedAt: new Date(running.runningSince),
+            overrun,
+            overrunMinutes: Math.max(0, elapsed - running.minutes)
+        });
+    }
+
+    const queue = rankItems(items.filter(item => item !== running), dayEnd);
+    while (queue.length > 0) {
+        // Highest-ranked task whose dependencies have all been dealt with
+        const index = queue.findIndex(item =>
+            item.dependencies.every(id => !byId.has(id) || finishes.has(id)));
+        const [item] = queue.splice(Math.max(index, 0), 1);
+
+        const waitingOn = item.dependencies.find(id => !byId.has(id) || !finishes.get(id));
+        if (waitingOn !== undefined) {
+            unscheduled.push({
+                ...describe(item),
+                reason: byId.has(waitingOn)
+                    ? `Waits on task ${waitingOn}, which does not finish today`
+                    : `Waits on task ${waitingOn}`
+            });
+            finishes.set(item.task.id, null);
+            continue;
+        }
+
+        const ready = Math.max(begin, ...item.dependencies.map(id => finishes.get(id)));
+        place(item, ready, item.minutes);
+    }
+
+    const taskMinutes = blocks.reduce((sum, block) => sum + block.end - block.start, 0);
+    const agenda = [...fixed, ...blocks]
+        .sort((a, b) => a.start - b.start || a.end - b.end)
+        .map(block => ({
+            ...block,
+            start: new Date(block.start),
+            end: new Date(block.end),
+            minutes: Math.round((block.end - block.start) / MINUTE_MS)
+        }));
+
+    return {
+        date: formatDay(day),
+        workingHours: settings.workingHours,
+        from: new Date(Math.min(begin, dayEnd)),
+        to: new Date(dayEnd),
+        plannedAt: now,
+        agenda,
+        unscheduled,
+        summary: {
+            scheduledTasks: new Set(blocks.map(block => block.taskId)).size,
+            unscheduledTasks: unscheduled.length,
+            lateTasks: new Set(blocks.filter(block => block.late).map(block => block.taskId)).size,
+            taskMinutes: Math.round(taskMinutes / MINUTE_MS),
+            freeMinutes: Math.round((freeAtStart - taskMinutes) / MINUTE_MS),
+            overrun: blocks.some(block => block.overrun)
+        }
+    };
+}
+
+function describe(item) {
+    return {
+        taskId: item.task.id,
+        title: item.task.title,
+        plannedMinutes: item.minutes,
+        deadline: item.deadline || null
+    };
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    normalizeEvents,
+    planDay
+};
@@ -0,0 +1,653 @@
+/**
+ * Deployment Adapters - Publish a built project somewhere it can run
+ * Every deploy builds a release bundle in the project's dist/ (production files
+ * plus a manifest of their hashes), hands it to an adapter, checks the result
+ * is healthy and appends a record to the project's .deployments.json:
+ *   static - copies public/ into a folder any web server can serve
+ *   docker - writes a Dockerfile and docker-compose.yml into the bundle, and
+ *            starts it when Docker is installed
+ *   rsync  - syncs the bundle into <path>/releases/<id> on a host over SSH (or
+ *            a local path) and switches <path>/current to it
+ * A failed health check puts the previous release back where the target keeps one.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const YAML = require('yaml');
+
+const BUILD_DIR = 'dist';
+const MANIFEST_FILE = 'deploy-manifest.json';
+const DEPLOYMENTS_FILE = '.deployments.json';
+const RECORD_LIMIT = 50;
+const RELEASES_KEPT = 5;
+const OUTPUT_LIMIT = 4000; // characters of command output kept for error messages
+
+// Development-only files that never ship
+const RELEASE_EXCLUDES = new Set(['node_modules', BUILD_DIR, 'tests', 'test', 'coverage', 'data', '.git', '.env', DEPLOYMENTS_FILE]);
+
+class DeploymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DeploymentError';
+  }
+}
+
+class Deployer {
+  /**
+   * @param {Object} options - { runCommand (file, args, { cwd, timeout }) => { code, stdout, stderr, missing },
+   *   healthCheck ({ attempts, interval }) }
+   */
+  constructor(options = {}) {
+    const adapterOptions = { runCommand: options.runCommand || runCommand, healthCheck: options.healthCheck };
+    this.adapters = {
+      static: new StaticFolderAdapter(adapterOptions),
+      docker: new DockerAdapter(adapterOptions),
+      rsync: new RsyncAdapter(adapterOptions)
+    };
+  }
+
+  /**
+   * Build a release, deploy it and record what happened
+   * @param {string} projectDir - Project directory (with package.json)
+   * @param {Object} options - { target: static|docker|rsync, plus the adapter's options }
+   * @returns {Object} Deployment record { id, target, status: live|bundled|failed, url, path,
+   *   startedAt, duration, build, health: { ok, checks }, notes, error }
+   */
+  async deploy(projectDir, options = {}) {
+    const adapter = this.adapters[options.target];
+    if (!adapter) {
+      throw new DeploymentError(`Unknown deployment target "${options.target}". Use one of: ${Object.keys(this.adapters).join(', ')}`);
+    }
+
+    const root = path.resolve(projectDir);
+    const started = Date.now();
+    const record = {
+      id: `${new Date(started).toISOString().replace(/\D/g, '').slice(0, 14)}-${crypto.randomBytes(2).toString('hex')}`,
+      target: adapter.name,
+      status: 'failed',
+      url: null,
+      path: null,
+      startedAt: new Date(started).toISOString(),
+      duration: 0,
+      build: null,
+      health: null,
+      notes: [],
+      error: null
+    };
+
+    try {
+      const build = buildRelease(root, record.id);
+      record.build = { dir: build.dir, files: build.files.length, bytes: build.bytes, hash: build.hash };
+
+      const deployment = await adapter.deploy(build, options);
+      Object.assign(record, { status: deployment.status, url: deployment.url, path: deployment.path });
+      record.notes.push(...(deployment.notes || []));
+
+      record.health = await adapter.healthCheck(build, deployment, options);
+      if (record.health.ok) {
+        await adapter.finish(build, deployment, options);
+      } else {
+        record.status = 'failed';
+        record.error = 'The deployed app failed its health check';
+        const restored = await adapter.rollback(build, deployment, options);
+        if (restored) record.notes.push(restored);
+      }
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+    }
+
+    record.duration = Date.now() - started;
+    this.saveRecord(root, record);
+    return record;
+  }
+
+  /**
+   * Past deployments of a project, oldest first
+   * @param {string} projectDir - Project directory
+   * @returns {Array} Deployment records
+   */
+  history(projectDir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(projectDir, DEPLOYMENTS_FILE), 'utf8'));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveRecord(projectDir, record) {
+    const records = [...this.history(projectDir), record].slice(-RECORD_LIMIT);
+    fs.writeFileSync(path.join(projectDir, DEPLOYMENTS_FILE), `${JSON.stringify(records, null, 2)}\n`);
+  }
+}
+
+/**
+ * Shared plumbing for adapters. deploy() must be implemented; finish() runs
+ * after a passing health check and rollback() after a failing one.
+ */
+class DeploymentAdapter {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.runCommand = options.runCommand || runCommand;
+    this.healthOptions = options.healthCheck || {};
+  }
+
+  async deploy(build, options) {
+    throw new DeploymentError(`${this.name} does not implement deploy()`);
+  }
+
+  async finish(build, deployment, options) {}
+
+  async rollback(build, deployment, options) {
+    return null;
+  }
+
+  checkUrl(url) {
+    return checkUrl(url, this.healthOptions);
+  }
+}
+
+class StaticFolderAdapter extends DeploymentAdapter {
+  constructor(options) {
+    super('static', options);
+  }
+
+  /**
+   * @param {Object} options - { dir: folder to publish into (default ../published/<name> next to
+   *   the project), baseUrl: where a web server serves that folder, checked after publishing }
+   */
+  async deploy(build, options = {}) {
+    if (build.manifest.hasApi) {
+      throw new DeploymentError(`${build.name} has an API, which a static folder can't run. Deploy it with docker or rsync instead.`);
+    }
+    const source = path.join(build.dir, 'public');
+    if (!isDirectory(source)) throw new DeploymentError(`${build.name} has no public/ folder to publish`);
+
+    const target = path.resolve(options.dir || path.join(path.dirname(build.projectDir), 'published', build.name));
+    const next = `${target}.next`;
+    const previous = `${target}.previous`;
+    fs.rmSync(next, { recursive: true, force: true });
+    fs.rmSync(previous, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.cpSync(source, next, { recursive: true });
+
+    // Swap folders so a web server never serves a half-copied site
+    const hadPrevious = isDirectory(target);
+    if (hadPrevious) fs.renameSync(target, previous);
+    fs.renameSync(next, target);
+
+    return {
+      status: 'live',
+      path: target,
+      url: options.baseUrl || null,
+      previous: hadPrevious ? previous : null,
+      notes: options.baseUrl ? [] : [`Serve ${target} from the root of any web server to put it online`]
+    };
+  }
+
+  async healthCheck(build, deployment) {
+    const published = Object.entries(build.manifest.files)
+      .filter(([file]) => file.startsWith('public/'))
+      .map(([file, hash]) => ({ file: file.slice('public/'.length), hash }));
+    const wrong = published.filter(({ file, hash }) => hashFile(path.join(deployment.path, file)) !== hash).map(({ file }) => file);
+    const checks = [{
+      name: 'files',
+      ok: wrong.length === 0,
+      detail: wrong.length === 0 ? `${published.length} files match the build` : `Missing or different: ${wrong.join(', ')}`
+    }];
+
+    const broken = localReferences(readText(path.join(deployment.path, 'index.html')) || '')
+      .filter(reference => !isFile(path.join(deployment.path, reference)));
+    checks.push(readText(path.join(deployment.path, 'index.html')) === null
+      ? { name: 'links', ok: false, detail: 'There is no index.html' }
+      : { name: 'links', ok: broken.length === 0, detail: broken.length === 0 ? 'Everything index.html loads is there' : `index.html loads files that don't exist: ${broken.join(', ')}` });
+
+    if (deployment.url) checks.push(await this.checkUrl(deployment.url));
+    return { ok: checks.every(check => check.ok), checks };
+  }
+
+  async finish(build, deployment) {
+    if (deployment.previous) fs.rmSync(deployment.previous, { recursive: true, force: true });
+  }
+
+  async rollback(build, deployment) {
+    if (!deployment.previous) return null;
+    fs.rmSync(deployment.path, { recursive: true, force: true });
+    fs.renameSync(deployment.previous, deployment.path);
+    return `Put the previous version back in ${deployment.path}`;
+  }
+}
+
+class DockerAdapter extends DeploymentAdapter {
+  constructor(options) {
+    super('docker', options);
+  }
+
+  /**
+   * @param {Object} options - { port: host port (default 3000), start: false to only write the bundle }
+   */
+  async deploy(build, options = {}) {
+    if (!build.manifest.hasServer) throw new DeploymentError(`${build.name} has no server.js and start script to run in a container`);
+
+    const port = Number(options.port) || 3000;
+    const files = renderDockerBundle(build, port);
+    Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(build.dir, file), content));
+    const bundled = { status: 'bundled', path: build.dir, url: null, port };
+
+    if (options.start === false) {
+      return { ...bundled, notes: [`Start it with docker compose up -d --build in ${build.dir}`] };
+    }
+    const compose = await this.runCommand('docker', ['compose', 'version'], { timeout: 15000 });
+    if (compose.code !== 0) {
+      return { ...bundled, notes: [`Docker isn't available here, so the bundle is ready but not running. Start it with docker compose up -d --build in ${build.dir}`] };
+    }
+
+    const up = await this.runCommand('docker', ['compose', '-p', composeProject(build.name), 'up', '-d', '--build'], { cwd: build.dir, timeout: 600000 });
+    if (up.code !== 0) throw new DeploymentError(`docker compose up failed: ${lastLines(up.stderr || up.stdout)}`);
+    return { ...bundled, status: 'live', url: `http://localhost:${port}` };
+  }
+
+  async healthCheck(build, deployment) {
+    const checks = [];
+    let compose = null;
+    try {
+      compose = YAML.parse(fs.readFileSync(path.join(build.dir, 'docker-compose.yml'), 'utf8'));
+    } catch (error) {
+      // Reported below
+    }
+    const service = compose && compose.services && compose.services.app;
+    checks.push({
+      name: 'compose',
+      ok: Boolean(service && service.build === '.' && (service.ports || []).includes(`${deployment.port}:3000`)),
+      detail: service ? `docker-compose.yml publishes the app on port ${deployment.port}` : 'docker-compose.yml has no app service'
+    });
+
+    const dockerfile = readText(path.join(build.dir, 'Dockerfile')) || '';
+    const entry = (/^CMD \["node", "([^"]+)"\]$/m.exec(dockerfile) || [])[1];
+    checks.push({
+      name: 'dockerfile',
+      ok: Boolean(entry) && isFile(path.join(build.dir, entry)),
+      detail: entry ? `The image starts ${entry}` : 'The Dockerfile has no node CMD'
+    });
+
+    if (deployment.url) checks.push(await this.checkUrl(`${deployment.url}${build.manifest.healthPath}`));
+    return { ok: checks.every(check => check.ok), checks };
+  }
+}
+
+class RsyncAdapter extends DeploymentAdapter {
+  constructor(options) {
+    super('rsync', options);
+  }
+
+  /**
+   * @param {Object} options - { destination: [user@]host:/path or a local path, sshPort, identityFile,
+   *   startCommand: run in the new release after switching to it, url: where the app answers once started }
+   */
+  async deploy(build, options = {}) {
+    if (!options.destination) throw new DeploymentError('Tell me where to deploy, e.g. deploy@example.com:/srv/my-app');
+    const { host, base } = parseDestination(options.destination);
+    const release = `${base}/releases/${build.id}`;
+    if ((await this.runCommand('rsync', ['--version'], { timeout: 15000 })).missing) {
+      throw new DeploymentError("rsync isn't installed on this machine");
+    }
+
+    await this.remote(host, `mkdir -p ${quote(release)}`, options);
+    const sync = await this.runCommand('rsync', [
+      '-a', '--delete',
+      ...(host ? ['-e', ['ssh', ...sshArgs(options)].join(' ')] : []),
+      `${build.dir}/`,
+      host ? `${host}:${release}/` : `${release}/`
+    ], { timeout: 600000 });
+    if (sync.code !== 0) throw new DeploymentError(`rsync failed: ${lastLines(sync.stderr)}`);
+
+    const previous = (await this.remote(host, `readlink ${quote(`${base}/current`)} || true`, options)).stdout.trim() || null;
+    await this.switchTo(host, base, `releases/${build.id}`, options);
+    if (options.startCommand) {
+      try {
+        await this.remote(host, `cd ${quote(`${base}/current`)} && ${options.startCommand}`, options);
+      } catch (error) {
+        if (previous) await this.switchTo(host, base, previous, options);
+        throw error;
+      }
+    }
+
+    return {
+      status: 'live',
+      host,
+      base,
+      path: host ? `${host}:${base}/current` : `${base}/current`,
+      url: options.url || null,
+      previous
+    };
+  }
+
+  async healthCheck(build, deployment, options = {}) {
+    const checks = [];
+    const shown = await this.runCommand(...this.remoteCommand(deployment.host, `cat ${quote(`${deployment.base}/current/${MANIFEST_FILE}`)}`, options), { timeout: 60000 });
+    let manifest = null;
+    try {
+      manifest = JSON.parse(shown.stdout);
+    } catch (error) {
+      // Reported below
+    }
+    checks.push({
+      name: 'release',
+      ok: Boolean(manifest && manifest.id === build.id && manifest.hash === build.hash),
+      detail: manifest ? `current is release ${manifest.id}` : `There is no ${MANIFEST_FILE} in ${deployment.path}`
+    });
+
+    if (deployment.url) checks.push(await this.checkUrl(`${deployment.url.replace(/\/$/, '')}${build.manifest.healthPath}`));
+    return { ok: checks.every(check => check.ok), checks };
+  }
+
+  async finish(build, deployment, options = {}) {
+    await this.remote(deployment.host,
+      `cd ${quote(`${deployment.base}/releases`)} && ls -1t | tail -n +${RELEASES_KEPT + 1} | xargs -r rm -rf`, options);
+  }
+
+  async rollback(build, deployment, options = {}) {
+    if (!deployment.previous) return null;
+    await this.switchTo(deployment.host, deployment.base, deployment.previous, options);
+    return `Pointed current back at ${deployment.previous}`;
+  }
+
+  // Swaps the symlink with a rename, so current always points at a whole release.
+  // Renaming over a symlink to a directory needs mv -T on GNU hosts and mv -h on
+  // BSD/macOS ones; plain mv would move the new link into the old release.
+  switchTo(host, base, release, options) {
+    const next = quote(`${base}/current.next`);
+    const current = quote(`${base}/current`);
+    const failed = quote(`Couldn't rename ${base}/current.next over ${base}/current (tried GNU mv -T and BSD mv -h)`);
+    return this.remote(host, `ln -sfn ${quote(release)} ${next} && ` +
+      `{ mv -Tf ${next} ${current} 2>/dev/null || mv -hf ${next} ${current} 2>/dev/null || ` +
+      `{ printf '%s\\n' ${failed} >&2; exit 1; }; }`, options);
+  }
+
+  async remote(host, command, options) {
+    const run = await this.runCommand(...this.remoteCommand(host, command, options), { timeout: 300000 });
+    if (run.missing) throw new DeploymentError(`${host ? 'ssh' : 'sh'} isn't installed on this machine`);
+    if (run.code !== 0) throw new DeploymentError(`${host ? `On ${host}: ` : ''}${command} failed: ${lastLines(run.stderr)}`);
+    return run;
+  }
+
+  remoteCommand(host, command, options) {
+    return host ? ['ssh', [...sshArgs(options), host, command]] : ['sh', ['-c', command]];
+  }
+}
+
+/**
+ * Copy the project's production files into dist/ and write their manifest
+ * @param {string} projectDir - Project directory
+ * @param {string} id - Deployment id
+ * @returns {Object} { id, name, projectDir, dir, files, bytes, hash, manifest }
+ */
+function buildRelease(projectDir, id) {
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+  } catch (error) {
+    throw new DeploymentError(`No package.json in ${projectDir}`);
+  }
+
+  const dir = path.join(projectDir, BUILD_DIR);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.readdirSync(projectDir)
+    .filter(entry => !RELEASE_EXCLUDES.has(entry))
+    .forEach(entry => fs.cpSync(path.join(projectDir, entry), path.join(dir, entry), {
+      recursive: true,
+      filter: source => !source.endsWith('.log')
+    }));
+
+  const production = { ...pkg };
+  delete production.devDependencies;
+  delete production.jest;
+  production.scripts = pkg.scripts && pkg.scripts.start ? { start: pkg.scripts.start } : {};
+  fs.writeFileSync(path.join(dir, 'package.json'), `${JSON.stringify(production, null, 2)}\n`);
+
+  const files = listFiles(dir).sort();
+  const hashes = Object.fromEntries(files.map(file => [file, hashFile(path.join(dir, file))]));
+  const hash = crypto.createHash('sha256').update(JSON.stringify(hashes)).digest('hex').slice(0, 16);
+  const hasApi = files.includes('openapi.json');
+  const manifest = {
+    id,
+    name: pkg.name || path.basename(projectDir),
+    version: pkg.version || '0.0.0',
+    builtAt: new Date().toISOString(),
+    hash,
+    hasServer: files.includes('server.js') && Boolean(production.scripts.start),
+    hasApi,
+    hasAuth: files.includes('middleware/auth.js'),
+    healthPath: hasApi ? '/api/health' : '/',
+    files: hashes
+  };
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  return {
+    id,
+    name: manifest.name,
+    projectDir,
+    dir,
+    files,
+    bytes: files.reduce((total, file) => total + fs.statSync(path.join(dir, file)).size, 0),
+    hash,
+    manifest
+  };
+}
+
+/**
+ * Dockerfile, .dockerignore and docker-compose.yml for a release bundle
+ */
+function renderDockerBundle(build, port) {
+  const environment = { NODE_ENV: 'production', PORT: '3000', DATA_DIR: '/app/data' };
+  if (build.manifest.hasAuth) environment.JWT_SECRET = '${JWT_SECRET:?Set JWT_SECRET so sign-ins survive restarts}';
+
+  return {
+    Dockerfile: [
+      'FROM node:20-alpine',
+      'WORKDIR /app',
+      'ENV NODE_ENV=production',
+      'COPY package*.json ./',
+      'RUN npm install --omit=dev',
+      'COPY . .',
+      'ENV PORT=3000',
+      'EXPOSE 3000',
+      `HEALTHCHECK --interval=30s --timeout=5s CMD wget -qO- http://localhost:3000${build.manifest.healthPath} > /dev/null || exit 1`,
+      'CMD ["node", "server.js"]',
+      ''
+    ].join('\n'),
+    '.dockerignore': ['node_modules', 'data', '*.log', ''].join('\n'),
+    'docker-compose.yml': YAML.stringify({
+      services: {
+        app: {
+          build: '.',
+          image: composeProject(build.name),
+          ports: [`${port}:3000`],
+          environment,
+          volumes: ['data:/app/data'],
+          restart: 'unless-stopped'
+        }
+      },
+      volumes: { data: {} }
+    })
+  };
+}
+
+/**
+ * Which adapter suits a request: one it names, else static for apps
+ * without an API and docker for apps with one
+ * @param {string} description - User's request
+ * @param {Object} project - { hasApi }
+ * @returns {string} static|docker|rsync
+ */
+function chooseTarget(description = '', project = {}) {
+  const text = String(description).toLowerCase();
+  if (/\b(rsync|ssh)\b/.test(text) || findDestination(description)) return 'rsync';
+  if (/\b(docker|container|compose)\b/.test(text)) return 'docker';
+  if (/\b(static|folder)\b/.test(text)) return 'static';
+  return project.hasApi ? 'docker' : 'static';
+}
+
+/**
+ * A [user@]host:/path rsync destination mentioned in a request
+ */
+function findDestination(text = '') {
+  const match = /(?:^|\s)((?:[\w.-]+@)?[\w.-]+:(?!\/\/)[/~][^\s]*)/.exec(String(text));
+  return match ? match[1] : null;
+}
+
+function parseDestination(destination) {
+  const match = /^((?:[\w.-]+@)?[\w.-]+):(.+)$/.exec(destination);
+  if (match) return { host: match[1], base: match[2].replace(/\/$/, '') };
+  return { host: null, base: path.resolve(destination) };
+}
+
+function sshArgs(options = {}) {
+  return [
+    '-o', 'BatchMode=yes',
+    ...(options.sshPort ? ['-p', String(options.sshPort)] : []),
+    ...(options.identityFile ? ['-i', options.identityFile] : [])
+  ];
+}
+
+/**
+ * GET a URL until it answers 2xx or the attempts run out
+ * @param {string} url - URL to check
+ * @param {Object} options - { attempts (default 10), interval ms between them (default 1000), timeout ms each }
+ * @returns {Object} { name: 'http', ok, detail }
+ */
+async function checkUrl(url, options = {}) {
+  const attempts = options.attempts || 10;
+  let detail = '';
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(options.timeout || 5000) });
+      detail = `${url} answered ${response.status}`;
+      if (response.ok) return { name: 'http', ok: true, detail };
+    } catch (error) {
+      detail = `${url} did not answer (${(error.cause && error.cause.code) || error.message})`;
+    }
+    if (attempt < attempts) await new Promise(resolve => setTimeout(resolve, options.interval || 1000));
+  }
+  return { name: 'http', ok: false, detail };
+}
+
+/**
+ * Run a program, collecting its output until it exits or the timeout kills it
+ * and its children
+ * @returns {Promise<Object>} { code, stdout, stderr, missing: the program isn't installed }
+ */
+function runCommand(file, args, options = {}) {
+  return new Promise(resolve => {
+    const child = spawn(file, args, { cwd: options.cwd, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({ stdout, stderr, missing: false, ...result });
+    };
+    const timer = setTimeout(() => {
+      stderr += `\nStopped after ${options.timeout / 1000}s`;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        child.kill('SIGKILL');
+      }
+    }, options.timeout || 120000);
+
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-OUTPUT_LIMIT);
+    });
+    child.on('error', error => finish({ code: null, stderr: error.message, missing: error.code === 'ENOENT' }));
+    child.on('close', code => finish({ code }));
+  });
+}
+
+/**
+ * Same-site files an HTML page loads through src= and href=, relative to the site root
+ */
+function localReferences(html) {
+  const references = [...html.matchAll(/\b(?:src|href)=["']([^"']+)["']/g)]
+    .map(match => match[1].split(/[?#]/)[0])
+    .filter(reference => reference && !/^(?:[a-z]+:|\/\/)/i.test(reference))
+    .map(reference => reference.replace(/^\.?\//, ''))
+    .map(reference => (reference === '' || reference.endsWith('/') ? `${reference}index.html` : reference));
+  return [...new Set(references)];
+}
+
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(dir, relative) : [relative];
+  });
+}
+
+function hashFile(file) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+  } catch (error) {
+    return null;
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+function composeProject(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'app';
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+function lastLines(output = '') {
+  return output.trim().split('\n').slice(-3).join('\n') || 'no output';
+}
+
+module.exports = {
+  Deployer,
+  DeploymentAdapter,
+  DeploymentError,
+  StaticFolderAdapter,
+  DockerAdapter,
+  RsyncAdapter,
+  buildRelease,
+  chooseTarget,
+  findDestination,
+  checkUrl,
+  runCommand,
+  BUILD_DIR,
+  DEPLOYMENTS_FILE,
+  MANIFEST_FILE
+};
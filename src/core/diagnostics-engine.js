@@ -0,0 +1,775 @@
+/**
+ * Diagnostics Engine - Finds what's wrong with a generated project and fixes what it can
+ * Runs five checks over the project: syntax, dependencies, its own tests, lint
+ * (the project's lint script plus markup rules for public/) and broken links or
+ * missing assets. Each finding is filed under the issue category in
+ * commands/fix-whatever-is-broken.md whose <common_issues> names it, and the
+ * automatic fixes run in category priority order. The checks then run again,
+ * so the report says what really went away; if a fix broke something new in a
+ * file it changed, the files the fixes changed are put back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const { BaseAgent } = require('../agents/base-agent');
+const { MarkdownProcessor } = require('./markdown-processor');
+const { TestRunner } = require('./test-runner');
+const { runCommand } = require('./deployment-adapters');
+const { checkSyntax, listFiles, isCheckable } = require('./preview-server');
+
+const PLAYBOOK = path.join(__dirname, '../../commands/fix-whatever-is-broken.md');
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const CHECKS = {
+  syntax: 'findSyntaxErrors',
+  dependencies: 'findDependencyProblems',
+  tests: 'findTestFailures',
+  lint: 'findLintProblems',
+  links: 'findBrokenLinks'
+};
+const INSTALL_TIMEOUT = 300000;
+const MAX_ROUNDS = 3;
+const VIEWPORT_TAG = '<meta name="viewport" content="width=device-width, initial-scale=1">';
+const FIELD_PATTERN = /<(input|select|textarea)\b[^>]*>/gi;
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|ico)$/i;
+const STATUS_TEXT = {
+  fixed: null, // the fix explanation says it
+  resolved: 'Went away once the other fixes were in',
+  'fix-failed': "I tried to fix this but it's still there",
+  'needs-you': "I can't fix this one automatically",
+  new: 'Turned up once other problems were fixed'
+};
+
+class DiagnosticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DiagnosticsError';
+  }
+}
+
+class DiagnosticsEngine {
+  /**
+   * @param {Object} options - { playbook (path to the command file), checks (names to run, default all),
+   *   testRunner (has run(projectDir, { coverage })), runCommand (file, args, { cwd, timeout }) => { code, stdout, stderr },
+   *   translator (has translateErrorForUser) }
+   */
+  constructor(options = {}) {
+    this.playbook = options.playbook || PLAYBOOK;
+    this.checks = options.checks || Object.keys(CHECKS);
+    this.testRunner = options.testRunner || new TestRunner();
+    this.runCommand = options.runCommand || runCommand;
+    this.translator = options.translator || new BaseAgent('diagnostics');
+    this.markdownProcessor = new MarkdownProcessor();
+  }
+
+  /**
+   * The issue categories and error scenarios from the command file
+   * @returns {Object} { categories, scenarios }
+   */
+  async loadPlaybook() {
+    const command = await this.markdownProcessor.parseCommandFile(this.playbook);
+    return { categories: command.getIssueCategories(), scenarios: command.getErrorScenarios() };
+  }
+
+  /**
+   * Run the checks and classify what they find, most urgent first
+   * @param {string} projectDir - Project directory
+   * @param {Array} categories - Issue categories (default: from the playbook)
+   * @returns {Object} { findings, checks: { name: { findings, duration, error } } }
+   */
+  async diagnose(projectDir, categories) {
+    const root = path.resolve(projectDir);
+    if (!isDirectory(root) || (!isFile(path.join(root, 'package.json')) && !isDirectory(path.join(root, 'public')))) {
+      throw new DiagnosticsError(`${root} doesn't look like a project: it has no package.json and no public/ folder`);
+    }
+    if (!categories) ({ categories } = await this.loadPlaybook());
+
+    const findings = [];
+    const checks = {};
+    for (const name of this.checks) {
+      const started = Date.now();
+      try {
+        const found = await this[CHECKS[name]](root);
+        findings.push(...found);
+        checks[name] = { findings: found.length, duration: Date.now() - started, error: null };
+      } catch (error) {
+        checks[name] = { findings: 0, duration: Date.now() - started, error: error.message };
+      }
+    }
+    if (Object.values(checks).every(check => check.error)) {
+      throw new DiagnosticsError(`None of the checks could run: ${Object.values(checks)[0].error}`);
+    }
+
+    return {
+      findings: findings
+        .map(finding => this.classify(finding, categories))
+        .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority)),
+      checks
+    };
+  }
+
+  /**
+   * Diagnose, apply the automatic fixes, and diagnose again. Fixing one problem
+   * can uncover others (the tests can't run until package.json parses), so
+   * this goes round again while there is something new it can fix.
+   * @param {string} projectDir - Project directory
+   * @returns {Object} { projectDir, found, fixed, remaining, reverted, checks, duration }
+   */
+  async repair(projectDir) {
+    const root = path.resolve(projectDir);
+    const started = Date.now();
+    const { categories } = await this.loadPlaybook();
+    let current = await this.diagnose(root, categories);
+    const initial = new Set(current.findings.map(finding => finding.id));
+    const seen = new Map(current.findings.map(finding => [finding.id, finding]));
+    const attempts = new Map(); // finding id -> error message, or null when the fix ran
+    let reverted = false;
+
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      const fixable = current.findings.filter(finding => finding.autoFix && !attempts.has(finding.id));
+      if (fixable.length === 0) break;
+
+      const edits = new Map(); // file -> contents before this round's first fix touched it
+      await this.applyFixes(root, fixable, edits, attempts);
+      current = await this.diagnose(root, categories);
+
+      // Only problems new to the files the fixes edited are theirs; the others
+      // were hidden behind what got fixed
+      if (current.findings.some(finding => !seen.has(finding.id) && edits.has(finding.file))) {
+        edits.forEach((contents, file) => fs.writeFileSync(path.join(root, file), contents));
+        fixable.forEach(finding => attempts.set(finding.id, 'undone, because it broke something else'));
+        reverted = true;
+        current = await this.diagnose(root, categories);
+      }
+      current.findings.forEach(finding => {
+        if (!seen.has(finding.id)) seen.set(finding.id, finding);
+      });
+      if (reverted) break;
+    }
+
+    const left = new Set(current.findings.map(finding => finding.id));
+    return {
+      projectDir: root,
+      found: seen.size,
+      fixed: [...seen.values()]
+        .filter(finding => !left.has(finding.id))
+        .map(finding => this.summarize(finding, attempts.get(finding.id) === null ? 'fixed' : 'resolved')),
+      remaining: current.findings.map(finding => {
+        if (attempts.has(finding.id)) return this.summarize(finding, 'fix-failed', attempts.get(finding.id));
+        if (!initial.has(finding.id)) return this.summarize(finding, 'new');
+        return this.summarize(finding, 'needs-you');
+      }),
+      reverted,
+      checks: current.checks,
+      duration: Date.now() - started
+    };
+  }
+
+  /**
+   * Apply fixes in order, recording for each finding whether its fix ran
+   */
+  async applyFixes(root, findings, edits, attempts) {
+    const shared = new Map(); // fix key -> promise, so one npm install serves every missing package
+    for (const finding of findings) {
+      const { key, apply } = finding.fix;
+      try {
+        if (!key || !shared.has(key)) {
+          const applying = Promise.resolve().then(() => apply(this.editor(root, edits)));
+          if (key) shared.set(key, applying);
+          await applying;
+        } else {
+          await shared.get(key);
+        }
+        attempts.set(finding.id, null);
+      } catch (error) {
+        attempts.set(finding.id, error.message);
+      }
+    }
+  }
+
+  /**
+   * File a finding under the category whose common issues name it
+   */
+  classify(finding, categories) {
+    const issue = finding.issue.toLowerCase();
+    const category = categories.find(candidate => candidate.common_issues.some(common => common.toLowerCase() === issue));
+    return {
+      ...finding,
+      category: category ? category.name : 'uncategorized',
+      priority: category && PRIORITIES.includes(category.priority) ? category.priority : 'low',
+      fixApproach: category ? category.fix_approach || null : null,
+      autoFix: Boolean(finding.fix) && Boolean(category) && category.auto_fix !== 'false'
+    };
+  }
+
+  summarize(finding, status, error = null) {
+    return {
+      id: finding.id,
+      category: finding.category,
+      priority: finding.priority,
+      issue: finding.issue,
+      description: finding.description,
+      file: finding.file,
+      line: finding.line,
+      technical: finding.technical,
+      fix: finding.fix ? finding.fix.explanation : null,
+      status,
+      statusText: status === 'fixed' ? finding.fix.explanation : `${STATUS_TEXT[status]}${error ? ` (${error})` : ''}`
+    };
+  }
+
+  /**
+   * Read and write project files, keeping each one's original for a rollback
+   */
+  editor(root, edits) {
+    const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+    return {
+      read,
+      write(file, contents) {
+        if (!edits.has(file)) edits.set(file, read(file));
+        fs.writeFileSync(path.join(root, file), contents);
+      }
+    };
+  }
+
+  /**
+   * Files that don't compile. Missing closing brackets and JSON's stray commas
+   * are fixed when the corrected file then compiles.
+   */
+  async findSyntaxErrors(root) {
+    const findings = [];
+    for (const file of listFiles(root).filter(isCheckable)) {
+      const failure = await checkSyntax(root, file);
+      if (!failure) continue;
+
+      const source = fs.readFileSync(path.join(root, file), 'utf8');
+      const corrections = [
+        file.endsWith('.json') && { correct: removeTrailingCommas, explanation: "Removed the extra comma that JSON doesn't allow" },
+        { correct: closeBrackets, explanation: 'Added the closing brackets missing at the end of the file' }
+      ].filter(Boolean);
+      let fix = null;
+      for (const { correct, explanation } of corrections) {
+        const corrected = correct(source);
+        if (corrected !== null && corrected !== source && !(await checkSyntax(root, file, corrected))) {
+          fix = { explanation, apply: workspace => workspace.write(file, correct(workspace.read(file))) };
+          break;
+        }
+      }
+
+      findings.push({
+        id: `syntax:${file}`,
+        check: 'syntax',
+        issue: file.endsWith('.json') ? 'Configuration problems' : 'Syntax errors',
+        description: `${file}${failure.line ? `, line ${failure.line}` : ''}: ${this.translator.translateErrorForUser(failure.error)}`,
+        file,
+        line: failure.line,
+        technical: `${failure.error.name}: ${failure.error.message}`,
+        fix
+      });
+    }
+    return findings;
+  }
+
+  /**
+   * Packages the server code uses but package.json doesn't list, listed ones
+   * that aren't installed, and relative requires that point at nothing
+   */
+  async findDependencyProblems(root) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    } catch (error) {
+      if (!isFile(path.join(root, 'server.js'))) return [];
+      // Unreadable JSON is the syntax check's finding
+      return isFile(path.join(root, 'package.json')) ? [] : [{
+        id: 'dependencies:package.json',
+        check: 'dependencies',
+        issue: 'Configuration problems',
+        description: "There's no package.json, so nothing knows how to start the app or which packages it needs",
+        file: 'package.json',
+        line: null,
+        technical: error.message,
+        fix: null
+      }];
+    }
+
+    const declared = { ...manifest.devDependencies, ...manifest.dependencies };
+    const serverFiles = listFiles(root).filter(file => !file.startsWith('public/'));
+    const findings = [];
+    const npmInstall = {
+      key: 'npm-install',
+      explanation: 'Installed the packages listed in package.json',
+      apply: () => this.npm(root, ['install'])
+    };
+
+    Object.keys(declared).filter(name => !installedVersion(root, name)).forEach(name => findings.push({
+      id: `dependencies:install:${name}`,
+      check: 'dependencies',
+      issue: 'Missing dependencies',
+      description: `The ${name} package is listed in package.json but isn't installed`,
+      file: 'package.json',
+      line: null,
+      technical: `Cannot find module '${name}'`,
+      fix: npmInstall
+    }));
+
+    const undeclared = new Set();
+    for (const file of serverFiles.filter(name => name.endsWith('.js'))) {
+      const source = fs.readFileSync(path.join(root, file), 'utf8');
+      for (const { specifier, line } of moduleReferences(source)) {
+        if (specifier.startsWith('.')) {
+          if (resolveModule(root, file, specifier)) continue;
+          const target = findByName(serverFiles, path.posix.basename(specifier), ['.js', '.json']);
+          const replacement = target && relativeSpecifier(file, target, path.extname(specifier) !== '');
+          findings.push({
+            id: `dependencies:path:${file}:${specifier}`,
+            check: 'dependencies',
+            issue: 'File path issues',
+            description: `${file}, line ${line}: it loads ${specifier}, but there's no such file`,
+            file,
+            line,
+            technical: `Cannot find module '${specifier}'`,
+            fix: replacement ? this.referenceFix(file, specifier, replacement) : null
+          });
+          continue;
+        }
+
+        const name = packageName(specifier);
+        if (!name || builtinModules.includes(name) || declared[name] || undeclared.has(name)) continue;
+        undeclared.add(name);
+        const version = installedVersion(root, name);
+        findings.push({
+          id: `dependencies:declare:${name}`,
+          check: 'dependencies',
+          issue: 'Missing dependencies',
+          description: `${file} uses the ${name} package, but package.json doesn't list it`,
+          file,
+          line,
+          technical: `Cannot find module '${name}'`,
+          fix: version
+            ? {
+              explanation: `Added ${name} to package.json`,
+              apply: workspace => {
+                const current = JSON.parse(workspace.read('package.json'));
+                current.dependencies = sortKeys({ ...current.dependencies, [name]: `^${version}` });
+                workspace.write('package.json', `${JSON.stringify(current, null, 2)}\n`);
+              }
+            }
+            : { explanation: `Installed ${name} and added it to package.json`, apply: () => this.npm(root, ['install', name]) }
+        });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * The project's own test suite, one finding per failing test
+   */
+  async findTestFailures(root) {
+    let scripts;
+    try {
+      scripts = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).scripts || {};
+    } catch (error) {
+      return [];
+    }
+    if (!scripts.test) return [];
+
+    const run = await this.testRunner.run(root, { coverage: false });
+    if (run.status === 'error') {
+      const notInstalled = /isn't installed/.test(run.error);
+      return [{
+        id: 'tests:run',
+        check: 'tests',
+        issue: notInstalled ? 'Missing dependencies' : 'Configuration problems',
+        description: `The tests couldn't run: ${run.error}`,
+        file: 'package.json',
+        line: null,
+        technical: firstLines(run.output),
+        fix: notInstalled
+          ? { key: 'npm-install', explanation: 'Installed the packages listed in package.json', apply: () => this.npm(root, ['install']) }
+          : null
+      }];
+    }
+
+    return run.failures.map(failure => ({
+      id: `tests:${failure.file || ''}:${failure.test || ''}`,
+      check: 'tests',
+      issue: 'JavaScript errors',
+      description: failure.test
+        ? `The test "${failure.test}" fails${failure.file ? ` (${failure.file})` : ''}`
+        : `${failure.file} couldn't run`,
+      file: failure.file,
+      line: null,
+      technical: failure.message,
+      fix: null
+    }));
+  }
+
+  /**
+   * The project's lint script, and markup rules for the pages in public/:
+   * images need alt text, form fields need labels and pages need a viewport tag
+   */
+  async findLintProblems(root) {
+    const findings = [];
+    let scripts = {};
+    try {
+      scripts = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).scripts || {};
+    } catch (error) {
+      // No package.json means no lint script; the pages still get checked
+    }
+
+    if (scripts.lint) {
+      const run = await this.runCommand('npm', ['run', 'lint'], { cwd: root, timeout: INSTALL_TIMEOUT });
+      if (run.code !== 0) {
+        findings.push({
+          id: 'lint:script',
+          check: 'lint',
+          issue: 'JavaScript errors',
+          description: 'The linter found problems in the code',
+          file: null,
+          line: null,
+          technical: firstLines(`${run.stdout}\n${run.stderr}`, 12),
+          fix: /\beslint\b/.test(scripts.lint)
+            ? { explanation: 'Let the linter fix what it could', apply: () => this.npm(root, ['run', 'lint', '--', '--fix']) }
+            : null
+        });
+      }
+    }
+
+    for (const file of htmlFiles(root)) {
+      const html = fs.readFileSync(path.join(root, file), 'utf8');
+      const lineOf = index => html.slice(0, index).split('\n').length;
+
+      if (/<head[\s>]/i.test(html) && !/<meta[^>]+name=["']viewport["']/i.test(html)) {
+        findings.push({
+          id: `lint:${file}:viewport`,
+          check: 'lint',
+          issue: 'Mobile responsiveness problems',
+          description: `${file} has no viewport tag, so phones show it zoomed out`,
+          file,
+          line: lineOf(html.search(/<head[\s>]/i)),
+          technical: 'Missing <meta name="viewport">',
+          fix: {
+            explanation: 'Added the viewport tag so the page fits phone screens',
+            apply: workspace => workspace.write(file, withViewport(workspace.read(file)))
+          }
+        });
+      }
+
+      for (const match of html.matchAll(/<img\b[^>]*>/gi)) {
+        const tag = match[0];
+        if (/\balt\s*=/i.test(tag)) continue;
+        const src = attribute(tag, 'src') || '';
+        findings.push({
+          id: `lint:${file}:img:${src}`,
+          check: 'lint',
+          issue: 'Missing alt text for images',
+          description: `${file}, line ${lineOf(match.index)}: the image ${src} has no description for screen readers`,
+          file,
+          line: lineOf(match.index),
+          technical: tag,
+          // Every image in the page at once, as the link fixes may have changed their tags by now
+          fix: {
+            key: `alt:${file}`,
+            explanation: `Added alt text ("${altText(src)}")`,
+            apply: workspace => workspace.write(file, withAltText(workspace.read(file)))
+          }
+        });
+      }
+
+      let unnamed = 0;
+      for (const match of html.matchAll(FIELD_PATTERN)) {
+        const tag = match[0];
+        if (!needsLabel(html, tag, match.index)) continue;
+        const label = fieldLabel(tag);
+        // Counted rather than placed, so the id survives other fixes to the page
+        const name = attribute(tag, 'id') || attribute(tag, 'name') || `${match[1].toLowerCase()}-${++unnamed}`;
+        findings.push({
+          id: `lint:${file}:label:${name}`,
+          check: 'lint',
+          issue: 'Missing form labels',
+          description: `${file}, line ${lineOf(match.index)}: a form field has no label, so screen readers can't say what it's for`,
+          file,
+          line: lineOf(match.index),
+          technical: tag,
+          fix: label
+            ? { key: `labels:${file}`, explanation: `Labelled the field "${label}"`, apply: workspace => workspace.write(file, withFieldLabels(workspace.read(file))) }
+            : null
+        });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Links, images, stylesheets, scripts and module imports in public/ that
+   * point at files that aren't there. One with the same name elsewhere in
+   * public/ (or differing only in case) is taken to be the one meant.
+   */
+  async findBrokenLinks(root) {
+    const publicDir = path.join(root, 'public');
+    if (!isDirectory(publicDir)) return [];
+    const files = listFiles(root, 'public').map(file => file.slice('public/'.length));
+    const hasServer = isFile(path.join(root, 'server.js'));
+    const findings = [];
+
+    for (const file of files) {
+      const source = fs.readFileSync(path.join(publicDir, file), 'utf8');
+      const lineOf = index => source.slice(0, index).split('\n').length;
+      const references = [];
+      if (file.endsWith('.html')) {
+        for (const match of source.matchAll(/<(a|img|link|script|source|video|audio|iframe)\b[^>]*>/gi)) {
+          const tag = match[1].toLowerCase();
+          const ref = attribute(match[0], tag === 'a' || tag === 'link' ? 'href' : 'src');
+          const icon = tag === 'link' && /\brel=["'][^"']*icon/i.test(match[0]);
+          const issue = tag === 'a' ? 'Broken links or navigation'
+            : ['img', 'source', 'video', 'audio'].includes(tag) || icon ? 'Image loading issues' : 'File path issues';
+          if (ref) references.push({ ref, issue, index: match.index });
+        }
+      } else if (file.endsWith('.css')) {
+        for (const match of source.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi)) {
+          references.push({ ref: match[2], issue: IMAGE_EXTENSIONS.test(match[2]) ? 'Image loading issues' : 'File path issues', index: match.index });
+        }
+      } else if (file.endsWith('.js')) {
+        for (const { specifier, index } of moduleReferences(source)) {
+          if (/^(\.|\/)/.test(specifier)) references.push({ ref: specifier, issue: 'File path issues', index });
+        }
+      }
+
+      for (const { ref, issue, index } of references) {
+        if (/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(ref) || ref.includes('${')) continue;
+        const target = ref.split(/[?#]/)[0];
+        // Extensionless absolute paths are routes when there's a server to answer them
+        if (!target || (hasServer && target.startsWith('/') && !path.posix.extname(target))) continue;
+        const resolved = target.startsWith('/') ? target.slice(1) : path.posix.join(path.posix.dirname(file), target);
+        if (resolved.startsWith('..') || publicFileExists(publicDir, resolved)) continue;
+
+        const found = findByName(files, path.posix.basename(target));
+        const replacement = found && (target.startsWith('/')
+          ? `/${found}`
+          : relativeSpecifier(file, found, true).replace(/^\.\/(?=[^.])/, ref.startsWith('./') ? './' : ''));
+        findings.push({
+          id: `links:public/${file}:${ref}`,
+          check: 'links',
+          issue,
+          description: `public/${file}, line ${lineOf(index)}: ${ref} doesn't exist`,
+          file: `public/${file}`,
+          line: lineOf(index),
+          technical: `404 Not Found: ${ref}`,
+          fix: replacement ? this.referenceFix(`public/${file}`, target, replacement) : null
+        });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Point a quoted or url() reference at the file it meant
+   */
+  referenceFix(file, from, to) {
+    const pattern = new RegExp(`(['"(])${escapeRegExp(from)}([?#][^'")]*)?(['")])`, 'g');
+    return {
+      explanation: `Pointed it at ${to}, the file it meant`,
+      apply: workspace => workspace.write(file, workspace.read(file).replace(pattern, (all, open, suffix = '', close) => `${open}${to}${suffix}${close}`))
+    };
+  }
+
+  async npm(root, args) {
+    const run = await this.runCommand('npm', args, { cwd: root, timeout: INSTALL_TIMEOUT });
+    if (run.missing) throw new Error('npm is not installed');
+    if (run.code !== 0) throw new Error(`npm ${args.join(' ')} failed: ${lastLine(run.stderr)}`);
+  }
+}
+
+/**
+ * Packages and files a module loads with require() or import
+ */
+function moduleReferences(source) {
+  const patterns = [
+    /\brequire\(\s*(['"])([^'"]+)\1\s*\)/g,
+    /^\s*import\s+(?:[^'";]*?\s+from\s+)?(['"])([^'"]+)\1/gm,
+    /\bimport\(\s*(['"])([^'"]+)\1\s*\)/g
+  ];
+  return patterns.flatMap(pattern => [...source.matchAll(pattern)].map(match => ({
+    specifier: match[2],
+    index: match.index,
+    line: source.slice(0, match.index).split('\n').length
+  })));
+}
+
+function packageName(specifier) {
+  if (specifier.startsWith('node:')) return null;
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function resolveModule(root, fromFile, specifier) {
+  const base = path.join(root, path.dirname(fromFile), specifier);
+  return [base, `${base}.js`, `${base}.json`, path.join(base, 'index.js')].some(isFile);
+}
+
+function publicFileExists(publicDir, relative) {
+  const base = path.join(publicDir, relative);
+  return [base, `${base}.html`, path.join(base, 'index.html')].some(isFile);
+}
+
+/**
+ * The only file with this name (ignoring case, and the extension when one of
+ * those given), or null when there's none or several
+ */
+function findByName(files, name, extensions = []) {
+  const wanted = name.toLowerCase();
+  const matches = files.filter(file => {
+    const base = path.posix.basename(file).toLowerCase();
+    return base === wanted || extensions.some(extension => base === `${wanted}${extension}`);
+  });
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function relativeSpecifier(fromFile, toFile, keepExtension) {
+  let relative = path.posix.relative(path.posix.dirname(fromFile), toFile);
+  if (!keepExtension) relative = relative.replace(/\.(js|json)$/, '');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function installedVersion(root, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(root, 'node_modules', name, 'package.json'), 'utf8')).version;
+  } catch (error) {
+    return null;
+  }
+}
+
+function htmlFiles(root) {
+  if (!isDirectory(path.join(root, 'public'))) return [];
+  return listFiles(root, 'public').filter(file => file.endsWith('.html'));
+}
+
+function removeTrailingCommas(source) {
+  return source.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * The source with the brackets still open at the end closed, or null when
+ * they don't simply run out (a mismatched one, or an unfinished string)
+ */
+function closeBrackets(source) {
+  const closers = { '(': ')', '[': ']', '{': '}' };
+  const open = [];
+  let quote = null;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '/' && source[i + 1] === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) break;
+    } else if (char === '/' && source[i + 1] === '*') {
+      i = source.indexOf('*/', i + 2);
+      if (i === -1) return null;
+      i++;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (closers[char]) {
+      open.push(closers[char]);
+    } else if (')]}'.includes(char) && open.pop() !== char) {
+      return null;
+    }
+  }
+  if (quote || open.length === 0) return null;
+  return `${source.replace(/\s*$/, '')}\n${open.reverse().join('')}\n`;
+}
+
+/**
+ * The page with a viewport tag after its charset (or first thing in <head>),
+ * indented like the line it goes above
+ */
+function withViewport(html) {
+  const after = /<meta[^>]+charset[^>]*>/i.test(html) ? /(<meta[^>]+charset[^>]*>)(\r?\n)?([ \t]*)/i : /(<head(?:\s[^>]*)?>)(\r?\n)?([ \t]*)/i;
+  return html.replace(after, (match, tag, newline, indent) => (newline
+    ? `${tag}${newline}${indent}${VIEWPORT_TAG}${newline}${indent}`
+    : `${tag}${VIEWPORT_TAG}`));
+}
+
+function withAltText(html) {
+  return html.replace(/<img\b[^>]*>/gi, tag => (/\balt\s*=/i.test(tag)
+    ? tag
+    : tag.replace(/^<img\b/i, `<img alt="${escapeAttribute(altText(attribute(tag, 'src') || ''))}"`)));
+}
+
+function altText(src) {
+  return humanize(path.posix.basename(src).replace(/\.\w+$/, '')) || 'Image';
+}
+
+function withFieldLabels(html) {
+  return html.replace(FIELD_PATTERN, (tag, name, offset) => {
+    const label = needsLabel(html, tag, offset) && fieldLabel(tag);
+    return label ? tag.replace(/^<(\w+)/, `<$1 aria-label="${escapeAttribute(label)}"`) : tag;
+  });
+}
+
+/**
+ * A form field with no aria-label, no <label for> and no <label> around it
+ */
+function needsLabel(html, tag, index) {
+  const type = (attribute(tag, 'type') || '').toLowerCase();
+  if (['hidden', 'submit', 'button', 'reset', 'image'].includes(type) || /\baria-label(ledby)?\s*=/i.test(tag)) return false;
+  const id = attribute(tag, 'id');
+  if (id && new RegExp(`<label[^>]+for=["']${escapeRegExp(id)}["']`, 'i').test(html)) return false;
+  return html.lastIndexOf('<label', index) <= html.lastIndexOf('</label>', index);
+}
+
+function fieldLabel(tag) {
+  return humanize(attribute(tag, 'placeholder') || attribute(tag, 'name') || attribute(tag, 'id') || '');
+}
+
+function attribute(tag, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`, 'i').exec(tag);
+  return match ? match[2] : null;
+}
+
+function humanize(text) {
+  const words = text.replace(/[-_.]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim().toLowerCase();
+  return words ? words[0].toUpperCase() + words.slice(1) : '';
+}
+
+function escapeAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function firstLines(text, lines = 6) {
+  return String(text || '').replace(/\u001b\[[0-9;]*m/g, '').trim().split('\n').slice(0, lines).join('\n');
+}
+
+function lastLine(text) {
+  return String(text || '').trim().split('\n').pop() || 'no output';
+}
+
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { DiagnosticsEngine, DiagnosticsError, closeBrackets, moduleReferences, CHECKS };
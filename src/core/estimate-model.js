@@ -0,0 +1,91 @@
+// Estimate accuracy model.
+// Learns how far actual (timed) effort drifts from estimatedMinutes, per
+// category and per complexity, from completed leaf tasks with time entries.
+// Factors are actual / estimated, shrunk towards the overall factor (and that
+// towards 1) so a couple of unusual tasks don't swing every suggestion.
+
+const PRIOR_WEIGHT = 3;   // Pseudo-samples pulling a bucket towards its fallback
+const MIN_MINUTES = 5;
+const ROUND_TO = 5;
+
+function summarize(samples, fallback) {
+    const estimated = samples.reduce((sum, s) => sum + s.estimatedMinutes, 0);
+    const actual = samples.reduce((sum, s) => sum + s.actualMinutes, 0);
+    const ratio = estimated > 0 ? actual / estimated : fallback;
+    const factor = (samples.length * ratio + PRIOR_WEIGHT * fallback) / (samples.length + PRIOR_WEIGHT);
+
+    return {
+        samples: samples.length,
+        estimatedMinutes: estimated,
+        actualMinutes: actual,
+        factor: Math.round(factor * 100) / 100
+    };
+}
+
+function groupBy(samples, key) {
+    const groups = {};
+    samples.forEach(sample => {
+        const value = sample[key];
+        if (!groups[value]) groups[value] = [];
+        groups[value].push(sample);
+    });
+    return groups;
+}
+
+// Build the model from a task list (tasks without tracked time are ignored)
+function buildEstimateModel(tasks, parentIds = new Set()) {
+    const samples = tasks
+        .filter(task => task.completed && task.actualMinutes > 0 && task.estimatedMinutes > 0)
+        .filter(task => !parentIds.has(task.id)) // Parent estimates are rollups, not guesses
+        .map(task => ({
+            category: task.category,
+            complexity: task.complexity,
+            estimatedMinutes: task.estimatedMinutes,
+            actualMinutes: task.actualMinutes
+        }));
+
+    const overall = summarize(samples, 1);
+    const byCategory = {};
+    Object.entries(groupBy(samples, 'category')).forEach(([category, group]) => {
+        byCategory[category] = summarize(group, overall.factor);
+    });
+    const byComplexity = {};
+    Object.entries(groupBy(samples, 'complexity')).forEach(([complexity, group]) => {
+        byComplexity[complexity] = summarize(group, overall.factor);
+    });
+
+    return { overall, byCategory, byComplexity };
+}
+
+// Corrected estimate for a task: the category and complexity factors combined
+// (geometric mean), or the overall factor when neither bucket has data.
+// Returns null when nothing has been tracked yet.
+function suggestEstimate(model, { category, complexity, estimatedMinutes }) {
+    if (!model || model.overall.samples === 0 || !estimatedMinutes) return null;
+
+    const factors = [model.byCategory[category], model.byComplexity[complexity]]
+        .filter(Boolean)
+        .map(bucket => bucket.factor);
+    const factor = factors.length > 0
+        ? factors.reduce((product, f) => product * f, 1) ** (1 / factors.length)
+        : model.overall.factor;
+
+    return {
+        minutes: Math.max(MIN_MINUTES, Math.round((estimatedMinutes * factor) / ROUND_TO) * ROUND_TO),
+        factor: Math.round(factor * 100) / 100,
+        basis: factors.length > 0 ? 'category/complexity' : 'overall'
+    };
+}
+
+// Sum of closed time entries, in whole minutes
+function sumTimeEntries(entries = []) {
+    return entries
+        .filter(entry => entry.end)
+        .reduce((sum, entry) => sum + entry.minutes, 0);
+}
+
+module.exports = {
+    buildEstimateModel,
+    suggestEstimate,
+    sumTimeEntries
+};
@@ -11,8 +11,11 @@ const { ParallelExecutionCoordinator } = require('./parallel-execution-coordinat
 const { RoutingDecisionEngine } = require('./routing-decision-engine');
 
 class IntelligentRouter {
-  constructor() {
-    this.agentRouter = new AgentRouter(); // Use Claude Code agent router
+  /**
+   * @param {Object} options - { tokenBudget, provider } passed through to the AgentRouter
+   */
+  constructor(options = {}) {
+    this.agentRouter = new AgentRouter(options); // Use Claude Code agent router
     this.tokenOptimizer = new TokenOptimizer();
     this.patternMatcher = new PatternMatcher();
     this.metrics = new RoutingMetrics();
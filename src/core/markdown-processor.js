@@ -80,6 +80,7 @@ class MarkdownProcessor {
       getWorkflowSteps: () => metadata.workflow_steps || [],
       getErrorScenarios: () => metadata.error_scenarios || [],
       getValidationGates: () => metadata.validation_gates || [],
+      getIssueCategories: () => metadata.issue_categories || [],
       getCommandMeta: () => metadata.command_meta || {},
       
       // Workflow execution helpers
@@ -0,0 +1,833 @@
+/**
+ * OpenAPI Scaffold - The REST contract for a generated app and the Express server built from it
+ * buildOpenApiDocument() turns the backend specialist's entities, auth needs and
+ * security design into an OpenAPI 3 document. renderExpressScaffold() generates
+ * the server from that document: one router per tag, handlers chosen by each
+ * operation's x-action, and middleware that validates requests against the
+ * document at runtime, so the spec and the server cannot drift apart.
+ *
+ * Every generated JavaScript file carries a fingerprint of its code.
+ * planScaffoldUpdate() compares fingerprints with the files already in the
+ * project. It only regenerates files whose generated code changed, which means a
+ * schema change touches only what it affects and hand edits elsewhere survive.
+ */
+
+const crypto = require('crypto');
+
+const OPENAPI_VERSION = '3.0.3';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Fields the store sets itself, and fields that never leave the server
+const SERVER_FIELDS = ['id', 'createdAt', 'updatedAt'];
+const PRIVATE_FIELDS = ['passwordHash'];
+
+// Data model field types (see SimpleDatabaseSpecialist.generateEntities) as JSON Schema
+const FIELD_SCHEMAS = {
+  string: { type: 'string' },
+  text: { type: 'string' },
+  integer: { type: 'integer' },
+  decimal: { type: 'number' },
+  boolean: { type: 'boolean' },
+  datetime: { type: 'string', format: 'date-time' }
+};
+
+const FINGERPRINT_LINE = /^\/\/ Generated from openapi\.json \(fingerprint ([0-9a-f]+)\)\..*\n/m;
+
+class OpenApiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OpenApiError';
+  }
+}
+
+/**
+ * OpenAPI 3 document for the app's API
+ * @param {Object} options - { title, description, version,
+ *   resources: [{ collection, entity, fields, required }],
+ *   auth: null | { fields, roles } (JWT bearer auth for a users collection),
+ *   security: designSecurityLayer() output }
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument(options) {
+  const { title, description = '', version = '1.0.0', resources = [], auth = null, security = {} } = options;
+  const spec = {
+    openapi: OPENAPI_VERSION,
+    info: { title, version, description },
+    servers: [{ url: '/api' }],
+    tags: [{ name: 'health', description: 'Whether the API is up' }],
+    paths: {
+      '/health': {
+        get: {
+          tags: ['health'],
+          operationId: 'getHealth',
+          summary: 'Check that the API is up',
+          'x-action': 'health',
+          responses: {
+            200: jsonResponse('The API is up', {
+              type: 'object',
+              required: ['status'],
+              properties: { status: { type: 'string', enum: ['ok'] } }
+            })
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            details: {
+              type: 'array',
+              items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } }
+            }
+          }
+        }
+      },
+      parameters: {
+        Id: { name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 1 } }
+      },
+      responses: {
+        BadRequest: errorResponse('The request is not valid'),
+        NotFound: errorResponse('There is no record with that id')
+      }
+    }
+  };
+
+  const names = new Set();
+  resources.forEach(resource => {
+    if (names.has(resource.collection)) throw new OpenApiError(`Collection ${resource.collection} is listed twice`);
+    names.add(resource.collection);
+    addResource(spec, resource);
+  });
+  if (auth) addAuth(spec, auth);
+
+  const settings = {};
+  if (security.cors) settings.cors = { origin: '*' };
+  if (security.rateLimit) settings.rateLimit = { windowMs: 60000, max: 300 };
+  if (Object.keys(settings).length > 0) spec['x-security'] = settings;
+  return spec;
+}
+
+function addResource(spec, { collection, entity, fields, required = [] }) {
+  const label = entity.charAt(0).toLowerCase() + entity.slice(1);
+  const { schemas } = spec.components;
+  schemas[entity] = recordSchema(fields);
+  schemas[`${entity}Input`] = inputSchema(fields, required);
+  schemas[`${entity}Update`] = inputSchema(fields, []);
+  spec.tags.push({ name: collection, description: `${entity} records` });
+
+  const operation = (action, fields) => ({ tags: [collection], ...fields, 'x-action': action, 'x-collection': collection });
+  const record = { $ref: `#/components/schemas/${entity}` };
+  spec.paths[`/${collection}`] = {
+    get: operation('list', {
+      operationId: `list${pascalCase(collection)}`,
+      summary: `List ${collection}`,
+      responses: { 200: jsonResponse(`Every ${label}`, { type: 'array', items: record }) }
+    }),
+    post: operation('create', {
+      operationId: `create${entity}`,
+      summary: `Create a ${label}`,
+      requestBody: jsonBody(`${entity}Input`),
+      responses: { 201: jsonResponse(`The new ${label}`, record), 400: responseRef('BadRequest') }
+    })
+  };
+  spec.paths[`/${collection}/{id}`] = {
+    parameters: [{ $ref: '#/components/parameters/Id' }],
+    get: operation('read', {
+      operationId: `get${entity}`,
+      summary: `Get one ${label}`,
+      responses: { 200: jsonResponse(`The ${label}`, record), 404: responseRef('NotFound') }
+    }),
+    put: operation('update', {
+      operationId: `update${entity}`,
+      summary: `Change a ${label}`,
+      requestBody: jsonBody(`${entity}Update`),
+      responses: { 200: jsonResponse(`The changed ${label}`, record), 400: responseRef('BadRequest'), 404: responseRef('NotFound') }
+    }),
+    delete: operation('delete', {
+      operationId: `delete${entity}`,
+      summary: `Delete a ${label}`,
+      responses: { 204: { description: 'Deleted' }, 404: responseRef('NotFound') }
+    })
+  };
+}
+
+function addAuth(spec, { fields, roles = false }) {
+  const { schemas, responses } = spec.components;
+  const user = recordSchema(fields);
+  if (roles) user.properties.role = { type: 'string', enum: ['admin', 'user'], readOnly: true };
+  schemas.User = user;
+  schemas.Registration = {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', minLength: 8, writeOnly: true },
+      username: { type: 'string', minLength: 1 }
+    }
+  };
+  schemas.Login = {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: { email: { type: 'string', format: 'email' }, password: { type: 'string', writeOnly: true } }
+  };
+  schemas.Refresh = { type: 'object', required: ['refreshToken'], properties: { refreshToken: { type: 'string' } } };
+  schemas.Session = {
+    type: 'object',
+    required: ['user', 'accessToken', 'refreshToken', 'expiresIn'],
+    properties: {
+      user: { $ref: '#/components/schemas/User' },
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      expiresIn: { type: 'integer', description: 'Seconds until the access token expires' }
+    }
+  };
+  schemas.ProfileUpdate = {
+    type: 'object',
+    properties: { email: { type: 'string', format: 'email' }, username: { type: 'string', minLength: 1 } }
+  };
+  responses.Unauthorized = errorResponse('Sign in first, or the access token has expired');
+  responses.Conflict = errorResponse('That email is already registered');
+  spec.components.securitySchemes = { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } };
+  spec.tags.push({ name: 'auth', description: 'Accounts, sign-in and access tokens' });
+
+  const session = jsonResponse('Signed in', { $ref: '#/components/schemas/Session' });
+  const profile = jsonResponse('The signed-in user', { $ref: '#/components/schemas/User' });
+  const operation = (action, fields) => ({ tags: ['auth'], ...fields, 'x-action': action, 'x-collection': 'users' });
+  const signedIn = [{ bearerAuth: [] }];
+
+  spec.paths['/auth/register'] = {
+    post: operation('register', {
+      operationId: 'registerUser',
+      summary: 'Create an account',
+      requestBody: jsonBody('Registration'),
+      responses: { 201: session, 400: responseRef('BadRequest'), 409: responseRef('Conflict') }
+    })
+  };
+  spec.paths['/auth/login'] = {
+    post: operation('login', {
+      operationId: 'loginUser',
+      summary: 'Sign in with email and password',
+      requestBody: jsonBody('Login'),
+      responses: { 200: session, 400: responseRef('BadRequest'), 401: responseRef('Unauthorized') }
+    })
+  };
+  spec.paths['/auth/refresh'] = {
+    post: operation('refresh', {
+      operationId: 'refreshSession',
+      summary: 'Swap a refresh token for new tokens',
+      requestBody: jsonBody('Refresh'),
+      responses: { 200: session, 400: responseRef('BadRequest'), 401: responseRef('Unauthorized') }
+    })
+  };
+  spec.paths['/user/profile'] = {
+    get: operation('profile', {
+      operationId: 'getProfile',
+      summary: 'Get the signed-in user',
+      security: signedIn,
+      responses: { 200: profile, 401: responseRef('Unauthorized') }
+    }),
+    put: operation('update-profile', {
+      operationId: 'updateProfile',
+      summary: 'Change the signed-in user\'s email or username',
+      security: signedIn,
+      requestBody: jsonBody('ProfileUpdate'),
+      responses: { 200: profile, 400: responseRef('BadRequest'), 401: responseRef('Unauthorized'), 409: responseRef('Conflict') }
+    })
+  };
+  if (roles) {
+    responses.Forbidden = errorResponse('Only admins can do this');
+    spec.paths['/users'] = {
+      get: operation('list-users', {
+        operationId: 'listUsers',
+        summary: 'List every account (admins only)',
+        security: signedIn,
+        'x-roles': ['admin'],
+        responses: {
+          200: jsonResponse('Every account', { type: 'array', items: { $ref: '#/components/schemas/User' } }),
+          401: responseRef('Unauthorized'),
+          403: responseRef('Forbidden')
+        }
+      })
+    };
+  }
+}
+
+/**
+ * Every operation in a document, in path order
+ * @param {Object} spec - OpenAPI document
+ * @returns {Array} [{ path, method, operation }]
+ */
+function listOperations(spec) {
+  return Object.entries(spec.paths).flatMap(([route, item]) => HTTP_METHODS
+    .filter(method => item[method])
+    .map(method => ({ path: route, method: method.toUpperCase(), operation: item[method] })));
+}
+
+/**
+ * Store collections the API reads and writes
+ * @param {Object} spec - OpenAPI document
+ * @returns {Array} Collection names
+ */
+function apiCollections(spec) {
+  return [...new Set(listOperations(spec).map(({ operation }) => operation['x-collection']).filter(Boolean))];
+}
+
+/**
+ * Generate the Express server for a document
+ * @param {Object} spec - OpenAPI document
+ * @returns {Object} { path: content } including openapi.json itself
+ */
+function renderExpressScaffold(spec) {
+  const tags = [];
+  listOperations(spec).forEach(({ operation }) => {
+    const [tag] = operation.tags || [];
+    if (!tag) throw new OpenApiError(`Operation ${operation.operationId} has no tag, so it has no router to go in`);
+    if (!/^[a-z][a-z0-9-]*$/.test(tag)) throw new OpenApiError(`Tag "${tag}" can't be used as a file name`);
+    if (!tags.includes(tag)) tags.push(tag);
+  });
+  const hasAuth = Boolean(spec.components && spec.components.securitySchemes && spec.components.securitySchemes.bearerAuth);
+
+  const files = {
+    'openapi.json': `${JSON.stringify(spec, null, 2)}\n`,
+    'server.js': renderServer(spec),
+    'routes/index.js': renderRouteIndex(tags),
+    'middleware/validate.js': renderValidateMiddleware(),
+    'middleware/errors.js': renderErrorMiddleware()
+  };
+  if (spec['x-security']) files['middleware/security.js'] = renderSecurityMiddleware();
+  if (hasAuth) files['middleware/auth.js'] = renderAuthMiddleware();
+  tags.forEach(tag => {
+    files[`routes/${tag}.js`] = renderRouter(spec, tag);
+  });
+  return files;
+}
+
+/**
+ * Decide which generated files to write. A file whose generated code is the
+ * same as last time is kept as it is on disk, edits included; one whose code
+ * changed is rewritten; generated files that are no longer produced go away.
+ * @param {Object} files - { path: content } from renderExpressScaffold()
+ * @param {Function} readExisting - path => current content or null
+ * @param {Array} previousPaths - Paths the previous document generated
+ * @returns {Object} { write: { path: content }, keep: { path: content }, remove: [paths], overwritten: [paths] }
+ */
+function planScaffoldUpdate(files, readExisting, previousPaths = []) {
+  const plan = { write: {}, keep: {}, remove: [], overwritten: [] };
+
+  Object.entries(files).forEach(([filePath, content]) => {
+    const existing = readExisting(filePath);
+    const print = readFingerprint(content);
+    const oldPrint = existing === null ? null : readFingerprint(existing);
+    if (print && oldPrint === print) {
+      plan.keep[filePath] = existing;
+      return;
+    }
+    plan.write[filePath] = content;
+    if (oldPrint && oldPrint !== fingerprint(existing.replace(FINGERPRINT_LINE, ''))) plan.overwritten.push(filePath);
+  });
+
+  previousPaths
+    .filter(filePath => !files[filePath])
+    .forEach(filePath => {
+      const existing = readExisting(filePath);
+      // Only files this generator wrote; anything else in the project is left alone
+      if (existing !== null && readFingerprint(existing)) plan.remove.push(filePath);
+    });
+  return plan;
+}
+
+function readFingerprint(content) {
+  const match = String(content).match(FINGERPRINT_LINE);
+  return match ? match[1] : null;
+}
+
+function fingerprint(code) {
+  return crypto.createHash('sha256').update(code).digest('hex').slice(0, 12);
+}
+
+/**
+ * A generated JavaScript file: a one-line summary, the fingerprint line, then the code
+ */
+function generatedFile(summary, code) {
+  const body = `// ${summary}\n${code}`;
+  const print = fingerprint(body);
+  return body.replace('\n', `\n// Generated from openapi.json (fingerprint ${print}). Rebuilding the app rewrites this file only when its generated code changes.\n`);
+}
+
+function renderServer(spec) {
+  const collections = apiCollections(spec);
+  const security = Boolean(spec['x-security']);
+  return generatedFile(`${spec.info.title} - Express server for the app in public/ and the API in openapi.json (run with: npm start)`, `const http = require('http');
+const path = require('path');
+const express = require('express');
+const { Store } = require('./lib/store');
+const routes = require('./routes');
+${security ? "const { security } = require('./middleware/security');\n" : ''}const { notFound, errorHandler } = require('./middleware/errors');
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const store = new Store(path.join(DATA_DIR, 'db.json'), {
+  collections: ${JSON.stringify(collections)},
+  schemaFile: path.join(__dirname, 'data', 'schema.json')
+});
+
+const app = express();
+app.disable('x-powered-by');
+${security ? "app.use('/api', security());\n" : ''}app.use(express.json({ limit: '1mb' }));
+app.use('/api', routes(store), notFound);
+app.use(express.static(path.join(__dirname, 'public')));
+app.use(notFound);
+app.use(errorHandler);
+
+const server = http.createServer(app);
+
+if (require.main === module) {
+  server.listen(PORT, () => console.log(\`App running at http://localhost:\${server.address().port}\`));
+}
+
+module.exports = { app, server, store };
+`);
+}
+
+function renderRouteIndex(tags) {
+  return generatedFile('API routes: one router per tag in openapi.json, mounted under /api', `const express = require('express');
+${tags.map(tag => `const ${camelCase(tag)} = require('./${tag}');`).join('\n')}
+
+module.exports = function routes(store) {
+  const router = express.Router();
+${tags.map(tag => `  router.use(${camelCase(tag)}(store));`).join('\n')}
+  return router;
+};
+`);
+}
+
+// Handler code per x-action; each gets the operation and the store collection it works on
+const HANDLERS = {
+  health: () => "(req, res) => res.json({ status: 'ok' })",
+  list: collection => `(req, res) => res.json(store.list('${collection}'))`,
+  create: collection => `(req, res) => res.status(201).json(store.create('${collection}', req.body))`,
+  read: () => '(req, res) => res.json(find(req.params.id))',
+  update: collection => `(req, res) => {
+      find(req.params.id);
+      res.json(store.update('${collection}', req.params.id, req.body));
+    }`,
+  delete: collection => `(req, res) => {
+      find(req.params.id);
+      store.remove('${collection}', req.params.id);
+      res.status(204).end();
+    }`,
+  register: () => `(req, res) => {
+      const email = req.body.email.toLowerCase();
+      if (findByEmail(email)) throw new HttpError(409, 'That email is already registered');
+      const user = store.create('users', {
+        email,
+        username: req.body.username || email.split('@')[0],
+        // The first account to register runs the app
+        role: store.list('users').length === 0 ? 'admin' : 'user',
+        passwordHash: hashPassword(req.body.password)
+      });
+      res.status(201).json(startSession(user));
+    }`,
+  login: () => `(req, res) => {
+      const user = findByEmail(req.body.email.toLowerCase());
+      if (!user || !checkPassword(req.body.password, user.passwordHash)) throw new HttpError(401, 'Wrong email or password');
+      res.json(startSession(user));
+    }`,
+  refresh: () => `(req, res) => {
+      const user = store.get('users', verifyToken(req.body.refreshToken, 'refresh').sub);
+      if (!user) throw new HttpError(401, 'That account no longer exists');
+      res.json(startSession(user));
+    }`,
+  profile: () => '(req, res) => res.json(publicUser(req.user))',
+  'update-profile': () => `(req, res) => {
+      const changes = {};
+      if (req.body.username !== undefined) changes.username = req.body.username;
+      if (req.body.email !== undefined) {
+        changes.email = req.body.email.toLowerCase();
+        const owner = findByEmail(changes.email);
+        if (owner && owner.id !== req.user.id) throw new HttpError(409, 'That email is already registered');
+      }
+      res.json(publicUser(store.update('users', req.user.id, changes)));
+    }`,
+  'list-users': () => "(req, res) => res.json(store.list('users').map(publicUser))"
+};
+
+const AUTH_ACTIONS = ['register', 'login', 'refresh', 'profile', 'update-profile', 'list-users'];
+
+function renderRouter(spec, tag) {
+  const operations = listOperations(spec).filter(({ operation }) => operation.tags[0] === tag);
+  const actions = operations.map(({ operation }) => operation['x-action']);
+  const collection = (operations.find(({ operation }) => operation['x-collection']) || { operation: {} }).operation['x-collection'];
+  const secured = operations.some(({ operation }) => isSecured(operation));
+  const usesFind = actions.some(action => ['read', 'update', 'delete'].includes(action));
+  const usesAuth = actions.some(action => AUTH_ACTIONS.includes(action));
+
+  const authImports = [
+    ...(secured ? ['requireAuth'] : []),
+    ...(usesAuth ? ['hashPassword', 'checkPassword', 'verifyToken', 'startSession', 'publicUser'] : [])
+  ];
+  const errorImports = [...(usesFind || usesAuth ? ['HttpError'] : []), 'methodNotAllowed'];
+  const helpers = [
+    usesFind ? `  const find = id => {
+    const record = store.get('${collection}', id);
+    if (!record) throw new HttpError(404, \`No ${collection} record \${id}\`);
+    return record;
+  };` : null,
+    usesAuth ? "  const findByEmail = email => store.list('users').find(user => user.email === email);" : null
+  ].filter(Boolean);
+
+  const routes = [...new Set(operations.map(({ path: route }) => route))].map(route => {
+    const chain = operations.filter(({ path: candidate }) => candidate === route).map(({ method, operation }) => {
+      const handler = HANDLERS[operation['x-action']];
+      const middleware = [
+        ...(isSecured(operation) ? [`requireAuth(store${operation['x-roles'] ? `, ${JSON.stringify(operation['x-roles']).replace(/"/g, "'")}` : ''})`] : []),
+        `validate('${operation.operationId}')`
+      ];
+      const code = handler
+        ? handler(operation['x-collection'])
+        : `(req, res) => res.status(501).json({ error: '${operation.operationId} is not implemented yet' })`;
+      return `    .${method.toLowerCase()}(${middleware.join(', ')}, ${code})`;
+    });
+    return `  router.route('${route.replace(/\{([^}]+)\}/g, ':$1')}')\n${chain.join('\n')}\n    .all(methodNotAllowed);`;
+  });
+
+  const tagInfo = (spec.tags || []).find(candidate => candidate.name === tag);
+  return generatedFile(`Routes for the ${tag} tag in openapi.json${tagInfo && tagInfo.description ? ` (${tagInfo.description})` : ''}`, `const express = require('express');
+const { validate } = require('../middleware/validate');
+const { ${errorImports.join(', ')} } = require('../middleware/errors');
+${authImports.length > 0 ? `const { ${authImports.join(', ')} } = require('../middleware/auth');\n` : ''}
+module.exports = function ${camelCase(tag)}Routes(store) {
+  const router = express.Router();
+${helpers.length > 0 ? `${helpers.join('\n')}\n\n` : ''}${routes.join('\n\n')}
+
+  return router;
+};
+`);
+}
+
+function renderValidateMiddleware() {
+  return generatedFile('Request validation: path parameters and JSON bodies are checked against openapi.json before a handler runs', `const spec = require('../openapi.json');
+const { HttpError } = require('./errors');
+
+const TYPES = {
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'a list',
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false'
+};
+const FORMATS = {
+  'date-time': value => /^\\d{4}-\\d{2}-\\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+  date: value => /^\\d{4}-\\d{2}-\\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/.test(value)
+};
+
+// operationId -> operation, with the path's parameters merged in
+const operations = new Map();
+Object.values(spec.paths).forEach(item => {
+  ['get', 'post', 'put', 'patch', 'delete'].filter(method => item[method]).forEach(method => {
+    const operation = item[method];
+    operations.set(operation.operationId, {
+      ...operation,
+      parameters: [...(item.parameters || []), ...(operation.parameters || [])].map(resolve)
+    });
+  });
+});
+
+function resolve(schema) {
+  let resolved = schema || {};
+  while (resolved.$ref) {
+    resolved = resolved.$ref.replace(/^#\\//, '').split('/').reduce((node, key) => node[key], spec);
+  }
+  return resolved;
+}
+
+function check(value, schema, at, errors) {
+  const rule = resolve(schema);
+  const where = at || 'body';
+  if (value === null) {
+    if (!rule.nullable) errors.push({ path: where, message: 'must not be empty' });
+    return;
+  }
+  if (rule.type && !TYPES[rule.type](value)) {
+    errors.push({ path: where, message: \`must be \${TYPE_NAMES[rule.type]}\` });
+    return;
+  }
+  if (rule.enum && !rule.enum.includes(value)) errors.push({ path: where, message: \`must be one of: \${rule.enum.join(', ')}\` });
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({ path: where, message: rule.minLength === 1 ? 'must not be empty' : \`must be at least \${rule.minLength} characters\` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) errors.push({ path: where, message: \`must be at most \${rule.maxLength} characters\` });
+    if (FORMATS[rule.format] && !FORMATS[rule.format](value)) errors.push({ path: where, message: \`must be a valid \${rule.format}\` });
+  }
+  if (typeof value === 'number') {
+    if (rule.minimum !== undefined && value < rule.minimum) errors.push({ path: where, message: \`must be at least \${rule.minimum}\` });
+    if (rule.maximum !== undefined && value > rule.maximum) errors.push({ path: where, message: \`must be at most \${rule.maximum}\` });
+  }
+  if (Array.isArray(value) && rule.items) {
+    value.forEach((item, index) => check(item, rule.items, \`\${where}[\${index}]\`, errors));
+  }
+  if (rule.type === 'object') {
+    const properties = rule.properties || {};
+    const child = name => (at ? \`\${at}.\${name}\` : name);
+    (rule.required || []).filter(name => value[name] === undefined).forEach(name => {
+      errors.push({ path: child(name), message: 'is required' });
+    });
+    Object.entries(value).forEach(([name, item]) => {
+      if (properties[name]) return check(item, properties[name], child(name), errors);
+      if (rule.additionalProperties === false) errors.push({ path: child(name), message: 'is not allowed here' });
+    });
+  }
+}
+
+function validate(operationId) {
+  const operation = operations.get(operationId);
+  if (!operation) throw new Error(\`openapi.json has no operation \${operationId}\`);
+  const body = operation.requestBody && operation.requestBody.content['application/json'];
+
+  return (req, res, next) => {
+    const errors = [];
+    operation.parameters
+      .filter(parameter => parameter.in === 'path')
+      .forEach(parameter => check(req.params[parameter.name], parameter.schema, parameter.name, errors));
+    if (body) {
+      if (!req.is('application/json')) return next(new HttpError(400, 'Request body must be JSON'));
+      check(req.body, body.schema, '', errors);
+    }
+    next(errors.length > 0 ? new HttpError(400, 'The request is not valid', errors) : undefined);
+  };
+}
+
+module.exports = { validate };
+`);
+}
+
+function renderErrorMiddleware() {
+  return generatedFile('Errors: every failure is answered as JSON in the Error shape from openapi.json', `class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function methodNotAllowed(req, res, next) {
+  next(new HttpError(405, \`\${req.method} is not supported here\`));
+}
+
+function notFound(req, res, next) {
+  next(new HttpError(404, 'Not found'));
+}
+
+// Express recognises error handlers by their four arguments, so next stays even though it is unused
+function errorHandler(error, req, res, next) {
+  const status = error.status || error.statusCode || 500;
+  let message = error.message;
+  if (error.type === 'entity.parse.failed') message = 'Request body must be JSON';
+  if (error.type === 'entity.too.large') message = 'Request body is too large';
+  if (status >= 500) {
+    console.error(error);
+    message = 'Something went wrong on the server';
+  }
+  res.status(status).json({ error: message, ...(error.details ? { details: error.details } : {}) });
+}
+
+module.exports = { HttpError, methodNotAllowed, notFound, errorHandler };
+`);
+}
+
+function renderSecurityMiddleware() {
+  return generatedFile('CORS and rate limiting for /api, configured by x-security in openapi.json', `const spec = require('../openapi.json');
+const { HttpError } = require('./errors');
+
+const { cors, rateLimit } = spec['x-security'] || {};
+
+function security() {
+  const clients = new Map(); // address -> { count, resetAt }
+
+  return (req, res, next) => {
+    if (cors) {
+      res.set('Access-Control-Allow-Origin', cors.origin);
+      res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+      if (req.method === 'OPTIONS') return res.status(204).end();
+    }
+    if (rateLimit) {
+      const now = Date.now();
+      if (clients.size > 10000) clients.forEach((client, address) => client.resetAt <= now && clients.delete(address));
+      const client = clients.get(req.ip);
+      if (!client || client.resetAt <= now) {
+        clients.set(req.ip, { count: 1, resetAt: now + rateLimit.windowMs });
+      } else if (++client.count > rateLimit.max) {
+        res.set('Retry-After', String(Math.ceil((client.resetAt - now) / 1000)));
+        return next(new HttpError(429, 'Too many requests - try again in a moment'));
+      }
+    }
+    next();
+  };
+}
+
+module.exports = { security };
+`);
+}
+
+function renderAuthMiddleware() {
+  return generatedFile('Accounts: scrypt password hashes and signed JWT access/refresh tokens (the bearerAuth scheme in openapi.json)', `const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// Set JWT_SECRET in production; without it every restart signs everyone out
+const SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const LIFETIMES = { access: 15 * 60, refresh: 7 * 24 * 60 * 60 }; // seconds
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sign = data => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return \`scrypt:\${salt}:\${crypto.scryptSync(password, salt, 64).toString('hex')}\`;
+}
+
+function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function signToken(user, type) {
+  const now = Math.floor(Date.now() / 1000);
+  const data = \`\${encode({ alg: 'HS256', typ: 'JWT' })}.\${encode({ sub: user.id, type, iat: now, exp: now + LIFETIMES[type] })}\`;
+  return \`\${data}.\${sign(data)}\`;
+}
+
+function verifyToken(token, type) {
+  const [header, payload, signature] = String(token || '').split('.');
+  const expected = header && payload ? sign(\`\${header}.\${payload}\`) : '';
+  if (!signature || signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new HttpError(401, 'That token is not valid');
+  }
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (claims.type !== type) throw new HttpError(401, \`Expected a\${type === 'access' ? 'n access' : ' refresh'} token\`);
+  if (claims.exp <= Math.floor(Date.now() / 1000)) throw new HttpError(401, 'That token has expired - sign in again');
+  return claims;
+}
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function startSession(user) {
+  return {
+    user: publicUser(user),
+    accessToken: signToken(user, 'access'),
+    refreshToken: signToken(user, 'refresh'),
+    expiresIn: LIFETIMES.access
+  };
+}
+
+// Middleware for operations with bearerAuth security; roles come from the operation's x-roles
+function requireAuth(store, roles = []) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return next(new HttpError(401, 'Sign in first'));
+    try {
+      const user = store.get('users', verifyToken(token, 'access').sub);
+      if (!user) return next(new HttpError(401, 'That account no longer exists'));
+      if (roles.length > 0 && !roles.includes(user.role)) return next(new HttpError(403, 'Only admins can do this'));
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = { hashPassword, checkPassword, verifyToken, startSession, publicUser, requireAuth };
+`);
+}
+
+function recordSchema(fields) {
+  const visible = fields.filter(field => !PRIVATE_FIELDS.includes(field.name));
+  return {
+    type: 'object',
+    required: visible.filter(field => SERVER_FIELDS.includes(field.name)).map(field => field.name),
+    properties: Object.fromEntries(visible.map(field => [field.name, {
+      ...fieldSchema(field),
+      ...(SERVER_FIELDS.includes(field.name) ? { readOnly: true } : {})
+    }]))
+  };
+}
+
+function inputSchema(fields, required) {
+  const writable = fields.filter(field => !SERVER_FIELDS.includes(field.name) && !PRIVATE_FIELDS.includes(field.name));
+  return {
+    type: 'object',
+    ...(required.length > 0 ? { required } : {}),
+    properties: Object.fromEntries(writable.map(field => [field.name, fieldSchema(field)]))
+  };
+}
+
+function fieldSchema(field) {
+  const schema = { ...(FIELD_SCHEMAS[field.type] || FIELD_SCHEMAS.string) };
+  if (field.name === 'email') schema.format = 'email';
+  if (field.default !== undefined) schema.default = field.default;
+  if (field.optional) schema.nullable = true;
+  return schema;
+}
+
+function isSecured(operation) {
+  return (operation.security || []).some(requirement => requirement.bearerAuth);
+}
+
+function jsonBody(schemaName) {
+  return { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } } };
+}
+
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+function errorResponse(description) {
+  return jsonResponse(description, { $ref: '#/components/schemas/Error' });
+}
+
+function responseRef(name) {
+  return { $ref: `#/components/responses/${name}` };
+}
+
+function pascalCase(name) {
+  return name.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+function camelCase(name) {
+  const pascal = pascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+module.exports = {
+  OpenApiError,
+  buildOpenApiDocument,
+  renderExpressScaffold,
+  planScaffoldUpdate,
+  listOperations,
+  apiCollections,
+  readFingerprint
+};
@@ -0,0 +1,583 @@
+/**
+ * Preview Server - Runs a generated project locally and reloads the browser as it changes
+ * The project's own server.js runs in a child process on a spare port behind a
+ * small proxy. The proxy adds a live-reload script to every HTML page and
+ * pushes messages to it over WebSocket as files change: server code restarts
+ * the app, CSS is swapped in place and anything else reloads the page.
+ * JavaScript is syntax-checked before each (re)start; a file that doesn't
+ * compile, or an app that crashes, shows up on the page as an overlay in plain
+ * language rather than as a dead tab.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const vm = require('vm');
+const { spawn } = require('child_process');
+const { WebSocketServer } = require('ws');
+const { BaseAgent } = require('../agents/base-agent');
+
+const DEFAULT_PORT = 4000;
+const LIVE_PATH = '/__preview/live';
+const CLIENT_PATH = '/__preview/client.js';
+const OUTPUT_LIMIT = 8000; // characters of app output kept to explain a crash
+const IGNORED = new Set(['node_modules', 'dist', 'data', 'coverage', 'tests', '.git', '.deployments.json']);
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+class PreviewServer {
+  /**
+   * @param {string} projectDir - Project directory (with server.js, or just public/)
+   * @param {Object} options - { port (default 4000, 0 for any free one), host, debounce (ms),
+   *   startTimeout (ms to wait for the app to answer), translator (has translateErrorForUser) }
+   */
+  constructor(projectDir, options = {}) {
+    this.root = path.resolve(projectDir);
+    this.port = options.port !== undefined ? options.port : DEFAULT_PORT;
+    this.host = options.host || '127.0.0.1';
+    this.debounce = options.debounce || 150;
+    this.startTimeout = options.startTimeout || 15000;
+    this.translator = options.translator || new BaseAgent('preview');
+    this.server = null;
+    this.wss = null;
+    this.watchers = new Map(); // directory -> fs.FSWatcher
+    this.app = null; // { child, port, output } once it answers
+    this.problem = null; // what the overlay shows, until a change fixes it
+    this.pending = new Set();
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.url = null;
+  }
+
+  /**
+   * Check the project, start it and begin watching for changes
+   * @returns {PreviewServer} this, with url set
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocketServer({ server: this.server, path: LIVE_PATH });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.url = `http://${this.host === '127.0.0.1' ? 'localhost' : this.host}:${this.server.address().port}`;
+
+    await this.refresh(null);
+    this.watch();
+    return this;
+  }
+
+  async stop() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    await this.queue;
+    await this.stopApp();
+    if (this.wss) {
+      this.wss.clients.forEach(socket => socket.terminate());
+      await new Promise(resolve => this.wss.close(() => resolve()));
+    }
+    if (this.server) await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.wss = null;
+  }
+
+  /**
+   * Re-check and, if server code changed, restart the app, then tell the browser
+   * @param {Array|null} files - Changed files relative to the project, or null for everything
+   */
+  async refresh(files) {
+    const hadProblem = Boolean(this.problem);
+    const toCheck = files === null
+      ? listFiles(this.root).filter(isCheckable)
+      : [...new Set([...files.filter(isCheckable), ...(this.problem && this.problem.file ? [this.problem.file] : [])])];
+
+    this.problem = null;
+    for (const file of toCheck) {
+      this.problem = await this.checkFile(file);
+      if (this.problem) break;
+    }
+    if (!this.problem && (!this.app || files === null || files.some(isServerFile))) {
+      await this.stopApp();
+      this.problem = await this.startApp();
+    }
+
+    if (files === null) return;
+    if (this.problem) {
+      this.broadcast({ type: 'error', error: this.problem });
+    } else {
+      const cssOnly = files.every(file => file.endsWith('.css'));
+      this.broadcast({ type: cssOnly && !hadProblem ? 'css' : 'reload', files });
+    }
+  }
+
+  /**
+   * Syntax-check one file
+   * @param {string} file - Path relative to the project
+   * @returns {Object|null} Problem for the overlay
+   */
+  async checkFile(file) {
+    const failure = await checkSyntax(this.root, file);
+    return failure && this.describe(failure.error, { file, line: failure.line, output: failure.output });
+  }
+
+  /**
+   * Start node server.js on a spare port and wait until it answers
+   * @returns {Object|null} Problem for the overlay when it doesn't come up
+   */
+  async startApp() {
+    if (!isFile(path.join(this.root, 'server.js'))) {
+      this.app = { static: true };
+      return null;
+    }
+
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+      cwd: this.root,
+      env: { ...process.env, PORT: String(port), NODE_ENV: 'development' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const app = { child, port, output: '', exited: false, stopping: false };
+    const collect = chunk => {
+      app.output = (app.output + chunk).slice(-OUTPUT_LIMIT);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    app.closed = new Promise(resolve => child.on('close', () => {
+      app.exited = true;
+      resolve();
+      // A crash after start-up: show it on the page straight away
+      if (this.app === app && !app.stopping) {
+        this.app = null;
+        this.problem = this.crashProblem(app);
+        this.broadcast({ type: 'error', error: this.problem });
+      }
+    }));
+
+    const deadline = Date.now() + this.startTimeout;
+    while (!app.exited && Date.now() < deadline) {
+      if (await answers(port)) {
+        this.app = app;
+        return null;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (app.exited) return this.crashProblem(app);
+
+    this.app = app;
+    await this.stopApp();
+    return this.describe(new Error(`server.js did not answer within ${this.startTimeout / 1000}s`), {
+      title: 'Your app is taking too long to start',
+      output: app.output
+    });
+  }
+
+  async stopApp() {
+    const app = this.app;
+    this.app = null;
+    if (!app || app.static || app.exited) return;
+
+    app.stopping = true;
+    app.child.kill('SIGTERM');
+    const timer = setTimeout(() => app.child.kill('SIGKILL'), 3000);
+    await app.closed;
+    clearTimeout(timer);
+  }
+
+  crashProblem(app) {
+    const { error, file, line } = errorFromOutput(app.output);
+    const relative = file ? path.relative(this.root, file) : null;
+    const inProject = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    return this.describe(error, {
+      title: 'Your app stopped',
+      file: inProject ? relative.split(path.sep).join('/') : null,
+      line: inProject ? line : null,
+      output: app.output
+    });
+  }
+
+  /**
+   * What the overlay shows: a plain-language message first, the details after
+   */
+  describe(error, { title, file = null, line = null, output = '' } = {}) {
+    return {
+      title: title || `There's a problem in ${file}${line ? ` on line ${line}` : ''}`,
+      message: this.translator.translateErrorForUser(error),
+      technical: `${error.name}: ${error.message}`,
+      file,
+      line,
+      // Stack frames from Node itself and from this preview only get in the way
+      output: output.trim().split('\n')
+        .filter(text => !/^\s+at /.test(text) || (text.includes(this.root) && !text.includes('node_modules')))
+        .slice(0, 12)
+        .join('\n')
+    };
+  }
+
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === CLIENT_PATH) {
+      res.writeHead(200, { 'content-type': MIME_TYPES['.js'], 'cache-control': 'no-store' });
+      return res.end(CLIENT_SCRIPT);
+    }
+
+    const wantsPage = req.method === 'GET' && /text\/html/.test(req.headers.accept || '');
+    if (this.problem && wantsPage) return this.sendPage(res, 500, errorPage(this.problem));
+    if (!this.app) {
+      res.writeHead(503, { 'content-type': MIME_TYPES['.json'] });
+      return res.end(JSON.stringify({ error: this.problem ? this.problem.message : 'The app is still starting' }));
+    }
+    if (this.app.static) return this.serveStatic(pathname, res);
+    return this.proxy(req, res);
+  }
+
+  proxy(req, res) {
+    const upstream = http.request({
+      host: '127.0.0.1',
+      port: this.app.port,
+      method: req.method,
+      path: req.url,
+      headers: { ...req.headers, host: `127.0.0.1:${this.app.port}`, 'accept-encoding': 'identity' }
+    }, response => {
+      if (!/text\/html/.test(response.headers['content-type'] || '')) {
+        res.writeHead(response.statusCode, response.headers);
+        return response.pipe(res);
+      }
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        const { 'content-length': length, 'transfer-encoding': encoding, etag, ...headers } = response.headers;
+        this.sendPage(res, response.statusCode, Buffer.concat(chunks).toString('utf8'), headers);
+      });
+    });
+    upstream.on('error', error => {
+      if (res.headersSent) return res.destroy();
+      res.writeHead(502, { 'content-type': MIME_TYPES['.json'] });
+      res.end(JSON.stringify({ error: this.translator.translateErrorForUser(error) }));
+    });
+    req.pipe(upstream);
+  }
+
+  serveStatic(pathname, res) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (error) {
+      res.writeHead(400, { 'content-type': MIME_TYPES['.json'] });
+      return res.end(JSON.stringify({ error: 'Bad request: the address is not valid' }));
+    }
+    const relative = path.normalize(decoded).replace(/^(\.\.[/\\])+/, '');
+    let file = path.join(this.root, 'public', relative);
+    if (!file.startsWith(path.join(this.root, 'public'))) file = path.join(this.root, 'public', 'index.html');
+    if (!isFile(file)) file = path.join(file, 'index.html');
+    if (!isFile(file)) {
+      res.writeHead(404, { 'content-type': MIME_TYPES['.json'] });
+      return res.end(JSON.stringify({ error: 'Not found' }));
+    }
+    const type = MIME_TYPES[path.extname(file)] || 'application/octet-stream';
+    if (type.startsWith('text/html')) return this.sendPage(res, 200, fs.readFileSync(file, 'utf8'));
+    res.writeHead(200, { 'content-type': type, 'cache-control': 'no-store' });
+    fs.createReadStream(file).pipe(res);
+  }
+
+  // HTML goes out with the live-reload client added
+  sendPage(res, status, html, headers = {}) {
+    const body = injectClient(html);
+    res.writeHead(status, {
+      ...headers,
+      'content-type': MIME_TYPES['.html'],
+      'content-length': Buffer.byteLength(body),
+      'cache-control': 'no-store'
+    });
+    res.end(body);
+  }
+
+  broadcast(message) {
+    if (!this.wss) return;
+    const payload = JSON.stringify(message);
+    this.wss.clients.forEach(socket => {
+      if (socket.readyState === socket.OPEN) socket.send(payload);
+    });
+  }
+
+  // One watcher per top-level folder, so node_modules is never walked
+  watch() {
+    this.watchDirectory(this.root, false);
+    fs.readdirSync(this.root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !IGNORED.has(entry.name))
+      .forEach(entry => this.watchDirectory(path.join(this.root, entry.name), true));
+  }
+
+  watchDirectory(dir, recursive) {
+    if (this.watchers.has(dir)) return;
+    try {
+      const watcher = fs.watch(dir, { recursive }, (event, name) => {
+        if (!name) return;
+        const file = path.relative(this.root, path.join(dir, name.toString())).split(path.sep).join('/');
+        if (!recursive && isDirectory(path.join(this.root, file)) && !IGNORED.has(file)) {
+          this.watchDirectory(path.join(this.root, file), true);
+        }
+        this.changed(file);
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        this.watchers.delete(dir);
+      });
+      this.watchers.set(dir, watcher);
+    } catch (error) {
+      // The folder went away before we could watch it
+    }
+  }
+
+  changed(file) {
+    if (IGNORED.has(file.split('/')[0]) || file.endsWith('.log')) return;
+    this.pending.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const files = [...this.pending];
+      this.pending.clear();
+      this.queue = this.queue.then(() => this.refresh(files)).catch(error => {
+        this.problem = this.describe(error, { title: 'The preview stopped updating' });
+        this.broadcast({ type: 'error', error: this.problem });
+      });
+    }, this.debounce);
+  }
+}
+
+// Runs in the browser: follows the preview over WebSocket and shows problems on top of the page
+const CLIENT_SCRIPT = `(() => {
+  const OVERLAY_ID = '__preview_overlay';
+  const show = problem => {
+    let overlay = document.getElementById(OVERLAY_ID);
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = OVERLAY_ID;
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:32px;' +
+        'background:rgba(24,24,32,0.94);color:#f5f5f5;font:16px/1.5 system-ui,sans-serif';
+      document.body.appendChild(overlay);
+    }
+    overlay.replaceChildren();
+    const add = (tag, text, style) => {
+      if (!text) return;
+      const element = document.createElement(tag);
+      element.textContent = text;
+      if (style) element.style.cssText = style;
+      overlay.appendChild(element);
+    };
+    add('h2', '⚠️ ' + problem.title, 'margin:0 0 12px;color:#ffb4a9');
+    add('p', problem.message, 'font-size:18px');
+    add('p', problem.file ? problem.file + (problem.line ? ':' + problem.line : '') : '', 'color:#9ecbff;font-family:monospace');
+    add('pre', problem.output || problem.technical, 'white-space:pre-wrap;background:#000;padding:12px;border-radius:6px;font-size:13px');
+    add('p', 'Save a fix and this page updates by itself.', 'color:#aaa');
+  };
+  if (window.__PREVIEW_ERROR__) {
+    if (document.body) show(window.__PREVIEW_ERROR__);
+    else document.addEventListener('DOMContentLoaded', () => show(window.__PREVIEW_ERROR__));
+  }
+  const connect = () => {
+    const socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '${LIVE_PATH}');
+    socket.onmessage = event => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'reload') location.reload();
+      if (message.type === 'error') show(message.error);
+      if (message.type === 'css') {
+        document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+          const url = new URL(link.href);
+          url.searchParams.set('preview', Date.now());
+          link.href = url.href;
+        });
+      }
+    };
+    socket.onclose = () => setTimeout(connect, 1000);
+  };
+  connect();
+})();
+`;
+
+function injectClient(html) {
+  const tag = `<script src="${CLIENT_PATH}"></script>`;
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, closing => `${tag}\n${closing}`) : `${html}\n${tag}`;
+}
+
+function errorPage(problem) {
+  // Escaped so the problem text can't close the script tag
+  const data = JSON.stringify(problem).replace(/</g, '\\u003c');
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head><meta charset="UTF-8"><title>Preview - something needs fixing</title></head>',
+    `<body><script>window.__PREVIEW_ERROR__ = ${data};</script></body>`,
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * The error a Node crash or --check printed, rebuilt as the class Node threw
+ * so translateErrorForUser() can explain it
+ * @param {string} output - stderr of the process, or an error stack
+ * @returns {Object} { error, file, line }
+ */
+function errorFromOutput(output = '') {
+  const lines = output.split('\n');
+  const thrown = lines.map(text => /^(\w*Error)(?: \[\w+\])?: (.*)$/.exec(text.trim())).find(Boolean);
+  const ErrorClass = { SyntaxError, TypeError, ReferenceError, RangeError }[thrown && thrown[1]] || Error;
+  const error = new ErrorClass(thrown ? thrown[2] : lines.filter(Boolean).pop() || 'The app exited without saying why');
+  const code = /\bcode: '(\w+)'/.exec(output);
+  if (code) error.code = code[1];
+
+  // Node prints file:line above code it couldn't compile; a missing module names
+  // the file that required it; otherwise use the first stack frame outside node_modules
+  const header = lines.map(text => /^(\[stdin\]|\/[^:]+|[A-Za-z]:\\[^:]+):(\d+)$/.exec(text.trim())).find(Boolean);
+  const requirer = lines.map(text => /^- ((?:\/|[A-Za-z]:\\).+)$/.exec(text.trim())).find(Boolean);
+  const frame = lines.map(text => /^at (?:.* \()?((?:\/|[A-Za-z]:\\)[^:()]+):(\d+):\d+\)?$/.exec(text.trim()))
+    .find(match => match && !match[1].includes('node_modules'));
+  const location = header || (requirer ? [null, requirer[1], null] : frame);
+  return {
+    error,
+    file: location && location[1] !== '[stdin]' ? location[1] : null,
+    line: location && location[2] ? Number(location[2]) : null
+  };
+}
+
+/**
+ * Syntax-check one project file: browser modules with node --check, server code
+ * and JSON in process
+ * @param {string} root - Project directory
+ * @param {string} file - Path relative to the project
+ * @param {string} source - Contents to check instead of what's on disk
+ * @returns {Object|null} { error, line, output } when it doesn't compile
+ */
+async function checkSyntax(root, file, source) {
+  const absolute = path.join(root, file);
+  if (source === undefined) {
+    try {
+      source = fs.readFileSync(absolute, 'utf8');
+    } catch (error) {
+      return null; // Deleted; whatever needed it will say so
+    }
+  }
+
+  if (file.endsWith('.json')) {
+    try {
+      JSON.parse(source);
+      return null;
+    } catch (error) {
+      const position = /at position (\d+)/.exec(error.message);
+      const line = position ? source.slice(0, Number(position[1])).split('\n').length : null;
+      return { error: new SyntaxError(error.message), line, output: '' };
+    }
+  }
+
+  if (file.startsWith('public/')) {
+    const check = await runNode(['--input-type=module', '--check'], { cwd: root, input: source, timeout: 10000 });
+    if (check.code === 0) return null;
+    const { error, line } = errorFromOutput(check.output);
+    return { error, line, output: check.output };
+  }
+
+  try {
+    new vm.Script(source, { filename: absolute });
+    return null;
+  } catch (error) {
+    const { line } = errorFromOutput(error.stack);
+    return { error, line, output: error.stack };
+  }
+}
+
+function runNode(args, { cwd, input, timeout }) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, args, { cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+    let output = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+    child.stdin.end(input);
+  });
+}
+
+function answers(port) {
+  return new Promise(resolve => {
+    const request = http.get({ host: '127.0.0.1', port, path: '/', timeout: 1000 }, response => {
+      response.resume();
+      resolve(true);
+    });
+    request.on('timeout', () => request.destroy());
+    request.on('error', () => resolve(false));
+  });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function isServerFile(file) {
+  return !file.startsWith('public/') && /\.(js|json)$/.test(file);
+}
+
+function isCheckable(file) {
+  return /\.js$/.test(file) || file === 'package.json' || file === 'openapi.json';
+}
+
+function listFiles(root, prefix = '') {
+  return fs.readdirSync(path.join(root, prefix), { withFileTypes: true }).flatMap(entry => {
+    if (!prefix && IGNORED.has(entry.name)) return [];
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(root, relative) : [relative];
+  });
+}
+
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  PreviewServer,
+  checkSyntax,
+  errorFromOutput,
+  injectClient,
+  listFiles,
+  isCheckable,
+  DEFAULT_PORT,
+  LIVE_PATH,
+  CLIENT_PATH
+};
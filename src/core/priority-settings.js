@@ -0,0 +1,162 @@
+// Priority scoring settings.
+// A profile holds the component weights, the urgency buckets used to turn
+// "hours until the deadline" into a 0-100 score, and the learning mode that
+// nudges the weights from the order in which tasks are actually completed.
+
+const COMPONENTS = ['urgency', 'importance', 'complexity', 'dependencies'];
+
+const DEFAULT_WEIGHTS = {
+    urgency: 0.4,    // How soon is the deadline
+    importance: 0.3, // How critical is this task
+    complexity: 0.2, // How much effort required
+    dependencies: 0.1 // How many other tasks depend on this
+};
+
+// A deadline less than `withinHours` away scores `score`; withinHours 0 means overdue
+const DEFAULT_URGENCY = {
+    noDeadline: 50, // Medium urgency if no deadline
+    later: 25,      // Further out than the last bucket
+    buckets: [
+        { withinHours: 0, score: 100 },  // Overdue = max urgency
+        { withinHours: 2, score: 95 },   // Due in 2 hours
+        { withinHours: 8, score: 85 },   // Due today
+        { withinHours: 24, score: 70 },  // Due tomorrow
+        { withinHours: 72, score: 55 },  // Due this week
+        { withinHours: 168, score: 40 }  // Due next week
+    ]
+};
+
+const DEFAULT_LEARNING = {
+    enabled: false,
+    rate: 0.05,   // Share of the score gap moved into the weights per completion
+    samples: 0    // Completions learned from so far
+};
+
+const MIN_WEIGHT = 0.01; // Learning never switches a component off entirely
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const round = value => Math.round(value * 10000) / 10000;
+
+function createPriorityProfile() {
+    return {
+        weights: { ...DEFAULT_WEIGHTS },
+        urgency: clone(DEFAULT_URGENCY),
+        learning: { ...DEFAULT_LEARNING }
+    };
+}
+
+// Scale weights so they sum to 1 (scores stay on the familiar 0-100 range)
+function normalizeWeights(weights) {
+    const total = COMPONENTS.reduce((sum, name) => sum + weights[name], 0);
+    const normalized = {};
+    COMPONENTS.forEach(name => {
+        normalized[name] = round(weights[name] / total);
+    });
+    return normalized;
+}
+
+function validateScore(value, label) {
+    const score = Number(value);
+    if (!Number.isFinite(score) || score < 0 || score > 100) {
+        throw new Error(`${label} must be a number between 0 and 100`);
+    }
+    return score;
+}
+
+// Merge a partial update into a profile, throwing on invalid values
+function mergePriorityProfile(profile, updates = {}) {
+    const merged = clone(profile);
+
+    if (updates.weights !== undefined) {
+        const weights = { ...merged.weights };
+        Object.entries(updates.weights).forEach(([name, value]) => {
+            if (!COMPONENTS.includes(name)) {
+                throw new Error(`Unknown priority component: ${name}`);
+            }
+            const weight = Number(value);
+            if (!Number.isFinite(weight) || weight < 0) {
+                throw new Error(`Weight for ${name} must be a non-negative number`);
+            }
+            weights[name] = weight;
+        });
+        if (COMPONENTS.every(name => weights[name] === 0)) {
+            throw new Error('At least one priority weight must be above zero');
+        }
+        merged.weights = normalizeWeights(weights);
+    }
+
+    if (updates.urgency !== undefined) {
+        const urgency = updates.urgency;
+        if (urgency.noDeadline !== undefined) {
+            merged.urgency.noDeadline = validateScore(urgency.noDeadline, 'urgency.noDeadline');
+        }
+        if (urgency.later !== undefined) {
+            merged.urgency.later = validateScore(urgency.later, 'urgency.later');
+        }
+        if (urgency.buckets !== undefined) {
+            if (!Array.isArray(urgency.buckets) || urgency.buckets.length === 0) {
+                throw new Error('urgency.buckets must be a non-empty array');
+            }
+            merged.urgency.buckets = urgency.buckets.map((bucket, index) => {
+                const withinHours = Number(bucket.withinHours);
+                if (!Number.isFinite(withinHours) || withinHours < 0) {
+                    throw new Error(`urgency.buckets[${index}].withinHours must be a non-negative number`);
+                }
+                return { withinHours, score: validateScore(bucket.score, `urgency.buckets[${index}].score`) };
+            });
+            merged.urgency.buckets.forEach((bucket, index, buckets) => {
+                if (index > 0 && bucket.withinHours <= buckets[index - 1].withinHours) {
+                    throw new Error('urgency.buckets must be sorted by increasing withinHours');
+                }
+            });
+        }
+    }
+
+    if (updates.learning !== undefined) {
+        if (updates.learning.enabled !== undefined) {
+            merged.learning.enabled = Boolean(updates.learning.enabled);
+        }
+        if (updates.learning.rate !== undefined) {
+            const rate = Number(updates.learning.rate);
+            if (!Number.isFinite(rate) || rate <= 0 || rate > 1) {
+                throw new Error('learning.rate must be above 0 and at most 1');
+            }
+            merged.learning.rate = rate;
+        }
+    }
+
+    return merged;
+}
+
+// Urgency score for a deadline `diffHours` away (negative = overdue)
+function scoreUrgency(diffHours, urgency) {
+    if (diffHours === null) return urgency.noDeadline;
+
+    const bucket = urgency.buckets.find(b => (b.withinHours === 0 ? diffHours < 0 : diffHours < b.withinHours));
+    return bucket ? bucket.score : urgency.later;
+}
+
+// Pairwise ranking update: the user finished `chosen` while every task in
+// `outranked` scored higher, so shift weight towards the components where the
+// chosen task was stronger. `chosen` and `outranked` are component scores (0-100).
+function learnWeights(weights, chosen, outranked, rate) {
+    if (outranked.length === 0) return weights;
+
+    const adjusted = {};
+    COMPONENTS.forEach(name => {
+        const gap = outranked.reduce((sum, other) => sum + (chosen[name] - other[name]), 0) / outranked.length;
+        adjusted[name] = Math.max(MIN_WEIGHT, weights[name] + rate * (gap / 100));
+    });
+    return normalizeWeights(adjusted);
+}
+
+module.exports = {
+    COMPONENTS,
+    DEFAULT_WEIGHTS,
+    DEFAULT_URGENCY,
+    createPriorityProfile,
+    mergePriorityProfile,
+    normalizeWeights,
+    scoreUrgency,
+    learnWeights
+};
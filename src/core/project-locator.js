@@ -0,0 +1,54 @@
+/**
+ * Project Locator - Finds the built project a command should work on
+ * Commands like /test-everything and /deploy-when-ready take the project from
+ * the context, else one in the apps directory named in the request, else the
+ * one changed most recently.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Where built projects live: APPS_DIR, else ./apps
+ * @returns {string} Apps directory
+ */
+function defaultAppsDir() {
+  return process.env.APPS_DIR || path.join(process.cwd(), 'apps');
+}
+
+/**
+ * The project to work on
+ * @param {string} appsDir - Directory holding one folder per project
+ * @param {string} userInput - User's request
+ * @param {Object} context - Execution context ({ projectDir } wins)
+ * @returns {string|null} Project directory
+ */
+function findProject(appsDir, userInput = '', context = {}) {
+  if (context && context.projectDir) return context.projectDir;
+
+  let projects;
+  try {
+    projects = fs.readdirSync(appsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => {
+        const dir = path.join(appsDir, entry.name);
+        try {
+          return { name: entry.name, dir, modified: fs.statSync(path.join(dir, 'package.json')).mtimeMs };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+
+  const input = String(userInput || '').toLowerCase();
+  const named = projects.find(project => input.includes(project.name.toLowerCase()));
+  if (named) return named.dir;
+
+  const [latest] = projects.sort((a, b) => b.modified - a.modified);
+  return latest ? latest.dir : null;
+}
+
+module.exports = { findProject, defaultAppsDir };
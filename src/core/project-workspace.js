@@ -0,0 +1,388 @@
+/**
+ * Project Workspace - Virtual file tree that specialists write generated code into
+ * Changes are staged in memory with the specialist that wrote them, so the tree
+ * can be diffed against disk, conflicts between specialists surface before
+ * anything is written, and commit() puts the whole project on disk at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DIFF_CONTEXT = 3;
+const MAX_DIFF_CELLS = 4000000; // LCS table size before falling back to a whole-file diff
+
+class WorkspaceConflictError extends Error {
+  /**
+   * @param {Array} conflicts - Unresolved conflicts
+   */
+  constructor(conflicts) {
+    super(`${conflicts.length} file conflict(s) need resolving: ${conflicts.map(conflict => conflict.path).join(', ')}`);
+    this.name = 'WorkspaceConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+class ProjectWorkspace {
+  /**
+   * @param {string} root - Project directory the workspace commits to
+   */
+  constructor(root) {
+    this.root = path.resolve(root);
+    this.files = new Map(); // path -> { content, author, base }
+    this.conflicts = new Map(); // path -> { path, reason, ours, theirs }
+  }
+
+  /**
+   * Stage a file. A file already staged by another specialist with different
+   * content is not overwritten; the clash is recorded as a conflict instead.
+   * @param {string} filePath - Path relative to the project root
+   * @param {string} content - File content
+   * @param {Object} options - { author, overwrite }
+   * @returns {string} 'added' | 'updated' | 'unchanged' | 'conflict'
+   */
+  writeFile(filePath, content, options = {}) {
+    const key = this.normalizePath(filePath);
+    const author = options.author || 'unknown';
+    const text = String(content);
+    const staged = this.files.get(key);
+
+    if (staged) {
+      if (staged.content === text) return 'unchanged';
+      if (staged.author !== author && !options.overwrite) {
+        this.conflicts.set(key, {
+          path: key,
+          reason: 'written by two specialists',
+          ours: { author: staged.author, content: staged.content },
+          theirs: { author, content: text }
+        });
+        return 'conflict';
+      }
+      this.files.set(key, { ...staged, content: text, author });
+      return 'updated';
+    }
+
+    this.files.set(key, { content: text, author, base: this.readDisk(key) });
+    return 'added';
+  }
+
+  /**
+   * Stage the removal of a file, for generated files whose source went away
+   * @param {string} filePath - Path relative to the project root
+   * @param {Object} options - { author }
+   * @returns {string} 'removed' | 'unchanged' (nothing there to remove)
+   */
+  removeFile(filePath, options = {}) {
+    const key = this.normalizePath(filePath);
+    if (!this.exists(key)) return 'unchanged';
+    const staged = this.files.get(key);
+    this.files.set(key, { content: null, author: options.author || 'unknown', base: staged ? staged.base : this.readDisk(key) });
+    return 'removed';
+  }
+
+  /**
+   * Deep-merge an object into a staged JSON file (package.json, config files).
+   * Different scalar values for the same key from different authors conflict.
+   * @param {string} filePath - Path relative to the project root
+   * @param {Object} patch - Values to merge
+   * @param {Object} options - { author }
+   * @returns {string} Same statuses as writeFile()
+   */
+  mergeJson(filePath, patch, options = {}) {
+    const key = this.normalizePath(filePath);
+    const author = options.author || 'unknown';
+    const existing = this.readFile(key);
+    const current = existing === null ? {} : JSON.parse(existing);
+    const clashes = [];
+    const merged = `${JSON.stringify(mergeObjects(current, patch, clashes, ''), null, 2)}\n`;
+
+    const staged = this.files.get(key);
+    if (clashes.length > 0 && staged && staged.author !== author) {
+      this.conflicts.set(key, {
+        path: key,
+        reason: `conflicting values for ${clashes.join(', ')}`,
+        ours: { author: staged.author, content: staged.content },
+        theirs: { author, content: merged }
+      });
+      return 'conflict';
+    }
+    // Merged JSON belongs to whoever staged it first; later contributors don't take it over
+    return this.writeFile(key, merged, {
+      author: staged ? staged.author : author,
+      overwrite: true
+    });
+  }
+
+  /**
+   * Current content: staged if any, otherwise what is on disk
+   * @param {string} filePath - Path relative to the project root
+   * @returns {string|null} Content, or null when the file doesn't exist
+   */
+  readFile(filePath) {
+    const key = this.normalizePath(filePath);
+    const staged = this.files.get(key);
+    return staged ? staged.content : this.readDisk(key);
+  }
+
+  exists(filePath) {
+    return this.readFile(filePath) !== null;
+  }
+
+  /**
+   * Staged files, sorted by path (staged removals are left out)
+   * @returns {Array} [{ path, author, size }]
+   */
+  list() {
+    return [...this.files.entries()]
+      .filter(([, file]) => file.content !== null)
+      .map(([filePath, file]) => ({ path: filePath, author: file.author, size: Buffer.byteLength(file.content) }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  getConflicts() {
+    return [...this.conflicts.values()];
+  }
+
+  /**
+   * Settle a conflict by keeping one side or supplying merged content
+   * @param {string} filePath - Conflicted path
+   * @param {string} resolution - 'ours' (first writer), 'theirs' (second writer) or the final content
+   */
+  resolveConflict(filePath, resolution) {
+    const key = this.normalizePath(filePath);
+    const conflict = this.conflicts.get(key);
+    if (!conflict) throw new Error(`No conflict on ${key}`);
+
+    const chosen = resolution === 'ours' ? conflict.ours
+      : resolution === 'theirs' ? conflict.theirs
+        : { author: `${conflict.ours.author}+${conflict.theirs.author}`, content: String(resolution) };
+    const staged = this.files.get(key);
+    if (chosen.content === null) {
+      this.files.delete(key); // Keeping the disk side of a file deleted on disk
+    } else {
+      this.files.set(key, { ...staged, content: chosen.content, author: chosen.author });
+    }
+    this.conflicts.delete(key);
+  }
+
+  /**
+   * Compare staged files with disk
+   * @returns {Array} [{ path, status: added|modified|removed|unchanged, author, patch }]
+   */
+  diff() {
+    return [...this.files.keys()].sort((a, b) => a.localeCompare(b)).map(filePath => {
+      const { content, author } = this.files.get(filePath);
+      const onDisk = this.readDisk(filePath);
+      const status = onDisk === content ? 'unchanged'
+        : content === null ? 'removed'
+          : onDisk === null ? 'added' : 'modified';
+      return {
+        path: filePath,
+        status,
+        author,
+        patch: status === 'unchanged' ? '' : unifiedDiff(onDisk || '', content || '', filePath, { isNew: onDisk === null, isRemoved: content === null })
+      };
+    });
+  }
+
+  /**
+   * Write every staged change to disk. Refuses while conflicts are open, and
+   * treats files edited on disk since they were staged as conflicts too.
+   * @param {Object} options - { dryRun }
+   * @returns {Object} { root, written, unchanged }
+   */
+  commit(options = {}) {
+    for (const [filePath, file] of this.files) {
+      const onDisk = this.readDisk(filePath);
+      if (onDisk !== file.base && onDisk !== file.content && !this.conflicts.has(filePath)) {
+        this.conflicts.set(filePath, {
+          path: filePath,
+          reason: 'changed on disk since it was staged',
+          ours: { author: 'disk', content: onDisk },
+          theirs: { author: file.author, content: file.content }
+        });
+      }
+    }
+    if (this.conflicts.size > 0) throw new WorkspaceConflictError(this.getConflicts());
+
+    const changes = this.diff();
+    const written = changes.filter(change => change.status !== 'unchanged').map(change => change.path);
+    if (!options.dryRun) {
+      written.forEach(filePath => {
+        const target = path.join(this.root, filePath);
+        if (this.files.get(filePath).content === null) {
+          fs.rmSync(target, { force: true });
+          return;
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        // Write then rename so a crash never leaves a half-written file behind
+        const temp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, this.files.get(filePath).content);
+        fs.renameSync(temp, target);
+      });
+      this.files.forEach(file => { file.base = file.content; });
+    }
+
+    return {
+      root: this.root,
+      written,
+      unchanged: changes.filter(change => change.status === 'unchanged').map(change => change.path)
+    };
+  }
+
+  /**
+   * Project-relative POSIX path; anything escaping the root is rejected
+   */
+  normalizePath(filePath) {
+    const normalized = path.posix.normalize(String(filePath).replace(/\\/g, '/')).replace(/^\.\//, '');
+    if (!normalized || normalized === '.' || normalized === '..' || path.posix.isAbsolute(normalized) || normalized.startsWith('../')) {
+      throw new Error(`Invalid workspace path: ${filePath}`);
+    }
+    return normalized;
+  }
+
+  readDisk(filePath) {
+    try {
+      return fs.readFileSync(path.join(this.root, filePath), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Recursively merge plain objects, patch values winning; `clashes` collects keys whose values differed
+ */
+function mergeObjects(target, patch, clashes, prefix) {
+  const result = { ...target };
+  Object.entries(patch).forEach(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const current = result[key];
+    if (isPlainObject(current) && isPlainObject(value)) {
+      result[key] = mergeObjects(current, value, clashes, keyPath);
+    } else {
+      if (current !== undefined && JSON.stringify(current) !== JSON.stringify(value)) clashes.push(keyPath);
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Unified diff between two texts
+ * @param {string} before - Old content
+ * @param {string} after - New content
+ * @param {string} filePath - Path shown in the header
+ * @param {Object} options - { isNew, isRemoved }
+ * @returns {string} Diff text, empty when identical
+ */
+function unifiedDiff(before, after, filePath, options = {}) {
+  if (before === after) return '';
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  const ops = diffLines(oldLines, newLines);
+
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailing = 0;
+
+  ops.forEach((op, index) => {
+    if (op.type === 'same') {
+      if (hunk) {
+        hunk.lines.push(` ${op.line}`);
+        hunk.oldCount++;
+        hunk.newCount++;
+        trailing++;
+        const nextChange = ops.slice(index + 1, index + 1 + DIFF_CONTEXT * 2).some(next => next.type !== 'same');
+        if (trailing >= DIFF_CONTEXT && !nextChange) {
+          hunks.push(hunk);
+          hunk = null;
+        }
+      }
+    } else {
+      if (!hunk) {
+        const leading = [];
+        for (let back = index - 1; back >= 0 && leading.length < DIFF_CONTEXT && ops[back].type === 'same'; back--) {
+          leading.unshift(ops[back].line);
+        }
+        hunk = {
+          oldStart: oldLine - leading.length,
+          newStart: newLine - leading.length,
+          oldCount: leading.length,
+          newCount: leading.length,
+          lines: leading.map(line => ` ${line}`)
+        };
+      }
+      trailing = 0;
+      hunk.lines.push(`${op.type === 'add' ? '+' : '-'}${op.line}`);
+      if (op.type === 'add') hunk.newCount++;
+      else hunk.oldCount++;
+    }
+    if (op.type !== 'add') oldLine++;
+    if (op.type !== 'remove') newLine++;
+  });
+  if (hunk) hunks.push(hunk);
+
+  const header = [`--- ${options.isNew ? '/dev/null' : `a/${filePath}`}`, `+++ ${options.isRemoved ? '/dev/null' : `b/${filePath}`}`];
+  const body = hunks.map(({ oldStart, oldCount, newStart, newCount, lines }) => [
+    `@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`,
+    ...lines
+  ].join('\n'));
+  return `${[...header, ...body].join('\n')}\n`;
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line edit script from a longest-common-subsequence table
+ */
+function diffLines(oldLines, newLines) {
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: 'remove', line })),
+      ...newLines.map(line => ({ type: 'add', line }))
+    ];
+  }
+
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const table = new Uint32Array(rows * cols);
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      table[i * cols + j] = oldLines[i] === newLines[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: 'same', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      ops.push({ type: 'remove', line: oldLines[i++] });
+    } else {
+      ops.push({ type: 'add', line: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) ops.push({ type: 'remove', line: oldLines[i++] });
+  while (j < newLines.length) ops.push({ type: 'add', line: newLines[j++] });
+  return ops;
+}
+
+module.exports = { ProjectWorkspace, WorkspaceConflictError, unifiedDiff };
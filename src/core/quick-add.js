@@ -0,0 +1,264 @@
+// Natural-language quick add: turns a one-line phrase into createTask() fields.
+//
+//   call the printer tomorrow 3pm #client !high ~45m @work
+//
+// #tag adds a tag, !high/!low/!1-5/!!! sets importance, ~45m/~1.5h/~1h30m the
+// estimate and @category the category. Dates (today, tonight, tomorrow, friday,
+// next week, in 3 days, jan 5, 2030-01-05) and times (3pm, 15:30, noon) set the
+// deadline. Everything else is the title; the category is guessed from it when
+// none is given.
+
+const { cleanText, normalizeLanguage } = require('./vibe-interpreter');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_DUE_HOUR = 17; // a date without a time is due at the end of the working day
+const TONIGHT_HOUR = 20;
+
+const CATEGORIES = ['work', 'personal', 'health', 'learning', 'finance', 'general'];
+
+const CATEGORY_KEYWORDS = [
+    ['work', /meeting|call|email|presentation|project|deadline|report/],
+    ['health', /exercise|gym|doctor|health|meditation|diet/],
+    ['learning', /learn|study|course|read|research|tutorial/],
+    ['finance', /pay|bill|budget|money|finance|bank|tax/],
+    ['personal', /family|friend|personal|home|clean|shopping/]
+];
+
+// Shorthand people type for dates, normalized before matching
+const QUICK_ADD_SYNONYMS = {
+    tomorrow: ['tmrw', 'tomorow'],
+    tonight: ['tonite'],
+    noon: ['midday']
+};
+
+const IMPORTANCE = { low: 1, l: 1, medium: 3, med: 3, m: 3, high: 5, h: 5, urgent: 5 };
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBREVIATIONS = { sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6 };
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+const UNIT_MS = {
+    minute: MINUTE_MS, minutes: MINUTE_MS, min: MINUTE_MS, mins: MINUTE_MS,
+    hour: 60 * MINUTE_MS, hours: 60 * MINUTE_MS, hr: 60 * MINUTE_MS, hrs: 60 * MINUTE_MS,
+    day: 24 * 60 * MINUTE_MS, days: 24 * 60 * MINUTE_MS,
+    week: 7 * 24 * 60 * MINUTE_MS, weeks: 7 * 24 * 60 * MINUTE_MS
+};
+
+// Words that only introduce a date or time ("due friday", "at 3pm")
+const CONNECTORS = ['at', 'on', 'by', 'due', 'before'];
+
+// Same rules the task form uses when a title comes in without a category
+function guessCategory(text) {
+    const cleaned = cleanText(text);
+    const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(cleaned));
+    return match ? match[0] : 'general';
+}
+
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// "jan", "sept", "march" -> 0-based month, or -1
+const monthIndex = word => (word.length >= 3 ? MONTHS.findIndex(name => name.startsWith(word)) : -1);
+
+const dayNumber = word => {
+    const match = /^(\d{1,2})(?:st|nd|rd|th)?$/.exec(word);
+    const day = match ? Number(match[1]) : NaN;
+    return day >= 1 && day <= 31 ? day : null;
+};
+
+// Next date with that month/day, this year or next
+function upcoming(now, month, day) {
+    const date = new Date(now.getFullYear(), month, day);
+    return date < startOfDay(now) ? new Date(now.getFullYear() + 1, month, day) : date;
+}
+
+// Date phrase starting at words[i] -> { date, length, time?, instant? }
+function matchDate(words, i, now, afterConnector) {
+    const [word, next, third] = [words[i], words[i + 1], words[i + 2]];
+    const today = startOfDay(now);
+
+    if (word === 'today' || word === 'eod') return { date: today, length: 1 };
+    if (word === 'tonight') return { date: today, length: 1, time: { hours: TONIGHT_HOUR, minutes: 0 } };
+    if (word === 'tomorrow') return { date: addDays(today, 1), length: 1 };
+
+    if (word === 'next' && next === 'week') {
+        return { date: addDays(today, ((8 - today.getDay()) % 7) || 7), length: 2 };
+    }
+
+    const weekday = WEEKDAYS.indexOf(word) !== -1 ? WEEKDAYS.indexOf(word)
+        // "sun", "sat" and friends are only dates when introduced as one ("by fri")
+        : afterConnector && word in WEEKDAY_ABBREVIATIONS ? WEEKDAY_ABBREVIATIONS[word] : -1;
+    if (weekday !== -1) {
+        return { date: addDays(today, ((weekday - today.getDay() + 7) % 7) || 7), length: 1 };
+    }
+    if (word === 'next' && next && WEEKDAYS.includes(next)) {
+        const match = matchDate(words, i + 1, now, true);
+        return { ...match, length: 2 };
+    }
+
+    if (word === 'in' && next && UNIT_MS[third]) {
+        const amount = Number(next === 'an' || next === 'a' ? 1 : next);
+        if (amount > 0) return { instant: new Date(now.getTime() + amount * UNIT_MS[third]), length: 3 };
+    }
+
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(word);
+    if (iso) return { date: new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])), length: 1 };
+
+    // "jan 5", "5 january"
+    if (monthIndex(word) !== -1 && next && dayNumber(next)) {
+        return { date: upcoming(now, monthIndex(word), dayNumber(next)), length: 2 };
+    }
+    if (dayNumber(word) && next && monthIndex(next) !== -1) {
+        return { date: upcoming(now, monthIndex(next), dayNumber(word)), length: 2 };
+    }
+    return null;
+}
+
+// Time phrase starting at words[i] -> { time, length }
+function matchTime(words, i) {
+    const [word, next] = [words[i], words[i + 1]];
+    if (word === 'noon') return { time: { hours: 12, minutes: 0 }, length: 1 };
+    if (word === 'midnight') return { time: { hours: 23, minutes: 59 }, length: 1 };
+
+    // "3pm", "3:30pm", or "3 pm" across two words
+    const meridiem = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(word)
+        || (/^\d{1,2}(?::\d{2})?$/.test(word) && /^(am|pm)$/.test(next || '')
+            && /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(word + next));
+    if (meridiem) {
+        const hours = Number(meridiem[1]);
+        const minutes = Number(meridiem[2] || 0);
+        if (hours < 1 || hours > 12 || minutes > 59) return null;
+        return {
+            time: { hours: (hours % 12) + (meridiem[3] === 'pm' ? 12 : 0), minutes },
+            length: word.endsWith('m') ? 1 : 2
+        };
+    }
+
+    const clock = /^(\d{1,2}):(\d{2})$/.exec(word);
+    if (clock && Number(clock[1]) < 24 && Number(clock[2]) < 60) {
+        return { time: { hours: Number(clock[1]), minutes: Number(clock[2]) }, length: 1 };
+    }
+    return null;
+}
+
+// "~45m", "~2h", "~1.5h", "~1h30m", "~90"
+function parseEstimate(value) {
+    const match = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m?)?$/.exec(value);
+    if (!match || (!match[1] && !match[2])) return null;
+    const minutes = Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+    return minutes > 0 ? minutes : null;
+}
+
+function parseImportance(value) {
+    if (/^!+$/.test(value)) return value.length >= 2 ? 5 : 4; // "!!" or "!!!"
+    if (/^[1-5]$/.test(value)) return Number(value);
+    return IMPORTANCE[value] || null;
+}
+
+// Text -> { fields, recognized }. fields is ready for createTask(); recognized
+// lists which words were read as what, for a preview.
+function parseQuickAdd(text, { now = new Date() } = {}) {
+    const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+    const words = tokens.map(token => normalizeLanguage(token.replace(/[,;.]+$/, ''), QUICK_ADD_SYNONYMS));
+    const title = [];
+    const recognized = [];
+    const fields = { tags: [] };
+    let date = null;
+    let time = null;
+    let instant = null;
+
+    const note = (from, length, field, value) => {
+        recognized.push({ text: tokens.slice(from, from + length).join(' '), field, value });
+    };
+    // A connector right before a date/time belongs to it, not to the title
+    const takeConnector = () => {
+        const last = title[title.length - 1];
+        return last !== undefined && CONNECTORS.includes(last.toLowerCase()) ? title.pop() : null;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const word = words[i];
+        const marker = token[0];
+        const value = word.slice(1);
+
+        if (marker === '#' && /^[\w-]+$/.test(token.slice(1))) {
+            const tag = token.slice(1);
+            if (!fields.tags.includes(tag)) {
+                fields.tags.push(tag);
+                note(i, 1, 'tags', tag);
+            }
+            continue;
+        }
+        if (marker === '@' && CATEGORIES.includes(value)) {
+            fields.category = value;
+            note(i, 1, 'category', value);
+            continue;
+        }
+        if (marker === '!' && parseImportance(value)) {
+            fields.importance = parseImportance(value);
+            note(i, 1, 'importance', fields.importance);
+            continue;
+        }
+        if (marker === '~' && parseEstimate(value)) {
+            fields.estimatedMinutes = parseEstimate(value);
+            note(i, 1, 'estimatedMinutes', fields.estimatedMinutes);
+            continue;
+        }
+
+        const previous = title[title.length - 1];
+        const afterConnector = previous !== undefined && CONNECTORS.concat('next').includes(previous.toLowerCase());
+        const dateMatch = !date && !instant && matchDate(words, i, now, afterConnector);
+        if (dateMatch) {
+            const connector = takeConnector();
+            if (dateMatch.instant) instant = dateMatch.instant;
+            else date = dateMatch.date;
+            if (dateMatch.time && !time) time = dateMatch.time;
+            recognized.push({
+                text: [connector, ...tokens.slice(i, i + dateMatch.length)].filter(Boolean).join(' '),
+                field: 'deadline',
+                value: dateMatch.instant || dateMatch.date
+            });
+            i += dateMatch.length - 1;
+            continue;
+        }
+
+        const timeMatch = !time && !instant && matchTime(words, i);
+        if (timeMatch) {
+            const connector = takeConnector();
+            time = timeMatch.time;
+            recognized.push({
+                text: [connector, ...tokens.slice(i, i + timeMatch.length)].filter(Boolean).join(' '),
+                field: 'deadline',
+                value: `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`
+            });
+            i += timeMatch.length - 1;
+            continue;
+        }
+
+        title.push(token);
+    }
+
+    if (instant) {
+        fields.deadline = instant;
+    } else if (date || time) {
+        const { hours, minutes } = time || { hours: DEFAULT_DUE_HOUR, minutes: 0 };
+        const at = day => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+        fields.deadline = at(date || startOfDay(now));
+        // A bare time that already passed today means tomorrow
+        if (!date && fields.deadline <= now) fields.deadline = at(addDays(now, 1));
+    }
+
+    fields.title = title.join(' ');
+    if (!fields.category) fields.category = guessCategory(fields.title);
+    if (fields.tags.length === 0) delete fields.tags;
+
+    return { fields, recognized };
+}
+
+module.exports = {
+    CATEGORIES,
+    guessCategory,
+    parseQuickAdd
+};
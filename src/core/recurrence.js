@@ -0,0 +1,326 @@
+// Recurrence rules for repeating tasks.
+// Supports the iCalendar RRULE subset FREQ, INTERVAL, BYDAY, BYMONTHDAY,
+// COUNT and UNTIL (RFC 5545 section 3.3.10). Weeks start on Monday and the
+// series start (DTSTART) always counts as the first occurrence.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_PERIODS = 10000; // Safety net for rules that rarely (or never) match
+
+// Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,TH") or rule object into a normalized rule
+function parseRecurrence(input) {
+    if (!input) {
+        throw new Error('Recurrence rule is empty');
+    }
+
+    const parts = typeof input === 'string' ? splitRuleString(input) : normalizeRuleObject(input);
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+    Object.entries(parts).forEach(([key, value]) => {
+        switch (key) {
+            case 'FREQ':
+                rule.freq = String(value).toUpperCase();
+                if (!FREQUENCIES.includes(rule.freq)) {
+                    throw new Error(`Unsupported recurrence frequency: ${value}`);
+                }
+                break;
+            case 'INTERVAL':
+                rule.interval = parsePositiveInteger(value, 'INTERVAL');
+                break;
+            case 'BYDAY':
+                rule.byDay = toList(value).map(parseWeekday);
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = toList(value).map(parseMonthDay);
+                break;
+            case 'COUNT':
+                rule.count = parsePositiveInteger(value, 'COUNT');
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(value);
+                break;
+            default:
+                throw new Error(`Unsupported recurrence part: ${key}`);
+        }
+    });
+
+    if (!rule.freq) {
+        throw new Error('Recurrence rule needs a FREQ');
+    }
+    if (rule.count && rule.until) {
+        throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+    }
+    if (rule.byDay.some(day => day.ordinal) && rule.freq !== 'MONTHLY') {
+        throw new Error('Numbered BYDAY values (e.g. 1MO) are only supported with FREQ=MONTHLY');
+    }
+
+    return rule;
+}
+
+// Turn a normalized rule back into its RRULE string
+function formatRecurrence(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) {
+        parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+    }
+    if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+    return parts.join(';');
+}
+
+// Yield { date, index } for every occurrence of the series, in order
+function* iterateOccurrences(rule, start) {
+    const dtstart = new Date(start);
+    if (rule.until && dtstart > rule.until) return;
+
+    let index = 1;
+    yield { date: new Date(dtstart), index };
+    if (rule.count && index >= rule.count) return;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        for (const date of candidatesForPeriod(rule, dtstart, period)) {
+            if (date <= dtstart) continue;
+            if (rule.until && date > rule.until) return;
+
+            index++;
+            yield { date, index };
+            if (rule.count && index >= rule.count) return;
+        }
+    }
+}
+
+// First occurrence strictly after `after`, or null when the series has ended
+function nextOccurrence(rule, start, after) {
+    const threshold = new Date(after);
+    for (const occurrence of iterateOccurrences(rule, start)) {
+        if (occurrence.date > threshold) return occurrence;
+    }
+    return null;
+}
+
+// First date on or after `from` that fits the rule, keeping from's time of day.
+// Used to anchor a new series when no explicit start date is given.
+function firstOccurrenceOnOrAfter(rule, from) {
+    const anchor = new Date(from);
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        const match = candidatesForPeriod(rule, anchor, period).find(date => date >= anchor);
+        if (match) {
+            return rule.until && match > rule.until ? null : match;
+        }
+    }
+    return null;
+}
+
+// All occurrences with from <= date <= to (capped at `limit`)
+function occurrencesBetween(rule, start, from, to, limit = 500) {
+    const results = [];
+    const rangeStart = new Date(from);
+    const rangeEnd = new Date(to);
+
+    for (const occurrence of iterateOccurrences(rule, start)) {
+        if (occurrence.date > rangeEnd || results.length >= limit) break;
+        if (occurrence.date >= rangeStart) results.push(occurrence);
+    }
+
+    return results;
+}
+
+// Candidate dates for the n-th period (day/week/month/year) after dtstart
+function candidatesForPeriod(rule, dtstart, period) {
+    const step = period * rule.interval;
+    let candidates;
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const day = atTimeOf(dtstart, dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate() + step);
+            candidates = [day];
+            break;
+        }
+        case 'WEEKLY': {
+            if (rule.byDay.length === 0) {
+                candidates = [atTimeOf(dtstart, dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate() + step * 7)];
+            } else {
+                const mondayOffset = (dtstart.getDay() + 6) % 7;
+                const weekStart = dtstart.getDate() - mondayOffset + step * 7;
+                candidates = rule.byDay.map(day =>
+                    atTimeOf(dtstart, dtstart.getFullYear(), dtstart.getMonth(), weekStart + (day.weekday + 6) % 7));
+            }
+            break;
+        }
+        case 'MONTHLY': {
+            const monthIndex = dtstart.getMonth() + step;
+            const year = dtstart.getFullYear() + Math.floor(monthIndex / 12);
+            const month = ((monthIndex % 12) + 12) % 12;
+            candidates = monthCandidates(rule, dtstart, year, month);
+            break;
+        }
+        case 'YEARLY': {
+            candidates = monthCandidates(rule, dtstart, dtstart.getFullYear() + step, dtstart.getMonth());
+            break;
+        }
+        default:
+            candidates = [];
+    }
+
+    return candidates
+        .filter(date => matchesFilters(rule, date))
+        .sort((a, b) => a - b)
+        .filter((date, i, sorted) => i === 0 || date.getTime() !== sorted[i - 1].getTime());
+}
+
+// Days within one month picked by BYMONTHDAY / BYDAY (or dtstart's day)
+function monthCandidates(rule, dtstart, year, month) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    let days;
+
+    if (rule.byMonthDay.length > 0) {
+        days = rule.byMonthDay.map(day => (day > 0 ? day : daysInMonth + day + 1));
+    } else if (rule.byDay.length > 0) {
+        days = [];
+        rule.byDay.forEach(({ weekday, ordinal }) => {
+            const matching = [];
+            for (let day = 1; day <= daysInMonth; day++) {
+                if (new Date(year, month, day).getDay() === weekday) matching.push(day);
+            }
+            if (!ordinal) {
+                days.push(...matching);
+            } else {
+                const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                if (picked) days.push(picked);
+            }
+        });
+    } else {
+        days = [dtstart.getDate()];
+    }
+
+    // Months without the requested day (e.g. the 31st) are skipped, as in RFC 5545
+    return days
+        .filter(day => day >= 1 && day <= daysInMonth)
+        .map(day => atTimeOf(dtstart, year, month, day));
+}
+
+// BYDAY/BYMONTHDAY act as filters where they don't expand the set
+function matchesFilters(rule, date) {
+    const expandsByDay = rule.freq === 'WEEKLY' || (rule.freq === 'MONTHLY' && rule.byMonthDay.length === 0);
+    if (rule.byDay.length > 0 && !expandsByDay) {
+        if (!rule.byDay.some(day => day.weekday === date.getDay())) return false;
+    }
+
+    const expandsByMonthDay = rule.freq === 'MONTHLY' || rule.freq === 'YEARLY';
+    if (rule.byMonthDay.length > 0 && !expandsByMonthDay) {
+        const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        const matches = rule.byMonthDay.some(day =>
+            (day > 0 ? day : daysInMonth + day + 1) === date.getDate());
+        if (!matches) return false;
+    }
+
+    return true;
+}
+
+// Build a local date on the given day, keeping dtstart's time of day
+function atTimeOf(dtstart, year, month, day) {
+    return new Date(year, month, day,
+        dtstart.getHours(), dtstart.getMinutes(), dtstart.getSeconds(), dtstart.getMilliseconds());
+}
+
+function splitRuleString(text) {
+    const parts = {};
+    text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [key, value] = part.split('=');
+        if (!value) {
+            throw new Error(`Malformed recurrence part: ${part}`);
+        }
+        parts[key.trim().toUpperCase()] = value.trim();
+    });
+    return parts;
+}
+
+function normalizeRuleObject(input) {
+    const keyMap = {
+        freq: 'FREQ', interval: 'INTERVAL', byDay: 'BYDAY', byMonthDay: 'BYMONTHDAY',
+        count: 'COUNT', until: 'UNTIL'
+    };
+    const parts = {};
+    Object.entries(input).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        parts[keyMap[key] || key.toUpperCase()] = value;
+    });
+    return parts;
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : String(value).split(',');
+}
+
+function parsePositiveInteger(value, name) {
+    const number = parseInt(value, 10);
+    if (isNaN(number) || number < 1) {
+        throw new Error(`Recurrence ${name} must be a positive integer`);
+    }
+    return number;
+}
+
+function parseWeekday(value) {
+    if (typeof value === 'object') {
+        return { weekday: value.weekday, ordinal: value.ordinal || null };
+    }
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid BYDAY value: ${value}`);
+    }
+    const ordinal = match[1] ? parseInt(match[1], 10) : null;
+    if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw new Error(`Invalid BYDAY ordinal: ${value}`);
+    }
+    return { weekday: WEEKDAYS.indexOf(match[2].toUpperCase()), ordinal };
+}
+
+function parseMonthDay(value) {
+    const day = parseInt(value, 10);
+    if (isNaN(day) || day === 0 || Math.abs(day) > 31) {
+        throw new Error(`Invalid BYMONTHDAY value: ${value}`);
+    }
+    return day;
+}
+
+// UNTIL accepts YYYYMMDD (inclusive, local), YYYYMMDDTHHMMSSZ or ISO strings
+function parseUntil(value) {
+    if (value instanceof Date) return new Date(value);
+
+    const text = String(value).trim();
+    const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(text);
+    let until;
+
+    if (compact) {
+        const [, y, m, d, hh, mm, ss, utc] = compact;
+        if (!hh) {
+            until = new Date(Number(y), Number(m) - 1, Number(d), 23, 59, 59, 999);
+        } else if (utc) {
+            until = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss)));
+        } else {
+            until = new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss));
+        }
+    } else {
+        until = new Date(text);
+    }
+
+    if (isNaN(until.getTime())) {
+        throw new Error(`Invalid recurrence UNTIL: ${value}`);
+    }
+    return until;
+}
+
+function formatUntil(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+module.exports = {
+    parseRecurrence,
+    formatRecurrence,
+    iterateOccurrences,
+    nextOccurrence,
+    firstOccurrenceOnOrAfter,
+    occurrencesBetween
+};
@@ -0,0 +1,108 @@
+// Inverted index for full-text search over task titles, descriptions and tags.
+// The index is synced lazily: sync() re-tokenizes only tasks whose text changed,
+// so callers don't have to hook every mutation.
+
+const FIELD_WEIGHTS = { title: 3, tags: 2, description: 1 };
+
+// Lowercase words (letters and digits in any script)
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function textOf(task) {
+    return {
+        title: task.title || '',
+        description: task.description || '',
+        tags: (task.tags || []).join(' ')
+    };
+}
+
+class TaskSearchIndex {
+    constructor() {
+        this.postings = new Map();   // term -> Map(taskId -> weighted term frequency)
+        this.documents = new Map();  // taskId -> { signature, terms }
+    }
+
+    // Bring the index in line with the current task list
+    sync(tasks) {
+        const liveIds = new Set();
+        tasks.forEach(task => {
+            liveIds.add(task.id);
+            const text = textOf(task);
+            const signature = `${text.title}\u0000${text.description}\u0000${text.tags}`;
+            const existing = this.documents.get(task.id);
+            if (existing && existing.signature === signature) return;
+
+            if (existing) this.remove(task.id);
+            this.add(task.id, text, signature);
+        });
+
+        [...this.documents.keys()]
+            .filter(id => !liveIds.has(id))
+            .forEach(id => this.remove(id));
+        return this;
+    }
+
+    add(taskId, text, signature) {
+        const weights = new Map();
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenize(text[field]).forEach(term => {
+                weights.set(term, (weights.get(term) || 0) + weight);
+            });
+        });
+
+        weights.forEach((weight, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(taskId, weight);
+        });
+        this.documents.set(taskId, { signature, terms: [...weights.keys()] });
+    }
+
+    remove(taskId) {
+        const document = this.documents.get(taskId);
+        if (!document) return;
+
+        document.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(taskId);
+            if (posting.size === 0) this.postings.delete(term);
+        });
+        this.documents.delete(taskId);
+    }
+
+    // Score tasks matching every word of `query`; the last word also matches
+    // as a prefix so search-as-you-type works. Returns Map(taskId -> score).
+    search(query) {
+        const terms = tokenize(query);
+        if (terms.length === 0) return null;
+
+        let scores = null;
+        terms.forEach((term, index) => {
+            const matches = new Map();
+            const addHits = (posting, factor) => posting.forEach((weight, taskId) => {
+                matches.set(taskId, (matches.get(taskId) || 0) + weight * factor);
+            });
+
+            if (this.postings.has(term)) addHits(this.postings.get(term), 1);
+            if (index === terms.length - 1) {
+                // Prefix hits count for less than whole-word hits
+                this.postings.forEach((posting, indexedTerm) => {
+                    if (indexedTerm !== term && indexedTerm.startsWith(term)) addHits(posting, 0.5);
+                });
+            }
+
+            if (scores === null) {
+                scores = matches;
+                return;
+            }
+            const combined = new Map();
+            scores.forEach((score, taskId) => {
+                if (matches.has(taskId)) combined.set(taskId, score + matches.get(taskId));
+            });
+            scores = combined;
+        });
+        return scores;
+    }
+}
+
+module.exports = { TaskSearchIndex, tokenize };
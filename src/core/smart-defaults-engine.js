@@ -40,6 +40,13 @@ class SmartDefaultsEngine {
       tokenSavings += scaleDefaults.length * 15;
     }
     
+    // Design defaults for an explicitly requested style
+    if (userContext.style && this.defaultsLibrary.style[userContext.style]) {
+      const styleDefaults = this.getStyleDefaults(userContext.style);
+      applicableDefaults.push(...styleDefaults);
+      tokenSavings += styleDefaults.length * 30;
+    }
+    
     return {
       applicableDefaults: applicableDefaults,
       tokenSavings: tokenSavings,
@@ -66,6 +73,42 @@ class SmartDefaultsEngine {
     return defaults;
   }
 
+  /**
+   * Design defaults (style, colors, fonts) for a visual style
+   * @param {string} style - professional, modern, playful, minimal or visual-focused
+   * @returns {Array} Defaults, empty for an unknown style
+   */
+  getStyleDefaults(style) {
+    const design = this.defaultsLibrary.style[style];
+    if (!design) return [];
+    
+    return [
+      { category: 'design', key: 'style', value: style, confidence: 0.9 },
+      { category: 'design', key: 'colors', value: { ...design.colors }, confidence: 0.8 },
+      { category: 'design', key: 'fonts', value: { ...design.fonts }, confidence: 0.8 }
+    ];
+  }
+
+  /**
+   * Collapse a list of defaults into settings by category, keeping the most
+   * confident value when the same key is set more than once
+   * @param {Array} defaults - Applicable defaults
+   * @returns {Object} e.g. { design: { style, colors, fonts }, hosting: { type } }
+   */
+  resolveDefaults(defaults) {
+    const settings = {};
+    const confidence = {};
+    
+    defaults.forEach(def => {
+      const id = `${def.category}.${def.key}`;
+      if (confidence[id] !== undefined && confidence[id] >= def.confidence) return;
+      confidence[id] = def.confidence;
+      settings[def.category] = { ...settings[def.category], [def.key]: def.value };
+    });
+    
+    return settings;
+  }
+
   generateDefaultsReasoning(defaults) {
     const categories = {};
     defaults.forEach(def => {
@@ -106,6 +149,28 @@ class SmartDefaultsEngine {
           { category: 'hosting', key: 'type', value: 'scalable-cloud', confidence: 0.9 },
           { category: 'monitoring', key: 'enabled', value: true, confidence: 0.9 }
         ]
+      },
+      style: {
+        'professional': {
+          colors: { primary: '#1E3A8A', secondary: '#475569', accent: '#0EA5E9', background: '#F8FAFC', surface: '#FFFFFF', text: '#0F172A', muted: '#64748B' },
+          fonts: { heading: 'Georgia, "Times New Roman", serif', body: 'Inter, system-ui, sans-serif' }
+        },
+        'modern': {
+          colors: { primary: '#6366F1', secondary: '#1F2937', accent: '#EC4899', background: '#F9FAFB', surface: '#FFFFFF', text: '#111827', muted: '#6B7280' },
+          fonts: { heading: 'Poppins, system-ui, sans-serif', body: 'Inter, system-ui, sans-serif' }
+        },
+        'playful': {
+          colors: { primary: '#F97316', secondary: '#8B5CF6', accent: '#10B981', background: '#FFFBEB', surface: '#FFFFFF', text: '#1C1917', muted: '#78716C' },
+          fonts: { heading: '"Baloo 2", "Comic Neue", system-ui, sans-serif', body: 'Nunito, system-ui, sans-serif' }
+        },
+        'minimal': {
+          colors: { primary: '#111827', secondary: '#374151', accent: '#2563EB', background: '#FFFFFF', surface: '#FAFAFA', text: '#111827', muted: '#6B7280' },
+          fonts: { heading: 'system-ui, sans-serif', body: 'system-ui, sans-serif' }
+        },
+        'visual-focused': {
+          colors: { primary: '#E11D48', secondary: '#0F172A', accent: '#F59E0B', background: '#0B0F19', surface: '#111827', text: '#F3F4F6', muted: '#9CA3AF' },
+          fonts: { heading: '"Playfair Display", Georgia, serif', body: 'Inter, system-ui, sans-serif' }
+        }
       }
     };
   }
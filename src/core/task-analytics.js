@@ -0,0 +1,206 @@
+// Analytics over a task list: per-day/per-week time series, burndown, cycle
+// time and a throughput forecast. Everything is derived from createdAt,
+// completedAt and deadline of the tasks that still exist, so deleted tasks
+// drop out of past figures too. Parent tasks are rollups and not counted.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_BUCKETS = 400;
+
+const INTERVALS = ['day', 'week'];
+const DEFAULT_SPAN = { day: 30, week: 12 }; // buckets shown when no range is given
+
+// Cycle-time histogram: upper bound in hours (exclusive) -> label
+const CYCLE_BUCKETS = [
+    [1, '< 1h'],
+    [24, '< 1d'],
+    [3 * 24, '1-3d'],
+    [7 * 24, '3-7d'],
+    [14 * 24, '1-2w'],
+    [28 * 24, '2-4w'],
+    [Infinity, '4w+']
+];
+
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Weeks start on Monday
+const startOfWeek = date => addDays(startOfDay(date), -((date.getDay() + 6) % 7));
+
+const alignStart = (date, interval) => (interval === 'week' ? startOfWeek(date) : startOfDay(date));
+const step = (date, interval) => addDays(date, interval === 'week' ? 7 : 1);
+
+const time = value => (value ? new Date(value).getTime() : null);
+
+function parseDate(value, name) {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a date, got "${value}"`);
+    }
+    return date;
+}
+
+// { from, to, interval } from a query -> aligned range; to is inclusive of its day/week
+function resolveRange({ from, to, interval = 'day' } = {}, now = new Date()) {
+    if (!INTERVALS.includes(interval)) {
+        throw new Error(`interval must be one of: ${INTERVALS.join(', ')}`);
+    }
+    const end = step(alignStart(parseDate(to, 'to') || now, interval), interval);
+    const fromDate = parseDate(from, 'from');
+    const start = fromDate
+        ? alignStart(fromDate, interval)
+        : addDays(end, -DEFAULT_SPAN[interval] * (interval === 'week' ? 7 : 1));
+    if (start >= end) {
+        throw new Error('from must be before to');
+    }
+    return { start, end, interval };
+}
+
+function buckets({ start, end, interval }) {
+    const result = [];
+    for (let cursor = start; cursor < end; cursor = step(cursor, interval)) {
+        if (result.length === MAX_BUCKETS) {
+            throw new Error(`Range too long: at most ${MAX_BUCKETS} ${interval}s`);
+        }
+        result.push({ start: cursor, end: step(cursor, interval) });
+    }
+    return result;
+}
+
+// Optional tag/category narrowing shared by every report
+function filterTasks(tasks, { tag, category } = {}) {
+    return tasks.filter(task =>
+        (!tag || (task.tags || []).includes(tag)) && (!category || task.category === category));
+}
+
+// Open at a moment: created by then and not yet completed
+const openAt = (task, at) => time(task.createdAt) <= at && !(task.completed && time(task.completedAt) <= at);
+
+// Created/completed per bucket, and how many tasks were overdue at its end
+function timeSeries(tasks, range, now = new Date()) {
+    return buckets(range).map(({ start, end }) => {
+        const [from, to] = [start.getTime(), end.getTime()];
+        const asOf = Math.min(to, now.getTime());
+        const inBucket = value => value !== null && value >= from && value < to;
+
+        return {
+            start,
+            end,
+            created: tasks.filter(task => inBucket(time(task.createdAt))).length,
+            completed: tasks.filter(task => task.completed && inBucket(time(task.completedAt))).length,
+            // Future buckets have no overdue count yet
+            overdue: from > now.getTime()
+                ? null
+                : tasks.filter(task => task.deadline && time(task.deadline) < asOf && openAt(task, asOf)).length
+        };
+    });
+}
+
+// Remaining work at the end of each bucket against a straight ideal line to zero
+function burndown(tasks, range, now = new Date()) {
+    const points = buckets(range).map(({ start, end }) => {
+        const asOf = Math.min(end.getTime(), now.getTime());
+        const future = start.getTime() > now.getTime();
+        const scope = tasks.filter(task => time(task.createdAt) <= asOf).length;
+        const remaining = tasks.filter(task => openAt(task, asOf)).length;
+        return {
+            start,
+            end,
+            scope: future ? null : scope,
+            completed: future ? null : scope - remaining,
+            remaining: future ? null : remaining,
+            ideal: null
+        };
+    });
+
+    // The ideal line runs from the first bucket's remaining work down to zero at the last
+    const initial = points[0].remaining || 0;
+    const last = Math.max(1, points.length - 1);
+    points.forEach((point, index) => {
+        point.ideal = Math.round(initial * (1 - index / last) * 10) / 10;
+    });
+
+    const latest = [...points].reverse().find(point => point.remaining !== null);
+    return { points, remaining: latest ? latest.remaining : null };
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+const roundHours = ms => (ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+
+// Created -> completed durations of tasks completed within the range
+function cycleTimes(tasks, range) {
+    const [from, to] = [range.start.getTime(), range.end.getTime()];
+    const durations = tasks
+        .filter(task => task.completed && time(task.completedAt) >= from && time(task.completedAt) < to)
+        .map(task => Math.max(0, time(task.completedAt) - time(task.createdAt)))
+        .sort((a, b) => a - b);
+
+    const histogram = CYCLE_BUCKETS.map(([maxHours, label]) => ({ label, maxHours, count: 0 }));
+    durations.forEach(ms => {
+        histogram.find(bucket => ms / HOUR_MS < bucket.maxHours).count++;
+    });
+
+    return {
+        count: durations.length,
+        meanHours: durations.length > 0
+            ? roundHours(durations.reduce((sum, ms) => sum + ms, 0) / durations.length)
+            : null,
+        medianHours: roundHours(percentile(durations, 50)),
+        p85Hours: roundHours(percentile(durations, 85)),
+        p95Hours: roundHours(percentile(durations, 95)),
+        histogram: histogram.map(({ label, maxHours, count }) => ({
+            label,
+            maxHours: maxHours === Infinity ? null : maxHours,
+            count
+        }))
+    };
+}
+
+// How long the open backlog takes at the recent weekly completion rate.
+// The likely date uses the mean; optimistic/pessimistic use the 85th and
+// 15th percentile weeks.
+function forecast(tasks, { weeks = 8 } = {}, now = new Date()) {
+    const end = now.getTime();
+    const throughput = [];
+    for (let i = weeks; i > 0; i--) {
+        const [from, to] = [end - i * 7 * DAY_MS, end - (i - 1) * 7 * DAY_MS];
+        throughput.push(tasks.filter(task =>
+            task.completed && time(task.completedAt) > from && time(task.completedAt) <= to).length);
+    }
+
+    const sorted = [...throughput].sort((a, b) => a - b);
+    const mean = throughput.reduce((sum, count) => sum + count, 0) / weeks;
+    const remaining = tasks.filter(task => !task.completed).length;
+    const finish = perWeek => {
+        if (remaining === 0) return { weeks: 0, date: new Date(end) };
+        if (!perWeek) return null;
+        const weeksNeeded = remaining / perWeek;
+        return { weeks: Math.round(weeksNeeded * 10) / 10, date: new Date(end + weeksNeeded * 7 * DAY_MS) };
+    };
+
+    return {
+        weeks,
+        throughput,
+        averagePerWeek: Math.round(mean * 10) / 10,
+        remaining,
+        likely: finish(mean),
+        optimistic: finish(percentile(sorted, 85)),
+        pessimistic: finish(percentile(sorted, 15))
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    resolveRange,
+    filterTasks,
+    timeSeries,
+    burndown,
+    cycleTimes,
+    forecast
+};
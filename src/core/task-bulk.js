@@ -0,0 +1,175 @@
+// Bulk actions over a list of task ids, with a per-item result report.
+//
+// Every action first checks each task on its own (exists, has a deadline to
+// shift, dependencies resolve...), then applies the batch as one history entry.
+// In atomic mode nothing is applied unless every item passes, and a failure
+// while applying rolls the whole batch back; otherwise each valid item is
+// applied and failures are reported next to the successes.
+
+const MINUTE_MS = 60 * 1000;
+const OFFSET_MS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: 24 * 60 * MINUTE_MS, w: 7 * 24 * 60 * MINUTE_MS };
+
+// "+2d", "-3h", "1w", "90m" -> milliseconds
+function parseOffset(raw) {
+    const match = /^([+-]?)(\d+(?:\.\d+)?)([mhdw])$/.exec(String(raw ?? '').trim().toLowerCase());
+    if (!match) {
+        throw new Error(`Offset must look like +2d, -3h, 1w or 90m, got "${raw}"`);
+    }
+    const ms = Number(match[2]) * OFFSET_MS[match[3]];
+    return match[1] === '-' ? -ms : ms;
+}
+
+const tagList = tags => {
+    const list = (Array.isArray(tags) ? tags : [tags])
+        .filter(tag => tag !== undefined && tag !== null)
+        .map(tag => tag.toString().trim())
+        .filter(tag => tag.length > 0);
+    if (list.length === 0) {
+        throw new Error('At least one tag is required');
+    }
+    return list;
+};
+
+// params(raw) validates the request once; check(task) vets one task before
+// anything changes; apply(task) performs the change and returns the result.
+const BULK_ACTIONS = {
+    complete: {
+        apply: (taskManager, task) => taskManager.completeTask(task.id)
+    },
+    delete: {
+        apply: (taskManager, task) => taskManager.deleteTask(task.id)
+    },
+    // Same fields as PUT /tasks/:id, applied to every task
+    update: {
+        params: ({ changes }) => {
+            if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+                throw new Error('update needs a non-empty "changes" object');
+            }
+            return { changes };
+        },
+        check: (taskManager, task, { changes }) => {
+            if (changes.dependencies) taskManager.validateDependencies(task.id, changes.dependencies);
+        },
+        apply: (taskManager, task, { changes }) => taskManager.updateTask(task.id, changes)
+    },
+    addTags: {
+        params: ({ tags }) => ({ tags: tagList(tags) }),
+        apply: (taskManager, task, { tags }) =>
+            taskManager.updateTask(task.id, { tags: [...new Set([...task.tags, ...tags])] })
+    },
+    removeTags: {
+        params: ({ tags }) => ({ tags: tagList(tags) }),
+        apply: (taskManager, task, { tags }) =>
+            taskManager.updateTask(task.id, { tags: task.tags.filter(tag => !tags.includes(tag)) })
+    },
+    categorize: {
+        params: ({ category }) => {
+            if (!category) throw new Error('categorize needs a "category"');
+            return { category };
+        },
+        apply: (taskManager, task, { category }) => taskManager.updateTask(task.id, { category })
+    },
+    // Moves each deadline by the same relative offset
+    shiftDeadline: {
+        params: ({ offset }) => ({ offsetMs: parseOffset(offset) }),
+        check: (taskManager, task) => {
+            if (!task.deadline) throw new Error(`Task ${task.id} has no deadline to shift`);
+        },
+        apply: (taskManager, task, { offsetMs }) =>
+            taskManager.updateTask(task.id, { deadline: new Date(new Date(task.deadline).getTime() + offsetMs) })
+    },
+    // Replaces each task's dependencies (an empty list clears them)
+    setDependencies: {
+        params: ({ dependencies }) => {
+            if (!Array.isArray(dependencies)) throw new Error('setDependencies needs a "dependencies" array');
+            const ids = dependencies.map(id => parseInt(id));
+            if (ids.some(isNaN)) throw new Error('Dependencies must be task ids');
+            return { dependencies: [...new Set(ids)] };
+        },
+        check: (taskManager, task, { dependencies }) => taskManager.validateDependencies(task.id, dependencies),
+        apply: (taskManager, task, { dependencies }) => taskManager.updateTask(task.id, { dependencies })
+    }
+};
+
+// Throws for a malformed request (unknown action, bad params, no ids) -
+// problems with individual tasks end up in the report instead
+function prepareBulk({ action, taskIds, params = {} }) {
+    const definition = BULK_ACTIONS[action];
+    if (!definition) {
+        throw new Error(`Unknown bulk action: ${action}. Use one of: ${Object.keys(BULK_ACTIONS).join(', ')}`);
+    }
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+        throw new Error('taskIds must be a non-empty array');
+    }
+
+    return {
+        action,
+        definition,
+        taskIds: [...new Set(taskIds.map(id => parseInt(id)))],
+        params: definition.params ? definition.params(params) : params
+    };
+}
+
+function runBulk(taskManager, request, { atomic = false, actor = null } = {}) {
+    const { action, definition, taskIds, params } = prepareBulk(request);
+    const results = taskIds.map(taskId => ({ taskId, status: 'pending' }));
+    const fail = (result, error) => Object.assign(result, { status: 'failed', error: error.message });
+
+    results.forEach(result => {
+        if (isNaN(result.taskId)) return fail(result, new Error('Task id must be a number'));
+        const task = taskManager.tasks.find(t => t.id === result.taskId);
+        if (!task) return fail(result, new Error(`Task ${result.taskId} not found`));
+        try {
+            if (definition.check) definition.check(taskManager, task, params);
+        } catch (error) {
+            fail(result, error);
+        }
+    });
+
+    const rejected = atomic && results.some(result => result.status === 'failed');
+    if (!rejected) {
+        try {
+            taskManager.transaction(`tasks.bulk.${action}`, () => {
+                results.filter(result => result.status === 'pending').forEach(result => {
+                    // An earlier item (a delete, a cascade) may have changed this one
+                    const task = taskManager.tasks.find(t => t.id === result.taskId);
+                    try {
+                        if (!task) throw new Error(`Task ${result.taskId} not found`);
+                        const outcome = definition.apply(taskManager, task, params);
+                        Object.assign(result, { status: 'applied', task: outcome });
+                    } catch (error) {
+                        fail(result, error);
+                        if (atomic) throw error;
+                    }
+                });
+            }, { actor, atomic });
+        } catch (error) {
+            // Already reported on its item; the transaction rolled the batch back
+        }
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    const applied = !atomic || failed === 0;
+    if (!applied) {
+        results.filter(result => result.status !== 'failed').forEach(result => {
+            result.status = 'skipped';
+            delete result.task;
+        });
+    }
+
+    return {
+        action,
+        atomic,
+        applied,
+        succeeded: results.filter(result => result.status === 'applied').length,
+        failed,
+        results
+    };
+}
+
+module.exports = {
+    BULK_ACTIONS,
+    parseOffset,
+    prepareBulk,
+    runBulk
+};
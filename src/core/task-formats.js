@@ -0,0 +1,642 @@
+// Task import/export formats: JSON, CSV (RFC 4180), Markdown checklists and
+// iCalendar (RFC 5545 VTODO + VEVENT). Exporters take live tasks; importers
+// return plain task data ready for TaskManager.importTasks().
+
+const UID_DOMAIN = 'claude-productivity-suite';
+
+const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    ics: { extension: 'ics', contentType: 'text/calendar; charset=utf-8' }
+};
+
+const FORMAT_ALIASES = {
+    markdown: 'md',
+    ical: 'ics',
+    icalendar: 'ics',
+    ics: 'ics',
+    csv: 'csv',
+    md: 'md',
+    json: 'json'
+};
+
+// Map a format name or alias (e.g. "markdown") to its canonical key
+function resolveFormat(format = 'json') {
+    const key = FORMAT_ALIASES[String(format).toLowerCase()];
+    if (!key) {
+        throw new Error(`Unsupported format: ${format}. Use one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return key;
+}
+
+// Guess the format of an uploaded body from its Content-Type
+function formatFromContentType(contentType = '') {
+    if (/text\/csv/i.test(contentType)) return 'csv';
+    if (/text\/(markdown|x-markdown)/i.test(contentType)) return 'md';
+    if (/text\/calendar/i.test(contentType)) return 'ics';
+    return 'json';
+}
+
+function serializeTasks(tasks, format) {
+    switch (resolveFormat(format)) {
+        case 'json':
+            return JSON.stringify(tasks, null, 2);
+        case 'csv':
+            return toCsv(tasks);
+        case 'md':
+            return toMarkdown(tasks);
+        case 'ics':
+            return toICalendar(tasks);
+        default:
+            return null;
+    }
+}
+
+function parseTasks(data, format) {
+    switch (resolveFormat(format)) {
+        case 'json':
+            return Array.isArray(data) ? data : JSON.parse(data);
+        case 'csv':
+            return fromCsv(data);
+        case 'md':
+            return fromMarkdown(data);
+        case 'ics':
+            return fromICalendar(data);
+        default:
+            return [];
+    }
+}
+
+// CSV
+
+const CSV_COLUMNS = [
+    'id', 'title', 'description', 'category', 'importance', 'complexity',
+    'estimatedMinutes', 'deadline', 'completed', 'completedAt', 'tags',
+    'dependencies', 'parentId', 'recurrence', 'createdAt'
+];
+
+// Spreadsheet headers people commonly use, mapped onto task fields
+const CSV_HEADER_ALIASES = {
+    name: 'title',
+    task: 'title',
+    notes: 'description',
+    due: 'deadline',
+    'due date': 'deadline',
+    duedate: 'deadline',
+    estimate: 'estimatedMinutes',
+    estimatedminutes: 'estimatedMinutes',
+    minutes: 'estimatedMinutes',
+    done: 'completed',
+    completedat: 'completedAt',
+    createdat: 'createdAt',
+    labels: 'tags',
+    parent: 'parentId',
+    parentid: 'parentId',
+    priority: 'importance',
+    repeat: 'recurrence'
+};
+
+function toCsv(tasks) {
+    const rows = tasks.map(task => CSV_COLUMNS.map(column => {
+        const value = task[column];
+        if (column === 'tags' || column === 'dependencies') return (value || []).join(', ');
+        if (column === 'recurrence') return value ? value.rule : '';
+        if (value instanceof Date) return value.toISOString();
+        return value === null || value === undefined ? '' : String(value);
+    }));
+
+    return [CSV_COLUMNS, ...rows]
+        .map(row => row.map(escapeCsvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+function escapeCsvCell(value) {
+    return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function fromCsv(text) {
+    const rows = parseCsvRows(String(text).replace(/^﻿/, ''))
+        .filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) return [];
+
+    const headers = rows[0].map(header => {
+        const key = header.trim();
+        return CSV_HEADER_ALIASES[key.toLowerCase()] || key;
+    });
+    if (!headers.includes('title')) {
+        throw new Error('CSV import needs a "title" column');
+    }
+
+    return rows.slice(1).map(row => {
+        const record = {};
+        headers.forEach((header, i) => {
+            record[header] = row[i] !== undefined ? row[i].trim() : '';
+        });
+        return normalizeImportedTask(record);
+    });
+}
+
+// RFC 4180 parser: quoted cells may contain commas, quotes ("") and newlines
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSV import failed: unterminated quoted cell');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Checklist grouped by category, subtasks nested under their parent, e.g.
+//   ## Work
+//   - [ ] **Write report** — due 2030-01-07 09:00 · importance 4/5 · 45 min · #client
+//     > Quarterly numbers
+//     - [ ] **Collect numbers** — importance 3/5 · 30 min · #finance\ team
+function toMarkdown(tasks) {
+    const ids = new Set(tasks.map(task => task.id));
+    const children = new Map();
+    const byCategory = new Map();
+    tasks.forEach(task => {
+        if (task.parentId !== null && task.parentId !== undefined && ids.has(task.parentId)) {
+            if (!children.has(task.parentId)) children.set(task.parentId, []);
+            children.get(task.parentId).push(task);
+            return;
+        }
+        const category = task.category || 'general';
+        if (!byCategory.has(category)) byCategory.set(category, []);
+        byCategory.get(category).push(task);
+    });
+
+    const lines = ['# Tasks', ''];
+    const pushItem = (task, section, indent) => {
+        const details = [];
+        if (task.deadline) details.push(`due ${formatLocalDateTime(new Date(task.deadline))}`);
+        details.push(`importance ${task.importance}/5`);
+        details.push(`complexity ${task.complexity}/5`);
+        details.push(`${task.estimatedMinutes} min`);
+        if (task.recurrence) details.push(`repeats ${task.recurrence.rule}`);
+        // A subtask listed under a parent from another category says so itself
+        const category = task.category || 'general';
+        if (category !== section) details.push(`category ${category}`);
+        if (task.tags && task.tags.length > 0) details.push(task.tags.map(tag => `#${escapeMarkdownTag(tag)}`).join(' '));
+
+        lines.push(`${indent}- [${task.completed ? 'x' : ' '}] **${task.title.replace(/\*\*/g, '')}** — ${details.join(' · ')}`);
+        if (task.description) {
+            task.description.split('\n').forEach(line => lines.push(`${indent}  > ${line}`));
+        }
+        (children.get(task.id) || []).forEach(child => pushItem(child, section, `${indent}  `));
+    };
+
+    [...byCategory.keys()].sort().forEach(category => {
+        lines.push(`## ${category.charAt(0).toUpperCase()}${category.slice(1)}`, '');
+        byCategory.get(category).forEach(task => pushItem(task, category, ''));
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+// Tags may contain spaces; a backslash keeps them inside the #tag
+function escapeMarkdownTag(tag) {
+    return String(tag).replace(/[\\\s]/g, '\\$&');
+}
+
+function unescapeMarkdownTag(tag) {
+    return tag.replace(/\\(.)/g, '$1');
+}
+
+// Nested items become subtasks: the parent gets its position in the file as
+// id and the child points at it, which importTasks() maps onto the new ids
+function fromMarkdown(text) {
+    const tasks = [];
+    let category = 'general';
+    let current = null;
+    let open = []; // Items the next one may nest under, with their indent
+
+    String(text).split(/\r?\n/).forEach(line => {
+        const heading = /^#{2,6}\s+(.+?)\s*$/.exec(line);
+        if (heading) {
+            category = heading[1].replace(/[^\w\s-]/g, '').trim().toLowerCase() || 'general';
+            current = null;
+            open = [];
+            return;
+        }
+
+        const item = /^(\s*)[-*]\s+\[( |x|X)\]\s+(.*)$/.exec(line);
+        if (item) {
+            const indent = item[1].length;
+            current = { category, completed: item[2].toLowerCase() === 'x', ...parseChecklistText(item[3]) };
+            while (open.length > 0 && open[open.length - 1].indent >= indent) open.pop();
+            if (open.length > 0) {
+                const parent = open[open.length - 1].record;
+                if (parent.id === undefined) parent.id = tasks.indexOf(parent) + 1;
+                current.parentId = parent.id;
+            }
+            tasks.push(current);
+            open.push({ indent, record: current });
+            return;
+        }
+
+        const quote = /^\s+>\s?(.*)$/.exec(line);
+        if (quote && current) {
+            current.description = current.description ? `${current.description}\n${quote[1]}` : quote[1];
+        }
+    });
+
+    return tasks.map(normalizeImportedTask);
+}
+
+// Exported items keep the title in bold, so everything inside the bold is
+// title (a "#42" or " — " in it included) and only what follows is metadata.
+// Plain checklists may carry inline #tags in the title and metadata after the
+// last " — ", as long as every part of it reads as metadata.
+function parseChecklistText(text) {
+    const record = { tags: [] };
+    const bold = /^\*\*(.+?)\*\*(?:\s+—\s+(.*))?$/.exec(text.trim());
+    if (bold) {
+        record.title = bold[1].trim();
+        if (bold[2]) readChecklistDetails(bold[2], record);
+        return record;
+    }
+
+    let title = text;
+    const separator = text.lastIndexOf(' — ');
+    if (separator !== -1 && readChecklistDetails(text.slice(separator + 3), record)) {
+        title = text.slice(0, separator);
+    }
+    record.title = title.replace(/(^|\s)#([\w-]+)/g, (match, space, tag) => {
+        record.tags.push(tag);
+        return '';
+    }).trim();
+
+    return record;
+}
+
+const MARKDOWN_TAG = /#((?:\\.|[^\s\\])+)/g;
+const MARKDOWN_TAG_LIST = /^#(?:\\.|[^\s\\])+(?:\s+#(?:\\.|[^\s\\])+)*$/;
+
+// Reads "due … · importance 4/5 · 45 min · #tag" into the record; returns
+// false, leaving the record alone, if any part isn't one of those
+function readChecklistDetails(text, record) {
+    const parts = text.split(' · ').map(part => part.trim()).filter(Boolean);
+    const details = { tags: [] };
+    const known = parts.every(part => {
+        let match;
+        if ((match = /^due (.+)$/.exec(part))) details.deadline = match[1];
+        else if ((match = /^importance (\d)/.exec(part))) details.importance = match[1];
+        else if ((match = /^complexity (\d)/.exec(part))) details.complexity = match[1];
+        else if ((match = /^(\d+) min$/.exec(part))) details.estimatedMinutes = match[1];
+        else if ((match = /^repeats (.+)$/.exec(part))) details.recurrence = match[1];
+        else if ((match = /^category (.+)$/.exec(part))) details.category = match[1];
+        else if (MARKDOWN_TAG_LIST.test(part)) {
+            details.tags.push(...[...part.matchAll(MARKDOWN_TAG)].map(tag => unescapeMarkdownTag(tag[1])));
+        } else return false;
+        return true;
+    });
+    if (!known) return false;
+
+    const { tags, ...fields } = details;
+    Object.assign(record, fields);
+    record.tags.push(...tags);
+    return true;
+}
+
+function formatLocalDateTime(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// iCalendar
+
+// Importance 1-5 mapped onto iCalendar PRIORITY (1 = highest, 9 = lowest)
+const IMPORTANCE_TO_ICAL_PRIORITY = { 5: 1, 4: 3, 3: 5, 2: 7, 1: 9 };
+
+// One VTODO per task plus a VEVENT for tasks with a deadline, so calendar
+// apps that ignore to-dos still show the time block leading up to it
+function toICalendar(tasks, now = new Date()) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Claude Productivity Suite//Smart Task Manager//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+
+    tasks.forEach(task => {
+        const uid = taskUid(task.id);
+
+        lines.push('BEGIN:VTODO');
+        lines.push(`UID:${uid}`);
+        lines.push(`DTSTAMP:${formatICalDate(now)}`);
+        if (task.createdAt) lines.push(`CREATED:${formatICalDate(new Date(task.createdAt))}`);
+        lines.push(`SUMMARY:${escapeICalText(task.title)}`);
+        if (task.description) lines.push(`DESCRIPTION:${escapeICalText(task.description)}`);
+        if (task.deadline) lines.push(`DUE:${formatICalDate(new Date(task.deadline))}`);
+        lines.push(`PRIORITY:${IMPORTANCE_TO_ICAL_PRIORITY[task.importance] || 5}`);
+        lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        if (task.completed && task.completedAt) lines.push(`COMPLETED:${formatICalDate(new Date(task.completedAt))}`);
+        if (task.tags && task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(escapeICalText).join(',')}`);
+        if (task.recurrence) lines.push(`RRULE:${task.recurrence.rule}`);
+        (task.dependencies || []).forEach(depId => lines.push(`RELATED-TO;RELTYPE=DEPENDS-ON:${taskUid(depId)}`));
+        if (task.parentId !== null && task.parentId !== undefined) {
+            lines.push(`RELATED-TO;RELTYPE=PARENT:${taskUid(task.parentId)}`);
+        }
+        lines.push(`X-CPS-CATEGORY:${escapeICalText(task.category || 'general')}`);
+        lines.push(`X-CPS-COMPLEXITY:${task.complexity}`);
+        lines.push(`X-CPS-ESTIMATED-MINUTES:${task.estimatedMinutes}`);
+        lines.push('END:VTODO');
+
+        if (task.deadline && !task.completed) {
+            const end = new Date(task.deadline);
+            const start = new Date(end.getTime() - (task.estimatedMinutes || 30) * 60 * 1000);
+            lines.push('BEGIN:VEVENT');
+            lines.push(`UID:${taskUid(task.id, 'due')}`);
+            lines.push(`DTSTAMP:${formatICalDate(now)}`);
+            lines.push(`DTSTART:${formatICalDate(start)}`);
+            lines.push(`DTEND:${formatICalDate(end)}`);
+            lines.push(`SUMMARY:${escapeICalText(`⏰ ${task.title}`)}`);
+            lines.push(`RELATED-TO:${uid}`);
+            lines.push('END:VEVENT');
+        }
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+function fromICalendar(text) {
+    const components = parseICalComponents(String(text));
+    const todoUids = new Set(components.filter(c => c.type === 'VTODO').map(c => firstValue(c, 'UID')));
+
+    return components
+        // Skip the VEVENT time blocks we generate alongside our own VTODOs
+        .filter(c => c.type === 'VTODO' || (c.type === 'VEVENT' && !todoUids.has(firstValue(c, 'RELATED-TO'))))
+        .map(component => {
+            const uid = firstValue(component, 'UID');
+            const record = {
+                id: parseTaskUid(uid),
+                title: unescapeICalText(firstValue(component, 'SUMMARY') || 'Untitled'),
+                description: unescapeICalText(firstValue(component, 'DESCRIPTION') || ''),
+                tags: (component.props.CATEGORIES || [])
+                    .flatMap(prop => splitICalList(prop.value))
+                    .map(unescapeICalText)
+            };
+
+            if (component.type === 'VTODO') {
+                const due = component.props.DUE && component.props.DUE[0];
+                if (due) record.deadline = parseICalDate(due.value, due.params);
+                record.completed = firstValue(component, 'STATUS') === 'COMPLETED';
+                const completed = component.props.COMPLETED && component.props.COMPLETED[0];
+                if (completed) record.completedAt = parseICalDate(completed.value, completed.params);
+                const priority = parseInt(firstValue(component, 'PRIORITY'), 10);
+                if (priority > 0) record.importance = Math.max(1, Math.min(5, 5 - Math.floor((priority - 1) / 2)));
+                if (firstValue(component, 'RRULE')) record.recurrence = firstValue(component, 'RRULE');
+                record.dependencies = (component.props['RELATED-TO'] || [])
+                    .filter(prop => (prop.params.RELTYPE || '').toUpperCase() === 'DEPENDS-ON')
+                    .map(prop => parseTaskUid(prop.value))
+                    .filter(id => id !== undefined);
+                // RELTYPE defaults to PARENT (RFC 5545 section 3.2.15)
+                const parent = (component.props['RELATED-TO'] || [])
+                    .find(prop => (prop.params.RELTYPE || 'PARENT').toUpperCase() === 'PARENT');
+                if (parent) record.parentId = parseTaskUid(parent.value);
+                record.category = unescapeICalText(firstValue(component, 'X-CPS-CATEGORY') || '') || undefined;
+                record.complexity = firstValue(component, 'X-CPS-COMPLEXITY');
+                record.estimatedMinutes = firstValue(component, 'X-CPS-ESTIMATED-MINUTES');
+            } else {
+                // Plain calendar events become tasks due when the event ends
+                const start = component.props.DTSTART && component.props.DTSTART[0];
+                const end = component.props.DTEND && component.props.DTEND[0];
+                const startDate = start && parseICalDate(start.value, start.params);
+                const endDate = end ? parseICalDate(end.value, end.params) : startDate;
+                record.deadline = endDate;
+                if (startDate && endDate && endDate > startDate) {
+                    record.estimatedMinutes = Math.round((endDate - startDate) / 60000);
+                }
+            }
+
+            return normalizeImportedTask(record);
+        });
+}
+
+// Busy time from a calendar export, for the day planner: timed VEVENTs only.
+// All-day and transparent ("free") events don't block working hours;
+// recurring events only count their first occurrence.
+function fromICalendarEvents(text) {
+    return parseICalComponents(String(text))
+        .filter(c => c.type === 'VEVENT' && (firstValue(c, 'TRANSP') || '').toUpperCase() !== 'TRANSPARENT')
+        .map(component => {
+            const start = component.props.DTSTART && component.props.DTSTART[0];
+            if (!start || start.params.VALUE === 'DATE' || !/T/.test(start.value)) return null;
+            const startDate = parseICalDate(start.value, start.params);
+            const end = component.props.DTEND && component.props.DTEND[0];
+            const duration = parseICalDuration(firstValue(component, 'DURATION'));
+            const endDate = end
+                ? parseICalDate(end.value, end.params)
+                : startDate && duration && new Date(startDate.getTime() + duration);
+            if (!startDate || !endDate || endDate <= startDate) return null;
+
+            return {
+                uid: firstValue(component, 'UID') || `${startDate.toISOString()}-event`,
+                title: unescapeICalText(firstValue(component, 'SUMMARY') || 'Busy'),
+                start: startDate.toISOString(),
+                end: endDate.toISOString()
+            };
+        })
+        .filter(Boolean);
+}
+
+// "PT1H30M", "P1D" -> milliseconds
+function parseICalDuration(value) {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+    if (!match) return null;
+    const [, weeks, days, hours, minutes, seconds] = match.map(part => Number(part || 0));
+    return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+function parseICalComponents(text) {
+    // Unfold continuation lines (CRLF followed by a space or tab)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const components = [];
+    let current = null;
+
+    lines.forEach(line => {
+        if (/^BEGIN:(VTODO|VEVENT)$/i.test(line)) {
+            current = { type: line.split(':')[1].toUpperCase(), props: {} };
+            return;
+        }
+        if (/^END:(VTODO|VEVENT)$/i.test(line)) {
+            if (current) components.push(current);
+            current = null;
+            return;
+        }
+        if (!current) return;
+
+        const match = /^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+        if (!match) return;
+
+        const name = match[1].toUpperCase();
+        const params = {};
+        match[2].split(';').filter(Boolean).forEach(param => {
+            const [key, value] = param.split('=');
+            params[key.toUpperCase()] = (value || '').replace(/^"|"$/g, '');
+        });
+        if (!current.props[name]) current.props[name] = [];
+        current.props[name].push({ value: match[3], params });
+    });
+
+    return components;
+}
+
+function firstValue(component, name) {
+    const props = component.props[name];
+    return props && props.length > 0 ? props[0].value : undefined;
+}
+
+function splitICalList(value) {
+    return value.split(/(?<!\\),/).map(item => item.trim()).filter(Boolean);
+}
+
+function taskUid(id, suffix) {
+    return `task-${id}${suffix ? `-${suffix}` : ''}@${UID_DOMAIN}`;
+}
+
+function parseTaskUid(uid) {
+    const match = /^task-(\d+)@/.exec(uid || '');
+    return match ? parseInt(match[1], 10) : undefined;
+}
+
+function formatICalDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// DATE-TIME in UTC (…Z), floating/TZID local time, or a DATE (treated as end of day)
+function parseICalDate(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return undefined;
+
+    const [, y, m, d, hh, mm, ss, utc] = match;
+    if (!hh || params.VALUE === 'DATE') {
+        return new Date(Number(y), Number(m) - 1, Number(d), 23, 59, 0);
+    }
+    const parts = [Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss || 0)];
+    return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+}
+
+function escapeICalText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeICalText(text) {
+    return String(text).replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// Fold lines longer than 75 octets (RFC 5545 section 3.1), never splitting a UTF-8 sequence
+function foldICalLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char, 'utf8');
+        const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (size + charSize > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            size = 0;
+        }
+        chunk += char;
+        size += charSize;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+// Coerce imported strings into the types TaskManager expects
+function normalizeImportedTask(record) {
+    const task = { title: (record.title || '').trim() || 'Untitled task' };
+    const toNumber = value => {
+        const number = parseInt(value, 10);
+        return isNaN(number) ? undefined : number;
+    };
+    const toList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+    const toDate = value => {
+        if (!value) return undefined;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? undefined : date;
+    };
+
+    if (record.id !== undefined && record.id !== '') task.id = toNumber(record.id);
+    if (record.description) task.description = record.description;
+    if (record.category) task.category = String(record.category).toLowerCase();
+    if (toNumber(record.importance)) task.importance = Math.max(1, Math.min(5, toNumber(record.importance)));
+    if (toNumber(record.complexity)) task.complexity = Math.max(1, Math.min(5, toNumber(record.complexity)));
+    if (toNumber(record.estimatedMinutes)) task.estimatedMinutes = Math.max(5, toNumber(record.estimatedMinutes));
+    if (toDate(record.deadline)) task.deadline = toDate(record.deadline);
+    if (record.tags) task.tags = toList(record.tags);
+    if (record.dependencies) task.dependencies = toList(record.dependencies).map(Number).filter(id => !isNaN(id));
+    if (toNumber(record.parentId) !== undefined) task.parentId = toNumber(record.parentId);
+    if (record.recurrence) task.recurrence = record.recurrence;
+    if (record.completed !== undefined) {
+        task.completed = record.completed === true || /^(true|yes|1|x|done|completed)$/i.test(String(record.completed));
+    }
+    if (toDate(record.completedAt)) task.completedAt = toDate(record.completedAt);
+
+    return task;
+}
+
+module.exports = {
+    FORMATS,
+    resolveFormat,
+    formatFromContentType,
+    serializeTasks,
+    parseTasks,
+    toCsv,
+    fromCsv,
+    toMarkdown,
+    fromMarkdown,
+    toICalendar,
+    fromICalendar,
+    fromICalendarEvents
+};
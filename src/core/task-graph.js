@@ -0,0 +1,190 @@
+// Dependency graph helpers for tasks.
+// Edges point from a task to the tasks it depends on (task.dependencies).
+// Completed tasks count as satisfied and unknown ids are ignored, so legacy
+// data with dangling references never blocks scheduling.
+
+const { buildChildrenIndex, collectDescendants, getAncestors } = require('./task-hierarchy');
+
+const MINUTE_MS = 60 * 1000;
+
+function indexTasks(tasks) {
+    return new Map(tasks.map(task => [task.id, task]));
+}
+
+// Return the cycle [taskId, ..., taskId] that `taskId` depending on `dependencies`
+// would create, or null when the graph stays acyclic
+function findDependencyCycle(tasks, taskId, dependencies) {
+    const byId = indexTasks(tasks);
+    const visited = new Set();
+
+    const search = (currentId, trail) => {
+        if (currentId === taskId) return [...trail, currentId];
+        if (visited.has(currentId)) return null;
+        visited.add(currentId);
+
+        const current = byId.get(currentId);
+        if (!current) return null;
+
+        for (const depId of current.dependencies) {
+            const cycle = search(depId, [...trail, currentId]);
+            if (cycle) return cycle;
+        }
+        return null;
+    };
+
+    for (const depId of dependencies) {
+        const cycle = search(depId, [taskId]);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+// Ids of every task that (directly or transitively) depends on `taskId`
+function collectDependents(tasks, taskId, { openOnly = false } = {}) {
+    const dependentsOf = new Map();
+    tasks.forEach(task => {
+        if (openOnly && task.completed) return;
+        task.dependencies.forEach(depId => {
+            if (!dependentsOf.has(depId)) dependentsOf.set(depId, []);
+            dependentsOf.get(depId).push(task.id);
+        });
+    });
+
+    const found = new Set();
+    const queue = [...(dependentsOf.get(taskId) || [])];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (found.has(id) || id === taskId) continue;
+        found.add(id);
+        queue.push(...(dependentsOf.get(id) || []));
+    }
+    return found;
+}
+
+// Ids of every task that `taskId` (directly or transitively) depends on
+function collectDependencies(tasks, taskId) {
+    const byId = indexTasks(tasks);
+    const found = new Set();
+    const queue = [...((byId.get(taskId) || {}).dependencies || [])];
+
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (found.has(id) || id === taskId || !byId.has(id)) continue;
+        found.add(id);
+        queue.push(...byId.get(id).dependencies);
+    }
+    return found;
+}
+
+// Critical path analysis over open tasks.
+// Tasks are assumed to run back to back from `now` as soon as their open
+// dependencies finish; durations come from estimatedMinutes.
+// Only leaf tasks are scheduled: a parent's work is its subtasks, so waiting
+// on a parent means waiting on its open subtasks, and subtasks wait on
+// whatever their parents depend on.
+function computeCriticalPath(tasks, now = new Date()) {
+    const childrenIndex = buildChildrenIndex(tasks);
+    const open = tasks.filter(task => !task.completed && !childrenIndex.has(task.id));
+    const byId = indexTasks(open);
+    const allById = indexTasks(tasks);
+    const leavesOf = id => (childrenIndex.has(id)
+        ? collectDescendants(tasks, id, childrenIndex).filter(task => byId.has(task.id)).map(task => task.id)
+        : [id]);
+    const dependenciesOf = new Map(open.map(task => {
+        const declared = [task, ...getAncestors(tasks, task.id)].flatMap(node => node.dependencies || []);
+        const expanded = declared
+            .filter(depId => allById.has(depId) && !allById.get(depId).completed)
+            .flatMap(leavesOf)
+            .filter(depId => depId !== task.id && byId.has(depId));
+        return [task.id, [...new Set(expanded)]];
+    }));
+    const openDeps = task => dependenciesOf.get(task.id);
+
+    // Kahn's algorithm: anything left over sits on a cycle (only possible with legacy data)
+    const remaining = new Map(open.map(task => [task.id, openDeps(task).length]));
+    const dependentsOf = new Map(open.map(task => [task.id, []]));
+    open.forEach(task => openDeps(task).forEach(depId => dependentsOf.get(depId).push(task.id)));
+
+    const order = [];
+    const ready = open.filter(task => remaining.get(task.id) === 0).map(task => task.id);
+    while (ready.length > 0) {
+        const id = ready.shift();
+        order.push(id);
+        dependentsOf.get(id).forEach(dependentId => {
+            remaining.set(dependentId, remaining.get(dependentId) - 1);
+            if (remaining.get(dependentId) === 0) ready.push(dependentId);
+        });
+    }
+    const unschedulable = open.filter(task => !order.includes(task.id)).map(task => task.id);
+
+    // Forward pass: earliest start/finish in minutes from now
+    const earliestStart = new Map();
+    const earliestFinish = new Map();
+    const predecessor = new Map();
+    order.forEach(id => {
+        let start = 0;
+        openDeps(byId.get(id)).forEach(depId => {
+            if (!predecessor.has(id) || earliestFinish.get(depId) > start) {
+                start = earliestFinish.get(depId);
+                predecessor.set(id, depId);
+            }
+        });
+        earliestStart.set(id, start);
+        earliestFinish.set(id, start + (byId.get(id).estimatedMinutes || 0));
+    });
+
+    const projectMinutes = order.reduce((max, id) => Math.max(max, earliestFinish.get(id)), 0);
+
+    // Backward pass: latest finish without delaying the overall finish
+    const latestFinish = new Map();
+    [...order].reverse().forEach(id => {
+        const successors = dependentsOf.get(id).filter(dependentId => earliestStart.has(dependentId));
+        const finish = successors.length === 0
+            ? projectMinutes
+            : Math.min(...successors.map(dependentId =>
+                latestFinish.get(dependentId) - (byId.get(dependentId).estimatedMinutes || 0)));
+        latestFinish.set(id, finish);
+    });
+
+    // The critical path ends at the task that finishes last
+    const path = [];
+    let cursor = order.reduce((best, id) =>
+        (best === null || earliestFinish.get(id) > earliestFinish.get(best) ? id : best), null);
+    while (cursor !== null && cursor !== undefined) {
+        path.unshift(cursor);
+        cursor = predecessor.get(cursor);
+    }
+
+    const at = minutes => new Date(new Date(now).getTime() + minutes * MINUTE_MS);
+    const schedule = order.map(id => {
+        const task = byId.get(id);
+        const finish = at(earliestFinish.get(id));
+        const slackMinutes = latestFinish.get(id) - earliestFinish.get(id);
+        return {
+            taskId: id,
+            title: task.title,
+            estimatedMinutes: task.estimatedMinutes,
+            earliestStart: at(earliestStart.get(id)),
+            earliestFinish: finish,
+            slackMinutes,
+            critical: slackMinutes === 0,
+            deadline: task.deadline || null,
+            missesDeadline: Boolean(task.deadline && finish > new Date(task.deadline))
+        };
+    });
+
+    return {
+        path: path.map(id => ({ taskId: id, title: byId.get(id).title, estimatedMinutes: byId.get(id).estimatedMinutes })),
+        totalMinutes: path.reduce((sum, id) => sum + (byId.get(id).estimatedMinutes || 0), 0),
+        projectedFinish: at(projectMinutes),
+        schedule,
+        unschedulable
+    };
+}
+
+module.exports = {
+    findDependencyCycle,
+    collectDependents,
+    collectDependencies,
+    computeCriticalPath
+};
@@ -0,0 +1,95 @@
+// Parent/child helpers for subtasks.
+// A task's parentId points at its parent; roots have parentId null.
+// Depth is unlimited, TaskManager guarantees the parent chain has no cycles.
+
+function buildChildrenIndex(tasks) {
+    const index = new Map();
+    tasks.forEach(task => {
+        if (task.parentId === null || task.parentId === undefined) return;
+        if (!index.has(task.parentId)) index.set(task.parentId, []);
+        index.get(task.parentId).push(task);
+    });
+    return index;
+}
+
+// Every task below `taskId`, parents before their children
+function collectDescendants(tasks, taskId, childrenIndex = buildChildrenIndex(tasks)) {
+    const descendants = [];
+    const queue = [...(childrenIndex.get(taskId) || [])];
+    const seen = new Set([taskId]);
+
+    while (queue.length > 0) {
+        const task = queue.shift();
+        if (seen.has(task.id)) continue;
+        seen.add(task.id);
+        descendants.push(task);
+        queue.push(...(childrenIndex.get(task.id) || []));
+    }
+    return descendants;
+}
+
+// Parent, grandparent, ... up to the root
+function getAncestors(tasks, taskId) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const ancestors = [];
+    const seen = new Set([taskId]);
+    let current = byId.get(taskId);
+
+    while (current && current.parentId !== null && current.parentId !== undefined) {
+        if (seen.has(current.parentId)) break;
+        seen.add(current.parentId);
+        current = byId.get(current.parentId);
+        if (current) ancestors.push(current);
+    }
+    return ancestors;
+}
+
+// Estimate and progress of a parent, derived from the leaves below it.
+// Returns null for leaves.
+function computeRollup(tasks, taskId, childrenIndex = buildChildrenIndex(tasks)) {
+    if (!childrenIndex.has(taskId)) return null;
+
+    const leaves = collectDescendants(tasks, taskId, childrenIndex)
+        .filter(task => !childrenIndex.has(task.id));
+    const totalMinutes = leaves.reduce((sum, task) => sum + (task.estimatedMinutes || 0), 0);
+    const completedMinutes = leaves
+        .filter(task => task.completed)
+        .reduce((sum, task) => sum + (task.estimatedMinutes || 0), 0);
+    const completedLeaves = leaves.filter(task => task.completed).length;
+
+    return {
+        estimatedMinutes: totalMinutes,
+        progress: totalMinutes > 0
+            ? Math.round((completedMinutes / totalMinutes) * 100)
+            : Math.round((completedLeaves / leaves.length) * 100),
+        childCount: childrenIndex.get(taskId).length,
+        leafCount: leaves.length
+    };
+}
+
+// Nested copy of a task and its subtasks, children sorted by priority
+function buildTaskTree(tasks, rootId, childrenIndex = buildChildrenIndex(tasks)) {
+    const root = tasks.find(task => task.id === rootId);
+    if (!root) return null;
+
+    const build = (task, seen) => ({
+        ...task,
+        children: (childrenIndex.get(task.id) || [])
+            .filter(child => !seen.has(child.id))
+            .sort((a, b) => {
+                if (a.completed !== b.completed) return a.completed ? 1 : -1;
+                return b.priority - a.priority;
+            })
+            .map(child => build(child, new Set([...seen, child.id])))
+    });
+
+    return build(root, new Set([root.id]));
+}
+
+module.exports = {
+    buildChildrenIndex,
+    collectDescendants,
+    getAncestors,
+    computeRollup,
+    buildTaskTree
+};
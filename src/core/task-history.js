@@ -0,0 +1,186 @@
+const { TaskStorage, HISTORY_LIMIT } = require('../storage/task-storage');
+
+// Fields that change without anyone editing the task: priority follows the
+// clock and other tasks, updatedAt follows every write
+const DERIVED_FIELDS = ['priority', 'updatedAt'];
+
+// Change history for one task list.
+// Each entry is one user-level action with the before/after record of every
+// task it touched, so it doubles as the audit log and as the undo/redo source:
+//   { seq, action, actor: { id, name } | null, at, target?, changes: [{ taskId, before, after, fields }] }
+// Undo and redo are entries too (action history.undo / history.redo, target = seq
+// they replay). Each actor has their own undo and redo stacks so teammates
+// never undo each other's work.
+class TaskHistory {
+    constructor(storage) {
+        this.storage = storage;
+        this.entries = [];
+        this.seq = 0;
+        this.undoStacks = new Map(); // actor key -> [seq]
+        this.redoStacks = new Map();
+    }
+
+    load() {
+        this.entries = this.storage.loadHistory();
+        this.seq = this.entries.reduce((max, entry) => Math.max(max, entry.seq), 0);
+        this.undoStacks.clear();
+        this.redoStacks.clear();
+        this.entries.forEach(entry => this.trackEntry(entry));
+        return this;
+    }
+
+    // Serialised copy of every task, taken before a transaction runs
+    snapshot(tasks) {
+        return new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+    }
+
+    // Tasks that differ from the snapshot, ignoring rescoring-only changes
+    diff(snapshot, tasks) {
+        const current = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+        const ids = [...new Set([...snapshot.keys(), ...current.keys()])].sort((a, b) => a - b);
+        const changes = [];
+
+        ids.forEach(taskId => {
+            if (snapshot.get(taskId) === current.get(taskId)) return;
+            const before = snapshot.has(taskId) ? JSON.parse(snapshot.get(taskId)) : null;
+            const after = current.has(taskId) ? JSON.parse(current.get(taskId)) : null;
+            const fields = TaskHistory.changedFields(before, after);
+            if (fields.length > 0) changes.push({ taskId, before, after, fields });
+        });
+        return changes;
+    }
+
+    static changedFields(before, after) {
+        if (!before || !after) return before || after ? ['*'] : [];
+        return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(field => !DERIVED_FIELDS.includes(field))
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    }
+
+    // Does a live task (or its absence) still match a recorded state?
+    static matches(task, record) {
+        if (!task || !record) return !task && !record;
+        return TaskHistory.changedFields(TaskStorage.serializeTask(task), record).length === 0;
+    }
+
+    // Store an entry; transactions that changed nothing leave no trace
+    record({ action, actor = null, target, changes }) {
+        if (changes.length === 0) return null;
+
+        const entry = {
+            seq: ++this.seq,
+            action,
+            actor,
+            at: new Date().toISOString(),
+            changes
+        };
+        if (target !== undefined) entry.target = target;
+
+        this.storage.appendHistory(entry);
+        this.entries.push(entry);
+        if (this.entries.length > HISTORY_LIMIT) this.entries.shift();
+        this.trackEntry(entry);
+        return entry;
+    }
+
+    static actorKey(actor) {
+        return actor && actor.id ? actor.id : '*';
+    }
+
+    stack(stacks, actor) {
+        const key = TaskHistory.actorKey(actor);
+        if (!stacks.has(key)) stacks.set(key, []);
+        return stacks.get(key);
+    }
+
+    trackEntry(entry) {
+        const undo = this.stack(this.undoStacks, entry.actor);
+        const redo = this.stack(this.redoStacks, entry.actor);
+
+        if (entry.action === 'history.undo') {
+            if (undo[undo.length - 1] === entry.target) undo.pop();
+            redo.push(entry.target);
+        } else if (entry.action === 'history.redo') {
+            if (redo[redo.length - 1] === entry.target) redo.pop();
+            undo.push(entry.target);
+        } else {
+            undo.push(entry.seq);
+            redo.length = 0;
+        }
+    }
+
+    getEntry(seq) {
+        return this.entries.find(entry => entry.seq === seq) || null;
+    }
+
+    // Next entry the actor can undo/redo (entries that aged out of the log are skipped)
+    peekUndo(actor) {
+        return this.peek(this.stack(this.undoStacks, actor));
+    }
+
+    peekRedo(actor) {
+        return this.peek(this.stack(this.redoStacks, actor));
+    }
+
+    peek(stack) {
+        while (stack.length > 0) {
+            const entry = this.getEntry(stack[stack.length - 1]);
+            if (entry) return entry;
+            stack.pop();
+        }
+        return null;
+    }
+
+    // Audit log, newest first: which tasks each action touched and how
+    list({ limit = 50, before } = {}) {
+        return this.entries
+            .filter(entry => before === undefined || entry.seq < before)
+            .slice(-limit)
+            .reverse()
+            .map(entry => ({
+                ...TaskHistory.summary(entry),
+                tasks: entry.changes.map(change => ({
+                    taskId: change.taskId,
+                    type: TaskHistory.changeType(change),
+                    fields: change.fields
+                }))
+            }));
+    }
+
+    // One task's history, newest first, as field-level from/to diffs
+    forTask(taskId) {
+        return this.entries
+            .filter(entry => entry.changes.some(change => change.taskId === taskId))
+            .reverse()
+            .map(entry => {
+                const change = entry.changes.find(c => c.taskId === taskId);
+                const type = TaskHistory.changeType(change);
+                const diff = {};
+                if (type === 'updated') {
+                    change.fields.forEach(field => {
+                        diff[field] = { from: change.before[field] ?? null, to: change.after[field] ?? null };
+                    });
+                }
+                return {
+                    ...TaskHistory.summary(entry),
+                    type,
+                    changes: type === 'updated' ? diff : null,
+                    task: change.after || change.before
+                };
+            });
+    }
+
+    static summary(entry) {
+        const summary = { seq: entry.seq, action: entry.action, actor: entry.actor, at: entry.at };
+        if (entry.target !== undefined) summary.target = entry.target;
+        return summary;
+    }
+
+    static changeType(change) {
+        if (!change.before) return 'created';
+        if (!change.after) return 'deleted';
+        return 'updated';
+    }
+}
+
+module.exports = TaskHistory;
@@ -1,17 +1,117 @@
-class TaskManager {
-    constructor() {
+const EventEmitter = require('events');
+const { MemoryTaskStorage, TaskStorage } = require('../storage/task-storage');
+const {
+    parseRecurrence,
+    formatRecurrence,
+    nextOccurrence,
+    firstOccurrenceOnOrAfter,
+    occurrencesBetween
+} = require('./recurrence');
+const {
+    findDependencyCycle,
+    collectDependents,
+    collectDependencies,
+    computeCriticalPath
+} = require('./task-graph');
+const { serializeTasks, parseTasks } = require('./task-formats');
+const {
+    buildChildrenIndex,
+    collectDescendants,
+    getAncestors,
+    computeRollup,
+    buildTaskTree
+} = require('./task-hierarchy');
+const { buildEstimateModel, suggestEstimate, sumTimeEntries } = require('./estimate-model');
+const {
+    COMPONENTS,
+    createPriorityProfile,
+    mergePriorityProfile,
+    scoreUrgency,
+    learnWeights
+} = require('./priority-settings');
+const { TaskSearchIndex } = require('./search-index');
+const TaskHistory = require('./task-history');
+const { parseTaskQuery, matchesFilter, matchesPhrase, paginateTasks } = require('./task-query');
+const { DEFAULT_SETTINGS: DEFAULT_PLANNER_SETTINGS, normalizeSettings, normalizeEvents, planDay } = require('./day-planner');
+
+const FIXED_EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Emits 'change' ({ type, task }) after every create, update, complete and delete,
+// plus 'tasks.rescored' when new weights reorder everything
+class TaskManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
         this.tasks = [];
         this.taskIdCounter = 1;
-        this.priorityWeights = {
-            urgency: 0.4,    // How soon is the deadline
-            importance: 0.3, // How critical is this task
-            complexity: 0.2, // How much effort required
-            dependencies: 0.1 // How many other tasks depend on this
-        };
+        this.storage = options.storage || new MemoryTaskStorage();
+        // Named weight profiles; the active one drives the stored scores and is
+        // the default for every member of the workspace
+        this.priorityProfiles = { default: createPriorityProfile() };
+        this.activePriorityProfile = 'default';
+        // Members' own profiles and active choice: userId -> { profiles, active }.
+        // They rank and explain tasks for that member only.
+        this.userPriorityProfiles = {};
+        // Day planner: working hours and breaks, plus fixed events imported from calendars
+        this.plannerSettings = DEFAULT_PLANNER_SETTINGS;
+        this.fixedEvents = [];
+        this.searchIndex = new TaskSearchIndex();
+        this.history = new TaskHistory(this.storage);
+        this.activeTransaction = null;
+    }
+
+    get priorityWeights() {
+        return this.priorityProfiles[this.activePriorityProfile].weights;
+    }
+
+    // Load persisted tasks and restore the id counter
+    async initialize() {
+        const records = await this.storage.load();
+        this.tasks = records.map(record => TaskStorage.reviveTask(record));
+        this.history.load();
+
+        // Records saved before subtasks existed are top-level leaves
+        this.tasks.forEach(task => {
+            if (task.parentId === undefined) task.parentId = null;
+            if (task.progress === undefined) task.progress = task.completed ? 100 : 0;
+            if (!task.timeEntries) task.timeEntries = [];
+            if (task.actualMinutes === undefined) task.actualMinutes = sumTimeEntries(task.timeEntries);
+            if (task.suggestedMinutes === undefined) task.suggestedMinutes = null;
+            if (task.assigneeId === undefined) task.assigneeId = null;
+            if (task.reminders === undefined) task.reminders = null;
+        });
+
+        // Never hand out an id that was used before, even if that task was deleted
+        const highestId = this.tasks.reduce((max, task) => Math.max(max, task.id), 0);
+        this.taskIdCounter = Math.max(this.storage.getMeta('taskIdCounter', 1), highestId + 1);
+
+        this.priorityProfiles = this.storage.getMeta('priorityProfiles', this.priorityProfiles);
+        const active = this.storage.getMeta('activePriorityProfile', 'default');
+        this.activePriorityProfile = this.priorityProfiles[active] ? active : 'default';
+        this.userPriorityProfiles = this.storage.getMeta('userPriorityProfiles', this.userPriorityProfiles);
+        this.plannerSettings = this.storage.getMeta('plannerSettings', this.plannerSettings);
+        this.fixedEvents = this.storage.getMeta('fixedEvents', this.fixedEvents);
+
+        // Urgency depends on the current time, so rescore after a restart
+        this.tasks.forEach(task => {
+            task.priority = this.calculatePriority(task);
+        });
+        this.sortTasksByPriority();
+        return this;
+    }
+
+    // Flush and release the storage backend
+    async close() {
+        await this.storage.close();
     }
 
     // Create a new task with intelligent priority calculation
     createTask(taskData) {
+        this.validateDependencies(this.taskIdCounter, taskData.dependencies || []);
+        const parentId = taskData.parentId ?? null;
+        if (parentId !== null && !this.tasks.some(t => t.id === parentId)) {
+            throw new Error(`Unknown parent: task ${parentId} does not exist`);
+        }
+
         const task = {
             id: this.taskIdCounter++,
             title: taskData.title,
@@ -24,67 +124,582 @@ class TaskManager {
             updatedAt: new Date(),
             completed: false,
             dependencies: taskData.dependencies || [],
+            parentId,
+            assigneeId: taskData.assigneeId || null, // Workspace member responsible for the task
+            reminders: taskData.reminders ?? null, // Minutes before the deadline; null uses the server default
+            progress: 0, // Percent complete; rolled up from subtasks on parents
             tags: taskData.tags || [],
             estimatedMinutes: taskData.estimatedMinutes || 30,
+            suggestedMinutes: null, // Estimate corrected by past accuracy, see suggestEstimate()
+            actualMinutes: 0,
+            timeEntries: [],
+            recurrence: null,
             priority: 0 // Will be calculated
         };
 
+        if (taskData.recurrence) {
+            this.applyRecurrence(task, taskData.recurrence);
+        }
+
+        task.suggestedMinutes = this.suggestEstimate(task);
+
         // Calculate intelligent priority score
         task.priority = this.calculatePriority(task);
         
+        // Persist first so a storage failure doesn't leave a phantom task in memory
+        this.storage.setMeta('taskIdCounter', this.taskIdCounter);
+        this.storage.saveTask(task);
         this.tasks.push(task);
         this.sortTasksByPriority();
+        this.rescoreDependencies(task.dependencies);
+        this.refreshRollups(task.parentId);
+        this.emitChange('task.created', task);
         return task;
     }
 
-    // Intelligent priority calculation algorithm
-    calculatePriority(task) {
-        let score = 0;
+    emitChange(type, task = null) {
+        this.emit('change', { type, task });
+    }
+
+    // Run fn as one entry in the change history. Nested calls (a cascade, a bulk
+    // action) join the outermost transaction, so one undo reverts all of it.
+    // An atomic transaction that throws is rolled back and leaves no entry;
+    // a nested atomic one rolls back its own part before the error goes on.
+    transaction(action, fn, { actor = null, target, atomic = false } = {}) {
+        if (this.activeTransaction) {
+            if (!atomic) return fn();
+            const snapshot = this.history.snapshot(this.tasks);
+            try {
+                return fn();
+            } catch (error) {
+                this.rollback(snapshot);
+                throw error;
+            }
+        }
+
+        // Storage writes once for the whole transaction, history entry included
+        return this.storage.batch(() => {
+            this.activeTransaction = { action, actor, snapshot: this.history.snapshot(this.tasks) };
+            try {
+                return fn();
+            } catch (error) {
+                if (atomic) this.rollback(this.activeTransaction.snapshot);
+                throw error;
+            } finally {
+                // Recorded even when fn throws half way, so the partial change can be undone
+                const { snapshot } = this.activeTransaction;
+                this.activeTransaction = null;
+                this.history.record({ action, actor, target, changes: this.history.diff(snapshot, this.tasks) });
+            }
+        });
+    }
+
+    // Revert the actor's latest change (actors only undo their own work).
+    // Learned priority weights are not rolled back.
+    undo(actor = null) {
+        const entry = this.history.peekUndo(actor);
+        if (!entry) return null;
+        this.restoreChanges(entry, 'before', 'history.undo', actor);
+        return entry;
+    }
 
-        // Urgency component (deadline-based)
-        const urgencyScore = this.calculateUrgencyScore(task);
-        score += urgencyScore * this.priorityWeights.urgency;
+    redo(actor = null) {
+        const entry = this.history.peekRedo(actor);
+        if (!entry) return null;
+        this.restoreChanges(entry, 'after', 'history.redo', actor);
+        return entry;
+    }
+
+    // Put every task an entry touched back to its before/after record.
+    // Refuses when someone changed one of them since - that work would be lost.
+    restoreChanges(entry, side, action, actor) {
+        const expected = side === 'before' ? 'after' : 'before';
+        const conflict = entry.changes.find(change =>
+            !TaskHistory.matches(this.tasks.find(t => t.id === change.taskId), change[expected]));
+        if (conflict) {
+            throw new Error(`Task ${conflict.taskId} has changed since; ${action === 'history.undo' ? 'undo' : 'redo'} would overwrite it`);
+        }
 
-        // Importance component (user-defined)
-        const importanceScore = (task.importance / 5) * 100;
-        score += importanceScore * this.priorityWeights.importance;
+        this.transaction(action, () => {
+            const restored = entry.changes.map(change => this.restoreRecord(change.taskId, change[side]));
+            this.rescoreTasks(restored.filter(Boolean));
+            this.sortTasksByPriority();
+        }, { actor, target: entry.seq });
+    }
 
-        // Complexity component (inverse - simpler tasks get slight boost)
-        const complexityScore = ((6 - task.complexity) / 5) * 100;
-        score += complexityScore * this.priorityWeights.complexity;
+    // Put every task back the way it was when the snapshot was taken
+    rollback(snapshot) {
+        const restored = this.history.diff(snapshot, this.tasks)
+            .map(change => this.restoreRecord(change.taskId, change.before));
+        this.rescoreTasks(restored.filter(Boolean));
+        this.sortTasksByPriority();
+    }
 
-        // Dependencies component (tasks that others depend on get boost)
-        const dependencyScore = this.calculateDependencyScore(task);
-        score += dependencyScore * this.priorityWeights.dependencies;
+    restoreRecord(taskId, record) {
+        const index = this.tasks.findIndex(t => t.id === taskId);
+        if (!record) {
+            if (index === -1) return null;
+            const [removed] = this.tasks.splice(index, 1);
+            this.storage.deleteTask(taskId);
+            this.emitChange('task.deleted', removed);
+            return null;
+        }
 
+        const task = TaskStorage.reviveTask(record);
+        if (index === -1) {
+            this.tasks.push(task);
+        } else {
+            this.tasks[index] = task;
+        }
+        this.storage.saveTask(task);
+        this.emitChange(index === -1 ? 'task.created' : 'task.updated', task);
+        return task;
+    }
+
+    // Intelligent priority calculation algorithm
+    calculatePriority(task, profile = this.getPriorityProfile()) {
+        const scores = this.getScoreComponents(task, profile);
+        const score = COMPONENTS.reduce((sum, name) => sum + scores[name] * profile.weights[name], 0);
         return Math.round(score);
     }
 
-    // Calculate urgency based on deadline proximity
-    calculateUrgencyScore(task) {
-        if (!task.deadline) return 50; // Medium urgency if no deadline
+    // Raw 0-100 score of each priority component, before weighting
+    getScoreComponents(task, profile = this.getPriorityProfile()) {
+        return {
+            // Urgency component (deadline-based)
+            urgency: this.calculateUrgencyScore(task, profile),
+            // Importance component (user-defined)
+            importance: (task.importance / 5) * 100,
+            // Complexity component (inverse - simpler tasks get slight boost)
+            complexity: ((6 - task.complexity) / 5) * 100,
+            // Dependencies component (tasks that others depend on get boost)
+            dependencies: this.calculateDependencyScore(task)
+        };
+    }
+
+    // Break a task's priority down component by component, with the profile
+    // the user (or, without one, the workspace) has active
+    explainPriority(task, userId = null) {
+        const profile = this.getPriorityProfile(null, userId);
+        const scores = this.getScoreComponents(task, profile);
+        const components = COMPONENTS.map(name => ({
+            name,
+            score: Math.round(scores[name] * 100) / 100,
+            weight: profile.weights[name],
+            contribution: Math.round(scores[name] * profile.weights[name] * 100) / 100
+        }));
+
+        return {
+            taskId: task.id,
+            priority: this.calculatePriority(task, profile),
+            profile: this.getActivePriorityProfile(userId),
+            effectiveDeadline: this.getEffectiveDeadline(task),
+            components
+        };
+    }
+
+    // Calculate urgency based on deadline proximity, using the profile's buckets
+    calculateUrgencyScore(task, profile = this.getPriorityProfile()) {
+        const effectiveDeadline = this.getEffectiveDeadline(task);
+        if (!effectiveDeadline) return scoreUrgency(null, profile.urgency);
 
         const now = new Date();
-        const deadline = new Date(task.deadline);
+        const deadline = new Date(effectiveDeadline);
         const diffHours = (deadline - now) / (1000 * 60 * 60);
+        return scoreUrgency(diffHours, profile.urgency);
+    }
+
+    // Profile by name as a user sees it: their own copy first, then the
+    // workspace's. No name means the one they have active.
+    getPriorityProfile(name = null, userId = null) {
+        const own = userId && this.userPriorityProfiles[userId];
+        const wanted = name || this.getActivePriorityProfile(userId);
+        return (own && own.profiles[wanted]) || this.priorityProfiles[wanted] || null;
+    }
+
+    // The user's own active profile while it still exists, else the workspace's
+    getActivePriorityProfile(userId = null) {
+        const own = userId && this.userPriorityProfiles[userId];
+        if (own && own.active && (own.profiles[own.active] || this.priorityProfiles[own.active])) return own.active;
+        return this.activePriorityProfile;
+    }
+
+    listPriorityProfiles(userId = null) {
+        const own = userId && this.userPriorityProfiles[userId];
+        return [...new Set([...Object.keys(this.priorityProfiles), ...(own ? Object.keys(own.profiles) : [])])];
+    }
+
+    // Create or update a profile; with a userId only that user's copy changes.
+    // Changes to the workspace's active profile rescore open tasks.
+    savePriorityProfile(name, updates, userId = null) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Profile name is required');
+        }
+        const profiles = userId ? this.ownPriorityProfiles(userId).profiles : this.priorityProfiles;
+        const base = this.getPriorityProfile(name, userId) || createPriorityProfile();
+        profiles[name] = mergePriorityProfile(base, updates);
+        this.persistPriorityProfiles();
+
+        if (!userId && name === this.activePriorityProfile) this.rescoreAll();
+        return profiles[name];
+    }
+
+    // Back to the built-in weights and urgency buckets
+    resetPriorityProfile(name = null, userId = null) {
+        const target = name || this.getActivePriorityProfile(userId);
+        if (!this.getPriorityProfile(target, userId)) return null;
+        const profiles = userId ? this.ownPriorityProfiles(userId).profiles : this.priorityProfiles;
+        profiles[target] = createPriorityProfile();
+        this.persistPriorityProfiles();
 
-        if (diffHours < 0) return 100; // Overdue = max urgency
-        if (diffHours < 2) return 95;  // Due in 2 hours
-        if (diffHours < 8) return 85;  // Due today
-        if (diffHours < 24) return 70; // Due tomorrow
-        if (diffHours < 72) return 55; // Due this week
-        if (diffHours < 168) return 40; // Due next week
-        return 25; // Due later
+        if (!userId && target === this.activePriorityProfile) this.rescoreAll();
+        return profiles[target];
     }
 
-    // Calculate how many other tasks depend on this one
+    activatePriorityProfile(name, userId = null) {
+        if (!name || !this.getPriorityProfile(name, userId)) {
+            throw new Error(`Unknown priority profile: ${name}`);
+        }
+        if (userId) {
+            this.ownPriorityProfiles(userId).active = name;
+            this.persistPriorityProfiles();
+            return this.getPriorityProfile(name, userId);
+        }
+        this.activePriorityProfile = name;
+        this.storage.setMeta('activePriorityProfile', name);
+        this.rescoreAll();
+        return this.priorityProfiles[name];
+    }
+
+    // A user can only delete their own copies; the workspace's are shared
+    deletePriorityProfile(name, userId = null) {
+        const profiles = userId ? (this.userPriorityProfiles[userId] || { profiles: {} }).profiles : this.priorityProfiles;
+        if (!profiles[name]) return null;
+        if ((!userId && name === 'default') || name === this.getActivePriorityProfile(userId)) {
+            throw new Error('The default and active priority profiles cannot be deleted');
+        }
+        const deleted = profiles[name];
+        delete profiles[name];
+        this.persistPriorityProfiles();
+        return deleted;
+    }
+
+    ownPriorityProfiles(userId) {
+        if (!this.userPriorityProfiles[userId]) {
+            this.userPriorityProfiles[userId] = { profiles: {}, active: null };
+        }
+        return this.userPriorityProfiles[userId];
+    }
+
+    persistPriorityProfiles() {
+        this.storage.batch(() => {
+            this.storage.setMeta('priorityProfiles', this.priorityProfiles);
+            this.storage.setMeta('userPriorityProfiles', this.userPriorityProfiles);
+        });
+    }
+
+    // Learning mode: completing a task ahead of higher-scored ones shifts the
+    // weights of the profile the completing user has active towards what that
+    // task scored well on. Returns true when the stored scores need refreshing.
+    learnFromCompletion(task) {
+        const actor = this.activeTransaction && this.activeTransaction.actor;
+        const userId = actor ? actor.id : null;
+        const name = this.getActivePriorityProfile(userId);
+        let profile = this.getPriorityProfile(name, userId);
+        if (!profile.learning.enabled) return false;
+
+        const scoreOf = t => (profile === this.getPriorityProfile() ? t.priority : this.calculatePriority(t, profile));
+        const skipIds = new Set([task.id, ...collectDescendants(this.tasks, task.id).map(t => t.id)]);
+        const outranked = this.getLeafTasks()
+            .filter(t => !t.completed && !skipIds.has(t.id) && scoreOf(t) > scoreOf(task))
+            .map(t => this.getScoreComponents(t, profile));
+        if (outranked.length === 0) return false;
+
+        // A member who picked a shared profile for themselves learns into their own copy of it
+        const own = userId && this.userPriorityProfiles[userId];
+        if (own && own.active === name && !own.profiles[name]) {
+            profile = own.profiles[name] = mergePriorityProfile(profile);
+        }
+        profile.weights = learnWeights(profile.weights, this.getScoreComponents(task, profile), outranked, profile.learning.rate);
+        profile.learning.samples++;
+        this.persistPriorityProfiles();
+        return profile === this.getPriorityProfile();
+    }
+
+    // Recalculate every open task, e.g. after the weights changed
+    rescoreAll() {
+        this.rescoreTasks(this.tasks);
+        this.emitChange('tasks.rescored');
+    }
+
+    // Calculate how many open tasks depend on this one, directly or further down the chain
     calculateDependencyScore(task) {
-        const dependentTasks = this.tasks.filter(t => 
-            t.dependencies.includes(task.id)
-        ).length;
+        const dependentTasks = collectDependents(this.tasks, task.id, { openOnly: true }).size;
         return Math.min(dependentTasks * 20, 100); // Max 100 points
     }
 
+    // Reject dependencies on unknown tasks, on the task itself, or that would form a cycle
+    validateDependencies(taskId, dependencies) {
+        dependencies.forEach(depId => {
+            if (depId === taskId) {
+                throw new Error(`Task ${taskId} cannot depend on itself`);
+            }
+            if (!this.tasks.some(t => t.id === depId)) {
+                throw new Error(`Unknown dependency: task ${depId} does not exist`);
+            }
+        });
+
+        const cycle = findDependencyCycle(this.tasks, taskId, dependencies);
+        if (cycle) {
+            throw new Error(`Dependency cycle detected: ${cycle.join(' → ')}`);
+        }
+    }
+
+    // A task's dependent count changed, so rescore it and everything upstream of it
+    rescoreDependencies(taskIds) {
+        const affected = new Set();
+        taskIds.forEach(id => {
+            affected.add(id);
+            collectDependencies(this.tasks, id).forEach(depId => affected.add(depId));
+        });
+
+        this.rescoreTasks(this.tasks.filter(t => affected.has(t.id)));
+    }
+
+    // Subtasks without a deadline of their own inherit the nearest ancestor's
+    getEffectiveDeadline(task) {
+        if (task.deadline) return task.deadline;
+        const ancestor = getAncestors(this.tasks, task.id).find(t => t.deadline);
+        return ancestor ? ancestor.deadline : null;
+    }
+
+    // Recompute estimate and progress for `taskId` and every ancestor above it
+    refreshRollups(taskId) {
+        if (taskId === null || taskId === undefined) return;
+
+        const childrenIndex = buildChildrenIndex(this.tasks);
+        const start = this.tasks.find(t => t.id === taskId);
+        const chain = start ? [start, ...getAncestors(this.tasks, taskId)] : [];
+
+        chain.forEach(task => {
+            const rollup = computeRollup(this.tasks, task.id, childrenIndex);
+            // A task that just lost its last subtask becomes a plain leaf again
+            const progress = rollup ? rollup.progress : (task.completed ? 100 : 0);
+            const estimatedMinutes = rollup ? rollup.estimatedMinutes : task.estimatedMinutes;
+
+            if (progress !== task.progress || estimatedMinutes !== task.estimatedMinutes) {
+                task.progress = progress;
+                task.estimatedMinutes = estimatedMinutes;
+                this.storage.saveTask(task);
+            }
+        });
+    }
+
+    // Re-parent a task (and its whole subtree); `newParentId` null makes it a root
+    moveTask(taskId, newParentId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return null;
+
+        const parentId = newParentId ?? null;
+        if (parentId !== null) {
+            if (!this.tasks.some(t => t.id === parentId)) {
+                throw new Error(`Unknown parent: task ${parentId} does not exist`);
+            }
+            if (parentId === taskId || collectDescendants(this.tasks, taskId).some(t => t.id === parentId)) {
+                throw new Error('Cannot move a task under itself or one of its subtasks');
+            }
+        }
+
+        const previousParentId = task.parentId;
+        if (previousParentId === parentId) return task;
+
+        task.parentId = parentId;
+        task.updatedAt = new Date();
+        this.storage.saveTask(task);
+        this.refreshRollups(previousParentId);
+        this.refreshRollups(parentId);
+
+        // Inherited deadlines may have changed for the whole subtree
+        this.rescoreTasks([task, ...collectDescendants(this.tasks, taskId)]);
+        this.emitChange('task.updated', task);
+        return task;
+    }
+
+    // Recalculate priority for the given tasks and persist the ones that changed
+    rescoreTasks(tasks) {
+        let changed = false;
+        tasks.forEach(task => {
+            if (task.completed) return;
+            const priority = this.calculatePriority(task);
+            if (priority !== task.priority) {
+                task.priority = priority;
+                this.storage.saveTask(task);
+                changed = true;
+            }
+        });
+        if (changed) this.sortTasksByPriority();
+    }
+
+    // Nested view of a task and all its subtasks, with rollup figures
+    getTaskTree(taskId) {
+        const childrenIndex = buildChildrenIndex(this.tasks);
+        const tree = buildTaskTree(this.tasks, taskId, childrenIndex);
+        if (!tree) return null;
+
+        const annotate = node => ({
+            ...node,
+            effectiveDeadline: this.getEffectiveDeadline(node),
+            rollup: computeRollup(this.tasks, node.id, childrenIndex),
+            children: node.children.map(annotate)
+        });
+        return annotate(tree);
+    }
+
+    // Tasks with no subtasks - the concrete actions in the hierarchy
+    getLeafTasks() {
+        const childrenIndex = buildChildrenIndex(this.tasks);
+        return this.tasks.filter(task => !childrenIndex.has(task.id));
+    }
+
+    // Estimate vs actual factors learned from completed, timed leaf tasks
+    getEstimateModel() {
+        return buildEstimateModel(this.tasks, new Set(buildChildrenIndex(this.tasks).keys()));
+    }
+
+    // Corrected estimate in minutes for a task, or null until some time has been tracked
+    suggestEstimate(task, model = this.getEstimateModel()) {
+        const suggestion = suggestEstimate(model, task);
+        return suggestion ? suggestion.minutes : null;
+    }
+
+    // Minutes still needed: the corrected estimate minus time already tracked
+    getPlannedMinutes(task, model = this.getEstimateModel()) {
+        const corrected = this.suggestEstimate(task, model) || task.estimatedMinutes;
+        return Math.max(5, corrected - (task.actualMinutes || 0));
+    }
+
+    // Start tracking time on a task (one running timer per task)
+    startTimer(taskId, now = new Date()) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return null;
+        if (task.completed) {
+            throw new Error(`Task ${taskId} is already completed`);
+        }
+        if (this.getRunningEntry(task)) {
+            throw new Error(`Timer already running for task ${taskId}`);
+        }
+
+        const entry = { start: new Date(now), end: null, minutes: 0 };
+        task.timeEntries.push(entry);
+        task.updatedAt = new Date();
+        this.storage.saveTask(task);
+        this.emitChange('task.updated', task);
+        return entry;
+    }
+
+    // Stop the running timer and add the elapsed minutes to the task
+    stopTimer(taskId, now = new Date()) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return null;
+
+        const entry = this.getRunningEntry(task);
+        if (!entry) {
+            throw new Error(`No timer running for task ${taskId}`);
+        }
+
+        entry.end = new Date(now);
+        entry.minutes = Math.max(0, Math.round((entry.end - new Date(entry.start)) / 60000));
+        task.actualMinutes = sumTimeEntries(task.timeEntries);
+        task.updatedAt = new Date();
+        this.storage.saveTask(task);
+        this.emitChange('task.updated', task);
+        return entry;
+    }
+
+    getRunningEntry(task) {
+        return task.timeEntries.find(entry => !entry.end) || null;
+    }
+
+    // Longest chain of open work and the earliest finish time of every open task
+    getCriticalPath(now = new Date()) {
+        return computeCriticalPath(this.tasks, now);
+    }
+
+    getPlannerSettings() {
+        return this.plannerSettings;
+    }
+
+    savePlannerSettings({ workingHours, breaks } = {}) {
+        this.plannerSettings = normalizeSettings({
+            workingHours: workingHours || this.plannerSettings.workingHours,
+            breaks: breaks || this.plannerSettings.breaks
+        });
+        this.storage.setMeta('plannerSettings', this.plannerSettings);
+        return this.plannerSettings;
+    }
+
+    // Fixed events overlapping [from, to), by start time
+    getFixedEvents(from = null, to = null) {
+        return this.fixedEvents.filter(event =>
+            (!from || new Date(event.end) > from) && (!to || new Date(event.start) < to));
+    }
+
+    // Re-importing a calendar updates events by uid; replace drops everything else.
+    // Events that ended over a month ago are forgotten.
+    addFixedEvents(events, { replace = false, now = new Date() } = {}) {
+        const incoming = normalizeEvents(events);
+        const byUid = new Map((replace ? [] : this.fixedEvents).map(event => [event.uid, event]));
+        incoming.forEach(event => byUid.set(event.uid, event));
+
+        const cutoff = now.getTime() - FIXED_EVENT_RETENTION_MS;
+        this.fixedEvents = [...byUid.values()]
+            .filter(event => new Date(event.end).getTime() >= cutoff)
+            .sort((a, b) => a.start.localeCompare(b.start));
+        this.storage.setMeta('fixedEvents', this.fixedEvents);
+        return incoming;
+    }
+
+    clearFixedEvents() {
+        const cleared = this.fixedEvents.length;
+        this.fixedEvents = [];
+        this.storage.setMeta('fixedEvents', this.fixedEvents);
+        return cleared;
+    }
+
+    // Time-blocked agenda for one day (see day-planner.js). Options override the
+    // stored working hours and breaks and add one-off events; with an assigneeId
+    // only unassigned tasks and that member's are planned.
+    planDay({ date, workingHours, breaks, events = [], assigneeId = null } = {}, now = new Date()) {
+        const model = this.getEstimateModel();
+        const childrenIndex = buildChildrenIndex(this.tasks);
+        // Waiting on a parent task means waiting on its open subtasks
+        const openLeaves = id => (childrenIndex.has(id)
+            ? collectDescendants(this.tasks, id, childrenIndex)
+                .filter(task => !task.completed && !childrenIndex.has(task.id))
+                .map(task => task.id)
+            : [id]);
+
+        const items = this.getLeafTasks()
+            .filter(task => !task.completed && (!assigneeId || !task.assigneeId || task.assigneeId === assigneeId))
+            .map(task => {
+                const running = this.getRunningEntry(task);
+                return {
+                    task,
+                    minutes: this.getPlannedMinutes(task, model),
+                    deadline: this.getEffectiveDeadline(task),
+                    dependencies: [...new Set(this.getOpenDependencies(task).flatMap(openLeaves))],
+                    runningSince: running ? running.start : null
+                };
+            });
+
+        return planDay(items, {
+            date,
+            workingHours: workingHours || this.plannerSettings.workingHours,
+            breaks: breaks || this.plannerSettings.breaks,
+            events: [...this.fixedEvents, ...events]
+        }, now);
+    }
+
     // Get tasks sorted by intelligent priority
     getTasksByPriority() {
         return [...this.tasks]
@@ -104,40 +719,37 @@ class TaskManager {
         const today = new Date();
         today.setHours(23, 59, 59, 999);
         
-        return this.tasks.filter(task => 
-            task.deadline && 
-            task.deadline <= today && 
-            !task.completed
-        );
+        return this.getLeafTasks().filter(task => {
+            const deadline = this.getEffectiveDeadline(task);
+            return deadline && deadline <= today && !task.completed;
+        });
     }
 
     // Get overdue tasks
     getOverdueTasks() {
         const now = new Date();
-        return this.tasks.filter(task => 
-            task.deadline && 
-            task.deadline < now && 
-            !task.completed
-        );
+        return this.getLeafTasks().filter(task => {
+            const deadline = this.getEffectiveDeadline(task);
+            return deadline && deadline < now && !task.completed;
+        });
     }
 
     // Smart task recommendations
+    // Only leaf tasks are suggested; umbrella tasks get done through their subtasks
     getRecommendedTasks(timeAvailable = 60) {
-        const availableTasks = this.getTasksByPriority();
+        const leafIds = new Set(this.getLeafTasks().map(t => t.id));
+        const availableTasks = this.getTasksByPriority().filter(task => leafIds.has(task.id));
+        const model = this.getEstimateModel();
         const recommended = [];
         let totalTime = 0;
 
+        // Slots are packed with corrected estimates, less any time already tracked
         for (const task of availableTasks) {
-            if (totalTime + task.estimatedMinutes <= timeAvailable) {
-                // Check if dependencies are completed
-                const dependenciesMet = task.dependencies.every(depId => {
-                    const depTask = this.tasks.find(t => t.id === depId);
-                    return depTask && depTask.completed;
-                });
-
-                if (dependenciesMet) {
+            const plannedMinutes = this.getPlannedMinutes(task, model);
+            if (totalTime + plannedMinutes <= timeAvailable) {
+                if (!this.isBlocked(task)) {
                     recommended.push(task);
-                    totalTime += task.estimatedMinutes;
+                    totalTime += plannedMinutes;
                 }
             }
         }
@@ -145,45 +757,280 @@ class TaskManager {
         return recommended;
     }
 
+    // Check if dependencies are still open (ids of deleted tasks no longer block).
+    // A subtask also waits on whatever its ancestors depend on.
+    isBlocked(task) {
+        return this.getOpenDependencies(task).length > 0;
+    }
+
+    getOpenDependencies(task) {
+        const inherited = getAncestors(this.tasks, task.id).flatMap(t => t.dependencies);
+        return [...new Set([...task.dependencies, ...inherited])].filter(depId => {
+            const depTask = this.tasks.find(t => t.id === depId);
+            return depTask && !depTask.completed;
+        });
+    }
+
+    // Filter, full-text search, sort and paginate tasks.
+    // `q` uses the query language in task-query.js; `status` and `category` are
+    // shorthand for the matching filters and combine with it.
+    searchTasks({ q = '', sort, status, category, limit, cursor, currentUserId = null, now = new Date() } = {}) {
+        const query = parseTaskQuery(q, now);
+        if (category && category !== 'all') query.filters.push({ field: 'category', op: '=', value: category });
+        if (status && status !== 'all') query.filters.push({ field: 'status', op: '=', value: status });
+
+        const scores = query.text ? this.searchIndex.sync(this.tasks).search(query.text) : null;
+        const childrenIndex = buildChildrenIndex(this.tasks);
+        const context = {
+            now,
+            scores,
+            currentUserId,
+            getEffectiveDeadline: task => this.getEffectiveDeadline(task),
+            hasChildren: task => childrenIndex.has(task.id),
+            isBlocked: task => this.isBlocked(task)
+        };
+
+        let matches = this.tasks.filter(task =>
+            (!scores || scores.has(task.id)) &&
+            query.phrases.every(phrase => matchesPhrase(task, phrase)) &&
+            query.filters.every(filter => matchesFilter(task, filter, context)));
+
+        // Stored scores follow the workspace's profile; a user with another one
+        // active gets the list ranked (and scored) their way
+        const profile = this.getPriorityProfile(null, currentUserId);
+        if (profile !== this.getPriorityProfile()) {
+            matches = matches.map(task => ({ ...task, priority: this.calculatePriority(task, profile) }));
+        }
+
+        const page = paginateTasks(matches, { sort: sort || (scores ? 'relevance' : 'priority'), limit, cursor }, context);
+        return { ...page, total: matches.length };
+    }
+
     // Update task and recalculate priority
     updateTask(taskId, updates) {
         const taskIndex = this.tasks.findIndex(t => t.id === taskId);
         if (taskIndex === -1) return null;
 
         const task = this.tasks[taskIndex];
-        Object.assign(task, updates, { updatedAt: new Date() });
+        const previousDependencies = task.dependencies;
+        if (updates.dependencies) {
+            this.validateDependencies(task.id, updates.dependencies);
+        }
+
+        if (updates.hasOwnProperty('parentId')) {
+            this.moveTask(task.id, updates.parentId);
+        }
+
+        // Rolled-up figures are derived from subtasks and can't be set directly
+        // Tracked time only changes through the timer
+        const {
+            recurrence, parentId, progress, actualMinutes, timeEntries, suggestedMinutes, ...fields
+        } = updates;
+        const isParent = buildChildrenIndex(this.tasks).has(task.id);
+        if (isParent) delete fields.estimatedMinutes;
+        Object.assign(task, fields, { updatedAt: new Date() });
+
+        if (updates.hasOwnProperty('recurrence')) {
+            this.applyRecurrence(task, recurrence);
+        }
+        if (['category', 'complexity', 'estimatedMinutes'].some(field => updates.hasOwnProperty(field))) {
+            task.suggestedMinutes = this.suggestEstimate(task);
+        }
         
         // Recalculate priority if relevant fields changed
-        if (['importance', 'complexity', 'deadline', 'dependencies'].some(field => 
+        if (['importance', 'complexity', 'deadline', 'dependencies', 'recurrence'].some(field => 
             updates.hasOwnProperty(field))) {
             task.priority = this.calculatePriority(task);
             this.sortTasksByPriority();
         }
 
+        this.storage.saveTask(task);
+        if (updates.dependencies) {
+            this.rescoreDependencies([...new Set([...previousDependencies, ...task.dependencies])]);
+        }
+        if (updates.hasOwnProperty('deadline') && isParent) {
+            this.rescoreTasks(collectDescendants(this.tasks, task.id));
+        }
+        if (updates.hasOwnProperty('estimatedMinutes') && !isParent) {
+            this.refreshRollups(task.parentId);
+        }
+        this.emitChange('task.updated', task);
         return task;
     }
 
-    // Mark task as completed
-    completeTask(taskId) {
+    // Mark task as completed; `cascade` also completes its open subtasks
+    completeTask(taskId, options = {}) {
         const task = this.tasks.find(t => t.id === taskId);
         if (task) {
+            // Learn from what the user picked before anything is marked done
+            const learned = options.learn !== false && !task.completed && this.learnFromCompletion(task);
+
+            if (options.cascade) {
+                // Deepest subtasks first, so recurring children roll over before their parents
+                collectDescendants(this.tasks, task.id)
+                    .filter(t => !t.completed)
+                    .reverse()
+                    .forEach(t => this.completeTask(t.id, { learn: false }));
+            }
+
+            if (this.getRunningEntry(task)) {
+                this.stopTimer(task.id);
+            }
+
             task.completed = true;
             task.completedAt = new Date();
             task.updatedAt = new Date();
+            if (!buildChildrenIndex(this.tasks).has(task.id)) task.progress = 100;
+            this.storage.saveTask(task);
+            this.rescoreDependencies(task.dependencies);
+            this.refreshRollups(task.parentId);
+            this.emitChange('task.completed', task);
+            if (learned) this.rescoreAll();
+
+            // Recurring tasks roll over to their next occurrence (once)
+            if (task.recurrence && !task.recurrence.nextTaskId) {
+                this.spawnNextOccurrence(task);
+            }
             return task;
         }
         return null;
     }
 
+    // Attach (or clear) a recurrence rule on a task.
+    // `input` is an RRULE string/object, or the state of an existing series
+    // when a follow-up occurrence is spawned.
+    applyRecurrence(task, input) {
+        if (!input) {
+            task.recurrence = null;
+            return;
+        }
+
+        if (input.rule && input.seriesId) {
+            task.recurrence = { ...input, nextTaskId: null };
+            return;
+        }
+
+        const rule = parseRecurrence(input.rule || input);
+
+        // Without a deadline the series starts at the first matching day, due by end of day
+        if (!task.deadline) {
+            const endOfToday = new Date();
+            endOfToday.setHours(23, 59, 0, 0);
+            const first = firstOccurrenceOnOrAfter(rule, endOfToday);
+            if (!first) {
+                throw new Error('Recurrence rule has no upcoming occurrences');
+            }
+            task.deadline = first;
+        }
+
+        task.recurrence = {
+            rule: formatRecurrence(rule),
+            seriesId: task.id,
+            seriesStart: new Date(task.deadline).toISOString(),
+            occurrence: 1,
+            nextTaskId: null
+        };
+    }
+
+    // Create the next occurrence of a completed recurring task.
+    // Occurrences missed while the task was open are skipped.
+    spawnNextOccurrence(task) {
+        const rule = parseRecurrence(task.recurrence.rule);
+        const after = new Date(Math.max(new Date(task.deadline).getTime(), Date.now()));
+        const next = nextOccurrence(rule, task.recurrence.seriesStart, after);
+        if (!next) return null; // Series finished (COUNT/UNTIL reached)
+
+        const nextTask = this.createTask({
+            title: task.title,
+            description: task.description,
+            category: task.category,
+            importance: task.importance,
+            complexity: task.complexity,
+            tags: [...task.tags],
+            estimatedMinutes: task.estimatedMinutes,
+            parentId: this.tasks.some(t => t.id === task.parentId) ? task.parentId : null,
+            assigneeId: task.assigneeId,
+            reminders: task.reminders,
+            deadline: next.date,
+            recurrence: {
+                rule: task.recurrence.rule,
+                seriesId: task.recurrence.seriesId,
+                seriesStart: task.recurrence.seriesStart,
+                occurrence: next.index
+            }
+        });
+
+        task.recurrence.nextTaskId = nextTask.id;
+        this.storage.saveTask(task);
+        return nextTask;
+    }
+
+    // Expand open recurring tasks into their occurrences within [from, to]
+    getUpcomingOccurrences(from, to) {
+        const rangeStart = new Date(from);
+        const rangeEnd = new Date(to);
+        const occurrences = [];
+
+        this.tasks
+            .filter(task => task.recurrence && !task.completed)
+            .forEach(task => {
+                const rule = parseRecurrence(task.recurrence.rule);
+                const windowStart = new Date(Math.max(rangeStart.getTime(), task.deadline.getTime()));
+
+                occurrencesBetween(rule, task.recurrence.seriesStart, windowStart, rangeEnd)
+                    .forEach(({ date, index }) => {
+                        occurrences.push({
+                            taskId: task.id,
+                            seriesId: task.recurrence.seriesId,
+                            title: task.title,
+                            category: task.category,
+                            deadline: date,
+                            occurrence: index,
+                            isCurrent: date.getTime() === task.deadline.getTime()
+                        });
+                    });
+            });
+
+        return occurrences.sort((a, b) => a.deadline - b.deadline);
+    }
+
     // Delete task
     deleteTask(taskId) {
         const index = this.tasks.findIndex(t => t.id === taskId);
         if (index !== -1) {
-            return this.tasks.splice(index, 1)[0];
+            const deleted = this.tasks.splice(index, 1)[0];
+            this.storage.deleteTask(deleted.id);
+
+            // Drop references to the deleted task so nothing waits on it forever
+            this.tasks
+                .filter(t => t.dependencies.includes(deleted.id))
+                .forEach(t => {
+                    t.dependencies = t.dependencies.filter(depId => depId !== deleted.id);
+                    this.storage.saveTask(t);
+                });
+            this.rescoreDependencies(deleted.dependencies);
+
+            // Subtasks move up to the deleted task's parent rather than being orphaned
+            const children = this.tasks.filter(t => t.parentId === deleted.id);
+            children.forEach(child => {
+                child.parentId = deleted.parentId;
+                this.storage.saveTask(child);
+            });
+            this.refreshRollups(deleted.parentId);
+            this.rescoreTasks(children.flatMap(child => [child, ...collectDescendants(this.tasks, child.id)]));
+            this.emitChange('task.deleted', deleted);
+            return deleted;
         }
         return null;
     }
 
+    // Clear a member's assignments when they leave the workspace
+    unassignMember(userId) {
+        return this.tasks
+            .filter(task => task.assigneeId === userId)
+            .map(task => this.updateTask(task.id, { assigneeId: null }));
+    }
+
     // Sort all tasks by priority
     sortTasksByPriority() {
         this.tasks.sort((a, b) => {
@@ -193,15 +1040,16 @@ class TaskManager {
         });
     }
 
-    // Get productivity insights
+    // Get productivity insights, counted over leaf tasks so umbrella tasks aren't double counted
     getInsights() {
-        const total = this.tasks.length;
-        const completed = this.tasks.filter(t => t.completed).length;
+        const leaves = this.getLeafTasks();
+        const total = leaves.length;
+        const completed = leaves.filter(t => t.completed).length;
         const overdue = this.getOverdueTasks().length;
         const dueToday = this.getTasksDueToday().length;
         
         const categoryStats = {};
-        this.tasks.forEach(task => {
+        leaves.forEach(task => {
             if (!categoryStats[task.category]) {
                 categoryStats[task.category] = { total: 0, completed: 0 };
             }
@@ -218,28 +1066,63 @@ class TaskManager {
             overdueTasks: overdue,
             tasksDueToday: dueToday,
             categoryStats,
-            averagePriority: this.tasks.length > 0 ? 
-                Math.round(this.tasks.reduce((sum, t) => sum + t.priority, 0) / this.tasks.length) : 0
+            averagePriority: leaves.length > 0 ? 
+                Math.round(leaves.reduce((sum, t) => sum + t.priority, 0) / leaves.length) : 0
         };
     }
 
-    // Export tasks data
+    // Export tasks data (json, csv, md or ics)
     exportTasks(format = 'json') {
-        if (format === 'json') {
-            return JSON.stringify(this.tasks, null, 2);
-        }
-        // Could add CSV, markdown export later
-        return this.tasks;
+        return serializeTasks(this.tasks, format);
     }
 
-    // Import tasks data
-    importTasks(data) {
+    // Import tasks data - an array of task records, or text in the given format.
+    // All or nothing: a record that fails leaves none of the others behind.
+    importTasks(data, format = 'json') {
         try {
-            const importedTasks = Array.isArray(data) ? data : JSON.parse(data);
-            importedTasks.forEach(taskData => {
-                this.createTask(taskData);
-            });
-            return true;
+            const importedTasks = parseTasks(data, format);
+            return this.transaction('tasks.imported', () => {
+                const idMap = new Map();
+
+                // First pass creates the tasks, second pass links parents and dependencies to the new ids
+                const created = importedTasks.map(taskData => {
+                    // Imported recurring tasks start a fresh series from their rule
+                    const recurrence = taskData.recurrence && (taskData.recurrence.rule || taskData.recurrence);
+                    const task = this.createTask({ ...taskData, recurrence, dependencies: [], parentId: null });
+                    if (taskData.id !== undefined) idMap.set(taskData.id, task.id);
+
+                    // Tracked time carries over so estimate learning survives a move between instances
+                    if (Array.isArray(taskData.timeEntries) && taskData.timeEntries.length > 0) {
+                        task.timeEntries = TaskStorage.reviveTask({ timeEntries: taskData.timeEntries }).timeEntries
+                            .filter(entry => entry.end);
+                        task.actualMinutes = sumTimeEntries(task.timeEntries);
+                        this.storage.saveTask(task);
+                    }
+
+                    // Keep completion state so exports round-trip (without spawning recurrences)
+                    if (taskData.completed) {
+                        task.completed = true;
+                        task.completedAt = taskData.completedAt ? new Date(taskData.completedAt) : new Date();
+                        task.progress = 100;
+                        this.storage.saveTask(task);
+                    }
+                    return task;
+                });
+                this.sortTasksByPriority();
+
+                importedTasks.forEach((taskData, index) => {
+                    const task = created[index];
+                    if (idMap.has(taskData.parentId)) {
+                        this.moveTask(task.id, idMap.get(taskData.parentId));
+                    }
+                    if (!taskData.dependencies || taskData.dependencies.length === 0) return;
+                    const dependencies = taskData.dependencies
+                        .filter(depId => idMap.has(depId))
+                        .map(depId => idMap.get(depId));
+                    this.updateTask(task.id, { dependencies });
+                });
+                return true;
+            }, { atomic: true });
         } catch (error) {
             console.error('Import failed:', error);
             return false;
@@ -247,4 +1130,24 @@ class TaskManager {
     }
 }
 
-module.exports = TaskManager;
\ No newline at end of file
+// Every public mutation is one undoable history entry; the API wraps calls in
+// its own transaction to name the actor and group bulk actions.
+const RECORDED_MUTATIONS = {
+    createTask: 'task.created',
+    updateTask: 'task.updated',
+    moveTask: 'task.moved',
+    completeTask: 'task.completed',
+    deleteTask: 'task.deleted',
+    startTimer: 'timer.started',
+    stopTimer: 'timer.stopped',
+    unassignMember: 'tasks.unassigned'
+};
+
+Object.entries(RECORDED_MUTATIONS).forEach(([method, action]) => {
+    const mutate = TaskManager.prototype[method];
+    TaskManager.prototype[method] = function (...args) {
+        return this.transaction(action, () => mutate.apply(this, args));
+    };
+});
+
+module.exports = TaskManager;
@@ -0,0 +1,332 @@
+// Filter query language, sorting and cursor pagination for task lists.
+//
+//   tag:client due:<7d importance:>=4 -category:personal "exact phrase" report
+//
+// field:value terms filter and a leading "-" negates them. Quoted phrases (and
+// -words) must (or must not) appear in the title, description or tags, and the
+// remaining words go to full-text search.
+// Numeric fields take =, >, >=, <, <= (or a..b ranges); dates take ISO dates,
+// today/tomorrow, or a relative Nh/Nd/Nw (from now for due, ago for created).
+// assignee: takes me, none or a user id.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DURATION_MS = { h: HOUR_MS, d: 24 * HOUR_MS, w: 7 * 24 * HOUR_MS };
+
+const NUMERIC_FIELDS = {
+    importance: task => task.importance,
+    complexity: task => task.complexity,
+    priority: task => task.priority,
+    minutes: task => task.estimatedMinutes,
+    id: task => task.id
+};
+
+const FIELD_ALIASES = {
+    tags: 'tag',
+    cat: 'category',
+    deadline: 'due',
+    estimate: 'minutes',
+    parentid: 'parent',
+    assigned: 'assignee'
+};
+
+const STATUSES = ['open', 'pending', 'completed', 'done', 'overdue', 'due-today'];
+const FLAGS = ['recurring', 'parent', 'leaf', 'subtask', 'blocked', 'timing'];
+
+const FIELDS = ['tag', 'category', 'status', 'is', 'due', 'created', 'parent', 'assignee', ...Object.keys(NUMERIC_FIELDS)];
+
+// Split a query into terms, keeping quoted phrases (and field:"quoted values") together
+function splitTerms(query) {
+    const terms = [];
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        const [, negate, field, quoted, bare] = match;
+        terms.push({ negate: negate === '-', field: field ? field.toLowerCase() : null, value: quoted ?? bare, quoted: quoted !== undefined });
+    }
+    return terms;
+}
+
+function parseComparison(raw) {
+    const match = /^(>=|<=|>|<|=)?(.*)$/.exec(raw);
+    return { op: match[1] || '=', value: match[2] };
+}
+
+function parseNumberFilter(field, raw) {
+    const range = /^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/.exec(raw);
+    if (range) {
+        return { op: 'range', value: [Number(range[1]), Number(range[2])] };
+    }
+    const { op, value } = parseComparison(raw);
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`${field}: expects a number, got "${raw}"`);
+    }
+    return { op, value: number };
+}
+
+// Resolve a date term to a [start, end) window, or a single instant for comparisons
+function parseDateValue(field, raw, now) {
+    const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+    const lower = raw.toLowerCase();
+    if (lower === 'today' || lower === 'tomorrow' || lower === 'yesterday') {
+        const offset = { yesterday: -1, today: 0, tomorrow: 1 }[lower];
+        const start = addDays(startOfDay(now), offset);
+        return { instant: start, window: [start, addDays(start, 1)] };
+    }
+
+    const relative = /^(\d+(?:\.\d+)?)([hdw])$/.exec(lower);
+    if (relative) {
+        const ms = Number(relative[1]) * DURATION_MS[relative[2]];
+        // "created:<7d" reads as "less than 7 days old"; a bare duration means within that span
+        const instant = new Date(now.getTime() + (field === 'created' ? -ms : ms));
+        const window = field === 'created' ? [instant, now] : [now, instant];
+        return { instant, window, relative: true };
+    }
+
+    const date = new Date(raw);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${field}: expects a date, today/tomorrow or a duration like 7d, got "${raw}"`);
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+        // A bare date means that local calendar day
+        const start = new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+        return { instant: start, window: [start, addDays(start, 1)] };
+    }
+    return { instant: date };
+}
+
+function parseDateFilter(field, raw, now) {
+    const lower = raw.toLowerCase();
+    if (lower === 'none' || lower === 'any') {
+        return { op: lower };
+    }
+
+    const { op, value } = parseComparison(raw);
+    const parsed = parseDateValue(field, value, now);
+
+    // For "created" a relative age flips the comparison: <7d old means after now-7d
+    const flip = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+    const effectiveOp = field === 'created' && parsed.relative && flip[op] ? flip[op] : op;
+    return { op: effectiveOp, value: parsed.instant, window: parsed.window };
+}
+
+// Parse a query string into { text, phrases, filters }
+function parseTaskQuery(query = '', now = new Date()) {
+    const text = [];
+    const phrases = [];
+    const filters = [];
+
+    splitTerms(String(query)).forEach(term => {
+        if (!term.field) {
+            if (term.quoted) {
+                if (term.value.trim()) phrases.push({ value: term.value.toLowerCase(), negate: term.negate });
+            } else if (term.negate) {
+                phrases.push({ value: term.value.toLowerCase(), negate: true });
+            } else {
+                text.push(term.value);
+            }
+            return;
+        }
+
+        const field = FIELD_ALIASES[term.field] || term.field;
+        if (!FIELDS.includes(field)) {
+            throw new Error(`Unknown search field: ${term.field} (use ${FIELDS.join(', ')})`);
+        }
+        if (term.value === '') {
+            throw new Error(`${field}: needs a value`);
+        }
+
+        let filter;
+        if (NUMERIC_FIELDS[field]) {
+            filter = parseNumberFilter(field, term.value);
+        } else if (field === 'due' || field === 'created') {
+            filter = parseDateFilter(field, term.value, now);
+        } else {
+            filter = { op: '=', value: term.value.toLowerCase() };
+            if (field === 'status' && !STATUSES.includes(filter.value)) {
+                throw new Error(`status: expects ${STATUSES.join(', ')}`);
+            }
+            if (field === 'is' && !FLAGS.includes(filter.value)) {
+                throw new Error(`is: expects ${FLAGS.join(', ')}`);
+            }
+            if (field === 'parent' && filter.value !== 'none' && isNaN(parseInt(filter.value))) {
+                throw new Error('parent: expects a task id or none');
+            }
+        }
+        filters.push({ field, negate: term.negate, ...filter });
+    });
+
+    return { text: text.join(' '), phrases, filters };
+}
+
+function compare(op, actual, expected) {
+    switch (op) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case 'range': return actual >= expected[0] && actual <= expected[1];
+        default: return actual === expected;
+    }
+}
+
+function matchesDate(filter, date) {
+    if (filter.op === 'none') return !date;
+    if (filter.op === 'any') return Boolean(date);
+    if (!date) return false;
+
+    const time = new Date(date).getTime();
+    if (filter.op === '=' && filter.window) {
+        return time >= filter.window[0].getTime() && time < filter.window[1].getTime();
+    }
+    return compare(filter.op, time, filter.value.getTime());
+}
+
+// context: { now, currentUserId, getEffectiveDeadline(task), hasChildren(task), isBlocked(task) }
+function matchesFilter(task, filter, context) {
+    const value = filter.value;
+    let matched;
+
+    switch (filter.field) {
+        case 'tag':
+            matched = (task.tags || []).some(tag => tag.toLowerCase() === value);
+            break;
+        case 'category':
+            matched = task.category === value;
+            break;
+        case 'status': {
+            const deadline = context.getEffectiveDeadline(task);
+            const endOfToday = new Date(context.now);
+            endOfToday.setHours(23, 59, 59, 999);
+            const statuses = {
+                open: !task.completed,
+                pending: !task.completed,
+                completed: task.completed,
+                done: task.completed,
+                overdue: !task.completed && Boolean(deadline) && deadline < context.now,
+                'due-today': !task.completed && Boolean(deadline) && deadline <= endOfToday
+            };
+            matched = statuses[value];
+            break;
+        }
+        case 'is': {
+            const flags = {
+                recurring: Boolean(task.recurrence),
+                parent: context.hasChildren(task),
+                leaf: !context.hasChildren(task),
+                subtask: task.parentId !== null && task.parentId !== undefined,
+                blocked: context.isBlocked(task),
+                timing: (task.timeEntries || []).some(entry => !entry.end)
+            };
+            matched = flags[value];
+            break;
+        }
+        case 'parent':
+            matched = value === 'none'
+                ? task.parentId === null || task.parentId === undefined
+                : task.parentId === parseInt(value);
+            break;
+        case 'assignee': {
+            // me = the signed-in user, none = unassigned, anything else is a user id
+            const assigneeId = task.assigneeId || null;
+            if (value === 'none') matched = assigneeId === null;
+            else if (value === 'me') matched = Boolean(context.currentUserId) && assigneeId === context.currentUserId;
+            else matched = assigneeId !== null && assigneeId.toLowerCase() === value;
+            break;
+        }
+        case 'due':
+            matched = matchesDate(filter, context.getEffectiveDeadline(task));
+            break;
+        case 'created':
+            matched = matchesDate(filter, task.createdAt);
+            break;
+        default:
+            matched = compare(filter.op, NUMERIC_FIELDS[filter.field](task), value);
+    }
+
+    return filter.negate ? !matched : matched;
+}
+
+function matchesPhrase(task, phrase) {
+    const haystack = `${task.title || ''}\n${task.description || ''}\n${(task.tags || []).join(' ')}`.toLowerCase();
+    const found = haystack.includes(phrase.value);
+    return phrase.negate ? !found : found;
+}
+
+// Sort keys: each returns a tuple compared ascending, with the task id as final tiebreak
+const SORTS = {
+    priority: task => [-task.priority],
+    deadline: (task, context) => {
+        const deadline = context.getEffectiveDeadline(task);
+        return [deadline ? new Date(deadline).getTime() : Number.MAX_SAFE_INTEGER, -task.priority];
+    },
+    created: task => [-new Date(task.createdAt).getTime()],
+    title: task => [(task.title || '').toLowerCase()],
+    relevance: (task, context) => [-(context.scores ? context.scores.get(task.id) || 0 : 0), -task.priority]
+};
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+function encodeCursor(sort, key) {
+    return Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+    if (!decoded || !Array.isArray(decoded.key)) {
+        throw new Error('Invalid cursor');
+    }
+    if (decoded.sort !== sort) {
+        throw new Error(`Cursor was issued for sort=${decoded.sort}, not sort=${sort}`);
+    }
+    return decoded.key;
+}
+
+// Sort `tasks` and cut one page after `cursor`. Ordering is total (ties break
+// on id) so pages never overlap or skip tasks that didn't change in between.
+function paginateTasks(tasks, { sort = 'priority', limit, cursor } = {}, context = {}) {
+    const keyOf = SORTS[sort];
+    if (!keyOf) {
+        throw new Error(`Unknown sort: ${sort} (use ${Object.keys(SORTS).join(', ')})`);
+    }
+
+    const keyed = tasks
+        .map(task => ({ task, key: [...keyOf(task, context), task.id] }))
+        .sort((a, b) => compareKeys(a.key, b.key));
+
+    let start = 0;
+    if (cursor) {
+        const after = decodeCursor(cursor, sort);
+        start = keyed.findIndex(entry => compareKeys(entry.key, after) > 0);
+        if (start === -1) start = keyed.length;
+    }
+
+    const page = limit ? keyed.slice(start, start + limit) : keyed.slice(start);
+    const hasMore = start + page.length < keyed.length;
+    return {
+        tasks: page.map(entry => entry.task),
+        nextCursor: hasMore && page.length > 0 ? encodeCursor(sort, page[page.length - 1].key) : null
+    };
+}
+
+module.exports = {
+    FIELDS,
+    SORTS,
+    parseTaskQuery,
+    matchesFilter,
+    matchesPhrase,
+    paginateTasks
+};
@@ -0,0 +1,595 @@
+/**
+ * Template Engine - Renders versioned template packs into a project file tree
+ * Packs live on disk as <name>/<version>/template.json plus a files/ directory.
+ * Built-in packs ship in templates/, user-contributed packs are installed into
+ * TEMPLATES_DIR (default ~/.claude-productivity-suite/templates). Rendering is
+ * parameterized by the VibeInterpreter requirements and SmartDefaultsEngine
+ * output, and goes through a ProjectWorkspace so it can be diffed before writing.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProjectWorkspace } = require('./project-workspace');
+const { SmartDefaultsEngine } = require('./smart-defaults-engine');
+
+const BUILTIN_DIR = path.join(__dirname, '..', '..', 'templates');
+const MANIFEST = 'template.json';
+const FILES_DIR = 'files';
+const PACK_NAME = /^[a-z0-9][a-z0-9-]*$/;
+const VERSION = /^\d+\.\d+\.\d+$/;
+
+class TemplateError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} pack - Pack name@version or directory, when known
+   */
+  constructor(message, pack = null) {
+    super(pack ? `${pack}: ${message}` : message);
+    this.name = 'TemplateError';
+    this.pack = pack;
+  }
+}
+
+class TemplateEngine {
+  /**
+   * @param {Object} options - { builtinDir, userDir, smartDefaults }
+   */
+  constructor(options = {}) {
+    this.builtinDir = options.builtinDir || BUILTIN_DIR;
+    this.userDir = options.userDir || process.env.TEMPLATES_DIR ||
+      path.join(os.homedir(), '.claude-productivity-suite', 'templates');
+    this.smartDefaults = options.smartDefaults || new SmartDefaultsEngine();
+    this.packs = null; // name -> packs sorted newest first, loaded on first use
+    this.invalidPacks = [];
+  }
+
+  /**
+   * Scan the built-in and user directories. A user pack with the same name and
+   * version as a built-in one replaces it.
+   * @returns {Map} name -> [pack]
+   */
+  loadPacks() {
+    if (this.packs) return this.packs;
+
+    const byKey = new Map();
+    this.invalidPacks = [];
+
+    for (const [source, root] of [['builtin', this.builtinDir], ['user', this.userDir]]) {
+      for (const name of listDirectories(root)) {
+        for (const version of listDirectories(path.join(root, name))) {
+          const dir = path.join(root, name, version);
+          try {
+            const pack = this.readPack(dir, source);
+            if (pack.name !== name || pack.version !== version) {
+              throw new TemplateError(`manifest says ${pack.name}@${pack.version} but it is stored as ${name}/${version}`, dir);
+            }
+            byKey.set(`${pack.name}@${pack.version}`, pack);
+          } catch (error) {
+            this.invalidPacks.push({ dir, source, error: error.message });
+          }
+        }
+      }
+    }
+
+    this.packs = new Map();
+    for (const pack of byKey.values()) {
+      if (!this.packs.has(pack.name)) this.packs.set(pack.name, []);
+      this.packs.get(pack.name).push(pack);
+    }
+    for (const versions of this.packs.values()) {
+      versions.sort((a, b) => compareVersions(b.version, a.version));
+    }
+    return this.packs;
+  }
+
+  /**
+   * Forget loaded packs so the next call rescans the disk
+   */
+  reload() {
+    this.packs = null;
+    return this.loadPacks();
+  }
+
+  /**
+   * Read and validate one pack directory
+   * @param {string} dir - Directory holding template.json
+   * @param {string} source - 'builtin' | 'user'
+   * @returns {Object} Pack
+   */
+  readPack(dir, source) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new TemplateError(`missing ${MANIFEST}`, dir);
+      throw new TemplateError(`invalid ${MANIFEST}: ${error.message}`, dir);
+    }
+
+    const problems = validateManifest(manifest);
+    if (problems.length > 0) {
+      throw new TemplateError(`invalid ${MANIFEST}: ${problems.join('; ')}`, dir);
+    }
+
+    return {
+      name: manifest.name,
+      version: manifest.version,
+      description: manifest.description || '',
+      source,
+      dir,
+      manifest
+    };
+  }
+
+  /**
+   * All packs, newest version of each name first
+   * @returns {Array} [{ name, version, description, source, extends, appTypes, features, versions }]
+   */
+  listPacks() {
+    return Array.from(this.loadPacks().values())
+      .map(versions => {
+        const latest = versions[0];
+        return {
+          name: latest.name,
+          version: latest.version,
+          description: latest.description,
+          source: latest.source,
+          abstract: Boolean(latest.manifest.abstract),
+          extends: latest.manifest.extends || null,
+          appTypes: latest.manifest.appTypes || [],
+          features: latest.manifest.features || [],
+          estimatedTime: latest.manifest.estimatedTime || null,
+          versions: versions.map(pack => pack.version)
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find a pack by reference
+   * @param {string|Object} ref - 'blog', 'blog@1.0.0', 'blog@1', 'blog@^1.2.0' or a pack
+   * @returns {Object} Pack
+   */
+  getPack(ref) {
+    if (ref && typeof ref === 'object') {
+      return ref.manifest ? ref : this.getPack(`${ref.name}@${ref.version || 'latest'}`);
+    }
+
+    const [name, range = 'latest'] = String(ref).split('@');
+    const versions = this.loadPacks().get(name);
+    if (!versions) throw new TemplateError(`No template pack named "${name}"`);
+
+    const pack = versions.find(candidate => satisfies(candidate.version, range));
+    if (!pack) {
+      throw new TemplateError(`No version of "${name}" matches ${range} (have ${versions.map(v => v.version).join(', ')})`);
+    }
+    return pack;
+  }
+
+  /**
+   * Pick the pack that best fits an app. Packs made for the app type come
+   * first and keywords in the description choose between them; a general app
+   * can be matched on keywords alone. User packs win ties against built-in ones.
+   * @param {Object} criteria - { appType, description }
+   * @returns {Object|null} Latest version of the best pack, or null if none fits
+   */
+  selectPack({ appType, description = '' } = {}) {
+    const text = description.toLowerCase();
+    const candidates = Array.from(this.loadPacks().values())
+      .map(versions => versions[0])
+      .filter(pack => !pack.manifest.abstract);
+
+    const forType = candidates.filter(pack => (pack.manifest.appTypes || []).includes(appType));
+    const pool = forType.length > 0 ? forType : (appType === 'general-app' || !appType ? candidates : []);
+    let best = null;
+
+    for (const pack of pool) {
+      const keywordHits = (pack.manifest.keywords || []).filter(keyword => text.includes(keyword.toLowerCase())).length;
+      if (forType.length === 0 && keywordHits === 0) continue;
+
+      const better = !best || keywordHits > best.keywordHits ||
+        (keywordHits === best.keywordHits && pack.source === 'user' && best.pack.source !== 'user');
+      if (better) best = { pack, keywordHits };
+    }
+
+    return best ? best.pack : null;
+  }
+
+  /**
+   * Parameters a pack renders with. Later sources win: the pack's own
+   * parameters, the design for the chosen style, SmartDefaultsEngine output,
+   * then explicit overrides. Optional features are switched on when the vibe
+   * requirements or the description mention them.
+   * @param {string|Object} ref - Pack reference
+   * @param {Object} inputs - { appPlan, interpretation (VibeInterpreter result), defaults (SmartDefaultsEngine result), overrides }
+   * @returns {Object} Render parameters
+   */
+  buildParameters(ref, { appPlan = {}, interpretation = null, defaults = null, overrides = {} } = {}) {
+    const chain = this.resolveChain(this.getPack(ref));
+    const pack = chain[chain.length - 1];
+    const packParams = chain.reduce((params, link) => deepMerge(params, link.manifest.parameters || {}), {});
+
+    const smartDefaults = defaults || (interpretation && interpretation.plan && interpretation.plan.defaults) || {};
+    const settings = this.smartDefaults.resolveDefaults(smartDefaults.applicableDefaults || []);
+    const style = (settings.design && settings.design.style) || (packParams.design && packParams.design.style) || 'professional';
+    const styleSettings = this.smartDefaults.resolveDefaults(this.smartDefaults.getStyleDefaults(style));
+    const design = deepMerge(deepMerge(packParams.design || {}, styleSettings.design || {}), { ...settings.design, style });
+
+    const features = {};
+    const requested = new Set([...(appPlan.features || []), ...requirementNames(interpretation)]);
+    const text = (appPlan.description || (interpretation && interpretation.originalVibe) || '').toLowerCase();
+    chain.forEach(link => {
+      (link.manifest.features || []).forEach(feature => { features[feature] = true; });
+      Object.entries(link.manifest.optionalFeatures || {}).forEach(([feature, aliases]) => {
+        features[feature] = [feature, ...aliases].some(alias =>
+          requested.has(alias) || text.includes(alias.replace(/-/g, ' '))
+        );
+      });
+    });
+
+    const name = appPlan.name || packParams.app?.name || 'My Site';
+    const view = {
+      app: {
+        name,
+        slug: appPlan.slug || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+        description: appPlan.description || '',
+        year: new Date().getFullYear()
+      },
+      pack: { name: pack.name, version: pack.version },
+      design,
+      features,
+      featureList: Object.keys(features).filter(feature => features[feature]),
+      settings,
+      resource: appPlan.resource || null,
+      hasApi: Boolean(appPlan.techStack && appPlan.techStack.backend)
+    };
+
+    // Content strings may refer to other parameters, e.g. "Welcome to {{app.name}}"
+    view.content = renderStrings(packParams.content || {}, view, `${pack.name}@${pack.version}`);
+    return deepMerge(view, overrides);
+  }
+
+  /**
+   * Render a pack into a file tree. Files from packs it extends come first and
+   * are replaced by files with the same path further down the chain.
+   * @param {string|Object} ref - Pack reference
+   * @param {Object} params - Parameters from buildParameters()
+   * @returns {Array} [{ path, content }] sorted by path
+   */
+  render(ref, params) {
+    const chain = this.resolveChain(this.getPack(ref));
+    const sources = new Map(); // template path -> { file, pack }
+    const conditions = {};
+
+    chain.forEach(link => {
+      Object.assign(conditions, link.manifest.files || {});
+      listFiles(path.join(link.dir, FILES_DIR)).forEach(relative => {
+        sources.set(relative, { file: path.join(link.dir, FILES_DIR, relative), pack: link });
+      });
+    });
+
+    const output = new Map();
+    for (const [relative, { file, pack }] of sources) {
+      const condition = conditions[relative] || {};
+      if (condition.when && !lookup([params], condition.when)) continue;
+      if (condition.unless && lookup([params], condition.unless)) continue;
+
+      const label = `${pack.name}@${pack.version}`;
+      const target = renderTemplate(relative, params, `${label}:${relative} (path)`).trim();
+      if (!target) continue;
+      output.set(target, renderTemplate(fs.readFileSync(file, 'utf8'), params, `${label}:${relative}`));
+    }
+
+    return Array.from(output, ([filePath, content]) => ({ path: filePath, content }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Render a pack and stage the result in a workspace
+   * @param {ProjectWorkspace} workspace - Workspace to write into
+   * @param {string|Object} ref - Pack reference
+   * @param {Object} params - Parameters from buildParameters()
+   * @param {Object} options - { author }
+   * @returns {Array} Staged paths
+   */
+  renderToWorkspace(workspace, ref, params, options = {}) {
+    const author = options.author || 'template-engine';
+    return this.render(ref, params).map(file => {
+      workspace.writeFile(file.path, file.content, { author });
+      return file.path;
+    });
+  }
+
+  /**
+   * What rendering a pack into a directory would change, without writing anything
+   * @param {string} root - Project directory
+   * @param {string|Object} ref - Pack reference
+   * @param {Object} params - Parameters from buildParameters()
+   * @returns {Array} ProjectWorkspace.diff() entries
+   */
+  preview(root, ref, params) {
+    const workspace = new ProjectWorkspace(root);
+    this.renderToWorkspace(workspace, ref, params);
+    return workspace.diff();
+  }
+
+  /**
+   * Install a user-contributed pack. The pack is validated, every template
+   * must parse and the pack it extends must exist before anything is copied.
+   * @param {string} sourceDir - Directory with template.json and files/
+   * @param {Object} options - { overwrite }
+   * @returns {Object} Installed pack
+   */
+  installPack(sourceDir, options = {}) {
+    const candidate = this.readPack(path.resolve(sourceDir), 'user');
+    const label = `${candidate.name}@${candidate.version}`;
+
+    const files = listFiles(path.join(candidate.dir, FILES_DIR));
+    if (files.length === 0) throw new TemplateError(`no templates in ${FILES_DIR}/`, label);
+    files.forEach(relative => {
+      parseTemplate(relative, `${label}:${relative} (path)`);
+      parseTemplate(fs.readFileSync(path.join(candidate.dir, FILES_DIR, relative), 'utf8'), `${label}:${relative}`);
+    });
+    if (candidate.manifest.extends) this.getPack(candidate.manifest.extends);
+
+    const target = path.join(this.userDir, candidate.name, candidate.version);
+    if (listDirectories(path.join(this.userDir, candidate.name)).includes(candidate.version)) {
+      if (!options.overwrite) throw new TemplateError(`already installed in ${target}`, label);
+      fs.rmSync(target, { recursive: true, force: true });
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.cpSync(candidate.dir, target, { recursive: true });
+    this.reload();
+    return this.getPack(`${candidate.name}@${candidate.version}`);
+  }
+
+  /**
+   * A pack and the packs it extends, root first
+   * @param {Object} pack - Pack
+   * @returns {Array} Packs
+   */
+  resolveChain(pack) {
+    const chain = [pack];
+    const seen = new Set([`${pack.name}@${pack.version}`]);
+    let current = pack;
+
+    while (current.manifest.extends) {
+      current = this.getPack(current.manifest.extends);
+      const key = `${current.name}@${current.version}`;
+      if (seen.has(key)) throw new TemplateError(`extends itself through ${key}`, `${pack.name}@${pack.version}`);
+      seen.add(key);
+      chain.unshift(current);
+    }
+
+    return chain;
+  }
+}
+
+/**
+ * Render a template string. Supports {{name}} (HTML-escaped), {{{name}}} (raw;
+ * objects come out as JSON), {{#name}}...{{/name}} (truthy value, or once per
+ * list item), {{^name}}...{{/name}} (falsy or empty list), {{! comments }} and
+ * {{.}} for the current list item. Names use dots for nesting.
+ * @param {string} template - Template text
+ * @param {Object} view - Parameters
+ * @param {string} label - Name used in error messages
+ * @param {Object} options - { escape: false } renders plain text, for values
+ *   that a page template escapes when it uses them
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, view, label = 'template', { escape = true } = {}) {
+  return renderTokens(parseTemplate(template, label), [view], escape);
+}
+
+/**
+ * Parse a template into a token tree. Section and comment tags on a line of
+ * their own take the whole line with them so they don't leave blank lines.
+ * @param {string} template - Template text
+ * @param {string} label - Name used in error messages
+ * @returns {Array} Tokens
+ */
+function parseTemplate(template, label = 'template') {
+  const tagPattern = /\{\{\{\s*([^{}]+?)\s*\}\}\}|\{\{([#^/!]?)\s*([^{}]*?)\s*\}\}/g;
+  const root = [];
+  const stack = [{ name: null, children: root }];
+  let index = 0;
+  let match;
+
+  const lineOf = offset => template.slice(0, offset).split('\n').length;
+  const pushText = text => { if (text) stack[stack.length - 1].children.push({ type: 'text', value: text }); };
+
+  while ((match = tagPattern.exec(template)) !== null) {
+    const [tag, rawName, sigil = '', name] = match;
+    let before = template.slice(index, match.index);
+    let end = match.index + tag.length;
+
+    if (rawName === undefined && sigil) {
+      const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+      const newline = template.indexOf('\n', end);
+      const lineEnd = newline === -1 ? template.length : newline + 1;
+      const standalone = lineStart >= index &&
+        /^[ \t]*$/.test(template.slice(lineStart, match.index)) &&
+        /^[ \t]*\r?\n?$/.test(template.slice(end, lineEnd));
+      if (standalone) {
+        before = template.slice(index, lineStart);
+        end = lineEnd;
+      }
+    }
+
+    pushText(before);
+    index = end;
+    tagPattern.lastIndex = end;
+
+    if (rawName !== undefined) {
+      stack[stack.length - 1].children.push({ type: 'variable', name: rawName, escape: false });
+    } else if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [], line: lineOf(match.index) };
+      stack[stack.length - 1].children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      const open = stack.pop();
+      if (open.name !== name) {
+        throw new TemplateError(`${label} line ${lineOf(match.index)}: {{/${name}}} closes ${open.name ? `{{#${open.name}}}` : 'nothing'}`);
+      }
+    } else if (sigil !== '!') {
+      if (!name) throw new TemplateError(`${label} line ${lineOf(match.index)}: empty tag`);
+      stack[stack.length - 1].children.push({ type: 'variable', name, escape: true });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`${label} line ${open.line}: {{#${open.name}}} is never closed`);
+  }
+  pushText(template.slice(index));
+  return root;
+}
+
+function renderTokens(tokens, stack, escape) {
+  return tokens.map(token => {
+    if (token.type === 'text') return token.value;
+
+    const value = lookup(stack, token.name);
+    if (token.type === 'variable') {
+      if (value === undefined || value === null) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+      return token.escape && escape ? escapeHtml(text) : text;
+    }
+
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (token.inverted) return empty ? renderTokens(token.children, stack, escape) : '';
+    if (empty) return '';
+    if (Array.isArray(value)) return value.map(item => renderTokens(token.children, [...stack, item], escape)).join('');
+    return renderTokens(token.children, typeof value === 'object' ? [...stack, value] : stack, escape);
+  }).join('');
+}
+
+/**
+ * Resolve a dotted name against the context stack, innermost first
+ */
+function lookup(stack, name) {
+  if (name === '.') return stack[stack.length - 1];
+
+  const [head, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const frame = stack[i];
+    if (frame && typeof frame === 'object' && head in frame) {
+      return rest.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), frame[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderStrings(value, view, label) {
+  if (typeof value === 'string') return renderTemplate(value, view, label, { escape: false });
+  if (Array.isArray(value)) return value.map(item => renderStrings(item, view, label));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderStrings(item, view, label)]));
+  }
+  return value;
+}
+
+function validateManifest(manifest) {
+  const problems = [];
+  const isList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (!manifest || typeof manifest !== 'object') return ['must be a JSON object'];
+  if (!PACK_NAME.test(manifest.name || '')) problems.push('name must be lowercase letters, digits and dashes');
+  if (!VERSION.test(manifest.version || '')) problems.push('version must look like 1.0.0');
+  if (manifest.extends !== undefined && typeof manifest.extends !== 'string') problems.push('extends must be a pack reference');
+  ['features', 'appTypes', 'keywords'].forEach(key => {
+    if (manifest[key] !== undefined && !isList(manifest[key])) problems.push(`${key} must be a list of strings`);
+  });
+  if (manifest.optionalFeatures !== undefined &&
+      (typeof manifest.optionalFeatures !== 'object' || !Object.values(manifest.optionalFeatures).every(isList))) {
+    problems.push('optionalFeatures must map feature names to lists of aliases');
+  }
+  if (manifest.files !== undefined && typeof manifest.files !== 'object') problems.push('files must map paths to conditions');
+  if (manifest.parameters !== undefined && typeof manifest.parameters !== 'object') problems.push('parameters must be an object');
+  return problems;
+}
+
+function requirementNames(interpretation) {
+  const requirements = interpretation && interpretation.interpretation;
+  if (!requirements) return [];
+  return ['explicit', 'implicit', 'functional']
+    .flatMap(key => (Array.isArray(requirements[key]) ? requirements[key] : []))
+    .filter(name => typeof name === 'string');
+}
+
+/**
+ * Compare two x.y.z versions
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Whether a version matches a range: 'latest' or '*', an exact version,
+ * a prefix like '1' or '1.2', or a caret range like '^1.2.0'
+ */
+function satisfies(version, range) {
+  if (!range || range === 'latest' || range === '*') return true;
+  if (range.startsWith('^')) {
+    const minimum = range.slice(1);
+    return version.split('.')[0] === minimum.split('.')[0] && compareVersions(version, minimum) >= 0;
+  }
+  const parts = range.replace(/\.x$/, '').split('.');
+  return version.split('.').slice(0, parts.length).join('.') === parts.join('.');
+}
+
+function deepMerge(target, source) {
+  const merged = { ...target };
+  Object.entries(source || {}).forEach(([key, value]) => {
+    const current = merged[key];
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value) &&
+      current && typeof current === 'object' && !Array.isArray(current)
+      ? deepMerge(current, value)
+      : value;
+  });
+  return merged;
+}
+
+function listDirectories(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+    throw error;
+  }
+}
+
+function listFiles(dir, prefix = '') {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return entries.flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(dir, relative) : [relative];
+  }).sort();
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { TemplateEngine, TemplateError, renderTemplate, parseTemplate, compareVersions, satisfies };
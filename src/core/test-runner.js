@@ -0,0 +1,248 @@
+/**
+ * Test Runner - Runs a generated project's tests in a child process
+ * Jest suites run with --json and a json-summary coverage report, so the
+ * results come back as numbers rather than console output to scrape. Projects
+ * generated before the Jest suites (`node --test`) still run, with their TAP
+ * summary parsed instead and no coverage.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DEFAULT_TIMEOUT = 120000;
+const OUTPUT_LIMIT = 20000; // characters of console output kept for error reports
+
+class TestRunner {
+  /**
+   * @param {Object} options - { timeout (ms), jestPath (jest/bin/jest.js to use when the project has none) }
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.jestPath = options.jestPath;
+  }
+
+  /**
+   * Run the project's test script
+   * @param {string} projectDir - Project directory (with package.json)
+   * @param {Object} options - { coverage (default true) }
+   * @returns {Object} { status: passed|failed|error, framework, passed, failed, skipped, total,
+   *   suites, coverage, failures: [{ file, test, message }], duration, error }
+   */
+  async run(projectDir, options = {}) {
+    const root = path.resolve(projectDir);
+    const started = Date.now();
+    let script;
+    try {
+      script = (JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).scripts || {}).test;
+    } catch (error) {
+      return this.errorResult(`No package.json in ${root}`, started);
+    }
+
+    if (script && /\bjest\b/.test(script)) return this.runJest(root, options.coverage !== false, started);
+    if (script && /^node\s+--test\b/.test(script)) return this.runNodeTest(root, script, started);
+    return this.errorResult(script
+      ? `Don't know how to read the results of "${script}"`
+      : 'The project has no test script', started);
+  }
+
+  async runJest(root, coverage, started) {
+    const jest = this.resolveJest(root);
+    if (!jest) return this.errorResult(`Jest isn't installed for this project yet. Run npm install in ${root} first.`, started);
+
+    const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-run-'));
+    const resultsFile = path.join(reportDir, 'results.json');
+    const args = [jest, '--json', `--outputFile=${resultsFile}`, '--ci', '--runInBand', '--colors=false'];
+    if (coverage) args.push('--coverage', '--coverageReporters=json-summary', `--coverageDirectory=${reportDir}`);
+
+    try {
+      const run = await this.spawn(args, root);
+      if (run.timedOut) return this.errorResult(`The tests were still running after ${this.timeout / 1000}s, so I stopped them`, started, run.output);
+
+      let report;
+      try {
+        report = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+      } catch (error) {
+        return this.errorResult('Jest stopped before reporting any results', started, run.output);
+      }
+      return this.result({
+        framework: 'jest',
+        passed: report.numPassedTests,
+        failed: report.numFailedTests,
+        skipped: report.numPendingTests + (report.numTodoTests || 0),
+        total: report.numTotalTests,
+        suites: { total: report.numTotalTestSuites, failed: report.numFailedTestSuites },
+        coverage: coverage ? readCoverage(path.join(reportDir, 'coverage-summary.json')) : null,
+        failures: jestFailures(report, root),
+        // A suite that fails to load has no failed tests, only a failed suite
+        ok: report.success && report.numFailedTestSuites === 0
+      }, started, run.output);
+    } finally {
+      fs.rmSync(reportDir, { recursive: true, force: true });
+    }
+  }
+
+  async runNodeTest(root, script, started) {
+    const run = await this.spawn(script.trim().split(/\s+/).slice(1), root);
+    if (run.timedOut) return this.errorResult(`The tests were still running after ${this.timeout / 1000}s, so I stopped them`, started, run.output);
+
+    const summary = parseTap(run.output);
+    if (summary.total === null) return this.errorResult('node --test stopped before reporting any results', started, run.output);
+    return this.result({
+      framework: 'node-test',
+      passed: summary.passed,
+      failed: summary.failed,
+      skipped: summary.skipped,
+      total: summary.total,
+      suites: null,
+      coverage: null,
+      failures: summary.failures,
+      ok: run.code === 0 && summary.failed === 0
+    }, started, run.output);
+  }
+
+  /**
+   * The project's own Jest, else the one this suite was installed with
+   * @param {string} root - Project directory
+   * @returns {string|null} Path to jest/bin/jest.js
+   */
+  resolveJest(root) {
+    const candidates = [
+      () => require.resolve('jest/bin/jest', { paths: [root] }),
+      () => this.jestPath || require.resolve('jest/bin/jest')
+    ];
+    for (const candidate of candidates) {
+      try {
+        const found = candidate();
+        fs.accessSync(found);
+        return found;
+      } catch (error) {
+        // Try the next one
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run node with arguments in the project, collecting output until it exits
+   * or the timeout kills it and its children
+   */
+  spawn(args, cwd) {
+    // Variables from a surrounding Jest run would make the child think it is one of its workers
+    const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('JEST_')));
+    env.CI = 'true';
+    env.NODE_ENV = 'test';
+
+    return new Promise(resolve => {
+      // In its own process group, so a timeout also stops the workers it started
+      const child = spawn(process.execPath, args, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+      let output = '';
+      let timedOut = false;
+      const collect = chunk => {
+        output = (output + chunk).slice(-OUTPUT_LIMIT);
+      };
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          child.kill('SIGKILL');
+        }
+      }, this.timeout);
+
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+      child.on('error', error => collect(`\n${error.message}\n`));
+      child.on('close', code => {
+        clearTimeout(timer);
+        resolve({ code, output, timedOut });
+      });
+    });
+  }
+
+  result(fields, started, output) {
+    const { ok, ...counts } = fields;
+    return {
+      status: ok && counts.failed === 0 ? 'passed' : 'failed',
+      ...counts,
+      duration: Date.now() - started,
+      error: null,
+      output
+    };
+  }
+
+  errorResult(message, started, output = '') {
+    return {
+      status: 'error',
+      framework: null,
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      total: 0,
+      suites: null,
+      coverage: null,
+      failures: [],
+      duration: Date.now() - started,
+      error: message,
+      output
+    };
+  }
+}
+
+/**
+ * Failed tests, and suites that failed before running any, from a Jest --json report
+ */
+function jestFailures(report, root) {
+  return report.testResults.flatMap(suite => {
+    const file = path.relative(root, suite.name);
+    const failed = suite.assertionResults.filter(test => test.status === 'failed');
+    if (failed.length === 0 && suite.status === 'failed') {
+      return [{ file, test: null, message: firstLines(suite.message) }];
+    }
+    return failed.map(test => ({ file, test: test.fullName, message: firstLines(test.failureMessages.join('\n')) }));
+  });
+}
+
+/**
+ * Totals and failed test names from node --test TAP output
+ */
+function parseTap(output) {
+  const count = label => {
+    const match = output.match(new RegExp(`^# ${label} (\\d+)$`, 'm'));
+    return match ? Number(match[1]) : null;
+  };
+  const failures = [...output.matchAll(/^\s*not ok \d+ - (.+)$/gm)]
+    .map(match => ({ file: null, test: match[1].replace(/\s+#.*$/, ''), message: '' }))
+    // Subtests report first; the file-level entry that wraps them adds nothing
+    .filter(failure => !/\.test\.js$/.test(failure.test));
+
+  return {
+    total: count('tests'),
+    passed: count('pass') || 0,
+    failed: count('fail') || 0,
+    skipped: (count('skipped') || 0) + (count('todo') || 0),
+    failures
+  };
+}
+
+function readCoverage(file) {
+  try {
+    const { total } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      lines: total.lines.pct,
+      statements: total.statements.pct,
+      functions: total.functions.pct,
+      branches: total.branches.pct
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function firstLines(text, lines = 6) {
+  // Drop any terminal colour codes
+  return String(text || '').replace(/\u001b\[[0-9;]*m/g, '').trim().split('\n').slice(0, lines).join('\n');
+}
+
+module.exports = { TestRunner, parseTap };
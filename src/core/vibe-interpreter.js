@@ -9,6 +9,50 @@ const { ContextAnalyzer } = require('./context-analyzer');
 const { TokenOptimizer } = require('./token-optimizer');
 const { VibeLearningEngine } = require('./vibe-learning-engine');
 
+// Standard term -> variations that mean the same thing in an app description
+const APP_SYNONYMS = {
+  'website': ['site', 'web app', 'web application'],
+  'ecommerce': ['online store', 'shop', 'store', 'marketplace'],
+  'blog': ['content site', 'articles', 'posts', 'writing'],
+  'portfolio': ['showcase', 'gallery', 'work samples'],
+  'dashboard': ['admin panel', 'control panel', 'management interface'],
+  'authentication': ['login', 'user accounts', 'sign in', 'auth'],
+  'responsive': ['mobile friendly', 'mobile optimized', 'works on mobile'],
+  'database': ['data storage', 'save data', 'store information']
+};
+
+/**
+ * Clean and normalize text input
+ * @param {string} text - Raw text
+ * @returns {string} Lowercased text with punctuation and extra whitespace removed
+ */
+function cleanText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize language variations
+ * @param {string} text - Input text
+ * @param {Object} synonyms - Standard term -> variations to replace with it
+ * @returns {string} Lowercased text using the standard terms
+ */
+function normalizeLanguage(text, synonyms = APP_SYNONYMS) {
+  let normalized = text.toLowerCase();
+
+  Object.entries(synonyms).forEach(([standard, variations]) => {
+    variations.forEach(variation => {
+      const regex = new RegExp(variation, 'gi');
+      normalized = normalized.replace(regex, standard);
+    });
+  });
+
+  return normalized;
+}
+
 class VibeInterpreter {
   constructor() {
     this.domainPatterns = new DomainPatternLibrary();
@@ -168,11 +212,7 @@ class VibeInterpreter {
    * @returns {string} Cleaned text
    */
   cleanText(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+    return cleanText(text);
   }
 
   /**
@@ -181,27 +221,7 @@ class VibeInterpreter {
    * @returns {string} Normalized text
    */
   normalizeLanguage(text) {
-    const synonyms = {
-      'website': ['site', 'web app', 'web application'],
-      'ecommerce': ['online store', 'shop', 'store', 'marketplace'],
-      'blog': ['content site', 'articles', 'posts', 'writing'],
-      'portfolio': ['showcase', 'gallery', 'work samples'],
-      'dashboard': ['admin panel', 'control panel', 'management interface'],
-      'authentication': ['login', 'user accounts', 'sign in', 'auth'],
-      'responsive': ['mobile friendly', 'mobile optimized', 'works on mobile'],
-      'database': ['data storage', 'save data', 'store information']
-    };
-
-    let normalized = text.toLowerCase();
-    
-    Object.entries(synonyms).forEach(([standard, variations]) => {
-      variations.forEach(variation => {
-        const regex = new RegExp(variation, 'gi');
-        normalized = normalized.replace(regex, standard);
-      });
-    });
-
-    return normalized;
+    return normalizeLanguage(text);
   }
 
   /**
@@ -677,4 +697,4 @@ class VibeInterpreter {
   }
 }
 
-module.exports = { VibeInterpreter };
\ No newline at end of file
+module.exports = { VibeInterpreter, cleanText, normalizeLanguage };
\ No newline at end of file
@@ -23,6 +23,7 @@ class XMLMetadataParser {
       workflow_steps: [],
       error_scenarios: [],
       validation_gates: [],
+      issue_categories: [],
       ai_meta: null
     };
 
@@ -47,6 +48,9 @@ class XMLMetadataParser {
           case 'validation_gates':
             metadata.validation_gates = this.parseValidationGates(innerContent);
             break;
+          case 'issue_categories':
+            metadata.issue_categories = this.parseIssueCategories(innerContent);
+            break;
           case 'ai_meta':
             metadata.ai_meta = parsedContent;
             break;
@@ -204,6 +208,42 @@ class XMLMetadataParser {
     return gates;
   }
 
+  /**
+   * Parse issue categories from XML content
+   * @param {string} content - Issue categories XML content
+   * @returns {Array} Array of issue category objects, common_issues as a list
+   */
+  parseIssueCategories(content) {
+    const categories = [];
+    const categoryRegex = /<category([^>]*)>([\s\S]*?)<\/category>/g;
+
+    let match;
+    while ((match = categoryRegex.exec(content)) !== null) {
+      const [, attributes, categoryContent] = match;
+      const categoryAttrs = this.parseAttributes(attributes);
+
+      const category = {
+        name: categoryAttrs.name || null,
+        ...categoryAttrs,
+        common_issues: []
+      };
+
+      const nestedElements = this.extractNestedTags(categoryContent);
+      nestedElements.forEach(({ tag, content: elemContent }) => {
+        if (tag === 'common_issues') {
+          category.common_issues = this.parseActionList(elemContent).map(issue => issue.replace(/^-\s*/, ''));
+        } else {
+          category[tag] = elemContent.trim();
+        }
+      });
+
+      categories.push(category);
+    }
+
+    categoryRegex.lastIndex = 0;
+    return categories;
+  }
+
   /**
    * Extract nested XML tags from content
    * @param {string} content - Content to parse
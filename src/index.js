@@ -337,6 +337,62 @@ ${chalk.dim('Type any command or describe what you want to build!')}
         this.displayHealthStatus(health);
       });
 
+    program
+      .command('templates [action] [source]')
+      .description('List template packs, or install one: templates install <dir>')
+      .action((action = 'list', source) => {
+        const { TemplateEngine } = require('./core/template-engine');
+        const engine = new TemplateEngine();
+        
+        if (action === 'install') {
+          if (!source) {
+            console.error(chalk.red('Tell me which directory to install: templates install <dir>'));
+            process.exitCode = 1;
+            return;
+          }
+          try {
+            const pack = engine.installPack(source);
+            console.log(chalk.green(`✅ Installed ${pack.name}@${pack.version} into ${pack.dir}`));
+          } catch (error) {
+            console.error(chalk.red(`Could not install template pack: ${error.message}`));
+            process.exitCode = 1;
+          }
+          return;
+        }
+        
+        this.displayTemplates(engine);
+      });
+
+    program
+      .command('preview [project]')
+      .description('Run an app locally and reload the browser as it changes')
+      .option('-p, --port <port>', 'port to serve it on', '4000')
+      .action(async (project, options) => {
+        const fs = require('fs');
+        const path = require('path');
+        const { PreviewCommand } = require('./core/commands/preview-command');
+        const command = new PreviewCommand({ port: Number(options.port) });
+        
+        // A path to a project, or the name of one in ./apps
+        let context = {};
+        if (project && fs.statSync(project, { throwIfNoEntry: false })?.isDirectory()) {
+          context = { projectDir: path.resolve(project) };
+        }
+        const result = await command.execute(project || '', context);
+        if (!result.success) {
+          console.error(chalk.red(result.message));
+          process.exitCode = 1;
+          return;
+        }
+        
+        console.log(chalk.green(`👀 ${result.message}`));
+        console.log(chalk.gray('Press Ctrl+C to stop.'));
+        process.once('SIGINT', async () => {
+          await command.stopAll();
+          process.exit(0);
+        });
+      });
+
     program
       .command('dashboard')
       .description('Show intelligence dashboard')
@@ -380,6 +436,21 @@ ${chalk.dim('Type any command or describe what you want to build!')}
     }
   }
 
+  displayTemplates(engine) {
+    console.log(chalk.blue('\n📦 Template Packs'));
+    console.log(chalk.blue('═'.repeat(50)));
+    
+    engine.listPacks().filter(pack => !pack.abstract).forEach(pack => {
+      const source = pack.source === 'user' ? chalk.magenta(' (yours)') : '';
+      console.log(`${chalk.bold(pack.name)} ${chalk.gray(pack.versions.join(', '))}${source}`);
+      console.log(`  ${pack.description}`);
+    });
+    
+    engine.invalidPacks.forEach(invalid => {
+      console.log(chalk.yellow(`⚠️  Skipped ${invalid.dir}: ${invalid.error}`));
+    });
+  }
+
   displayHealthStatus(health) {
     console.log(chalk.blue('\n🏥 System Health Status'));
     console.log(chalk.blue('═'.repeat(50)));
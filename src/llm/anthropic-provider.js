@@ -0,0 +1,97 @@
+/**
+ * Anthropic Provider - Claude models through the Messages API
+ * https://docs.anthropic.com/en/api/messages (streaming via server-sent events)
+ */
+
+const { LLMProvider, LLMError, readServerSentEvents } = require('./llm-provider');
+
+const API_VERSION = '2023-06-01';
+
+class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl, model, ...LLMProvider options }
+   */
+  constructor(options = {}) {
+    super({ model: 'claude-3-5-sonnet-latest', ...options });
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || 'https://api.anthropic.com').replace(/\/$/, '');
+  }
+
+  /**
+   * Messages API request body
+   */
+  buildBody(request, stream) {
+    const body = {
+      model: request.model,
+      max_tokens: request.maxTokens,
+      messages: request.messages.filter(message => message.role !== 'system'),
+      stream
+    };
+    if (request.system) body.system = request.system;
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    return body;
+  }
+
+  async post(request, stream, signal) {
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey || '',
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify(this.buildBody(request, stream)),
+      signal
+    });
+    return this.checkResponse(response);
+  }
+
+  async send(request, signal) {
+    const body = await (await this.post(request, false, signal)).json();
+    return {
+      text: (body.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: {
+        inputTokens: (body.usage && body.usage.input_tokens) || 0,
+        outputTokens: (body.usage && body.usage.output_tokens) || 0
+      },
+      model: body.model || request.model,
+      stopReason: body.stop_reason || null
+    };
+  }
+
+  async stream(request, onText, signal) {
+    const response = await this.post(request, true, signal);
+    const result = { text: '', usage: { inputTokens: 0, outputTokens: 0 }, model: request.model, stopReason: null };
+
+    for await (const { event, data } of readServerSentEvents(response.body)) {
+      const payload = JSON.parse(data);
+      switch (event) {
+        case 'message_start':
+          result.model = payload.message.model || result.model;
+          result.usage.inputTokens = (payload.message.usage && payload.message.usage.input_tokens) || 0;
+          break;
+        case 'content_block_delta':
+          if (payload.delta && payload.delta.type === 'text_delta') {
+            result.text += payload.delta.text;
+            onText(payload.delta.text);
+          }
+          break;
+        case 'message_delta':
+          if (payload.usage) result.usage.outputTokens = payload.usage.output_tokens || 0;
+          if (payload.delta && payload.delta.stop_reason) result.stopReason = payload.delta.stop_reason;
+          break;
+        case 'error':
+          throw new LLMError(`anthropic stream error: ${payload.error ? payload.error.message : data}`, {
+            retryable: Boolean(payload.error && payload.error.type === 'overloaded_error'),
+            provider: this.name
+          });
+        default:
+          break; // ping, content_block_start/stop, message_stop
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = { AnthropicProvider };
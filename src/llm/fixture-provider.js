@@ -0,0 +1,73 @@
+/**
+ * Fixture Provider - Replays recorded LLM responses for offline, deterministic runs
+ * Responses are keyed by a hash of the system prompt and messages. Give it a
+ * real provider as `record` and misses are fetched once and written to the
+ * fixture file, so a suite can be recorded against the API and replayed later.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LLMProvider, LLMError } = require('./llm-provider');
+
+class FixtureProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { fixtures, file, record (LLMProvider), ...LLMProvider options }
+   */
+  constructor(options = {}) {
+    super({ model: 'fixture', ...options });
+    this.name = 'fixture';
+    this.file = options.file || null;
+    this.recorder = options.record || null;
+    this.fixtures = options.fixtures || this.load();
+  }
+
+  load() {
+    if (!this.file) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {}; // Nothing recorded yet
+      throw error;
+    }
+  }
+
+  /**
+   * Stable key for a request: model and sampling settings don't change it
+   * @param {Object} request - Normalized request
+   * @returns {string} Fixture key
+   */
+  static keyFor(request) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ system: request.system || null, messages: request.messages }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  async send(request) {
+    const key = FixtureProvider.keyFor(request);
+    if (!this.fixtures[key]) {
+      if (!this.recorder) {
+        throw new LLMError(`No recorded response for this request (fixture ${key})`, { provider: this.name });
+      }
+      const { text, usage, model, stopReason } = await this.recorder.complete(request);
+      this.fixtures[key] = { text, usage, model, stopReason };
+      this.save();
+    }
+    return { ...this.fixtures[key] };
+  }
+
+  async stream(request, onText) {
+    const result = await this.send(request);
+    (result.text.match(/\S+\s*|\s+/g) || []).forEach(chunk => onText(chunk));
+    return result;
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.fixtures, null, 2) + '\n');
+  }
+}
+
+module.exports = { FixtureProvider };
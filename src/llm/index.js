@@ -0,0 +1,66 @@
+/**
+ * LLM - Provider factory and exports
+ * createProvider() picks a backend from config or the environment:
+ *   LLM_PROVIDER      anthropic | openai | fixture (default: whichever API key is set)
+ *   LLM_MODEL         model name override
+ *   LLM_BASE_URL      API base URL (OpenAI-compatible servers, proxies, the mock server)
+ *   LLM_TIMEOUT_MS    per-request timeout
+ *   LLM_MAX_RETRIES   retries for overloaded / rate-limited / network failures
+ *   LLM_FIXTURES      fixture file for the fixture provider
+ *   LLM_RECORD        with LLM_PROVIDER=fixture: record misses through this provider
+ */
+
+const { LLMProvider, LLMError, readServerSentEvents, RETRYABLE_STATUSES } = require('./llm-provider');
+const { AnthropicProvider } = require('./anthropic-provider');
+const { OpenAICompatibleProvider } = require('./openai-provider');
+const { FixtureProvider } = require('./fixture-provider');
+const { MockLLMServer } = require('./mock-server');
+
+/**
+ * Build a provider, or null when nothing is configured (callers fall back to simulation)
+ * @param {Object} config - { provider, model, baseUrl, apiKey, timeoutMs, retries, fixtures, record }
+ * @param {Object} env - Environment variables
+ * @returns {LLMProvider|null}
+ */
+function createProvider(config = {}, env = process.env) {
+  const type = config.provider || env.LLM_PROVIDER
+    || (env.ANTHROPIC_API_KEY ? 'anthropic' : env.OPENAI_API_KEY ? 'openai' : null);
+  if (!type || type === 'none') return null;
+
+  const retries = config.retries !== undefined ? config.retries : env.LLM_MAX_RETRIES;
+  const options = {
+    model: config.model || env.LLM_MODEL || undefined,
+    baseUrl: config.baseUrl || env.LLM_BASE_URL || undefined,
+    timeoutMs: Number(config.timeoutMs || env.LLM_TIMEOUT_MS) || undefined,
+    retry: retries !== undefined && retries !== '' ? { retries: Number(retries) } : undefined
+  };
+
+  switch (type) {
+    case 'anthropic':
+      return new AnthropicProvider({ ...options, apiKey: config.apiKey || env.ANTHROPIC_API_KEY });
+    case 'openai':
+      return new OpenAICompatibleProvider({ ...options, apiKey: config.apiKey || env.OPENAI_API_KEY });
+    case 'fixture': {
+      const recordType = config.record || env.LLM_RECORD;
+      return new FixtureProvider({
+        ...options,
+        file: config.fixtures || env.LLM_FIXTURES,
+        record: recordType ? createProvider({ ...config, provider: recordType, record: null }, { ...env, LLM_RECORD: '' }) : null
+      });
+    }
+    default:
+      throw new LLMError(`Unknown LLM provider "${type}" (expected anthropic, openai or fixture)`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  LLMProvider,
+  LLMError,
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  MockLLMServer,
+  readServerSentEvents,
+  RETRYABLE_STATUSES
+};
@@ -0,0 +1,225 @@
+/**
+ * LLM Provider - Base class for the language model backends specialists run on
+ * Subclasses implement send() and stream() for one wire format; this class adds
+ * timeouts, retries with exponential backoff and a common response shape.
+ */
+
+const DEFAULT_RETRY = { retries: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+class LLMError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} details - { status, retryable, retryAfterMs, provider }
+   */
+  constructor(message, { status = null, retryable = false, retryAfterMs = null, provider = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.provider = provider;
+  }
+}
+
+class LLMProvider {
+  /**
+   * @param {Object} options - { model, maxTokens, timeoutMs, retry: { retries, baseDelayMs, maxDelayMs }, sleep }
+   */
+  constructor(options = {}) {
+    this.name = 'base';
+    this.model = options.model || null;
+    this.maxTokens = options.maxTokens || 1024;
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.retry = { ...DEFAULT_RETRY, ...options.retry };
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Run a conversation to completion, streaming text to onText when given
+   * @param {Object} request - { system, messages: [{ role, content }], maxTokens, temperature, model }
+   * @param {Object} options - { onText(chunk), signal }
+   * @returns {Promise<Object>} { text, usage: { inputTokens, outputTokens, totalTokens }, model, stopReason, provider, attempts }
+   */
+  async complete(request, options = {}) {
+    const normalized = this.normalizeRequest(request);
+    let attempts = 0;
+    let streamed = false;
+    const onText = options.onText && (chunk => {
+      streamed = true;
+      options.onText(chunk);
+    });
+
+    for (;;) {
+      attempts++;
+      try {
+        const result = await this.withTimeout(signal => (onText
+          ? this.stream(normalized, onText, signal)
+          : this.send(normalized, signal)), options.signal);
+        return {
+          ...result,
+          usage: this.completeUsage(result.usage, normalized, result.text),
+          provider: this.name,
+          attempts
+        };
+      } catch (error) {
+        const failure = this.toLLMError(error, options.signal);
+        // A half-delivered stream can't be taken back, so only retry before the first chunk
+        if (!failure.retryable || streamed || attempts > this.retry.retries) {
+          failure.attempts = attempts;
+          throw failure;
+        }
+        await this.sleep(this.backoffDelay(attempts, failure));
+      }
+    }
+  }
+
+  /**
+   * One non-streaming request
+   * @returns {Promise<Object>} { text, usage, model, stopReason }
+   */
+  async send(request, signal) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+
+  /**
+   * One streaming request, calling onText for every text delta
+   * @returns {Promise<Object>} { text, usage, model, stopReason }
+   */
+  async stream(request, onText, signal) {
+    throw new Error(`${this.constructor.name} must implement stream()`);
+  }
+
+  /**
+   * Fill in defaults and accept a bare prompt string
+   * @param {Object|string} request - Request or prompt
+   * @returns {Object} Normalized request
+   */
+  normalizeRequest(request) {
+    const value = typeof request === 'string' ? { messages: [{ role: 'user', content: request }] } : request;
+    if (!value || !Array.isArray(value.messages) || value.messages.length === 0) {
+      throw new LLMError('A request needs at least one message', { provider: this.name });
+    }
+    return {
+      system: value.system || null,
+      messages: value.messages.map(message => ({ role: message.role || 'user', content: String(message.content) })),
+      maxTokens: value.maxTokens || this.maxTokens,
+      temperature: value.temperature,
+      model: value.model || this.model
+    };
+  }
+
+  /**
+   * Abort the request after timeoutMs, or when the caller's signal fires
+   */
+  async withTimeout(run, outerSignal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new LLMError(
+      `${this.name} request timed out after ${this.timeoutMs}ms`, { retryable: true, provider: this.name }
+    )), this.timeoutMs);
+    const cancel = () => controller.abort(outerSignal.reason);
+    if (outerSignal) outerSignal.addEventListener('abort', cancel, { once: true });
+
+    try {
+      return await run(controller.signal);
+    } catch (error) {
+      throw controller.signal.aborted && controller.signal.reason instanceof LLMError ? controller.signal.reason : error;
+    } finally {
+      clearTimeout(timer);
+      if (outerSignal) outerSignal.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Classify any failure: HTTP errors carry their status, network errors and timeouts are retryable
+   */
+  toLLMError(error, outerSignal) {
+    if (error instanceof LLMError) return error;
+    if (outerSignal && outerSignal.aborted) {
+      return new LLMError('Request cancelled', { provider: this.name });
+    }
+    const network = error.name === 'TypeError' || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE'].includes(error.code);
+    return new LLMError(error.message, { retryable: network, provider: this.name });
+  }
+
+  /**
+   * Exponential backoff with jitter; a Retry-After from the server wins
+   */
+  backoffDelay(attempt, failure) {
+    if (failure.retryAfterMs !== null) return Math.min(failure.retryAfterMs, this.retry.maxDelayMs);
+    const delay = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(delay * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * Throw an LLMError for a non-2xx response
+   * @param {Response} response - fetch response
+   */
+  async checkResponse(response) {
+    if (response.ok) return response;
+
+    let detail = '';
+    try {
+      const body = await response.json();
+      detail = (body.error && (body.error.message || body.error)) || body.message || '';
+    } catch (error) {
+      // Not JSON - the status says enough
+    }
+    const retryAfter = Number(response.headers.get('retry-after'));
+    throw new LLMError(`${this.name} API error ${response.status}${detail ? `: ${detail}` : ''}`, {
+      status: response.status,
+      retryable: RETRYABLE_STATUSES.includes(response.status),
+      retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null,
+      provider: this.name
+    });
+  }
+
+  /**
+   * Providers that don't report usage get a rough 4-characters-per-token estimate
+   */
+  completeUsage(usage, request, text) {
+    if (usage && (usage.inputTokens || usage.outputTokens)) {
+      return { ...usage, totalTokens: usage.inputTokens + usage.outputTokens, estimated: false };
+    }
+    const estimate = value => Math.ceil(String(value || '').length / 4);
+    const inputTokens = estimate(request.system) + request.messages.reduce((sum, message) => sum + estimate(message.content), 0);
+    const outputTokens = estimate(text);
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: true };
+  }
+}
+
+/**
+ * Parse a text/event-stream body into { event, data } messages
+ * @param {ReadableStream} body - fetch response body
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parse = block => {
+    const message = { event: 'message', data: [] };
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith(':')) return; // comment / keep-alive
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') message.event = value;
+      if (field === 'data') message.data.push(value);
+    });
+    return message.data.length > 0 ? { event: message.event, data: message.data.join('\n') } : null;
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const message = parse(block);
+      if (message) yield message;
+    }
+  }
+  const last = parse(buffer + decoder.decode());
+  if (last) yield last;
+}
+
+module.exports = { LLMProvider, LLMError, readServerSentEvents, RETRYABLE_STATUSES };
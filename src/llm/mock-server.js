@@ -0,0 +1,172 @@
+/**
+ * Mock LLM Server - Local HTTP server speaking the Anthropic and OpenAI wire formats
+ * Lets the real providers run offline (tests, demos, CI): replies come from a
+ * responder function, streaming included, and failures or slow responses can
+ * be queued to exercise retries and timeouts.
+ */
+
+const http = require('http');
+
+const estimateTokens = text => Math.max(1, Math.ceil(String(text || '').length / 4));
+
+class MockLLMServer {
+  /**
+   * @param {Object} options - { respond(request) -> string, delayMs }
+   */
+  constructor(options = {}) {
+    this.respond = options.respond || (request => {
+      const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+      return `Mock reply to: ${lastUser ? String(lastUser.content).slice(0, 80) : 'nothing'}`;
+    });
+    this.delayMs = options.delayMs || 0;
+    this.failures = [];
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Make the next `count` requests fail with an HTTP status
+   * @param {number} count - How many requests fail
+   * @param {number} status - Status code (529 overloaded, 429 rate limited, 400 bad request...)
+   * @param {Object} headers - Extra response headers, e.g. { 'retry-after': '1' }
+   */
+  failNext(count = 1, status = 529, headers = {}) {
+    for (let i = 0; i < count; i++) this.failures.push({ status, headers });
+    return this;
+  }
+
+  /**
+   * Listen on 127.0.0.1 (port 0 picks a free one); resolves with the base URL
+   */
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise(resolve => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : {};
+    const format = req.url === '/v1/messages' ? 'anthropic'
+      : /\/chat\/completions$/.test(req.url) ? 'openai'
+        : null;
+    this.requests.push({ method: req.method, path: req.url, headers: req.headers, body, format });
+
+    if (this.delayMs) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    if (res.destroyed) return;
+
+    if (!format) {
+      return this.sendJson(res, 404, { error: { type: 'not_found_error', message: `No mock route for ${req.url}` } });
+    }
+    const failure = this.failures.shift();
+    if (failure) {
+      return this.sendJson(res, failure.status, {
+        error: { type: failure.status === 529 ? 'overloaded_error' : 'api_error', message: 'Injected failure' }
+      }, failure.headers);
+    }
+
+    const request = this.normalize(body, format);
+    const text = String(await this.respond(request));
+    const usage = {
+      inputTokens: estimateTokens((request.system || '') + request.messages.map(message => message.content).join('')),
+      outputTokens: estimateTokens(text)
+    };
+    const reply = format === 'anthropic' ? this.anthropicReply : this.openaiReply;
+    reply.call(this, res, { text, usage, model: request.model || 'mock-model', stream: Boolean(body.stream) });
+  }
+
+  normalize(body, format) {
+    const messages = (body.messages || []).map(message => ({ role: message.role, content: message.content }));
+    const system = format === 'anthropic'
+      ? body.system || null
+      : (messages.find(message => message.role === 'system') || {}).content || null;
+    return {
+      format,
+      model: body.model,
+      system,
+      messages: messages.filter(message => message.role !== 'system'),
+      maxTokens: body.max_tokens
+    };
+  }
+
+  anthropicReply(res, { text, usage, model, stream }) {
+    if (!stream) {
+      return this.sendJson(res, 200, {
+        id: 'msg_mock',
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [{ type: 'text', text }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: usage.inputTokens, output_tokens: usage.outputTokens }
+      });
+    }
+
+    const events = [
+      ['message_start', { type: 'message_start', message: { id: 'msg_mock', model, usage: { input_tokens: usage.inputTokens, output_tokens: 1 } } }],
+      ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+      ...this.chunks(text).map(chunk => ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: chunk } }]),
+      ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+      ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.outputTokens } }],
+      ['message_stop', { type: 'message_stop' }]
+    ];
+    this.sendEvents(res, events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+  }
+
+  openaiReply(res, { text, usage, model, stream }) {
+    const openaiUsage = {
+      prompt_tokens: usage.inputTokens,
+      completion_tokens: usage.outputTokens,
+      total_tokens: usage.inputTokens + usage.outputTokens
+    };
+    if (!stream) {
+      return this.sendJson(res, 200, {
+        id: 'chatcmpl-mock',
+        object: 'chat.completion',
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+        usage: openaiUsage
+      });
+    }
+
+    const chunk = (choices, extra = {}) => ({ id: 'chatcmpl-mock', object: 'chat.completion.chunk', model, choices, ...extra });
+    const events = [
+      ...this.chunks(text).map(content => chunk([{ index: 0, delta: { content } }])),
+      chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]),
+      chunk([], { usage: openaiUsage })
+    ];
+    this.sendEvents(res, [...events.map(data => `data: ${JSON.stringify(data)}\n\n`), 'data: [DONE]\n\n']);
+  }
+
+  // Word-sized deltas, like a real stream
+  chunks(text) {
+    return text.match(/\S+\s*|\s+/g) || [''];
+  }
+
+  sendEvents(res, messages) {
+    res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' });
+    messages.forEach(message => res.write(message));
+    res.end();
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = { MockLLMServer };
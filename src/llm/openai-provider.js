@@ -0,0 +1,91 @@
+/**
+ * OpenAI-compatible Provider - any /chat/completions endpoint
+ * Works with OpenAI itself and with compatible servers (Ollama, vLLM, LM Studio, OpenRouter)
+ */
+
+const { LLMProvider, LLMError, readServerSentEvents } = require('./llm-provider');
+
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl (…/v1), model, ...LLMProvider options }
+   */
+  constructor(options = {}) {
+    super({ model: 'gpt-4o-mini', ...options });
+    this.name = options.name || 'openai';
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+  }
+
+  /**
+   * Chat completions request body; the system prompt becomes the first message
+   */
+  buildBody(request, stream) {
+    const body = {
+      model: request.model,
+      max_tokens: request.maxTokens,
+      messages: [
+        ...(request.system ? [{ role: 'system', content: request.system }] : []),
+        ...request.messages
+      ],
+      stream
+    };
+    if (stream) body.stream_options = { include_usage: true };
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    return body;
+  }
+
+  async post(request, stream, signal) {
+    const headers = { 'content-type': 'application/json' };
+    if (this.apiKey) headers.authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(this.buildBody(request, stream)),
+      signal
+    });
+    return this.checkResponse(response);
+  }
+
+  async send(request, signal) {
+    const body = await (await this.post(request, false, signal)).json();
+    const choice = (body.choices || [])[0] || {};
+    return {
+      text: (choice.message && choice.message.content) || '',
+      usage: this.readUsage(body.usage),
+      model: body.model || request.model,
+      stopReason: choice.finish_reason || null
+    };
+  }
+
+  async stream(request, onText, signal) {
+    const response = await this.post(request, true, signal);
+    const result = { text: '', usage: null, model: request.model, stopReason: null };
+
+    for await (const { data } of readServerSentEvents(response.body)) {
+      if (data === '[DONE]') break;
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new LLMError(`${this.name} stream error: ${chunk.error.message || data}`, { provider: this.name });
+      }
+
+      result.model = chunk.model || result.model;
+      if (chunk.usage) result.usage = this.readUsage(chunk.usage);
+      const choice = (chunk.choices || [])[0];
+      if (!choice) continue;
+      if (choice.delta && choice.delta.content) {
+        result.text += choice.delta.content;
+        onText(choice.delta.content);
+      }
+      if (choice.finish_reason) result.stopReason = choice.finish_reason;
+    }
+    return result;
+  }
+
+  readUsage(usage) {
+    if (!usage) return null;
+    return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { sendMail } = require('./smtp-client');
+
+// Reminder channels. Each has a name (part of the delivery key, so keep it
+// stable) and send(reminder, { workspace, taskManager }), which resolves
+// { detail } when delivered or { skipped: true, detail } when there was nobody
+// to deliver to, and throws to have the scheduler retry.
+
+// Pushes the reminder to browsers following the task list over the live feed
+class WebSocketChannel {
+    constructor(taskFeed) {
+        this.name = 'websocket';
+        this.taskFeed = taskFeed;
+    }
+
+    async send(reminder, { taskManager }) {
+        const clients = this.taskFeed.notify(taskManager, { type: 'reminder', reminder, at: new Date() });
+        if (clients === 0) return { skipped: true, detail: 'No clients connected' };
+        return { detail: `Pushed to ${clients} client${clients === 1 ? '' : 's'}` };
+    }
+}
+
+// POSTs { event, reminder } as JSON. With a secret the body is signed:
+// X-Reminder-Signature: sha256=<hex HMAC of the raw body>
+class WebhookChannel {
+    constructor({ url, secret = null, timeoutMs = 10000 }) {
+        this.name = 'webhook';
+        this.url = url;
+        this.secret = secret;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async send(reminder) {
+        const body = JSON.stringify({ event: 'task.reminder', reminder });
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.secret) {
+            headers['X-Reminder-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook responded ${response.status}`);
+        }
+        return { detail: `HTTP ${response.status}` };
+    }
+}
+
+// Mails the reminder through an SMTP server (a local relay or a test sink).
+// With accounts it goes to the assignee, or to the workspace owners when the
+// task is unassigned; the configured `to` addresses are the fallback.
+class EmailChannel {
+    constructor({ host, port = 25, from = 'reminders@localhost', to = [], timeoutMs = 10000 }, accounts = null) {
+        this.name = 'email';
+        this.smtp = { host, port, from, timeoutMs };
+        this.to = Array.isArray(to) ? to : [to];
+        this.accounts = accounts;
+    }
+
+    recipients(reminder) {
+        const workspace = this.accounts && reminder.workspace && this.accounts.getWorkspace(reminder.workspace.id);
+        if (workspace) {
+            const userIds = reminder.assigneeId
+                ? [reminder.assigneeId]
+                : workspace.members.filter(member => member.role === 'owner').map(member => member.userId);
+            const emails = userIds
+                .map(userId => this.accounts.getUser(userId))
+                .filter(Boolean)
+                .map(user => user.email);
+            if (emails.length > 0) return emails;
+        }
+        return this.to;
+    }
+
+    async send(reminder) {
+        const to = this.recipients(reminder);
+        if (to.length === 0) return { skipped: true, detail: 'No recipient address' };
+
+        const lines = [
+            reminder.message,
+            '',
+            `Deadline: ${new Date(reminder.deadline).toLocaleString()}`
+        ];
+        if (reminder.workspace) lines.push(`Workspace: ${reminder.workspace.name}`);
+
+        await sendMail({
+            ...this.smtp,
+            to,
+            subject: `Reminder: ${reminder.title}`,
+            text: lines.join('\n')
+        });
+        return { detail: `Sent to ${to.join(', ')}` };
+    }
+}
+
+module.exports = { WebSocketChannel, WebhookChannel, EmailChannel };
@@ -0,0 +1,251 @@
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DEFAULT_OFFSETS = [60]; // minutes before the deadline, for tasks without their own
+const RETRY_DELAYS_MS = [MINUTE_MS, 5 * MINUTE_MS, 15 * MINUTE_MS];
+const LOG_LIMIT = 200;
+const STALE_MS = DAY_MS;     // deadlines further in the past than this get no reminder
+const KEEP_MS = 7 * DAY_MS;  // delivery records are dropped this long after the deadline
+
+const EMPTY_STATE = () => ({ deliveries: {}, log: [] });
+
+// "due in 1 hour", "due now", "was due 5 minutes ago"
+function describeDue(ms) {
+    const minutes = Math.round(Math.abs(ms) / MINUTE_MS);
+    if (minutes === 0) return 'is due now';
+    let [amount, unit] = [minutes, 'minute'];
+    if (minutes >= 2 * 24 * 60) [amount, unit] = [Math.round(minutes / (24 * 60)), 'day'];
+    else if (minutes >= 120 || minutes === 60) [amount, unit] = [Math.round(minutes / 60), 'hour'];
+    const span = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    return ms > 0 ? `is due in ${span}` : `was due ${span} ago`;
+}
+
+// Background job that reminds people of upcoming deadlines.
+// Every interval it walks the open tasks of each task list from sources(),
+// works out which reminder offsets have come due and hands each reminder to
+// every channel. Delivery state lives in the task list's own storage (meta
+// "reminders"), so a restart neither loses nor repeats reminders: a reminder
+// is identified by task, deadline, offset and channel, and moving the deadline
+// makes a new one. Failed sends are retried after RETRY_DELAYS_MS and then
+// given up on.
+class ReminderScheduler {
+    constructor({
+        sources,
+        channels = [],
+        intervalMs = 30000,
+        defaultOffsets = DEFAULT_OFFSETS,
+        retryDelays = RETRY_DELAYS_MS,
+        now = () => new Date()
+    } = {}) {
+        this.sources = sources; // async () => [{ workspace, taskManager }]
+        this.channels = channels;
+        this.intervalMs = intervalMs;
+        this.defaultOffsets = defaultOffsets;
+        this.retryDelays = retryDelays;
+        this.now = now;
+        this.timer = null;
+        this.running = null;
+        this.lastRun = null;
+        this.lastError = null;
+    }
+
+    start() {
+        if (this.timer) return this;
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.timer.unref();
+        this.tick();
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        return this.running || Promise.resolve();
+    }
+
+    // One pass over every task list; overlapping ticks share the pass in progress
+    tick() {
+        if (!this.running) {
+            this.running = this.run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async run() {
+        try {
+            for (const source of await this.sources()) {
+                await this.scan(source);
+            }
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error('Reminder scheduler failed:', error.message);
+        }
+        this.lastRun = this.now();
+    }
+
+    async scan({ workspace = null, taskManager }) {
+        const now = this.now();
+        const state = this.load(taskManager);
+        let changed = this.prune(state, now);
+
+        for (const { task, offset, superseded } of this.dueReminders(taskManager, now)) {
+            const reminder = this.buildReminder(task, offset, workspace, now);
+
+            for (const channel of this.channels) {
+                // Several offsets came due at once (server was down, deadline moved closer):
+                // only the latest one goes out, the earlier ones are recorded as skipped
+                superseded.forEach(earlier => {
+                    const key = this.keyFor(task, earlier, channel);
+                    if (state.deliveries[key]) return;
+                    this.record(state, key, {
+                        ...this.buildReminder(task, earlier, workspace, now),
+                        channel: channel.name,
+                        status: 'skipped',
+                        attempts: 0,
+                        detail: `Superseded by the ${offset}-minute reminder`
+                    }, now);
+                    changed = true;
+                });
+
+                const key = this.keyFor(task, offset, channel);
+                const previous = state.deliveries[key];
+                if (previous && !(previous.status === 'retrying' && new Date(previous.nextAttemptAt) <= now)) {
+                    continue;
+                }
+
+                await this.deliver(state, key, channel, reminder, { workspace, taskManager }, previous, now);
+                changed = true;
+            }
+        }
+
+        if (changed) this.save(taskManager, state);
+    }
+
+    // Open tasks with at least one offset past its firing time: the smallest such
+    // offset is the one to send
+    dueReminders(taskManager, now) {
+        const due = [];
+        taskManager.tasks.forEach(task => {
+            if (task.completed || !task.deadline) return;
+            const deadline = new Date(task.deadline).getTime();
+            if (isNaN(deadline) || deadline < now.getTime() - STALE_MS) return;
+
+            const offsets = (task.reminders || this.defaultOffsets)
+                .filter(offset => deadline - offset * MINUTE_MS <= now.getTime())
+                .sort((a, b) => a - b);
+            if (offsets.length === 0) return;
+            due.push({ task, offset: offsets[0], superseded: offsets.slice(1) });
+        });
+        return due;
+    }
+
+    async deliver(state, key, channel, reminder, context, previous, now) {
+        const attempts = (previous ? previous.attempts : 0) + 1;
+        const entry = { ...reminder, channel: channel.name, attempts };
+
+        try {
+            const result = (await channel.send(reminder, context)) || {};
+            entry.status = result.skipped ? 'skipped' : 'delivered';
+            entry.detail = result.detail || null;
+        } catch (error) {
+            const delay = this.retryDelays[attempts - 1];
+            entry.status = delay !== undefined ? 'retrying' : 'failed';
+            entry.error = error.message;
+            if (delay !== undefined) entry.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+        }
+
+        this.record(state, key, entry, now);
+    }
+
+    record(state, key, entry, now) {
+        const delivery = { key, ...entry, at: now.toISOString() };
+        state.deliveries[key] = delivery;
+        state.log.unshift(delivery);
+        state.log.length = Math.min(state.log.length, LOG_LIMIT);
+    }
+
+    buildReminder(task, offset, workspace, now) {
+        const deadline = new Date(task.deadline);
+        return {
+            taskId: task.id,
+            title: task.title,
+            deadline: deadline.toISOString(),
+            offset,
+            assigneeId: task.assigneeId || null,
+            workspace: workspace ? { id: workspace.id, name: workspace.name } : null,
+            message: `"${task.title}" ${describeDue(deadline.getTime() - now.getTime())}`
+        };
+    }
+
+    keyFor(task, offset, channel) {
+        return `${task.id}:${new Date(task.deadline).toISOString()}:${offset}:${channel.name}`;
+    }
+
+    // Forget deliveries for deadlines long gone
+    prune(state, now) {
+        const cutoff = now.getTime() - KEEP_MS;
+        let pruned = false;
+        Object.entries(state.deliveries).forEach(([key, delivery]) => {
+            if (new Date(delivery.deadline).getTime() < cutoff) {
+                delete state.deliveries[key];
+                pruned = true;
+            }
+        });
+        return pruned;
+    }
+
+    load(taskManager) {
+        return { ...EMPTY_STATE(), ...taskManager.storage.getMeta('reminders', EMPTY_STATE()) };
+    }
+
+    save(taskManager, state) {
+        taskManager.storage.setMeta('reminders', state);
+    }
+
+    // Delivery log of one task list, newest first
+    getLog(taskManager, { limit = 50, status, taskId } = {}) {
+        const entries = this.load(taskManager).log.filter(entry =>
+            (!status || entry.status === status) && (taskId === undefined || entry.taskId === taskId));
+        return { entries: entries.slice(0, limit), total: entries.length };
+    }
+
+    // Reminders that will fire before `until`, soonest first
+    upcoming(taskManager, { until } = {}) {
+        const now = this.now();
+        const end = until || new Date(now.getTime() + DAY_MS);
+        const result = [];
+        taskManager.tasks.forEach(task => {
+            if (task.completed || !task.deadline) return;
+            const deadline = new Date(task.deadline).getTime();
+            (task.reminders || this.defaultOffsets).forEach(offset => {
+                const fireAt = deadline - offset * MINUTE_MS;
+                if (fireAt > now.getTime() && fireAt <= end.getTime()) {
+                    result.push({
+                        taskId: task.id,
+                        title: task.title,
+                        deadline: new Date(deadline).toISOString(),
+                        offset,
+                        fireAt: new Date(fireAt).toISOString()
+                    });
+                }
+            });
+        });
+        return result.sort((a, b) => a.fireAt.localeCompare(b.fireAt));
+    }
+
+    describe() {
+        return {
+            running: Boolean(this.timer),
+            intervalMs: this.intervalMs,
+            defaultOffsets: this.defaultOffsets,
+            channels: this.channels.map(channel => channel.name),
+            lastRun: this.lastRun,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = { ReminderScheduler, describeDue };
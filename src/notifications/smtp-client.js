@@ -0,0 +1,110 @@
+const net = require('net');
+const os = require('os');
+
+// Header values and addresses end up on their own line of the conversation, so
+// a CR or LF in one would start a new header or SMTP command.
+function assertSingleLine(value, name) {
+    if (/[\r\n]/.test(value)) throw new Error(`Mail ${name} must not contain line breaks`);
+    return value;
+}
+
+// RFC 2047: non-ASCII subjects go out as base64 encoded-words of at most 75
+// characters, split between characters so no UTF-8 sequence is cut in half.
+function encodeHeader(value) {
+    const text = String(value).replace(/\s*[\r\n]+\s*/g, ' ');
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+    const words = [];
+    let chunk = '';
+    for (const char of text) {
+        if (Buffer.byteLength(chunk + char) > 45) { // 45 bytes = 60 base64 characters
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+// Just enough SMTP to hand a plain-text message to a local relay or a test
+// mail sink (MailHog, smtp4dev, Mailpit): no TLS and no authentication.
+function sendMail({ host, port = 25, from, to, subject, text, timeoutMs = 10000 }) {
+    const recipients = Array.isArray(to) ? to : [to];
+
+    return new Promise((resolve, reject) => {
+        assertSingleLine(from, 'sender');
+        recipients.forEach(recipient => assertSingleLine(recipient, 'recipient'));
+
+        const socket = net.createConnection({ host, port });
+        let buffer = '';
+        let waiting = null;
+        let settled = false;
+
+        const finish = error => {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            if (error) reject(error);
+            else resolve({ accepted: recipients });
+        };
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeoutMs, () => finish(new Error(`SMTP server ${host}:${port} timed out`)));
+        socket.on('error', error => finish(error));
+        socket.on('close', () => finish(new Error('SMTP connection closed early')));
+
+        // A reply is complete once a line has a space after its code ("250 OK", not "250-SIZE")
+        const drain = () => {
+            if (!waiting) return;
+            const lines = buffer.split('\r\n').slice(0, -1); // the last piece is unterminated
+            const last = lines.findIndex(line => /^\d{3}( |$)/.test(line));
+            if (last === -1) return;
+            buffer = buffer.split('\r\n').slice(last + 1).join('\r\n');
+            const reply = { code: Number(lines[last].slice(0, 3)), text: lines.slice(0, last + 1).join('\n') };
+            const next = waiting;
+            waiting = null;
+            next(reply);
+        };
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            drain();
+        });
+
+        const expect = (codes, command) => new Promise((done, fail) => {
+            waiting = reply => (codes.includes(reply.code)
+                ? done(reply)
+                : fail(new Error(`SMTP ${command ? command.split(/[ :\r]/)[0] : 'greeting'} failed: ${reply.text}`)));
+            if (command) socket.write(`${command}\r\n`);
+            drain();
+        });
+
+        const message = [
+            `From: ${from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: ${encodeHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            // Dot-stuffing: a line starting with "." would otherwise end the message
+            ...text.split(/\r\n|\r|\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+        ].join('\r\n');
+
+        (async () => {
+            await expect([220]);
+            await expect([250], `EHLO ${os.hostname() || 'localhost'}`);
+            await expect([250], `MAIL FROM:<${from}>`);
+            for (const recipient of recipients) {
+                await expect([250, 251], `RCPT TO:<${recipient}>`);
+            }
+            await expect([354], 'DATA');
+            await expect([250], `${message}\r\n.`);
+            socket.write('QUIT\r\n');
+            finish();
+        })().catch(finish);
+    });
+}
+
+module.exports = { sendMail, encodeHeader };
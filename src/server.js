@@ -2,13 +2,38 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const TaskAPI = require('./api/task-api');
+const SettingsAPI = require('./api/settings-api');
+const AnalyticsAPI = require('./api/analytics-api');
+const PlannerAPI = require('./api/planner-api');
+const TaskFeed = require('./api/task-feed');
+const AuthAPI = require('./api/auth-api');
+const WorkspaceAPI = require('./api/workspace-api');
+const ReminderAPI = require('./api/reminder-api');
+const { ReminderScheduler } = require('./notifications/reminder-scheduler');
+const { WebSocketChannel, WebhookChannel, EmailChannel } = require('./notifications/channels');
 const chalk = require('chalk');
 
 class TaskAppServer {
-    constructor(port = 3000) {
+    constructor(port = 3000, options = {}) {
         this.app = express();
         this.port = port;
-        this.taskAPI = new TaskAPI();
+        // Accounts and workspaces are on unless disabled (TASK_AUTH=off keeps the old single shared list)
+        this.authEnabled = options.auth !== undefined ? Boolean(options.auth) : process.env.TASK_AUTH !== 'off';
+        this.corsOrigins = TaskAppServer.resolveCorsOrigins(options.corsOrigins);
+        this.taskAPI = new TaskAPI({ storage: options.storage, auth: this.authEnabled });
+        this.settingsAPI = new SettingsAPI(this.taskAPI.access);
+        this.analyticsAPI = new AnalyticsAPI(this.taskAPI.access);
+        this.plannerAPI = new PlannerAPI(this.taskAPI.access);
+        this.taskFeed = new TaskFeed(this.taskAPI.taskManager, {
+            access: this.authEnabled ? this.taskAPI.access : null
+        });
+        this.reminderConfig = this.resolveReminderConfig(options.reminders);
+        this.reminders = this.createReminderScheduler(this.reminderConfig);
+        this.reminderAPI = new ReminderAPI(this.taskAPI.access, this.reminders);
+        if (this.authEnabled) {
+            this.authAPI = new AuthAPI(this.taskAPI.accounts, this.taskAPI.access);
+            this.workspaceAPI = new WorkspaceAPI(this.taskAPI.accounts, this.taskAPI.workspaces, this.taskAPI.access);
+        }
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
@@ -19,14 +44,20 @@ class TaskAppServer {
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true }));
 
-        // CORS for development
+        // CORS: only origins listed in CORS_ORIGINS (the app itself is same-origin and needs none)
         this.app.use((req, res, next) => {
-            res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-            
+            const origin = req.get('Origin');
+            const allowed = origin && (this.corsOrigins.includes('*') || this.corsOrigins.includes(origin));
+
+            if (allowed) {
+                res.header('Access-Control-Allow-Origin', origin);
+                res.header('Vary', 'Origin');
+                res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+                res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Workspace-Id');
+            }
+
             if (req.method === 'OPTIONS') {
-                res.sendStatus(200);
+                res.sendStatus(allowed || !origin ? 204 : 403);
             } else {
                 next();
             }
@@ -39,9 +70,69 @@ class TaskAppServer {
         });
     }
 
+    // Comma-separated list from options or CORS_ORIGINS, e.g. "http://localhost:5173,https://tasks.example.com"
+    static resolveCorsOrigins(origins) {
+        const list = origins !== undefined ? origins : process.env.CORS_ORIGINS || '';
+        return (Array.isArray(list) ? list : String(list).split(','))
+            .map(origin => origin.trim())
+            .filter(Boolean);
+    }
+
+    // Reminders are on unless REMINDERS=off. The live feed always gets them; a
+    // webhook (REMINDER_WEBHOOK_URL, REMINDER_WEBHOOK_SECRET) and email
+    // (SMTP_HOST, SMTP_PORT, SMTP_FROM, REMINDER_EMAIL_TO) only when configured.
+    // REMINDER_OFFSETS sets the default offsets for tasks without their own, e.g. "1d,1h".
+    resolveReminderConfig(config = {}) {
+        const env = process.env;
+        const list = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+        const offsets = config.defaultOffsets || (env.REMINDER_OFFSETS
+            ? list(env.REMINDER_OFFSETS).map(offset => (/^\d+$/.test(offset) ? Number(offset) : offset))
+            : [60]);
+
+        return {
+            enabled: config.enabled !== undefined ? Boolean(config.enabled) : env.REMINDERS !== 'off',
+            intervalMs: config.intervalMs || parseInt(env.REMINDER_INTERVAL_MS) || 30000,
+            defaultOffsets: this.taskAPI.parseReminders(offsets),
+            webhook: config.webhook !== undefined ? config.webhook : (env.REMINDER_WEBHOOK_URL
+                ? { url: env.REMINDER_WEBHOOK_URL, secret: env.REMINDER_WEBHOOK_SECRET || null }
+                : null),
+            email: config.email !== undefined ? config.email : (env.SMTP_HOST
+                ? {
+                    host: env.SMTP_HOST,
+                    port: parseInt(env.SMTP_PORT) || 25,
+                    from: env.SMTP_FROM || 'reminders@localhost',
+                    to: list(env.REMINDER_EMAIL_TO)
+                }
+                : null)
+        };
+    }
+
+    createReminderScheduler(config) {
+        const channels = [new WebSocketChannel(this.taskFeed)];
+        if (config.webhook) channels.push(new WebhookChannel(config.webhook));
+        if (config.email) channels.push(new EmailChannel(config.email, this.taskAPI.accounts));
+
+        return new ReminderScheduler({
+            sources: () => this.taskAPI.listTaskManagers(),
+            channels,
+            intervalMs: config.intervalMs,
+            defaultOffsets: config.defaultOffsets
+        });
+    }
+
     setupRoutes() {
+        // Account and workspace routes (only with auth enabled)
+        if (this.authEnabled) {
+            this.app.use('/api/auth', this.authAPI.getRouter());
+            this.app.use('/api/workspaces', this.workspaceAPI.getRouter());
+        }
+
         // Task API routes
         this.app.use('/api/tasks', this.taskAPI.getRouter());
+        this.app.use('/api/settings', this.settingsAPI.getRouter());
+        this.app.use('/api/analytics', this.analyticsAPI.getRouter());
+        this.app.use('/api/planner', this.plannerAPI.getRouter());
+        this.app.use('/api/reminders', this.reminderAPI.getRouter());
 
         // Serve the task app frontend
         this.app.get('/tasks', (req, res) => {
@@ -176,8 +267,12 @@ class TaskAppServer {
                     </div>
                     
                     <script>
-                        // Load quick stats
-                        fetch('/api/tasks/analytics/insights')
+                        // Load quick stats for the signed-in user's workspace (saved by the task app)
+                        const auth = JSON.parse(localStorage.getItem('taskAuth') || '{}');
+                        const headers = auth.token
+                            ? { Authorization: 'Bearer ' + auth.token, 'X-Workspace-Id': auth.workspaceId || '' }
+                            : {};
+                        fetch('/api/tasks/analytics/insights', { headers })
                             .then(res => res.json())
                             .then(data => {
                                 if (data.success) {
@@ -193,24 +288,32 @@ class TaskAppServer {
             `);
         });
 
-        // Health check endpoint
+        // Health check endpoint - task figures only in single-user mode, they'd leak a workspace otherwise
         this.app.get('/health', (req, res) => {
             const taskManager = this.taskAPI.getTaskManager();
-            const insights = taskManager.getInsights();
-            
-            res.json({
+            const health = {
                 success: true,
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
                 services: {
                     taskAPI: 'operational',
-                    taskManager: 'operational'
-                },
-                data: {
+                    taskManager: 'operational',
+                    taskFeed: this.taskFeed.wss ? 'operational' : 'not started',
+                    reminders: !this.reminderConfig.enabled ? 'disabled'
+                        : this.reminders.lastError ? 'degraded'
+                            : this.reminders.timer ? 'operational' : 'not started',
+                    auth: this.authEnabled ? 'enabled' : 'disabled'
+                }
+            };
+
+            if (taskManager) {
+                const insights = taskManager.getInsights();
+                health.data = {
                     totalTasks: insights.totalTasks,
                     completionRate: insights.completionRate
-                }
-            });
+                };
+            }
+            res.json(health);
         });
 
         // API documentation endpoint
@@ -219,23 +322,80 @@ class TaskAppServer {
                 name: 'Claude Productivity Suite - Task Manager API',
                 version: '1.0.0',
                 description: 'Intelligent task management with AI-powered prioritization',
+                authentication: this.authEnabled
+                    ? 'Send "Authorization: Bearer <token>" from /api/auth/login and "X-Workspace-Id" (defaults to your first workspace). Viewers read; editors change tasks; owners manage the workspace.'
+                    : 'Disabled (TASK_AUTH=off) - one shared task list',
                 endpoints: {
+                    auth: {
+                        'POST /api/auth/register': 'Create an account (with a personal workspace) and sign in',
+                        'POST /api/auth/login': 'Sign in and get a session token',
+                        'POST /api/auth/logout': 'End the current session',
+                        'GET /api/auth/me': 'Current user and their workspaces'
+                    },
+                    workspaces: {
+                        'GET /api/workspaces': 'Workspaces you belong to, with your role',
+                        'POST /api/workspaces': 'Create a workspace',
+                        'GET /api/workspaces/:id': 'Workspace with its members',
+                        'PATCH /api/workspaces/:id': 'Rename a workspace (owner)',
+                        'DELETE /api/workspaces/:id': 'Delete a workspace and its tasks (owner)',
+                        'POST /api/workspaces/:id/members': 'Add a member by email with a role (owner)',
+                        'PATCH /api/workspaces/:id/members/:userId': 'Change a member\'s role (owner)',
+                        'DELETE /api/workspaces/:id/members/:userId': 'Remove a member or leave (their tasks are unassigned)'
+                    },
                     tasks: {
-                        'GET /api/tasks': 'Get all tasks with smart sorting',
-                        'POST /api/tasks': 'Create a new task',
+                        'GET /api/tasks': 'List tasks (?q=tag:client due:<7d importance:>=4 assignee:me -category:personal text&sort=&limit=&cursor=)',
+                        'POST /api/tasks': 'Create a new task (reminders: minutes or offsets like "1h" before the deadline)',
                         'GET /api/tasks/:id': 'Get specific task',
+                        'POST /api/tasks/parse': 'Preview the fields of a quick-add phrase like "call the printer tomorrow 3pm #client !high ~45m"',
                         'PUT /api/tasks/:id': 'Update task',
-                        'PATCH /api/tasks/:id/complete': 'Mark task as completed',
+                        'PATCH /api/tasks/:id/complete': 'Mark task as completed (?cascade=true completes subtasks too)',
+                        'GET /api/tasks/:id/score': 'Explain a task\'s priority score component by component',
+                        'GET /api/tasks/:id/tree': 'Task with its subtasks, nested, with rolled-up progress',
+                        'POST /api/tasks/:id/move': 'Move a task and its subtasks under another parent',
+                        'POST /api/tasks/:id/timer/start': 'Start tracking time on a task',
+                        'POST /api/tasks/:id/timer/stop': 'Stop the timer and record a time entry',
                         'DELETE /api/tasks/:id': 'Delete task',
-                        'POST /api/tasks/bulk': 'Bulk operations on tasks'
+                        'POST /api/tasks/bulk': 'Bulk complete, delete, update, addTags, removeTags, categorize, shiftDeadline (offset like +2d) or setDependencies, with a per-task report (atomic: true for all-or-nothing)',
+                        'POST /api/tasks/undo': 'Undo your latest change (a bulk action counts as one)',
+                        'POST /api/tasks/redo': 'Redo your latest undone change',
+                        'GET /api/tasks/:id/history': 'Who changed a task, when, and what changed',
+                        'GET /api/tasks/history': 'Audit log of every change in the workspace (?limit=&before=)',
+                        'GET /api/tasks/occurrences': 'Upcoming occurrences of recurring tasks (?from=&to=)',
+                        'GET /api/tasks/critical-path': 'Longest dependency chain and earliest finish times',
+                        'WS /api/tasks/feed': 'Live task changes (created, updated, completed, deleted) with insights (?token=&workspace=)'
                     },
                     analytics: {
                         'GET /api/tasks/analytics/insights': 'Get productivity insights',
+                        'GET /api/tasks/analytics/estimates': 'Estimate vs actual factors by category and complexity',
+                        'GET /api/analytics/timeseries': 'Created, completed and overdue counts per day or week (?from=&to=&interval=day|week&tag=&category=)',
+                        'GET /api/analytics/burndown': 'Remaining tasks in a tag or category against an ideal line (?tag=|category=&from=&to=&interval=)',
+                        'GET /api/analytics/cycle-time': 'Created-to-completed time distribution and percentiles (?from=&to=&tag=&category=)',
+                        'GET /api/analytics/forecast': 'When open tasks will be done at the recent weekly throughput (?weeks=&tag=&category=)',
                         'GET /api/tasks/recommendations': 'Get AI recommendations'
                     },
                     dataManagement: {
-                        'GET /api/tasks/export': 'Export tasks data',
-                        'POST /api/tasks/import': 'Import tasks data'
+                        'GET /api/tasks/export': 'Export tasks data (?format=json|csv|md|ics)',
+                        'POST /api/tasks/import': 'Import tasks data (JSON, CSV, Markdown or iCalendar)'
+                    },
+                    planner: {
+                        'GET /api/planner/day': 'Time-blocked agenda for a day around breaks and fixed events, re-planned on every call (?date=YYYY-MM-DD)',
+                        'POST /api/planner/day': 'One-off agenda with { date, workingHours, breaks, events, ics } overriding the stored settings',
+                        'GET /api/planner/settings': 'Working hours and breaks',
+                        'PUT /api/planner/settings': 'Update working hours ({ start: "09:00", end: "17:00" }) and breaks',
+                        'GET /api/planner/events': 'Imported fixed events (?from=&to=)',
+                        'POST /api/planner/events': 'Import fixed events from an iCalendar file or { events: [{ title, start, end }] } (?replace=true)',
+                        'DELETE /api/planner/events': 'Forget all imported events'
+                    },
+                    reminders: {
+                        'GET /api/reminders': 'Reminder delivery log, newest first (?limit=&status=delivered|skipped|retrying|failed&taskId=)',
+                        'GET /api/reminders/upcoming': 'Reminders due to fire in the next ?hours= (default 24)'
+                    },
+                    settings: {
+                        'GET /api/settings/priority': 'Your priority weights, urgency buckets and learning mode, else the workspace\'s (?profile=, ?scope=workspace)',
+                        'PUT /api/settings/priority': 'Update your priority profile, or the workspace default and rescore open tasks (?profile=, ?scope=workspace)',
+                        'POST /api/settings/priority/activate': 'Switch your active priority profile (?scope=workspace for the default)',
+                        'POST /api/settings/priority/reset': 'Restore default weights (?profile=, ?scope=workspace)',
+                        'DELETE /api/settings/priority/:profile': 'Delete an unused priority profile'
                     }
                 },
                 frontend: {
@@ -245,11 +405,23 @@ class TaskAppServer {
                 features: [
                     'Intelligent priority calculation',
                     'Smart task categorization',
+                    'Full-text search with a filter query language',
                     'Deadline-based urgency scoring',
+                    'Configurable, self-learning priority weights',
+                    'Recurring tasks (RRULE schedules)',
+                    'Subtasks with rolled-up estimates and progress',
+                    'Time tracking with estimate-accuracy learning',
+                    'Daily planner with time blocks around meetings (ICS import)',
                     'AI-powered recommendations',
                     'Real-time insights and analytics',
+                    'Trend charts: time series, burndown, cycle time and throughput forecast',
+                    'Live sync across tabs over WebSocket',
+                    'Team workspaces with accounts, roles and task assignment',
                     'Bulk operations',
+                    'Undo/redo with a full audit log',
+                    'Deadline reminders over WebSocket, webhook and email',
                     'Data import/export',
+                    'Persistent storage (JSON file or SQLite)',
                     'Responsive mobile design'
                 ]
             });
@@ -288,6 +460,8 @@ class TaskAppServer {
 
     async start() {
         try {
+            await this.taskAPI.initialize();
+
             const server = this.app.listen(this.port, () => {
                 console.log(chalk.blue.bold(`
 ╔═══════════════════════════════════════════════════════════════╗
@@ -300,6 +474,12 @@ class TaskAppServer {
                 console.log(chalk.cyan(`📋 Task Manager: http://localhost:${this.port}/tasks`));
                 console.log(chalk.yellow(`📊 API Docs: http://localhost:${this.port}/api`));
                 console.log(chalk.gray(`🏥 Health Check: http://localhost:${this.port}/health`));
+                console.log(chalk.gray(`📡 Live updates: ws://localhost:${this.port}${this.taskFeed.path}`));
+                console.log(chalk.gray(`💾 Task storage: ${this.taskAPI.storageConfig.type}`));
+                console.log(chalk.gray(`⏰ Reminders: ${this.reminderConfig.enabled
+                    ? this.reminders.channels.map(channel => channel.name).join(', ')
+                    : 'disabled (REMINDERS=off)'}`));
+                console.log(chalk.gray(`🔐 Accounts: ${this.authEnabled ? 'enabled' : 'disabled (TASK_AUTH=off)'}`));
                 console.log();
                 
                 console.log(chalk.white('✨ Features Available:'));
@@ -312,11 +492,16 @@ class TaskAppServer {
                 
                 console.log(chalk.blue('Ready for your first task! 🎉'));
             });
+            this.taskFeed.attach(server);
+            if (this.reminderConfig.enabled) this.reminders.start();
 
             // Graceful shutdown
             process.on('SIGTERM', () => {
                 console.log(chalk.yellow('\n🛑 Received SIGTERM, shutting down gracefully...'));
-                server.close(() => {
+                this.taskFeed.close();
+                server.close(async () => {
+                    await this.reminders.stop();
+                    await this.taskAPI.close();
                     console.log(chalk.green('✅ Server closed successfully'));
                     process.exit(0);
                 });
@@ -324,7 +509,10 @@ class TaskAppServer {
 
             process.on('SIGINT', () => {
                 console.log(chalk.yellow('\n🛑 Received SIGINT, shutting down gracefully...'));
-                server.close(() => {
+                this.taskFeed.close();
+                server.close(async () => {
+                    await this.reminders.stop();
+                    await this.taskAPI.close();
                     console.log(chalk.green('✅ Server closed successfully'));
                     process.exit(0);
                 });
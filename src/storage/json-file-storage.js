@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { TaskStorage, HISTORY_LIMIT, readFileIfExists, writeFileAtomic } = require('./task-storage');
+
+// JSON file adapter with a write-ahead journal.
+// Every mutation is appended (and fsynced) to `<file>.journal` before it is
+// applied in memory. The journal is folded into the snapshot file with an
+// atomic rename every `compactEvery` operations, on load and on close, so a
+// crash mid-write loses at most the operation being written.
+class JsonFileTaskStorage extends TaskStorage {
+    constructor(options = {}) {
+        super();
+        if (!options.filePath) {
+            throw new Error('JsonFileTaskStorage requires a filePath');
+        }
+        this.filePath = options.filePath;
+        this.journalPath = `${options.filePath}.journal`;
+        this.compactEvery = options.compactEvery || 50;
+        this.pendingOperations = 0;
+        this.state = { version: 1, tasks: {}, meta: {}, history: [] };
+    }
+
+    async load() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const contents = readFileIfExists(this.filePath, 'utf8');
+        if (contents) {
+            const snapshot = JSON.parse(contents);
+            this.state = {
+                version: snapshot.version || 1,
+                tasks: snapshot.tasks || {},
+                meta: snapshot.meta || {},
+                history: snapshot.history || []
+            };
+        }
+
+        const replayed = this.replayJournal();
+        this.loaded = true;
+        if (replayed > 0) {
+            this.compact();
+        }
+
+        return Object.values(this.state.tasks).map(record => ({ ...record }));
+    }
+
+    saveTask(task) {
+        this.writeOperation({ op: 'put', task: TaskStorage.serializeTask(task) });
+    }
+
+    deleteTask(taskId) {
+        this.writeOperation({ op: 'delete', id: taskId });
+    }
+
+    getMeta(key, fallback = null) {
+        return Object.prototype.hasOwnProperty.call(this.state.meta, key)
+            ? this.state.meta[key]
+            : fallback;
+    }
+
+    setMeta(key, value) {
+        this.writeOperation({ op: 'meta', key, value });
+    }
+
+    appendHistory(entry) {
+        this.writeOperation({ op: 'history', entry });
+    }
+
+    loadHistory() {
+        return this.state.history.map(entry => ({ ...entry }));
+    }
+
+    async close() {
+        if (this.loaded && this.pendingOperations > 0) {
+            this.compact();
+        }
+        await super.close();
+    }
+
+    // Append to the journal first, then apply to the in-memory state
+    writeOperation(entry) {
+        this.assertLoaded();
+
+        const fd = fs.openSync(this.journalPath, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(entry) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        this.applyOperation(entry);
+        this.pendingOperations++;
+        if (this.pendingOperations >= this.compactEvery) {
+            this.compact();
+        }
+    }
+
+    applyOperation(entry) {
+        switch (entry.op) {
+            case 'put':
+                this.state.tasks[entry.task.id] = entry.task;
+                break;
+            case 'delete':
+                delete this.state.tasks[entry.id];
+                break;
+            case 'meta':
+                this.state.meta[entry.key] = entry.value;
+                break;
+            case 'history':
+                this.state.history.push(entry.entry);
+                if (this.state.history.length > HISTORY_LIMIT) this.state.history.shift();
+                break;
+            default:
+                throw new Error(`Unknown journal operation: ${entry.op}`);
+        }
+    }
+
+    // Re-apply journal entries written after the last snapshot.
+    // A torn final line (crash during append) is ignored.
+    replayJournal() {
+        const journal = readFileIfExists(this.journalPath, 'utf8');
+        if (!journal) return 0;
+
+        const lines = journal.split('\n');
+        let replayed = 0;
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                break;
+            }
+            this.applyOperation(entry);
+            replayed++;
+        }
+
+        return replayed;
+    }
+
+    // Write a fresh snapshot atomically and start a new journal
+    compact() {
+        writeFileAtomic(this.filePath, JSON.stringify(this.state, null, 2));
+        fs.writeFileSync(this.journalPath, '');
+        this.pendingOperations = 0;
+    }
+}
+
+module.exports = JsonFileTaskStorage;
@@ -0,0 +1,117 @@
+const initSqlJs = require('sql.js');
+const { TaskStorage, HISTORY_LIMIT, readFileIfExists, writeFileAtomic } = require('./task-storage');
+
+// Embedded SQLite adapter (sql.js, no native build step).
+// The database lives in memory and the whole file is rewritten atomically
+// once per mutation (a batch, see TaskStorage.batch), which is plenty for a
+// personal/team task list.
+class SqliteTaskStorage extends TaskStorage {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || null; // null keeps the database in memory
+        this.db = null;
+        this.dirty = false;
+    }
+
+    async load() {
+        const SQL = await initSqlJs();
+        const existing = this.filePath ? readFileIfExists(this.filePath) : null;
+
+        this.db = existing ? new SQL.Database(existing) : new SQL.Database();
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS tasks (
+                id INTEGER PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS history (
+                seq INTEGER PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+        `);
+        this.loaded = true;
+
+        const result = this.db.exec('SELECT data FROM tasks ORDER BY id');
+        if (result.length === 0) return [];
+        return result[0].values.map(([data]) => JSON.parse(data));
+    }
+
+    saveTask(task) {
+        this.assertLoaded();
+        this.db.run(
+            'INSERT INTO tasks (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data',
+            [task.id, JSON.stringify(TaskStorage.serializeTask(task))]
+        );
+        this.markDirty();
+    }
+
+    deleteTask(taskId) {
+        this.assertLoaded();
+        this.db.run('DELETE FROM tasks WHERE id = ?', [taskId]);
+        this.markDirty();
+    }
+
+    getMeta(key, fallback = null) {
+        this.assertLoaded();
+        const statement = this.db.prepare('SELECT value FROM meta WHERE key = ?');
+        try {
+            statement.bind([key]);
+            return statement.step() ? JSON.parse(statement.get()[0]) : fallback;
+        } finally {
+            statement.free();
+        }
+    }
+
+    setMeta(key, value) {
+        this.assertLoaded();
+        this.db.run(
+            'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+            [key, JSON.stringify(value)]
+        );
+        this.markDirty();
+    }
+
+    appendHistory(entry) {
+        this.assertLoaded();
+        this.db.run('INSERT INTO history (seq, data) VALUES (?, ?)', [entry.seq, JSON.stringify(entry)]);
+        this.db.run('DELETE FROM history WHERE seq <= ?', [entry.seq - HISTORY_LIMIT]);
+        this.markDirty();
+    }
+
+    loadHistory() {
+        this.assertLoaded();
+        const result = this.db.exec('SELECT data FROM history ORDER BY seq');
+        if (result.length === 0) return [];
+        return result[0].values.map(([data]) => JSON.parse(data));
+    }
+
+    async close() {
+        if (this.db) {
+            this.flush();
+            this.db.close();
+            this.db = null;
+        }
+        await super.close();
+    }
+
+    // Write now, or when the current batch ends
+    markDirty() {
+        this.dirty = true;
+        if (this.batchDepth === 0) this.flush();
+    }
+
+    endBatch() {
+        if (this.dirty && this.db) this.flush();
+    }
+
+    // Persist the database image to disk
+    flush() {
+        if (this.filePath) writeFileAtomic(this.filePath, Buffer.from(this.db.export()));
+        this.dirty = false;
+    }
+}
+
+module.exports = SqliteTaskStorage;
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATE_FIELDS = ['deadline', 'createdAt', 'updatedAt', 'completedAt'];
+
+// Change history entries kept per store (oldest are dropped first)
+const HISTORY_LIMIT = 500;
+
+// Base class for task storage adapters.
+// Adapters keep task records plus a small key/value meta area (id counter etc).
+// load() is async so adapters can do async setup; every write after that is
+// synchronous so TaskManager keeps its synchronous API.
+class TaskStorage {
+    constructor() {
+        this.loaded = false;
+        this.batchDepth = 0;
+    }
+
+    // Load all persisted task records (plain objects, dates as ISO strings)
+    async load() {
+        throw new Error(`${this.constructor.name} must implement load()`);
+    }
+
+    // Insert or replace a task record
+    saveTask(task) {
+        throw new Error(`${this.constructor.name} must implement saveTask()`);
+    }
+
+    // Remove a task record by id
+    deleteTask(taskId) {
+        throw new Error(`${this.constructor.name} must implement deleteTask()`);
+    }
+
+    // Read a meta value, falling back when it was never written
+    getMeta(key, fallback = null) {
+        throw new Error(`${this.constructor.name} must implement getMeta()`);
+    }
+
+    // Write a meta value (must be JSON serialisable)
+    setMeta(key, value) {
+        throw new Error(`${this.constructor.name} must implement setMeta()`);
+    }
+
+    // Append a change history entry (see TaskHistory), keeping the last HISTORY_LIMIT
+    appendHistory(entry) {
+        throw new Error(`${this.constructor.name} must implement appendHistory()`);
+    }
+
+    // All kept history entries, oldest first
+    loadHistory() {
+        throw new Error(`${this.constructor.name} must implement loadHistory()`);
+    }
+
+    // Run fn with its writes grouped, so adapters that persist a whole image
+    // write it once when the outermost batch ends (nested batches join it)
+    batch(fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0) this.endBatch();
+        }
+    }
+
+    // Called when the outermost batch ends
+    endBatch() {}
+
+    // Flush pending writes and release resources
+    async close() {
+        this.loaded = false;
+    }
+
+    // Guard against writes before load() - they would clobber the stored data
+    assertLoaded() {
+        if (!this.loaded) {
+            throw new Error(`${this.constructor.name} used before load()`);
+        }
+    }
+
+    // Convert a live task into a plain JSON-safe record
+    static serializeTask(task) {
+        return JSON.parse(JSON.stringify(task));
+    }
+
+    // Turn a stored record back into a task with Date fields
+    static reviveTask(record) {
+        const task = { ...record };
+        DATE_FIELDS.forEach(field => {
+            if (task[field]) task[field] = new Date(task[field]);
+        });
+        if (Array.isArray(task.timeEntries)) {
+            task.timeEntries = task.timeEntries.map(entry => ({
+                ...entry,
+                start: new Date(entry.start),
+                end: entry.end ? new Date(entry.end) : null
+            }));
+        }
+        return task;
+    }
+}
+
+// Default adapter: keeps records in memory only (previous behaviour)
+class MemoryTaskStorage extends TaskStorage {
+    constructor() {
+        super();
+        this.records = new Map();
+        this.meta = new Map();
+        this.history = [];
+        this.loaded = true;
+    }
+
+    async load() {
+        this.loaded = true;
+        return [...this.records.values()].map(record => ({ ...record }));
+    }
+
+    saveTask(task) {
+        this.records.set(task.id, TaskStorage.serializeTask(task));
+    }
+
+    deleteTask(taskId) {
+        this.records.delete(taskId);
+    }
+
+    getMeta(key, fallback = null) {
+        return this.meta.has(key) ? this.meta.get(key) : fallback;
+    }
+
+    setMeta(key, value) {
+        this.meta.set(key, value);
+    }
+
+    appendHistory(entry) {
+        this.history.push(JSON.parse(JSON.stringify(entry)));
+        if (this.history.length > HISTORY_LIMIT) this.history.shift();
+    }
+
+    loadHistory() {
+        return this.history.map(entry => ({ ...entry }));
+    }
+}
+
+// Write a file so readers only ever see the old or the new contents
+function writeFileAtomic(filePath, contents) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+// Read a file, returning null when it doesn't exist yet
+function readFileIfExists(filePath, encoding) {
+    try {
+        return fs.readFileSync(filePath, encoding);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Build a storage adapter from config: { type: 'memory' | 'json' | 'sqlite', path }
+function createTaskStorage(config = {}) {
+    const type = config.type || 'memory';
+
+    switch (type) {
+        case 'memory':
+            return new MemoryTaskStorage();
+        case 'json': {
+            const JsonFileTaskStorage = require('./json-file-storage');
+            return new JsonFileTaskStorage({
+                filePath: config.path || path.join('data', 'tasks.json'),
+                compactEvery: config.compactEvery
+            });
+        }
+        case 'sqlite': {
+            const SqliteTaskStorage = require('./sqlite-storage');
+            return new SqliteTaskStorage({
+                filePath: config.path || path.join('data', 'tasks.sqlite')
+            });
+        }
+        default:
+            throw new Error(`Unknown task storage type: ${type}`);
+    }
+}
+
+module.exports = {
+    HISTORY_LIMIT,
+    TaskStorage,
+    MemoryTaskStorage,
+    createTaskStorage,
+    readFileIfExists,
+    writeFileAtomic
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const TaskManager = require('../core/task-manager');
+const { createTaskStorage } = require('./task-storage');
+
+const EXTENSIONS = { json: '.json', sqlite: '.sqlite' };
+
+// One TaskManager per workspace, each with its own storage next to the
+// configured task file:
+//   data/tasks.json                 - tasks from before workspaces (adopted by the first one)
+//   data/accounts.json              - users, sessions and workspaces
+//   data/workspaces/<id>.json       - everything else
+// Managers are opened on first use and kept for the life of the server.
+class WorkspaceRegistry {
+    constructor(storageConfig) {
+        this.storageConfig = storageConfig;
+        this.managers = new Map(); // workspace id -> Promise<TaskManager>
+    }
+
+    get dataDir() {
+        if (this.storageConfig.path) return path.dirname(this.storageConfig.path);
+        return 'data';
+    }
+
+    // Storage config for a sibling file of the task store (same adapter type)
+    siblingConfig(name) {
+        const { type } = this.storageConfig;
+        if (!EXTENSIONS[type]) return { type };
+        return {
+            type,
+            path: path.join(this.dataDir, `${name}${EXTENSIONS[type]}`),
+            compactEvery: this.storageConfig.compactEvery
+        };
+    }
+
+    createAccountStorage() {
+        return createTaskStorage(this.siblingConfig('accounts'));
+    }
+
+    storageConfigFor(workspace) {
+        if (workspace.legacyStorage) return this.storageConfig;
+        return this.siblingConfig(path.join('workspaces', workspace.id));
+    }
+
+    // Concurrent first requests share one initialisation
+    open(workspace) {
+        if (!this.managers.has(workspace.id)) {
+            const taskManager = new TaskManager({
+                storage: createTaskStorage(this.storageConfigFor(workspace))
+            });
+            const opening = taskManager.initialize().catch(error => {
+                this.managers.delete(workspace.id);
+                throw error;
+            });
+            this.managers.set(workspace.id, opening);
+        }
+        return this.managers.get(workspace.id);
+    }
+
+    async close(workspaceId) {
+        const opening = this.managers.get(workspaceId);
+        if (!opening) return;
+        this.managers.delete(workspaceId);
+        const taskManager = await opening;
+        await taskManager.close();
+    }
+
+    async closeAll() {
+        await Promise.all([...this.managers.keys()].map(id => this.close(id)));
+    }
+
+    // Close the workspace's tasks and delete their files
+    async destroy(workspace) {
+        await this.close(workspace.id);
+        const config = this.storageConfigFor(workspace);
+        if (!config.path) return;
+        [config.path, `${config.path}.journal`].forEach(filePath => {
+            try {
+                fs.unlinkSync(filePath);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        });
+    }
+}
+
+module.exports = WorkspaceRegistry;
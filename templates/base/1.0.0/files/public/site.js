@@ -0,0 +1,53 @@
+// {{app.name}} - navigation and contact form shared by every page
+{{#hasApi}}
+const CONTACT_ENDPOINT = '/api/messages';
+{{/hasApi}}
+{{^hasApi}}
+const CONTACT_ENDPOINT = null; // no backend: messages are kept in this browser
+{{/hasApi}}
+
+const toggle = document.querySelector('.nav-toggle');
+const nav = document.querySelector('.site-nav');
+if (toggle && nav) {
+  toggle.addEventListener('click', () => {
+    const open = nav.classList.toggle('open');
+    toggle.setAttribute('aria-expanded', String(open));
+  });
+  nav.addEventListener('click', event => {
+    if (event.target.tagName === 'A') nav.classList.remove('open');
+  });
+}
+
+document.querySelectorAll('[data-year]').forEach(element => {
+  element.textContent = new Date().getFullYear();
+});
+
+async function sendMessage(values) {
+  if (!CONTACT_ENDPOINT) {
+    const saved = JSON.parse(localStorage.getItem('messages') || '[]');
+    saved.push({ ...values, sentAt: new Date().toISOString() });
+    localStorage.setItem('messages', JSON.stringify(saved));
+    return;
+  }
+  const response = await fetch(CONTACT_ENDPOINT, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(values)
+  });
+  if (!response.ok) throw new Error(`Request failed (${response.status})`);
+}
+
+document.querySelectorAll('form[data-contact]').forEach(form => {
+  const status = form.querySelector('.form-status');
+  form.addEventListener('submit', async event => {
+    event.preventDefault();
+    const values = Object.fromEntries(new FormData(form));
+    try {
+      await sendMessage(values);
+      form.reset();
+      if (status) status.textContent = form.dataset.thanks || 'Thanks!';
+    } catch (error) {
+      if (status) status.textContent = 'Sorry, that did not send. Please try again.';
+    }
+  });
+});
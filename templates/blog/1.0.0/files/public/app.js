@@ -0,0 +1,86 @@
+// {{app.name}} - posts, categories and search, routed by the URL hash
+const content = document.getElementById('content');
+const categoryList = document.getElementById('categories');
+const search = document.getElementById('search');
+let posts = [];
+
+const escape = text => String(text ?? '').replace(/[&<>"']/g, char => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+const slugOf = post => post.slug || post.id;
+
+async function loadPosts() {
+  const bundled = await (await fetch('/data/posts.json')).json();
+{{#hasApi}}
+  try {
+    const response = await fetch('/api/{{resource.collection}}');
+    if (response.ok) return [...(await response.json()), ...bundled];
+  } catch (error) {
+    // The API is optional while writing; fall back to the bundled posts
+  }
+{{/hasApi}}
+  return bundled;
+}
+
+function renderList(list, heading) {
+  content.innerHTML = `<h1>${escape(heading)}</h1>` + (list.length === 0
+    ? '<p class="muted">No posts yet.</p>'
+    : list.map(post => `
+      <article class="card post-summary">
+        <p class="muted">${escape(post.date)} · <a class="tag" href="#/category/${encodeURIComponent(post.category || 'General')}">${escape(post.category || 'General')}</a></p>
+        <h2><a href="#/post/${encodeURIComponent(slugOf(post))}">${escape(post.title)}</a></h2>
+        <p>${escape(post.excerpt || '')}</p>
+      </article>`).join(''));
+}
+
+function renderPost(post) {
+  if (!post) {
+    content.innerHTML = '<h1>Post not found</h1><p><a href="#/">Back to all posts</a></p>';
+    return;
+  }
+  const paragraphs = String(post.body || '').split(/\n{2,}/).map(text => `<p>${escape(text)}</p>`).join('');
+  content.innerHTML = `
+    <article>
+      <p class="muted">${escape(post.date)} · ${escape(post.category || 'General')}</p>
+      <h1>${escape(post.title)}</h1>
+      ${paragraphs}
+      <p><a href="#/">← All posts</a></p>
+    </article>`;
+}
+
+function renderCategories() {
+  const counts = posts.reduce((all, post) => {
+    const category = post.category || 'General';
+    all[category] = (all[category] || 0) + 1;
+    return all;
+  }, {});
+  categoryList.innerHTML = Object.entries(counts)
+    .map(([category, count]) => `<li><a href="#/category/${encodeURIComponent(category)}">${escape(category)}</a> (${count})</li>`)
+    .join('');
+}
+
+function route() {
+  const [, view, param] = decodeURIComponent(location.hash.slice(1)).split('/');
+  if (view === 'post') return renderPost(posts.find(post => String(slugOf(post)) === param));
+  if (view === 'category') return renderList(posts.filter(post => (post.category || 'General') === param), param);
+  if (view === 'about') {
+    content.innerHTML = document.getElementById('about').innerHTML;
+    return;
+  }
+  renderList(posts, 'Latest posts');
+}
+
+if (search) {
+  search.addEventListener('input', () => {
+    const query = search.value.trim().toLowerCase();
+    if (!query) return route();
+    renderList(posts.filter(post => `${post.title} ${post.body}`.toLowerCase().includes(query)), `Results for "${search.value}"`);
+  });
+}
+
+window.addEventListener('hashchange', route);
+loadPosts().then(loaded => {
+  posts = loaded.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+  renderCategories();
+  route();
+});
@@ -0,0 +1,163 @@
+// {{app.name}} - catalog, cart, checkout and account, kept in this browser
+{{#hasApi}}
+const API = '/api';
+{{/hasApi}}
+{{^hasApi}}
+const API = null; // no backend: orders are kept in this browser
+{{/hasApi}}
+const money = new Intl.NumberFormat(undefined, { style: 'currency', currency: '{{{content.currency}}}' });
+const escape = text => String(text ?? '').replace(/[&<>"']/g, char => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+const saved = key => JSON.parse(localStorage.getItem(key) || 'null');
+const save = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+let products = [];
+let cart = saved('cart') || {}; // product id -> quantity
+let category = 'All';
+
+async function loadProducts() {
+  const bundled = await (await fetch('/data/products.json')).json();
+  if (!API) return bundled;
+  try {
+    const response = await fetch(`${API}/{{resource.collection}}`);
+    const listed = response.ok ? await response.json() : [];
+    return listed.length > 0 ? listed : bundled;
+  } catch (error) {
+    return bundled;
+  }
+}
+
+function renderProducts() {
+  const query = (document.getElementById('search')?.value || '').trim().toLowerCase();
+  const visible = products.filter(product =>
+    (category === 'All' || product.category === category) &&
+    (!query || `${product.name} ${product.description}`.toLowerCase().includes(query))
+  );
+  document.getElementById('products').innerHTML = visible.map(product => `
+    <article class="card gallery-item" style="--hue: ${Number(product.hue) || 200}">
+      <div class="gallery-image" role="img" aria-label="${escape(product.name)}"></div>
+      <div class="container">
+        <h3>${escape(product.name)}</h3>
+        <p class="muted">${escape(product.description)}</p>
+{{#features.reviews}}
+        <p aria-label="Rated ${Number(product.rating) || 0} out of 5">${'★'.repeat(Number(product.rating) || 0)}</p>
+{{/features.reviews}}
+        <p class="price">${money.format(product.price)}</p>
+        <p><button class="button" data-add="${escape(product.id)}">Add to cart</button></p>
+      </div>
+    </article>`).join('') || '<p class="muted">Nothing matches.</p>';
+}
+
+function renderFilters() {
+  const filters = document.querySelector('.filters');
+  const categories = ['All', ...new Set(products.map(product => product.category).filter(Boolean))];
+  filters.innerHTML = categories.map(name =>
+    `<button type="button" class="button secondary" aria-pressed="${name === category}">${escape(name)}</button>`
+  ).join('');
+}
+
+function cartLines() {
+  return Object.entries(cart)
+    .map(([id, quantity]) => ({ product: products.find(product => String(product.id) === id), quantity }))
+    .filter(line => line.product);
+}
+
+function renderCart() {
+  const lines = cartLines();
+  document.getElementById('cart-items').innerHTML = lines.map(({ product, quantity }) => `
+    <li>
+      <span>${escape(product.name)} × ${quantity}</span>
+      <span>${money.format(product.price * quantity)} <button type="button" data-remove="${escape(product.id)}" aria-label="Remove">✕</button></span>
+    </li>`).join('') || '<li class="muted">Your cart is empty.</li>';
+  document.getElementById('cart-total').textContent = money.format(lines.reduce((sum, line) => sum + line.product.price * line.quantity, 0));
+  document.getElementById('cart-count').textContent = lines.reduce((sum, line) => sum + line.quantity, 0);
+  save('cart', cart);
+}
+
+function renderAccount() {
+  const orders = saved('orders') || [];
+  document.getElementById('orders').innerHTML = orders.map(order =>
+    `<li>${new Date(order.placedAt).toLocaleDateString()} · ${order.items.length} item(s) · ${money.format(order.total)}</li>`
+  ).join('') || '<li class="muted">No orders yet.</li>';
+
+  const customer = saved('customer');
+  if (customer) {
+    const form = document.getElementById('checkout');
+    ['name', 'email', 'address'].forEach(field => { form.elements[field].value = customer[field] || ''; });
+  }
+}
+
+async function placeOrder(form) {
+  const lines = cartLines();
+  const status = form.querySelector('.form-status');
+  if (lines.length === 0) {
+    status.textContent = 'Add something to your cart first.';
+    return;
+  }
+
+  const customer = Object.fromEntries(new FormData(form));
+  const order = {
+    customer,
+    items: lines.map(({ product, quantity }) => ({ id: product.id, name: product.name, price: product.price, quantity })),
+    total: lines.reduce((sum, line) => sum + line.product.price * line.quantity, 0),
+    placedAt: new Date().toISOString()
+  };
+
+  try {
+    if (API) {
+      const response = await fetch(`${API}/orders`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(order)
+      });
+      if (!response.ok) throw new Error(`Request failed (${response.status})`);
+    }
+    save('orders', [order, ...(saved('orders') || [])]);
+    save('customer', customer);
+    cart = {};
+    renderCart();
+    renderAccount();
+    status.textContent = form.dataset.thanks;
+  } catch (error) {
+    status.textContent = 'Sorry, the order did not go through. Please try again.';
+  }
+}
+
+document.addEventListener('click', event => {
+  const add = event.target.closest('[data-add]');
+  const remove = event.target.closest('[data-remove]');
+  const filter = event.target.closest('.filters button');
+  if (add) {
+    cart[add.dataset.add] = (cart[add.dataset.add] || 0) + 1;
+    renderCart();
+  } else if (remove) {
+    delete cart[remove.dataset.remove];
+    renderCart();
+  } else if (filter) {
+    category = filter.textContent;
+    renderFilters();
+    renderProducts();
+  }
+});
+
+document.getElementById('search')?.addEventListener('input', renderProducts);
+document.getElementById('checkout').addEventListener('submit', event => {
+  event.preventDefault();
+  placeOrder(event.target);
+});
+document.getElementById('forget').addEventListener('click', () => {
+  localStorage.removeItem('customer');
+  localStorage.removeItem('orders');
+  document.getElementById('checkout').reset();
+  renderAccount();
+});
+
+loadProducts().then(loaded => {
+  products = loaded;
+  renderFilters();
+  renderProducts();
+  renderCart();
+  renderAccount();
+});
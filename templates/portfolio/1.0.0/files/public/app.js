@@ -0,0 +1,42 @@
+// {{app.name}} - project filters, lightbox and resume printing
+const projects = Array.from(document.querySelectorAll('.project'));
+const filters = document.querySelector('.filters');
+const categories = ['All', ...new Set(projects.map(project => project.dataset.category))];
+
+function showCategory(category) {
+  projects.forEach(project => {
+    project.hidden = category !== 'All' && project.dataset.category !== category;
+  });
+  filters.querySelectorAll('button').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.textContent === category));
+  });
+}
+
+categories.forEach(category => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button secondary';
+  button.textContent = category;
+  button.addEventListener('click', () => showCategory(category));
+  filters.appendChild(button);
+});
+showCategory('All');
+
+const lightbox = document.querySelector('.lightbox');
+function openProject(project) {
+  const image = lightbox.querySelector('.gallery-image');
+  image.style.setProperty('--hue', project.style.getPropertyValue('--hue'));
+  lightbox.querySelector('.lightbox-caption').textContent = project.querySelector('strong').textContent;
+  lightbox.showModal();
+}
+
+projects.forEach(project => {
+  project.addEventListener('click', () => openProject(project));
+  project.addEventListener('keydown', event => {
+    if (event.key === 'Enter') openProject(project);
+  });
+});
+
+document.querySelectorAll('[data-print]').forEach(button => {
+  button.addEventListener('click', () => window.print());
+});
@@ -0,0 +1,338 @@
+/**
+ * Unit Tests for Database Schema
+ * DDL for SQLite and PostgreSQL, schema diffs as up/down migrations, seed SQL,
+ * and the database specialist's indexes, constraints and migration files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const {
+  SchemaError,
+  renderSchema,
+  diffSchemas,
+  renderMigration,
+  renderSeed,
+  sortTables
+} = require('../../src/core/database-schema');
+const { SimpleDatabaseSpecialist } = require('../../src/agents/simple-database-specialist');
+const { ProjectWorkspace } = require('../../src/core/project-workspace');
+
+function notesSchema() {
+  return {
+    tables: [
+      {
+        name: 'notes',
+        entity: 'Note',
+        fields: [
+          { name: 'id', type: 'string', primary: true },
+          { name: 'title', type: 'string' },
+          { name: 'pinned', type: 'boolean', default: false },
+          { name: 'authorId', type: 'string', foreignKey: 'User.id' },
+          { name: 'folderId', type: 'string', optional: true, foreignKey: 'Folder.id' }
+        ],
+        indexes: [{ name: 'idx_notes_author_id', columns: ['authorId'], unique: false }]
+      },
+      {
+        name: 'users',
+        entity: 'User',
+        fields: [
+          { name: 'id', type: 'string', primary: true },
+          { name: 'email', type: 'string', unique: true }
+        ],
+        indexes: []
+      },
+      {
+        name: 'folders',
+        entity: 'Folder',
+        fields: [
+          { name: 'id', type: 'string', primary: true },
+          { name: 'name', type: 'string' }
+        ],
+        indexes: []
+      }
+    ]
+  };
+}
+
+function changeTable(schema, name, change) {
+  const copy = JSON.parse(JSON.stringify(schema));
+  change(copy.tables.find(table => table.name === name));
+  return copy;
+}
+
+describe('Database Schema', () => {
+  test('renders tables after the tables they reference, in each dialect', () => {
+    const sqlite = renderSchema(notesSchema(), 'sqlite');
+    const postgres = renderSchema(notesSchema(), 'postgresql');
+
+    expect(sqlite.indexOf('CREATE TABLE "users"')).toBeLessThan(sqlite.indexOf('CREATE TABLE "notes"'));
+    expect(sqlite.indexOf('CREATE TABLE "folders"')).toBeLessThan(sqlite.indexOf('CREATE TABLE "notes"'));
+    expect(sqlite).toContain('"pinned" INTEGER NOT NULL DEFAULT 0 CHECK ("pinned" IN (0, 1))');
+    expect(sqlite).toContain('"author_id" TEXT NOT NULL REFERENCES "users" ("id") ON DELETE CASCADE');
+    expect(sqlite).toContain('"folder_id" TEXT REFERENCES "folders" ("id") ON DELETE SET NULL');
+    expect(sqlite).toContain('CREATE INDEX "idx_notes_author_id" ON "notes" ("author_id");');
+
+    expect(postgres).toContain('"email" VARCHAR(255) NOT NULL UNIQUE');
+    expect(postgres).toContain('"pinned" BOOLEAN NOT NULL DEFAULT FALSE,');
+    expect(() => renderSchema(notesSchema(), 'mysql')).toThrow(/Unknown SQL dialect "mysql"/);
+  });
+
+  test('refuses tables that reference each other in a cycle', () => {
+    const schema = changeTable(notesSchema(), 'users', table => {
+      table.fields.push({ name: 'favouriteNoteId', type: 'string', foreignKey: 'Note.id' });
+    });
+
+    expect(() => sortTables(schema.tables)).toThrow(SchemaError);
+    expect(() => sortTables(schema.tables)).toThrow(/notes -> users -> notes/);
+  });
+
+  test('creates the whole schema as the first migration and drops it going down', () => {
+    const migration = renderMigration(null, notesSchema(), 'postgresql');
+
+    expect(migration.name).toBe('create_schema');
+    expect(migration.up.startsWith('BEGIN;\n')).toBe(true);
+    expect(migration.up.endsWith('COMMIT;\n')).toBe(true);
+    expect(migration.down.match(/DROP TABLE "\w+"/g)).toEqual(['DROP TABLE "notes"', 'DROP TABLE "folders"', 'DROP TABLE "users"']);
+    expect(renderMigration(notesSchema(), notesSchema(), 'sqlite')).toMatchObject({ name: null, up: null, changes: [] });
+  });
+
+  test('orders changes so dependencies exist while each statement runs', () => {
+    const next = changeTable(notesSchema(), 'notes', table => {
+      table.fields = table.fields.filter(field => field.name !== 'folderId');
+      table.fields.push({ name: 'tagId', type: 'string', optional: true, foreignKey: 'Tag.id' });
+      table.indexes = [{ name: 'idx_notes_title', columns: ['title'], unique: false }];
+    });
+    next.tables = next.tables.filter(table => table.name !== 'folders');
+    next.tables.push({ name: 'tags', entity: 'Tag', fields: [{ name: 'id', type: 'string', primary: true }], indexes: [] });
+
+    expect(diffSchemas(notesSchema(), next).map(change => `${change.type} ${change.table.name}`)).toEqual([
+      'dropIndex notes',
+      'createTable tags',
+      'addColumn notes',
+      'dropColumn notes',
+      'dropTable folders',
+      'createIndex notes'
+    ]);
+    expect(renderMigration(notesSchema(), next, 'sqlite').warnings)
+      .toEqual(['Dropping notes.folderId deletes its data', 'Dropping folders deletes its data']);
+  });
+
+  test('gives existing rows a value when PostgreSQL adds or tightens a required column', () => {
+    const previous = changeTable(notesSchema(), 'folders', table => {
+      table.fields.push({ name: 'colour', type: 'string', optional: true });
+    });
+    const next = changeTable(notesSchema(), 'folders', table => {
+      table.fields.push({ name: 'colour', type: 'string' }, { name: 'position', type: 'integer' });
+    });
+    const { name, up, down } = renderMigration(previous, next, 'postgresql');
+
+    expect(name).toBe('update_folders');
+    expect(up).toContain('UPDATE "folders" SET "colour" = \'\' WHERE "colour" IS NULL;\n\nALTER TABLE "folders" ALTER COLUMN "colour" SET NOT NULL;');
+    expect(up).toContain('ALTER TABLE "folders" ADD COLUMN "position" INTEGER NOT NULL DEFAULT 0;\n\nALTER TABLE "folders" ALTER COLUMN "position" DROP DEFAULT;');
+    expect(down).toContain('ALTER TABLE "folders" ALTER COLUMN "colour" DROP NOT NULL;');
+    expect(down).toContain('ALTER TABLE "folders" DROP COLUMN "position";');
+  });
+
+  test('rebuilds SQLite tables for changes ALTER TABLE cannot make', () => {
+    const next = changeTable(notesSchema(), 'notes', table => {
+      table.fields.find(field => field.name === 'title').unique = true;
+    });
+    const { name, up } = renderMigration(notesSchema(), next, 'sqlite');
+
+    expect(name).toBe('change_notes_title');
+    expect(up.startsWith('PRAGMA foreign_keys = OFF;\nBEGIN;')).toBe(true);
+    expect(up).toContain('"title" TEXT NOT NULL UNIQUE');
+    expect(up).toContain('INSERT INTO "notes_new" ("id", "title", "pinned", "author_id", "folder_id")\n  SELECT "id", "title", "pinned", "author_id", "folder_id" FROM "notes";');
+    expect(up).toContain('DROP TABLE "notes";\nALTER TABLE "notes_new" RENAME TO "notes";');
+    expect(up).toContain('CREATE INDEX "idx_notes_author_id" ON "notes" ("author_id");');
+    expect(up.endsWith('COMMIT;\nPRAGMA foreign_keys = ON;\n')).toBe(true);
+
+    // Plain columns are added in place
+    const added = changeTable(notesSchema(), 'notes', table => {
+      table.fields.push({ name: 'body', type: 'text', optional: true });
+    });
+    expect(renderMigration(notesSchema(), added, 'sqlite').up)
+      .toBe('BEGIN;\n\nALTER TABLE "notes" ADD COLUMN "body" TEXT;\n\nCOMMIT;\n');
+  });
+
+  test('adds SQLite columns with the same definition the schema gives them', () => {
+    const added = changeTable(notesSchema(), 'notes', table => {
+      table.fields.push({ name: 'summary', type: 'string', optional: true });
+      table.fields.push({ name: 'archived', type: 'boolean', default: false });
+    });
+    const { up } = renderMigration(notesSchema(), added, 'sqlite');
+    const schema = renderSchema(added, 'sqlite');
+
+    ['"summary" TEXT', '"archived" INTEGER NOT NULL DEFAULT 0 CHECK ("archived" IN (0, 1))'].forEach(definition => {
+      expect(schema).toContain(`  ${definition}`);
+      expect(up).toContain(`ALTER TABLE "notes" ADD COLUMN ${definition};`);
+    });
+  });
+
+  test('renders seed rows that can be loaded twice', () => {
+    const seed = [
+      { table: 'notes', rows: [{ id: 'n1', title: "Tom's list", pinned: true, authorId: 'u1' }] },
+      { table: 'users', rows: [{ id: 'u1', email: 'a@example.com' }] }
+    ];
+    const sqlite = renderSeed(notesSchema(), seed, 'sqlite');
+    const postgres = renderSeed(notesSchema(), seed, 'postgresql');
+
+    expect(sqlite.indexOf('"users"')).toBeLessThan(sqlite.indexOf('"notes"'));
+    expect(sqlite).toContain('INSERT OR IGNORE INTO "notes" ("id", "title", "pinned", "author_id") VALUES\n  (\'n1\', \'Tom\'\'s list\', 1, \'u1\');');
+    expect(postgres).toContain('(\'n1\', \'Tom\'\'s list\', TRUE, \'u1\')\nON CONFLICT DO NOTHING;');
+  });
+});
+
+describe('Database Schema on SQLite', () => {
+  let SQL;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  const columns = (db, table) => db.exec(`PRAGMA table_info("${table}")`)[0].values.map(row => row[1]);
+  const rows = (db, sql) => (db.exec(sql)[0] || { values: [] }).values;
+
+  test('runs the schema, seeds and migrations it renders', () => {
+    const specialist = new SimpleDatabaseSpecialist();
+    const entities = specialist.generateEntities('ecommerce');
+    const indexes = specialist.suggestIndexes(entities, specialist.analyzeQueryPatterns({ description: 'an online store' }));
+    const schema = { tables: specialist.generateTables(entities, 'sqlite', indexes) };
+    const db = new SQL.Database();
+
+    db.exec('PRAGMA foreign_keys = ON;');
+    db.exec(renderMigration(null, schema, 'sqlite').up);
+    db.exec(renderSeed(schema, specialist.generateSeedData({ entities }), 'sqlite'));
+    db.exec(renderSeed(schema, specialist.generateSeedData({ entities }), 'sqlite'));
+
+    expect(rows(db, 'SELECT COUNT(*) FROM "orderitems"')).toEqual([[3]]);
+    expect(rows(db, "SELECT name FROM sqlite_master WHERE type = 'index' AND name LIKE 'idx_%' ORDER BY name").flat())
+      .toEqual(indexes.map(index => index.name).sort());
+    expect(() => db.exec('INSERT INTO "orders" ("id", "user_id", "total", "created_at") VALUES (\'o9\', \'nobody\', 1, \'x\')'))
+      .toThrow(/FOREIGN KEY constraint failed/);
+
+    db.exec(renderMigration(null, schema, 'sqlite').down);
+    expect(rows(db, "SELECT name FROM sqlite_master WHERE type = 'table'")).toEqual([]);
+    db.close();
+  });
+
+  test('keeps existing rows through a rebuild and back', () => {
+    const next = changeTable(notesSchema(), 'notes', table => {
+      table.fields.find(field => field.name === 'title').unique = true;
+      table.fields.push({ name: 'body', type: 'text' }, { name: 'editorId', type: 'string', optional: true, foreignKey: 'User.id' });
+    });
+    const migration = renderMigration(notesSchema(), next, 'sqlite');
+    const db = new SQL.Database();
+
+    db.exec(renderSchema(notesSchema(), 'sqlite'));
+    db.exec(`INSERT INTO "users" VALUES ('u1', 'a@example.com');
+      INSERT INTO "folders" VALUES ('f1', 'Inbox');
+      INSERT INTO "notes" VALUES ('n1', 'Shopping', 1, 'u1', 'f1');`);
+
+    db.exec(migration.up);
+    expect(columns(db, 'notes')).toEqual(['id', 'title', 'pinned', 'author_id', 'folder_id', 'body', 'editor_id']);
+    expect(rows(db, 'SELECT "title", "body", "folder_id" FROM "notes"')).toEqual([['Shopping', '', 'f1']]);
+    expect(() => db.exec('INSERT INTO "notes" ("id", "title", "author_id", "body") VALUES (\'n2\', \'Shopping\', \'u1\', \'\')'))
+      .toThrow(/UNIQUE constraint failed/);
+
+    db.exec(migration.down);
+    expect(columns(db, 'notes')).toEqual(['id', 'title', 'pinned', 'author_id', 'folder_id']);
+    expect(rows(db, 'SELECT "id", "title" FROM "notes"')).toEqual([['n1', 'Shopping']]);
+    expect(rows(db, 'PRAGMA foreign_key_check')).toEqual([]);
+    db.close();
+  });
+});
+
+describe('SimpleDatabaseSpecialist schema', () => {
+  let specialist;
+  let root;
+
+  beforeEach(() => {
+    specialist = new SimpleDatabaseSpecialist();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'db-schema-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('derives query patterns from the app type and description', () => {
+    expect(specialist.analyzeQueryPatterns({ description: 'a todo app' }))
+      .toEqual(['related-records', 'filter-by-status', 'sort-by-date']);
+    expect(specialist.analyzeQueryPatterns({ description: 'a recipe collection I can search by category' }))
+      .toEqual(['related-records', 'text-search', 'browse-by-category']);
+  });
+
+  test('suggests indexes for the query patterns without redundant ones', () => {
+    const entities = specialist.generateEntities('todo-app');
+    const indexes = specialist.suggestIndexes(entities, specialist.analyzeQueryPatterns({ description: 'a todo app with search' }));
+
+    expect(indexes.map(index => index.name)).toEqual(['idx_todos_user_id_completed', 'idx_todos_due_date', 'idx_todos_title']);
+    expect(indexes[0]).toMatchObject({ table: 'todos', columns: ['userId', 'completed'], reason: "List each user's todos by completed" });
+
+    const ecommerce = specialist.suggestIndexes(specialist.generateEntities('ecommerce'), ['related-records']);
+    expect(ecommerce.map(index => index.name)).toEqual(['idx_orders_user_id', 'idx_orderitems_order_id', 'idx_orderitems_product_id']);
+  });
+
+  test('describes constraints and seeds rows that reference each other', () => {
+    const entities = specialist.generateEntities('blog');
+    const constraints = specialist.generateConstraints(entities);
+    expect(constraints).toContainEqual({ entity: 'Comment', type: 'foreign-key', columns: ['postId'], references: 'Post.id', onDelete: 'CASCADE' });
+    expect(constraints).toContainEqual({ entity: 'Post', type: 'unique', columns: ['slug'] });
+
+    const seed = specialist.generateSeedData({ entities });
+    const rows = Object.fromEntries(seed.map(({ table, rows: tableRows }) => [table, tableRows]));
+    expect(rows.users).toHaveLength(1);
+    expect(rows.posts.map(post => post.slug)).toEqual(['hello-world', 'what-i-learned-this-month', 'a-few-favourite-tools']);
+    expect(rows.comments.every(comment => rows.posts.some(post => post.id === comment.postId))).toBe(true);
+    expect(rows.posts[0]).not.toHaveProperty('excerpt');
+    expect(specialist.generateSeedData({ entities })).toEqual(seed);
+  });
+
+  test('writes numbered migrations and only adds one when the schema changed', async () => {
+    const command = { description: 'a todo app' };
+    const build = async () => {
+      const workspace = new ProjectWorkspace(root);
+      const written = await specialist.writeFiles(workspace, command);
+      workspace.commit();
+      return written;
+    };
+    const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+    const first = await build();
+    expect(first).toEqual(expect.arrayContaining([
+      'data/schema.json',
+      'data/seed.json',
+      'data/db.json',
+      'db/sqlite/schema.sql',
+      'db/sqlite/seed.sql',
+      'db/sqlite/migrations/0001_create_schema.up.sql',
+      'db/postgresql/migrations/0001_create_schema.down.sql'
+    ]));
+    expect(JSON.parse(read('data/schema.json')).tables[1].indexes.map(index => index.name))
+      .toEqual(['idx_todos_user_id_completed', 'idx_todos_due_date']);
+    expect(read('db/postgresql/migrations/0001_create_schema.up.sql')).toContain('"due_date" TIMESTAMPTZ,');
+
+    // Nothing changed, so no new migration
+    await build();
+    expect(fs.readdirSync(path.join(root, 'db/sqlite/migrations'))).toHaveLength(2);
+
+    // The last build didn't have a priority field yet
+    const schema = JSON.parse(read('data/schema.json'));
+    schema.tables[1].fields = schema.tables[1].fields.filter(field => field.name !== 'priority');
+    fs.writeFileSync(path.join(root, 'data/schema.json'), JSON.stringify(schema));
+
+    const written = await build();
+    expect(written).toContain('db/postgresql/migrations/0002_add_priority_to_todos.up.sql');
+    expect(written).not.toContain('data/db.json');
+    expect(read('db/postgresql/migrations/0002_add_priority_to_todos.up.sql'))
+      .toContain('ALTER TABLE "todos" ADD COLUMN "priority" VARCHAR(255) NOT NULL DEFAULT \'medium\';');
+    expect(read('db/postgresql/migrations/0002_add_priority_to_todos.down.sql'))
+      .toContain('ALTER TABLE "todos" DROP COLUMN "priority";');
+    expect(read('db/sqlite/schema.sql')).toContain('"priority" TEXT NOT NULL DEFAULT \'medium\'');
+  });
+});
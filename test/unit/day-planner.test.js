@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for the Day Planner
+ * Time blocks around breaks and events, deadlines, dependencies, overruns and ICS events
+ */
+
+const TaskManager = require('../../src/core/task-manager');
+const { planDay, normalizeSettings } = require('../../src/core/day-planner');
+const { fromICalendarEvents } = require('../../src/core/task-formats');
+
+describe('Day planner', () => {
+  // Wednesday 9 January 2030
+  const at = (hour, minute = 0) => new Date(2030, 0, 9, hour, minute);
+  const now = at(8);
+  const morning = { workingHours: { start: '09:00', end: '12:00' }, breaks: [] };
+
+  const item = (id, minutes, extra = {}) => ({
+    task: { id, title: `Task ${id}`, priority: 50 - id },
+    minutes,
+    deadline: null,
+    dependencies: [],
+    runningSince: null,
+    ...extra
+  });
+
+  const slots = plan => plan.agenda.map(block =>
+    `${block.taskId || block.title} ${block.start.toTimeString().slice(0, 5)}-${block.end.toTimeString().slice(0, 5)}`);
+
+  test('should fill free time around breaks and events in priority order', () => {
+    const plan = planDay([item(1, 60), item(2, 30)], {
+      ...morning,
+      breaks: [{ start: '11:00', end: '11:15', title: 'Coffee' }],
+      events: [{ title: 'Standup', start: at(10), end: at(10, 30) }]
+    }, now);
+
+    expect(slots(plan)).toEqual(['1 09:00-10:00', 'Standup 10:00-10:30', '2 10:30-11:00', 'Coffee 11:00-11:15']);
+    expect(plan.summary).toEqual(expect.objectContaining({ scheduledTasks: 2, taskMinutes: 90, freeMinutes: 45 }));
+  });
+
+  test('should put tasks due today first and flag ones that finish late', () => {
+    const plan = planDay([
+      item(1, 60),
+      item(2, 60, { deadline: at(11) }),
+      item(3, 60, { deadline: at(9, 30) })
+    ], morning, now);
+
+    expect(slots(plan)).toEqual(['3 09:00-10:00', '2 10:00-11:00', '1 11:00-12:00']);
+    expect(plan.agenda[0].late).toBe(true);
+    expect(plan.agenda[1].late).toBe(false);
+    expect(plan.summary.lateTasks).toBe(1);
+  });
+
+  test('should schedule tasks after their dependencies', () => {
+    const plan = planDay([item(1, 30, { dependencies: [2] }), item(2, 30)], morning, now);
+
+    expect(slots(plan)).toEqual(['2 09:00-09:30', '1 09:30-10:00']);
+  });
+
+  test('should split long tasks across gaps and skip slivers', () => {
+    const plan = planDay([item(1, 90), item(2, 10)], {
+      ...morning,
+      events: [
+        { title: 'Call', start: at(9, 10), end: at(10) },
+        { title: 'Review', start: at(11), end: at(12) }
+      ]
+    }, now);
+
+    // The 10-minute gap is too short to start task 1 in, but fits task 2 whole
+    expect(slots(plan)).toEqual(['2 09:00-09:10', 'Call 09:10-10:00', '1 10:00-11:00', 'Review 11:00-12:00']);
+    expect(plan.agenda[2]).toEqual(expect.objectContaining({ continues: true, remainingMinutes: 30 }));
+  });
+
+  test('should explain what does not fit', () => {
+    const plan = planDay([
+      item(1, 180),
+      item(2, 30),
+      item(3, 30, { dependencies: [2] }),
+      item(4, 30, { dependencies: [99] })
+    ], morning, now);
+
+    expect(plan.unscheduled).toEqual([
+      expect.objectContaining({ taskId: 2, reason: 'No free time left in the day' }),
+      expect.objectContaining({ taskId: 3, reason: 'Waits on task 2, which does not finish today' }),
+      expect.objectContaining({ taskId: 4, reason: 'Waits on task 99' })
+    ]);
+  });
+
+  test('should re-plan the rest of the day around a task that runs over', () => {
+    const items = [item(1, 30, { runningSince: at(9) }), item(2, 30)];
+
+    const onTime = planDay(items, morning, at(9, 20));
+    expect(slots(onTime)).toEqual(['1 09:20-09:30', '2 09:30-10:00']);
+
+    const overrun = planDay(items, morning, at(10));
+    expect(slots(overrun)).toEqual(['1 10:00-10:15', '2 10:15-10:45']);
+    expect(overrun.agenda[0]).toEqual(expect.objectContaining({ running: true, overrun: true, overrunMinutes: 30 }));
+    expect(overrun.summary.overrun).toBe(true);
+  });
+
+  test('should reject bad settings and past days', () => {
+    expect(() => normalizeSettings({ workingHours: { start: '9am', end: '17:00' } })).toThrow('workingHours.start must be a time');
+    expect(() => normalizeSettings({ workingHours: { start: '17:00', end: '09:00' } })).toThrow('must be after');
+    expect(() => normalizeSettings({ breaks: [{ start: '13:00', end: '12:00' }] })).toThrow('must end after it starts');
+    expect(() => planDay([], { date: '2030-01-08' }, now)).toThrow('already over');
+    expect(() => planDay([], { date: '2030-02-30' }, now)).toThrow('date must look like');
+  });
+
+  test('should read busy time from an iCalendar file', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:standup@example.com',
+      'SUMMARY:Standup',
+      'DTSTART:20300109T093000',
+      'DTEND:20300109T094500',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:workshop@example.com',
+      'SUMMARY:Workshop',
+      'DTSTART:20300109T140000',
+      'DURATION:PT1H30M',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:Holiday',
+      'DTSTART;VALUE=DATE:20300109',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:Focus (free)',
+      'DTSTART:20300109T100000',
+      'DTEND:20300109T110000',
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    expect(fromICalendarEvents(ics)).toEqual([
+      { uid: 'standup@example.com', title: 'Standup', start: at(9, 30).toISOString(), end: at(9, 45).toISOString() },
+      { uid: 'workshop@example.com', title: 'Workshop', start: at(14).toISOString(), end: at(15, 30).toISOString() }
+    ]);
+  });
+
+  describe('TaskManager', () => {
+    let taskManager;
+
+    beforeEach(async () => {
+      taskManager = new TaskManager();
+      await taskManager.initialize();
+      taskManager.savePlannerSettings(morning);
+    });
+
+    test('should plan around stored events and update them by uid', () => {
+      taskManager.createTask({ title: 'Write report', estimatedMinutes: 60 });
+      taskManager.addFixedEvents([{ uid: 'm1', title: 'Meeting', start: at(9), end: at(10) }], { now });
+      taskManager.addFixedEvents([{ uid: 'm1', title: 'Meeting (moved)', start: at(11), end: at(12) }], { now });
+
+      const plan = taskManager.planDay({}, now);
+
+      expect(taskManager.getFixedEvents()).toHaveLength(1);
+      expect(slots(plan)).toEqual(['1 09:00-10:00', 'Meeting (moved) 11:00-12:00']);
+    });
+
+    test('should wait on the subtasks of a parent dependency and plan only the caller\'s tasks', () => {
+      const parent = taskManager.createTask({ title: 'Design', importance: 1 });
+      const sketch = taskManager.createTask({ title: 'Sketch', parentId: parent.id, estimatedMinutes: 30, importance: 1 });
+      const build = taskManager.createTask({ title: 'Build', dependencies: [parent.id], estimatedMinutes: 30, importance: 5 });
+      taskManager.createTask({ title: 'Not mine', assigneeId: 'u-bob', importance: 5 });
+
+      const plan = taskManager.planDay({ assigneeId: 'u-alice' }, now);
+
+      expect(plan.agenda.map(block => block.taskId)).toEqual([sketch.id, build.id]);
+    });
+  });
+});
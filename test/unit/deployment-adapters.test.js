@@ -0,0 +1,384 @@
+/**
+ * Unit Tests for Deployment Adapters
+ * Release bundles, the static folder, Docker and rsync targets, health checks
+ * with rollback, deployment records and /deploy-when-ready reporting them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const {
+  Deployer,
+  DeploymentError,
+  buildRelease,
+  chooseTarget,
+  findDestination,
+  runCommand
+} = require('../../src/core/deployment-adapters');
+const { DeploymentSpecialist } = require('../../src/agents/deployment-specialist');
+const { DeployCommand } = require('../../src/core/commands/deploy-command');
+
+const writeProject = (dir, files) => {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  });
+  return dir;
+};
+
+const NOTES_APP = {
+  'package.json': {
+    name: 'notes',
+    version: '1.0.0',
+    scripts: { start: 'node server.js', test: 'jest' },
+    dependencies: {},
+    devDependencies: { jest: '^29.7.0' },
+    jest: { testEnvironment: 'node' }
+  },
+  'server.js': '// serves the app in public/\n',
+  'public/index.html': '<link rel="stylesheet" href="/styles.css">\n<script type="module" src="/app.js"></script>\n<a href="https://example.com">x</a>\n',
+  'public/styles.css': 'body {}\n',
+  'public/app.js': 'console.log("hi");\n',
+  'tests/pages.test.js': "test('x', () => {});\n",
+  'data/db.json': '{}',
+  '.env': 'SECRET=1\n',
+  'debug.log': 'noise\n'
+};
+
+const TODO_APP = {
+  ...NOTES_APP,
+  'package.json': { ...NOTES_APP['package.json'], name: 'todos', dependencies: { express: '^4.18.2' } },
+  'openapi.json': '{}',
+  'middleware/auth.js': '// auth\n'
+};
+
+// Answers GET requests the way a deployed app would, until closed
+const listen = handler => new Promise(resolve => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('buildRelease', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'release-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('copies production files into dist/ with a manifest of their hashes', () => {
+    writeProject(root, TODO_APP);
+
+    const build = buildRelease(root, 'r1');
+
+    expect(build.dir).toBe(path.join(root, 'dist'));
+    expect(build.files.sort()).toEqual([
+      'middleware/auth.js', 'openapi.json', 'package.json', 'public/app.js', 'public/index.html', 'public/styles.css', 'server.js'
+    ]);
+    expect(JSON.parse(fs.readFileSync(path.join(build.dir, 'package.json'), 'utf8'))).toEqual({
+      name: 'todos',
+      version: '1.0.0',
+      scripts: { start: 'node server.js' },
+      dependencies: { express: '^4.18.2' }
+    });
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(build.dir, 'deploy-manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ id: 'r1', name: 'todos', hash: build.hash, hasServer: true, hasApi: true, hasAuth: true, healthPath: '/api/health' });
+    expect(manifest.files['server.js']).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('needs a package.json', () => {
+    expect(() => buildRelease(root, 'r1')).toThrow(DeploymentError);
+  });
+});
+
+describe('chooseTarget', () => {
+  test('uses the target a request names, else one that suits the app', () => {
+    expect(chooseTarget('ship it with docker')).toBe('docker');
+    expect(chooseTarget('deploy to deploy@example.com:/srv/todos')).toBe('rsync');
+    expect(chooseTarget('publish to a static folder', { hasApi: true })).toBe('static');
+    expect(chooseTarget('go live', { hasApi: true })).toBe('docker');
+    expect(chooseTarget('go live')).toBe('static');
+  });
+
+  test('finds rsync destinations but not URLs', () => {
+    expect(findDestination('to localhost:/srv/app please')).toBe('localhost:/srv/app');
+    expect(findDestination('to me@box.local:~/apps/todo')).toBe('me@box.local:~/apps/todo');
+    expect(findDestination('check https://example.com/health')).toBeNull();
+  });
+});
+
+describe('Deployer', () => {
+  let root;
+  let project;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-'));
+    project = path.join(root, 'apps', 'notes');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('rejects targets it has no adapter for', async () => {
+    await expect(new Deployer().deploy(writeProject(project, NOTES_APP), { target: 'ftp' })).rejects.toThrow('Unknown deployment target "ftp"');
+  });
+
+  describe('static', () => {
+    test('publishes public/, checks it and records the deployment', async () => {
+      writeProject(project, NOTES_APP);
+      const deployer = new Deployer();
+
+      const record = await deployer.deploy(project, { target: 'static' });
+
+      const published = path.join(root, 'apps', 'published', 'notes');
+      expect(record).toMatchObject({ target: 'static', status: 'live', path: published, url: null, error: null });
+      expect(record.health).toEqual({
+        ok: true,
+        checks: [
+          { name: 'files', ok: true, detail: '3 files match the build' },
+          { name: 'links', ok: true, detail: 'Everything index.html loads is there' }
+        ]
+      });
+      expect(fs.readFileSync(path.join(published, 'app.js'), 'utf8')).toBe('console.log("hi");\n');
+      expect(deployer.history(project)).toEqual([record]);
+    });
+
+    test('checks the site over HTTP when it is served from a URL', async () => {
+      writeProject(project, NOTES_APP);
+      const server = await listen((req, res) => res.writeHead(req.url === '/' ? 200 : 404).end());
+
+      try {
+        const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+        const record = await new Deployer().deploy(project, { target: 'static', dir: path.join(root, 'www'), baseUrl });
+
+        expect(record.url).toBe(baseUrl);
+        expect(record.health.checks[2]).toEqual({ name: 'http', ok: true, detail: `${baseUrl} answered 200` });
+      } finally {
+        server.close();
+      }
+    });
+
+    test('puts the previous site back when the new one fails its check', async () => {
+      writeProject(project, NOTES_APP);
+      const deployer = new Deployer();
+      const dir = path.join(root, 'www');
+      await deployer.deploy(project, { target: 'static', dir });
+
+      writeProject(project, { 'public/index.html': '<script src="/missing.js"></script>\n' });
+      const record = await deployer.deploy(project, { target: 'static', dir });
+
+      expect(record).toMatchObject({ status: 'failed', error: 'The deployed app failed its health check' });
+      expect(record.health.checks[1]).toEqual({ name: 'links', ok: false, detail: "index.html loads files that don't exist: missing.js" });
+      expect(record.notes).toContain(`Put the previous version back in ${dir}`);
+      expect(fs.readFileSync(path.join(dir, 'index.html'), 'utf8')).toBe(NOTES_APP['public/index.html']);
+      expect(deployer.history(project).map(entry => entry.status)).toEqual(['live', 'failed']);
+    });
+
+    test('refuses apps with an API', async () => {
+      writeProject(project, TODO_APP);
+
+      const record = await new Deployer().deploy(project, { target: 'static' });
+
+      expect(record).toMatchObject({ status: 'failed', error: expect.stringContaining("has an API, which a static folder can't run") });
+    });
+  });
+
+  describe('docker', () => {
+    test('writes a Dockerfile and compose file, and leaves them unstarted without Docker', async () => {
+      writeProject(project, TODO_APP);
+      const runCommand = jest.fn(async () => ({ code: null, stdout: '', stderr: 'spawn docker ENOENT', missing: true }));
+
+      const record = await new Deployer({ runCommand }).deploy(project, { target: 'docker', port: 8080 });
+
+      expect(record).toMatchObject({ status: 'bundled', url: null, path: path.join(project, 'dist') });
+      expect(record.notes[0]).toContain("Docker isn't available here");
+      expect(record.health.ok).toBe(true);
+
+      const dockerfile = fs.readFileSync(path.join(project, 'dist', 'Dockerfile'), 'utf8');
+      expect(dockerfile).toContain('RUN npm install --omit=dev');
+      expect(dockerfile).toContain('wget -qO- http://localhost:3000/api/health');
+      const compose = fs.readFileSync(path.join(project, 'dist', 'docker-compose.yml'), 'utf8');
+      expect(compose).toContain('- 8080:3000');
+      expect(compose).toContain('JWT_SECRET: ${JWT_SECRET:?Set JWT_SECRET so sign-ins survive restarts}');
+      expect(compose).toContain('DATA_DIR: /app/data');
+    });
+
+    test('starts the bundle with docker compose and checks its health endpoint', async () => {
+      writeProject(project, TODO_APP);
+      const server = await listen((req, res) => res.writeHead(req.url === '/api/health' ? 200 : 404).end());
+      const port = server.address().port;
+      const runCommand = jest.fn(async () => ({ code: 0, stdout: '', stderr: '', missing: false }));
+
+      try {
+        const record = await new Deployer({ runCommand }).deploy(project, { target: 'docker', port });
+
+        expect(runCommand).toHaveBeenLastCalledWith('docker', ['compose', '-p', 'todos', 'up', '-d', '--build'],
+          expect.objectContaining({ cwd: path.join(project, 'dist') }));
+        expect(record).toMatchObject({ status: 'live', url: `http://localhost:${port}` });
+        expect(record.health.checks[2]).toMatchObject({ name: 'http', ok: true });
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe('rsync', () => {
+    const ssh = [];
+    // rsync copies locally and ssh to localhost runs the command in a local shell
+    const localhost = async (file, args, options) => {
+      if (file === 'rsync') {
+        if (args[0] === '--version') return { code: 0, stdout: 'rsync  version 3.2.7', stderr: '', missing: false };
+        const [source, destination] = args.slice(-2);
+        fs.cpSync(source, destination.replace(/^localhost:/, ''), { recursive: true });
+        return { code: 0, stdout: '', stderr: '', missing: false };
+      }
+      if (file === 'ssh') {
+        ssh.push(args);
+        expect(args[args.length - 2]).toBe('localhost');
+        return runCommand('sh', ['-c', args[args.length - 1]], options);
+      }
+      return runCommand(file, args, options);
+    };
+
+    beforeEach(() => {
+      ssh.length = 0;
+    });
+
+    test('syncs releases over SSH and switches current to the newest', async () => {
+      writeProject(project, TODO_APP);
+      const deployer = new Deployer({ runCommand: localhost });
+      const base = path.join(root, 'srv');
+
+      const first = await deployer.deploy(project, { target: 'rsync', destination: `localhost:${base}`, sshPort: 2222 });
+      writeProject(project, { 'server.js': '// version 2\n' });
+      const second = await deployer.deploy(project, { target: 'rsync', destination: `localhost:${base}` });
+
+      expect(first).toMatchObject({ status: 'live', path: `localhost:${base}/current` });
+      expect(second.health.checks).toEqual([{ name: 'release', ok: true, detail: `current is release ${second.id}` }]);
+      expect(fs.readlinkSync(path.join(base, 'current'))).toBe(`releases/${second.id}`);
+      expect(fs.readFileSync(path.join(base, 'current', 'server.js'), 'utf8')).toBe('// version 2\n');
+      expect(fs.readdirSync(path.join(base, 'releases')).sort()).toEqual([first.id, second.id].sort());
+      expect(ssh[0].slice(0, 4)).toEqual(['-o', 'BatchMode=yes', '-p', '2222']);
+    });
+
+    test('switches back to the previous release when the app does not come up', async () => {
+      writeProject(project, TODO_APP);
+      const deployer = new Deployer({ runCommand: localhost, healthCheck: { attempts: 1 } });
+      const base = path.join(root, 'srv');
+      const first = await deployer.deploy(project, { target: 'rsync', destination: `localhost:${base}` });
+      const server = await listen((req, res) => res.writeHead(500).end());
+
+      try {
+        const url = `http://127.0.0.1:${server.address().port}`;
+        const record = await deployer.deploy(project, { target: 'rsync', destination: `localhost:${base}`, url });
+
+        expect(record.status).toBe('failed');
+        expect(record.health.checks[1]).toEqual({ name: 'http', ok: false, detail: `${url}/api/health answered 500` });
+        expect(record.notes).toEqual([`Pointed current back at releases/${first.id}`]);
+        expect(fs.readlinkSync(path.join(base, 'current'))).toBe(`releases/${first.id}`);
+      } finally {
+        server.close();
+      }
+    });
+
+    // ssh to a host whose mv is replaced by the given script
+    const withMv = script => {
+      const bin = path.join(root, 'bin');
+      writeProject(bin, { mv: `#!/bin/sh\n${script}\n` });
+      fs.chmodSync(path.join(bin, 'mv'), 0o755);
+      return (file, args, options) => (file === 'ssh'
+        ? localhost(file, [...args.slice(0, -1), `PATH=${bin}:$PATH; ${args[args.length - 1]}`], options)
+        : localhost(file, args, options));
+    };
+
+    test('switches current with mv -h on BSD hosts', async () => {
+      writeProject(project, TODO_APP);
+      // BSD mv: no -T, and -h renames over a symlink instead of following it
+      const runOnBsd = withMv('case "$1" in -Tf) echo "mv: illegal option -- T" >&2; exit 1;; -hf) shift; exec /bin/mv -Tf "$@";; esac\nexec /bin/mv "$@"');
+      const deployer = new Deployer({ runCommand: runOnBsd });
+      const base = path.join(root, 'srv');
+
+      await deployer.deploy(project, { target: 'rsync', destination: `localhost:${base}` });
+      writeProject(project, { 'server.js': '// version 2\n' });
+      const second = await deployer.deploy(project, { target: 'rsync', destination: `localhost:${base}` });
+
+      expect(second.status).toBe('live');
+      expect(fs.readlinkSync(path.join(base, 'current'))).toBe(`releases/${second.id}`);
+      expect(fs.readdirSync(base).sort()).toEqual(['current', 'releases']);
+    });
+
+    test('says when current cannot be swapped atomically', async () => {
+      writeProject(project, TODO_APP);
+      const runWithoutFlags = withMv('case "$1" in -Tf|-hf) echo "mv: illegal option" >&2; exit 1;; esac\nexec /bin/mv "$@"');
+      const base = path.join(root, 'srv');
+
+      const record = await new Deployer({ runCommand: runWithoutFlags }).deploy(project, { target: 'rsync', destination: `localhost:${base}` });
+
+      expect(record.status).toBe('failed');
+      expect(record.error).toContain(`Couldn't rename ${base}/current.next over ${base}/current (tried GNU mv -T and BSD mv -h)`);
+    });
+
+    test('says when there is nowhere to deploy to', async () => {
+      writeProject(project, TODO_APP);
+
+      const record = await new Deployer({ runCommand: localhost }).deploy(project, { target: 'rsync' });
+
+      expect(record.error).toBe('Tell me where to deploy, e.g. deploy@example.com:/srv/my-app');
+    });
+  });
+});
+
+describe('DeployCommand', () => {
+  let appsDir;
+  const agentPool = {
+    executeWithAgent: (agentId, command, context) => new DeploymentSpecialist().execute(command, context)
+  };
+
+  beforeEach(() => {
+    appsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apps-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(appsDir, { recursive: true, force: true });
+  });
+
+  test('reports where the app actually went', async () => {
+    writeProject(path.join(appsDir, 'notes'), NOTES_APP);
+    const dir = path.join(appsDir, 'www');
+
+    const result = await new DeployCommand({ appsDir }).execute(`publish notes into ${dir}`, {}, { agentPool });
+
+    expect(result).toMatchObject({ success: true, projectDir: path.join(appsDir, 'notes'), deploymentUrl: null, deploymentPath: dir });
+    expect(result.message).toBe(`Your app is deployed to ${dir} and passed its health check.`);
+    expect(result.deployment.target).toBe('static');
+    expect(result.result.userFriendlyExplanation.details).toContain('✅ Health check (files): 3 files match the build');
+    expect(result.result.nextSuggestion).toBe('/show-me-progress');
+  });
+
+  test('bundles apps with an API for Docker', async () => {
+    writeProject(path.join(appsDir, 'todos'), TODO_APP);
+    const specialist = new DeploymentSpecialist({
+      deployer: new Deployer({ runCommand: async () => ({ code: null, stdout: '', stderr: '', missing: true }) })
+    });
+
+    const result = await new DeployCommand({ appsDir }).execute('go live', {}, {
+      agentPool: { executeWithAgent: (agentId, command, context) => specialist.execute(command, context) }
+    });
+
+    expect(result.deployment).toMatchObject({ target: 'docker', status: 'bundled' });
+    expect(result.message).toBe(`Your app is packaged for Docker in ${path.join(appsDir, 'todos', 'dist')}, ready to start.`);
+  });
+
+  test('says when there is no project to deploy', async () => {
+    const result = await new DeployCommand({ appsDir }).execute('', {}, { agentPool });
+
+    expect(result).toMatchObject({ success: false, deploymentUrl: null, deployment: null });
+    expect(result.message).toContain('There is no project to deploy yet');
+  });
+});
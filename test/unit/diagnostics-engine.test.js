@@ -0,0 +1,347 @@
+/**
+ * Unit Tests for Diagnostics Engine
+ * Checking a generated project, classifying findings against the issue
+ * categories in fix-whatever-is-broken.md, fixing what can be fixed,
+ * re-verifying and the /fix-whatever-is-broken command's report
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DiagnosticsEngine, DiagnosticsError, closeBrackets, moduleReferences } = require('../../src/core/diagnostics-engine');
+const { FixBrokenCommand } = require('../../src/core/commands/fix-broken-command');
+const { XMLMetadataParser } = require('../../src/core/xml-metadata-parser');
+
+const PLAYBOOK = path.join(__dirname, '../../commands/fix-whatever-is-broken.md');
+
+const writeProject = (dir, files) => {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  return dir;
+};
+
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf8');
+
+// Healthy, and with nothing to install: node --test runs its tests
+const APP = {
+  'package.json': `${JSON.stringify({ name: 'fix-me', scripts: { start: 'node server.js', test: 'node --test' } }, null, 2)}\n`,
+  'server.js': [
+    "const http = require('http');",
+    "const { total } = require('./lib/total');",
+    '',
+    'const server = http.createServer((req, res) => {',
+    '  res.end(String(total([1, 2])));',
+    '});',
+    '',
+    'if (require.main === module) server.listen(Number(process.env.PORT) || 3000);',
+    'module.exports = { server };',
+    ''
+  ].join('\n'),
+  'lib/total.js': 'module.exports = { total: items => items.reduce((sum, item) => sum + item, 0) };\n',
+  'tests/total.test.js': [
+    "const test = require('node:test');",
+    "const assert = require('assert');",
+    "const { total } = require('../lib/total');",
+    '',
+    "test('adds up the items', () => assert.strictEqual(total([1, 2]), 3));",
+    ''
+  ].join('\n'),
+  'public/index.html': [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1">',
+    '  <link rel="stylesheet" href="/styles.css">',
+    '</head>',
+    '<body>',
+    '  <img src="/images/team-photo.png" alt="Our team">',
+    '  <form><label>Email <input name="email" type="email"></label><button type="submit">Join</button></form>',
+    '  <a href="#top">Back to top</a> <a href="https://example.com">Elsewhere</a> <a href="/api/todos">Data</a>',
+    '  <script type="module" src="/app.js"></script>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n'),
+  'public/styles.css': 'header { background: url("/images/team-photo.png"); }\n',
+  'public/app.js': "import { list } from './components/list.js';\nlist();\n",
+  'public/components/list.js': 'export const list = () => [];\n',
+  'public/images/team-photo.png': 'PNG'
+};
+
+describe('XMLMetadataParser.parseIssueCategories', () => {
+  test('reads each category with its common issues and fix approach', () => {
+    const { issue_categories: categories } = new XMLMetadataParser().parseXMLMetadata(fs.readFileSync(PLAYBOOK, 'utf8'));
+
+    expect(categories.map(category => `${category.name}:${category.priority}`)).toEqual([
+      'build-errors:critical',
+      'functional-bugs:high',
+      'design-issues:medium',
+      'performance-issues:medium',
+      'accessibility-issues:low'
+    ]);
+    expect(categories[0]).toMatchObject({
+      auto_fix: 'true',
+      common_issues: ['Missing dependencies', 'Syntax errors', 'Configuration problems', 'File path issues'],
+      fix_approach: 'immediate_resolution'
+    });
+  });
+});
+
+describe('closeBrackets', () => {
+  test('closes what is still open at the end, ignoring strings and comments', () => {
+    expect(closeBrackets("app.get('/', (req, res) => {\n  res.send('{ (');  // )\n")).toBe("app.get('/', (req, res) => {\n  res.send('{ (');  // )\n})\n");
+  });
+
+  test('gives up on mismatched brackets and unfinished strings', () => {
+    expect(closeBrackets('call(];')).toBeNull();
+    expect(closeBrackets("call('open")).toBeNull();
+    expect(closeBrackets('balanced();')).toBeNull();
+  });
+});
+
+describe('moduleReferences', () => {
+  test('finds require() calls and static and dynamic imports with their lines', () => {
+    const source = "const a = require('a');\nimport { b } from './b.js';\nimport './c.css';\nconst d = await import('d');\n";
+    expect(moduleReferences(source).map(({ specifier, line }) => `${specifier}@${line}`))
+      .toEqual(['a@1', './b.js@2', './c.css@3', 'd@4']);
+  });
+});
+
+describe('DiagnosticsEngine', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnose-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('finds nothing wrong with a healthy project', async () => {
+    const { findings, checks } = await new DiagnosticsEngine().diagnose(writeProject(root, APP));
+
+    expect(findings).toEqual([]);
+    expect(Object.keys(checks)).toEqual(['syntax', 'dependencies', 'tests', 'lint', 'links']);
+    Object.values(checks).forEach(check => expect(check.error).toBeNull());
+  }, 30000);
+
+  test('files each finding under its playbook category, most urgent first', async () => {
+    writeProject(root, {
+      ...APP,
+      'server.js': APP['server.js'].replace("require('./lib/total')", "require('./lib/Total')"),
+      'public/index.html': APP['public/index.html']
+        .replace('  <meta name="viewport" content="width=device-width, initial-scale=1">\n', '')
+        .replace(' alt="Our team"', '')
+        .replace('<a href="#top">', '<a href="/about.html">')
+        .replace('<label>Email <input name="email" type="email"></label>', '<input name="email_address">'),
+      'tests/total.test.js': APP['tests/total.test.js'].replace('3)', '4)')
+    });
+
+    const { findings } = await new DiagnosticsEngine().diagnose(root);
+
+    expect(findings.map(({ category, priority, issue, file, line }) => ({ category, priority, issue, file, line }))).toEqual([
+      { category: 'build-errors', priority: 'critical', issue: 'File path issues', file: 'server.js', line: 2 },
+      { category: 'functional-bugs', priority: 'high', issue: 'JavaScript errors', file: null, line: null },
+      { category: 'functional-bugs', priority: 'high', issue: 'Broken links or navigation', file: 'public/index.html', line: 10 },
+      { category: 'design-issues', priority: 'medium', issue: 'Mobile responsiveness problems', file: 'public/index.html', line: 3 },
+      { category: 'accessibility-issues', priority: 'low', issue: 'Missing alt text for images', file: 'public/index.html', line: 8 },
+      { category: 'accessibility-issues', priority: 'low', issue: 'Missing form labels', file: 'public/index.html', line: 9 }
+    ]);
+    expect(findings[0]).toMatchObject({
+      description: "server.js, line 2: it loads ./lib/Total, but there's no such file",
+      fixApproach: 'immediate_resolution',
+      autoFix: true
+    });
+    expect(findings[1]).toMatchObject({ description: 'The test "adds up the items" fails', autoFix: false });
+    expect(findings[2]).toMatchObject({ description: "public/index.html, line 10: /about.html doesn't exist", autoFix: false });
+  }, 30000);
+
+  test('fixes what it can, checks again and reports the rest', async () => {
+    writeProject(root, {
+      ...APP,
+      'package.json': APP['package.json'].replace('"node --test"', '"node --test",'),
+      'public/components/list.js': 'export const list = () => {\n  return [];\n',
+      'public/app.js': APP['public/app.js'].replace('./components/list.js', './List.js'),
+      'public/styles.css': APP['public/styles.css'].replace('/images/team-photo.png', '/team-photo.png'),
+      'public/index.html': APP['public/index.html']
+        .replace('  <meta name="viewport" content="width=device-width, initial-scale=1">\n', '')
+        .replace('<img src="/images/team-photo.png" alt="Our team">', '<img src="images/Team-Photo.png">')
+        .replace('<a href="#top">', '<a href="/about.html">')
+        .replace('<label>Email <input name="email" type="email"></label>', '<input name="email_address"><textarea></textarea>')
+    });
+
+    const report = await new DiagnosticsEngine().repair(root);
+
+    expect(report.fixed.map(issue => `${issue.status}: ${issue.statusText}`)).toEqual([
+      "fixed: Removed the extra comma that JSON doesn't allow",
+      'fixed: Added the closing brackets missing at the end of the file',
+      'fixed: Pointed it at ./components/list.js, the file it meant',
+      'fixed: Pointed it at images/team-photo.png, the file it meant',
+      'fixed: Pointed it at /images/team-photo.png, the file it meant',
+      'fixed: Added the viewport tag so the page fits phone screens',
+      'fixed: Added alt text ("Team photo")',
+      'fixed: Labelled the field "Email address"'
+    ]);
+    expect(report.remaining.map(issue => `${issue.issue} - ${issue.status}`)).toEqual([
+      'Broken links or navigation - needs-you',
+      'Missing form labels - needs-you'
+    ]);
+    expect(report).toMatchObject({ found: 10, reverted: false });
+
+    expect(JSON.parse(read(root, 'package.json')).scripts.test).toBe('node --test');
+    expect(read(root, 'public/components/list.js')).toBe('export const list = () => {\n  return [];\n}\n');
+    expect(read(root, 'public/app.js')).toBe(APP['public/app.js']);
+    expect(read(root, 'public/styles.css')).toBe(APP['public/styles.css']);
+    expect(read(root, 'public/index.html')).toContain([
+      '  <meta charset="utf-8">',
+      '  <meta name="viewport" content="width=device-width, initial-scale=1">',
+      '  <link rel="stylesheet" href="/styles.css">'
+    ].join('\n'));
+    expect(read(root, 'public/index.html')).toContain('<img alt="Team photo" src="images/team-photo.png">');
+    expect(read(root, 'public/index.html')).toContain('<input aria-label="Email address" name="email_address"><textarea></textarea>');
+  }, 60000);
+
+  test('goes round again for problems the first fixes uncovered', async () => {
+    writeProject(root, {
+      ...APP,
+      // The tests can't run, and the dependencies can't be checked, until this parses
+      'package.json': APP['package.json'].replace('"node --test"', '"node --test",'),
+      'server.js': APP['server.js'].replace("require('./lib/total')", "require('./lib/Total')")
+    });
+
+    const report = await new DiagnosticsEngine().repair(root);
+
+    expect(report.fixed.map(issue => issue.statusText)).toEqual([
+      "Removed the extra comma that JSON doesn't allow",
+      'Pointed it at ./lib/total, the file it meant'
+    ]);
+    expect(report.remaining).toEqual([]);
+    expect(read(root, 'server.js')).toBe(APP['server.js']);
+  }, 60000);
+
+  test('runs one npm install for every missing package and says when it fails', async () => {
+    writeProject(root, {
+      ...APP,
+      'package.json': `${JSON.stringify({ name: 'fix-me', dependencies: { express: '^4.18.2', cors: '^2.8.5' } }, null, 2)}\n`
+    });
+    const calls = [];
+    const runCommand = async (file, args, options) => {
+      calls.push([file, ...args, options.cwd]);
+      return { code: 1, stdout: '', stderr: 'npm ERR! network request failed' };
+    };
+
+    const report = await new DiagnosticsEngine({ runCommand, checks: ['dependencies'] }).repair(root);
+
+    expect(calls).toEqual([['npm', 'install', root]]);
+    expect(report.fixed).toEqual([]);
+    expect(report.remaining.map(issue => `${issue.description} - ${issue.statusText}`)).toEqual([
+      "The express package is listed in package.json but isn't installed - I tried to fix this but it's still there (npm install failed: npm ERR! network request failed)",
+      "The cors package is listed in package.json but isn't installed - I tried to fix this but it's still there (npm install failed: npm ERR! network request failed)"
+    ]);
+  });
+
+  test('puts files back when a fix breaks something else', async () => {
+    writeProject(root, APP);
+    const engine = new DiagnosticsEngine({ checks: ['syntax', 'lint'] });
+    let calls = 0;
+    jest.spyOn(engine, 'findLintProblems').mockImplementation(async () => (calls++ > 0 ? [] : [{
+      id: 'lint:lib/total.js:style',
+      check: 'lint',
+      issue: 'Styling inconsistencies',
+      description: 'lib/total.js is badly formatted',
+      file: 'lib/total.js',
+      line: 1,
+      technical: '',
+      fix: { explanation: 'Reformatted it', apply: workspace => workspace.write('lib/total.js', 'module.exports = {\n') }
+    }]));
+
+    const report = await engine.repair(root);
+
+    expect(read(root, 'lib/total.js')).toBe(APP['lib/total.js']);
+    expect(report).toMatchObject({ reverted: true, remaining: [] });
+    expect(report.fixed).toEqual([expect.objectContaining({ status: 'resolved', category: 'design-issues' })]);
+  }, 30000);
+
+  test('leaves categories the playbook marks as not auto-fixable alone', async () => {
+    const playbook = path.join(root, 'playbook.md');
+    fs.writeFileSync(playbook, fs.readFileSync(PLAYBOOK, 'utf8')
+      .replace('<category name="accessibility-issues" priority="low" auto_fix="true">', '<category name="accessibility-issues" priority="low" auto_fix="false">'));
+    const project = writeProject(path.join(root, 'app'), {
+      ...APP,
+      'public/index.html': APP['public/index.html'].replace(' alt="Our team"', '')
+    });
+
+    const report = await new DiagnosticsEngine({ playbook, checks: ['lint'] }).repair(project);
+
+    expect(report.remaining).toEqual([expect.objectContaining({ category: 'accessibility-issues', status: 'needs-you' })]);
+    expect(read(project, 'public/index.html')).toBe(APP['public/index.html'].replace(' alt="Our team"', ''));
+  });
+
+  test('refuses a folder that is not a project', async () => {
+    await expect(new DiagnosticsEngine().diagnose(root)).rejects.toThrow(DiagnosticsError);
+  });
+});
+
+describe('FixBrokenCommand', () => {
+  let appsDir;
+
+  beforeEach(() => {
+    appsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apps-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(appsDir, { recursive: true, force: true });
+  });
+
+  test('says when everything is fine', async () => {
+    writeProject(path.join(appsDir, 'fix-me'), APP);
+
+    const result = await new FixBrokenCommand({ appsDir }).execute('', {}, {});
+
+    expect(result).toMatchObject({ success: true, projectDir: path.join(appsDir, 'fix-me'), issuesFixed: [], issuesRemaining: [] });
+    expect(result.message).toMatch(/^✅ Great news! Everything looks perfect\./);
+  }, 30000);
+
+  test('reports what it fixed and what still needs attention', async () => {
+    const projectDir = writeProject(path.join(appsDir, 'fix-me'), {
+      ...APP,
+      'public/index.html': APP['public/index.html'].replace(' alt="Our team"', '').replace('<a href="#top">', '<a href="/about.html">')
+    });
+
+    const result = await new FixBrokenCommand({ appsDir }).execute('fix-me please', {}, {});
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe([
+      '🔧 Fixed 1 out of 2 issues.',
+      '',
+      "Here's what I fixed:",
+      '✅ public/index.html, line 9: the image /images/team-photo.png has no description for screen readers',
+      '   └─ Added alt text ("Team photo")',
+      '',
+      'Still needs attention:',
+      "🔄 public/index.html, line 11: /about.html doesn't exist - I can't fix this one automatically"
+    ].join('\n'));
+    expect(result.report.projectDir).toBe(projectDir);
+  }, 30000);
+
+  test('explains when there is nothing it can scan', async () => {
+    const empty = fs.mkdtempSync(path.join(appsDir, 'empty-'));
+
+    const result = await new FixBrokenCommand({ appsDir }).execute('', { projectDir: empty }, {});
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/^I'm having trouble scanning your project\. This might be because:\n\n• The project structure is unusual/);
+    expect(result.error).toContain("doesn't look like a project");
+  });
+
+  test('says when there is no project at all', async () => {
+    expect(await new FixBrokenCommand({ appsDir }).execute('', {}, {})).toEqual({
+      success: false,
+      message: 'There is no project to check yet. Build one with /build-my-app first.'
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for Time Tracking and Estimate Learning
+ * Timer entries, estimate vs actual factors and corrected recommendations
+ */
+
+const TaskManager = require('../../src/core/task-manager');
+const { buildEstimateModel, suggestEstimate } = require('../../src/core/estimate-model');
+
+describe('Time tracking and estimate learning', () => {
+  let taskManager;
+  const start = new Date('2030-01-07T09:00:00Z');
+  const minutesLater = minutes => new Date(start.getTime() + minutes * 60 * 1000);
+
+  // Complete a task after tracking `minutes` of work on it
+  const track = (data, minutes) => {
+    const task = taskManager.createTask(data);
+    taskManager.startTimer(task.id, start);
+    taskManager.stopTimer(task.id, minutesLater(minutes));
+    taskManager.completeTask(task.id);
+    return task;
+  };
+
+  beforeEach(() => {
+    taskManager = new TaskManager();
+  });
+
+  describe('Timer', () => {
+    test('should record time entries and sum actual minutes', () => {
+      const task = taskManager.createTask({ title: 'Write report' });
+
+      taskManager.startTimer(task.id, start);
+      const entry = taskManager.stopTimer(task.id, minutesLater(25));
+      taskManager.startTimer(task.id, minutesLater(60));
+      taskManager.stopTimer(task.id, minutesLater(80));
+
+      expect(entry).toEqual({ start, end: minutesLater(25), minutes: 25 });
+      expect(task.timeEntries).toHaveLength(2);
+      expect(task.actualMinutes).toBe(45);
+    });
+
+    test('should reject double starts and stops without a timer', () => {
+      const task = taskManager.createTask({ title: 'Write report' });
+
+      expect(() => taskManager.stopTimer(task.id)).toThrow(`No timer running for task ${task.id}`);
+      taskManager.startTimer(task.id);
+      expect(() => taskManager.startTimer(task.id)).toThrow(`Timer already running for task ${task.id}`);
+      expect(taskManager.startTimer(99)).toBeNull();
+    });
+
+    test('should stop a running timer when the task is completed', () => {
+      const task = taskManager.createTask({ title: 'Write report' });
+      taskManager.startTimer(task.id, new Date(Date.now() - 10 * 60 * 1000));
+
+      taskManager.completeTask(task.id);
+      expect(taskManager.getRunningEntry(task)).toBeNull();
+      expect(task.actualMinutes).toBe(10);
+      expect(() => taskManager.startTimer(task.id)).toThrow('already completed');
+    });
+  });
+
+  describe('Estimate model', () => {
+    test('should learn per-category and per-complexity factors', () => {
+      track({ title: 'Spec', category: 'work', complexity: 4, estimatedMinutes: 60 }, 120);
+      track({ title: 'Review', category: 'work', complexity: 4, estimatedMinutes: 30 }, 60);
+      track({ title: 'Gym', category: 'health', complexity: 2, estimatedMinutes: 60 }, 60);
+
+      const model = taskManager.getEstimateModel();
+
+      expect(model.overall).toMatchObject({ samples: 3, estimatedMinutes: 150, actualMinutes: 240 });
+      expect(model.byCategory.work.samples).toBe(2);
+      expect(model.byCategory.work.factor).toBeGreaterThan(model.byCategory.health.factor);
+      expect(model.byComplexity[4].factor).toBeGreaterThan(1);
+    });
+
+    test('should suggest corrected estimates for new tasks', () => {
+      const fresh = taskManager.createTask({ title: 'Nothing tracked yet', estimatedMinutes: 60 });
+      expect(fresh.suggestedMinutes).toBeNull();
+
+      for (let i = 0; i < 4; i++) {
+        track({ title: `Slow ${i}`, category: 'work', complexity: 4, estimatedMinutes: 30 }, 60);
+      }
+      const next = taskManager.createTask({ title: 'Another', category: 'work', complexity: 4, estimatedMinutes: 30 });
+
+      expect(next.estimatedMinutes).toBe(30);
+      expect(next.suggestedMinutes).toBeGreaterThan(30);
+      expect(next.suggestedMinutes % 5).toBe(0);
+    });
+
+    test('should shrink sparse buckets towards the overall factor', () => {
+      const model = buildEstimateModel([
+        { id: 1, completed: true, category: 'work', complexity: 3, estimatedMinutes: 10, actualMinutes: 100 }
+      ]);
+
+      expect(model.byCategory.work.factor).toBeLessThan(10);
+      expect(suggestEstimate(model, { category: 'finance', complexity: 1, estimatedMinutes: 20 }))
+        .toMatchObject({ basis: 'overall', factor: model.overall.factor });
+      expect(suggestEstimate(buildEstimateModel([]), { category: 'work', estimatedMinutes: 20 })).toBeNull();
+    });
+  });
+
+  describe('Recommendations', () => {
+    test('should pack time slots using corrected estimates', () => {
+      for (let i = 0; i < 4; i++) {
+        track({ title: `Slow ${i}`, category: 'work', complexity: 3, estimatedMinutes: 30 }, 90);
+      }
+      const task = taskManager.createTask({ title: 'Looks quick', category: 'work', estimatedMinutes: 30 });
+
+      expect(taskManager.getPlannedMinutes(task)).toBeGreaterThan(30);
+      expect(taskManager.getRecommendedTasks(45)).not.toContain(task);
+      expect(taskManager.getRecommendedTasks(120)).toContain(task);
+    });
+
+    test('should only plan the time that is still left', () => {
+      const task = taskManager.createTask({ title: 'Half done', estimatedMinutes: 60 });
+      taskManager.startTimer(task.id, start);
+      taskManager.stopTimer(task.id, minutesLater(40));
+
+      expect(taskManager.getPlannedMinutes(task)).toBe(20);
+      expect(taskManager.getRecommendedTasks(30)).toContain(task);
+    });
+  });
+});
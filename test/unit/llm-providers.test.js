@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for LLM Providers
+ * Anthropic and OpenAI-compatible wire formats against the local mock server,
+ * retries, timeouts, fixture record/replay and usage reaching the token budget
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  MockLLMServer,
+  LLMError,
+  createProvider
+} = require('../../src/llm');
+const { AgentRouter } = require('../../src/agents/agent-router');
+const { TokenBudgetManager } = require('../../src/core/token-budget-manager');
+
+describe('LLM Providers', () => {
+  let server;
+  let url;
+  let delays;
+
+  // Record backoff delays instead of waiting them out
+  const sleep = async ms => { delays.push(ms); };
+  const anthropic = (options = {}) => new AnthropicProvider({ apiKey: 'test-key', baseUrl: url, sleep, ...options });
+  const openai = (options = {}) => new OpenAICompatibleProvider({ apiKey: 'test-key', baseUrl: `${url}/v1`, sleep, ...options });
+
+  beforeEach(async () => {
+    delays = [];
+    server = new MockLLMServer({ respond: request => `Echo: ${request.messages[0].content}\nSecond line` });
+    url = await server.start();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('anthropic provider sends a Messages API request and reads usage', async () => {
+    const result = await anthropic().complete({ system: 'Be brief', messages: [{ role: 'user', content: 'hello' }] });
+
+    expect(result.text).toBe('Echo: hello\nSecond line');
+    expect(result.provider).toBe('anthropic');
+    expect(result.usage).toMatchObject({ inputTokens: 4, outputTokens: 6, totalTokens: 10, estimated: false });
+    expect(result.attempts).toBe(1);
+
+    const [request] = server.requests;
+    expect(request.path).toBe('/v1/messages');
+    expect(request.headers['x-api-key']).toBe('test-key');
+    expect(request.headers['anthropic-version']).toBe('2023-06-01');
+    expect(request.body).toMatchObject({ system: 'Be brief', max_tokens: 1024, stream: false });
+  });
+
+  test('anthropic provider streams text deltas', async () => {
+    const chunks = [];
+    const result = await anthropic().complete('stream me', { onText: chunk => chunks.push(chunk) });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe('Echo: stream me\nSecond line');
+    expect(result.text).toBe(chunks.join(''));
+    expect(result.stopReason).toBe('end_turn');
+    expect(result.usage.outputTokens).toBe(7);
+  });
+
+  test('openai-compatible provider sends and streams chat completions', async () => {
+    const provider = openai({ model: 'local-model' });
+    const sent = await provider.complete({ system: 'Be brief', messages: [{ role: 'user', content: 'hi' }] });
+    expect(sent.text).toBe('Echo: hi\nSecond line');
+    expect(sent.usage).toMatchObject({ inputTokens: 3, outputTokens: 5, totalTokens: 8 });
+    expect(server.requests[0].path).toBe('/v1/chat/completions');
+    expect(server.requests[0].headers.authorization).toBe('Bearer test-key');
+    expect(server.requests[0].body.messages[0]).toEqual({ role: 'system', content: 'Be brief' });
+
+    const chunks = [];
+    const streamed = await provider.complete('hi', { onText: chunk => chunks.push(chunk) });
+    expect(chunks.join('')).toBe('Echo: hi\nSecond line');
+    expect(streamed.stopReason).toBe('stop');
+    expect(streamed.usage.estimated).toBe(false);
+    expect(server.requests[1].body.stream_options).toEqual({ include_usage: true });
+  });
+
+  test('retries overloaded and server errors with backoff', async () => {
+    server.failNext(1, 529).failNext(1, 500);
+    const result = await anthropic({ retry: { baseDelayMs: 100 } }).complete('retry me');
+
+    expect(result.text).toContain('retry me');
+    expect(result.attempts).toBe(3);
+    expect(delays).toHaveLength(2);
+    expect(delays[0]).toBeGreaterThanOrEqual(50);
+    expect(delays[1]).toBeGreaterThanOrEqual(100);
+  });
+
+  test('honours Retry-After and gives up after the retry limit', async () => {
+    server.failNext(1, 429, { 'retry-after': '2' });
+    await openai().complete('once more');
+    expect(delays).toEqual([2000]);
+
+    server.failNext(5, 503);
+    const error = await openai({ retry: { retries: 2 } }).complete('never').catch(failure => failure);
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.status).toBe(503);
+    expect(error.attempts).toBe(3);
+  });
+
+  test('does not retry a bad request', async () => {
+    server.failNext(1, 400);
+    const error = await anthropic().complete('bad').catch(failure => failure);
+
+    expect(error.status).toBe(400);
+    expect(error.retryable).toBe(false);
+    expect(error.message).toContain('Injected failure');
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('times out slow responses', async () => {
+    server.delayMs = 500;
+    const error = await anthropic({ timeoutMs: 50, retry: { retries: 1 } }).complete('slow').catch(failure => failure);
+
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.message).toMatch(/timed out after 50ms/);
+    expect(error.attempts).toBe(2);
+  });
+
+  test('fixture provider records misses and replays them offline', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-')), 'fixtures.json');
+    const recorder = new FixtureProvider({ file, record: anthropic() });
+    const recorded = await recorder.complete({ system: 'sys', messages: [{ role: 'user', content: 'remember me' }] });
+    expect(server.requests).toHaveLength(1);
+
+    const replay = new FixtureProvider({ file });
+    const chunks = [];
+    const replayed = await replay.complete(
+      { system: 'sys', messages: [{ role: 'user', content: 'remember me' }] },
+      { onText: chunk => chunks.push(chunk) }
+    );
+    expect(replayed.text).toBe(recorded.text);
+    expect(chunks.join('')).toBe(recorded.text);
+    expect(replayed.usage.totalTokens).toBe(recorded.usage.totalTokens);
+    expect(server.requests).toHaveLength(1);
+
+    const miss = await replay.complete('never recorded').catch(failure => failure);
+    expect(miss).toBeInstanceOf(LLMError);
+    expect(miss.message).toMatch(/No recorded response/);
+    expect(miss.attempts).toBe(1);
+  });
+
+  test('createProvider picks a backend from the environment', () => {
+    expect(createProvider({}, {})).toBeNull();
+    expect(createProvider({}, { ANTHROPIC_API_KEY: 'key' })).toBeInstanceOf(AnthropicProvider);
+
+    const local = createProvider({}, { LLM_PROVIDER: 'openai', LLM_BASE_URL: url, LLM_MODEL: 'llama3', LLM_MAX_RETRIES: '0' });
+    expect(local).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(local).toMatchObject({ baseUrl: url, model: 'llama3' });
+    expect(local.retry.retries).toBe(0);
+
+    const fixture = createProvider({}, { LLM_PROVIDER: 'fixture', LLM_RECORD: 'anthropic', ANTHROPIC_API_KEY: 'key' });
+    expect(fixture.recorder).toBeInstanceOf(AnthropicProvider);
+    expect(() => createProvider({ provider: 'nope' }, {})).toThrow(/Unknown LLM provider/);
+  });
+
+  test('AgentRouter runs specialists on the provider and records real usage', async () => {
+    const tokenBudget = new TokenBudgetManager();
+    const recordUsage = jest.spyOn(tokenBudget, 'recordUsage');
+    const router = new AgentRouter({ provider: anthropic(), tokenBudget });
+    const tokens = [];
+
+    const result = await router.routeCommand(
+      { type: 'build', description: 'Create a REST API endpoint for users' },
+      { sessionId: 'session-1', userId: 'user-1' },
+      { onToken: chunk => tokens.push(chunk) }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.data.provider).toBe('anthropic');
+    expect(result.message).toContain(`${result.agent} completed task: Echo:`);
+    expect(tokens.join('')).toBe(result.data.result.output);
+    expect(server.requests[0].body.system).toContain(result.agent);
+
+    expect(recordUsage).toHaveBeenCalledWith(result.data.usage.totalTokens, expect.objectContaining({
+      agentId: result.agent,
+      type: 'specialist-execution',
+      sessionId: 'session-1',
+      userId: 'user-1',
+      provider: 'anthropic'
+    }));
+    expect(result.data.usage.estimated).toBe(false);
+  });
+
+  test('AgentRouter reports provider failures and falls back to simulation without one', async () => {
+    server.failNext(1, 401);
+    const failing = new AgentRouter({ provider: anthropic() });
+    const failed = await failing.routeCommand({ type: 'build', description: 'anything' }, {});
+    expect(failed.success).toBe(false);
+    expect(failed.message).toContain('API error 401');
+
+    const simulated = new AgentRouter({ provider: null });
+    const result = await simulated.routeCommand({ type: 'build', description: 'anything' }, {});
+    expect(result.success).toBe(true);
+    expect(result.data.result.simulated).toBe(true);
+    expect((await simulated.performHealthCheck()).router.provider.name).toBe('simulated');
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * Unit Tests for OpenAPI Scaffold
+ * The OpenAPI document built from the backend specialist's entities, the
+ * Express server generated from it, and regenerating only what changed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  OpenApiError,
+  buildOpenApiDocument,
+  renderExpressScaffold,
+  planScaffoldUpdate,
+  listOperations,
+  apiCollections,
+  readFingerprint
+} = require('../../src/core/openapi-scaffold');
+const { SimpleBackendSpecialist } = require('../../src/agents/simple-backend-specialist');
+const { ProjectWorkspace } = require('../../src/core/project-workspace');
+
+const TODO_FIELDS = [
+  { name: 'id', type: 'string', primary: true },
+  { name: 'title', type: 'string' },
+  { name: 'completed', type: 'boolean', default: false },
+  { name: 'dueDate', type: 'datetime', optional: true },
+  { name: 'createdAt', type: 'datetime' },
+  { name: 'updatedAt', type: 'datetime' }
+];
+const USER_FIELDS = [
+  { name: 'id', type: 'string', primary: true },
+  { name: 'email', type: 'string', unique: true },
+  { name: 'passwordHash', type: 'string' },
+  { name: 'createdAt', type: 'datetime' }
+];
+
+const todoSpec = (overrides = {}) => buildOpenApiDocument({
+  title: 'Todos',
+  resources: [{ collection: 'todos', entity: 'Todo', fields: TODO_FIELDS, required: ['title'] }],
+  ...overrides
+});
+
+describe('buildOpenApiDocument', () => {
+  test('describes CRUD operations for each resource', () => {
+    const spec = todoSpec();
+
+    expect(spec).toMatchObject({ openapi: '3.0.3', info: { title: 'Todos' }, servers: [{ url: '/api' }] });
+    expect(listOperations(spec).map(({ method, path: route, operation }) => `${method} ${route} ${operation.operationId}`)).toEqual([
+      'GET /health getHealth',
+      'GET /todos listTodos',
+      'POST /todos createTodo',
+      'GET /todos/{id} getTodo',
+      'PUT /todos/{id} updateTodo',
+      'DELETE /todos/{id} deleteTodo'
+    ]);
+    expect(apiCollections(spec)).toEqual(['todos']);
+    expect(spec.paths['/todos'].post.requestBody.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/TodoInput' });
+  });
+
+  test('turns data model fields into record, input and update schemas', () => {
+    const { schemas } = todoSpec().components;
+
+    expect(schemas.Todo.required).toEqual(['id', 'createdAt', 'updatedAt']);
+    expect(schemas.Todo.properties.id).toEqual({ type: 'string', readOnly: true });
+    expect(schemas.TodoInput).toEqual({
+      type: 'object',
+      required: ['title'],
+      properties: {
+        title: { type: 'string' },
+        completed: { type: 'boolean', default: false },
+        dueDate: { type: 'string', format: 'date-time', nullable: true }
+      }
+    });
+    expect(schemas.TodoUpdate.required).toBeUndefined();
+  });
+
+  test('adds bearer-token accounts, admin-only operations and security settings', () => {
+    const spec = todoSpec({
+      auth: { fields: USER_FIELDS, roles: true },
+      security: { authentication: 'JWT tokens', cors: 'yes', rateLimit: 'yes' }
+    });
+
+    expect(spec.components.securitySchemes.bearerAuth).toEqual({ type: 'http', scheme: 'bearer', bearerFormat: 'JWT' });
+    expect(spec.components.schemas.User.properties).not.toHaveProperty('passwordHash');
+    expect(spec.components.schemas.User.properties.email.format).toBe('email');
+    expect(spec.paths['/auth/register'].post.security).toBeUndefined();
+    expect(spec.paths['/user/profile'].get.security).toEqual([{ bearerAuth: [] }]);
+    expect(spec.paths['/users'].get['x-roles']).toEqual(['admin']);
+    expect(spec['x-security']).toEqual({ cors: { origin: '*' }, rateLimit: { windowMs: 60000, max: 300 } });
+    expect(apiCollections(spec)).toEqual(['todos', 'users']);
+  });
+
+  test('rejects a collection listed twice', () => {
+    const todos = { collection: 'todos', entity: 'Todo', fields: TODO_FIELDS };
+    expect(() => buildOpenApiDocument({ title: 'x', resources: [todos, todos] })).toThrow(OpenApiError);
+  });
+});
+
+describe('renderExpressScaffold', () => {
+  test('generates the server, one router per tag and the middleware', () => {
+    const files = renderExpressScaffold(todoSpec({ auth: { fields: USER_FIELDS }, security: { cors: 'yes' } }));
+
+    expect(Object.keys(files).sort()).toEqual([
+      'middleware/auth.js', 'middleware/errors.js', 'middleware/security.js', 'middleware/validate.js',
+      'openapi.json', 'routes/auth.js', 'routes/health.js', 'routes/index.js', 'routes/todos.js', 'server.js'
+    ]);
+    expect(files['routes/todos.js']).toContain(".post(validate('createTodo'), (req, res) => res.status(201).json(store.create('todos', req.body)))");
+    expect(files['routes/auth.js']).toContain(".get(requireAuth(store), validate('getProfile')");
+    expect(files['server.js']).toContain('collections: ["todos","users"]');
+    expect(readFingerprint(files['server.js'])).toMatch(/^[0-9a-f]{12}$/);
+    expect(JSON.parse(files['openapi.json']).paths).toHaveProperty('/todos/{id}');
+  });
+
+  test('stubs operations it has no handler for', () => {
+    const spec = todoSpec();
+    spec.paths['/todos/{id}/share'] = { post: { tags: ['todos'], operationId: 'shareTodo', responses: {} } };
+
+    expect(renderExpressScaffold(spec)['routes/todos.js']).toContain(
+      ".post(validate('shareTodo'), (req, res) => res.status(501).json({ error: 'shareTodo is not implemented yet' }))"
+    );
+  });
+
+  test('needs a tag on every operation', () => {
+    const spec = todoSpec();
+    delete spec.paths['/health'].get.tags;
+    expect(() => renderExpressScaffold(spec)).toThrow('Operation getHealth has no tag');
+  });
+});
+
+describe('planScaffoldUpdate', () => {
+  test('rewrites only files whose generated code changed', () => {
+    const before = renderExpressScaffold(todoSpec());
+    const onDisk = { ...before, 'routes/todos.js': `${before['routes/todos.js']}// local tweak\n` };
+    const after = renderExpressScaffold(todoSpec({ auth: { fields: USER_FIELDS } }));
+
+    const plan = planScaffoldUpdate(after, filePath => onDisk[filePath] || null, Object.keys(before));
+
+    expect(Object.keys(plan.write).sort()).toEqual(['middleware/auth.js', 'openapi.json', 'routes/auth.js', 'routes/index.js', 'server.js']);
+    expect(plan.keep['routes/todos.js']).toContain('// local tweak');
+    expect(plan.overwritten).toEqual([]);
+  });
+
+  test('reports local edits it had to replace and removes files it no longer generates', () => {
+    const before = renderExpressScaffold(todoSpec({ auth: { fields: USER_FIELDS } }));
+    const onDisk = { ...before, 'server.js': `${before['server.js']}// local tweak\n`, 'routes/custom.js': '// mine\n' };
+    const after = renderExpressScaffold(todoSpec());
+
+    const plan = planScaffoldUpdate(after, filePath => onDisk[filePath] || null, [...Object.keys(before), 'routes/custom.js']);
+
+    expect(plan.overwritten).toEqual(['server.js']);
+    expect(plan.remove.sort()).toEqual(['middleware/auth.js', 'routes/auth.js']);
+  });
+});
+
+describe('Generated Express server', () => {
+  let dir;
+
+  // Drives the generated server in a child process; `steps` is the body of an async function with call() in scope
+  const run = steps => JSON.parse(execFileSync(process.execPath, ['-e', `
+    const { server } = require('./server');
+    const call = async (method, url, body, headers = {}) => {
+      const response = await fetch(\`http://127.0.0.1:\${server.address().port}\${url}\`, {
+        method,
+        headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+      });
+      const text = await response.text();
+      return { status: response.status, headers: Object.fromEntries(response.headers), body: text ? JSON.parse(text) : null };
+    };
+    server.listen(0, '127.0.0.1', async () => {
+      const results = await (async () => { ${steps} })();
+      console.log(JSON.stringify(results));
+      server.close();
+    });
+  `], { cwd: dir, encoding: 'utf8', timeout: 20000, env: { ...process.env, DATA_DIR: path.join(dir, 'data') } }));
+
+  const generate = spec => {
+    Object.entries({ ...renderExpressScaffold(spec), 'lib/store.js': new SimpleBackendSpecialist().renderStore() })
+      .forEach(([file, content]) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+      });
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-'));
+    // Stands in for npm install
+    fs.symlinkSync(path.join(__dirname, '../../node_modules'), path.join(dir, 'node_modules'), 'dir');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('validates requests against the document', () => {
+    generate(todoSpec());
+
+    const results = run(`
+      const created = await call('POST', '/api/todos', { title: 'Milk' });
+      return {
+        created,
+        invalid: await call('POST', '/api/todos', { completed: 'yes', dueDate: 'soon' }),
+        notJson: await call('POST', '/api/todos', 'title=Milk', { 'content-type': 'text/plain' }),
+        updated: await call('PUT', '/api/todos/' + created.body.id, { completed: true }),
+        missing: await call('GET', '/api/todos/nope'),
+        method: await call('DELETE', '/api/todos'),
+        unknown: await call('GET', '/api/elsewhere')
+      };
+    `);
+
+    expect(results.created).toMatchObject({ status: 201, body: { title: 'Milk', id: expect.any(String) } });
+    expect(results.invalid).toMatchObject({ status: 400, body: { error: 'The request is not valid' } });
+    expect(results.invalid.body.details).toEqual([
+      { path: 'title', message: 'is required' },
+      { path: 'completed', message: 'must be true or false' },
+      { path: 'dueDate', message: 'must be a valid date-time' }
+    ]);
+    expect(results.notJson).toMatchObject({ status: 400, body: { error: 'Request body must be JSON' } });
+    expect(results.updated).toMatchObject({ status: 200, body: { title: 'Milk', completed: true } });
+    expect(results.missing).toMatchObject({ status: 404, body: { error: 'No todos record nope' } });
+    expect(results.method.status).toBe(405);
+    expect(results.unknown).toMatchObject({ status: 404, body: { error: 'Not found' } });
+  });
+
+  test('signs users in with bearer tokens and applies x-security', () => {
+    const spec = todoSpec({ auth: { fields: USER_FIELDS, roles: true }, security: { cors: 'yes', rateLimit: 'yes' } });
+    spec['x-security'].rateLimit.max = 8;
+    generate(spec);
+
+    const results = run(`
+      const admin = await call('POST', '/api/auth/register', { email: 'Ada@example.com', password: 'long enough' });
+      const member = await call('POST', '/api/auth/register', { email: 'bo@example.com', password: 'long enough' });
+      const bearer = session => ({ authorization: 'Bearer ' + session.body.accessToken });
+      const results = {
+        admin,
+        anonymous: await call('GET', '/api/user/profile'),
+        profile: await call('GET', '/api/user/profile', undefined, bearer(admin)),
+        wrongPassword: await call('POST', '/api/auth/login', { email: 'ada@example.com', password: 'not it at all' }),
+        forbidden: await call('GET', '/api/users', undefined, bearer(member)),
+        users: await call('GET', '/api/users', undefined, bearer(admin)),
+        refreshed: await call('POST', '/api/auth/refresh', { refreshToken: admin.body.refreshToken })
+      };
+      results.limited = await call('GET', '/api/health');
+      return results;
+    `);
+
+    expect(results.admin).toMatchObject({ status: 201, body: { user: { email: 'ada@example.com', role: 'admin' }, expiresIn: 900 } });
+    expect(results.admin.body.user).not.toHaveProperty('passwordHash');
+    expect(results.admin.headers['access-control-allow-origin']).toBe('*');
+    expect(results.anonymous.status).toBe(401);
+    expect(results.profile).toMatchObject({ status: 200, body: { email: 'ada@example.com' } });
+    expect(results.wrongPassword.status).toBe(401);
+    expect(results.forbidden.status).toBe(403);
+    expect(results.users.body).toHaveLength(2);
+    expect(results.refreshed.body.user.id).toBe(results.admin.body.user.id);
+    expect(results.limited).toMatchObject({ status: 429, headers: { 'retry-after': expect.any(String) } });
+  });
+});
+
+describe('SimpleBackendSpecialist', () => {
+  const appPlan = {
+    name: 'Chores',
+    appType: 'todo-app',
+    resource: { collection: 'todos', field: 'title', label: 'todo' }
+  };
+  const command = description => ({ description, context: { appPlan } });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('documents the inferred entities, accounts and security design', async () => {
+    const specialist = new SimpleBackendSpecialist();
+    const requirements = await specialist.analyzeApiRequirements(command('a todo app where each user has an account and an admin role'), {});
+    const spec = specialist.generateOpenApiSpec(requirements, appPlan);
+
+    expect(apiCollections(spec)).toEqual(['todos', 'users']);
+    expect(spec.components.schemas.TodoInput.required).toEqual(['title']);
+    expect(spec.components.schemas.TodoInput.properties.priority).toEqual({ type: 'string', default: 'medium' });
+    expect(spec.paths).not.toHaveProperty('/users/{id}');
+    expect(spec.paths['/users'].get['x-roles']).toEqual(['admin']);
+    expect(spec['x-security']).toHaveProperty('rateLimit');
+
+    const endpoints = await specialist.createApiEndpoints({}, {}, requirements, appPlan);
+    expect(endpoints).toContainEqual({ path: '/api/todos/:id', method: 'PUT', purpose: 'change a todo', operationId: 'updateTodo' });
+  });
+
+  test('regenerates only the files a schema change affects', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-'));
+    const specialist = new SimpleBackendSpecialist();
+    const build = async description => {
+      const workspace = new ProjectWorkspace(root);
+      await specialist.writeFiles(workspace, command(description), {});
+      return workspace;
+    };
+
+    try {
+      (await build('a todo app')).commit();
+      fs.appendFileSync(path.join(root, 'routes/todos.js'), '// kept\n');
+
+      const withPosts = await build('a todo app with blog posts');
+      const changed = withPosts.diff().filter(change => change.status !== 'unchanged').map(change => `${change.status} ${change.path}`);
+      expect(changed.sort()).toEqual(['added routes/posts.js', 'modified openapi.json', 'modified routes/index.js', 'modified server.js']);
+      withPosts.commit();
+      expect(fs.readFileSync(path.join(root, 'routes/todos.js'), 'utf8')).toContain('// kept');
+
+      const withoutPosts = await build('a todo app');
+      expect(withoutPosts.diff().find(change => change.path === 'routes/posts.js').status).toBe('removed');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
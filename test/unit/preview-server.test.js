@@ -0,0 +1,296 @@
+/**
+ * Unit Tests for Preview Server
+ * Serving a project with the live-reload client, pushing reloads as files
+ * change, plain-language error overlays and the /preview command
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { PreviewServer, errorFromOutput, injectClient, LIVE_PATH, CLIENT_PATH } = require('../../src/core/preview-server');
+const { PreviewCommand } = require('../../src/core/commands/preview-command');
+const { BaseAgent } = require('../../src/agents/base-agent');
+
+const writeProject = (dir, files) => {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  return dir;
+};
+
+// A server.js with no dependencies, so the preview can start it without npm install
+const serverSource = version => `const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const TYPES = { html: 'text/html', css: 'text/css', js: 'text/javascript' };
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/api/version') {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify({ version: '${version}' }));
+  }
+  if (req.url === '/api/crash') {
+    res.end();
+    return setImmediate(() => undefined.title);
+  }
+  const file = req.url === '/' ? 'index.html' : req.url.slice(1);
+  fs.readFile(path.join(__dirname, 'public', file), (error, data) => {
+    if (error) return res.writeHead(404).end();
+    res.writeHead(200, { 'content-type': TYPES[path.extname(file).slice(1)] });
+    res.end(data);
+  });
+});
+server.listen(Number(process.env.PORT) || 3000);
+`;
+
+const APP = {
+  'package.json': '{ "name": "preview-me", "scripts": { "start": "node server.js" } }\n',
+  'server.js': serverSource('one'),
+  'public/index.html': '<!DOCTYPE html>\n<html><head><link rel="stylesheet" href="/styles.css"></head>\n<body><h1>Hello</h1><script type="module" src="/app.js"></script></body></html>\n',
+  'public/styles.css': 'h1 { color: navy; }\n',
+  'public/app.js': "import { greet } from './greet.js';\ngreet();\n",
+  'public/greet.js': 'export const greet = () => {};\n'
+};
+
+describe('errorFromOutput', () => {
+  test('rebuilds a syntax error and where Node found it', () => {
+    const { error, file, line } = errorFromOutput([
+      '/apps/todo/server.js:5',
+      "const express = require('express';",
+      '                        ^^^^^^^^^',
+      '',
+      'SyntaxError: missing ) after argument list',
+      '    at internalCompileFunction (node:internal/vm:76:18)'
+    ].join('\n'));
+
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(error.message).toBe('missing ) after argument list');
+    expect({ file, line }).toEqual({ file: '/apps/todo/server.js', line: 5 });
+  });
+
+  test('names the file that required a missing module', () => {
+    const { error, file, line } = errorFromOutput([
+      'node:internal/modules/cjs/loader:1210',
+      '  throw err;',
+      "Error: Cannot find module './nope'",
+      'Require stack:',
+      '- /apps/todo/routes/index.js',
+      '- /apps/todo/server.js',
+      '    at Module._resolveFilename (node:internal/modules/cjs/loader:1207:15)',
+      "  code: 'MODULE_NOT_FOUND',"
+    ].join('\n'));
+
+    expect(error.code).toBe('MODULE_NOT_FOUND');
+    expect({ file, line }).toEqual({ file: '/apps/todo/routes/index.js', line: null });
+  });
+
+  test('falls back to the first stack frame outside node_modules', () => {
+    const { error, file, line } = errorFromOutput([
+      "TypeError: Cannot read properties of undefined (reading 'title')",
+      '    at render (/apps/todo/node_modules/view/index.js:3:9)',
+      '    at list (/apps/todo/routes/todos.js:14:22)'
+    ].join('\n'));
+
+    expect(error).toBeInstanceOf(TypeError);
+    expect({ file, line }).toEqual({ file: '/apps/todo/routes/todos.js', line: 14 });
+  });
+});
+
+describe('injectClient', () => {
+  test('adds the live-reload script before </body>, or at the end', () => {
+    expect(injectClient('<body><p>x</p></BODY>')).toBe(`<body><p>x</p><script src="${CLIENT_PATH}"></script>\n</BODY>`);
+    expect(injectClient('<p>x</p>')).toBe(`<p>x</p>\n<script src="${CLIENT_PATH}"></script>`);
+  });
+});
+
+describe('BaseAgent.translateErrorForUser', () => {
+  test('explains code errors in plain language', () => {
+    const agent = new BaseAgent('test');
+    const missing = Object.assign(new Error("Cannot find module 'express'"), { code: 'MODULE_NOT_FOUND' });
+
+    expect(agent.translateErrorForUser(new SyntaxError('Unexpected token'))).toContain('typo in the code');
+    expect(agent.translateErrorForUser(missing)).toContain('Run npm install');
+    expect(agent.translateErrorForUser(new Error('anything'))).toBe("Something unexpected happened, but don't worry - I'll fix it for you.");
+  });
+});
+
+describe('PreviewServer', () => {
+  let root;
+  let preview;
+  let socket;
+  let messages;
+
+  const page = async (url = '/') => {
+    const response = await fetch(`${preview.url}${url}`, { headers: { accept: 'text/html' } });
+    return { status: response.status, body: await response.text() };
+  };
+
+  // Resolves with the next message of that type the browser would receive
+  const next = type => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${type} message; got ${JSON.stringify(messages)}`)), 10000);
+    const check = () => {
+      const found = messages.find(message => message.type === type);
+      if (!found) return;
+      clearTimeout(timer);
+      socket.off('message', check);
+      messages = [];
+      resolve(found);
+    };
+    socket.on('message', check);
+    check();
+  });
+
+  const connect = async () => {
+    messages = [];
+    socket = new WebSocket(`${preview.url.replace('http', 'ws')}${LIVE_PATH}`);
+    socket.on('message', data => messages.push(JSON.parse(data)));
+    await new Promise(resolve => socket.on('open', resolve));
+  };
+
+  // Give the watcher a moment to start so the first edit isn't missed
+  const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-'));
+  });
+
+  afterEach(async () => {
+    if (socket) socket.terminate();
+    if (preview) await preview.stop();
+    socket = null;
+    preview = null;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('serves the app with the live-reload client and passes other requests through', async () => {
+    preview = await new PreviewServer(writeProject(root, APP), { port: 0 }).start();
+
+    expect(preview.problem).toBeNull();
+    expect((await page()).body).toContain(`<h1>Hello</h1><script type="module" src="/app.js"></script><script src="${CLIENT_PATH}"></script>`);
+    expect(await (await fetch(`${preview.url}/api/version`)).json()).toEqual({ version: 'one' });
+
+    const client = await fetch(`${preview.url}${CLIENT_PATH}`);
+    expect(client.headers.get('content-type')).toContain('javascript');
+    expect(await client.text()).toContain(LIVE_PATH);
+  }, 20000);
+
+  test('swaps CSS, reloads the page and restarts the app as files change', async () => {
+    preview = await new PreviewServer(writeProject(root, APP), { port: 0, debounce: 50 }).start();
+    await connect();
+    await settle();
+
+    fs.writeFileSync(path.join(root, 'public/styles.css'), 'h1 { color: teal; }\n');
+    expect(await next('css')).toEqual({ type: 'css', files: ['public/styles.css'] });
+
+    fs.writeFileSync(path.join(root, 'public/greet.js'), 'export const greet = () => "hi";\n');
+    expect(await next('reload')).toEqual({ type: 'reload', files: ['public/greet.js'] });
+
+    fs.writeFileSync(path.join(root, 'server.js'), serverSource('two'));
+    await next('reload');
+    expect(await (await fetch(`${preview.url}/api/version`)).json()).toEqual({ version: 'two' });
+  }, 30000);
+
+  test('shows a syntax error as an overlay until it is fixed', async () => {
+    preview = await new PreviewServer(writeProject(root, APP), { port: 0, debounce: 50 }).start();
+    await connect();
+    await settle();
+
+    fs.writeFileSync(path.join(root, 'public/greet.js'), 'export const greet = () => };\n');
+    const { error } = await next('error');
+    expect(error).toMatchObject({
+      title: "There's a problem in public/greet.js on line 1",
+      message: expect.stringContaining('typo in the code'),
+      technical: "SyntaxError: Unexpected token '}'",
+      file: 'public/greet.js',
+      line: 1
+    });
+
+    const broken = await page();
+    expect(broken.status).toBe(500);
+    expect(broken.body).toContain('window.__PREVIEW_ERROR__ = {"title":"There\'s a problem in public/greet.js on line 1"');
+    expect(broken.body).toContain(CLIENT_PATH);
+
+    fs.writeFileSync(path.join(root, 'public/greet.js'), APP['public/greet.js']);
+    await next('reload');
+    expect((await page()).status).toBe(200);
+  }, 30000);
+
+  test('explains an app that crashes', async () => {
+    preview = await new PreviewServer(writeProject(root, APP), { port: 0, debounce: 50 }).start();
+    await connect();
+
+    await fetch(`${preview.url}/api/crash`);
+    const { error } = await next('error');
+
+    expect(error).toMatchObject({
+      title: 'Your app stopped',
+      message: expect.stringContaining("tried to use something that isn't there"),
+      file: 'server.js',
+      line: 13
+    });
+    expect((await fetch(`${preview.url}/api/version`)).status).toBe(503);
+  }, 20000);
+
+  test('starts with the problem when the app cannot start', async () => {
+    writeProject(root, { ...APP, 'server.js': "require('./lib/missing');\n" });
+
+    preview = await new PreviewServer(root, { port: 0 }).start();
+
+    expect(preview.problem).toMatchObject({
+      title: 'Your app stopped',
+      message: expect.stringContaining('Run npm install'),
+      technical: "Error: Cannot find module './lib/missing'",
+      file: 'server.js'
+    });
+  }, 20000);
+
+  test('serves public/ itself when there is no server.js', async () => {
+    const { 'server.js': server, ...frontendOnly } = APP;
+    preview = await new PreviewServer(writeProject(root, frontendOnly), { port: 0 }).start();
+
+    expect((await page()).body).toContain(CLIENT_PATH);
+    expect(await (await fetch(`${preview.url}/styles.css`)).text()).toBe(APP['public/styles.css']);
+    expect((await fetch(`${preview.url}/nope.js`)).status).toBe(404);
+
+    const malformed = await fetch(`${preview.url}/%E0%A4%A`);
+    expect(malformed.status).toBe(400);
+    expect((await page()).status).toBe(200);
+  }, 20000);
+});
+
+describe('PreviewCommand', () => {
+  let appsDir;
+  let command;
+
+  beforeEach(() => {
+    appsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apps-'));
+    command = new PreviewCommand({ appsDir, port: 0 });
+  });
+
+  afterEach(async () => {
+    await command.stopAll();
+    fs.rmSync(appsDir, { recursive: true, force: true });
+  });
+
+  test('starts one preview per project and stops them on request', async () => {
+    writeProject(path.join(appsDir, 'preview-me'), APP);
+
+    const first = await command.execute('');
+    const again = await command.execute('preview-me');
+
+    expect(first).toMatchObject({ success: true, projectDir: path.join(appsDir, 'preview-me'), problem: null });
+    expect(first.message).toBe(`Your app is running at ${first.url}. Leave the page open - it updates by itself whenever a file changes.`);
+    expect(again.url).toBe(first.url);
+    expect(await command.execute('stop')).toEqual({ success: true, message: 'Stopped 1 preview.' });
+    expect(await command.execute('stop')).toEqual({ success: true, message: 'No previews are running.' });
+  }, 20000);
+
+  test('says when there is nothing to preview', async () => {
+    expect(await command.execute('')).toEqual({
+      success: false,
+      message: 'There is no project to preview yet. Build one with /build-my-app first.'
+    });
+  });
+});
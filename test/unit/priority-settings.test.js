@@ -0,0 +1,251 @@
+/**
+ * Unit Tests for Priority Settings
+ * Weight profiles (the workspace's and each member's), custom urgency buckets,
+ * score explanations, learning mode and the settings endpoints
+ */
+
+const express = require('express');
+const TaskManager = require('../../src/core/task-manager');
+const SettingsAPI = require('../../src/api/settings-api');
+const { WorkspaceAccess } = require('../../src/auth/access');
+const { MemoryTaskStorage } = require('../../src/storage/task-storage');
+const {
+  DEFAULT_WEIGHTS,
+  mergePriorityProfile,
+  createPriorityProfile,
+  scoreUrgency,
+  learnWeights
+} = require('../../src/core/priority-settings');
+
+describe('Priority settings', () => {
+  let taskManager;
+  const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  beforeEach(() => {
+    taskManager = new TaskManager();
+  });
+
+  describe('Profiles', () => {
+    test('should start from the built-in weights', () => {
+      expect(taskManager.priorityWeights).toEqual(DEFAULT_WEIGHTS);
+      expect(taskManager.createTask({ title: 'Plain task' }).priority).toBe(50);
+    });
+
+    test('should normalize weights and rescore open tasks', () => {
+      const urgent = taskManager.createTask({ title: 'Urgent', deadline: hoursFromNow(1) });
+      const important = taskManager.createTask({ title: 'Important', importance: 5 });
+      expect(taskManager.tasks[0]).toBe(urgent);
+
+      taskManager.savePriorityProfile('default', { weights: { urgency: 0, importance: 3, complexity: 1, dependencies: 0 } });
+
+      expect(taskManager.priorityWeights).toEqual({ urgency: 0, importance: 0.75, complexity: 0.25, dependencies: 0 });
+      expect(taskManager.tasks[0]).toBe(important);
+      expect(important.priority).toBe(90);
+    });
+
+    test('should reject invalid settings', () => {
+      expect(() => taskManager.savePriorityProfile('default', { weights: { fun: 1 } }))
+        .toThrow('Unknown priority component: fun');
+      expect(() => taskManager.savePriorityProfile('default', { weights: { urgency: 0, importance: 0, complexity: 0, dependencies: 0 } }))
+        .toThrow('At least one priority weight must be above zero');
+      expect(() => taskManager.savePriorityProfile('default', { urgency: { buckets: [{ withinHours: 8, score: 80 }, { withinHours: 2, score: 90 }] } }))
+        .toThrow('sorted by increasing withinHours');
+      expect(() => taskManager.activatePriorityProfile('nobody')).toThrow('Unknown priority profile: nobody');
+    });
+
+    test('should switch between named profiles', () => {
+      const task = taskManager.createTask({ title: 'Task', importance: 5 });
+      taskManager.savePriorityProfile('alex', { weights: { importance: 1, urgency: 0, complexity: 0, dependencies: 0 } });
+      expect(task.priority).toBe(62); // Saving an inactive profile leaves scores alone
+
+      taskManager.activatePriorityProfile('alex');
+      expect(task.priority).toBe(100);
+      expect(() => taskManager.deletePriorityProfile('alex')).toThrow('cannot be deleted');
+
+      taskManager.activatePriorityProfile('default');
+      expect(taskManager.deletePriorityProfile('alex')).not.toBeNull();
+      expect(task.priority).toBe(62);
+    });
+
+    test('should persist profiles through storage meta', async () => {
+      const storage = new MemoryTaskStorage();
+      const first = new TaskManager({ storage });
+      first.savePriorityProfile('focus', { weights: { urgency: 1, importance: 1, complexity: 0, dependencies: 0 } });
+      first.activatePriorityProfile('focus');
+
+      const second = await new TaskManager({ storage }).initialize();
+      expect(second.activePriorityProfile).toBe('focus');
+      expect(second.priorityWeights.urgency).toBe(0.5);
+    });
+  });
+
+  describe('Member profiles', () => {
+    const importanceOnly = { weights: { importance: 1, urgency: 0, complexity: 0, dependencies: 0 } };
+
+    test('should fall back to the workspace profile until a member picks their own', () => {
+      const task = taskManager.createTask({ title: 'Task', importance: 5 });
+      expect(taskManager.getActivePriorityProfile('u-ann')).toBe('default');
+      expect(taskManager.getPriorityProfile(null, 'u-ann')).toBe(taskManager.getPriorityProfile());
+
+      taskManager.savePriorityProfile('mine', importanceOnly, 'u-ann');
+      taskManager.activatePriorityProfile('mine', 'u-ann');
+
+      expect(taskManager.getActivePriorityProfile('u-ann')).toBe('mine');
+      expect(taskManager.getActivePriorityProfile('u-bob')).toBe('default');
+      expect(taskManager.activePriorityProfile).toBe('default');
+      expect(task.priority).toBe(62); // Stored scores keep the workspace's weights
+      expect(taskManager.explainPriority(task, 'u-ann')).toMatchObject({ profile: 'mine', priority: 100 });
+      expect(taskManager.listPriorityProfiles('u-ann')).toEqual(['default', 'mine']);
+      expect(taskManager.listPriorityProfiles('u-bob')).toEqual(['default']);
+    });
+
+    test('should rank a member\'s task list with their own profile', () => {
+      taskManager.createTask({ title: 'Urgent', deadline: hoursFromNow(1) });
+      taskManager.createTask({ title: 'Important', importance: 5 });
+      taskManager.savePriorityProfile('default', importanceOnly, 'u-ann');
+
+      const titles = userId => taskManager.searchTasks({ currentUserId: userId }).tasks.map(task => task.title);
+      expect(titles('u-ann')).toEqual(['Important', 'Urgent']);
+      expect(titles('u-bob')).toEqual(['Urgent', 'Important']);
+      expect(taskManager.searchTasks({ currentUserId: 'u-ann' }).tasks[0].priority).toBe(100);
+    });
+
+    test('should keep a member\'s edits and deletions to their own copies', async () => {
+      const storage = new MemoryTaskStorage();
+      const first = new TaskManager({ storage });
+      first.savePriorityProfile('default', importanceOnly, 'u-ann');
+
+      expect(first.priorityWeights).toEqual(DEFAULT_WEIGHTS);
+      expect(first.getPriorityProfile('default', 'u-ann').weights.importance).toBe(1);
+      expect(first.deletePriorityProfile('default', 'u-bob')).toBeNull();
+      expect(() => first.deletePriorityProfile('default', 'u-ann')).toThrow('cannot be deleted');
+
+      const second = await new TaskManager({ storage }).initialize();
+      expect(second.getPriorityProfile(null, 'u-ann').weights.importance).toBe(1);
+      expect(second.getPriorityProfile(null, 'u-bob').weights).toEqual(DEFAULT_WEIGHTS);
+    });
+
+    test('should learn into the profile of whoever completes the task', () => {
+      taskManager.savePriorityProfile('default', { learning: { enabled: true } });
+      taskManager.savePriorityProfile('focus', { learning: { enabled: true } });
+      taskManager.activatePriorityProfile('focus', 'u-ann');
+
+      taskManager.createTask({ title: 'Urgent', deadline: hoursFromNow(1) });
+      const picked = taskManager.createTask({ title: 'Important', importance: 5 });
+      taskManager.transaction('task.completed', () => taskManager.completeTask(picked.id), { actor: { id: 'u-ann' } });
+
+      expect(taskManager.getPriorityProfile('focus', 'u-ann').learning.samples).toBe(1);
+      expect(taskManager.priorityProfiles.focus.learning.samples).toBe(0);
+      expect(taskManager.priorityWeights).toEqual(DEFAULT_WEIGHTS);
+    });
+  });
+
+  describe('Settings endpoints', () => {
+    let server;
+    let baseUrl;
+
+    // Signs requests in as the x-user header names, with the x-role header's role
+    const access = {
+      middleware: () => (req, res, next) => {
+        Object.assign(req, { user: { id: req.headers['x-user'] }, role: req.headers['x-role'] || 'viewer', taskManager });
+        next();
+      },
+      requireRole: minRole => new WorkspaceAccess().requireRole(minRole)
+    };
+
+    beforeEach(async () => {
+      const app = express().use(express.json()).use('/api/settings', new SettingsAPI(access).getRouter());
+      server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/settings`;
+    });
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    const call = async (method, url, user, body, role) => {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'content-type': 'application/json', 'x-user': user, ...(role ? { 'x-role': role } : {}) },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    test('should keep each member\'s profiles apart, with the workspace\'s as default', async () => {
+      const saved = await call('PUT', '/priority?profile=focus', 'u-ann', { weights: { urgency: 1, importance: 0, complexity: 0, dependencies: 0 } });
+      expect(saved.status).toBe(200);
+      expect(saved.body.meta).toEqual({ profile: 'focus', scope: 'user', active: false, profiles: ['default', 'focus'] });
+
+      await call('POST', '/priority/activate', 'u-ann', { profile: 'focus' });
+      expect((await call('GET', '/priority', 'u-ann')).body.meta.profile).toBe('focus');
+      expect((await call('GET', '/priority', 'u-bob')).body.meta).toEqual({ profile: 'default', scope: 'user', active: true, profiles: ['default'] });
+      expect(taskManager.activePriorityProfile).toBe('default');
+    });
+
+    test('should only let editors change the workspace default', async () => {
+      const weights = { weights: { urgency: 0, importance: 1, complexity: 0, dependencies: 0 } };
+
+      expect((await call('PUT', '/priority?scope=workspace', 'u-ann', weights)).status).toBe(403);
+      const saved = await call('PUT', '/priority?scope=workspace', 'u-ann', weights, 'editor');
+      expect(saved.body.meta.scope).toBe('workspace');
+      expect(taskManager.priorityWeights.importance).toBe(1);
+      expect((await call('GET', '/priority', 'u-bob')).body.data.weights.importance).toBe(1);
+    });
+  });
+
+  describe('Urgency buckets', () => {
+    test('should score deadlines with custom buckets', () => {
+      const urgency = mergePriorityProfile(createPriorityProfile(), {
+        urgency: { noDeadline: 10, later: 0, buckets: [{ withinHours: 0, score: 100 }, { withinHours: 48, score: 60 }] }
+      }).urgency;
+
+      expect(scoreUrgency(-1, urgency)).toBe(100);
+      expect(scoreUrgency(30, urgency)).toBe(60);
+      expect(scoreUrgency(100, urgency)).toBe(0);
+      expect(scoreUrgency(null, urgency)).toBe(10);
+    });
+  });
+
+  describe('Explanations', () => {
+    test('should break the score down by component', () => {
+      const blocker = taskManager.createTask({ title: 'Blocker', importance: 4, complexity: 2, deadline: hoursFromNow(5) });
+      taskManager.createTask({ title: 'Waiting', dependencies: [blocker.id] });
+
+      const explanation = taskManager.explainPriority(blocker);
+      const byName = Object.fromEntries(explanation.components.map(c => [c.name, c]));
+
+      expect(byName.urgency).toEqual({ name: 'urgency', score: 85, weight: 0.4, contribution: 34 });
+      expect(byName.importance.score).toBe(80);
+      expect(byName.complexity.score).toBe(80);
+      expect(byName.dependencies.score).toBe(20);
+      expect(explanation.priority).toBe(blocker.priority);
+      expect(Math.round(explanation.components.reduce((sum, c) => sum + c.contribution, 0))).toBe(blocker.priority);
+    });
+  });
+
+  describe('Learning mode', () => {
+    test('should shift weight towards what the user actually picks', () => {
+      taskManager.savePriorityProfile('default', { learning: { enabled: true } });
+      const before = { ...taskManager.priorityWeights };
+
+      for (let i = 0; i < 3; i++) {
+        taskManager.createTask({ title: `Urgent ${i}`, deadline: hoursFromNow(1) });
+        const picked = taskManager.createTask({ title: `Important ${i}`, importance: 5 });
+        taskManager.completeTask(picked.id);
+      }
+
+      expect(taskManager.priorityWeights.importance).toBeGreaterThan(before.importance);
+      expect(taskManager.priorityWeights.urgency).toBeLessThan(before.urgency);
+      expect(taskManager.getPriorityProfile().learning.samples).toBe(3);
+    });
+
+    test('should leave weights alone when learning is off or the top task is picked', () => {
+      const task = taskManager.createTask({ title: 'Only task' });
+      taskManager.createTask({ title: 'Other', importance: 5, deadline: hoursFromNow(1) });
+      taskManager.completeTask(task.id);
+      expect(taskManager.priorityWeights).toEqual(DEFAULT_WEIGHTS);
+
+      expect(learnWeights(DEFAULT_WEIGHTS, { urgency: 0, importance: 0, complexity: 0, dependencies: 0 }, [], 0.1))
+        .toBe(DEFAULT_WEIGHTS);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Unit Tests for Project Workspace
+ * Staging, diffs, conflicts between specialists, committing to disk and
+ * /build-my-app leaving a runnable project behind
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProjectWorkspace, WorkspaceConflictError, unifiedDiff } = require('../../src/core/project-workspace');
+const { BuildAppCommand } = require('../../src/core/commands/build-app-command');
+const { TestRunner } = require('../../src/core/test-runner');
+
+// Other suites replace fs.existsSync with a mock, so check the disk directly
+const exists = file => {
+  try {
+    fs.accessSync(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+describe('ProjectWorkspace', () => {
+  let root;
+  let workspace;
+
+  const onDisk = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-'));
+    workspace = new ProjectWorkspace(root);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('stages files in memory until commit', () => {
+    expect(workspace.writeFile('public/index.html', '<h1>Hi</h1>\n', { author: 'frontend' })).toBe('added');
+    expect(workspace.readFile('public/index.html')).toBe('<h1>Hi</h1>\n');
+    expect(exists(path.join(root, 'public/index.html'))).toBe(false);
+
+    const result = workspace.commit();
+    expect(result.written).toEqual(['public/index.html']);
+    expect(onDisk('public/index.html')).toBe('<h1>Hi</h1>\n');
+    expect(workspace.commit().written).toEqual([]);
+  });
+
+  test('diffs staged files against disk', () => {
+    fs.writeFileSync(path.join(root, 'server.js'), 'line 1\nline 2\nline 3\n');
+    fs.writeFileSync(path.join(root, 'same.txt'), 'same\n');
+    workspace.writeFile('server.js', 'line 1\nline two\nline 3\n', { author: 'backend' });
+    workspace.writeFile('same.txt', 'same\n', { author: 'backend' });
+    workspace.writeFile('new.txt', 'fresh\n', { author: 'backend' });
+
+    const changes = Object.fromEntries(workspace.diff().map(change => [change.path, change]));
+    expect(changes['server.js'].status).toBe('modified');
+    expect(changes['server.js'].patch).toBe([
+      '--- a/server.js',
+      '+++ b/server.js',
+      '@@ -1,3 +1,3 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      ''
+    ].join('\n'));
+    expect(changes['same.txt']).toMatchObject({ status: 'unchanged', patch: '' });
+    expect(changes['new.txt'].patch).toContain('--- /dev/null');
+    expect(changes['new.txt'].patch).toContain('@@ -0,0 +1,1 @@\n+fresh');
+  });
+
+  test('splits distant changes into separate hunks', () => {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+    const after = before.replace('line 2\n', 'changed 2\n').replace('line 18\n', 'changed 18\n');
+    const patch = unifiedDiff(before, after, 'file.txt');
+
+    expect(patch.match(/^@@/gm)).toHaveLength(2);
+    expect(patch).toContain('@@ -1,5 +1,5 @@');
+    expect(patch).toContain('@@ -15,6 +15,6 @@');
+  });
+
+  test('records a conflict when two specialists write different content', () => {
+    workspace.writeFile('server.js', 'static server', { author: 'frontend-specialist' });
+    expect(workspace.writeFile('server.js', 'api server', { author: 'backend-specialist' })).toBe('conflict');
+    expect(workspace.writeFile('server.js', 'static server v2', { author: 'frontend-specialist' })).toBe('updated');
+
+    const [conflict] = workspace.getConflicts();
+    expect(conflict).toMatchObject({
+      path: 'server.js',
+      ours: { author: 'frontend-specialist' },
+      theirs: { author: 'backend-specialist', content: 'api server' }
+    });
+    expect(() => workspace.commit()).toThrow(WorkspaceConflictError);
+    expect(exists(path.join(root, 'server.js'))).toBe(false);
+
+    workspace.resolveConflict('server.js', 'theirs');
+    workspace.commit();
+    expect(onDisk('server.js')).toBe('api server');
+  });
+
+  test('merges JSON contributions and flags clashing values', () => {
+    workspace.mergeJson('package.json', { name: 'app', scripts: { start: 'node server.js' } }, { author: 'frontend' });
+    workspace.mergeJson('package.json', { scripts: { test: 'node --test' } }, { author: 'testing' });
+    expect(JSON.parse(workspace.readFile('package.json'))).toEqual({
+      name: 'app',
+      scripts: { start: 'node server.js', test: 'node --test' }
+    });
+    expect(workspace.list()).toEqual([expect.objectContaining({ path: 'package.json', author: 'frontend' })]);
+
+    expect(workspace.mergeJson('package.json', { scripts: { start: 'node app.js' } }, { author: 'backend' })).toBe('conflict');
+    expect(workspace.getConflicts()[0].reason).toContain('scripts.start');
+
+    workspace.resolveConflict('package.json', 'ours');
+    expect(JSON.parse(workspace.readFile('package.json')).scripts.start).toBe('node server.js');
+  });
+
+  test('refuses to overwrite files changed on disk after staging', () => {
+    workspace.writeFile('notes.md', 'generated\n', { author: 'docs' });
+    fs.writeFileSync(path.join(root, 'notes.md'), 'edited by hand\n');
+
+    expect(() => workspace.commit()).toThrow(WorkspaceConflictError);
+    expect(workspace.getConflicts()[0]).toMatchObject({ path: 'notes.md', reason: 'changed on disk since it was staged' });
+    expect(onDisk('notes.md')).toBe('edited by hand\n');
+  });
+
+  test('stages removals and deletes the file on commit', () => {
+    fs.mkdirSync(path.join(root, 'routes'));
+    fs.writeFileSync(path.join(root, 'routes/old.js'), 'old\n');
+
+    expect(workspace.removeFile('routes/old.js', { author: 'backend' })).toBe('removed');
+    expect(workspace.removeFile('routes/never.js', { author: 'backend' })).toBe('unchanged');
+    expect(workspace.exists('routes/old.js')).toBe(false);
+    expect(workspace.list()).toEqual([]);
+    expect(workspace.diff()).toEqual([{
+      path: 'routes/old.js',
+      status: 'removed',
+      author: 'backend',
+      patch: '--- a/routes/old.js\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-old\n'
+    }]);
+
+    expect(workspace.commit().written).toEqual(['routes/old.js']);
+    expect(exists(path.join(root, 'routes/old.js'))).toBe(false);
+  });
+
+  test('rejects paths outside the project', () => {
+    expect(() => workspace.writeFile('../escape.txt', 'x')).toThrow(/Invalid workspace path/);
+    expect(() => workspace.writeFile('/etc/passwd', 'x')).toThrow(/Invalid workspace path/);
+    expect(() => workspace.writeFile('..', 'x')).toThrow(/Invalid workspace path/);
+    expect(() => workspace.removeFile('a/../..')).toThrow(/Invalid workspace path/);
+    expect(workspace.writeFile('./a/../b.txt', 'x')).toBe('added');
+    expect(workspace.list()[0].path).toBe('b.txt');
+  });
+});
+
+describe('BuildAppCommand', () => {
+  let outputDir;
+  const progressTracker = {
+    startOperation: jest.fn(),
+    updateProgress: jest.fn(),
+    completeOperation: jest.fn(),
+    failOperation: jest.fn()
+  };
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apps-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('leaves a runnable app directory that passes its own tests', async () => {
+    const command = new BuildAppCommand({ outputDir });
+    const { result } = await command.execute('a todo app with an api backend', {}, { progressTracker });
+
+    expect(result.projectDir).toBe(path.join(outputDir, 'my-todo-app'));
+    expect(result.files).toEqual(expect.arrayContaining([
+      'server.js', 'lib/store.js', 'public/index.html', 'public/app.js',
+      'public/components/TodoList.js', 'public/components/TodoItem.js', 'public/components/AddTodo.js',
+      'openapi.json', 'routes/index.js', 'routes/todos.js', 'middleware/validate.js', 'middleware/errors.js',
+      'tests/helpers/request.js', 'tests/pages.test.js', 'tests/api.test.js', 'tests/unit/store.test.js',
+      'package.json', 'README.md'
+    ]));
+    expect(result.changes.find(change => change.path === 'server.js')).toMatchObject({
+      status: 'added',
+      author: 'backend-specialist'
+    });
+
+    const pkg = JSON.parse(fs.readFileSync(path.join(result.projectDir, 'package.json'), 'utf8'));
+    expect(pkg.scripts).toEqual({ start: 'node server.js', test: 'jest' });
+    expect(pkg.dependencies).toEqual({ express: '^4.18.2' });
+    expect(pkg.devDependencies).toEqual({ jest: '^29.7.0' });
+
+    // Stands in for npm install: the app needs express, and jest to run its tests
+    fs.symlinkSync(path.join(__dirname, '../../node_modules'), path.join(result.projectDir, 'node_modules'), 'dir');
+    const run = await new TestRunner().run(result.projectDir, { coverage: false });
+    expect(run).toMatchObject({ status: 'passed', framework: 'jest', failed: 0, suites: { total: 3, failed: 0 } });
+    expect(run.passed).toBeGreaterThan(10);
+  }, 60000);
+
+  test('serves a frontend-only app without a backend', async () => {
+    const command = new BuildAppCommand({ outputDir });
+    const { result } = await command.execute('a simple notes app', {}, { progressTracker });
+
+    expect(result.template).toBeNull();
+    expect(result.files).not.toContain('lib/store.js');
+    expect(result.files).toContain('public/components/AddItem.js');
+    expect(fs.readFileSync(path.join(result.projectDir, 'server.js'), 'utf8')).toContain('serves the app in public/');
+  });
+
+  test('fails the build when specialists conflict', async () => {
+    const command = new BuildAppCommand({ outputDir });
+    const workspace = new ProjectWorkspace(path.join(outputDir, 'clash'));
+    workspace.writeFile('server.js', 'somebody else\n', { author: 'someone-else' });
+
+    await expect(command.execute('a todo app with an api backend', {}, { progressTracker, workspace }))
+      .rejects.toThrow(WorkspaceConflictError);
+    expect(progressTracker.failOperation).toHaveBeenCalled();
+    expect(exists(path.join(outputDir, 'clash'))).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Quick Add
+ * Natural-language phrases parsed into task fields: deadlines, tags, importance, estimates and category
+ */
+
+const { parseQuickAdd, guessCategory } = require('../../src/core/quick-add');
+const TaskManager = require('../../src/core/task-manager');
+
+describe('Quick add', () => {
+  // Wednesday 9 January 2030, 10:00 local time
+  const now = new Date(2030, 0, 9, 10, 0);
+  const parse = text => parseQuickAdd(text, { now });
+  const local = (...args) => new Date(2030, ...args);
+
+  describe('Markers', () => {
+    test('should parse the full example', () => {
+      const { fields } = parse('call the printer tomorrow 3pm #client !high ~45m');
+
+      expect(fields).toEqual({
+        title: 'call the printer',
+        deadline: local(0, 10, 15, 0),
+        tags: ['client'],
+        importance: 5,
+        estimatedMinutes: 45,
+        category: 'work'
+      });
+    });
+
+    test('should read importance levels', () => {
+      expect(parse('a !low').fields.importance).toBe(1);
+      expect(parse('a !4').fields.importance).toBe(4);
+      expect(parse('a !!!').fields.importance).toBe(5);
+      expect(parse('Done!').fields).toEqual({ title: 'Done!', category: 'general' });
+    });
+
+    test('should read estimates', () => {
+      expect(parse('a ~2h').fields.estimatedMinutes).toBe(120);
+      expect(parse('a ~1.5h').fields.estimatedMinutes).toBe(90);
+      expect(parse('a ~1h30m').fields.estimatedMinutes).toBe(90);
+      expect(parse('a ~25').fields.estimatedMinutes).toBe(25);
+    });
+
+    test('should prefer an explicit category over the guess', () => {
+      expect(parse('Read contract @finance').fields.category).toBe('finance');
+      expect(parse('Read contract').fields.category).toBe('learning');
+      expect(parse('Email bob@example.com').fields.title).toBe('Email bob@example.com');
+    });
+  });
+
+  describe('Deadlines', () => {
+    test('should understand relative days and weekdays', () => {
+      expect(parse('Pay rent by friday').fields).toEqual(expect.objectContaining({
+        title: 'Pay rent', deadline: local(0, 11, 17, 0)
+      }));
+      expect(parse('Standup next monday 9:15').fields.deadline).toEqual(local(0, 14, 9, 15));
+      expect(parse('Gym tonight').fields.deadline).toEqual(local(0, 9, 20, 0));
+      expect(parse('Plan trip next week').fields.deadline).toEqual(local(0, 14, 17, 0));
+    });
+
+    test('should understand offsets and calendar dates', () => {
+      expect(parse('Follow up in 2 hours').fields.deadline).toEqual(local(0, 9, 12, 0));
+      expect(parse('Renew passport jan 5').fields.deadline).toEqual(new Date(2031, 0, 5, 17, 0));
+      expect(parse('Ship 2030-02-01 3 pm').fields.deadline).toEqual(local(1, 1, 15, 0));
+    });
+
+    test('should roll a passed time over to tomorrow', () => {
+      expect(parse('Call mum at 9am').fields).toEqual(expect.objectContaining({
+        title: 'Call mum', deadline: local(0, 10, 9, 0)
+      }));
+      expect(parse('Call mum at 11am').fields.deadline).toEqual(local(0, 9, 11, 0));
+    });
+
+    test('should only read short weekdays after a connector', () => {
+      expect(parse('Sun cream').fields).toEqual({ title: 'Sun cream', category: 'general' });
+      expect(parse('Sun cream by sun').fields.deadline).toEqual(local(0, 13, 17, 0));
+    });
+
+    test('should normalize shorthand', () => {
+      expect(parse('Dentist tmrw').fields.deadline).toEqual(local(0, 10, 17, 0));
+    });
+  });
+
+  test('should report what each word was read as', () => {
+    const { recognized } = parse('Pay rent by friday #home');
+
+    expect(recognized.map(({ text, field }) => [text, field])).toEqual([
+      ['by friday', 'deadline'],
+      ['#home', 'tags']
+    ]);
+  });
+
+  test('should share its category rules with the task form', () => {
+    expect(guessCategory('Quarterly TAX return!')).toBe('finance');
+    expect(guessCategory('Water plants')).toBe('general');
+  });
+
+  test('should produce fields createTask() accepts', async () => {
+    const taskManager = new TaskManager();
+    await taskManager.initialize();
+
+    const task = taskManager.createTask(parse('Write report friday #q1 !high ~2h').fields);
+    expect(task).toEqual(expect.objectContaining({
+      title: 'Write report', tags: ['q1'], importance: 5, estimatedMinutes: 120, category: 'work'
+    }));
+    expect(task.deadline).toEqual(local(0, 11, 17, 0));
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit Tests for Recurring Tasks
+ * RRULE subset parsing/expansion and TaskManager occurrence roll-over
+ */
+
+const TaskManager = require('../../src/core/task-manager');
+const {
+  parseRecurrence,
+  formatRecurrence,
+  iterateOccurrences,
+  nextOccurrence,
+  occurrencesBetween
+} = require('../../src/core/recurrence');
+
+const dates = (occurrences) => occurrences.map(o => o.date.toDateString());
+
+describe('Recurrence rules', () => {
+  describe('Parsing', () => {
+    test('should parse and normalize RRULE strings', () => {
+      const rule = parseRecurrence('RRULE:freq=weekly;interval=2;byday=MO,th;count=6');
+
+      expect(rule).toMatchObject({ freq: 'WEEKLY', interval: 2, count: 6, until: null });
+      expect(formatRecurrence(rule)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6');
+    });
+
+    test('should accept rule objects', () => {
+      const rule = parseRecurrence({ freq: 'monthly', byMonthDay: [1, -1] });
+      expect(formatRecurrence(rule)).toBe('FREQ=MONTHLY;BYMONTHDAY=1,-1');
+    });
+
+    test.each([
+      ['INTERVAL=2', 'needs a FREQ'],
+      ['FREQ=HOURLY', 'Unsupported recurrence frequency'],
+      ['FREQ=WEEKLY;BYDAY=XX', 'Invalid BYDAY value'],
+      ['FREQ=WEEKLY;BYDAY=1MO', 'only supported with FREQ=MONTHLY'],
+      ['FREQ=DAILY;COUNT=0', 'COUNT must be a positive integer'],
+      ['FREQ=DAILY;COUNT=2;UNTIL=20300101', 'both COUNT and UNTIL'],
+      ['FREQ=DAILY;BYSETPOS=1', 'Unsupported recurrence part']
+    ])('should reject %s', (input, message) => {
+      expect(() => parseRecurrence(input)).toThrow(message);
+    });
+  });
+
+  describe('Expansion', () => {
+    test('should treat the series start as the first occurrence', () => {
+      const rule = parseRecurrence('FREQ=WEEKLY;BYDAY=MO;COUNT=3');
+      const occurrences = [...iterateOccurrences(rule, new Date(2030, 0, 2, 9))]; // a Wednesday
+
+      expect(dates(occurrences)).toEqual(['Wed Jan 02 2030', 'Mon Jan 07 2030', 'Mon Jan 14 2030']);
+      expect(occurrences.map(o => o.index)).toEqual([1, 2, 3]);
+      expect(occurrences[1].date.getHours()).toBe(9);
+    });
+
+    test('should expand weekly BYDAY with an interval', () => {
+      const rule = parseRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20300201');
+      const occurrences = [...iterateOccurrences(rule, new Date(2030, 0, 7, 9))];
+
+      expect(dates(occurrences)).toEqual([
+        'Mon Jan 07 2030', 'Thu Jan 10 2030', 'Mon Jan 21 2030', 'Thu Jan 24 2030'
+      ]);
+    });
+
+    test('should pick numbered weekdays in monthly rules', () => {
+      const rule = parseRecurrence('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3');
+      const occurrences = [...iterateOccurrences(rule, new Date(2030, 0, 25, 9))];
+
+      expect(dates(occurrences)).toEqual(['Fri Jan 25 2030', 'Fri Feb 22 2030', 'Fri Mar 29 2030']);
+    });
+
+    test('should skip months without the requested day', () => {
+      const rule = parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=31');
+      const occurrences = occurrencesBetween(rule, new Date(2030, 0, 31), new Date(2030, 0, 1), new Date(2030, 4, 31));
+
+      expect(dates(occurrences)).toEqual(['Thu Jan 31 2030', 'Sun Mar 31 2030', 'Fri May 31 2030']);
+    });
+
+    test('should use BYDAY as a filter for daily rules', () => {
+      const rule = parseRecurrence('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR');
+      const next = nextOccurrence(rule, new Date(2030, 0, 4, 9), new Date(2030, 0, 4, 10)); // Friday
+
+      expect(next.date.toDateString()).toBe('Mon Jan 07 2030');
+      expect(next.index).toBe(2);
+    });
+
+    test('should return null when the series is finished', () => {
+      const rule = parseRecurrence('FREQ=DAILY;COUNT=2');
+      expect(nextOccurrence(rule, new Date(2030, 0, 1), new Date(2030, 0, 2))).toBeNull();
+    });
+  });
+});
+
+describe('TaskManager recurring tasks', () => {
+  let taskManager;
+
+  beforeEach(() => {
+    taskManager = new TaskManager();
+  });
+
+  test('should spawn the next occurrence when completed', () => {
+    const task = taskManager.createTask({
+      title: 'Water plants',
+      deadline: new Date(2030, 0, 7, 18),
+      tags: ['home'],
+      recurrence: 'FREQ=WEEKLY;BYDAY=MO'
+    });
+
+    expect(task.recurrence).toMatchObject({ rule: 'FREQ=WEEKLY;BYDAY=MO', seriesId: task.id, occurrence: 1 });
+
+    taskManager.completeTask(task.id);
+    const next = taskManager.tasks.find(t => t.id === task.recurrence.nextTaskId);
+
+    expect(next.deadline.toDateString()).toBe('Mon Jan 14 2030');
+    expect(next.deadline.getHours()).toBe(18);
+    expect(next.completed).toBe(false);
+    expect(next.tags).toEqual(['home']);
+    expect(next.recurrence).toMatchObject({ seriesId: task.id, occurrence: 2, nextTaskId: null });
+    expect(next.priority).toBe(taskManager.calculatePriority(next));
+  });
+
+  test('should only spawn once per completed occurrence', () => {
+    const task = taskManager.createTask({ title: 'Standup', deadline: new Date(2030, 0, 7, 9), recurrence: 'FREQ=DAILY' });
+
+    taskManager.completeTask(task.id);
+    taskManager.completeTask(task.id);
+
+    expect(taskManager.tasks).toHaveLength(2);
+  });
+
+  test('should stop when COUNT is reached', () => {
+    const task = taskManager.createTask({ title: 'Course', deadline: new Date(2030, 0, 7, 9), recurrence: 'FREQ=WEEKLY;COUNT=2' });
+
+    taskManager.completeTask(task.id);
+    const second = taskManager.tasks.find(t => t.id === task.recurrence.nextTaskId);
+    taskManager.completeTask(second.id);
+
+    expect(second.recurrence.nextTaskId).toBeNull();
+    expect(taskManager.tasks).toHaveLength(2);
+  });
+
+  test('should anchor a series without deadline on the next matching day', () => {
+    const task = taskManager.createTask({ title: 'Pay rent', recurrence: 'FREQ=MONTHLY;BYMONTHDAY=1' });
+
+    expect(task.deadline.getDate()).toBe(1);
+    expect(task.deadline.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should list upcoming occurrences in a window', () => {
+    const task = taskManager.createTask({ title: 'Report', deadline: new Date(2030, 0, 7, 9), recurrence: 'FREQ=WEEKLY' });
+    taskManager.createTask({ title: 'One-off', deadline: new Date(2030, 0, 8, 9) });
+
+    const occurrences = taskManager.getUpcomingOccurrences(new Date(2030, 0, 1), new Date(2030, 0, 31));
+
+    expect(occurrences.map(o => o.deadline.getDate())).toEqual([7, 14, 21, 28]);
+    expect(occurrences[0]).toMatchObject({ taskId: task.id, isCurrent: true, occurrence: 1 });
+    expect(occurrences[1].isCurrent).toBe(false);
+  });
+
+  test('should clear recurrence on update', () => {
+    const task = taskManager.createTask({ title: 'Gym', deadline: new Date(2030, 0, 7, 9), recurrence: 'FREQ=DAILY' });
+
+    taskManager.updateTask(task.id, { recurrence: null });
+    taskManager.completeTask(task.id);
+
+    expect(task.recurrence).toBeNull();
+    expect(taskManager.tasks).toHaveLength(1);
+  });
+});
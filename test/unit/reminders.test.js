@@ -0,0 +1,274 @@
+/**
+ * Unit Tests for Reminders
+ * Due detection, duplicate skipping, retries and the webhook and email channels
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const TaskManager = require('../../src/core/task-manager');
+const { ReminderScheduler, describeDue } = require('../../src/notifications/reminder-scheduler');
+const { WebhookChannel, EmailChannel } = require('../../src/notifications/channels');
+const { encodeHeader } = require('../../src/notifications/smtp-client');
+
+describe('Reminders', () => {
+  let taskManager;
+  let clock;
+  let sent;
+
+  const minutes = count => count * 60 * 1000;
+  const later = ms => new Date(clock.getTime() + ms);
+
+  // Records what it is given; fails while `failures` lasts
+  const fakeChannel = (failures = 0) => ({
+    name: 'fake',
+    send: async reminder => {
+      if (failures-- > 0) throw new Error('Service unavailable');
+      sent.push(reminder);
+      return { detail: 'ok' };
+    }
+  });
+
+  const scheduler = (channel, options = {}) => new ReminderScheduler({
+    sources: async () => [{ workspace: null, taskManager }],
+    channels: [channel],
+    retryDelays: [minutes(1), minutes(5)],
+    now: () => clock,
+    ...options
+  });
+
+  beforeEach(async () => {
+    taskManager = new TaskManager();
+    await taskManager.initialize();
+    clock = new Date(2030, 0, 9, 12, 0);
+    sent = [];
+  });
+
+  test('should fire once an offset comes due, and only once', async () => {
+    taskManager.createTask({ title: 'Send invoice', deadline: later(minutes(90)), reminders: [30] });
+    const reminders = scheduler(fakeChannel());
+
+    await reminders.tick();
+    expect(sent).toHaveLength(0);
+
+    clock = later(minutes(60));
+    await reminders.tick();
+    await reminders.tick();
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toEqual(expect.objectContaining({ title: 'Send invoice', offset: 30 }));
+    expect(sent[0].message).toBe('"Send invoice" is due in 30 minutes');
+    expect(reminders.getLog(taskManager).entries[0].status).toBe('delivered');
+  });
+
+  test('should remind again when the deadline moves', async () => {
+    const task = taskManager.createTask({ title: 'Review', deadline: later(minutes(30)) });
+    const reminders = scheduler(fakeChannel());
+
+    await reminders.tick();
+    taskManager.updateTask(task.id, { deadline: later(minutes(45)) });
+    await reminders.tick();
+
+    expect(sent.map(reminder => reminder.deadline)).toEqual([
+      later(minutes(30)).toISOString(),
+      later(minutes(45)).toISOString()
+    ]);
+  });
+
+  test('should send only the latest of several overdue offsets', async () => {
+    taskManager.createTask({ title: 'Pay rent', deadline: later(minutes(10)), reminders: [15, 60, 24 * 60] });
+    const reminders = scheduler(fakeChannel());
+
+    await reminders.tick();
+
+    expect(sent.map(reminder => reminder.offset)).toEqual([15]);
+    const { entries } = reminders.getLog(taskManager, { status: 'skipped' });
+    expect(entries.map(entry => entry.offset).sort((a, b) => a - b)).toEqual([60, 1440]);
+  });
+
+  test('should ignore completed tasks, stale deadlines and tasks with reminders off', async () => {
+    const done = taskManager.createTask({ title: 'Done', deadline: later(minutes(5)) });
+    taskManager.completeTask(done.id);
+    taskManager.createTask({ title: 'Ancient', deadline: later(-minutes(3 * 24 * 60)) });
+    taskManager.createTask({ title: 'Quiet', deadline: later(minutes(5)), reminders: [] });
+    const reminders = scheduler(fakeChannel());
+
+    await reminders.tick();
+
+    expect(sent).toHaveLength(0);
+  });
+
+  test('should retry failed sends and give up after the last delay', async () => {
+    taskManager.createTask({ title: 'Flaky', deadline: later(minutes(20)) });
+    const reminders = scheduler(fakeChannel(5));
+
+    await reminders.tick();
+    let [latest] = reminders.getLog(taskManager).entries;
+    expect(latest).toEqual(expect.objectContaining({ status: 'retrying', attempts: 1, error: 'Service unavailable' }));
+
+    // Not yet time for the retry
+    await reminders.tick();
+    expect(reminders.getLog(taskManager).total).toBe(1);
+
+    clock = later(minutes(1));
+    await reminders.tick();
+    clock = later(minutes(5));
+    await reminders.tick();
+    [latest] = reminders.getLog(taskManager).entries;
+    expect(latest).toEqual(expect.objectContaining({ status: 'failed', attempts: 3 }));
+
+    clock = later(minutes(30));
+    await reminders.tick();
+    expect(reminders.getLog(taskManager).total).toBe(3);
+  });
+
+  test('should list upcoming reminders in firing order', () => {
+    const task = taskManager.createTask({ title: 'Demo', deadline: later(minutes(6 * 60)), reminders: [30, 120] });
+    const reminders = scheduler(fakeChannel());
+
+    const upcoming = reminders.upcoming(taskManager);
+
+    expect(upcoming.map(reminder => [reminder.taskId, reminder.offset])).toEqual([[task.id, 120], [task.id, 30]]);
+  });
+
+  test('should describe how far off a deadline is', () => {
+    expect(describeDue(minutes(60))).toBe('is due in 1 hour');
+    expect(describeDue(minutes(3 * 24 * 60))).toBe('is due in 3 days');
+    expect(describeDue(0)).toBe('is due now');
+    expect(describeDue(-minutes(5))).toBe('was due 5 minutes ago');
+  });
+
+  describe('Channels', () => {
+    const reminder = {
+      taskId: 1,
+      title: 'Ship release',
+      deadline: new Date(2030, 0, 9, 13, 0).toISOString(),
+      offset: 60,
+      assigneeId: null,
+      workspace: null,
+      message: '"Ship release" is due in 1 hour'
+    };
+
+    const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+    test('should post a signed webhook and fail on error responses', async () => {
+      const requests = [];
+      let status = 200;
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ headers: req.headers, body });
+          res.writeHead(status).end();
+        });
+      });
+      const port = await listen(server);
+
+      try {
+        const channel = new WebhookChannel({ url: `http://127.0.0.1:${port}/hooks`, secret: 's3cret' });
+        await expect(channel.send(reminder)).resolves.toEqual({ detail: 'HTTP 200' });
+
+        const [{ headers, body }] = requests;
+        expect(JSON.parse(body)).toEqual({ event: 'task.reminder', reminder });
+        expect(headers['x-reminder-signature'])
+          .toBe(`sha256=${crypto.createHmac('sha256', 's3cret').update(body).digest('hex')}`);
+
+        status = 503;
+        await expect(channel.send(reminder)).rejects.toThrow('Webhook responded 503');
+      } finally {
+        server.close();
+      }
+    });
+
+    // Accepts every command and collects the DATA of each message
+    const smtpSink = received => net.createServer(socket => {
+      let data = false;
+      let message = '';
+      socket.setEncoding('utf8');
+      socket.write('220 sink ready\r\n');
+      socket.on('data', chunk => {
+        if (data) {
+          message += chunk;
+          if (message.endsWith('\r\n.\r\n')) {
+            data = false;
+            received.push(message);
+            socket.write('250 queued\r\n');
+          }
+          return;
+        }
+        chunk.split('\r\n').filter(Boolean).forEach(line => {
+          if (line.startsWith('EHLO')) socket.write('250-sink\r\n250 OK\r\n');
+          else if (line === 'DATA') {
+            data = true;
+            socket.write('354 go ahead\r\n');
+          } else if (line === 'QUIT') socket.end('221 bye\r\n');
+          else socket.write('250 OK\r\n');
+        });
+      });
+    });
+
+    test('should mail the reminder through an SMTP sink', async () => {
+      const received = [];
+      const server = smtpSink(received);
+      const port = await listen(server);
+
+      try {
+        const channel = new EmailChannel({ host: '127.0.0.1', port, from: 'tasks@example.com', to: ['sam@example.com'] });
+        await expect(channel.send(reminder)).resolves.toEqual({ detail: 'Sent to sam@example.com' });
+
+        expect(received).toHaveLength(1);
+        expect(received[0]).toContain('Subject: Reminder: Ship release');
+        expect(received[0]).toContain('"Ship release" is due in 1 hour');
+
+        const nobody = new EmailChannel({ host: '127.0.0.1', port });
+        await expect(nobody.send(reminder)).resolves.toEqual({ skipped: true, detail: 'No recipient address' });
+      } finally {
+        server.close();
+      }
+    });
+
+    test('should keep a multi-line title from adding headers or commands', async () => {
+      const received = [];
+      const server = smtpSink(received);
+      const port = await listen(server);
+
+      try {
+        const channel = new EmailChannel({ host: '127.0.0.1', port, from: 'tasks@example.com', to: ['sam@example.com'] });
+        await channel.send({ ...reminder, title: 'Ship release\r\nBcc: everyone@example.com\r\n.\r\nRCPT TO:<x@example.com>' });
+        await channel.send({ ...reminder, title: 'Café menu\nupdate' });
+
+        expect(received).toHaveLength(2);
+        const [headers] = received[0].split('\r\n\r\n');
+        expect(headers).toContain('Subject: Reminder: Ship release Bcc: everyone@example.com . RCPT TO:<x@example.com>\r\n');
+        expect(headers).not.toMatch(/^Bcc:/m);
+        expect(received[1]).toContain(`Subject: =?UTF-8?B?${Buffer.from('Reminder: Café menu update').toString('base64')}?=\r\n`);
+
+        const forged = new EmailChannel({ host: '127.0.0.1', port, from: 'tasks@example.com\r\nRCPT TO:<x@example.com>', to: ['sam@example.com'] });
+        await expect(forged.send(reminder)).rejects.toThrow('Mail sender must not contain line breaks');
+      } finally {
+        server.close();
+      }
+    });
+
+    test('should split long non-ASCII subjects into encoded words', () => {
+      const subject = 'Überprüfung der Änderungen für das nächste Release'.repeat(2);
+      const words = encodeHeader(subject).split('\r\n ');
+
+      expect(words.length).toBeGreaterThan(1);
+      words.forEach(word => expect(word.length).toBeLessThanOrEqual(75));
+      expect(words.map(word => Buffer.from(word.slice(10, -2), 'base64').toString()).join('')).toBe(subject);
+    });
+
+    test('should mail the assignee of a workspace task', () => {
+      const accounts = {
+        getWorkspace: () => ({ members: [{ userId: 'u-owner', role: 'owner' }, { userId: 'u-dev', role: 'editor' }] }),
+        getUser: userId => ({ email: `${userId.slice(2)}@example.com` })
+      };
+      const channel = new EmailChannel({ host: 'localhost', to: ['fallback@example.com'] }, accounts);
+      const inWorkspace = { ...reminder, workspace: { id: 'w1', name: 'Team' } };
+
+      expect(channel.recipients({ ...inWorkspace, assigneeId: 'u-dev' })).toEqual(['dev@example.com']);
+      expect(channel.recipients(inWorkspace)).toEqual(['owner@example.com']);
+      expect(channel.recipients(reminder)).toEqual(['fallback@example.com']);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for Task Analytics
+ * Time series buckets, burndown, cycle-time distribution and throughput forecast
+ */
+
+const {
+  resolveRange, filterTasks, timeSeries, burndown, cycleTimes, forecast
+} = require('../../src/core/task-analytics');
+
+describe('Task analytics', () => {
+  // Wednesday 9 January 2030, noon local time
+  const now = new Date(2030, 0, 9, 12, 0);
+  const at = (day, hour = 10) => new Date(2030, 0, day, hour, 0);
+
+  const task = (createdDay, completedDay, extra = {}) => ({
+    createdAt: at(createdDay),
+    completed: completedDay !== null,
+    completedAt: completedDay !== null ? at(completedDay, 15) : null,
+    deadline: null,
+    tags: [],
+    category: 'work',
+    ...extra
+  });
+
+  const tasks = [
+    task(5, 6),
+    task(5, 8, { tags: ['launch'] }),
+    task(6, null, { tags: ['launch'], deadline: at(7) }),
+    task(8, null, { category: 'personal' }),
+    task(9, null, { deadline: at(20) })
+  ];
+
+  describe('Ranges', () => {
+    test('should default to the last 30 days ending today', () => {
+      const range = resolveRange({}, now);
+
+      expect(range.end).toEqual(new Date(2030, 0, 10));
+      expect(range.start).toEqual(new Date(2029, 11, 11));
+    });
+
+    test('should align weeks to Monday', () => {
+      const range = resolveRange({ from: '2030-01-02', to: '2030-01-09', interval: 'week' }, now);
+
+      expect(range.start).toEqual(new Date(2029, 11, 31));
+      expect(range.end).toEqual(new Date(2030, 0, 14));
+    });
+
+    test('should reject bad parameters', () => {
+      expect(() => resolveRange({ interval: 'hour' }, now)).toThrow('interval must be one of');
+      expect(() => resolveRange({ from: 'soon' }, now)).toThrow('from must be a date');
+      expect(() => resolveRange({ from: '2030-02-01', to: '2030-01-01' }, now)).toThrow('from must be before to');
+      expect(() => timeSeries(tasks, resolveRange({ from: '2000-01-01' }, now), now)).toThrow('Range too long');
+    });
+  });
+
+  test('should count created, completed and overdue per day', () => {
+    const range = resolveRange({ from: new Date(2030, 0, 5), to: new Date(2030, 0, 10) }, now);
+    const series = timeSeries(tasks, range, now);
+
+    expect(series.map(day => day.created)).toEqual([2, 1, 0, 1, 1, 0]);
+    expect(series.map(day => day.completed)).toEqual([0, 1, 0, 1, 0, 0]);
+    expect(series.map(day => day.overdue)).toEqual([0, 0, 1, 1, 1, null]);
+  });
+
+  test('should burn down a tag against the ideal line', () => {
+    const range = resolveRange({ from: new Date(2030, 0, 5), to: new Date(2030, 0, 9) }, now);
+    const { points, remaining } = burndown(filterTasks(tasks, { tag: 'launch' }), range, now);
+
+    expect(points.map(point => point.remaining)).toEqual([1, 2, 2, 1, 1]);
+    expect(points.map(point => point.ideal)).toEqual([1, 0.8, 0.5, 0.3, 0]);
+    expect(remaining).toBe(1);
+  });
+
+  test('should summarize cycle times', () => {
+    const range = resolveRange({ from: new Date(2030, 0, 1), to: new Date(2030, 0, 9) }, now);
+    const stats = cycleTimes(tasks, range);
+
+    expect(stats.count).toBe(2);
+    expect(stats.medianHours).toBe(29);
+    expect(stats.p95Hours).toBe(77);
+    expect(stats.histogram.find(bucket => bucket.label === '1-3d').count).toBe(1);
+    expect(stats.histogram.find(bucket => bucket.label === '3-7d').count).toBe(1);
+  });
+
+  test('should forecast the backlog from weekly throughput', () => {
+    const result = forecast(tasks, { weeks: 2 }, now);
+
+    expect(result.throughput).toEqual([0, 2]);
+    expect(result.averagePerWeek).toBe(1);
+    expect(result.remaining).toBe(3);
+    expect(result.likely.weeks).toBe(3);
+    expect(result.optimistic.weeks).toBe(1.5);
+    expect(result.pessimistic).toBeNull();
+  });
+
+  test('should filter by tag and category', () => {
+    expect(filterTasks(tasks, { tag: 'launch' })).toHaveLength(2);
+    expect(filterTasks(tasks, { category: 'personal' })).toHaveLength(1);
+    expect(filterTasks(tasks, {})).toHaveLength(5);
+  });
+});
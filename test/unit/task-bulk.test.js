@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for Bulk Task Actions
+ * Field updates, tags, deadline shifts, dependencies, atomic batches and the per-item report
+ */
+
+const TaskManager = require('../../src/core/task-manager');
+const { parseOffset, runBulk } = require('../../src/core/task-bulk');
+
+describe('Bulk task actions', () => {
+  let taskManager;
+  let report;
+  let deploy;
+
+  beforeEach(async () => {
+    taskManager = new TaskManager();
+    await taskManager.initialize();
+    report = taskManager.createTask({ title: 'Report', tags: ['q3'], deadline: '2030-01-10T09:00:00.000Z' });
+    deploy = taskManager.createTask({ title: 'Deploy', tags: ['ops', 'q3'], deadline: '2030-01-12T09:00:00.000Z' });
+    taskManager.createTask({ title: 'Someday' });
+  });
+
+  const byId = id => taskManager.tasks.find(task => task.id === id);
+
+  describe('Actions', () => {
+    test('should add and remove tags without duplicates', () => {
+      runBulk(taskManager, { action: 'addTags', taskIds: [report.id, deploy.id], params: { tags: ['urgent', 'q3'] } });
+      expect(byId(report.id).tags).toEqual(['q3', 'urgent']);
+
+      runBulk(taskManager, { action: 'removeTags', taskIds: [report.id, deploy.id], params: { tags: 'q3' } });
+      expect(byId(deploy.id).tags).toEqual(['ops', 'urgent']);
+    });
+
+    test('should shift deadlines by a relative offset', () => {
+      const result = runBulk(taskManager, { action: 'shiftDeadline', taskIds: [report.id, deploy.id], params: { offset: '-1d' } });
+
+      expect(result.succeeded).toBe(2);
+      expect(byId(report.id).deadline.toISOString()).toBe('2030-01-09T09:00:00.000Z');
+      expect(byId(deploy.id).deadline.toISOString()).toBe('2030-01-11T09:00:00.000Z');
+    });
+
+    test('should update fields and re-categorize', () => {
+      runBulk(taskManager, { action: 'update', taskIds: [report.id, deploy.id], params: { changes: { importance: 5 } } });
+      runBulk(taskManager, { action: 'categorize', taskIds: [report.id], params: { category: 'finance' } });
+
+      expect(byId(deploy.id).importance).toBe(5);
+      expect(byId(report.id)).toEqual(expect.objectContaining({ importance: 5, category: 'finance' }));
+    });
+
+    test('should set dependencies', () => {
+      runBulk(taskManager, { action: 'setDependencies', taskIds: [deploy.id, 3], params: { dependencies: [report.id] } });
+
+      expect(byId(deploy.id).dependencies).toEqual([report.id]);
+      expect(byId(3).dependencies).toEqual([report.id]);
+    });
+
+    test('should parse offsets', () => {
+      expect(parseOffset('+2d')).toBe(2 * 24 * 60 * 60 * 1000);
+      expect(parseOffset('-90m')).toBe(-90 * 60 * 1000);
+      expect(() => parseOffset('soon')).toThrow('Offset must look like');
+    });
+
+    test('should reject malformed requests outright', () => {
+      expect(() => runBulk(taskManager, { action: 'archive', taskIds: [1] })).toThrow('Unknown bulk action');
+      expect(() => runBulk(taskManager, { action: 'complete', taskIds: [] })).toThrow('non-empty array');
+      expect(() => runBulk(taskManager, { action: 'addTags', taskIds: [1], params: {} })).toThrow('At least one tag');
+    });
+  });
+
+  describe('Report and atomicity', () => {
+    test('should apply what it can and report the rest', () => {
+      const result = runBulk(taskManager, { action: 'shiftDeadline', taskIds: [report.id, 3, 99], params: { offset: '1w' } });
+
+      expect(result.applied).toBe(true);
+      expect(result.results.map(item => item.status)).toEqual(['applied', 'failed', 'failed']);
+      expect(result.results[1].error).toBe('Task 3 has no deadline to shift');
+      expect(result.results[2].error).toBe('Task 99 not found');
+      expect(byId(report.id).deadline.toISOString()).toBe('2030-01-17T09:00:00.000Z');
+    });
+
+    test('should change nothing when an atomic batch fails validation', () => {
+      const result = runBulk(taskManager,
+        { action: 'shiftDeadline', taskIds: [report.id, 3], params: { offset: '1w' } }, { atomic: true });
+
+      expect(result.applied).toBe(false);
+      expect(result.results.map(item => item.status)).toEqual(['skipped', 'failed']);
+      expect(byId(report.id).deadline.toISOString()).toBe('2030-01-10T09:00:00.000Z');
+      expect(taskManager.history.list()).toHaveLength(3);
+    });
+
+    test('should roll back an atomic batch that fails while applying', () => {
+      const updateTask = taskManager.updateTask;
+      jest.spyOn(taskManager, 'updateTask').mockImplementation(function (taskId, updates) {
+        if (taskId === deploy.id) throw new Error('Disk full');
+        return updateTask.call(this, taskId, updates);
+      });
+
+      const result = runBulk(taskManager,
+        { action: 'addTags', taskIds: [report.id, deploy.id], params: { tags: ['urgent'] } }, { atomic: true });
+
+      expect(result.applied).toBe(false);
+      expect(result.results).toEqual([
+        { taskId: report.id, status: 'skipped' },
+        { taskId: deploy.id, status: 'failed', error: 'Disk full' }
+      ]);
+      expect(byId(report.id).tags).toEqual(['q3']);
+      expect(taskManager.history.list()).toHaveLength(3);
+    });
+
+    test('should record one history entry per batch', () => {
+      runBulk(taskManager, { action: 'complete', taskIds: [report.id, deploy.id] }, { actor: { id: 'u1', name: 'Ann' } });
+
+      const [entry] = taskManager.history.list();
+      expect(entry).toEqual(expect.objectContaining({ action: 'tasks.bulk.complete', actor: { id: 'u1', name: 'Ann' } }));
+      expect(entry.tasks).toHaveLength(2);
+
+      taskManager.undo({ id: 'u1' });
+      expect(byId(report.id).completed).toBe(false);
+      expect(byId(deploy.id).completed).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Task Feed
+ * WebSocket broadcast of task changes with refreshed insights
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const TaskManager = require('../../src/core/task-manager');
+const TaskFeed = require('../../src/api/task-feed');
+
+describe('Task feed', () => {
+  let taskManager;
+  let server;
+  let feed;
+  let clients;
+
+  // Connect a client and collect its messages
+  const connect = () => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://localhost:${server.address().port}/api/tasks/feed`);
+    socket.messages = [];
+    socket.on('message', data => socket.messages.push(JSON.parse(data)));
+    socket.once('message', () => resolve(socket)); // Resolves on the hello message
+    socket.once('error', reject);
+    clients.push(socket);
+  });
+
+  const nextMessage = socket => new Promise(resolve => {
+    const count = socket.messages.length;
+    const check = () => (socket.messages.length > count ? resolve(socket.messages[count]) : setTimeout(check, 5));
+    check();
+  });
+
+  beforeEach(done => {
+    taskManager = new TaskManager();
+    clients = [];
+    server = http.createServer();
+    feed = new TaskFeed(taskManager).attach(server);
+    server.listen(0, done);
+  });
+
+  afterEach(async () => {
+    clients.forEach(socket => socket.terminate());
+    await feed.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should greet new clients with current insights', async () => {
+    taskManager.createTask({ title: 'Existing' });
+    const socket = await connect();
+
+    expect(socket.messages[0]).toMatchObject({ type: 'hello', clients: 1 });
+    expect(socket.messages[0].insights.totalTasks).toBe(1);
+  });
+
+  test('should broadcast changes to every client', async () => {
+    const first = await connect();
+    const second = await connect();
+
+    const pending = [nextMessage(first), nextMessage(second)];
+    const task = taskManager.createTask({ title: 'Shared task' });
+    const [a, b] = await Promise.all(pending);
+
+    expect(a).toEqual(b);
+    expect(a.type).toBe('changes');
+    expect(a.events).toEqual([expect.objectContaining({ type: 'task.created', taskId: task.id })]);
+    expect(a.insights.totalTasks).toBe(1);
+  });
+
+  test('should batch changes made in the same tick', async () => {
+    const parent = taskManager.createTask({ title: 'Parent' });
+    taskManager.createTask({ title: 'Child', parentId: parent.id });
+    const socket = await connect();
+
+    const pending = nextMessage(socket);
+    taskManager.completeTask(parent.id, { cascade: true });
+    taskManager.deleteTask(parent.id);
+    const message = await pending;
+
+    expect(message.events.map(event => event.type)).toEqual(['task.completed', 'task.completed', 'task.deleted']);
+    expect(message.events[0].task.completed).toBe(true);
+    expect(message.insights.completedTasks).toBe(1);
+  });
+
+  test('should stop listening once closed', async () => {
+    await feed.close();
+    expect(taskManager.listenerCount('change')).toBe(0);
+  });
+});
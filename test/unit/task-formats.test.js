@@ -0,0 +1,262 @@
+/**
+ * Unit Tests for Task Formats
+ * CSV, Markdown and iCalendar export plus matching importers (round trips)
+ */
+
+const TaskManager = require('../../src/core/task-manager');
+const {
+  resolveFormat,
+  formatFromContentType,
+  toCsv,
+  fromCsv,
+  toMarkdown,
+  fromMarkdown,
+  toICalendar,
+  fromICalendar
+} = require('../../src/core/task-formats');
+
+describe('Task formats', () => {
+  let taskManager;
+
+  beforeEach(() => {
+    taskManager = new TaskManager();
+    const design = taskManager.createTask({
+      title: 'Design, then "review"',
+      description: 'Line one\nLine two; with punctuation',
+      category: 'work',
+      importance: 5,
+      complexity: 2,
+      estimatedMinutes: 45,
+      deadline: new Date(2030, 0, 7, 9, 30),
+      tags: ['client', 'q1']
+    });
+    taskManager.createTask({
+      title: 'Gym',
+      category: 'health',
+      deadline: new Date(2030, 0, 8, 18),
+      recurrence: 'FREQ=WEEKLY;BYDAY=TU'
+    });
+    const ship = taskManager.createTask({ title: 'Ship it', category: 'work', dependencies: [design.id] });
+    taskManager.completeTask(ship.id);
+  });
+
+  const roundTrip = (exported, format) => {
+    const target = new TaskManager();
+    expect(target.importTasks(exported, format)).toBe(true);
+    return target;
+  };
+
+  const addSubtasks = () => {
+    const design = taskManager.tasks.find(t => t.title === 'Design, then "review"');
+    const wireframes = taskManager.createTask({ title: 'Wireframes', category: 'work', parentId: design.id, tags: ['needs review'] });
+    taskManager.createTask({ title: 'Book room', category: 'personal', parentId: wireframes.id });
+  };
+
+  const expectSubtasks = imported => {
+    const design = imported.tasks.find(t => t.title === 'Design, then "review"');
+    const wireframes = imported.tasks.find(t => t.title === 'Wireframes');
+    const room = imported.tasks.find(t => t.title === 'Book room');
+
+    expect(wireframes).toMatchObject({ parentId: design.id, category: 'work', tags: ['needs review'] });
+    expect(room).toMatchObject({ parentId: wireframes.id, category: 'personal' });
+    expect(imported.tasks.find(t => t.title === 'Gym').parentId).toBeNull();
+  };
+
+  describe('Format names', () => {
+    test('should resolve aliases and content types', () => {
+      expect(resolveFormat('markdown')).toBe('md');
+      expect(resolveFormat('ICAL')).toBe('ics');
+      expect(() => resolveFormat('xlsx')).toThrow('Unsupported format: xlsx');
+      expect(formatFromContentType('text/csv; charset=utf-8')).toBe('csv');
+      expect(formatFromContentType('text/calendar')).toBe('ics');
+      expect(formatFromContentType('application/json')).toBe('json');
+    });
+  });
+
+  describe('Import', () => {
+    test('should leave nothing behind when a record fails part way', () => {
+      const records = [
+        { id: 1, title: 'Plan', dependencies: [2] },
+        { id: 2, title: 'Build', dependencies: [1] } // cycle, rejected on the second pass
+      ];
+      const historyBefore = taskManager.history.list().length;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(taskManager.importTasks(records)).toBe(false);
+      // The API imports inside its own transaction to name the actor
+      expect(taskManager.transaction('tasks.imported', () => taskManager.importTasks(records), { actor: 7 })).toBe(false);
+
+      expect(taskManager.tasks.map(t => t.title).sort()).toEqual(['Design, then "review"', 'Gym', 'Ship it']);
+      expect(taskManager.history.list()).toHaveLength(historyBefore);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('CSV', () => {
+    test('should quote cells that need it', () => {
+      const csv = toCsv(taskManager.tasks);
+      const lines = csv.split('\r\n');
+
+      expect(lines[0]).toBe('id,title,description,category,importance,complexity,estimatedMinutes,deadline,completed,completedAt,tags,dependencies,parentId,recurrence,createdAt');
+      expect(csv).toContain('"Design, then ""review"""');
+      expect(csv).toContain('"Line one\nLine two; with punctuation"');
+    });
+
+    test('should round-trip tasks, dependencies and completion', () => {
+      const imported = roundTrip(taskManager.exportTasks('csv'), 'csv');
+      const design = imported.tasks.find(t => t.title === 'Design, then "review"');
+      const ship = imported.tasks.find(t => t.title === 'Ship it');
+
+      expect(design).toMatchObject({
+        description: 'Line one\nLine two; with punctuation',
+        category: 'work',
+        importance: 5,
+        complexity: 2,
+        estimatedMinutes: 45,
+        tags: ['client', 'q1']
+      });
+      expect(design.deadline.getTime()).toBe(new Date(2030, 0, 7, 9, 30).getTime());
+      expect(ship.dependencies).toEqual([design.id]);
+      expect(ship.completed).toBe(true);
+      expect(imported.tasks.find(t => t.title === 'Gym').recurrence.rule).toBe('FREQ=WEEKLY;BYDAY=TU');
+    });
+
+    test('should round-trip subtasks through the parentId column', () => {
+      addSubtasks();
+
+      expectSubtasks(roundTrip(taskManager.exportTasks('csv'), 'csv'));
+      expect(fromCsv('Name,Parent\r\nRoot,\r\nChild,7\r\n').map(t => t.parentId)).toEqual([undefined, 7]);
+    });
+
+    test('should accept spreadsheet-style headers', () => {
+      const tasks = fromCsv('Name,Due Date,Labels,Done\r\nPay rent,2030-02-01,"home, bills",yes\r\n\r\n');
+
+      expect(tasks).toHaveLength(1);
+      expect(tasks[0]).toMatchObject({ title: 'Pay rent', tags: ['home', 'bills'], completed: true });
+      expect(tasks[0].deadline).toBeInstanceOf(Date);
+    });
+
+    test('should reject files without a title column', () => {
+      expect(() => fromCsv('foo,bar\n1,2')).toThrow('needs a "title" column');
+      expect(() => fromCsv('title\n"broken')).toThrow('unterminated quoted cell');
+    });
+  });
+
+  describe('Markdown', () => {
+    test('should render a checklist grouped by category', () => {
+      const markdown = toMarkdown(taskManager.tasks);
+
+      expect(markdown).toContain('## Health');
+      expect(markdown).toContain('## Work');
+      expect(markdown).toContain('- [ ] **Design, then "review"** — due 2030-01-07 09:30 · importance 5/5 · complexity 2/5 · 45 min · #client #q1');
+      expect(markdown).toContain('  > Line two; with punctuation');
+      expect(markdown).toContain('- [x] **Ship it**');
+      expect(markdown.indexOf('## Health')).toBeLessThan(markdown.indexOf('## Work'));
+    });
+
+    test('should round-trip through the markdown importer', () => {
+      const imported = roundTrip(taskManager.exportTasks('md'), 'md');
+      const design = imported.tasks.find(t => t.title === 'Design, then "review"');
+
+      expect(imported.tasks).toHaveLength(3);
+      expect(design).toMatchObject({ category: 'work', importance: 5, estimatedMinutes: 45, tags: ['client', 'q1'] });
+      expect(design.description).toBe('Line one\nLine two; with punctuation');
+      expect(imported.tasks.find(t => t.title === 'Ship it').completed).toBe(true);
+    });
+
+    test('should nest subtasks under their parent and escape spaces in tags', () => {
+      addSubtasks();
+      const markdown = toMarkdown(taskManager.tasks);
+
+      expect(markdown).toContain('\n  - [ ] **Wireframes** — importance 3/5 · complexity 3/5 · 30 min · #needs\\ review\n');
+      expect(markdown).toContain('\n    - [ ] **Book room** — importance 3/5 · complexity 3/5 · 30 min · category personal\n');
+      expect(markdown).not.toContain('## Personal');
+    });
+
+    test('should round-trip subtasks and tags with spaces', () => {
+      addSubtasks();
+
+      const imported = roundTrip(taskManager.exportTasks('md'), 'md');
+
+      expect(imported.tasks).toHaveLength(5);
+      expectSubtasks(imported);
+      expect(fromMarkdown('- [ ] Plan — #a\\\\b #c\\ d')[0].tags).toEqual(['a\\b', 'c d']);
+    });
+
+    test('should keep "#" and " — " inside a title when round-tripping', () => {
+      taskManager.createTask({ title: 'Fix issue #42 — urgent', category: 'work', importance: 4, tags: ['bug'] });
+
+      const imported = roundTrip(taskManager.exportTasks('md'), 'md');
+
+      expect(imported.tasks.find(t => t.title === 'Fix issue #42 — urgent'))
+        .toMatchObject({ importance: 4, tags: ['bug'] });
+      expect(fromMarkdown('- [ ] Call back — tomorrow morning\n- [ ] Pay rent — 15 min · #home')).toEqual([
+        { title: 'Call back — tomorrow morning', category: 'general', tags: [], completed: false },
+        { title: 'Pay rent', category: 'general', tags: ['home'], estimatedMinutes: 15, completed: false }
+      ]);
+    });
+
+    test('should import plain checklists with inline tags', () => {
+      const tasks = fromMarkdown('## Personal\n- [ ] Buy milk #errand\n* [x] Call mum');
+
+      expect(tasks).toEqual([
+        { title: 'Buy milk', category: 'personal', tags: ['errand'], completed: false },
+        { title: 'Call mum', category: 'personal', tags: [], completed: true }
+      ]);
+    });
+  });
+
+  describe('iCalendar', () => {
+    test('should emit VTODOs and deadline VEVENTs', () => {
+      const ics = toICalendar(taskManager.tasks, new Date('2030-01-01T00:00:00Z'));
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.match(/BEGIN:VTODO/g)).toHaveLength(3);
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2); // completed tasks get no time block
+      expect(ics).toContain('SUMMARY:Design\\, then "review"');
+      expect(ics).toContain('DESCRIPTION:Line one\\nLine two\\; with punctuation');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU');
+      expect(ics).toContain('RELATED-TO;RELTYPE=DEPENDS-ON:task-1@claude-productivity-suite');
+      expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    });
+
+    test('should round-trip tasks without duplicating VEVENT blocks', () => {
+      const imported = roundTrip(taskManager.exportTasks('ics'), 'ics');
+      const design = imported.tasks.find(t => t.title === 'Design, then "review"');
+      const ship = imported.tasks.find(t => t.title === 'Ship it');
+
+      expect(imported.tasks).toHaveLength(3);
+      expect(design).toMatchObject({ category: 'work', importance: 5, complexity: 2, estimatedMinutes: 45, tags: ['client', 'q1'] });
+      expect(design.deadline.getTime()).toBe(new Date(2030, 0, 7, 9, 30).getTime());
+      expect(ship.dependencies).toEqual([design.id]);
+      expect(ship.completed).toBe(true);
+    });
+
+    test('should round-trip subtasks as RELATED-TO parents', () => {
+      addSubtasks();
+      const ics = taskManager.exportTasks('ics');
+
+      expect(ics).toContain('RELATED-TO;RELTYPE=PARENT:task-4@claude-productivity-suite');
+      expectSubtasks(roundTrip(ics, 'ics'));
+    });
+
+    test('should turn foreign calendar events into tasks', () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:abc@example.com',
+        'SUMMARY:Dentist appointment with a very long summary line that needs to be',
+        '  folded',
+        'DTSTART:20300110T090000Z',
+        'DTEND:20300110T100000Z',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      const [task] = fromICalendar(ics);
+      expect(task.title).toBe('Dentist appointment with a very long summary line that needs to be folded');
+      expect(task.deadline.toISOString()).toBe('2030-01-10T10:00:00.000Z');
+      expect(task.estimatedMinutes).toBe(60);
+    });
+  });
+});
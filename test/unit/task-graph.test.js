@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for Task Dependency Graph
+ * Cycle detection, transitive priority scoring and critical path scheduling
+ */
+
+const TaskManager = require('../../src/core/task-manager');
+const { findDependencyCycle, computeCriticalPath } = require('../../src/core/task-graph');
+
+describe('Task dependency graph', () => {
+  let taskManager;
+
+  beforeEach(() => {
+    taskManager = new TaskManager();
+  });
+
+  describe('Validation', () => {
+    test('should reject unknown and self dependencies', () => {
+      const task = taskManager.createTask({ title: 'Design' });
+
+      expect(() => taskManager.createTask({ title: 'Build', dependencies: [99] }))
+        .toThrow('Unknown dependency: task 99 does not exist');
+      expect(() => taskManager.updateTask(task.id, { dependencies: [task.id] }))
+        .toThrow('cannot depend on itself');
+    });
+
+    test('should reject updates that create a cycle', () => {
+      const a = taskManager.createTask({ title: 'A' });
+      const b = taskManager.createTask({ title: 'B', dependencies: [a.id] });
+      const c = taskManager.createTask({ title: 'C', dependencies: [b.id] });
+
+      expect(() => taskManager.updateTask(a.id, { dependencies: [c.id] }))
+        .toThrow(`Dependency cycle detected: ${a.id} → ${c.id} → ${b.id} → ${a.id}`);
+      expect(a.dependencies).toEqual([]);
+    });
+
+    test('should find cycles in raw task lists', () => {
+      const tasks = [
+        { id: 1, dependencies: [2] },
+        { id: 2, dependencies: [] }
+      ];
+      expect(findDependencyCycle(tasks, 2, [1])).toEqual([2, 1, 2]);
+      expect(findDependencyCycle(tasks, 1, [2])).toBeNull();
+    });
+  });
+
+  describe('Priority scoring', () => {
+    test('should count transitive open dependents', () => {
+      const root = taskManager.createTask({ title: 'Root' });
+      const middle = taskManager.createTask({ title: 'Middle', dependencies: [root.id] });
+      const leaf = taskManager.createTask({ title: 'Leaf', dependencies: [middle.id] });
+
+      expect(taskManager.calculateDependencyScore(root)).toBe(40);
+      expect(taskManager.calculateDependencyScore(middle)).toBe(20);
+
+      taskManager.completeTask(leaf.id);
+      expect(taskManager.calculateDependencyScore(root)).toBe(20);
+    });
+
+    test('should rescore upstream tasks when dependents change', () => {
+      const root = taskManager.createTask({ title: 'Root' });
+      const before = root.priority;
+
+      taskManager.createTask({ title: 'Child', dependencies: [root.id] });
+      expect(root.priority).toBeGreaterThan(before);
+    });
+
+    test('should not block recommendations on deleted dependencies', () => {
+      const blocker = taskManager.createTask({ title: 'Blocker', estimatedMinutes: 90 });
+      const waiting = taskManager.createTask({ title: 'Waiting', dependencies: [blocker.id], estimatedMinutes: 15 });
+
+      expect(taskManager.getRecommendedTasks(60)).not.toContain(waiting);
+
+      taskManager.deleteTask(blocker.id);
+      expect(waiting.dependencies).toEqual([]);
+      expect(taskManager.getRecommendedTasks(60)).toContain(waiting);
+    });
+  });
+
+  describe('Critical path', () => {
+    const now = new Date('2030-01-07T09:00:00Z');
+
+    test('should follow the longest chain by estimated minutes', () => {
+      const spec = taskManager.createTask({ title: 'Spec', estimatedMinutes: 60 });
+      const api = taskManager.createTask({ title: 'API', estimatedMinutes: 120, dependencies: [spec.id] });
+      const ui = taskManager.createTask({ title: 'UI', estimatedMinutes: 30, dependencies: [spec.id] });
+      const launch = taskManager.createTask({ title: 'Launch', estimatedMinutes: 15, dependencies: [api.id, ui.id] });
+
+      const result = taskManager.getCriticalPath(now);
+
+      expect(result.path.map(step => step.taskId)).toEqual([spec.id, api.id, launch.id]);
+      expect(result.totalMinutes).toBe(195);
+      expect(result.projectedFinish.toISOString()).toBe('2030-01-07T12:15:00.000Z');
+
+      const uiItem = result.schedule.find(item => item.taskId === ui.id);
+      expect(uiItem.earliestStart.toISOString()).toBe('2030-01-07T10:00:00.000Z');
+      expect(uiItem.slackMinutes).toBe(90);
+      expect(uiItem.critical).toBe(false);
+      expect(result.schedule.find(item => item.taskId === api.id).critical).toBe(true);
+    });
+
+    test('should count a parent\'s work once, through its subtasks', () => {
+      const design = taskManager.createTask({ title: 'Design', estimatedMinutes: 45 });
+      const build = taskManager.createTask({ title: 'Build', estimatedMinutes: 90, dependencies: [design.id] });
+      const backend = taskManager.createTask({ title: 'Backend', estimatedMinutes: 60, parentId: build.id });
+      const frontend = taskManager.createTask({ title: 'Frontend', estimatedMinutes: 30, parentId: build.id, dependencies: [backend.id] });
+      const launch = taskManager.createTask({ title: 'Launch', estimatedMinutes: 15, dependencies: [build.id] });
+
+      const result = taskManager.getCriticalPath(now);
+
+      expect(result.path.map(step => step.title)).toEqual(['Design', 'Backend', 'Frontend', 'Launch']);
+      expect(result.totalMinutes).toBe(150);
+      expect(result.projectedFinish.toISOString()).toBe('2030-01-07T11:30:00.000Z');
+      expect(result.schedule.map(item => item.taskId)).not.toContain(build.id);
+      expect(result.schedule.find(item => item.taskId === frontend.id).earliestStart.toISOString())
+        .toBe('2030-01-07T10:45:00.000Z');
+      expect(result.schedule.find(item => item.taskId === launch.id).earliestStart.toISOString())
+        .toBe('2030-01-07T11:15:00.000Z');
+    });
+
+    test('should ignore completed work and flag missed deadlines', () => {
+      const done = taskManager.createTask({ title: 'Done', estimatedMinutes: 600 });
+      const next = taskManager.createTask({
+        title: 'Next',
+        estimatedMinutes: 90,
+        dependencies: [done.id],
+        deadline: '2030-01-07T10:00:00Z'
+      });
+      taskManager.completeTask(done.id);
+
+      const result = taskManager.getCriticalPath(now);
+      const item = result.schedule.find(entry => entry.taskId === next.id);
+
+      expect(result.schedule).toHaveLength(1);
+      expect(item.earliestStart.toISOString()).toBe(now.toISOString());
+      expect(item.missesDeadline).toBe(true);
+    });
+
+    test('should report tasks stuck on legacy cycles', () => {
+      const tasks = [
+        { id: 1, title: 'A', estimatedMinutes: 10, completed: false, dependencies: [2] },
+        { id: 2, title: 'B', estimatedMinutes: 10, completed: false, dependencies: [1] },
+        { id: 3, title: 'C', estimatedMinutes: 10, completed: false, dependencies: [] }
+      ];
+
+      const result = computeCriticalPath(tasks, now);
+      expect(result.unschedulable).toEqual([1, 2]);
+      expect(result.path.map(step => step.taskId)).toEqual([3]);
+    });
+  });
+});
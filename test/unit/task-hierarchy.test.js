@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for Task Hierarchy
+ * Subtasks, rolled-up estimates and progress, moves and leaf-level recommendations
+ */
+
+const TaskManager = require('../../src/core/task-manager');
+const { buildChildrenIndex, collectDescendants, buildTaskTree } = require('../../src/core/task-hierarchy');
+
+describe('Task hierarchy', () => {
+  let taskManager;
+  let launch;
+  let docs;
+  let site;
+  let copy;
+  let deploy;
+
+  beforeEach(() => {
+    taskManager = new TaskManager();
+    launch = taskManager.createTask({ title: 'Launch', estimatedMinutes: 15 });
+    docs = taskManager.createTask({ title: 'Docs', parentId: launch.id, estimatedMinutes: 60 });
+    site = taskManager.createTask({ title: 'Website', parentId: launch.id });
+    copy = taskManager.createTask({ title: 'Copy', parentId: site.id, estimatedMinutes: 30 });
+    deploy = taskManager.createTask({ title: 'Deploy', parentId: site.id, estimatedMinutes: 30 });
+  });
+
+  describe('Rollups', () => {
+    test('should sum leaf estimates up the tree', () => {
+      expect(site.estimatedMinutes).toBe(60);
+      expect(launch.estimatedMinutes).toBe(120);
+      expect(launch.progress).toBe(0);
+    });
+
+    test('should weight progress by estimated minutes', () => {
+      taskManager.completeTask(copy.id);
+
+      expect(copy.progress).toBe(100);
+      expect(site.progress).toBe(50);
+      expect(launch.progress).toBe(25);
+      expect(site.completed).toBe(false);
+    });
+
+    test('should ignore direct estimate edits on parents', () => {
+      taskManager.updateTask(launch.id, { estimatedMinutes: 5, title: 'Launch v2' });
+      expect(launch).toMatchObject({ title: 'Launch v2', estimatedMinutes: 120 });
+
+      taskManager.updateTask(docs.id, { estimatedMinutes: 90 });
+      expect(launch.estimatedMinutes).toBe(150);
+    });
+  });
+
+  describe('Completion', () => {
+    test('should cascade to open subtasks when asked', () => {
+      taskManager.completeTask(launch.id, { cascade: true });
+
+      [launch, docs, site, copy, deploy].forEach(task => expect(task.completed).toBe(true));
+      expect(launch.progress).toBe(100);
+    });
+
+    test('should leave subtasks open by default', () => {
+      taskManager.completeTask(launch.id);
+
+      expect(launch.completed).toBe(true);
+      expect(docs.completed).toBe(false);
+    });
+  });
+
+  describe('Moving', () => {
+    test('should move a subtree and refresh both parents', () => {
+      taskManager.moveTask(site.id, null);
+
+      expect(site.parentId).toBeNull();
+      expect(launch.estimatedMinutes).toBe(60);
+      expect(site.estimatedMinutes).toBe(60);
+    });
+
+    test('should reject moves under itself or a descendant', () => {
+      expect(() => taskManager.moveTask(launch.id, copy.id))
+        .toThrow('Cannot move a task under itself or one of its subtasks');
+      expect(() => taskManager.moveTask(site.id, site.id))
+        .toThrow('Cannot move a task under itself or one of its subtasks');
+      expect(() => taskManager.moveTask(site.id, 99)).toThrow('Unknown parent: task 99 does not exist');
+      expect(() => taskManager.createTask({ title: 'Orphan', parentId: 99 })).toThrow('Unknown parent');
+    });
+
+    test('should promote subtasks when their parent is deleted', () => {
+      taskManager.deleteTask(site.id);
+
+      expect(copy.parentId).toBe(launch.id);
+      expect(deploy.parentId).toBe(launch.id);
+      expect(launch.estimatedMinutes).toBe(120);
+    });
+  });
+
+  describe('Leaf-level views', () => {
+    test('should recommend concrete subtasks instead of umbrella tasks', () => {
+      const recommended = taskManager.getRecommendedTasks(240).map(task => task.id);
+
+      expect(recommended).toEqual(expect.arrayContaining([docs.id, copy.id, deploy.id]));
+      expect(recommended).not.toContain(launch.id);
+      expect(recommended).not.toContain(site.id);
+    });
+
+    test('should block subtasks on their ancestors\' dependencies', () => {
+      const budget = taskManager.createTask({ title: 'Budget', estimatedMinutes: 10 });
+      taskManager.updateTask(launch.id, { dependencies: [budget.id] });
+
+      const recommended = taskManager.getRecommendedTasks(240).map(task => task.id);
+      expect(recommended).toEqual([budget.id]);
+    });
+
+    test('should count leaves and inherited deadlines in insights', () => {
+      taskManager.updateTask(launch.id, { deadline: new Date(Date.now() - 60 * 60 * 1000) });
+      taskManager.completeTask(docs.id);
+
+      const insights = taskManager.getInsights();
+      expect(insights.totalTasks).toBe(3);
+      expect(insights.completedTasks).toBe(1);
+      expect(insights.overdueTasks).toBe(2);
+      expect(copy.priority).toBeGreaterThan(taskManager.createTask({ title: 'Other' }).priority);
+    });
+  });
+
+  describe('Tree helpers', () => {
+    test('should nest subtasks with open work first', () => {
+      taskManager.completeTask(docs.id);
+      const tree = taskManager.getTaskTree(launch.id);
+
+      expect(tree.children.map(child => child.id)).toEqual([site.id, docs.id]);
+      expect(tree.children[0].children.map(child => child.title).sort()).toEqual(['Copy', 'Deploy']);
+      expect(tree.rollup).toMatchObject({ childCount: 2, leafCount: 3, progress: 50 });
+      expect(taskManager.getTaskTree(99)).toBeNull();
+    });
+
+    test('should work on raw task lists', () => {
+      const tasks = [
+        { id: 1, parentId: null, priority: 1 },
+        { id: 2, parentId: 1, priority: 1 },
+        { id: 3, parentId: 2, priority: 1 }
+      ];
+
+      expect(buildChildrenIndex(tasks).get(1).map(t => t.id)).toEqual([2]);
+      expect(collectDescendants(tasks, 1).map(t => t.id)).toEqual([2, 3]);
+      expect(buildTaskTree(tasks, 2).children[0].id).toBe(3);
+    });
+  });
+});
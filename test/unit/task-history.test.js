@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for Task History
+ * Undo/redo of single and grouped changes, per-actor stacks, conflicts and the audit log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TaskManager = require('../../src/core/task-manager');
+const JsonFileTaskStorage = require('../../src/storage/json-file-storage');
+const SqliteTaskStorage = require('../../src/storage/sqlite-storage');
+
+describe('TaskHistory', () => {
+  let taskManager;
+
+  beforeEach(async () => {
+    taskManager = new TaskManager();
+    await taskManager.initialize();
+  });
+
+  const alice = { id: 'u-alice', name: 'Alice' };
+  const bob = { id: 'u-bob', name: 'Bob' };
+  const titles = () => taskManager.tasks.map(task => task.title).sort();
+  const byId = id => taskManager.tasks.find(task => task.id === id);
+
+  describe('Undo and redo', () => {
+    test('should undo and redo a single edit', () => {
+      const task = taskManager.createTask({ title: 'Draft', importance: 2 });
+      taskManager.updateTask(task.id, { title: 'Final', importance: 5 });
+
+      taskManager.undo();
+      expect(byId(task.id)).toEqual(expect.objectContaining({ title: 'Draft', importance: 2 }));
+
+      taskManager.redo();
+      expect(byId(task.id)).toEqual(expect.objectContaining({ title: 'Final', importance: 5 }));
+    });
+
+    test('should undo a completion cascade in one step', () => {
+      const parent = taskManager.createTask({ title: 'Launch' });
+      taskManager.createTask({ title: 'Docs', parentId: parent.id });
+      taskManager.createTask({ title: 'Release', parentId: parent.id });
+      taskManager.completeTask(parent.id, { cascade: true });
+      expect(taskManager.tasks.every(task => task.completed)).toBe(true);
+
+      const entry = taskManager.undo();
+      expect(entry.action).toBe('task.completed');
+      expect(entry.changes).toHaveLength(3);
+      expect(taskManager.tasks.some(task => task.completed)).toBe(false);
+    });
+
+    test('should undo a bulk delete as one transaction', () => {
+      ['One', 'Two', 'Three'].forEach(title => taskManager.createTask({ title }));
+      taskManager.transaction('tasks.bulk.delete', () => {
+        taskManager.deleteTask(1);
+        taskManager.deleteTask(2);
+      });
+      expect(titles()).toEqual(['Three']);
+
+      taskManager.undo();
+      expect(titles()).toEqual(['One', 'Three', 'Two']);
+      expect(byId(1)).toBeDefined();
+
+      taskManager.redo();
+      expect(titles()).toEqual(['Three']);
+      expect(taskManager.redo()).toBeNull();
+    });
+
+    test('should drop the redo stack after a new change', () => {
+      const task = taskManager.createTask({ title: 'A' });
+      taskManager.updateTask(task.id, { title: 'B' });
+      taskManager.undo();
+      taskManager.updateTask(task.id, { title: 'C' });
+
+      expect(taskManager.redo()).toBeNull();
+    });
+
+    test('should skip transactions that changed nothing', () => {
+      const task = taskManager.createTask({ title: 'Same' });
+      taskManager.updateTask(task.id, { title: 'Same' });
+
+      expect(taskManager.history.list()).toHaveLength(1);
+    });
+  });
+
+  describe('Actors', () => {
+    test('should keep separate undo stacks per actor', () => {
+      taskManager.transaction('task.created', () => taskManager.createTask({ title: 'Alice task' }), { actor: alice });
+      taskManager.transaction('task.created', () => taskManager.createTask({ title: 'Bob task' }), { actor: bob });
+
+      taskManager.undo(alice);
+      expect(titles()).toEqual(['Bob task']);
+      expect(taskManager.undo(alice)).toBeNull();
+      expect(taskManager.history.list()[0].actor).toEqual(alice);
+    });
+
+    test('should refuse to overwrite a later change by someone else', () => {
+      const task = taskManager.transaction('task.created',
+        () => taskManager.createTask({ title: 'Shared' }), { actor: alice });
+      taskManager.transaction('task.updated',
+        () => taskManager.updateTask(task.id, { title: 'Alice edit' }), { actor: alice });
+      taskManager.transaction('task.updated',
+        () => taskManager.updateTask(task.id, { title: 'Bob edit' }), { actor: bob });
+
+      expect(() => taskManager.undo(alice)).toThrow(`Task ${task.id} has changed since; undo would overwrite it`);
+      expect(byId(task.id).title).toBe('Bob edit');
+    });
+  });
+
+  describe('Audit log', () => {
+    test('should list field-level changes for a task', () => {
+      const task = taskManager.createTask({ title: 'Plan', category: 'work' });
+      taskManager.updateTask(task.id, { category: 'personal' });
+      taskManager.deleteTask(task.id);
+
+      const log = taskManager.history.forTask(task.id);
+      expect(log.map(entry => entry.type)).toEqual(['deleted', 'updated', 'created']);
+      expect(log[1].changes).toEqual({ category: { from: 'work', to: 'personal' } });
+    });
+
+    test('should page through the log newest first', () => {
+      ['A', 'B', 'C'].forEach(title => taskManager.createTask({ title }));
+
+      const page = taskManager.history.list({ limit: 2 });
+      expect(page.map(entry => entry.seq)).toEqual([3, 2]);
+      expect(taskManager.history.list({ before: 2 }).map(entry => entry.seq)).toEqual([1]);
+    });
+  });
+
+  describe('Persistence', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-history-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const adapters = {
+      json: () => new JsonFileTaskStorage({ filePath: path.join(tempDir, 'tasks.json') }),
+      sqlite: () => new SqliteTaskStorage({ filePath: path.join(tempDir, 'tasks.sqlite') })
+    };
+
+    Object.entries(adapters).forEach(([name, createStorage]) => {
+      test(`should undo after a restart (${name})`, async () => {
+        const first = new TaskManager({ storage: createStorage() });
+        await first.initialize();
+        const task = first.createTask({ title: 'Before' });
+        first.updateTask(task.id, { title: 'After' });
+        await first.close();
+
+        const reopened = new TaskManager({ storage: createStorage() });
+        await reopened.initialize();
+        expect(reopened.history.list()).toHaveLength(2);
+        reopened.undo();
+        expect(reopened.tasks.find(t => t.id === task.id).title).toBe('Before');
+        await reopened.close();
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for Task Search
+ * Full-text index, filter query language, cursor pagination and the list endpoint
+ */
+
+const express = require('express');
+const TaskAPI = require('../../src/api/task-api');
+const TaskManager = require('../../src/core/task-manager');
+const { TaskSearchIndex } = require('../../src/core/search-index');
+const { parseTaskQuery } = require('../../src/core/task-query');
+
+describe('Task search', () => {
+  let taskManager;
+  const now = new Date();
+  const daysFromNow = days => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const titles = result => result.tasks.map(task => task.title);
+
+  beforeEach(() => {
+    taskManager = new TaskManager();
+    taskManager.createTask({ title: 'Quarterly report', description: 'Numbers for the board', category: 'work', importance: 5, tags: ['client'], deadline: daysFromNow(3) });
+    taskManager.createTask({ title: 'Client call', category: 'work', importance: 4, tags: ['client', 'phone'], deadline: daysFromNow(10) });
+    taskManager.createTask({ title: 'Book dentist', category: 'health', importance: 2, deadline: daysFromNow(-1) });
+    taskManager.createTask({ title: 'Read report template', category: 'personal', importance: 4, tags: ['client'] });
+    const done = taskManager.createTask({ title: 'Old report', category: 'work' });
+    taskManager.completeTask(done.id);
+  });
+
+  describe('Full-text index', () => {
+    test('should rank title hits above description hits', () => {
+      const index = new TaskSearchIndex().sync([
+        { id: 1, title: 'Budget', description: 'report numbers', tags: [] },
+        { id: 2, title: 'Report', description: '', tags: [] }
+      ]);
+
+      const scores = index.search('report');
+      expect([...scores.keys()].sort()).toEqual([1, 2]);
+      expect(scores.get(2)).toBeGreaterThan(scores.get(1));
+    });
+
+    test('should require every word and prefix-match the last one', () => {
+      expect(titles(taskManager.searchTasks({ q: 'quarterly rep' }))).toEqual(['Quarterly report']);
+      expect(titles(taskManager.searchTasks({ q: 'quarterly dentist' }))).toEqual([]);
+    });
+
+    test('should pick up edits and deletions', () => {
+      const call = taskManager.tasks.find(task => task.title === 'Client call');
+      expect(titles(taskManager.searchTasks({ q: 'phone' }))).toEqual(['Client call']);
+
+      taskManager.updateTask(call.id, { tags: ['video'] });
+      expect(titles(taskManager.searchTasks({ q: 'phone' }))).toEqual([]);
+
+      taskManager.deleteTask(call.id);
+      expect(titles(taskManager.searchTasks({ q: 'video' }))).toEqual([]);
+    });
+  });
+
+  describe('Query language', () => {
+    test('should combine field filters, negation and text', () => {
+      const result = taskManager.searchTasks({ q: 'tag:client due:<7d importance:>=4 -category:personal' });
+      expect(titles(result)).toEqual(['Quarterly report']);
+
+      expect(titles(taskManager.searchTasks({ q: 'report -category:personal status:open' })))
+        .toEqual(['Quarterly report']);
+    });
+
+    test('should filter on status, dates and ranges', () => {
+      expect(titles(taskManager.searchTasks({ q: 'status:overdue' }))).toEqual(['Book dentist']);
+      expect(titles(taskManager.searchTasks({ q: 'status:completed' }))).toEqual(['Old report']);
+      expect(titles(taskManager.searchTasks({ q: 'due:none status:open' }))).toEqual(['Read report template']);
+      expect(titles(taskManager.searchTasks({ q: 'importance:2..3 status:open', sort: 'title' })))
+        .toEqual(['Book dentist']);
+      expect(taskManager.searchTasks({ q: 'created:<1d' }).total).toBe(5);
+    });
+
+    test('should keep the category filter for overdue tasks', () => {
+      expect(taskManager.searchTasks({ status: 'overdue', category: 'work' }).total).toBe(0);
+      expect(taskManager.searchTasks({ status: 'overdue', category: 'health' }).total).toBe(1);
+    });
+
+    test('should match quoted phrases and exclude -words', () => {
+      expect(titles(taskManager.searchTasks({ q: '"report template"' }))).toEqual(['Read report template']);
+      expect(titles(taskManager.searchTasks({ q: 'report -template status:open' }))).toEqual(['Quarterly report']);
+    });
+
+    test('should reject unknown fields and bad values', () => {
+      expect(() => parseTaskQuery('colour:red')).toThrow('Unknown search field: colour');
+      expect(() => parseTaskQuery('importance:high')).toThrow('importance: expects a number');
+      expect(() => parseTaskQuery('due:someday')).toThrow('due: expects a date');
+      expect(() => parseTaskQuery('status:later')).toThrow('status: expects');
+    });
+  });
+
+  describe('Pagination', () => {
+    test('should walk every task exactly once with stable cursors', () => {
+      const seen = [];
+      let cursor = null;
+      do {
+        const page = taskManager.searchTasks({ sort: 'deadline', limit: 2, cursor });
+        seen.push(...page.tasks.map(task => task.id));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+      expect(seen[0]).toBe(taskManager.tasks.find(task => task.title === 'Book dentist').id);
+    });
+
+    test('should not skip tasks when an earlier one changes between pages', () => {
+      const first = taskManager.searchTasks({ sort: 'created', limit: 2 });
+      taskManager.deleteTask(first.tasks[0].id);
+      const second = taskManager.searchTasks({ sort: 'created', limit: 10, cursor: first.nextCursor });
+
+      expect(second.tasks).toHaveLength(3);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('should reject cursors from another sort', () => {
+      const { nextCursor } = taskManager.searchTasks({ sort: 'priority', limit: 1 });
+      expect(() => taskManager.searchTasks({ sort: 'title', cursor: nextCursor }))
+        .toThrow('Cursor was issued for sort=priority');
+      expect(() => taskManager.searchTasks({ cursor: 'nonsense' })).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('List endpoint', () => {
+    let api;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      api = await new TaskAPI({ storage: { type: 'memory' } }).initialize();
+      api.taskManager.importTasks(taskManager.exportTasks('json'), 'json');
+      const app = express().use('/api/tasks', api.getRouter());
+      server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/tasks`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await api.close();
+    });
+
+    const list = async query => (await (await fetch(`${baseUrl}/tasks?${new URLSearchParams(query)}`)).json()).data.map(task => task.title);
+
+    test('should list pending tasks unless the query filters on status', async () => {
+      expect(await list({ q: 'report' })).not.toContain('Old report');
+      expect(await list({ q: 'status:done' })).toEqual(['Old report']);
+      expect(await list({ q: 'report -status:open' })).toEqual(['Old report']);
+      expect(await list({ q: 'status:done', status: 'pending' })).toEqual([]);
+    });
+  });
+});
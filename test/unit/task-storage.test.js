@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for Task Storage Adapters
+ * Persistence behind TaskManager: reload, id allocation and journal recovery
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TaskManager = require('../../src/core/task-manager');
+const JsonFileTaskStorage = require('../../src/storage/json-file-storage');
+const SqliteTaskStorage = require('../../src/storage/sqlite-storage');
+const { MemoryTaskStorage, createTaskStorage } = require('../../src/storage/task-storage');
+
+describe('Task storage', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function openManager(createStorage) {
+    const manager = new TaskManager({ storage: createStorage() });
+    await manager.initialize();
+    return manager;
+  }
+
+  const adapters = {
+    json: () => new JsonFileTaskStorage({ filePath: path.join(tempDir, 'tasks.json') }),
+    sqlite: () => new SqliteTaskStorage({ filePath: path.join(tempDir, 'tasks.sqlite') })
+  };
+
+  Object.entries(adapters).forEach(([name, createStorage]) => {
+    describe(`${name} adapter`, () => {
+      test('should restore tasks and dates after a restart', async () => {
+        const first = await openManager(createStorage);
+        first.createTask({ title: 'Write report', deadline: '2030-01-01T10:00:00.000Z', importance: 5 });
+        const second = first.createTask({ title: 'Call bank', category: 'finance' });
+        first.completeTask(second.id);
+        await first.close();
+
+        const reopened = await openManager(createStorage);
+        expect(reopened.tasks).toHaveLength(2);
+
+        const report = reopened.tasks.find(t => t.title === 'Write report');
+        expect(report.deadline).toBeInstanceOf(Date);
+        expect(report.deadline.toISOString()).toBe('2030-01-01T10:00:00.000Z');
+        expect(reopened.tasks.find(t => t.id === second.id).completed).toBe(true);
+        expect(reopened.getInsights().completedTasks).toBe(1);
+        await reopened.close();
+      });
+
+      test('should not reuse ids of deleted tasks', async () => {
+        const first = await openManager(createStorage);
+        first.createTask({ title: 'One' });
+        const two = first.createTask({ title: 'Two' });
+        first.deleteTask(two.id);
+        await first.close();
+
+        const reopened = await openManager(createStorage);
+        const next = reopened.createTask({ title: 'Three' });
+        expect(next.id).toBe(3);
+        await reopened.close();
+      });
+
+      test('should persist updates and keep priority ordering', async () => {
+        const first = await openManager(createStorage);
+        const low = first.createTask({ title: 'Low', importance: 1 });
+        first.createTask({ title: 'Mid', importance: 3 });
+        first.updateTask(low.id, { importance: 5 });
+        await first.close();
+
+        const reopened = await openManager(createStorage);
+        expect(reopened.getTasksByPriority()[0].title).toBe('Low');
+        await reopened.close();
+      });
+    });
+  });
+
+  describe('JSON journal', () => {
+    test('should replay journal entries written after the last snapshot', async () => {
+      const filePath = path.join(tempDir, 'tasks.json');
+      const storage = new JsonFileTaskStorage({ filePath, compactEvery: 1000 });
+      const manager = new TaskManager({ storage });
+      await manager.initialize();
+      manager.createTask({ title: 'Survives a crash' });
+
+      // Simulate a crash: no close(), plus a torn final journal line
+      fs.appendFileSync(`${filePath}.journal`, '{"op":"put","task":{"id":9');
+
+      const recovered = new TaskManager({ storage: new JsonFileTaskStorage({ filePath }) });
+      await recovered.initialize();
+      expect(recovered.tasks.map(t => t.title)).toEqual(['Survives a crash']);
+      expect(fs.readFileSync(`${filePath}.journal`, 'utf8')).toBe('');
+    });
+
+    test('should compact into the snapshot file', async () => {
+      const filePath = path.join(tempDir, 'tasks.json');
+      const manager = new TaskManager({ storage: new JsonFileTaskStorage({ filePath, compactEvery: 2 }) });
+      await manager.initialize();
+      manager.createTask({ title: 'Compacted' });
+
+      const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(Object.values(snapshot.tasks)[0].title).toBe('Compacted');
+      expect(snapshot.meta.taskIdCounter).toBe(2);
+    });
+
+    test('should refuse writes before load', () => {
+      const storage = new JsonFileTaskStorage({ filePath: path.join(tempDir, 'tasks.json') });
+      expect(() => storage.saveTask({ id: 1 })).toThrow('used before load()');
+    });
+  });
+
+  describe('SQLite file', () => {
+    test('should write the database once per mutation', async () => {
+      const filePath = path.join(tempDir, 'tasks.sqlite');
+      const storage = new SqliteTaskStorage({ filePath });
+      const manager = new TaskManager({ storage });
+      await manager.initialize();
+      const flush = jest.spyOn(storage, 'flush');
+
+      const task = manager.createTask({ title: 'One write' }); // task, id counter and history entry
+      expect(flush).toHaveBeenCalledTimes(1);
+      expect(fs.statSync(filePath).size).toBeGreaterThan(0);
+
+      manager.importTasks([{ title: 'A' }, { title: 'B' }, { title: 'C', completed: true }]);
+      manager.completeTask(task.id);
+      expect(flush).toHaveBeenCalledTimes(3);
+
+      await manager.close();
+      const reopened = await openManager(() => new SqliteTaskStorage({ filePath }));
+      expect(reopened.tasks).toHaveLength(4);
+      expect(reopened.history.list()).toHaveLength(3);
+      await reopened.close();
+    });
+  });
+
+  describe('createTaskStorage', () => {
+    test('should build adapters from config', () => {
+      expect(createTaskStorage({ type: 'memory' })).toBeInstanceOf(MemoryTaskStorage);
+      expect(createTaskStorage({ type: 'json', path: path.join(tempDir, 'a.json') })).toBeInstanceOf(JsonFileTaskStorage);
+      expect(createTaskStorage({ type: 'sqlite', path: path.join(tempDir, 'a.sqlite') })).toBeInstanceOf(SqliteTaskStorage);
+    });
+
+    test('should reject unknown adapters', () => {
+      expect(() => createTaskStorage({ type: 'redis' })).toThrow('Unknown task storage type: redis');
+    });
+  });
+
+  test('TaskManager defaults to in-memory storage', () => {
+    const manager = new TaskManager();
+    const task = manager.createTask({ title: 'Plain' });
+    expect(task.id).toBe(1);
+    expect(manager.storage).toBeInstanceOf(MemoryTaskStorage);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Unit Tests for Template Engine
+ * Template syntax, built-in pack selection, parameters from the vibe and smart
+ * defaults, user-contributed packs and previewing a render as a diff
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TemplateEngine,
+  TemplateError,
+  renderTemplate,
+  compareVersions,
+  satisfies
+} = require('../../src/core/template-engine');
+const { SmartDefaultsEngine } = require('../../src/core/smart-defaults-engine');
+const { BuildAppCommand } = require('../../src/core/commands/build-app-command');
+const { TestRunner } = require('../../src/core/test-runner');
+
+// Other suites replace fs.existsSync with a mock, so check the disk directly
+const exists = file => {
+  try {
+    fs.accessSync(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+function writePack(root, manifest, files) {
+  const dir = path.join(root, manifest.name, manifest.version);
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, 'files', file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'files', file), content);
+  });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'template.json'), JSON.stringify(manifest));
+  return dir;
+}
+
+describe('renderTemplate', () => {
+  test('escapes values, passes raw values through and prints objects as JSON', () => {
+    const view = { app: { name: 'Tom & Jerry <3' }, data: [{ id: 1 }] };
+
+    expect(renderTemplate('<h1>{{app.name}}</h1>', view)).toBe('<h1>Tom &amp; Jerry &lt;3</h1>');
+    expect(renderTemplate('{{{app.name}}}', view)).toBe('Tom & Jerry <3');
+    expect(JSON.parse(renderTemplate('{{{data}}}', view))).toEqual([{ id: 1 }]);
+    expect(renderTemplate('[{{missing.value}}]{{! note }}', view)).toBe('[]');
+  });
+
+  test('repeats sections for lists and drops standalone tag lines', () => {
+    const template = [
+      '<ul>',
+      '{{#items}}',
+      '  <li>{{name}} from {{shop}}</li>',
+      '{{/items}}',
+      '{{^items}}',
+      '  <li>Nothing yet</li>',
+      '{{/items}}',
+      '</ul>',
+      '{{#tags}}[{{.}}]{{/tags}}'
+    ].join('\n');
+
+    expect(renderTemplate(template, { shop: 'Corner', items: [{ name: 'Tea' }, { name: 'Cake' }], tags: ['a', 'b'] }))
+      .toBe('<ul>\n  <li>Tea from Corner</li>\n  <li>Cake from Corner</li>\n</ul>\n[a][b]');
+    expect(renderTemplate(template, { items: [] })).toBe('<ul>\n  <li>Nothing yet</li>\n</ul>\n');
+  });
+
+  test('reports unbalanced sections with the line they start on', () => {
+    expect(() => renderTemplate('a\n{{#open}}\nb', {}, 'page.html')).toThrow(/page.html line 2: \{\{#open\}\} is never closed/);
+    expect(() => renderTemplate('{{#a}}{{/b}}', {})).toThrow(TemplateError);
+  });
+
+  test('compares versions and ranges', () => {
+    expect(compareVersions('1.10.0', '1.9.3')).toBeGreaterThan(0);
+    expect(satisfies('1.4.2', '1')).toBe(true);
+    expect(satisfies('1.4.2', '1.4.x')).toBe(true);
+    expect(satisfies('1.4.2', '^1.3.0')).toBe(true);
+    expect(satisfies('2.0.0', '^1.3.0')).toBe(false);
+    expect(satisfies('1.4.2', '1.4.1')).toBe(false);
+  });
+});
+
+describe('TemplateEngine', () => {
+  let userDir;
+  let engine;
+
+  beforeEach(() => {
+    userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-packs-'));
+    engine = new TemplateEngine({ userDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(userDir, { recursive: true, force: true });
+  });
+
+  test('ships a pack for each template in build-my-app', () => {
+    const packs = engine.listPacks().filter(pack => !pack.abstract);
+
+    expect(packs.map(pack => pack.name)).toEqual(['blog', 'business-website', 'landing-page', 'online-store', 'portfolio']);
+    expect(packs.find(pack => pack.name === 'online-store').features)
+      .toEqual(['product-catalog', 'shopping-cart', 'checkout', 'user-accounts']);
+    expect(engine.invalidPacks).toEqual([]);
+  });
+
+  test('selects packs by app type, and by keyword only for general apps', () => {
+    expect(engine.selectPack({ appType: 'ecommerce', description: 'sell candles' }).name).toBe('online-store');
+    expect(engine.selectPack({ appType: 'general-app', description: 'somewhere to show my photography' }).name).toBe('portfolio');
+    expect(engine.selectPack({ appType: 'todo-app', description: 'a todo app for my small business' })).toBeNull();
+    expect(engine.selectPack({ appType: 'general-app', description: 'track my plants' })).toBeNull();
+  });
+
+  test('builds parameters from smart defaults and the interpreted vibe', async () => {
+    const smartDefaults = new SmartDefaultsEngine();
+    const defaults = await smartDefaults.generateDefaultsForVibe({}, [], { userType: 'creative', style: 'playful' });
+    const interpretation = {
+      originalVibe: 'my photography',
+      interpretation: { explicit: [], implicit: ['testimonials'], functional: ['skill-showcase'] }
+    };
+
+    const params = engine.buildParameters('portfolio', {
+      appPlan: { name: 'Lens & Light', description: 'my photography' },
+      interpretation,
+      defaults
+    });
+
+    expect(params.design.style).toBe('playful');
+    expect(params.design.colors.primary).toBe(smartDefaults.defaultsLibrary.style.playful.colors.primary);
+    expect(params.features).toMatchObject({ 'project-showcase': true, testimonials: true, skills: true });
+    expect(params.content.heroTitle).toBe("Hi, I'm the maker behind Lens & Light");
+    expect(params.app.slug).toBe('lens-light');
+
+    // Without an explicit style the creative user type's visual-focused default applies
+    const creative = engine.buildParameters('blog', {
+      defaults: await smartDefaults.generateDefaultsForVibe({}, [], { userType: 'creative' })
+    });
+    expect(creative.design.style).toBe('visual-focused');
+    expect(creative.features.search).toBe(false);
+    expect(engine.buildParameters('blog').design.style).toBe('minimal');
+  });
+
+  test('renders a pack on top of the pack it extends', () => {
+    const params = engine.buildParameters('landing-page', {
+      appPlan: { name: 'Podcast', description: 'a landing page with pricing' }
+    });
+    const files = engine.render('landing-page', params);
+
+    expect(files.map(file => file.path)).toEqual(['public/index.html', 'public/site.js', 'public/styles.css']);
+    const html = files.find(file => file.path === 'public/index.html').content;
+    expect(html).toContain('<title>Podcast</title>');
+    expect(html).toContain('id="pricing"');
+    expect(html).not.toContain('id="testimonials"');
+    expect(html).not.toContain('{{');
+    expect(files.find(file => file.path === 'public/site.js').content).toContain('const CONTACT_ENDPOINT = null;');
+  });
+
+  test('previews a render as a diff against the project directory', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'template-preview-'));
+    fs.mkdirSync(path.join(root, 'public'));
+    fs.writeFileSync(path.join(root, 'public/index.html'), '<!DOCTYPE html>\n<p>hand written</p>\n');
+
+    const changes = engine.preview(root, 'business-website', engine.buildParameters('business-website'));
+    const index = changes.find(change => change.path === 'public/index.html');
+
+    expect(index.status).toBe('modified');
+    expect(index.patch).toContain('-<p>hand written</p>');
+    expect(changes.find(change => change.path === 'public/site.js').status).toBe('added');
+    expect(fs.readdirSync(path.join(root, 'public'))).toEqual(['index.html']);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('installs user packs that extend built-in ones', () => {
+    const source = fs.mkdtempSync(path.join(os.tmpdir(), 'my-pack-'));
+    const dir = writePack(source, {
+      name: 'bakery',
+      version: '1.0.0',
+      description: 'A bakery site',
+      extends: 'business-website@1',
+      keywords: ['bakery'],
+      optionalFeatures: { menu: ['menu'] },
+      files: { 'public/menu.html': { when: 'features.menu' } },
+      parameters: { content: { heroTitle: 'Fresh bread at {{app.name}}' } }
+    }, {
+      'public/menu.html': '<h1>{{app.name}} menu</h1>\n',
+      '{{app.slug}}.txt': 'made by {{pack.name}}@{{pack.version}}\n'
+    });
+
+    const pack = engine.installPack(dir);
+    expect(pack).toMatchObject({ name: 'bakery', source: 'user', dir: path.join(userDir, 'bakery', '1.0.0') });
+    expect(engine.selectPack({ appType: 'general-app', description: 'a bakery with a menu' }).name).toBe('bakery');
+
+    const files = engine.render('bakery', engine.buildParameters('bakery', {
+      appPlan: { name: 'Crumbs', description: 'a bakery with a menu' }
+    }));
+    const byPath = Object.fromEntries(files.map(file => [file.path, file.content]));
+    expect(byPath['crumbs.txt']).toBe('made by bakery@1.0.0\n');
+    expect(byPath['public/menu.html']).toBe('<h1>Crumbs menu</h1>\n');
+    expect(byPath['public/index.html']).toContain('Fresh bread at Crumbs');
+    expect(byPath['public/styles.css']).toContain('--color-primary');
+
+    const withoutMenu = engine.render('bakery', engine.buildParameters('bakery', { appPlan: { name: 'Crumbs' } }));
+    expect(withoutMenu.map(file => file.path)).not.toContain('public/menu.html');
+
+    expect(() => engine.installPack(dir)).toThrow(/already installed/);
+    expect(engine.installPack(dir, { overwrite: true }).version).toBe('1.0.0');
+    fs.rmSync(source, { recursive: true, force: true });
+  });
+
+  test('refuses broken user packs before copying anything', () => {
+    const source = fs.mkdtempSync(path.join(os.tmpdir(), 'bad-pack-'));
+    const badName = writePack(source, { name: 'Bad Name', version: '1.0.0' }, { 'a.txt': 'x' });
+    const badTemplate = writePack(source, { name: 'broken', version: '1.0.0' }, { 'a.txt': '{{#open}} never closed' });
+    const badParent = writePack(source, { name: 'orphan', version: '1.0.0', extends: 'missing@1' }, { 'a.txt': 'x' });
+
+    expect(() => engine.installPack(badName)).toThrow(/name must be lowercase/);
+    expect(() => engine.installPack(badTemplate)).toThrow(/broken@1.0.0:a.txt line 1/);
+    expect(() => engine.installPack(badParent)).toThrow(/No template pack named "missing"/);
+    expect(fs.readdirSync(userDir)).toEqual([]);
+    fs.rmSync(source, { recursive: true, force: true });
+  });
+
+  test('skips invalid packs on disk and picks versions by range', () => {
+    writePack(userDir, { name: 'notes', version: '1.0.0' }, { 'v.txt': 'one' });
+    writePack(userDir, { name: 'notes', version: '1.2.0' }, { 'v.txt': 'one two' });
+    writePack(userDir, { name: 'notes', version: '2.0.0' }, { 'v.txt': 'two' });
+    writePack(userDir, { name: 'misfiled', version: '9.9.9' }, { 'v.txt': '' });
+    fs.renameSync(path.join(userDir, 'misfiled', '9.9.9'), path.join(userDir, 'misfiled', '1.0.0'));
+
+    expect(engine.getPack('notes').version).toBe('2.0.0');
+    expect(engine.getPack('notes@1').version).toBe('1.2.0');
+    expect(engine.getPack('notes@1.0.0').version).toBe('1.0.0');
+    expect(() => engine.getPack('notes@3')).toThrow(/have 2.0.0, 1.2.0, 1.0.0/);
+    expect(engine.invalidPacks).toEqual([expect.objectContaining({ source: 'user', error: expect.stringMatching(/stored as misfiled\/1.0.0/) })]);
+  });
+});
+
+describe('BuildAppCommand templates', () => {
+  let outputDir;
+  let userDir;
+  const progressTracker = {
+    startOperation: jest.fn(),
+    updateProgress: jest.fn(),
+    completeOperation: jest.fn(),
+    failOperation: jest.fn()
+  };
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apps-'));
+    userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-packs-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.rmSync(userDir, { recursive: true, force: true });
+  });
+
+  test('previews a templated site without writing it', async () => {
+    const command = new BuildAppCommand({ outputDir, templateEngine: new TemplateEngine({ userDir }) });
+    const response = await command.execute('a fun portfolio for my photography', {}, { progressTracker });
+    const { result } = response;
+
+    expect(result.status).toBe('ready');
+    expect(result.template).toMatchObject({ name: 'portfolio', version: '1.0.0' });
+    expect(fs.readFileSync(path.join(result.projectDir, 'public/styles.css'), 'utf8')).toContain('playful style');
+
+    const preview = await command.execute('a fun portfolio for my photography', { preview: true, appName: 'Second Site' }, { progressTracker });
+    expect(preview.result.status).toBe('preview');
+    expect(preview.message).toContain(path.join(outputDir, 'second-site'));
+    expect(preview.result.changes.find(change => change.path === 'public/index.html').patch).toContain('+  <title>Second Site</title>');
+    expect(exists(path.join(outputDir, 'second-site'))).toBe(false);
+  });
+
+  test('builds an online store whose own tests pass', async () => {
+    const command = new BuildAppCommand({ outputDir, templateEngine: new TemplateEngine({ userDir }) });
+    const { result } = await command.execute('an online store with an api backend', { appName: 'Candle Shop' }, { progressTracker });
+
+    expect(result.template.name).toBe('online-store');
+    expect(result.files).toEqual(expect.arrayContaining(['public/data/products.json', 'public/site.js', 'lib/store.js']));
+    expect(fs.readFileSync(path.join(result.projectDir, 'public/app.js'), 'utf8')).toContain("const API = '/api';");
+
+    // Stands in for npm install: the app needs express, and jest to run its tests
+    fs.symlinkSync(path.join(__dirname, '../../node_modules'), path.join(result.projectDir, 'node_modules'), 'dir');
+    const run = await new TestRunner().run(result.projectDir, { coverage: false });
+    expect(run).toMatchObject({ status: 'passed', framework: 'jest', failed: 0, suites: { failed: 0 } });
+    expect(run.passed).toBeGreaterThan(10);
+  }, 60000);
+});
@@ -0,0 +1,251 @@
+/**
+ * Unit Tests for Test Runner
+ * Running a project's Jest or node --test suite in a child process, reading
+ * back pass/fail/coverage numbers, and /test-everything explaining them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestRunner, parseTap } = require('../../src/core/test-runner');
+const { TestingSpecialist } = require('../../src/agents/testing-specialist');
+const { TestCommand } = require('../../src/core/commands/test-command');
+
+const writeProject = (dir, files) => {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  });
+  return dir;
+};
+
+const JEST_PROJECT = {
+  'package.json': {
+    name: 'sums',
+    scripts: { test: 'jest' },
+    jest: { testEnvironment: 'node', coverageProvider: 'v8', collectCoverageFrom: ['lib/**/*.js'] }
+  },
+  'lib/sum.js': 'exports.sum = (a, b) => a + b;\nexports.unused = () => 0;\n',
+  'tests/sum.test.js': `const { sum } = require('../lib/sum');
+test('adds numbers', () => expect(sum(1, 2)).toBe(3));
+test('adds strings', () => expect(sum('1', 2)).toBe(3));
+test.skip('later', () => {});
+`
+};
+
+describe('TestRunner', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'test-runner-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('runs a Jest suite and reads back counts, failures and coverage', async () => {
+    const dir = writeProject(root, JEST_PROJECT);
+
+    const result = await new TestRunner().run(dir);
+
+    expect(result).toMatchObject({
+      status: 'failed',
+      framework: 'jest',
+      passed: 1,
+      failed: 1,
+      skipped: 1,
+      total: 3,
+      suites: { total: 1, failed: 1 },
+      error: null
+    });
+    expect(result.failures).toEqual([{
+      file: path.join('tests', 'sum.test.js'),
+      test: 'adds strings',
+      message: expect.stringContaining('Expected: 3')
+    }]);
+    expect(result.coverage.functions).toBe(50);
+    expect(result.coverage.lines).toBeGreaterThan(0);
+  }, 60000);
+
+  test('reports a suite that fails to load as a failure', async () => {
+    const dir = writeProject(root, {
+      ...JEST_PROJECT,
+      'tests/sum.test.js': "require('../lib/missing');\ntest('never runs', () => {});\n"
+    });
+
+    const result = await new TestRunner().run(dir, { coverage: false });
+
+    expect(result).toMatchObject({ status: 'failed', passed: 0, failed: 0, coverage: null, suites: { failed: 1 } });
+    expect(result.failures[0]).toMatchObject({ test: null, message: expect.stringContaining('Cannot find module') });
+  }, 60000);
+
+  test('runs a node --test suite and parses its TAP summary', async () => {
+    const dir = writeProject(root, {
+      'package.json': { name: 'smoke', scripts: { test: 'node --test tests/' } },
+      'tests/smoke.test.js': `const test = require('node:test');
+const assert = require('assert');
+test('works', () => assert.ok(true));
+test('breaks', () => assert.strictEqual(1, 2));
+`
+    });
+
+    const result = await new TestRunner().run(dir);
+
+    expect(result).toMatchObject({ status: 'failed', framework: 'node-test', passed: 1, failed: 1, total: 2, coverage: null });
+    expect(result.failures).toEqual([{ file: null, test: 'breaks', message: '' }]);
+  }, 60000);
+
+  test('stops a run that takes too long', async () => {
+    const dir = writeProject(root, {
+      'package.json': { name: 'slow', scripts: { test: 'node --test tests/' } },
+      'tests/slow.test.js': "require('node:test')('waits', () => new Promise(() => setInterval(() => {}, 1000)));\n"
+    });
+
+    const result = await new TestRunner({ timeout: 1500 }).run(dir);
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('still running after 1.5s');
+  }, 30000);
+
+  test('explains projects it cannot run', async () => {
+    const runner = new TestRunner();
+
+    expect((await runner.run(path.join(root, 'nothing'))).error).toContain('No package.json');
+
+    writeProject(root, { 'package.json': { name: 'plain' } });
+    expect(await runner.run(root)).toMatchObject({ status: 'error', error: 'The project has no test script', total: 0 });
+
+    writeProject(root, { 'package.json': { name: 'mocha', scripts: { test: 'mocha' } } });
+    expect((await runner.run(root)).error).toBe('Don\'t know how to read the results of "mocha"');
+  });
+});
+
+describe('parseTap', () => {
+  test('reads totals and failed test names', () => {
+    const output = [
+      'not ok 1 - saves a record # TODO',
+      '  not ok 1 - rejects bad input',
+      'not ok 2 - tests/api.test.js',
+      '# tests 5',
+      '# pass 3',
+      '# fail 1',
+      '# skipped 0',
+      '# todo 1'
+    ].join('\n');
+
+    expect(parseTap(output)).toEqual({
+      total: 5,
+      passed: 3,
+      failed: 1,
+      skipped: 1,
+      failures: [
+        { file: null, test: 'saves a record', message: '' },
+        { file: null, test: 'rejects bad input', message: '' }
+      ]
+    });
+  });
+
+  test('has no total when the run never finished', () => {
+    expect(parseTap('Error: Cannot find module').total).toBeNull();
+  });
+});
+
+describe('TestingSpecialist', () => {
+  const results = overrides => ({
+    status: 'passed',
+    framework: 'jest',
+    passed: 12,
+    failed: 0,
+    skipped: 0,
+    total: 12,
+    suites: { total: 3, failed: 0 },
+    coverage: { lines: 91.4, statements: 91.4, functions: 100, branches: 80 },
+    failures: [],
+    duration: 2300,
+    error: null,
+    output: '',
+    ...overrides
+  });
+
+  test('explains passing results in plain language', () => {
+    const explanation = new TestingSpecialist().generateUserFriendlyExplanation({}, results());
+
+    expect(explanation.summary).toBe('All 12 tests passed, covering 91% of your server code.');
+    expect(explanation.details).toEqual([
+      '✅ Passing: 12 of 12 tests',
+      '📊 Coverage: the tests exercise 91% of your server code',
+      '⏱️ Time: the whole run took 2.3s'
+    ]);
+    expect(explanation.issuesFound).toEqual(['No failing tests found.']);
+  });
+
+  test('lists the tests that failed', () => {
+    const explanation = new TestingSpecialist().generateUserFriendlyExplanation({}, results({
+      status: 'failed',
+      passed: 10,
+      failed: 1,
+      skipped: 1,
+      coverage: null,
+      failures: [{ file: 'tests/api.test.js', test: '/api/todos rejects a body that is not JSON', message: 'Expected 400, got 500\nat ...' }]
+    }));
+
+    expect(explanation.summary).toBe('1 of 12 tests failed - 10 passed.');
+    expect(explanation.details).toContain('❌ Failing: 1 test needs attention');
+    expect(explanation.details).toContain('⏭️ Skipped: 1 test was not run');
+    expect(explanation.issuesFound).toEqual([
+      'These tests failed:',
+      '• /api/todos rejects a body that is not JSON: Expected 400, got 500'
+    ]);
+  });
+
+  test('says when there is no project to test', async () => {
+    const result = await new TestingSpecialist().execute({ input: '' }, {});
+
+    expect(result.success).toBe(false);
+    expect(result.message).toContain('There is no project to test yet');
+  });
+});
+
+describe('TestCommand', () => {
+  let appsDir;
+  const agentPool = {
+    executeWithAgent: (agentId, command, context) => new TestingSpecialist().execute(command, context)
+  };
+
+  beforeEach(() => {
+    appsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apps-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(appsDir, { recursive: true, force: true });
+  });
+
+  test('finds the project named in the request, else the latest one', () => {
+    writeProject(path.join(appsDir, 'candle-shop'), { 'package.json': {} });
+    writeProject(path.join(appsDir, 'my-todo-app'), { 'package.json': {} });
+    fs.mkdirSync(path.join(appsDir, 'not-a-project'));
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(path.join(appsDir, 'candle-shop', 'package.json'), past, past);
+    const command = new TestCommand({ appsDir });
+
+    expect(command.findProject('test candle-shop please')).toBe(path.join(appsDir, 'candle-shop'));
+    expect(command.findProject('')).toBe(path.join(appsDir, 'my-todo-app'));
+    expect(command.findProject('', { projectDir: '/elsewhere' })).toBe('/elsewhere');
+    expect(new TestCommand({ appsDir: path.join(appsDir, 'missing') }).findProject('')).toBeNull();
+  });
+
+  test('reports the real results from the project\'s tests', async () => {
+    writeProject(path.join(appsDir, 'sums'), JEST_PROJECT);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await new TestCommand({ appsDir }).execute('', {}, { agentPool });
+    console.log.mockRestore();
+
+    expect(result.success).toBe(true);
+    expect(result.projectDir).toBe(path.join(appsDir, 'sums'));
+    expect(result.message).toBe('1 of 3 tests failed - 1 passed.');
+    expect(result.testResults).toMatchObject({ passed: 1, failed: 1, skipped: 1 });
+    expect(result.result.nextSuggestion).toBe('/fix-whatever-is-broken');
+  }, 60000);
+});
@@ -0,0 +1,227 @@
+/**
+ * Unit Tests for Accounts and Workspaces
+ * Password hashing, sessions, roles, per-workspace task isolation and the live feed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const WebSocket = require('ws');
+const { hashPassword, verifyPassword } = require('../../src/auth/passwords');
+const { AccountStore } = require('../../src/auth/account-store');
+const { WorkspaceAccess } = require('../../src/auth/access');
+const { MemoryTaskStorage } = require('../../src/storage/task-storage');
+const WorkspaceRegistry = require('../../src/storage/workspace-registry');
+const TaskFeed = require('../../src/api/task-feed');
+
+describe('Accounts and workspaces', () => {
+  let accounts;
+  let registry;
+  let access;
+
+  beforeEach(async () => {
+    accounts = await new AccountStore(new MemoryTaskStorage()).load();
+    registry = new WorkspaceRegistry({ type: 'memory' });
+    access = new WorkspaceAccess({ accounts, registry });
+  });
+
+  const signUp = (email, name) => {
+    accounts.register({ email, password: 'correct horse', name });
+    return accounts.login(email, 'correct horse');
+  };
+
+  describe('Passwords and sessions', () => {
+    test('should hash with a random salt and verify', () => {
+      const first = hashPassword('s3cret-password');
+      const second = hashPassword('s3cret-password');
+
+      expect(first).toMatch(/^scrypt\$16384\$8\$1\$/);
+      expect(first).not.toBe(second);
+      expect(verifyPassword('s3cret-password', first)).toBe(true);
+      expect(verifyPassword('wrong-password', first)).toBe(false);
+      expect(verifyPassword('s3cret-password', 'garbage')).toBe(false);
+    });
+
+    test('should register, sign in and out', () => {
+      const session = signUp('Ada@Example.com', 'Ada');
+
+      expect(session.user).toEqual(expect.objectContaining({ email: 'ada@example.com', name: 'Ada' }));
+      expect(session.user.passwordHash).toBeUndefined();
+      expect(accounts.resolveSession(session.token).id).toBe(session.user.id);
+      expect(() => accounts.login('ada@example.com', 'wrong password')).toThrow('Invalid email or password');
+
+      accounts.logout(session.token);
+      expect(accounts.resolveSession(session.token)).toBeNull();
+    });
+
+    test('should reject weak passwords and duplicate emails', () => {
+      expect(() => accounts.register({ email: 'a@b.c', password: 'short' })).toThrow('at least 8 characters');
+      signUp('a@b.c');
+      expect(() => accounts.register({ email: 'A@B.C', password: 'long enough' })).toThrow('already exists');
+    });
+
+    test('should expire old sessions', () => {
+      const session = signUp('a@b.c');
+      Object.values(accounts.sessions)[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      expect(accounts.resolveSession(session.token)).toBeNull();
+    });
+  });
+
+  describe('Roles', () => {
+    test('should give each user a personal workspace they own', async () => {
+      const session = signUp('owner@x.io', 'Owner');
+      const context = await access.resolve({ token: session.token });
+
+      expect(context.role).toBe('owner');
+      expect(context.workspace.name).toBe("Owner's tasks");
+    });
+
+    test('should keep a workspace closed to non-members', async () => {
+      const owner = signUp('owner@x.io');
+      const stranger = signUp('stranger@x.io');
+      const workspace = accounts.listWorkspaces(owner.user.id)[0];
+
+      await expect(access.resolve({ token: stranger.token, workspaceId: workspace.id }))
+        .rejects.toMatchObject({ status: 403 });
+      await expect(access.resolve({ token: 'nope', workspaceId: workspace.id }))
+        .rejects.toMatchObject({ status: 401 });
+    });
+
+    test('should enforce the minimum role on routes', () => {
+      const guard = access.requireRole('editor');
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      guard({ role: 'viewer' }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+
+      guard({ role: 'owner' }, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only take a token from the Authorization header on HTTP routes', async () => {
+      const owner = signUp('owner@x.io');
+      const guard = access.middleware();
+      const call = async req => {
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+        await guard({ headers: {}, query: {}, ...req }, res, next);
+        return next.mock.calls.length > 0 ? 'next' : res.status.mock.calls[0][0];
+      };
+
+      expect(await call({ query: { token: owner.token } })).toBe(401);
+      expect(await call({ headers: { authorization: `Bearer ${owner.token}` } })).toBe('next');
+      expect(WorkspaceAccess.readToken({ headers: {}, url: `/api/tasks/feed?token=${owner.token}` }, { allowQuery: true }))
+        .toBe(owner.token);
+    });
+
+    test('should always keep an owner', () => {
+      const owner = signUp('owner@x.io');
+      signUp('editor@x.io');
+      const workspace = accounts.listWorkspaces(owner.user.id)[0];
+      accounts.addMember(workspace.id, 'editor@x.io', 'editor');
+
+      expect(() => accounts.removeMember(workspace.id, owner.user.id)).toThrow('at least one owner');
+      expect(() => accounts.setMemberRole(workspace.id, owner.user.id, 'viewer')).toThrow('at least one owner');
+      expect(() => accounts.addMember(workspace.id, 'editor@x.io', 'admin')).toThrow('Role must be one of');
+    });
+  });
+
+  describe('Workspace tasks', () => {
+    test('should isolate tasks per workspace', async () => {
+      const alice = signUp('alice@x.io');
+      const bob = signUp('bob@x.io');
+
+      const aliceTasks = (await access.resolve({ token: alice.token })).taskManager;
+      const bobTasks = (await access.resolve({ token: bob.token })).taskManager;
+      aliceTasks.createTask({ title: 'Alice only' });
+
+      expect(aliceTasks.tasks).toHaveLength(1);
+      expect(bobTasks.tasks).toHaveLength(0);
+    });
+
+    test('should find and unassign a member\'s tasks', async () => {
+      const alice = signUp('alice@x.io');
+      const bob = signUp('bob@x.io');
+      const workspace = accounts.listWorkspaces(alice.user.id)[0];
+      accounts.addMember(workspace.id, 'bob@x.io', 'editor');
+      const taskManager = await registry.open(workspace);
+      taskManager.createTask({ title: 'For Bob', assigneeId: bob.user.id });
+      taskManager.createTask({ title: 'Nobody' });
+
+      const mine = taskManager.searchTasks({ q: 'assignee:me', currentUserId: bob.user.id });
+      expect(mine.tasks.map(task => task.title)).toEqual(['For Bob']);
+
+      expect(taskManager.unassignMember(bob.user.id)).toHaveLength(1);
+      expect(taskManager.searchTasks({ q: 'assignee:none' }).total).toBe(2);
+    });
+
+    test('should keep accounts and workspaces in separate files', async () => {
+      const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-'));
+      const fileRegistry = new WorkspaceRegistry({ type: 'json', path: path.join(dataDir, 'tasks.json') });
+      const store = await new AccountStore(fileRegistry.createAccountStorage()).load();
+      const first = store.register({ email: 'first@x.io', password: 'password1' });
+      const second = store.register({ email: 'second@x.io', password: 'password2' });
+
+      // The first workspace adopts the pre-existing task file
+      (await fileRegistry.open(store.listWorkspaces(first.id)[0])).createTask({ title: 'Legacy' });
+      const other = store.listWorkspaces(second.id)[0];
+      (await fileRegistry.open(other)).createTask({ title: 'Team' });
+      await fileRegistry.closeAll();
+      await store.close();
+
+      expect(fs.readFileSync(path.join(dataDir, 'tasks.json'), 'utf8')).toContain('Legacy');
+      expect(fs.readFileSync(path.join(dataDir, 'workspaces', `${other.id}.json`), 'utf8')).toContain('Team');
+
+      const reloaded = await new AccountStore(fileRegistry.createAccountStorage()).load();
+      expect(reloaded.findUserByEmail('second@x.io').id).toBe(second.id);
+      await reloaded.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('Live feed', () => {
+    let server;
+    let feed;
+
+    beforeEach(done => {
+      server = http.createServer();
+      feed = new TaskFeed(null, { access }).attach(server);
+      server.listen(0, done);
+    });
+
+    afterEach(async () => {
+      await feed.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const open = query => new Promise(resolve => {
+      const socket = new WebSocket(`ws://localhost:${server.address().port}/api/tasks/feed?${query}`);
+      socket.on('message', data => resolve({ socket, message: JSON.parse(data) }));
+      socket.on('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+    });
+
+    test('should refuse connections without a session', async () => {
+      expect(await open('token=bogus')).toEqual({ status: 401 });
+    });
+
+    test('should only stream the caller\'s workspace', async () => {
+      const alice = signUp('alice@x.io');
+      const bob = signUp('bob@x.io');
+      const { socket, message } = await open(`token=${alice.token}`);
+      expect(message.type).toBe('hello');
+
+      const received = [];
+      socket.on('message', data => received.push(JSON.parse(data)));
+      (await access.resolve({ token: bob.token })).taskManager.createTask({ title: 'Bob private' });
+      (await access.resolve({ token: alice.token })).taskManager.createTask({ title: 'Alice' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(received).toHaveLength(1);
+      expect(received[0].events[0].task.title).toBe('Alice');
+      socket.terminate();
+    });
+  });
+});